@@ -1,28 +1,302 @@
-export default async function handler(req, res) {
-  const { url } = req.query;
+/**
+ * Price API — proxy prezzi lato server (Vercel serverless, montato anche dal
+ * dev server di Vite: vedi vite.config.js)
+ *
+ *   GET /api/price?type=quote&symbols=VWCE.DE,AAPL
+ *       → { quotes: { [symbol]: { symbol, price, previousClose, currency, name, exchange, time } }, errors: { [symbol]: msg } }
+ *   GET /api/price?type=history&symbol=VWCE.DE&start=2020-01-01&end=2024-12-31&interval=1mo
+ *       → { symbol, currency, interval, points: [{ date, close }] }
+ *   GET /api/price?type=fx&currencies=USD,GBP,CHF
+ *       → { base: 'EUR', rates: { USD: 0.92, … } }          (EUR per 1 unità)
+ *   GET /api/price?type=search&q=IE00BK5BQT80
+ *       → { results: [{ ticker, name, type, exchange, isin }] }
+ *   GET /api/price?type=holdings&isin=IE00BK5BQT80
+ *       → { isin, holdings: [{ name, isin, pct }] }           (JustETF)
+ *   GET /api/price?url=<url codificato>
+ *       → risposta grezza, solo verso gli host in ALLOWED_HOSTS (compatibilità)
+ *
+ * Le risposte sono tenute in una cache in memoria (per istanza) con TTL per
+ * tipo di dato e restituite con Cache-Control s-maxage, così anche la CDN di
+ * Vercel le riusa. Un limite per IP protegge le fonti a monte.
+ */
+
+const ALLOWED_HOSTS = [
+  'query1.finance.yahoo.com',
+  'query2.finance.yahoo.com',
+  'api.coingecko.com',
+  'www.justetf.com',
+];
+
+const TTL = {
+  quote:    60 * 1000,            // 1 min
+  fx:       10 * 60 * 1000,       // 10 min
+  history:  6 * 60 * 60 * 1000,   // 6 ore (24 ore se l'intervallo è tutto passato)
+  search:   24 * 60 * 60 * 1000,
+  holdings: 24 * 60 * 60 * 1000,
+  raw:      5 * 60 * 1000,
+};
+
+const MAX_SYMBOLS = 50;
+const MAX_CACHE_ENTRIES = 1000;
+const UPSTREAM_CONCURRENCY = 6;
+const UPSTREAM_TIMEOUT = 8000;
+const RATE_LIMIT = { windowMs: 60 * 1000, max: 120 };
+
+const SYMBOL_RE = /^[A-Za-z0-9.\-=^]{1,24}$/;
+const ISIN_RE = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const INTERVALS = ['1d', '1wk', '1mo'];
 
-  if (!url) {
-    return res.status(400).json({ error: 'Missing url parameter' });
+const UPSTREAM_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Cache-Control': 'no-cache',
+  'Referer': 'https://finance.yahoo.com/',
+  'Origin': 'https://finance.yahoo.com',
+};
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
   }
+}
 
-  try {
-    const response = await fetch(decodeURIComponent(url), {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json, text/plain, */*',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Referer': 'https://finance.yahoo.com/',
-        'Origin': 'https://finance.yahoo.com',
-      },
+// ─── Cache in memoria ───────────────────────────────────────────────────────
+const cache = new Map();     // key → { expires, value }
+const inFlight = new Map();  // key → Promise (richieste identiche concorrenti)
+
+const cached = async (key, ttl, loader) => {
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = loader()
+    .then(value => {
+      if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+      cache.set(key, { expires: Date.now() + ttl, value });
+      return value;
+    })
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
+
+// ─── Rate limit per IP (finestra fissa) ─────────────────────────────────────
+const hits = new Map(); // ip → { start, count }
+
+const isRateLimited = (ip) => {
+  const now = Date.now();
+  const entry = hits.get(ip);
+  if (!entry || now - entry.start > RATE_LIMIT.windowMs) {
+    if (hits.size > 10000) hits.clear();
+    hits.set(ip, { start: now, count: 1 });
+    return false;
+  }
+  entry.count++;
+  return entry.count > RATE_LIMIT.max;
+};
+
+// ─── Upstream ───────────────────────────────────────────────────────────────
+const assertAllowed = (url) => {
+  let parsed;
+  try { parsed = new URL(url); } catch { throw new ApiError(400, 'Invalid url'); }
+  if (parsed.protocol !== 'https:' || !ALLOWED_HOSTS.includes(parsed.hostname)) {
+    throw new ApiError(403, `Host not allowed: ${parsed.hostname}`);
+  }
+  return parsed;
+};
+
+const fetchUpstream = async (url) => {
+  assertAllowed(url);
+  const response = await fetch(url, { headers: UPSTREAM_HEADERS, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+  if (!response.ok) throw new ApiError(response.status === 404 ? 404 : 502, `Upstream HTTP ${response.status}`);
+  return response.json();
+};
+
+const runWithConcurrency = async (items, worker) => {
+  const results = new Array(items.length);
+  let idx = 0;
+  const runners = Array.from({ length: Math.min(UPSTREAM_CONCURRENCY, items.length) }, async () => {
+    while (idx < items.length) {
+      const cur = idx++;
+      results[cur] = await worker(items[cur]);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+// Data nel fuso della borsa (i timestamp mensili di Yahoo cadono a mezzanotte locale)
+const toDateString = (unixSeconds, gmtOffset = 0) => new Date((unixSeconds + gmtOffset) * 1000).toISOString().split('T')[0];
+
+const yahooChartUrl = (symbol, params) =>
+  `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?${params}`;
+
+// ─── Normalizzazione ────────────────────────────────────────────────────────
+const getQuote = (symbol) => cached(`quote:${symbol}`, TTL.quote, async () => {
+  const data = await fetchUpstream(yahooChartUrl(symbol, 'interval=1d&range=1d'));
+  const result = data?.chart?.result?.[0];
+  if (!result) throw new ApiError(404, 'No data');
+  const meta = result.meta || {};
+  const closes = result.indicators?.quote?.[0]?.close || [];
+  const price = meta.regularMarketPrice || closes.filter(c => c > 0).pop();
+  if (!(price > 0)) throw new ApiError(404, 'Invalid price');
+  return {
+    symbol,
+    price,
+    previousClose: meta.previousClose || meta.chartPreviousClose || price,
+    currency: meta.currency || 'EUR',
+    name: meta.longName || meta.shortName || symbol,
+    exchange: meta.exchangeName || null,
+    time: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null,
+  };
+});
+
+const getHistory = (symbol, start, end, interval) => {
+  const today = new Date().toISOString().split('T')[0];
+  const ttl = end < today ? TTL.history * 4 : TTL.history;
+  return cached(`history:${symbol}:${start}:${end}:${interval}`, ttl, async () => {
+    const period1 = Math.floor(new Date(start).getTime() / 1000);
+    const period2 = Math.floor(new Date(end).getTime() / 1000) + 86400;
+    const data = await fetchUpstream(yahooChartUrl(symbol, `period1=${period1}&period2=${period2}&interval=${interval}`));
+    const result = data?.chart?.result?.[0];
+    if (!result) throw new ApiError(404, 'No data');
+    const timestamps = result.timestamp || [];
+    const closes = result.indicators?.quote?.[0]?.close || [];
+    const gmtOffset = result.meta?.gmtoffset || 0;
+    const points = [];
+    timestamps.forEach((ts, i) => {
+      if (ts && closes[i] > 0) points.push({ date: toDateString(ts, gmtOffset), close: closes[i] });
+    });
+    return { symbol, currency: result.meta?.currency || 'EUR', interval, points };
+  });
+};
+
+// EURUSD=X → USD per 1 EUR; la risposta espone EUR per 1 unità
+const getFXRate = async (code) => {
+  const quote = await getQuote(`EUR${code}=X`);
+  return 1 / quote.price;
+};
+
+const search = (query) => cached(`search:${query.toLowerCase()}`, TTL.search, async () => {
+  const data = await fetchUpstream(
+    `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=10`
+  );
+  return {
+    results: (data.quotes || []).map(q => ({
+      ticker: q.symbol,
+      name: q.longname || q.shortname || q.symbol,
+      type: q.quoteType || null,
+      exchange: q.exchange || null,
+      isin: q.isin || '',
+    })),
+  };
+});
+
+const getHoldings = (isin) => cached(`holdings:${isin}`, TTL.holdings, async () => {
+  const data = await fetchUpstream(
+    `https://www.justetf.com/api/etfs/${isin}/holdings` +
+    '?locale=en&valuesType=ABSOLUTE&maxBenchmarks=1&sortField=weightPercent&sortOrder=DESC'
+  );
+  // JustETF usa forme diverse a seconda dell'ETF
+  const rawList = data.holdings ?? data.data?.holdings ?? data.items ?? data.positions ?? [];
+  const holdings = rawList
+    .map(h => {
+      const pct = h.weightPercent ?? h.weight ?? h.percentage ?? 0;
+      const name = h.holdingName ?? h.name ?? h.description ?? h.isin ?? null;
+      if (!name || pct <= 0) return null;
+      return { name, isin: h.isin ?? h.ISIN ?? null, pct: Math.round(pct * 100) / 100 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.pct - a.pct);
+  return { isin, holdings };
+});
+
+// ─── Handlers per tipo ──────────────────────────────────────────────────────
+const parseList = (value, re, max) => {
+  const items = [...new Set(String(value || '').split(',').map(s => s.trim()).filter(Boolean))];
+  if (items.length === 0) throw new ApiError(400, 'Empty list');
+  if (items.length > max) throw new ApiError(400, `Too many items (max ${max})`);
+  const invalid = items.find(s => !re.test(s));
+  if (invalid) throw new ApiError(400, `Invalid value: ${invalid}`);
+  return items;
+};
+
+const handlers = {
+  async quote(params) {
+    const symbols = parseList(params.get('symbols'), SYMBOL_RE, MAX_SYMBOLS);
+    const quotes = {};
+    const errors = {};
+    await runWithConcurrency(symbols, async (symbol) => {
+      try { quotes[symbol] = await getQuote(symbol); } catch (err) { errors[symbol] = err.message; }
+    });
+    // Con errori parziali niente cache CDN: il client riproverà i simboli mancanti
+    return { body: { quotes, errors }, ttl: Object.keys(errors).length ? 0 : TTL.quote };
+  },
+
+  async history(params) {
+    const symbol = params.get('symbol');
+    const start = params.get('start');
+    const end = params.get('end') || new Date().toISOString().split('T')[0];
+    const interval = params.get('interval') || '1mo';
+    if (!SYMBOL_RE.test(symbol || '')) throw new ApiError(400, 'Invalid symbol');
+    if (!DATE_RE.test(start || '') || !DATE_RE.test(end)) throw new ApiError(400, 'Invalid date range');
+    if (!INTERVALS.includes(interval)) throw new ApiError(400, `Invalid interval (${INTERVALS.join(', ')})`);
+    return { body: await getHistory(symbol, start, end, interval), ttl: TTL.history };
+  },
+
+  async fx(params) {
+    const currencies = parseList(params.get('currencies'), /^[A-Z]{3}$/, 20).filter(c => c !== 'EUR');
+    const rates = { EUR: 1 };
+    const errors = {};
+    await runWithConcurrency(currencies, async (code) => {
+      try { rates[code] = await getFXRate(code); } catch (err) { errors[code] = err.message; }
     });
+    return { body: { base: 'EUR', rates, errors }, ttl: Object.keys(errors).length ? 0 : TTL.fx };
+  },
+
+  async search(params) {
+    const q = (params.get('q') || '').trim();
+    if (!q || q.length > 64) throw new ApiError(400, 'Invalid query');
+    return { body: await search(q), ttl: TTL.search };
+  },
+
+  async holdings(params) {
+    const isin = (params.get('isin') || '').toUpperCase();
+    if (!ISIN_RE.test(isin)) throw new ApiError(400, 'Invalid ISIN');
+    return { body: await getHoldings(isin), ttl: TTL.holdings };
+  },
+
+  async raw(params) {
+    const url = params.get('url');
+    return { body: await cached(`raw:${url}`, TTL.raw, () => fetchUpstream(url)), ttl: TTL.raw };
+  },
+};
 
-    const data = await response.json();
+const send = (res, status, body, ttl = 0) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', ttl > 0 ? `public, s-maxage=${Math.round(ttl / 1000)}, stale-while-revalidate=60` : 'no-store');
+  res.end(JSON.stringify(body));
+};
 
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cache-Control', 's-maxage=300'); // cache 5 min su Vercel
-    return res.status(response.status).json(data);
+export default async function handler(req, res) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const type = params.get('type') || (params.has('url') ? 'raw' : null);
+  const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+
+  if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+  if (!handlers[type]) return send(res, 400, { error: `Unknown type. Use one of: ${Object.keys(handlers).join(', ')}` });
+  if (isRateLimited(ip)) return send(res, 429, { error: 'Too many requests' });
+
+  try {
+    const { body, ttl } = await handlers[type](params);
+    return send(res, 200, body, ttl);
   } catch (err) {
-    return res.status(500).json({ error: err.message });
+    const status = err instanceof ApiError ? err.status : 502;
+    return send(res, status, { error: err.name === 'TimeoutError' ? 'Upstream timeout' : err.message });
   }
 }
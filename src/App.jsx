@@ -3,12 +3,14 @@ import { Routes, Route, Link, useLocation, Navigate } from 'react-router-dom';
 import {
   TrendingUp, LayoutDashboard, Wallet, FileText, Settings, Plus,
   Target, RefreshCcw, BarChart3, PiggyBank, Globe, History,
-  Sun, Moon, ScanSearch, Layers, Eye, EyeOff, Calculator, Coins, Bitcoin,
+  Sun, Moon, ScanSearch, Layers, Eye, EyeOff, Calculator, Coins, Bitcoin, Landmark,
 } from 'lucide-react';
 import { PrivacyProvider, usePrivacy } from './context/PrivacyContext';
+import { notifyDataChanged } from './services/syncService';
 
 // Pages
-import { migrateTickersPersistent } from './services/localStorageService';
+import { migrateTickersPersistent, backfillTransactionFX } from './services/localStorageService';
+import { refreshBaseCurrencyRate } from './services/currencyService';
 import Dashboard            from './pages/Dashboard';
 import Portfolio            from './pages/Portfolio';
 import PortfolioPerformance from './pages/PortfolioPerformance';
@@ -24,6 +26,7 @@ import PortfolioManager     from './pages/PortfolioManager';
 import Calcolatori          from './pages/Calcolatori';
 import Dividendi            from './pages/Dividendi';
 import Crypto               from './pages/Crypto';
+import Fiscale              from './pages/Fiscale';
 
 // ── Navigation structure ─────────────────────────────────────────
 const primaryNav = [
@@ -43,6 +46,7 @@ const toolsNav = [
   { name: 'Ribilanciamento', href: '/rebalancing',  icon: RefreshCcw },
   { name: 'Calcolatori',     href: '/calcolatori',  icon: Calculator },
   { name: 'Crypto',          href: '/crypto',       icon: Bitcoin },
+  { name: 'Fiscale',         href: '/fiscale',      icon: Landmark },
 ];
 const mobileNav = [
   ...primaryNav,
@@ -132,6 +136,26 @@ function App() {
     if (n > 0) console.log(`🔧 ${n} ticker normalizzati via ISIN`);
   }, []);
 
+  // Le modifiche ricevute dalla cloud sync arrivano alle pagine tramite
+  // useSyncRefresh: ognuna rilegge i propri dati senza essere rimontata.
+
+  // Cambio storico sulle transazioni in valuta estera che ancora non lo hanno
+  useEffect(() => {
+    backfillTransactionFX().then(n => {
+      if (n > 0) {
+        console.log(`💱 ${n} transazioni con cambio storico`);
+        notifyDataChanged();
+      }
+    });
+  }, []);
+
+  // Valuta base diversa da EUR: ridisegna le pagine quando arriva il cambio live
+  useEffect(() => {
+    refreshBaseCurrencyRate().then(updated => {
+      if (updated) notifyDataChanged();
+    });
+  }, []);
+
   const toggleTheme = () => setIsDark(d => !d);
 
   const isActive = (path) => {
@@ -244,6 +268,7 @@ function App() {
             <Route path="/portfolios"       element={<PortfolioManager />} />
             <Route path="/calcolatori"      element={<Calcolatori />} />
             <Route path="/crypto"           element={<Crypto />} />
+            <Route path="/fiscale"          element={<Fiscale />} />
             <Route path="/settings"         element={<SettingsPage />} />
             <Route path="*"                element={<Navigate to="/" />} />
           </Routes>
@@ -8,8 +8,9 @@ import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
 import { X } from 'lucide-react';
 import { buildAllocation, buildStyleAllocation, classifyHolding, classifyStyle } from '../services/classificationService';
 import { getPortfolioConfig } from '../services/portfolioConfigService';
+import { formatFromEUR } from '../services/currencyService';
 
-const fmtEur = (n) => '€' + Math.round(n).toLocaleString('it-IT');
+const fmtMoney = (n) => formatFromEUR(n, { decimals: 0 });
 
 export default function AllocationBreakdown({ holdings = [], title = 'Allocazione patrimonio' }) {
   const [portId, setPortId] = useState('all');
@@ -56,7 +57,7 @@ export default function AllocationBreakdown({ holdings = [], title = 'Allocazion
         <div>
           <p style={{ fontWeight: 600, color: 'var(--text-1)', margin: 0, fontSize: '1rem' }}>{title}</p>
           <p style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginTop: 2 }}>
-            Derivata dal database di composizione · {fmtEur(alloc.total)}
+            Derivata dal database di composizione · {fmtMoney(alloc.total)}
           </p>
         </div>
         {portfolios.length > 0 && (
@@ -102,14 +103,14 @@ export default function AllocationBreakdown({ holdings = [], title = 'Allocazion
                   {segments.map((entry) => <Cell key={entry.key} fill={entry.color} style={{ cursor: 'pointer' }} />)}
                 </Pie>
                 <Tooltip
-                  formatter={(v, n) => [`${fmtEur(v)} (${((v / alloc.total) * 100).toFixed(1)}%)`, n]}
+                  formatter={(v, n) => [`${fmtMoney(v)} (${((v / alloc.total) * 100).toFixed(1)}%)`, n]}
                   contentStyle={{ background: 'var(--surface-1)', border: '1px solid var(--border)', borderRadius: 10, fontSize: '0.78rem' }} />
               </PieChart>
             </ResponsiveContainer>
             {/* Centro donut: macro dominante */}
             <div style={{ position: 'absolute', top: '50%', left: '50%', transform: 'translate(-50%, -50%)', textAlign: 'center', pointerEvents: 'none' }}>
               <p style={{ fontSize: '0.62rem', color: 'var(--text-3)', margin: 0, textTransform: 'uppercase', letterSpacing: '0.05em' }}>Totale</p>
-              <p style={{ fontSize: '1.05rem', fontWeight: 700, color: 'var(--text-1)', margin: '2px 0 0' }}>{fmtEur(alloc.total)}</p>
+              <p style={{ fontSize: '1.05rem', fontWeight: 700, color: 'var(--text-1)', margin: '2px 0 0' }}>{fmtMoney(alloc.total)}</p>
             </div>
           </div>
 
@@ -127,7 +128,7 @@ export default function AllocationBreakdown({ holdings = [], title = 'Allocazion
                     <span style={{ fontSize: '0.82rem', color: 'var(--text-1)', fontWeight: 500 }}>{item.name}</span>
                   </span>
                   <span style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-                    <span style={{ fontSize: '0.75rem', color: 'var(--text-3)' }}>{fmtEur(item.value)}</span>
+                    <span style={{ fontSize: '0.75rem', color: 'var(--text-3)' }}>{fmtMoney(item.value)}</span>
                     <span style={{ fontSize: '0.82rem', fontWeight: 700, color: 'var(--text-1)', minWidth: 44, textAlign: 'right' }}>{item.percentage}%</span>
                   </span>
                 </div>
@@ -177,7 +178,7 @@ export default function AllocationBreakdown({ holdings = [], title = 'Allocazion
               <div style={{ flex: 1 }}>
                 <p style={{ fontWeight: 700, color: 'var(--text-1)', margin: 0, fontSize: '0.95rem' }}>{drill.label}</p>
                 <p style={{ fontSize: '0.72rem', color: 'var(--text-3)', margin: '2px 0 0' }}>
-                  {drillHoldings.length} {drillHoldings.length === 1 ? 'strumento' : 'strumenti'} · {fmtEur(drillHoldings.reduce((s, h) => s + h.value, 0))}
+                  {drillHoldings.length} {drillHoldings.length === 1 ? 'strumento' : 'strumenti'} · {fmtMoney(drillHoldings.reduce((s, h) => s + h.value, 0))}
                 </p>
               </div>
               <button onClick={() => setDrill(null)} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-3)', padding: 4 }}>
@@ -192,7 +193,7 @@ export default function AllocationBreakdown({ holdings = [], title = 'Allocazion
                     <span style={{ fontSize: '0.85rem', fontWeight: 700, color: 'var(--text-1)' }}>{h.ticker}</span>
                     <span style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginLeft: 6, overflow: 'hidden', textOverflow: 'ellipsis' }}>{h.name !== h.ticker ? h.name : ''}</span>
                   </div>
-                  <span style={{ fontSize: '0.78rem', color: 'var(--text-2)' }}>{fmtEur(h.value)}</span>
+                  <span style={{ fontSize: '0.78rem', color: 'var(--text-2)' }}>{fmtMoney(h.value)}</span>
                   <span style={{ fontSize: '0.78rem', fontWeight: 700, color: drill.color, minWidth: 46, textAlign: 'right' }}>{h.weight.toFixed(1)}%</span>
                 </div>
               ))}
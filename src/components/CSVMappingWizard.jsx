@@ -0,0 +1,281 @@
+/**
+ * CSVMappingWizard — mappatura manuale delle colonne per i CSV non riconosciuti.
+ * Passo 1: colonne; passo 2: formati, parole chiave e nome del profilo.
+ * Il profilo salvato viene riconosciuto da detectPlatform agli import successivi.
+ */
+import React, { useState, useMemo } from 'react';
+import { X, Columns, ChevronRight, ChevronLeft, Trash2, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import {
+  MAPPING_FIELDS,
+  NUMBER_FORMATS,
+  DATE_FORMATS,
+  DEFAULT_BUY_KEYWORDS,
+  DEFAULT_SELL_KEYWORDS,
+  getCSVProfiles,
+  deleteCSVProfile,
+  suggestColumnMapping,
+  parseWithProfile,
+} from '../services/csvImportService';
+
+const splitKeywords = (s) => s.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+const labelStyle = { fontSize: '0.72rem', color: 'var(--text-2)', fontWeight: 600 };
+const selectStyle = {
+  width: '100%', fontSize: '0.78rem', border: '1px solid var(--border)', borderRadius: 7,
+  padding: '5px 8px', background: 'var(--surface-1)', color: 'var(--text-1)',
+};
+const buttonStyle = {
+  padding: '9px 18px', borderRadius: 8, border: '1px solid var(--border)', background: 'transparent',
+  cursor: 'pointer', color: 'var(--text-2)', fontSize: '0.82rem', fontWeight: 600,
+  display: 'inline-flex', alignItems: 'center', gap: 6,
+};
+
+export default function CSVMappingWizard({ headers, sampleRows, filename, onApply, onFallback, onCancel }) {
+  const [profiles, setProfiles] = useState(() => getCSVProfiles());
+  const [step, setStep] = useState(1);
+  const [profileId, setProfileId] = useState(null);
+  const [columns, setColumns] = useState(() => suggestColumnMapping(headers));
+  const [numberFormat, setNumberFormat] = useState('auto');
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [buyKeywords, setBuyKeywords] = useState(DEFAULT_BUY_KEYWORDS.join(', '));
+  const [sellKeywords, setSellKeywords] = useState(DEFAULT_SELL_KEYWORDS.join(', '));
+  const [signedQuantity, setSignedQuantity] = useState(false);
+  const [defaultCurrency, setDefaultCurrency] = useState('EUR');
+  const [name, setName] = useState('');
+  const [save, setSave] = useState(true);
+
+  const loadProfile = (id) => {
+    const p = profiles.find(x => x.id === id);
+    setProfileId(id || null);
+    if (!p) return;
+    // Solo le colonne presenti in questo file
+    setColumns(Object.fromEntries(Object.entries(p.columns || {}).filter(([, h]) => headers.includes(h))));
+    setNumberFormat(p.numberFormat || 'auto');
+    setDateFormat(p.dateFormat || 'auto');
+    setBuyKeywords((p.buyKeywords || DEFAULT_BUY_KEYWORDS).join(', '));
+    setSellKeywords((p.sellKeywords || DEFAULT_SELL_KEYWORDS).join(', '));
+    setSignedQuantity(!!p.signedQuantity);
+    setDefaultCurrency(p.defaultCurrency || 'EUR');
+    setName(p.name);
+  };
+
+  const handleDeleteProfile = (id) => {
+    if (!window.confirm('Eliminare questo profilo di importazione?')) return;
+    deleteCSVProfile(id);
+    setProfiles(getCSVProfiles());
+    if (profileId === id) setProfileId(null);
+  };
+
+  const draft = useMemo(() => ({
+    id: profileId || undefined,
+    name: name.trim() || 'Profilo personalizzato',
+    headers,
+    columns,
+    numberFormat,
+    dateFormat,
+    buyKeywords: splitKeywords(buyKeywords),
+    sellKeywords: splitKeywords(sellKeywords),
+    signedQuantity,
+    defaultCurrency: defaultCurrency.trim().toUpperCase() || 'EUR',
+  }), [profileId, name, headers, columns, numberFormat, dateFormat, buyKeywords, sellKeywords, signedQuantity, defaultCurrency]);
+
+  const preview = useMemo(() => parseWithProfile(sampleRows, draft), [sampleRows, draft]);
+
+  const missing = [];
+  if (!columns.date) missing.push('Data');
+  if (!columns.quantity) missing.push('Quantità');
+  if (!columns.ticker && !columns.isin && !columns.name) missing.push('Ticker, ISIN o Nome');
+  if (!columns.price && !columns.total) missing.push('Prezzo o Controvalore');
+
+  const setColumn = (key, header) => setColumns(prev => ({ ...prev, [key]: header || undefined }));
+
+  return (
+    <div style={{
+      position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)',
+      display: 'flex', alignItems: 'center', justifyContent: 'center',
+      zIndex: 1000, padding: '1rem',
+    }}>
+      <div style={{
+        background: 'var(--surface-1)', borderRadius: 16, width: '100%', maxWidth: 820,
+        maxHeight: '90vh', display: 'flex', flexDirection: 'column',
+        border: '1px solid var(--border)', overflow: 'hidden',
+      }}>
+        {/* Header */}
+        <div style={{ padding: '16px 20px', borderBottom: '1px solid var(--border)', display: 'flex', alignItems: 'center', gap: 12 }}>
+          <div style={{
+            width: 36, height: 36, borderRadius: 10, flexShrink: 0,
+            background: 'linear-gradient(135deg, #FF9F0A, #0A84FF)',
+            display: 'flex', alignItems: 'center', justifyContent: 'center',
+          }}>
+            <Columns size={16} color="#fff" />
+          </div>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: '0.9rem', fontWeight: 700 }}>Formato non riconosciuto — mappa le colonne</div>
+            <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginTop: 1 }}>
+              File: <span style={{ fontStyle: 'italic' }}>{filename}</span> · passo {step} di 2
+            </div>
+          </div>
+          <button onClick={onCancel} style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-3)', padding: 4 }}>
+            <X size={18} />
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '16px 20px', display: 'flex', flexDirection: 'column', gap: 16 }}>
+          {/* Profili salvati */}
+          {profiles.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+              <span style={labelStyle}>Parti da un profilo:</span>
+              {profiles.map(p => (
+                <span key={p.id} style={{
+                  display: 'inline-flex', alignItems: 'center', gap: 4, borderRadius: 7, padding: '3px 4px 3px 10px',
+                  border: `1.5px solid ${profileId === p.id ? '#0A84FF' : 'var(--border)'}`, fontSize: '0.75rem',
+                }}>
+                  <button onClick={() => loadProfile(p.id)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontWeight: 600, color: profileId === p.id ? '#0A84FF' : 'var(--text-2)' }}>
+                    {p.name}
+                  </button>
+                  <button onClick={() => handleDeleteProfile(p.id)} title="Elimina profilo" style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--text-3)', padding: 2 }}>
+                    <Trash2 size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {step === 1 && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 12 }}>
+              {MAPPING_FIELDS.map(f => (
+                <label key={f.key} style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                  <span style={labelStyle}>
+                    {f.label}{f.required && <span style={{ color: '#FF453A' }}> *</span>}
+                  </span>
+                  <select value={columns[f.key] || ''} onChange={e => setColumn(f.key, e.target.value)} style={selectStyle}>
+                    <option value="">— non presente —</option>
+                    {headers.filter(Boolean).map(h => (
+                      <option key={h} value={h}>
+                        {h}{sampleRows[0]?.[h] ? ` (es. ${String(sampleRows[0][h]).slice(0, 18)})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {step === 2 && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 12 }}>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Formato numeri</span>
+                <select value={numberFormat} onChange={e => setNumberFormat(e.target.value)} style={selectStyle}>
+                  {Object.entries(NUMBER_FORMATS).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+                </select>
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Formato date</span>
+                <select value={dateFormat} onChange={e => setDateFormat(e.target.value)} style={selectStyle}>
+                  {Object.entries(DATE_FORMATS).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+                </select>
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Parole chiave acquisto (separate da virgola)</span>
+                <input value={buyKeywords} onChange={e => setBuyKeywords(e.target.value)} style={selectStyle} />
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Parole chiave vendita</span>
+                <input value={sellKeywords} onChange={e => setSellKeywords(e.target.value)} style={selectStyle} />
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Valuta se assente</span>
+                <input value={defaultCurrency} maxLength={3} onChange={e => setDefaultCurrency(e.target.value)} style={selectStyle} />
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.75rem', color: 'var(--text-2)' }}>
+                <input type="checkbox" checked={signedQuantity} onChange={e => setSignedQuantity(e.target.checked)} />
+                Quantità negativa = vendita (se il tipo non corrisponde)
+              </label>
+              <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span style={labelStyle}>Nome del profilo (es. Intesa, XTB)</span>
+                <input value={name} onChange={e => setName(e.target.value)} placeholder="Profilo personalizzato" style={selectStyle} />
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.75rem', color: 'var(--text-2)' }}>
+                <input type="checkbox" checked={save} onChange={e => setSave(e.target.checked)} />
+                Salva il profilo per i prossimi import
+              </label>
+            </div>
+          )}
+
+          {/* Anteprima */}
+          <div>
+            <div style={{ ...labelStyle, marginBottom: 6, display: 'flex', alignItems: 'center', gap: 6 }}>
+              {missing.length === 0 && preview.transactions.length > 0
+                ? <CheckCircle2 size={13} color="#30D158" />
+                : <AlertTriangle size={13} color="#FF9F0A" />}
+              Anteprima sulle prime {sampleRows.length} righe: {preview.transactions.length} valide, {preview.skipped.length} scartate
+            </div>
+            {missing.length > 0 && (
+              <div style={{ fontSize: '0.72rem', color: '#FF9F0A', marginBottom: 6 }}>
+                Mancano: {missing.join(', ')}
+              </div>
+            )}
+            {preview.skipped.length > 0 && (
+              <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', marginBottom: 6 }}>
+                Prima riga scartata: {preview.skipped[0].reason}
+              </div>
+            )}
+            <table style={{ width: '100%', fontSize: '0.72rem', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: 'var(--text-3)', textAlign: 'left' }}>
+                  {['Data', 'Tipo', 'Ticker', 'Nome', 'Qtà', 'Prezzo', 'Comm.', 'Valuta'].map(h => (
+                    <th key={h} style={{ padding: '4px 6px', borderBottom: '1px solid var(--border)' }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.transactions.slice(0, 5).map((tx, i) => (
+                  <tr key={i}>
+                    <td style={{ padding: '4px 6px' }}>{tx.date}</td>
+                    <td style={{ padding: '4px 6px', color: tx.type === 'buy' ? '#30D158' : '#FF453A', fontWeight: 600 }}>{tx.type}</td>
+                    <td style={{ padding: '4px 6px', fontWeight: 600 }}>{tx.ticker}</td>
+                    <td style={{ padding: '4px 6px', maxWidth: 180, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{tx.name}</td>
+                    <td style={{ padding: '4px 6px' }}>{tx.quantity}</td>
+                    <td style={{ padding: '4px 6px' }}>{tx.price}</td>
+                    <td style={{ padding: '4px 6px' }}>{tx.commission}</td>
+                    <td style={{ padding: '4px 6px' }}>{tx.currency}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div style={{ padding: '14px 20px', borderTop: '1px solid var(--border)', display: 'flex', gap: 10, alignItems: 'center', flexShrink: 0 }}>
+          <button onClick={onFallback} style={{ ...buttonStyle, border: 'none', fontSize: '0.75rem' }}>
+            Usa import automatico
+          </button>
+          <div style={{ flex: 1 }} />
+          {step === 2 && (
+            <button onClick={() => setStep(1)} style={buttonStyle}>
+              <ChevronLeft size={14} /> Colonne
+            </button>
+          )}
+          {step === 1 ? (
+            <button
+              onClick={() => setStep(2)}
+              disabled={missing.length > 0}
+              style={{ ...buttonStyle, border: 'none', background: missing.length > 0 ? 'var(--surface-3)' : '#0A84FF', color: missing.length > 0 ? 'var(--text-3)' : '#fff', cursor: missing.length > 0 ? 'not-allowed' : 'pointer' }}
+            >
+              Formati <ChevronRight size={14} />
+            </button>
+          ) : (
+            <button
+              onClick={() => onApply(draft, { save })}
+              disabled={missing.length > 0}
+              style={{ ...buttonStyle, border: 'none', background: missing.length > 0 ? 'var(--surface-3)' : '#30D158', color: missing.length > 0 ? 'var(--text-3)' : '#fff', cursor: missing.length > 0 ? 'not-allowed' : 'pointer', fontWeight: 700 }}
+            >
+              ✓ Continua all'anteprima
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
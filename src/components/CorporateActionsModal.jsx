@@ -0,0 +1,207 @@
+/**
+ * CorporateActionsModal — gestione delle operazioni societarie (split, reverse
+ * split, fusioni / cambi ticker, spin-off). Le operazioni non modificano le
+ * transazioni salvate: vengono applicate al volo nei calcoli delle posizioni.
+ */
+import React, { useState } from 'react';
+import { X, Edit2, Trash2, Plus, GitBranch } from 'lucide-react';
+import {
+  CORPORATE_ACTION_TYPES, getCorporateActions, addCorporateAction,
+  updateCorporateAction, deleteCorporateAction, validateCorporateAction, describeCorporateAction,
+} from '../services/corporateActionService';
+
+const emptyAction = () => ({
+  type: 'split',
+  ticker: '',
+  date: new Date().toISOString().split('T')[0],
+  ratioFrom: '1',
+  ratioTo: '2',
+  newTicker: '',
+  newName: '',
+  newIsin: '',
+  costFractionPct: '',
+  notes: '',
+});
+
+const label = { display: 'block', fontSize: '0.72rem', fontWeight: 600, color: '#666', marginBottom: 4 };
+
+export default function CorporateActionsModal({ tickers = [], onClose, onChange }) {
+  const [actions, setActions] = useState(() => getCorporateActions());
+  const [form, setForm] = useState(null);       // null = lista, altrimenti form aperto
+  const [editingId, setEditingId] = useState(null);
+
+  const reload = () => {
+    setActions(getCorporateActions());
+    onChange?.();
+  };
+
+  const openNew = () => { setEditingId(null); setForm(emptyAction()); };
+
+  const openEdit = (a) => {
+    setEditingId(a.id);
+    setForm({
+      ...emptyAction(),
+      ...a,
+      ratioFrom: String(a.ratioFrom),
+      ratioTo: String(a.ratioTo),
+      costFractionPct: a.costFraction != null ? String(a.costFraction * 100) : '',
+    });
+  };
+
+  const handleDelete = (a) => {
+    if (!window.confirm(`Eliminare l'operazione "${describeCorporateAction(a)}" su ${a.ticker}?`)) return;
+    deleteCorporateAction(a.id);
+    reload();
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const { costFractionPct, ...rest } = form;
+    const data = {
+      ...rest,
+      costFraction: form.type === 'spin_off' ? (parseFloat(costFractionPct) || 0) / 100 : null,
+    };
+    const error = validateCorporateAction(data);
+    if (error) { alert(error); return; }
+    try {
+      if (editingId) updateCorporateAction(editingId, data);
+      else addCorporateAction(data);
+      setForm(null);
+      reload();
+    } catch (err) {
+      alert(`Errore nel salvare l'operazione: ${err.message}`);
+    }
+  };
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const needsNewTicker = form && (form.type === 'rename' || form.type === 'spin_off');
+
+  const sorted = [...actions].sort((a, b) => b.date.localeCompare(a.date));
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.65)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1010, padding: '1rem' }}>
+      <div style={{ background: 'white', borderRadius: 16, width: '100%', maxWidth: 620, maxHeight: '85vh', display: 'flex', flexDirection: 'column', boxShadow: '0 20px 60px rgba(0,0,0,0.25)', overflow: 'hidden' }}>
+        <div style={{ padding: '20px 24px 16px', borderBottom: '1px solid #f0f0f0', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <div style={{ fontWeight: 800, fontSize: '1rem' }}>Operazioni Societarie</div>
+            <div style={{ fontSize: '0.72rem', color: '#888', marginTop: 2 }}>
+              Rettificano quantità e costo di carico delle transazioni precedenti alla data di efficacia
+            </div>
+          </div>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#888' }}>
+            <X size={18} />
+          </button>
+        </div>
+
+        {form ? (
+          <form onSubmit={handleSave} style={{ flex: 1, overflowY: 'auto', padding: '16px 24px', display: 'flex', flexDirection: 'column', gap: 12 }}>
+            <div>
+              <label style={label}>Tipo operazione *</label>
+              <select value={form.type} onChange={set('type')} className="select">
+                {Object.entries(CORPORATE_ACTION_TYPES).map(([k, v]) => (
+                  <option key={k} value={k}>{v.label}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+              <div>
+                <label style={label}>{form.type === 'spin_off' ? 'Ticker società madre *' : 'Ticker *'}</label>
+                <input list="ca-tickers" value={form.ticker} onChange={set('ticker')} className="input" placeholder="AAPL" required />
+                <datalist id="ca-tickers">
+                  {tickers.map(t => <option key={t} value={t} />)}
+                </datalist>
+              </div>
+              <div>
+                <label style={label}>Data di efficacia *</label>
+                <input type="date" value={form.date} onChange={set('date')} className="input" required />
+              </div>
+            </div>
+            <div>
+              <label style={label}>
+                {form.type === 'spin_off' ? 'Azioni madre : azioni ricevute *' : 'Rapporto (vecchie : nuove) *'}
+              </label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <input type="number" step="any" min="0" value={form.ratioFrom} onChange={set('ratioFrom')} className="input" required />
+                <span style={{ fontWeight: 700, color: '#888' }}>:</span>
+                <input type="number" step="any" min="0" value={form.ratioTo} onChange={set('ratioTo')} className="input" required />
+              </div>
+              <p style={{ fontSize: '0.68rem', color: '#999', marginTop: 4 }}>
+                {form.type === 'split' && 'Es. 1:4 → ogni azione diventa 4 azioni'}
+                {form.type === 'reverse_split' && 'Es. 10:1 → 10 azioni diventano 1 azione'}
+                {form.type === 'rename' && 'Concambio: es. 1:1 per un semplice cambio ticker, 2:1 se 2 vecchie azioni diventano 1 nuova'}
+                {form.type === 'spin_off' && 'Es. 3:1 → 1 azione della scorporata ogni 3 azioni della madre'}
+              </p>
+            </div>
+            {needsNewTicker && (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+                <div>
+                  <label style={label}>Nuovo ticker *</label>
+                  <input value={form.newTicker} onChange={set('newTicker')} className="input" required />
+                </div>
+                <div>
+                  <label style={label}>Nuovo nome</label>
+                  <input value={form.newName} onChange={set('newName')} className="input" />
+                </div>
+                <div>
+                  <label style={label}>Nuovo ISIN</label>
+                  <input value={form.newIsin} onChange={(e) => setForm({ ...form, newIsin: e.target.value.toUpperCase() })} className="input" />
+                </div>
+              </div>
+            )}
+            {form.type === 'spin_off' && (
+              <div>
+                <label style={label}>Quota del costo di carico attribuita alla scorporata (%) *</label>
+                <input type="number" step="any" min="0" max="99.99" value={form.costFractionPct} onChange={set('costFractionPct')} className="input" placeholder="es. 12.5" required />
+                <p style={{ fontSize: '0.68rem', color: '#999', marginTop: 4 }}>
+                  Indicata dall'emittente o dal broker (rapporto tra i valori di mercato dopo lo scorporo)
+                </p>
+              </div>
+            )}
+            <div>
+              <label style={label}>Note</label>
+              <input value={form.notes} onChange={set('notes')} className="input" />
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, paddingTop: 4 }}>
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">Annulla</button>
+              <button type="submit" className="btn-primary">{editingId ? 'Salva modifiche' : 'Aggiungi'}</button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div style={{ flex: 1, overflowY: 'auto', padding: '12px 16px', display: 'flex', flexDirection: 'column', gap: 8 }}>
+              {sorted.length === 0 ? (
+                <div style={{ textAlign: 'center', color: '#999', fontSize: '0.85rem', padding: '32px' }}>Nessuna operazione societaria registrata.</div>
+              ) : sorted.map(a => (
+                <div key={a.id} style={{ display: 'flex', alignItems: 'center', gap: 12, padding: '12px 14px', borderRadius: 10, border: '1px solid #f0f0f0', background: '#fafafa' }}>
+                  <div style={{ width: 36, height: 36, borderRadius: 8, background: 'linear-gradient(135deg,#BF5AF2,#0A84FF)', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
+                    <GitBranch size={15} color="#fff" />
+                  </div>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: 700, fontSize: '0.82rem' }}>
+                      {a.ticker} · {describeCorporateAction(a)}
+                    </div>
+                    <div style={{ fontSize: '0.68rem', color: '#888', marginTop: 1 }}>
+                      {CORPORATE_ACTION_TYPES[a.type]?.label} · efficace dal {new Date(a.date).toLocaleDateString('it-IT')}
+                      {a.notes && ` · ${a.notes}`}
+                    </div>
+                  </div>
+                  <button onClick={() => openEdit(a)} style={{ padding: 6, border: 'none', background: 'none', cursor: 'pointer', color: '#0A84FF' }}>
+                    <Edit2 size={15} />
+                  </button>
+                  <button onClick={() => handleDelete(a)} style={{ padding: 6, border: 'none', background: 'none', cursor: 'pointer', color: '#cc2222' }}>
+                    <Trash2 size={15} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div style={{ padding: '12px 24px', borderTop: '1px solid #f0f0f0', display: 'flex', justifyContent: 'flex-end' }}>
+              <button onClick={openNew} className="btn-primary flex items-center gap-2">
+                <Plus className="w-4 h-4" /> Nuova operazione
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+/**
+ * DecumulationSimulator — quanto dura il portafoglio attuale in pensione.
+ * Strategie di prelievo e sorgenti dei rendimenti in decumulationService;
+ * il capitale di partenza è il valore di portfolioSnapshot.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  AreaChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ComposedChart,
+} from 'recharts';
+import { Play, RefreshCw, AlertTriangle } from 'lucide-react';
+import { portfolioSnapshot } from '../services/localStorageService';
+import { getCachedPrices } from '../services/priceCache';
+import { formatMoney } from '../services/currencyService';
+import {
+  WITHDRAWAL_STRATEGIES, DECUMULATION_SOURCES, DEFAULT_DECUMULATION_PARAMS,
+  loadPortfolioReturnHistory, runDecumulation,
+} from '../services/decumulationService';
+
+const fmtMoney = (v) => (Math.abs(v) >= 1_000_000 ? `${formatMoney(v / 1_000_000)}M` : formatMoney(v, { decimals: 0 }));
+
+const inputStyle = {
+  background: 'var(--surface-2, rgba(255,255,255,0.06))',
+  border: '1px solid var(--border, rgba(255,255,255,0.1))',
+  borderRadius: 8,
+  padding: '7px 10px',
+  fontSize: '0.95rem',
+  fontWeight: 700,
+  color: 'var(--text-1)',
+  outline: 'none',
+  width: '100%',
+};
+const labelStyle = {
+  fontSize: '0.68rem',
+  fontWeight: 600,
+  color: 'var(--analysis-dim)',
+  textTransform: 'uppercase',
+  letterSpacing: '0.06em',
+  display: 'block',
+  marginBottom: 6,
+};
+
+function NumberField({ label, value, onChange, step = 1, min, max, disabled }) {
+  return (
+    <div style={{ opacity: disabled ? 0.45 : 1 }}>
+      <label style={labelStyle}>{label}</label>
+      <input type="number" value={value} step={step} min={min} max={max} disabled={disabled}
+        onChange={e => onChange(Number(e.target.value))} style={inputStyle} />
+    </div>
+  );
+}
+
+function Stat({ label, value, sub, color }) {
+  return (
+    <div style={{ flex: 1, minWidth: 150, padding: '14px 16px', borderRadius: 14, background: 'var(--surface-2)', border: '1px solid var(--border)' }}>
+      <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 4 }}>{label}</div>
+      <div style={{ fontSize: '1.35rem', fontWeight: 900, color: color || 'var(--text-1)', lineHeight: 1.1 }}>{value}</div>
+      {sub && <div style={{ fontSize: '0.66rem', color: 'var(--text-3)', marginTop: 4 }}>{sub}</div>}
+    </div>
+  );
+}
+
+function BandTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div style={{
+      background: 'var(--surface-1, #1c1c1e)', border: '1px solid rgba(255,255,255,0.12)',
+      borderRadius: 10, padding: '10px 14px', fontSize: '0.78rem', minWidth: 200,
+    }}>
+      <div style={{ fontWeight: 700, marginBottom: 6, color: 'var(--text-1)' }}>Anno {label}</div>
+      {[
+        { label: 'Capitale 90°', value: d.p90, color: '#30D158' },
+        { label: 'Capitale mediano', value: d.p50, color: '#0A84FF' },
+        { label: 'Capitale 10°', value: d.p10, color: '#FF453A' },
+        { label: 'Prelievo mediano', value: d.withdrawalP50, color: '#FF9F0A' },
+      ].filter(r => r.value != null).map(r => (
+        <div key={r.label} style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
+          <span style={{ color: r.color }}>{r.label}</span>
+          <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoney(r.value)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function DecumulationSimulator() {
+  const snapshot = useMemo(() => portfolioSnapshot(getCachedPrices() || {}), []);
+  const [capital, setCapital] = useState(() => Math.round(snapshot.totalValue));
+  const [params, setParams] = useState(DEFAULT_DECUMULATION_PARAMS);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const set = (key) => (value) => setParams(p => ({ ...p, [key]: value }));
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPortfolioReturnHistory(snapshot.holdings)
+      .then(h => { if (!cancelled) setHistory(h); })
+      .catch(err => { if (!cancelled) setError(`Storico non disponibile: ${err.message}`); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [snapshot]);
+
+  const run = () => {
+    setError(null);
+    try {
+      const res = runDecumulation(capital, history, params);
+      if (res.seed !== null && params.seed === '') setParams(p => ({ ...p, seed: String(res.seed) }));
+      setResult(res);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const successColor = !result ? null
+    : result.successRate >= 95 ? '#30D158' : result.successRate >= 80 ? '#FF9F0A' : '#FF453A';
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+      {/* Capitale di partenza */}
+      <div style={{ padding: '14px 16px', borderRadius: 14, background: 'rgba(10,132,255,0.07)', border: '1px solid rgba(10,132,255,0.2)', fontSize: '0.8rem', color: 'var(--text-2)' }}>
+        Capitale di partenza: valore attuale del portafoglio <strong style={{ color: '#0A84FF' }}>{fmtMoney(snapshot.totalValue)}</strong>
+        {snapshot.hasUnpriced && ` (${snapshot.unpriced.length} titoli al costo di carico: aggiorna i prezzi dalla Dashboard)`}.
+        {loading && ' Caricamento dello storico dei rendimenti…'}
+        {history && ` Storico del portafoglio: ${history.returns.length} mesi (${history.months[0] || '-'} → ${history.months[history.months.length - 1] || '-'}), pesi attuali, proxy prima della quotazione.`}
+      </div>
+
+      {/* Strategia */}
+      <div>
+        <label style={labelStyle}>Strategia di prelievo</label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 8 }}>
+          {Object.entries(WITHDRAWAL_STRATEGIES).map(([key, s]) => {
+            const active = params.strategy === key;
+            return (
+              <button key={key} onClick={() => set('strategy')(key)} style={{
+                textAlign: 'left', padding: '10px 12px', borderRadius: 12, cursor: 'pointer',
+                border: `1.5px solid ${active ? '#BF5AF2' : 'var(--border)'}`,
+                background: active ? 'rgba(191,90,242,0.1)' : 'var(--surface-2)',
+              }}>
+                <div style={{ fontSize: '0.82rem', fontWeight: 700, color: active ? '#BF5AF2' : 'var(--text-1)' }}>{s.label}</div>
+                <div style={{ fontSize: '0.66rem', color: 'var(--text-3)', marginTop: 3, lineHeight: 1.4 }}>{s.description}</div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Parametri */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: 12 }}>
+        <NumberField label="Capitale (€)" value={capital} step={10000} min={0} onChange={setCapital} />
+        <NumberField label="Anni di pensione" value={params.years} min={5} max={60} onChange={set('years')} />
+        <NumberField label="Tasso prelievo (%)" value={params.withdrawalRate} step={0.25} min={0.5} max={15}
+          onChange={set('withdrawalRate')} disabled={params.strategy === 'vpw'} />
+        <NumberField label="Inflazione (%/anno)" value={params.inflation} step={0.1} onChange={set('inflation')} />
+        {params.strategy === 'guardrails' && (
+          <>
+            <NumberField label="Banda guardrail (%)" value={params.guardrailBand} step={5} min={5} max={50} onChange={set('guardrailBand')} />
+            <NumberField label="Taglio / aumento (%)" value={params.guardrailAdjust} step={1} min={1} max={30} onChange={set('guardrailAdjust')} />
+          </>
+        )}
+        {params.strategy === 'vpw' && (
+          <NumberField label="Rendimento reale VPW (%)" value={params.vpwReturn} step={0.5} min={0} max={8} onChange={set('vpwReturn')} />
+        )}
+      </div>
+
+      {/* Sorgente rendimenti */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'flex-end' }}>
+        <div style={{ display: 'flex', gap: 6 }}>
+          {Object.entries(DECUMULATION_SOURCES).map(([key, s]) => (
+            <button key={key} title={s.description} onClick={() => set('source')(key)} style={{
+              padding: '8px 14px', borderRadius: 30, border: 'none', cursor: 'pointer', fontSize: '0.8rem',
+              fontWeight: params.source === key ? 700 : 500,
+              background: params.source === key ? '#0A84FF' : 'var(--surface-2)',
+              color: params.source === key ? '#fff' : 'var(--text-2)',
+              outline: params.source === key ? 'none' : '1px solid var(--border)',
+            }}>{s.label}</button>
+          ))}
+        </div>
+        {params.source === 'bootstrap' && (
+          <>
+            <div style={{ width: 120 }}><NumberField label="Simulazioni" value={params.simulations} step={500} min={100} max={10000} onChange={set('simulations')} /></div>
+            <div style={{ width: 120 }}><NumberField label="Blocco (mesi)" value={params.blockMonths} min={1} max={60} onChange={set('blockMonths')} /></div>
+            <div style={{ width: 120 }}>
+              <label style={labelStyle}>Seed</label>
+              <input type="text" value={params.seed} placeholder="casuale"
+                onChange={e => set('seed')(e.target.value.trim())} style={inputStyle} />
+            </div>
+          </>
+        )}
+        <button onClick={run} disabled={loading || !history} style={{
+          marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 8,
+          padding: '10px 22px', borderRadius: 50, border: 'none', cursor: loading || !history ? 'default' : 'pointer',
+          background: '#BF5AF2', color: '#fff', fontSize: '0.88rem', fontWeight: 700,
+          opacity: loading || !history ? 0.5 : 1, boxShadow: '0 4px 16px rgba(191,90,242,0.35)',
+        }}>
+          {loading ? <RefreshCw size={15} className="animate-spin" /> : <Play size={15} />}
+          Simula decumulo
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '10px 14px', borderRadius: 10, background: 'rgba(255,69,58,0.08)', border: '1px solid rgba(255,69,58,0.3)', fontSize: '0.8rem', color: '#FF453A' }}>
+          <AlertTriangle size={15} /> {error}
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10 }}>
+            <Stat label="Tasso di successo" value={`${result.successRate.toFixed(1)}%`} color={successColor}
+              sub={`${result.paths} ${result.source === 'bootstrap' ? 'simulazioni' : 'mesi di partenza'}`} />
+            <Stat label="Capitale finale mediano" value={fmtMoney(result.medianTerminal)}
+              sub={`10° ${fmtMoney(result.terminalP10)} · 90° ${fmtMoney(result.terminalP90)}`} />
+            <Stat label="Esaurimento peggiore" color={result.worstDepletionYear ? '#FF453A' : '#30D158'}
+              value={result.worstDepletionYear ? `Anno ${result.worstDepletionYear}` : 'Mai'}
+              sub={result.worstStart ? `Partenza peggiore: ${result.worstStart}` : result.medianDepletionYear ? `Mediana esaurimenti: anno ${result.medianDepletionYear}` : null} />
+            <Stat label="Prelievo annuo" value={fmtMoney(result.medianWithdrawal)}
+              sub={`Primo anno ${fmtMoney(result.firstYearWithdrawal)} · anni peggiori ${fmtMoney(result.lowWithdrawal)}`} />
+          </div>
+
+          {result.sequenceRisk.failedEarlyReturn !== null && (
+            <div style={{ padding: '10px 14px', borderRadius: 10, background: 'rgba(255,159,10,0.07)', border: '1px solid rgba(255,159,10,0.3)', fontSize: '0.78rem', color: 'var(--text-2)', lineHeight: 1.5 }}>
+              <strong style={{ color: '#FF9F0A' }}>Rischio di sequenza:</strong> nei primi {result.sequenceRisk.years} anni le traiettorie
+              che esauriscono il capitale rendono in mediana {result.sequenceRisk.failedEarlyReturn.toFixed(1)}% reale l'anno,
+              quelle che arrivano in fondo {result.sequenceRisk.succeededEarlyReturn?.toFixed(1) ?? '–'}%.
+              Sono i primi anni di pensione a decidere l'esito.
+            </div>
+          )}
+
+          <div>
+            <div style={{ fontSize: '0.85rem', fontWeight: 700, marginBottom: 8 }}>Capitale residuo e prelievi (€ di oggi)</div>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={result.bands}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                <XAxis dataKey="year" tick={{ fontSize: 11 }} tickFormatter={y => `${y}a`} />
+                <YAxis tick={{ fontSize: 11 }} tickFormatter={v => fmtMoney(v)} width={70} />
+                <Tooltip content={<BandTooltip />} />
+                <Area type="monotone" dataKey="p90" stroke="#30D158" fill="rgba(48,209,88,0.08)" strokeWidth={1} />
+                <Area type="monotone" dataKey="p50" stroke="#0A84FF" fill="rgba(10,132,255,0.12)" strokeWidth={2} />
+                <Area type="monotone" dataKey="p10" stroke="#FF453A" fill="rgba(255,69,58,0.10)" strokeWidth={1} />
+                <Line type="monotone" dataKey="withdrawalP50" stroke="#FF9F0A" strokeWidth={2} dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          {Object.keys(result.depletionByYear).length > 0 && (
+            <div>
+              <div style={{ fontSize: '0.85rem', fontWeight: 700, marginBottom: 8 }}>Anno di esaurimento</div>
+              <ResponsiveContainer width="100%" height={160}>
+                <AreaChart data={Array.from({ length: params.years }, (_, i) => ({
+                  year: i + 1,
+                  share: ((result.depletionByYear[i + 1] || 0) / result.paths) * 100,
+                }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.06)" />
+                  <XAxis dataKey="year" tick={{ fontSize: 11 }} tickFormatter={y => `${y}a`} />
+                  <YAxis tick={{ fontSize: 11 }} tickFormatter={v => `${v.toFixed(0)}%`} width={40} />
+                  <Tooltip formatter={v => [`${v.toFixed(1)}%`, 'Traiettorie esaurite']} labelFormatter={y => `Anno ${y}`} />
+                  <Area type="stepAfter" dataKey="share" stroke="#FF453A" fill="rgba(255,69,58,0.15)" />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div style={{ fontSize: '0.68rem', color: 'var(--text-3)', lineHeight: 1.5 }}>
+            Rendimenti mensili del portafoglio con i pesi di oggi, deflazionati al {params.inflation}% annuo; prelievi mensili,
+            ricalcolati a inizio anno. {result.source === 'bootstrap' ? `Seed ${result.seed}.` : `Le partenze recenti usano finestre circolari sullo storico di ${result.historyMonths} mesi.`}
+            {' '}Niente tasse né costi di transazione: i risultati passati non garantiscono quelli futuri.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * GlidePathSimulator — quanti mesi di PAC servono per rientrare nella banda.
+ * Versamenti indirizzati ai sottopesati contro PAC alle percentuali fisse;
+ * il calendario si esporta come override mensili del template (pacService).
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Route, AlertCircle, Check, Upload } from 'lucide-react';
+import { getPACTemplates, setPACMonthlyOverrides } from '../services/pacService';
+import { fetchMultiplePrices } from '../services/priceService';
+import { buildTickerTargets, getCommissionModel } from '../services/rebalancePlannerService';
+import { getRebalanceThreshold, simulateGlidePath, scheduleToPACOverrides } from '../services/glidePathService';
+import { format, parseISO } from 'date-fns';
+import { it } from 'date-fns/locale';
+
+const eur = (v) => `€${Math.round(v || 0).toLocaleString('it-IT')}`;
+
+const monthLabel = (key) => format(parseISO(`${key}-01`), 'MMM yyyy', { locale: it });
+
+export default function GlidePathSimulator({ portfolio, strategy, fractionalETF }) {
+  const templates = useMemo(() => getPACTemplates().filter(t => t.isActive !== false), []);
+  const [templateId, setTemplateId] = useState(templates[0]?.id || '');
+  const [threshold, setThreshold] = useState(() => getRebalanceThreshold());
+  const [expectedPrices, setExpectedPrices] = useState(true);
+  const [extraPrices, setExtraPrices] = useState({});
+  const [exported, setExported] = useState(null);
+
+  const template = templates.find(t => t.id === templateId);
+  const { items } = useMemo(
+    () => buildTickerTargets(portfolio, strategy?.microAllocation || {}),
+    [portfolio, strategy]
+  );
+
+  // Prezzi dei ticker del PAC non ancora in portafoglio
+  const missingKey = (template?.allocations || [])
+    .map(a => a.ticker)
+    .filter(t => !items.some(i => i.ticker === t))
+    .join('|');
+
+  useEffect(() => {
+    if (!missingKey) return;
+    let cancelled = false;
+    const tickers = missingKey.split('|');
+    const categories = Object.fromEntries(template.allocations.map(a => [a.ticker, a.macroCategory]));
+    fetchMultiplePrices(tickers, categories)
+      .then(prices => {
+        if (cancelled) return;
+        const found = {};
+        tickers.forEach(t => { if (prices[t]?.price) found[t] = prices[t].price; });
+        setExtraPrices(found);
+      })
+      .catch(err => console.warn('⚠️ Prezzi PAC non disponibili:', err.message));
+    return () => { cancelled = true; };
+  }, [missingKey]);
+
+  const result = useMemo(() => {
+    if (!template || items.length === 0) return null;
+    return simulateGlidePath({
+      items,
+      template,
+      threshold,
+      fractionalETF,
+      commission: getCommissionModel(),
+      expectedPrices,
+      prices: extraPrices,
+    });
+  }, [items, template, threshold, fractionalETF, expectedPrices, extraPrices]);
+
+  useEffect(() => { setExported(null); }, [templateId, threshold, fractionalETF, expectedPrices]);
+
+  const handleExport = () => {
+    const overrides = scheduleToPACOverrides(result.schedule, items);
+    try {
+      setPACMonthlyOverrides(template.id, overrides);
+      setExported(Object.keys(overrides).length);
+    } catch (error) {
+      alert(`Errore nell'esportazione: ${error.message}`);
+    }
+  };
+
+  if (templates.length === 0) {
+    return (
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-2">
+          <Route className="w-5 h-5 text-primary-600" />
+          Glide Path con PAC
+        </h3>
+        <p className="text-sm text-gray-600">
+          Nessun PAC attivo: crea un template nella pagina <a href="/pac" className="text-primary-600 underline">PAC</a> per
+          simulare il rientro nella banda con i soli versamenti.
+        </p>
+      </div>
+    );
+  }
+
+  const chartData = (result?.schedule || []).map(s => ({
+    month: monthLabel(s.month),
+    glide: parseFloat(s.drift.toFixed(2)),
+    fixed: parseFloat(s.baselineDrift.toFixed(2)),
+  }));
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between flex-wrap gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <Route className="w-5 h-5 text-primary-600" />
+            Glide Path con PAC
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Mesi di versamenti necessari per tornare entro ±{threshold}% dai target MICRO, senza vendere
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">PAC</span>
+            <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className="input w-auto py-1">
+              {templates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Banda (pp)</span>
+            <input type="number" min="0.5" max="50" step="0.5" value={threshold}
+              onChange={(e) => setThreshold(parseFloat(e.target.value) || 0)} className="input w-20 py-1" />
+          </label>
+          <label className="flex items-center gap-2 pb-1.5">
+            <input type="checkbox" checked={expectedPrices} onChange={(e) => setExpectedPrices(e.target.checked)} />
+            <span className="text-gray-600">Prezzi ai rendimenti attesi</span>
+          </label>
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Scostamento attuale</p>
+              <p className={`text-xl font-bold ${result.startDrift > threshold ? 'text-orange-600' : 'text-success-700'}`}>
+                {result.startDrift.toFixed(1)} pp
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Versamento mensile</p>
+              <p className="text-xl font-bold text-gray-900">{eur(result.monthlyAmount)}</p>
+            </div>
+            <div className="bg-primary-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Mesi con glide path</p>
+              <p className="text-xl font-bold text-primary-700">
+                {result.monthsNeeded === null ? `> ${chartData.length}` : result.monthsNeeded}
+              </p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Mesi con PAC fisso</p>
+              <p className="text-xl font-bold text-gray-700">
+                {result.baselineMonths === null ? 'non rientra' : result.baselineMonths}
+              </p>
+            </div>
+          </div>
+
+          {result.monthsNeeded === 0 ? (
+            <div className="bg-success-50 border border-success-200 rounded-lg p-3 flex items-center gap-2">
+              <Check className="w-4 h-4 text-success-600" />
+              <p className="text-sm text-success-700">Il portafoglio è già entro la banda: il PAC può restare alle percentuali del template.</p>
+            </div>
+          ) : result.schedule.length === 0 ? (
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 text-orange-600" />
+              <p className="text-sm text-orange-700">Importo del PAC nullo: impossibile simulare il rientro.</p>
+            </div>
+          ) : (
+            <>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="month" tick={{ fontSize: 11 }} />
+                  <YAxis tick={{ fontSize: 11 }} unit=" pp" />
+                  <Tooltip formatter={(v) => `${v} pp`} />
+                  <Legend />
+                  <ReferenceLine y={threshold} stroke="#f59e0b" strokeDasharray="4 4" />
+                  <Line type="monotone" dataKey="glide" name="Glide path" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                  <Line type="monotone" dataKey="fixed" name="PAC fisso" stroke="#9ca3af" strokeWidth={2} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+
+              <div className="mt-4 overflow-x-auto max-h-96 overflow-y-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Mese</th>
+                      <th>Ordini</th>
+                      <th className="text-right">Investito</th>
+                      <th className="text-right">Residuo</th>
+                      <th className="text-right">Scostamento</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.schedule.map(s => (
+                      <tr key={s.month}>
+                        <td className="font-medium whitespace-nowrap">{monthLabel(s.month)}</td>
+                        <td className="text-sm">
+                          {s.orders.length === 0
+                            ? <span className="text-gray-400">accumula liquidità</span>
+                            : s.orders.map(o => `${o.ticker} × ${Number.isInteger(o.units) ? o.units : o.units.toFixed(3)}`).join(' · ')}
+                        </td>
+                        <td className="text-right">{eur(s.invested)}</td>
+                        <td className="text-right text-gray-500">{eur(s.cashLeft)}</td>
+                        <td className={`text-right font-medium ${s.drift > threshold ? 'text-orange-600' : 'text-success-700'}`}>
+                          {s.drift.toFixed(1)} pp
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="mt-4 flex items-center justify-between flex-wrap gap-3">
+                <p className="text-xs text-gray-500">
+                  L'esportazione salva le percentuali di ogni mese come override del template «{template.name}»:
+                  l'esecuzione del PAC le userà al posto di quelle standard.
+                </p>
+                {exported !== null ? (
+                  <span className="text-sm text-success-700 flex items-center gap-1">
+                    <Check className="w-4 h-4" /> {exported} mesi esportati
+                  </span>
+                ) : (
+                  <button onClick={handleExport} className="btn-primary flex items-center gap-2">
+                    <Upload className="w-4 h-4" />
+                    Esporta nel PAC
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+/**
+ * ImportPreviewEditor — anteprima import modificabile riga per riga.
+ * Ticker, tipo, categoria, data, quantità, prezzo e commissioni; unione e
+ * divisione di righe; risoluzione dei ticker sconosciuti (tickerResolutionService).
+ */
+import React, { useState, useMemo } from 'react';
+import { Scissors, Trash2, Merge, Search, X } from 'lucide-react';
+import { TRANSACTION_TYPE_INFO } from '../config/transactionTypes';
+import { getAllMacroCategories, getMicroCategoriesForMacro } from '../config/assetCategoriesData';
+import { getAssetInfo } from '../config/assetTickerMapping';
+import { resolveUnknownTicker } from '../services/tickerResolutionService';
+import { updateRow, replaceTicker, mergeRows, splitRow } from '../services/importReviewService';
+
+const PAGE_SIZE = 100;
+
+const cellInput = {
+  width: '100%', fontSize: '0.72rem', padding: '3px 5px', borderRadius: 5,
+  border: '1px solid var(--border)', background: 'var(--surface-1)', color: 'var(--text-1)',
+};
+
+const MATCH_LABELS = {
+  exchange_variant: 'Altra borsa',
+  profile_match: 'Stesso indice',
+};
+
+// Marcatore di affidabilità per i campi estratti da PDF (assente = letto con certezza)
+function ConfidenceMark({ level }) {
+  if (!level || level === 'high') return null;
+  return (
+    <span
+      title={level === 'low' ? 'Non trovato nel documento: verifica il valore' : 'Ricavato indirettamente: verifica il valore'}
+      style={{ color: level === 'low' ? '#FF453A' : '#FF9F0A', marginLeft: 3, fontWeight: 800, cursor: 'help' }}
+    >●</span>
+  );
+}
+
+const needsReview = (row, unknownSet, duplicateIds) =>
+  duplicateIds.has(row.previewId) ||
+  unknownSet.has((row.ticker || '').toUpperCase()) ||
+  Object.values(row.fieldConfidence || {}).some(c => c !== 'high') ||
+  !(row.price > 0) || !(row.quantity > 0);
+
+export default function ImportPreviewEditor({ rows, onChange, duplicateIds = new Set(), unknownTickers = [] }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const [onlyReview, setOnlyReview] = useState(false);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [resolving, setResolving] = useState(null); // ticker con il pannello suggerimenti aperto
+
+  const unknownSet = useMemo(() => new Set(unknownTickers.map(u => (u.ticker || '').toUpperCase())), [unknownTickers]);
+  const toReview = useMemo(() => rows.filter(r => needsReview(r, unknownSet, duplicateIds)), [rows, unknownSet, duplicateIds]);
+  const visible = (onlyReview ? toReview : rows).slice(0, limit);
+
+  const resolution = useMemo(() => {
+    if (!resolving) return null;
+    const row = rows.find(r => (r.ticker || '').toUpperCase() === resolving);
+    return resolveUnknownTicker(row?.ticker || resolving, row?.name || '');
+  }, [resolving, rows]);
+
+  const edit = (id, changes) => onChange(rows.map(r => (r.previewId === id ? updateRow(r, changes) : r)));
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelected(next);
+  };
+
+  const handleMerge = () => {
+    const picked = rows.filter(r => selected.has(r.previewId));
+    try {
+      const merged = mergeRows(picked);
+      const firstIdx = rows.findIndex(r => selected.has(r.previewId));
+      const rest = rows.filter(r => !selected.has(r.previewId));
+      rest.splice(Math.min(firstIdx, rest.length), 0, merged);
+      onChange(rest);
+      setSelected(new Set());
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleSplit = (row) => {
+    const input = window.prompt(`Quantità della prima parte (totale ${row.quantity}):`, String(row.quantity / 2));
+    if (input === null) return;
+    try {
+      const parts = splitRow(row, parseFloat(String(input).replace(',', '.')));
+      const idx = rows.findIndex(r => r.previewId === row.previewId);
+      onChange([...rows.slice(0, idx), ...parts, ...rows.slice(idx + 1)]);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDelete = (id) => {
+    onChange(rows.filter(r => r.previewId !== id));
+    if (selected.has(id)) toggle(id);
+  };
+
+  const applySuggestion = (to) => {
+    onChange(replaceTicker(rows, resolving, to));
+    setResolving(null);
+  };
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap', marginBottom: 8 }}>
+        <div style={{ fontSize: '0.75rem', fontWeight: 600, color: 'var(--text-2)' }}>
+          {rows.length} righe · modifica i valori direttamente nella tabella
+        </div>
+        <div style={{ flex: 1 }} />
+        <label style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: '0.72rem', color: toReview.length ? '#FF9F0A' : 'var(--text-3)', cursor: 'pointer' }}>
+          <input type="checkbox" checked={onlyReview} onChange={e => setOnlyReview(e.target.checked)} />
+          Solo da verificare ({toReview.length})
+        </label>
+        <button
+          onClick={handleMerge}
+          disabled={selected.size < 2}
+          style={{ display: 'flex', alignItems: 'center', gap: 4, padding: '4px 10px', borderRadius: 7, border: '1px solid var(--border)', background: selected.size >= 2 ? '#0A84FF' : 'var(--surface-2)', color: selected.size >= 2 ? '#fff' : 'var(--text-3)', fontSize: '0.72rem', fontWeight: 600, cursor: selected.size >= 2 ? 'pointer' : 'not-allowed' }}
+        >
+          <Merge size={12} /> Unisci selezionate{selected.size > 0 ? ` (${selected.size})` : ''}
+        </button>
+      </div>
+
+      {/* Risoluzione ticker */}
+      {resolution && (
+        <div style={{ padding: '10px 12px', borderRadius: 10, background: 'rgba(10,132,255,0.06)', border: '1px solid rgba(10,132,255,0.25)', marginBottom: 8 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 }}>
+            <Search size={13} color="#0A84FF" />
+            <span style={{ fontSize: '0.78rem', fontWeight: 700, color: 'var(--text-1)' }}>
+              Alternative per {resolution.originalTicker}
+            </span>
+            {resolution.originalName && <span style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>{resolution.originalName}</span>}
+            <div style={{ flex: 1 }} />
+            <button onClick={() => setResolving(null)} style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--text-3)' }}>
+              <X size={14} />
+            </button>
+          </div>
+          {resolution.hasSuggestions ? (
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {resolution.suggestions.map(s => (
+                <button
+                  key={s.ticker}
+                  onClick={() => applySuggestion(s.ticker)}
+                  style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start', gap: 1, padding: '5px 10px', borderRadius: 8, border: '1px solid var(--border)', background: 'var(--surface-1)', cursor: 'pointer', textAlign: 'left' }}
+                >
+                  <span style={{ fontSize: '0.75rem', fontWeight: 700, color: '#0A84FF' }}>
+                    {s.exchangeInfo?.flag} {s.ticker}
+                  </span>
+                  <span style={{ fontSize: '0.64rem', color: 'var(--text-3)' }}>
+                    {MATCH_LABELS[s.matchType] || s.matchType}
+                    {getAssetInfo(s.ticker)?.name ? ` · ${getAssetInfo(s.ticker).name.slice(0, 28)}` : ''}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div style={{ fontSize: '0.72rem', color: 'var(--text-2)' }}>
+              Nessuna alternativa nel database: correggi il ticker a mano nella tabella.
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto', maxHeight: 360, overflowY: 'auto', border: '1px solid var(--border)', borderRadius: 10 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.72rem' }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--surface-2)', zIndex: 1 }}>
+            <tr style={{ borderBottom: '1.5px solid var(--border)' }}>
+              {['', 'Ticker', 'Data', 'Tipo', 'Categoria', 'Quantità', 'Prezzo', 'Comm.', ''].map((h, i) => (
+                <th key={i} style={{ padding: '5px 6px', textAlign: 'left', color: 'var(--text-3)', fontWeight: 700, whiteSpace: 'nowrap', textTransform: 'uppercase', letterSpacing: '0.04em', fontSize: '0.62rem' }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((tx, i) => {
+              const conf = tx.fieldConfidence || {};
+              const isUnknown = unknownSet.has((tx.ticker || '').toUpperCase());
+              const isDup = duplicateIds.has(tx.previewId);
+              const isCash = tx.isCash || tx.macroCategory === 'Cash';
+              return (
+                <tr key={tx.previewId} style={{ borderBottom: '1px solid var(--border)', background: isDup ? 'rgba(255,159,10,0.06)' : i % 2 === 0 ? 'transparent' : 'var(--surface-2)', opacity: isDup ? 0.7 : 1 }}>
+                  <td style={{ padding: '4px 6px' }}>
+                    <input type="checkbox" checked={selected.has(tx.previewId)} onChange={() => toggle(tx.previewId)} />
+                  </td>
+                  <td style={{ padding: '4px 6px', minWidth: 110 }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 3 }}>
+                      <input
+                        value={tx.ticker || ''}
+                        onChange={e => edit(tx.previewId, { ticker: e.target.value.toUpperCase() })}
+                        style={{ ...cellInput, fontWeight: 700, color: TRANSACTION_TYPE_INFO[tx.type]?.color || '#FF453A', borderColor: isUnknown ? '#FF9F0A' : 'var(--border)' }}
+                        title={tx.name}
+                      />
+                      {isUnknown && (
+                        <button onClick={() => setResolving((tx.ticker || '').toUpperCase())} title="Cerca un ticker equivalente"
+                          style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#FF9F0A', padding: 0 }}>
+                          <Search size={13} />
+                        </button>
+                      )}
+                      <ConfidenceMark level={conf.ticker} />
+                    </div>
+                    <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', maxWidth: 150, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', marginTop: 2 }}>
+                      {isDup && <span style={{ color: '#FF9F0A', fontWeight: 700 }}>duplicato · </span>}
+                      {tx.name}
+                    </div>
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <input type="date" value={tx.date || ''} onChange={e => edit(tx.previewId, { date: e.target.value })} style={{ ...cellInput, width: 118 }} />
+                    <ConfidenceMark level={conf.date} />
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <select value={tx.type} onChange={e => edit(tx.previewId, { type: e.target.value })} style={{ ...cellInput, width: 'auto' }}>
+                      {Object.entries(TRANSACTION_TYPE_INFO).map(([key, info]) => (
+                        <option key={key} value={key}>{info.label}</option>
+                      ))}
+                    </select>
+                    <ConfidenceMark level={conf.type} />
+                  </td>
+                  <td style={{ padding: '4px 6px', minWidth: 130 }}>
+                    <select value={tx.macroCategory || ''} onChange={e => edit(tx.previewId, { macroCategory: e.target.value })} style={cellInput} disabled={isCash}>
+                      {!getAllMacroCategories().includes(tx.macroCategory) && <option value={tx.macroCategory || ''}>{tx.macroCategory || '—'}</option>}
+                      {getAllMacroCategories().map(m => <option key={m} value={m}>{m}</option>)}
+                    </select>
+                    {!isCash && (
+                      <select value={tx.microCategory || ''} onChange={e => edit(tx.previewId, { microCategory: e.target.value })} style={{ ...cellInput, marginTop: 3 }}>
+                        <option value="">— micro —</option>
+                        {Object.keys(getMicroCategoriesForMacro(tx.macroCategory)).map(m => <option key={m} value={m}>{m}</option>)}
+                      </select>
+                    )}
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <input type="number" step="any" min="0" value={tx.quantity} onChange={e => edit(tx.previewId, { quantity: parseFloat(e.target.value) || 0 })} style={{ ...cellInput, width: 84, textAlign: 'right' }} />
+                    <ConfidenceMark level={conf.quantity} />
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <input type="number" step="any" min="0" value={tx.price} onChange={e => edit(tx.previewId, { price: parseFloat(e.target.value) || 0 })} disabled={isCash}
+                      style={{ ...cellInput, width: 84, textAlign: 'right', borderColor: tx.price > 0 ? 'var(--border)' : '#FF9F0A' }} />
+                    <ConfidenceMark level={conf.price} />
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <input type="number" step="any" min="0" value={tx.commission || 0} onChange={e => edit(tx.previewId, { commission: parseFloat(e.target.value) || 0 })} disabled={isCash}
+                      style={{ ...cellInput, width: 64, textAlign: 'right' }} />
+                    <ConfidenceMark level={conf.commission} />
+                  </td>
+                  <td style={{ padding: '4px 6px', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => handleSplit(tx)} title="Dividi riga" disabled={!(tx.quantity > 0)}
+                      style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'var(--text-3)', padding: 2 }}>
+                      <Scissors size={13} />
+                    </button>
+                    <button onClick={() => handleDelete(tx.previewId)} title="Escludi dall'import"
+                      style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#FF453A', padding: 2 }}>
+                      <Trash2 size={13} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {(onlyReview ? toReview : rows).length > limit && (
+        <button onClick={() => setLimit(l => l + PAGE_SIZE)}
+          style={{ display: 'block', margin: '6px auto 0', border: 'none', background: 'transparent', color: '#0A84FF', fontSize: '0.72rem', fontWeight: 600, cursor: 'pointer' }}>
+          Mostra altre {Math.min(PAGE_SIZE, (onlyReview ? toReview : rows).length - limit)} righe
+        </button>
+      )}
+      {Object.keys(rows[0]?.fieldConfidence || {}).length > 0 && (
+        <div style={{ fontSize: '0.68rem', color: 'var(--text-3)', marginTop: 6, display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+          <span><span style={{ color: '#FF9F0A', fontWeight: 800 }}>●</span> ricavato indirettamente</span>
+          <span><span style={{ color: '#FF453A', fontWeight: 800 }}>●</span> non trovato nel documento</span>
+        </div>
+      )}
+    </div>
+  );
+}
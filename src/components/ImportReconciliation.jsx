@@ -0,0 +1,120 @@
+/**
+ * ImportReconciliation — confronto tra le posizioni che l'import produrrà
+ * per un broker e le quantità / liquidità dell'estratto conto.
+ * Calcolo in importReviewService.reconcileImport; qui solo input e resa.
+ */
+import React from 'react';
+import { Scale, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { QUANTITY_TOLERANCE, CASH_TOLERANCE } from '../services/importReviewService';
+
+const fmtQty = (v) => (v === null || v === undefined ? '—' : v.toLocaleString('it-IT', { maximumFractionDigits: 6 }));
+const fmtEur = (v) => (v === null || v === undefined ? '—' : `€${v.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+const STATUS_COLORS = { ok: '#30D158', mismatch: '#FF453A', unchecked: 'var(--text-3)' };
+
+const inputStyle = (status) => ({
+  width: 110, fontSize: '0.74rem', padding: '4px 6px', borderRadius: 6, textAlign: 'right',
+  border: `1.5px solid ${status === 'mismatch' ? '#FF453A' : status === 'ok' ? '#30D158' : 'var(--border)'}`,
+  background: 'var(--surface-1)', color: 'var(--text-1)',
+});
+
+function DiffCell({ row, format }) {
+  if (row.status === 'unchecked') return <span style={{ color: 'var(--text-3)' }}>—</span>;
+  if (row.status === 'ok') return <CheckCircle2 size={14} color="#30D158" />;
+  return (
+    <span style={{ color: STATUS_COLORS.mismatch, fontWeight: 700 }}>
+      {row.diff > 0 ? '+' : ''}{format(row.diff)}
+    </span>
+  );
+}
+
+export default function ImportReconciliation({ result, statement, onStatementChange, platformLabel }) {
+  const setPosition = (ticker, value) =>
+    onStatementChange({ ...statement, positions: { ...(statement.positions || {}), [ticker.toUpperCase()]: value } });
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+        <Scale size={16} color="#0A84FF" style={{ flexShrink: 0, marginTop: 2 }} />
+        <div>
+          <div style={{ fontSize: '0.85rem', fontWeight: 700, color: 'var(--text-1)' }}>
+            Riconciliazione con l'estratto conto {platformLabel ? `di ${platformLabel}` : ''}
+          </div>
+          <div style={{ fontSize: '0.74rem', color: 'var(--text-2)', marginTop: 3, lineHeight: 1.5 }}>
+            Posizioni ricostruite dalle transazioni già salvate per questo broker più quelle in importazione.
+            Inserisci quantità e liquidità che leggi sull'estratto conto: le differenze oltre {QUANTITY_TOLERANCE} quote
+            o €{CASH_TOLERANCE} vengono evidenziate. I campi vuoti non sono verificati.
+          </div>
+        </div>
+      </div>
+
+      {result.checked > 0 && (
+        <div style={{
+          padding: '8px 12px', borderRadius: 10, fontSize: '0.76rem', fontWeight: 600, display: 'flex', alignItems: 'center', gap: 6,
+          background: result.mismatches > 0 ? 'rgba(255,69,58,0.06)' : 'rgba(48,209,88,0.08)',
+          border: `1px solid ${result.mismatches > 0 ? 'rgba(255,69,58,0.25)' : 'rgba(48,209,88,0.3)'}`,
+          color: result.mismatches > 0 ? '#FF453A' : '#1f9d45',
+        }}>
+          {result.mismatches > 0
+            ? <><AlertTriangle size={14} /> {result.mismatches} {result.mismatches === 1 ? 'differenza' : 'differenze'} su {result.checked} valori verificati: correggi le righe prima di importare</>
+            : <><CheckCircle2 size={14} /> Tutti i {result.checked} valori verificati coincidono</>}
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto', maxHeight: 340, overflowY: 'auto', border: '1px solid var(--border)', borderRadius: 10 }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.74rem' }}>
+          <thead style={{ position: 'sticky', top: 0, background: 'var(--surface-2)' }}>
+            <tr style={{ borderBottom: '1.5px solid var(--border)' }}>
+              {['Titolo', 'Calcolato', 'Estratto conto', 'Differenza'].map((h, i) => (
+                <th key={h} style={{ padding: '6px 8px', textAlign: i === 0 ? 'left' : 'right', color: 'var(--text-3)', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.04em', fontSize: '0.62rem' }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {result.rows.map(row => (
+              <tr key={row.ticker} style={{ borderBottom: '1px solid var(--border)', background: row.status === 'mismatch' ? 'rgba(255,69,58,0.05)' : 'transparent' }}>
+                <td style={{ padding: '6px 8px' }}>
+                  <div style={{ fontWeight: 700, color: 'var(--text-1)' }}>{row.ticker}</div>
+                  {row.name && row.name !== row.ticker && (
+                    <div style={{ fontSize: '0.64rem', color: 'var(--text-3)', maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{row.name}</div>
+                  )}
+                </td>
+                <td style={{ padding: '6px 8px', textAlign: 'right', color: row.computed < 0 ? '#FF453A' : 'var(--text-1)' }}>{fmtQty(row.computed)}</td>
+                <td style={{ padding: '6px 8px', textAlign: 'right' }}>
+                  <input
+                    type="number" step="any"
+                    value={statement.positions?.[row.ticker.toUpperCase()] ?? ''}
+                    onChange={e => setPosition(row.ticker, e.target.value)}
+                    placeholder="quote"
+                    style={inputStyle(row.status)}
+                  />
+                </td>
+                <td style={{ padding: '6px 8px', textAlign: 'right' }}><DiffCell row={row} format={fmtQty} /></td>
+              </tr>
+            ))}
+            <tr style={{ borderTop: '1.5px solid var(--border)', background: result.cash.status === 'mismatch' ? 'rgba(255,69,58,0.05)' : 'var(--surface-2)' }}>
+              <td style={{ padding: '6px 8px', fontWeight: 700, color: 'var(--text-1)' }}>Liquidità</td>
+              <td style={{ padding: '6px 8px', textAlign: 'right', color: result.cash.computed < 0 ? '#FF453A' : 'var(--text-1)' }}>{fmtEur(result.cash.computed)}</td>
+              <td style={{ padding: '6px 8px', textAlign: 'right' }}>
+                <input
+                  type="number" step="0.01"
+                  value={statement.cash ?? ''}
+                  onChange={e => onStatementChange({ ...statement, cash: e.target.value })}
+                  placeholder="€"
+                  style={inputStyle(result.cash.status)}
+                />
+              </td>
+              <td style={{ padding: '6px 8px', textAlign: 'right' }}><DiffCell row={result.cash} format={fmtEur} /></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {result.rows.some(r => r.computed < 0) && (
+        <div style={{ fontSize: '0.72rem', color: '#FF453A' }}>
+          ⚠️ Quantità negative: mancano acquisti precedenti (import parziale o trasferimento titoli da un altro broker).
+        </div>
+      )}
+    </div>
+  );
+}
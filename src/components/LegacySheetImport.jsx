@@ -0,0 +1,164 @@
+/**
+ * LegacySheetImport — migrazione dagli export del vecchio foglio Google Sheets.
+ * Archivio → snapshot mensili, Strategy → allocazione della Strategia;
+ * Transaction.csv si importa dalla pagina Transazioni (riconosciuto in automatico).
+ */
+import React, { useState, useRef } from 'react';
+import { FileSpreadsheet, Upload, Check, AlertCircle, Trash2 } from 'lucide-react';
+import { parseLegacySheetFile, importLegacySnapshots, applyLegacyStrategy, LEGACY_SOURCE } from '../services/legacySheetService';
+import { getMonthlySnapshots, deleteMonthlySnapshots } from '../services/monthlySnapshotService';
+
+const eur = (v) => `€${Math.round(v || 0).toLocaleString('it-IT')}`;
+const pct = (v) => `${(v || 0).toLocaleString('it-IT', { maximumFractionDigits: 2 })}%`;
+
+function ArchivePreview({ result, onImport, done }) {
+  const { snapshots, skipped } = result;
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-700">
+        {snapshots.length} mesi ({first?.month} → {last?.month}), {snapshots.reduce((s, x) => s + x.positions.length, 0)} posizioni.
+        Ultimo mese: {eur(last?.totalValue)} di cui {eur(last?.cashValue)} liquidità.
+      </p>
+      {skipped.length > 0 && <p className="text-xs text-orange-700">{skipped.length} righe ignorate (mese, anno o ticker mancanti)</p>}
+      {done
+        ? <p className="text-sm text-success-700 flex items-center gap-1"><Check className="w-4 h-4" />{done.added} mesi aggiunti, {done.replaced} aggiornati</p>
+        : <button onClick={onImport} disabled={!snapshots.length} className="btn-primary text-sm disabled:opacity-50">Importa snapshot mensili</button>}
+    </div>
+  );
+}
+
+function StrategyPreview({ result, onApply, done }) {
+  const { microAllocation, mapping, unmatched, total } = result;
+  const off = Math.abs(total - 100) >= 0.01;
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-2">Ticker</th>
+              <th className="py-1 pr-2">Micro asset (foglio)</th>
+              <th className="py-1 pr-2">Categoria app</th>
+              <th className="py-1 text-right">Target</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mapping.map(m => (
+              <tr key={m.ticker} className="border-b border-gray-100">
+                <td className="py-1 pr-2 font-medium">{m.ticker}</td>
+                <td className="py-1 pr-2 text-gray-600">{m.sheetMicro}</td>
+                <td className="py-1 pr-2">{m.micro} <span className="text-gray-400">({m.via})</span></td>
+                <td className="py-1 text-right">{pct(m.target)}</td>
+              </tr>
+            ))}
+            {unmatched.map(m => (
+              <tr key={m.ticker} className="border-b border-gray-100 bg-danger-50">
+                <td className="py-1 pr-2 font-medium">{m.ticker}</td>
+                <td className="py-1 pr-2 text-gray-600">{m.sheetMicro}</td>
+                <td className="py-1 pr-2 text-danger-700">Nessuna categoria corrispondente</td>
+                <td className="py-1 text-right">{pct(m.target)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-sm text-gray-700">
+        {Object.keys(microAllocation).length} categorie, totale <strong className={off ? 'text-orange-700' : ''}>{pct(total)}</strong>
+        {off && ' — correggi nella pagina Strategia prima di salvare'}
+      </p>
+      {done
+        ? <p className="text-sm text-success-700 flex items-center gap-1"><Check className="w-4 h-4" />Allocazione applicata alla Strategia</p>
+        : <button onClick={onApply} disabled={!mapping.length} className="btn-primary text-sm disabled:opacity-50">Applica alla Strategia</button>}
+    </div>
+  );
+}
+
+export default function LegacySheetImport() {
+  const [results, setResults] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [done, setDone] = useState({});
+  const [snapshotCount, setSnapshotCount] = useState(() => getMonthlySnapshots().filter(s => s.source === LEGACY_SOURCE).length);
+  const inputRef = useRef(null);
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const settled = await Promise.allSettled(files.map(parseLegacySheetFile));
+    setResults(settled.filter(s => s.status === 'fulfilled').map(s => s.value));
+    setErrors(settled.filter(s => s.status === 'rejected').map(s => s.reason.message));
+    setDone({});
+  };
+
+  const handleImportArchive = (result) => {
+    const summary = importLegacySnapshots(result.snapshots);
+    setDone(prev => ({ ...prev, [result.filename]: summary }));
+    setSnapshotCount(getMonthlySnapshots().filter(s => s.source === LEGACY_SOURCE).length);
+  };
+
+  const handleApplyStrategy = (result) => {
+    if (!window.confirm('L\'allocazione della Strategia verrà sostituita con quella del foglio. Continuare?')) return;
+    applyLegacyStrategy(result.microAllocation);
+    setDone(prev => ({ ...prev, [result.filename]: true }));
+  };
+
+  const handleDeleteSnapshots = () => {
+    if (!window.confirm(`Eliminare ${snapshotCount} snapshot mensili importati dal foglio?`)) return;
+    deleteMonthlySnapshots(LEGACY_SOURCE);
+    setSnapshotCount(0);
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center gap-2">
+        <FileSpreadsheet className="w-5 h-5" />
+        Migrazione da Google Sheets
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Carica gli export CSV del vecchio foglio: <strong>Archivio</strong> (o Timestamp portfolio) diventa lo storico mensile
+        del Diario Finanziario, <strong>Strategy</strong> l'allocazione della Strategia.
+        Transaction.csv si importa da Transazioni → Importa CSV, che lo riconosce in automatico.
+      </p>
+
+      <div className="flex flex-wrap gap-3 items-center">
+        <input ref={inputRef} type="file" accept=".csv" multiple onChange={handleFiles} className="hidden" />
+        <button onClick={() => inputRef.current?.click()} className="btn-secondary flex items-center gap-2">
+          <Upload className="w-4 h-4" />
+          Scegli file CSV
+        </button>
+        {snapshotCount > 0 && (
+          <button onClick={handleDeleteSnapshots} className="btn-secondary flex items-center gap-2">
+            <Trash2 className="w-4 h-4" />
+            Elimina {snapshotCount} snapshot importati
+          </button>
+        )}
+      </div>
+
+      {errors.map(msg => (
+        <p key={msg} className="text-sm text-danger-700 mt-3 flex items-center gap-1"><AlertCircle className="w-4 h-4" />{msg}</p>
+      ))}
+
+      {results.length > 0 && (
+        <div className="space-y-4 mt-4">
+          {results.map(result => (
+            <div key={result.filename} className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm font-semibold text-gray-900 mb-2">{result.filename}</p>
+              {result.kind === 'transactions' && (
+                <p className="text-sm text-gray-700">
+                  Foglio delle transazioni: importalo da Transazioni → Importa CSV per controllare le righe prima di salvarle.
+                </p>
+              )}
+              {result.kind === 'archive' && (
+                <ArchivePreview result={result} onImport={() => handleImportArchive(result)} done={done[result.filename]} />
+              )}
+              {result.kind === 'strategy' && (
+                <StrategyPreview result={result} onApply={() => handleApplyStrategy(result)} done={done[result.filename]} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
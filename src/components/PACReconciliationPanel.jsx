@@ -0,0 +1,78 @@
+/**
+ * PACReconciliationPanel — nell'anteprima di import, gli acquisti del file
+ * che corrispondono a esecuzioni PAC stimate e le gambe PAC senza eseguito.
+ * Abbinamento in pacReconciliationService.matchPACExecutions.
+ */
+import React from 'react';
+import { Link2, AlertTriangle } from 'lucide-react';
+import { PAC_MATCH_WINDOW_DAYS, PAC_AMOUNT_TOLERANCE } from '../services/pacReconciliationService';
+
+const fmtEur = (v) => `€${(v || 0).toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtQty = (v) => (parseFloat(v) || 0).toLocaleString('it-IT', { maximumFractionDigits: 6 });
+
+const cell = { padding: '5px 8px', borderBottom: '1px solid var(--border)' };
+
+export default function PACReconciliationPanel({ result, flagMissed, onFlagMissedChange }) {
+  if (!result || (result.matches.length === 0 && result.missed.length === 0)) return null;
+  const { matches, missed } = result;
+
+  return (
+    <div style={{ padding: '10px 12px', borderRadius: 10, background: 'rgba(175,82,222,0.06)', border: '1px solid rgba(175,82,222,0.25)', display: 'flex', flexDirection: 'column', gap: 8 }}>
+      {matches.length > 0 && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+            <Link2 size={15} color="#AF52DE" style={{ flexShrink: 0, marginTop: 2 }} />
+            <div>
+              <div style={{ fontSize: '0.8rem', fontWeight: 700, color: 'var(--text-1)' }}>
+                {matches.length} {matches.length === 1 ? 'acquisto corrisponde' : 'acquisti corrispondono'} a esecuzioni PAC registrate con prezzi stimati
+              </div>
+              <div style={{ fontSize: '0.7rem', color: 'var(--text-2)', marginTop: 2, lineHeight: 1.5 }}>
+                Stesso titolo, entro {PAC_MATCH_WINDOW_DAYS} giorni e ±{Math.round(PAC_AMOUNT_TOLERANCE * 100)}% di controvalore.
+                Importando, le stime vengono sostituite dagli eseguiti del broker.
+              </div>
+            </div>
+          </div>
+          <div style={{ overflowX: 'auto', maxHeight: 180, overflowY: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem' }}>
+              <thead>
+                <tr>
+                  {['Titolo', 'Stima PAC', 'Eseguito', 'Δ'].map((h, i) => (
+                    <th key={h} style={{ ...cell, textAlign: i === 0 ? 'left' : 'right', color: 'var(--text-3)', fontWeight: 700, fontSize: '0.6rem', textTransform: 'uppercase' }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {matches.map(m => (
+                  <tr key={m.leg.id}>
+                    <td style={{ ...cell, fontWeight: 700, color: 'var(--text-1)' }}>{m.fill.ticker}</td>
+                    <td style={{ ...cell, textAlign: 'right', color: 'var(--text-2)' }}>{m.leg.date} · {fmtQty(m.leg.quantity)} · {fmtEur(m.plannedAmount)}</td>
+                    <td style={{ ...cell, textAlign: 'right', color: 'var(--text-1)' }}>{m.fill.date} · {fmtQty(m.fill.quantity)} · {fmtEur(m.actualAmount)}</td>
+                    <td style={{ ...cell, textAlign: 'right', color: 'var(--text-3)' }}>
+                      {m.amountDiff > 0 ? '+' : ''}{(m.amountDiff * 100).toFixed(1)}%{m.days > 0 && ` · ${m.days}g`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {missed.length > 0 && (
+        <div style={{ padding: '8px 10px', borderRadius: 8, background: 'rgba(255,159,10,0.07)', border: '1px solid rgba(255,159,10,0.3)' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.74rem', fontWeight: 700, color: '#a05c00' }}>
+            <AlertTriangle size={13} />
+            {missed.length} {missed.length === 1 ? 'esecuzione PAC' : 'esecuzioni PAC'} del periodo {result.range.from} → {result.range.to} senza eseguito nel file
+          </div>
+          <div style={{ fontSize: '0.68rem', color: 'var(--text-2)', margin: '4px 0 6px' }}>
+            {missed.map(leg => `${leg.ticker} ${leg.date}`).join(' · ')}
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.72rem', color: 'var(--text-1)', cursor: 'pointer' }}>
+            <input type="checkbox" checked={flagMissed} onChange={e => onFlagMissedChange(e.target.checked)} />
+            Segna come non eseguite (restano nello storico, escluse dalle statistiche)
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
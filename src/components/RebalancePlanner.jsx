@@ -0,0 +1,259 @@
+/**
+ * RebalancePlanner — ordini concreti per ticker con costo fiscale e commissioni.
+ * Confronta solo versamento, vendite minime oltre banda e ribilanciamento completo;
+ * logica in rebalancePlannerService, lotti e metodo di carico dal motore fiscale.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { ListChecks, AlertCircle, Check } from 'lucide-react';
+import { getHoldingTransactions, getCostBasisMethod } from '../services/localStorageService';
+import { fetchMultiplePrices } from '../services/priceService';
+import { getTickersForMicroCategory, getAssetInfo } from '../config/assetTickerMapping';
+import { COST_BASIS_METHODS } from '../services/taxLotService';
+import {
+  REBALANCE_ALTERNATIVES,
+  DEFAULT_TOLERANCE,
+  getCommissionModel,
+  saveCommissionModel,
+  buildTickerTargets,
+  planRebalance,
+} from '../services/rebalancePlannerService';
+
+const eur = (v, decimals = 0) =>
+  `€${(v || 0).toLocaleString('it-IT', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+
+const formatUnits = (units) =>
+  Number.isInteger(units) ? units.toString() : units.toLocaleString('it-IT', { maximumFractionDigits: 4 });
+
+export default function RebalancePlanner({ portfolio, strategy, contribution, fractionalETF }) {
+  const transactions = useMemo(() => getHoldingTransactions(), []);
+  const method = useMemo(() => getCostBasisMethod(), []);
+  const [commission, setCommission] = useState(() => getCommissionModel(transactions));
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+  const [candidates, setCandidates] = useState({});
+  const [selected, setSelected] = useState(null);
+
+  const microAllocation = strategy?.microAllocation || {};
+
+  // Categorie in strategia senza posizioni: prezzo del primo ticker mappato
+  const missingMicros = useMemo(
+    () => buildTickerTargets(portfolio, microAllocation).uncovered.map(u => u.microCategory),
+    [portfolio, microAllocation]
+  );
+  const missingKey = missingMicros.join('|');
+
+  useEffect(() => {
+    if (missingMicros.length === 0) return;
+    const picks = missingMicros
+      .map(micro => ({ micro, ticker: getTickersForMicroCategory(micro)[0] }))
+      .filter(p => p.ticker);
+    if (picks.length === 0) return;
+
+    let cancelled = false;
+    const categories = Object.fromEntries(picks.map(p => [p.ticker, getAssetInfo(p.ticker)?.macro]));
+    fetchMultiplePrices(picks.map(p => p.ticker), categories)
+      .then(prices => {
+        if (cancelled) return;
+        const found = {};
+        picks.forEach(({ micro, ticker }) => {
+          const info = getAssetInfo(ticker);
+          if (prices[ticker]?.price) {
+            found[micro] = { ticker, name: info?.name || ticker, macroCategory: info?.macro, price: prices[ticker].price };
+          }
+        });
+        setCandidates(found);
+      })
+      .catch(err => console.warn('⚠️ Prezzi candidati non disponibili:', err.message));
+    return () => { cancelled = true; };
+  }, [missingKey]);
+
+  const { items, uncovered } = useMemo(
+    () => buildTickerTargets(portfolio, microAllocation, candidates),
+    [portfolio, microAllocation, candidates]
+  );
+
+  const plan = useMemo(() => {
+    if (items.length === 0) return null;
+    return planRebalance({ items, contribution, fractionalETF, commission, tolerance, method });
+  }, [items, contribution, fractionalETF, commission, tolerance, method]);
+
+  const updateCommission = (field, value) => {
+    const next = { ...commission, [field]: parseFloat(value) || 0 };
+    setCommission(next);
+    saveCommissionModel(next);
+  };
+
+  const resetCommission = () => {
+    saveCommissionModel(null);
+    setCommission(getCommissionModel(transactions));
+  };
+
+  if (!plan) return null;
+
+  const activeKey = selected || plan.recommended;
+  const active = plan.alternatives[activeKey];
+
+  return (
+    <div className="card">
+      <div className="flex items-start justify-between flex-wrap gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <ListChecks className="w-5 h-5 text-primary-600" />
+            Piano di Ribilanciamento
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Ordini per ticker con versamento di <strong>{eur(contribution)}</strong>
+            {' · '}{fractionalETF ? 'quote frazionarie' : 'quote intere per gli ETF'}
+            {' · '}lotti: {COST_BASIS_METHODS[method] || method}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Commissione fissa</span>
+            <input type="number" min="0" step="0.5" value={commission.fixed}
+              onChange={(e) => updateCommission('fixed', e.target.value)} className="input w-24 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">+ % controvalore</span>
+            <input type="number" min="0" step="0.05" value={commission.pct}
+              onChange={(e) => updateCommission('pct', e.target.value)} className="input w-24 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Minimo</span>
+            <input type="number" min="0" step="0.5" value={commission.min}
+              onChange={(e) => updateCommission('min', e.target.value)} className="input w-24 py-1" />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-gray-600">Tolleranza (pp)</span>
+            <input type="number" min="0" max="50" step="1" value={tolerance}
+              onChange={(e) => setTolerance(parseFloat(e.target.value) || 0)} className="input w-20 py-1" />
+          </label>
+          <button onClick={resetCommission} className="btn-secondary text-sm py-1">
+            Stima da storico
+          </button>
+        </div>
+      </div>
+
+      {uncovered.length > 0 && (
+        <div className="mb-4 bg-orange-50 border border-orange-200 rounded-lg p-3 flex items-start gap-2">
+          <AlertCircle className="w-4 h-4 text-orange-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-orange-700">
+            Nessun ticker acquistabile per {uncovered.map(u => `${u.microCategory} (${u.targetPct}%)`).join(', ')}:
+            i pesi degli altri titoli sono riproporzionati.
+          </p>
+        </div>
+      )}
+
+      {/* Alternative a confronto */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+        {Object.entries(REBALANCE_ALTERNATIVES).map(([key, alt]) => {
+          const a = plan.alternatives[key];
+          const sells = a.orders.filter(o => o.side === 'sell').length;
+          return (
+            <button
+              key={key}
+              onClick={() => setSelected(key)}
+              className={`text-left rounded-lg p-4 border-2 transition-colors ${
+                activeKey === key ? 'border-primary-500 bg-primary-50' : 'border-gray-200 bg-white hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-semibold text-gray-900">{alt.label}</span>
+                {plan.recommended === key && (
+                  <span className="text-xs bg-success-100 text-success-700 px-2 py-0.5 rounded-full flex items-center gap-1">
+                    <Check className="w-3 h-3" /> Consigliato
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mb-3">{alt.description}</p>
+              <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm">
+                <dt className="text-gray-600">Imposte stimate</dt>
+                <dd className={`text-right font-semibold ${a.tax > 0 ? 'text-danger-700' : 'text-gray-900'}`}>{eur(a.tax)}</dd>
+                <dt className="text-gray-600">Commissioni</dt>
+                <dd className="text-right font-medium">{eur(a.commissions, 2)}</dd>
+                <dt className="text-gray-600">Vendite</dt>
+                <dd className="text-right font-medium">{sells > 0 ? `${sells} · ${eur(a.sellAmount)}` : '—'}</dd>
+                <dt className="text-gray-600">Scostamento max</dt>
+                <dd className={`text-right font-medium ${a.maxDrift > tolerance ? 'text-orange-600' : 'text-success-700'}`}>
+                  {a.maxDrift.toFixed(1)} pp
+                </dd>
+                {a.lossesCarried > 0 && (
+                  <>
+                    <dt className="text-gray-600">Minusvalenze</dt>
+                    <dd className="text-right font-medium text-success-700">{eur(a.lossesCarried)}</dd>
+                  </>
+                )}
+              </dl>
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Ordini dell'alternativa selezionata */}
+      {active.orders.length === 0 ? (
+        <div className="bg-gray-50 rounded-lg p-4 text-center">
+          <p className="text-gray-600">Nessun ordine: il versamento non basta per un acquisto minimo.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Ordine</th>
+                <th>Ticker</th>
+                <th className="text-right">Quote</th>
+                <th className="text-right">Prezzo</th>
+                <th className="text-right">Controvalore</th>
+                <th className="text-right">Commissione</th>
+                <th className="text-right">Plus/Minus</th>
+                <th className="text-right">Imposta</th>
+              </tr>
+            </thead>
+            <tbody>
+              {active.orders.map(o => (
+                <tr key={`${o.side}-${o.ticker}`}>
+                  <td>
+                    <span className={`text-xs font-semibold px-2 py-1 rounded-full ${
+                      o.side === 'sell' ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+                    }`}>
+                      {o.side === 'sell' ? 'VENDI' : 'COMPRA'}
+                    </span>
+                  </td>
+                  <td>
+                    <p className="font-semibold">{o.ticker}</p>
+                    <p className="text-xs text-gray-500">
+                      {o.name}
+                      {o.isNew && ' · nuova posizione'}
+                      {o.brokers?.length > 0 && ` · ${o.brokers.join(', ')}`}
+                    </p>
+                  </td>
+                  <td className="text-right">{formatUnits(o.units)}</td>
+                  <td className="text-right">{eur(o.price, 2)}</td>
+                  <td className="text-right font-medium">{eur(o.amount, 2)}</td>
+                  <td className="text-right">{eur(o.commission, 2)}</td>
+                  <td className={`text-right ${
+                    o.realizedGain > 0 ? 'text-success-700' : o.realizedGain < 0 ? 'text-danger-700' : 'text-gray-400'
+                  }`}>
+                    {o.side === 'sell' ? `${o.realizedGain > 0 ? '+' : ''}${eur(o.realizedGain)}` : '—'}
+                  </td>
+                  <td className="text-right">{o.side === 'sell' ? eur(o.tax) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-3 flex flex-wrap gap-x-6 gap-y-1 text-sm text-gray-600">
+            <span>Acquisti: <strong>{eur(active.buyAmount)}</strong></span>
+            <span>Vendite: <strong>{eur(active.sellAmount)}</strong></span>
+            <span>Imposte dopo compensazioni: <strong>{eur(active.tax)}</strong></span>
+            <span>Liquidità residua: <strong>{eur(active.cashLeft, 2)}</strong></span>
+          </div>
+        </div>
+      )}
+
+      <p className="mt-4 text-xs text-gray-500">
+        Stima fiscale: plusvalenze su ETF e fondi tassate per intero, redditi diversi compensati con le
+        minusvalenze generate dallo stesso piano; lo zainetto fiscale esistente non è considerato.
+        Le imposte trattenute sulle vendite riducono la liquidità reinvestita.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,418 @@
+/**
+ * ScenarioBacktest — portafogli ipotetici a confronto con quello reale e con
+ * i benchmark preimpostati, sugli stessi mesi di storico (esteso con i proxy).
+ * Simulazione in scenarioBacktestService.runScenario.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Layers, Plus, Trash2, Copy, Play, RefreshCw, AlertTriangle } from 'lucide-react';
+import { portfolioSnapshot, getHoldingTransactions } from '../services/localStorageService';
+import { getCachedPrices } from '../services/priceCache';
+import { getBaseCurrency } from '../services/currencyService';
+import { getCommissionModel } from '../services/rebalancePlannerService';
+import { getBenchmarkPresets, benchmarkHoldings } from '../config/benchmarks';
+import {
+  REBALANCE_FREQUENCIES, getScenarios, saveScenarios, createScenario, normalizedWeights,
+  loadScenarioHistory, commonMonths, runScenario,
+} from '../services/scenarioBacktestService';
+import { format, parseISO, subYears } from 'date-fns';
+import { it } from 'date-fns/locale';
+
+const eur = (v) => `€${Math.round(v || 0).toLocaleString('it-IT')}`;
+const pct = (v) => `${(v || 0).toFixed(2)}%`;
+
+const START_OPTIONS = [
+  { value: 5, label: '5 anni' },
+  { value: 10, label: '10 anni' },
+  { value: 20, label: '20 anni' },
+  { value: 30, label: '30 anni' },
+];
+
+const REAL_PORTFOLIO_COLOR = '#111827';
+
+const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm';
+
+function ScenarioEditor({ scenario, onChange, onDuplicate, onDelete }) {
+  const totalWeight = scenario.holdings.reduce((s, h) => s + (parseFloat(h.weight) || 0), 0);
+  const update = (patch) => onChange({ ...scenario, ...patch });
+  const updateHolding = (idx, patch) => update({ holdings: scenario.holdings.map((h, i) => (i === idx ? { ...h, ...patch } : h)) });
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border-l-4" style={{ borderLeftColor: scenario.color }}>
+      <div className="flex items-center gap-2 mb-3">
+        <input
+          type="text"
+          value={scenario.name}
+          onChange={(e) => update({ name: e.target.value })}
+          className="flex-1 px-2 py-1.5 border border-gray-300 rounded-lg text-sm font-semibold"
+        />
+        <button onClick={onDuplicate} title="Duplica" className="p-1.5 text-gray-500 hover:text-gray-800"><Copy className="w-4 h-4" /></button>
+        <button onClick={onDelete} title="Elimina" className="p-1.5 text-gray-500 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>
+      </div>
+
+      <div className="space-y-1.5 mb-2">
+        {scenario.holdings.map((h, idx) => (
+          <div key={idx} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={h.ticker}
+              placeholder="Ticker (es. SWDA.MI)"
+              onChange={(e) => updateHolding(idx, { ticker: e.target.value.toUpperCase() })}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              step="5"
+              min="0"
+              value={h.weight}
+              onChange={(e) => updateHolding(idx, { weight: parseFloat(e.target.value) || 0 })}
+              className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-right"
+            />
+            <span className="text-xs text-gray-500">%</span>
+            <button
+              onClick={() => update({ holdings: scenario.holdings.filter((_, i) => i !== idx) })}
+              disabled={scenario.holdings.length === 1}
+              className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => update({ holdings: [...scenario.holdings, { ticker: '', weight: 0 }] })}
+          className="text-xs text-primary-600 hover:text-primary-700 flex items-center gap-1"
+        >
+          <Plus className="w-3.5 h-3.5" /> Titolo
+        </button>
+        <span className={`text-xs ${Math.abs(totalWeight - 100) < 0.01 ? 'text-gray-500' : 'text-orange-600'}`}>
+          Totale {totalWeight.toFixed(1)}%{Math.abs(totalWeight - 100) >= 0.01 && ' (verrà normalizzato)'}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Ribilanciamento</label>
+          <select
+            value={scenario.rebalanceFrequency}
+            onChange={(e) => update({ rebalanceFrequency: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(REBALANCE_FREQUENCIES).map(([key, f]) => (
+              <option key={key} value={key}>{f.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">
+            {scenario.rebalanceFrequency === 'none' ? 'Soglia mensile (punti %)' : 'Banda (punti %)'}
+          </label>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={scenario.rebalanceBand}
+            onChange={(e) => update({ rebalanceBand: parseFloat(e.target.value) || 0 })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Costi extra (%/anno)</label>
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            value={scenario.annualCost}
+            onChange={(e) => update({ annualCost: parseFloat(e.target.value) || 0 })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Commissione (€)</label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            value={scenario.commission.fixed}
+            onChange={(e) => update({ commission: { ...scenario.commission, fixed: parseFloat(e.target.value) || 0 } })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Commissione (%)</label>
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            value={scenario.commission.pct}
+            onChange={(e) => update({ commission: { ...scenario.commission, pct: parseFloat(e.target.value) || 0 } })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function ScenarioBacktest() {
+  const [scenarios, setScenarios] = useState(() => {
+    const saved = getScenarios();
+    return saved.length ? saved : [createScenario({ name: 'Scenario 1', holdings: [{ ticker: 'SWDA.MI', weight: 80 }, { ticker: 'VAGF.MI', weight: 20 }] })];
+  });
+  const [plan, setPlan] = useState({ initialCapital: 10000, monthlyContribution: 500 });
+  const [yearsBack, setYearsBack] = useState(20);
+  const [includeReal, setIncludeReal] = useState(true);
+  const presets = useMemo(() => getBenchmarkPresets(getBaseCurrency()), []);
+  const [selectedPresets, setSelectedPresets] = useState(() => Object.keys(presets).slice(0, 1));
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => { saveScenarios(scenarios); }, [scenarios]);
+
+  // Portafoglio reale: pesi di mercato attuali, ribilanciamento annuale
+  const realScenario = useMemo(() => {
+    const snap = portfolioSnapshot(getCachedPrices() || {});
+    const holdings = snap.holdings
+      .filter(h => !h.isCash && h.marketValue > 0)
+      .map(h => ({ ticker: h.ticker, weight: (h.marketValue / snap.totalValue) * 100 }));
+    return createScenario({
+      id: 'real',
+      name: 'Portafoglio attuale',
+      color: REAL_PORTFOLIO_COLOR,
+      holdings,
+      commission: getCommissionModel(getHoldingTransactions()),
+    });
+  }, []);
+
+  const updateScenario = (id, next) => setScenarios(list => list.map(s => (s.id === id ? next : s)));
+  const addScenario = () => setScenarios(list => [...list, createScenario({ name: `Scenario ${list.length + 1}` }, list.length)]);
+  const duplicateScenario = ({ id, color, ...rest }) => setScenarios(list => [...list, createScenario({ ...rest, name: `${rest.name} (copia)` }, list.length)]);
+  const deleteScenario = (id) => setScenarios(list => list.filter(s => s.id !== id));
+
+  const runComparison = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const all = [
+        ...(includeReal && realScenario.holdings.length ? [realScenario] : []),
+        ...selectedPresets.map(name => createScenario({
+          id: `bench_${name}`,
+          name,
+          color: presets[name].color,
+          holdings: benchmarkHoldings(presets[name]),
+          isBenchmark: true,
+        })),
+        ...scenarios,
+      ].filter(s => normalizedWeights(s).length > 0);
+      if (all.length === 0) throw new Error('Nessuno scenario con titoli e pesi validi');
+
+      const tickers = [...new Set(all.flatMap(s => normalizedWeights(s).map(h => h.ticker)))];
+      const startDate = format(subYears(new Date(), yearsBack), 'yyyy-MM-dd');
+      const { returns, proxiedUntil } = await loadScenarioHistory(tickers, startDate);
+
+      const missing = tickers.filter(t => Object.keys(returns[t] || {}).length === 0);
+      if (missing.length) throw new Error(`Nessuno storico per: ${missing.join(', ')}`);
+
+      const months = commonMonths(returns, tickers);
+      if (months.length < 12) throw new Error(`Storico comune troppo corto (${months.length} mesi): rimuovi i titoli più recenti o riduci il periodo`);
+
+      const runs = all.map(s => ({ scenario: s, ...runScenario(s, returns, months, plan) }));
+      const chart = months.map((month, i) => {
+        const point = { month: format(parseISO(`${month}-01`), 'MMM yyyy', { locale: it }) };
+        runs.forEach(r => { point[r.scenario.id] = r.series[i].value; });
+        point.invested = runs[0].series[i].invested;
+        return point;
+      });
+
+      setResults({ runs, chart, months, proxied: Object.keys(proxiedUntil).filter(t => proxiedUntil[t] >= months[0]) });
+      console.log(`🧪 Scenario backtest: ${runs.length} scenarios over ${months.length} months`);
+    } catch (err) {
+      console.error('Scenario backtest error:', err);
+      setError(err.message);
+      setResults(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between flex-wrap gap-4 mb-6">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Layers className="w-6 h-6 text-primary-600" />
+            Scenari What-If
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Portafogli ipotetici confrontati con il tuo e con i benchmark, sugli stessi mesi di storico
+          </p>
+        </div>
+        <button
+          onClick={runComparison}
+          disabled={running}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
+        >
+          {running ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          {running ? 'Backtest in corso...' : 'Esegui confronto'}
+        </button>
+      </div>
+
+      {/* Common parameters */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Capitale Iniziale (€)</label>
+          <input
+            type="number"
+            step="1000"
+            value={plan.initialCapital}
+            onChange={(e) => setPlan(p => ({ ...p, initialCapital: parseFloat(e.target.value) || 0 }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">PAC Mensile (€)</label>
+          <input
+            type="number"
+            step="50"
+            value={plan.monthlyContribution}
+            onChange={(e) => setPlan(p => ({ ...p, monthlyContribution: parseFloat(e.target.value) || 0 }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Periodo massimo</label>
+          <select
+            value={yearsBack}
+            onChange={(e) => setYearsBack(parseInt(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {START_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Confronta con</label>
+          <div className="space-y-1">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={includeReal}
+                disabled={realScenario.holdings.length === 0}
+                onChange={(e) => setIncludeReal(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Portafoglio attuale
+            </label>
+            {Object.keys(presets).map(name => (
+              <label key={name} className="flex items-center gap-2 text-sm text-gray-700" title={presets[name].description}>
+                <input
+                  type="checkbox"
+                  checked={selectedPresets.includes(name)}
+                  onChange={(e) => setSelectedPresets(list => (e.target.checked ? [...list, name] : list.filter(n => n !== name)))}
+                  className="rounded border-gray-300"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Scenarios */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-4">
+        {scenarios.map(s => (
+          <ScenarioEditor
+            key={s.id}
+            scenario={s}
+            onChange={(next) => updateScenario(s.id, next)}
+            onDuplicate={() => duplicateScenario(s)}
+            onDelete={() => deleteScenario(s.id)}
+          />
+        ))}
+      </div>
+      <button onClick={addScenario} className="mb-6 flex items-center gap-2 text-sm text-primary-600 hover:text-primary-700">
+        <Plus className="w-4 h-4" /> Nuovo scenario
+      </button>
+
+      {error && (
+        <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+          <AlertTriangle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {results && (
+        <>
+          <p className="text-xs text-gray-500 mb-3">
+            {results.months.length} mesi comuni ({results.months[0]} → {results.months[results.months.length - 1]})
+            {results.proxied.length > 0 && ` · storico esteso con proxy per ${results.proxied.join(', ')}`}
+          </p>
+
+          <div className="mb-6">
+            <ResponsiveContainer width="100%" height={350}>
+              <LineChart data={results.chart}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" tick={{ fontSize: 11 }} interval={Math.max(0, Math.floor(results.chart.length / 10) - 1)} />
+                <YAxis tickFormatter={(v) => `€${(v / 1000).toFixed(0)}k`} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value, name) => [eur(value), name]} />
+                <Legend />
+                <Line type="monotone" dataKey="invested" name="Versato" stroke="#9ca3af" strokeDasharray="4 4" strokeWidth={1} dot={false} />
+                {results.runs.map(r => (
+                  <Line
+                    key={r.scenario.id}
+                    type="monotone"
+                    dataKey={r.scenario.id}
+                    name={r.scenario.name}
+                    stroke={r.scenario.color}
+                    strokeWidth={r.scenario.id === 'real' ? 3 : 2}
+                    strokeDasharray={r.scenario.isBenchmark ? '6 3' : undefined}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-3">Scenario</th>
+                  <th className="py-2 pr-3 text-right">Valore finale</th>
+                  <th className="py-2 pr-3 text-right">Versato</th>
+                  <th className="py-2 pr-3 text-right">CAGR</th>
+                  <th className="py-2 pr-3 text-right">Volatilità</th>
+                  <th className="py-2 pr-3 text-right">Max DD</th>
+                  <th className="py-2 pr-3 text-right">Sharpe</th>
+                  <th className="py-2 pr-3 text-right">Commissioni</th>
+                  <th className="py-2 text-right">Ribil.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...results.runs].sort((a, b) => b.finalValue - a.finalValue).map(r => (
+                  <tr key={r.scenario.id} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 font-medium" style={{ color: r.scenario.color }}>{r.scenario.name}</td>
+                    <td className="py-2 pr-3 text-right font-semibold">{eur(r.finalValue)}</td>
+                    <td className="py-2 pr-3 text-right">{eur(r.invested)}</td>
+                    <td className="py-2 pr-3 text-right">{pct(r.metrics.cagr)}</td>
+                    <td className="py-2 pr-3 text-right">{pct(r.metrics.volatility)}</td>
+                    <td className="py-2 pr-3 text-right text-red-600">-{pct(r.metrics.maxDrawdown)}</td>
+                    <td className="py-2 pr-3 text-right">{r.metrics.sharpeRatio.toFixed(2)}</td>
+                    <td className="py-2 pr-3 text-right">{eur(r.commissions)}</td>
+                    <td className="py-2 text-right">{r.rebalances}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <p className="text-xs text-gray-500 mt-3">
+            CAGR, volatilità e drawdown sono time-weighted (al netto dei versamenti). Portafoglio attuale e benchmark con
+            ribilanciamento annuale; prezzi nella valuta di quotazione, senza effetto cambio né tasse.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
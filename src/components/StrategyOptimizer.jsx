@@ -0,0 +1,281 @@
+/**
+ * StrategyOptimizer — propone i pesi target della strategia da covarianza storica.
+ * Universo: categorie già in strategia o categorie delle posizioni attuali.
+ * Metodi e vincoli in optimizerService; il risultato si applica a microAllocation.
+ */
+import React, { useState, useMemo } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Sparkles, RefreshCw, AlertCircle, Check } from 'lucide-react';
+import { calculatePortfolio } from '../services/localStorageService';
+import {
+  OPTIMIZATION_METHODS,
+  DEFAULT_BOUNDS,
+  MIN_COVARIANCE_MONTHS,
+  buildUniverse,
+  getHoldingsMicroCategories,
+  fetchCovariance,
+  efficientFrontier,
+  portfolioStats,
+  optimize,
+} from '../services/optimizerService';
+
+const UNIVERSE_SOURCES = {
+  strategy: 'Categorie della strategia',
+  holdings: 'Posizioni attuali',
+};
+
+/** Ridistribuisce i pesi ottimizzati sulla quota non bloccata e arrotonda a 0,1% */
+function mergeWithFixed(optimized, fixed) {
+  const fixedTotal = Object.values(fixed).reduce((s, x) => s + x, 0);
+  const scale = Math.max(0, 100 - fixedTotal) / 100;
+  const merged = { ...fixed };
+  Object.entries(optimized).forEach(([micro, w]) => { merged[micro] = Math.round(w * scale * 10) / 10; });
+  const diff = Math.round((100 - Object.values(merged).reduce((s, x) => s + x, 0)) * 10) / 10;
+  const top = Object.keys(optimized).sort((a, b) => optimized[b] - optimized[a])[0];
+  if (top && diff !== 0) merged[top] = Math.round((merged[top] + diff) * 10) / 10;
+  return merged;
+}
+
+export default function StrategyOptimizer({ microAllocation, onApply }) {
+  const holdings = useMemo(() => {
+    try { return calculatePortfolio(); } catch { return []; }
+  }, []);
+
+  const [source, setSource] = useState(Object.keys(microAllocation).length >= 2 ? 'strategy' : 'holdings');
+  const [method, setMethod] = useState('riskParity');
+  const [bounds, setBounds] = useState({}); // { [micro]: { min, max } } in %
+  const [model, setModel] = useState(null); // { assets, cov, months, excluded, key }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const universe = useMemo(() => {
+    const micros = source === 'strategy' ? Object.keys(microAllocation) : getHoldingsMicroCategories(holdings);
+    return buildUniverse(micros, holdings);
+  }, [source, microAllocation, holdings]);
+  const universeKey = universe.map(a => `${a.micro}:${a.ticker}`).join('|');
+  const modelReady = model?.key === universeKey && model.cov;
+
+  const loadModel = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchCovariance(universe);
+      setModel({ ...result, key: universeKey });
+      if (!result.cov) setError(`Servono almeno 2 categorie con ${MIN_COVARIANCE_MONTHS} mesi di storico in comune.`);
+    } catch (e) {
+      console.error('Optimizer covariance error', e);
+      setError('Impossibile scaricare gli storici');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const result = useMemo(() => {
+    if (!modelReady) return null;
+    try {
+      const mu = model.assets.map(a => a.expectedReturn / 100);
+      const optimal = optimize(model, method, bounds);
+      const frontier = efficientFrontier(model, bounds);
+
+      // Allocazione attuale ristretta agli asset del modello, rinormalizzata
+      const current = model.assets.map(a => microAllocation[a.micro] || 0);
+      const currentTotal = current.reduce((s, x) => s + x, 0);
+      const currentStats = currentTotal > 0
+        ? portfolioStats(current.map(x => x / currentTotal), model.cov, mu)
+        : null;
+
+      const singles = model.assets.map((a, i) => ({
+        name: a.micro,
+        volatility: Math.sqrt(model.cov[i][i]) * 100,
+        expectedReturn: a.expectedReturn,
+      }));
+
+      return { optimal, frontier, currentStats, singles, error: null };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [modelReady, model, method, bounds, microAllocation]);
+
+  const setBound = (micro, field, value) => {
+    setBounds(prev => ({
+      ...prev,
+      [micro]: { ...(prev[micro] || DEFAULT_BOUNDS), [field]: value === '' ? DEFAULT_BOUNDS[field] : parseFloat(value) },
+    }));
+  };
+
+  const handleApply = () => {
+    if (!result?.optimal) return;
+    // Le categorie escluse dal modello restano al peso attuale (solo se già in strategia)
+    const fixed = {};
+    model.excluded.forEach(a => {
+      if (microAllocation[a.micro] > 0) fixed[a.micro] = microAllocation[a.micro];
+    });
+    onApply(mergeWithFixed(result.optimal.weights, fixed));
+  };
+
+  const excludedMicros = new Set((model?.key === universeKey ? model.excluded : []).map(a => a.micro));
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between flex-wrap gap-3">
+        <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+          <Sparkles className="w-5 h-5 text-purple-600" />
+          Ottimizzatore
+        </h3>
+        <select value={source} onChange={(e) => setSource(e.target.value)} className="input w-auto text-sm">
+          {Object.entries(UNIVERSE_SOURCES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Methods */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {Object.entries(OPTIMIZATION_METHODS).map(([key, m]) => (
+          <button
+            key={key}
+            onClick={() => setMethod(key)}
+            title={m.description}
+            className={`px-3 py-2 rounded-lg border text-sm font-medium transition-colors ${method === key
+              ? 'bg-purple-100 border-purple-400 text-purple-800'
+              : 'bg-white border-gray-200 text-gray-600 hover:border-purple-300'}`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">{OPTIMIZATION_METHODS[method].description}</p>
+
+      {universe.length < 2 ? (
+        <p className="text-sm text-gray-500">
+          {source === 'strategy'
+            ? 'Aggiungi almeno 2 categorie alla strategia per usare l\'ottimizzatore.'
+            : 'Le posizioni attuali coprono meno di 2 categorie riconosciute.'}
+        </p>
+      ) : (
+        <>
+          {/* Assets, bounds and result */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-2">Categoria</th>
+                  <th className="py-2 pr-2">ETF di riferimento</th>
+                  <th className="py-2 pr-2 text-center">Min %</th>
+                  <th className="py-2 pr-2 text-center">Max %</th>
+                  <th className="py-2 pr-2 text-right">Attuale</th>
+                  <th className="py-2 pr-2 text-right">Proposto</th>
+                  <th className="py-2 text-right">Contrib. rischio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {universe.map(a => {
+                  const b = bounds[a.micro] || DEFAULT_BOUNDS;
+                  const excluded = excludedMicros.has(a.micro);
+                  const proposed = result?.optimal?.weights[a.micro];
+                  const rc = result?.optimal?.riskContributions[a.micro];
+                  return (
+                    <tr key={a.micro} className={`border-b border-gray-100 ${excluded ? 'text-gray-400' : ''}`}>
+                      <td className="py-2 pr-2 font-medium">{a.micro}</td>
+                      <td className="py-2 pr-2 font-mono text-xs">
+                        {a.ticker || '—'}
+                        {excluded && <span className="ml-1 font-sans text-orange-600">escluso</span>}
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input type="number" min="0" max="100" step="1" value={b.min}
+                          onChange={(e) => setBound(a.micro, 'min', e.target.value)}
+                          className="input w-16 text-center py-1" disabled={excluded} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input type="number" min="0" max="100" step="1" value={b.max}
+                          onChange={(e) => setBound(a.micro, 'max', e.target.value)}
+                          className="input w-16 text-center py-1" disabled={excluded} />
+                      </td>
+                      <td className="py-2 pr-2 text-right">{(microAllocation[a.micro] || 0).toFixed(1)}%</td>
+                      <td className="py-2 pr-2 text-right font-semibold text-purple-700">
+                        {proposed !== undefined ? `${proposed.toFixed(1)}%` : '—'}
+                      </td>
+                      <td className="py-2 text-right text-gray-600">{rc !== undefined ? `${rc.toFixed(1)}%` : '—'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {(error || result?.error) && (
+            <div className="flex items-center gap-2 text-sm text-danger-700 bg-danger-50 border border-danger-200 rounded-lg p-3">
+              <AlertCircle className="w-4 h-4 flex-shrink-0" />
+              {result?.error || error}
+            </div>
+          )}
+
+          <div className="flex items-center gap-3 flex-wrap">
+            <button onClick={loadModel} disabled={loading} className="btn-secondary flex items-center gap-2">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              {modelReady ? 'Ricalcola covarianza' : 'Calcola da storico'}
+            </button>
+            {result?.optimal && (
+              <button onClick={handleApply} className="btn-primary flex items-center gap-2">
+                <Check className="w-4 h-4" />
+                Applica all'allocazione
+              </button>
+            )}
+            {result?.optimal && (
+              <span className="text-sm text-gray-600">
+                Rendimento atteso <strong className="text-green-600">{result.optimal.expectedReturn.toFixed(1)}%</strong>
+                {' · '}Volatilità <strong className="text-blue-600">{result.optimal.volatility.toFixed(1)}%</strong>
+                {result.currentStats && (
+                  <span className="text-gray-400"> (attuale {result.currentStats.expectedReturn.toFixed(1)}% / {result.currentStats.volatility.toFixed(1)}%)</span>
+                )}
+              </span>
+            )}
+          </div>
+
+          {/* Efficient frontier */}
+          {result?.frontier?.length > 0 && (
+            <ResponsiveContainer width="100%" height={300}>
+              <ScatterChart margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="volatility" name="Volatilità" unit="%" fontSize={11}
+                  domain={['dataMin - 1', 'dataMax + 1']} tickFormatter={(v) => v.toFixed(0)} />
+                <YAxis type="number" dataKey="expectedReturn" name="Rendimento" unit="%" fontSize={11}
+                  domain={['dataMin - 0.5', 'dataMax + 0.5']} tickFormatter={(v) => v.toFixed(1)} />
+                <ZAxis range={[40, 40]} />
+                <Tooltip
+                  cursor={{ strokeDasharray: '3 3' }}
+                  content={({ active, payload }) => {
+                    if (!active || !payload?.length) return null;
+                    const p = payload[0].payload;
+                    return (
+                      <div className="bg-white border border-gray-200 rounded-lg p-2 shadow-lg text-xs">
+                        {p.name && <p className="font-semibold text-gray-900 mb-1">{p.name}</p>}
+                        <p>Volatilità: {p.volatility.toFixed(1)}%</p>
+                        <p>Rendimento atteso: {p.expectedReturn.toFixed(1)}%</p>
+                      </div>
+                    );
+                  }}
+                />
+                <Legend wrapperStyle={{ fontSize: '11px' }} />
+                <Scatter name="Frontiera efficiente" data={result.frontier} fill="#8b5cf6" line={{ stroke: '#8b5cf6', strokeWidth: 2 }} shape="circle" />
+                <Scatter name="Singole categorie" data={result.singles} fill="#94a3b8" />
+                {result.currentStats && (
+                  <Scatter name="Allocazione attuale" data={[{ name: 'Allocazione attuale', ...result.currentStats }]} fill="#f59e0b" shape="diamond" />
+                )}
+                <Scatter name={OPTIMIZATION_METHODS[method].label} data={[{ name: OPTIMIZATION_METHODS[method].label, ...result.optimal }]} fill="#10b981" shape="star" />
+              </ScatterChart>
+            </ResponsiveContainer>
+          )}
+
+          {modelReady && (
+            <p className="text-xs text-gray-500">
+              Covarianza da {model.months} mesi di rendimenti mensili in EUR degli ETF di riferimento.
+              Rendimenti attesi reali dal database categorie.
+              {model.excluded.length > 0 && ' Le categorie escluse restano al peso attuale quando applichi la proposta.'}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
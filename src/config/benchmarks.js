@@ -0,0 +1,112 @@
+/**
+ * Benchmark presets, per valuta base.
+ *
+ * Ogni preset è un singolo ticker oppure una composizione di due ETF
+ * (equity / bond) con pesi fissi. Usati dal confronto con il benchmark in
+ * Performance e dai backtest degli scenari.
+ */
+
+export const BENCHMARK_TICKERS = {
+  EUR: {
+    'MSCI World': {
+      ticker: 'SWDA.MI',
+      color: '#3b82f6',
+      description: 'Azionario Globale (MSCI World ETF in EUR)'
+    },
+    'S&P 500': {
+      ticker: 'CSPX.L',  // iShares Core S&P 500 UCITS ETF in EUR
+      color: '#10b981',
+      description: 'Azionario USA (S&P 500 ETF in EUR)'
+    },
+    '60/40 Portfolio': {
+      ticker: null,
+      color: '#8b5cf6',
+      description: '60% Azionario + 40% Obbligazionario (EUR)',
+      composition: {
+        equity: { ticker: 'SWDA.MI', weight: 0.6 },
+        bond: { ticker: 'VAGF.MI', weight: 0.4 }
+      }
+    }
+  },
+  USD: {
+    'MSCI World': {
+      ticker: 'URTH',  // iShares MSCI World ETF in USD
+      color: '#3b82f6',
+      description: 'Azionario Globale (MSCI World in USD)'
+    },
+    'S&P 500': {
+      ticker: '^GSPC',
+      color: '#10b981',
+      description: 'Azionario USA (S&P 500 Index in USD)'
+    },
+    '60/40 Portfolio': {
+      ticker: null,
+      color: '#8b5cf6',
+      description: '60% Azionario + 40% Obbligazionario (USD)',
+      composition: {
+        equity: { ticker: '^GSPC', weight: 0.6 },
+        bond: { ticker: 'BND', weight: 0.4 }
+      }
+    }
+  },
+  GBP: {
+    'MSCI World': {
+      ticker: 'SWDA.L',  // iShares Core MSCI World, London (GBp)
+      color: '#3b82f6',
+      description: 'Azionario Globale (MSCI World ETF in GBP)'
+    },
+    'S&P 500': {
+      ticker: 'VUSA.L',  // Vanguard S&P 500 UCITS ETF, London (GBp)
+      color: '#10b981',
+      description: 'Azionario USA (S&P 500 ETF in GBP)'
+    },
+    '60/40 Portfolio': {
+      ticker: null,
+      color: '#8b5cf6',
+      description: '60% Azionario + 40% Gilt UK (GBP)',
+      composition: {
+        equity: { ticker: 'SWDA.L', weight: 0.6 },
+        bond: { ticker: 'IGLT.L', weight: 0.4 }
+      }
+    }
+  },
+  CHF: {
+    'MSCI World': {
+      ticker: 'SWDA.SW',  // iShares Core MSCI World, SIX
+      color: '#3b82f6',
+      description: 'Azionario Globale (MSCI World ETF su SIX)'
+    },
+    'SMI': {
+      ticker: '^SSMI',
+      color: '#10b981',
+      description: 'Azionario Svizzero (Swiss Market Index in CHF)'
+    }
+  }
+};
+
+/**
+ * Preset della valuta, con ripiego sull'EUR
+ * @param {string} currency
+ * @returns {Object} { [nome]: preset }
+ */
+export function getBenchmarkPresets(currency) {
+  return BENCHMARK_TICKERS[currency] || BENCHMARK_TICKERS.EUR;
+}
+
+/**
+ * Titoli e pesi di un preset
+ * @param {Object} preset
+ * @returns {Array<{ ticker: string, weight: number }>} pesi in %
+ */
+export function benchmarkHoldings(preset) {
+  if (preset.composition) {
+    return Object.values(preset.composition).map(c => ({ ticker: c.ticker, weight: c.weight * 100 }));
+  }
+  return preset.ticker ? [{ ticker: preset.ticker, weight: 100 }] : [];
+}
+
+export default {
+  BENCHMARK_TICKERS,
+  getBenchmarkPresets,
+  benchmarkHoldings,
+};
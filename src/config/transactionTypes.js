@@ -0,0 +1,84 @@
+/**
+ * Transaction Types Configuration
+ *
+ * Trade types move units of an asset (buy / sell).
+ * Cash-flow types move only money and are stored like Cash transactions
+ * (isCash: true, price: 1, quantity = amount in €):
+ *
+ *   dividend      → + dividendo lordo incassato (ticker = titolo che lo paga)
+ *   interest      → + interessi su liquidità / prestito titoli
+ *   fee           → − commissioni non legate a un ordine (custodia, bollo, ADR fee…)
+ *   tax_withheld  → − ritenuta alla fonte su un dividendo (ticker = titolo)
+ *   transfer      → ± giroconto da/verso un altro conto (transferDirection 'in' | 'out')
+ *
+ * Dividend / interest / fee / tax_withheld are *internal* income: they change
+ * the portfolio return but are not contributions. Transfers, like deposits and
+ * withdrawals, are *external* flows.
+ */
+
+export const TRANSACTION_TYPES = {
+  BUY: 'buy',
+  SELL: 'sell',
+  DIVIDEND: 'dividend',
+  INTEREST: 'interest',
+  FEE: 'fee',
+  TAX_WITHHELD: 'tax_withheld',
+  TRANSFER: 'transfer',
+};
+
+export const TRANSACTION_TYPE_INFO = {
+  buy:          { label: 'Acquisto',  short: 'ACQ', badge: 'badge-success', color: '#30D158', microCategory: null },
+  sell:         { label: 'Vendita',   short: 'VND', badge: 'badge-danger',  color: '#FF453A', microCategory: null },
+  dividend:     { label: 'Dividendo', short: 'DIV', badge: 'badge-primary', color: '#0A84FF', microCategory: 'Dividendi' },
+  interest:     { label: 'Interessi', short: 'INT', badge: 'badge-primary', color: '#32ADE6', microCategory: 'Interessi' },
+  fee:          { label: 'Commissione', short: 'FEE', badge: 'badge-danger', color: '#FF9F0A', microCategory: 'Commissioni' },
+  tax_withheld: { label: 'Ritenuta',  short: 'TAX', badge: 'badge-danger',  color: '#BF5AF2', microCategory: 'Ritenute' },
+  transfer:     { label: 'Trasferimento', short: 'TRF', badge: 'badge-primary', color: '#8E8E93', microCategory: 'Trasferimenti' },
+};
+
+export const CASH_FLOW_TYPES = ['dividend', 'interest', 'fee', 'tax_withheld', 'transfer'];
+
+/** Tipi che richiedono il ticker del titolo a cui si riferiscono. */
+export const ASSET_LINKED_TYPES = ['dividend', 'tax_withheld'];
+
+export function isTradeType(type) {
+  return type === 'buy' || type === 'sell';
+}
+
+export function isCashFlowType(type) {
+  return CASH_FLOW_TYPES.includes(type);
+}
+
+/** Income interno (dividendi, interessi, costi, ritenute) — non è un versamento. */
+export function isIncomeType(type) {
+  return type === 'dividend' || type === 'interest' || type === 'fee' || type === 'tax_withheld';
+}
+
+/**
+ * Segno dell'effetto sulla liquidità di una transazione cash-flow.
+ * @param {Object} tx
+ * @returns {number} +1, -1 oppure 0 per i tipi di trading
+ */
+export function getCashFlowSign(tx) {
+  switch (tx.type) {
+    case 'dividend':
+    case 'interest':
+      return 1;
+    case 'fee':
+    case 'tax_withheld':
+      return -1;
+    case 'transfer':
+      return tx.transferDirection === 'out' ? -1 : 1;
+    default:
+      return 0;
+  }
+}
+
+/** Importo € con segno di una transazione cash-flow. */
+export function getSignedCashFlow(tx) {
+  return getCashFlowSign(tx) * Math.abs((tx.quantity || 0) * (tx.price || 1));
+}
+
+export function getTransactionTypeLabel(type) {
+  return TRANSACTION_TYPE_INFO[type]?.label || type;
+}
@@ -7,6 +7,7 @@ import {
 } from 'firebase/auth';
 import { doc, setDoc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../config/firebase';
+import { startSync, stopSync } from '../services/syncService';
 
 const AuthContext = createContext({});
 
@@ -88,8 +89,11 @@ export const AuthProvider = ({ children }) => {
       if (user) {
         const userData = await getUserData(user.uid);
         setCurrentUser({ ...user, ...userData });
+        // Mirror the local stores to this user's Firestore documents
+        startSync(user.uid);
       } else {
         setCurrentUser(null);
+        stopSync();
       }
       setLoading(false);
     });
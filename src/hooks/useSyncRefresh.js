@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { subscribeSync } from '../services/syncService';
+
+/**
+ * Rilegge i dati della pagina quando la cloud sync scrive in localStorage
+ * modifiche arrivate da un altro dispositivo (o App segnala dati cambiati
+ * con notifyDataChanged), senza rimontare la pagina.
+ *
+ * Usage:
+ *   useSyncRefresh(loadData);
+ *
+ * @param {Function} reload - funzione di caricamento della pagina
+ */
+export default function useSyncRefresh(reload) {
+  const reloadRef = useRef(reload);
+  reloadRef.current = reload;
+
+  useEffect(() => subscribeSync((_status, { remoteChanges } = {}) => {
+    if (remoteChanges) reloadRef.current();
+  }), []);
+}
@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { TrendingUp, Calendar, BarChart3, AlertTriangle, Play, Settings, Info, RefreshCw } from 'lucide-react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area, ComposedChart, Bar } from 'recharts';
-import { getTransactions } from '../services/localStorageService';
-import { getPACTemplates } from '../services/pacService';
+import { TrendingUp, Calendar, BarChart3, AlertTriangle, Play, Settings, Info, RefreshCw, Layers } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, AreaChart, Area, ComposedChart, Bar, BarChart } from 'recharts';
+import { getHoldingTransactions, calculatePortfolio } from '../services/localStorageService';
+import { getPACTemplates, getMonthlyEquivalentAmount } from '../services/pacService';
 import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from '../services/historicalPriceService';
 import { getProxyInfo, adjustPricesForTER, ETF_PROXY_MAP } from '../config/etfProxyMap';
 import { calculateCAGR, calculateMaxDrawdown, calculateVolatility, calculateSharpeRatio } from '../services/advancedMetricsService';
+import { monthlyReturns } from '../services/correlationService';
+import ScenarioBacktest from '../components/ScenarioBacktest';
+import { MONTE_CARLO_MODES, DEFAULT_BLOCK_MONTHS, randomSeed, buildAssetClassModel, modeUnavailableReason, runMonteCarlo } from '../services/monteCarloService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import { format, parseISO, eachMonthOfInterval, startOfMonth, subYears, subMonths } from 'date-fns';
 import { it } from 'date-fns/locale';
 
@@ -23,6 +27,13 @@ const PERIOD_OPTIONS = [
 // Benchmark for comparison
 const BENCHMARK_TICKER = 'URTH'; // MSCI World proxy
 
+// Colori delle modalità Monte Carlo nel confronto
+const MODE_COLORS = {
+  gaussian: '#6366f1',
+  bootstrap: '#f59e0b',
+  asset_class: '#10b981'
+};
+
 export default function Backtest() {
   // State
   const [loading, setLoading] = useState(true);
@@ -46,9 +57,19 @@ export default function Backtest() {
     monthlyContribution: 500,
     years: 20,
     targetAmount: 500000,
-    simulations: 1000
+    simulations: 1000,
+    mode: 'gaussian',
+    blockMonths: DEFAULT_BLOCK_MONTHS,
+    inflation: 2.0,
+    realTerms: false,
+    contributionGrowth: 0,
+    seed: ''
   });
   const [monteCarloResults, setMonteCarloResults] = useState(null);
+  const [monteCarloComparison, setMonteCarloComparison] = useState(null);
+  const [monteCarloError, setMonteCarloError] = useState(null);
+  // Rendimenti mensili per titolo e composizione attuale per classe (modalità "Classi di attivo")
+  const [assetClassInputs, setAssetClassInputs] = useState(null);
   const [monteCarloRunning, setMonteCarloRunning] = useState(false);
   const [showSamplePaths, setShowSamplePaths] = useState(true);
 
@@ -58,6 +79,11 @@ export default function Backtest() {
     loadHistoricalData();
   }, []);
 
+  useSyncRefresh(() => {
+    loadStrategyParams();
+    loadHistoricalData();
+  });
+
   // Reload historical data when mode or period changes
   useEffect(() => {
     if (portfolioTickers.length > 0) {
@@ -86,7 +112,7 @@ export default function Backtest() {
       if (activePac) {
         setMonteCarloParams(prev => ({
           ...prev,
-          monthlyContribution: activePac.totalAmount || prev.monthlyContribution
+          monthlyContribution: getMonthlyEquivalentAmount(activePac) || prev.monthlyContribution
         }));
       }
     } catch (err) {
@@ -99,7 +125,7 @@ export default function Backtest() {
     setError(null);
 
     try {
-      const transactions = getTransactions();
+      const transactions = getHoldingTransactions();
       const assetTransactions = transactions.filter(tx =>
         !tx.isCash && tx.macroCategory !== 'Cash' && tx.ticker
       );
@@ -216,6 +242,7 @@ export default function Backtest() {
 
       // Calculate monthly portfolio value
       const chartData = [];
+      const usedPrices = {};
       let baseValue = null;
       let benchmarkBaseValue = null;
 
@@ -248,6 +275,7 @@ export default function Backtest() {
           if (price) {
             portfolioValue += price * weight;
             validPrices++;
+            (usedPrices[ticker] || (usedPrices[ticker] = {}))[monthKey] = price;
           }
         });
 
@@ -273,6 +301,7 @@ export default function Backtest() {
             portfolioNormalized: normalizedValue,
             benchmark: benchmarkNormalized,
             usesProxy,
+            pricedTickers: validPrices,
             isBeforeRealData: monthDate < earliestReal
           });
         }
@@ -280,6 +309,20 @@ export default function Backtest() {
 
       setHistoricalData(chartData);
 
+      // Composizione attuale per classe (micro categoria), valorizzata all'ultimo prezzo usato
+      const tickerReturns = {};
+      const tickerClass = {};
+      const classWeights = {};
+      Object.keys(usedPrices).forEach(ticker => { tickerReturns[ticker] = monthlyReturns(usedPrices[ticker]); });
+      calculatePortfolio().filter(h => !h.isCash && usedPrices[h.ticker]).forEach(h => {
+        const series = usedPrices[h.ticker];
+        const lastPrice = series[Object.keys(series).sort().pop()];
+        const cls = h.microCategory || h.macroCategory || h.ticker;
+        tickerClass[h.ticker] = cls;
+        classWeights[cls] = (classWeights[cls] || 0) + (h.quantity * lastPrice || h.totalCost || 0);
+      });
+      setAssetClassInputs({ tickerReturns, tickerClass, classWeights });
+
       // Calculate metrics
       if (chartData.length > 1) {
         const returns = [];
@@ -316,141 +359,82 @@ export default function Backtest() {
     }
   };
 
+  // Dati storici per bootstrap e classi di attivo
+  const monteCarloData = useMemo(() => {
+    // Rendimenti del portafoglio, esclusi i mesi in cui entra un nuovo titolo (salto di composizione)
+    const portfolioReturns = [];
+    for (let i = 1; i < historicalData.length; i++) {
+      const prev = historicalData[i - 1];
+      const cur = historicalData[i];
+      if (cur.pricedTickers === prev.pricedTickers && prev.portfolioNormalized > 0) {
+        portfolioReturns.push(cur.portfolioNormalized / prev.portfolioNormalized - 1);
+      }
+    }
+    const assetClassModel = assetClassInputs
+      ? buildAssetClassModel(assetClassInputs.tickerReturns, assetClassInputs.tickerClass, assetClassInputs.classWeights)
+      : null;
+    return { portfolioReturns, assetClassModel };
+  }, [historicalData, assetClassInputs]);
+
+  // Stesso seed per tutte le modalità: se vuoto ne viene scelto uno e mostrato
+  const resolveSeed = () => {
+    if (monteCarloParams.seed !== '') return monteCarloParams.seed;
+    const seed = randomSeed();
+    setMonteCarloParams(p => ({ ...p, seed: String(seed) }));
+    return String(seed);
+  };
+
   // Monte Carlo Simulation
   const runMonteCarloSimulation = () => {
     setMonteCarloRunning(true);
+    setMonteCarloError(null);
+    const seed = resolveSeed();
 
     // Use setTimeout to allow UI to update
     setTimeout(() => {
       try {
-        const {
-          expectedReturn,
-          volatility,
-          initialInvestment,
-          monthlyContribution,
-          years,
-          targetAmount,
-          simulations
-        } = monteCarloParams;
-
-        const monthlyReturn = expectedReturn / 12 / 100;
-        const monthlyVolatility = (volatility / Math.sqrt(12)) / 100;
-        const totalMonths = years * 12;
-
-        const results = [];
-        const samplePaths = [];
-        const numSamplePaths = 20;
-
-        // Run simulations
-        for (let sim = 0; sim < simulations; sim++) {
-          let value = initialInvestment;
-          const path = [value];
-
-          for (let month = 1; month <= totalMonths; month++) {
-            // Add monthly contribution
-            value += monthlyContribution;
-
-            // Apply random return (geometric brownian motion)
-            const randomReturn = monthlyReturn + monthlyVolatility * gaussianRandom();
-            value = value * (1 + randomReturn);
-
-            if (sim < numSamplePaths) {
-              path.push(value);
-            }
-          }
-
-          results.push(value);
-
-          if (sim < numSamplePaths) {
-            samplePaths.push(path);
-          }
-        }
+        setMonteCarloResults(runMonteCarlo({ ...monteCarloParams, seed }, monteCarloData));
+        setMonteCarloComparison(null);
+      } catch (err) {
+        console.error('Monte Carlo error:', err);
+        setMonteCarloError(err.message);
+      } finally {
+        setMonteCarloRunning(false);
+      }
+    }, 100);
+  };
 
-        // Sort results for percentile calculation
-        results.sort((a, b) => a - b);
-
-        // Calculate percentiles
-        const getPercentile = (arr, p) => {
-          const index = Math.floor(arr.length * p / 100);
-          return arr[index];
-        };
-
-        const percentile10 = getPercentile(results, 10);
-        const percentile25 = getPercentile(results, 25);
-        const percentile50 = getPercentile(results, 50);
-        const percentile75 = getPercentile(results, 75);
-        const percentile90 = getPercentile(results, 90);
-
-        // Calculate probability of reaching target
-        const successCount = results.filter(v => v >= targetAmount).length;
-        const successProbability = (successCount / simulations) * 100;
-
-        // Calculate total contributions
-        const totalContributions = initialInvestment + (monthlyContribution * totalMonths);
-
-        // Build histogram data
-        const minVal = Math.min(...results);
-        const maxVal = Math.max(...results);
-        const bucketCount = 30;
-        const bucketSize = (maxVal - minVal) / bucketCount;
-        const histogram = [];
-
-        for (let i = 0; i < bucketCount; i++) {
-          const bucketStart = minVal + (i * bucketSize);
-          const bucketEnd = bucketStart + bucketSize;
-          const count = results.filter(v => v >= bucketStart && v < bucketEnd).length;
-          histogram.push({
-            range: `€${Math.round(bucketStart / 1000)}k`,
-            value: bucketStart + bucketSize / 2,
-            count,
-            frequency: (count / simulations) * 100
-          });
-        }
+  // Tutte le modalità disponibili con gli stessi parametri e lo stesso seed
+  const runMonteCarloComparison = () => {
+    setMonteCarloRunning(true);
+    setMonteCarloError(null);
+    const seed = resolveSeed();
 
-        // Build sample paths data for chart
-        const pathsData = [];
-        for (let month = 0; month <= totalMonths; month++) {
-          const dataPoint = { month };
-          samplePaths.forEach((path, idx) => {
-            dataPoint[`path${idx}`] = path[month];
+    setTimeout(() => {
+      try {
+        const runs = Object.keys(MONTE_CARLO_MODES)
+          .filter(mode => !modeUnavailableReason(mode, monteCarloData))
+          .map(mode => runMonteCarlo({ ...monteCarloParams, mode, seed }, monteCarloData));
+        const bands = runs[0].bands.map((_, year) => {
+          const point = { year };
+          runs.forEach(r => {
+            point[`${r.mode}_p10`] = r.bands[year].p10;
+            point[`${r.mode}_p50`] = r.bands[year].p50;
+            point[`${r.mode}_p90`] = r.bands[year].p90;
           });
-
-          // Add percentile bands
-          dataPoint.p10 = percentile10 * (month / totalMonths);
-          dataPoint.p50 = percentile50 * (month / totalMonths);
-          dataPoint.p90 = percentile90 * (month / totalMonths);
-
-          pathsData.push(dataPoint);
-        }
-
-        setMonteCarloResults({
-          percentile10,
-          percentile25,
-          percentile50,
-          percentile75,
-          percentile90,
-          successProbability,
-          totalContributions,
-          histogram,
-          samplePaths: pathsData,
-          numPaths: numSamplePaths
+          return point;
         });
+        setMonteCarloComparison({ runs, bands });
+        setMonteCarloResults(runs.find(r => r.mode === monteCarloParams.mode) || runs[0]);
       } catch (err) {
-        console.error('Monte Carlo error:', err);
+        console.error('Monte Carlo comparison error:', err);
+        setMonteCarloError(err.message);
       } finally {
         setMonteCarloRunning(false);
       }
     }, 100);
   };
 
-  // Gaussian random number generator (Box-Muller transform)
-  const gaussianRandom = () => {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  };
-
   // Custom tooltip for historical chart
   const HistoricalTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -715,35 +699,106 @@ export default function Backtest() {
             </p>
           </div>
 
-          <button
-            onClick={runMonteCarloSimulation}
-            disabled={monteCarloRunning}
-            className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
-          >
-            {monteCarloRunning ? (
-              <>
-                <RefreshCw className="w-4 h-4 animate-spin" />
-                Simulazione in corso...
-              </>
-            ) : (
-              <>
-                <Play className="w-4 h-4" />
-                Esegui Simulazione
-              </>
-            )}
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={runMonteCarloComparison}
+              disabled={monteCarloRunning}
+              className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              <Layers className="w-4 h-4" />
+              Confronta modalità
+            </button>
+            <button
+              onClick={runMonteCarloSimulation}
+              disabled={monteCarloRunning || !!modeUnavailableReason(monteCarloParams.mode, monteCarloData)}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 transition-colors"
+            >
+              {monteCarloRunning ? (
+                <>
+                  <RefreshCw className="w-4 h-4 animate-spin" />
+                  Simulazione in corso...
+                </>
+              ) : (
+                <>
+                  <Play className="w-4 h-4" />
+                  Esegui Simulazione
+                </>
+              )}
+            </button>
+          </div>
         </div>
 
+        {/* Monte Carlo Mode */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          {Object.entries(MONTE_CARLO_MODES).map(([mode, info]) => {
+            const unavailable = modeUnavailableReason(mode, monteCarloData);
+            const active = monteCarloParams.mode === mode;
+            return (
+              <button
+                key={mode}
+                onClick={() => setMonteCarloParams(p => ({ ...p, mode }))}
+                disabled={!!unavailable}
+                className={`text-left p-3 rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  active ? 'border-primary-500 bg-primary-50' : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <div className={`text-sm font-semibold ${active ? 'text-primary-700' : 'text-gray-900'}`}>{info.label}</div>
+                <div className="text-xs text-gray-600 mt-1">{unavailable || info.description}</div>
+              </button>
+            );
+          })}
+        </div>
+
+        {monteCarloParams.mode === 'bootstrap' && (
+          <p className="text-xs text-gray-600 mb-4">
+            {monteCarloData.portfolioReturns.length} rendimenti mensili dallo storico caricato sopra ({dataMode === 'extended' ? 'dati estesi con proxy' : 'dati reali'}, periodo "{PERIOD_OPTIONS.find(p => p.value === selectedPeriod)?.label}").
+          </p>
+        )}
+
+        {monteCarloParams.mode === 'asset_class' && monteCarloData.assetClassModel && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg text-xs text-gray-700">
+            <div className="mb-2">
+              {monteCarloData.assetClassModel.months} mesi in comune · rendimento {monteCarloData.assetClassModel.annualReturn.toFixed(1)}%/anno ·
+              volatilità {monteCarloData.assetClassModel.annualVolatility.toFixed(1)}%/anno (composizione attuale, ribilanciata ogni mese)
+            </div>
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr className="text-gray-500">
+                    <th className="text-left pr-3 py-1">Classe</th>
+                    <th className="text-right pr-3 py-1">Peso</th>
+                    {monteCarloData.assetClassModel.classes.map((c, j) => (
+                      <th key={c} className="text-right px-2 py-1" title={c}>ρ{j + 1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {monteCarloData.assetClassModel.classes.map((c, i) => (
+                    <tr key={c}>
+                      <td className="pr-3 py-1">{i + 1}. {c}</td>
+                      <td className="text-right pr-3 py-1">{(monteCarloData.assetClassModel.weights[i] * 100).toFixed(1)}%</td>
+                      {monteCarloData.assetClassModel.correlation[i].map((rho, j) => (
+                        <td key={j} className="text-right px-2 py-1">{rho.toFixed(2)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Monte Carlo Parameters */}
-        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
           <div>
             <label className="block text-xs font-medium text-gray-600 mb-1">Rendimento Atteso (%/anno)</label>
             <input
               type="number"
               step="0.5"
               value={monteCarloParams.expectedReturn}
+              disabled={monteCarloParams.mode !== 'gaussian'}
               onChange={(e) => setMonteCarloParams(p => ({ ...p, expectedReturn: parseFloat(e.target.value) || 0 }))}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100 disabled:text-gray-400"
             />
           </div>
 
@@ -753,8 +808,9 @@ export default function Backtest() {
               type="number"
               step="0.5"
               value={monteCarloParams.volatility}
+              disabled={monteCarloParams.mode !== 'gaussian'}
               onChange={(e) => setMonteCarloParams(p => ({ ...p, volatility: parseFloat(e.target.value) || 0 }))}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100 disabled:text-gray-400"
             />
           </div>
 
@@ -819,9 +875,82 @@ export default function Backtest() {
           </div>
         </div>
 
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6 p-4 bg-gray-50 rounded-lg">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Crescita PAC (%/anno)</label>
+            <input
+              type="number"
+              step="0.5"
+              value={monteCarloParams.contributionGrowth}
+              onChange={(e) => setMonteCarloParams(p => ({ ...p, contributionGrowth: parseFloat(e.target.value) || 0 }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Inflazione (%/anno)</label>
+            <input
+              type="number"
+              step="0.1"
+              value={monteCarloParams.inflation}
+              onChange={(e) => setMonteCarloParams(p => ({ ...p, inflation: parseFloat(e.target.value) || 0 }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+
+          <div className="flex items-end pb-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={monteCarloParams.realTerms}
+                onChange={(e) => setMonteCarloParams(p => ({ ...p, realTerms: e.target.checked }))}
+                className="rounded border-gray-300"
+              />
+              Valori reali (€ di oggi)
+            </label>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Blocco Bootstrap (mesi)</label>
+            <input
+              type="number"
+              step="1"
+              min="1"
+              max="60"
+              value={monteCarloParams.blockMonths}
+              disabled={monteCarloParams.mode !== 'bootstrap'}
+              onChange={(e) => setMonteCarloParams(p => ({ ...p, blockMonths: parseInt(e.target.value) || DEFAULT_BLOCK_MONTHS }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100 disabled:text-gray-400"
+            />
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Seed</label>
+            <input
+              type="text"
+              value={monteCarloParams.seed}
+              placeholder="casuale"
+              onChange={(e) => setMonteCarloParams(p => ({ ...p, seed: e.target.value.trim() }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+        </div>
+
+        {monteCarloError && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4" />
+            {monteCarloError}
+          </div>
+        )}
+
         {/* Monte Carlo Results */}
         {monteCarloResults && (
           <>
+            <p className="text-xs text-gray-500 mb-3">
+              {MONTE_CARLO_MODES[monteCarloResults.mode].label} · seed {monteCarloResults.seed} ·
+              {monteCarloResults.realTerms ? ' valori reali, in € di oggi' : ' valori nominali'}
+            </p>
+
             {/* Results Summary */}
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
               <div className="bg-red-50 rounded-lg p-4 text-center border border-red-200">
@@ -952,10 +1081,62 @@ export default function Backtest() {
               </div>
             )}
 
+            {/* Mode Comparison */}
+            {monteCarloComparison && (
+              <div className="mb-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-3">Confronto Modalità</h3>
+                <div className="overflow-x-auto mb-4">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-3">Modalità</th>
+                        <th className="py-2 pr-3 text-right">10° perc.</th>
+                        <th className="py-2 pr-3 text-right">Mediano</th>
+                        <th className="py-2 pr-3 text-right">90° perc.</th>
+                        <th className="py-2 text-right">Prob. Obiettivo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {monteCarloComparison.runs.map(r => (
+                        <tr key={r.mode} className="border-b border-gray-100">
+                          <td className="py-2 pr-3 font-medium" style={{ color: MODE_COLORS[r.mode] }}>{MONTE_CARLO_MODES[r.mode].label}</td>
+                          <td className="py-2 pr-3 text-right">€{Math.round(r.percentile10).toLocaleString('it-IT')}</td>
+                          <td className="py-2 pr-3 text-right font-semibold">€{Math.round(r.percentile50).toLocaleString('it-IT')}</td>
+                          <td className="py-2 pr-3 text-right">€{Math.round(r.percentile90).toLocaleString('it-IT')}</td>
+                          <td className="py-2 text-right">{r.successProbability.toFixed(1)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={monteCarloComparison.bands}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" tickFormatter={(y) => `Anno ${y}`} tick={{ fontSize: 11 }} />
+                    <YAxis tickFormatter={(v) => `€${(v/1000).toFixed(0)}k`} tick={{ fontSize: 12 }} />
+                    <Tooltip
+                      formatter={(value, name) => [`€${Math.round(value).toLocaleString('it-IT')}`, name]}
+                      labelFormatter={(y) => `Anno ${y}`}
+                    />
+                    <Legend />
+                    {monteCarloComparison.runs.map(r => [
+                      <Line key={`${r.mode}_p50`} type="monotone" dataKey={`${r.mode}_p50`} name={`${MONTE_CARLO_MODES[r.mode].label} (mediano)`} stroke={MODE_COLORS[r.mode]} strokeWidth={2} dot={false} />,
+                      <Line key={`${r.mode}_p10`} type="monotone" dataKey={`${r.mode}_p10`} name={`${MONTE_CARLO_MODES[r.mode].label} (10°)`} stroke={MODE_COLORS[r.mode]} strokeWidth={1} strokeDasharray="4 4" dot={false} legendType="none" />,
+                      <Line key={`${r.mode}_p90`} type="monotone" dataKey={`${r.mode}_p90`} name={`${MONTE_CARLO_MODES[r.mode].label} (90°)`} stroke={MODE_COLORS[r.mode]} strokeWidth={1} strokeDasharray="4 4" dot={false} legendType="none" />
+                    ])}
+                  </LineChart>
+                </ResponsiveContainer>
+                <p className="text-xs text-gray-500 mt-2">Linee tratteggiate: 10° e 90° percentile anno per anno.</p>
+              </div>
+            )}
+
             {/* Disclaimer */}
             <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
               <p className="text-xs text-yellow-800">
-                <strong>⚠️ Disclaimer:</strong> Simulazione basata su assunzioni storiche della strategia (rendimento {monteCarloParams.expectedReturn}%, volatilità {monteCarloParams.volatility}%).
+                <strong>⚠️ Disclaimer:</strong>{' '}
+                {monteCarloResults.mode === 'gaussian' && `Simulazione basata su assunzioni storiche della strategia (rendimento ${monteCarloParams.expectedReturn}%, volatilità ${monteCarloParams.volatility}%). La distribuzione normale sottostima le code.`}
+                {monteCarloResults.mode === 'bootstrap' && 'Simulazione che ripesca i rendimenti mensili del portafoglio nel periodo caricato: il futuro può contenere scenari mai visti in quel periodo.'}
+                {monteCarloResults.mode === 'asset_class' && 'Simulazione basata su medie, volatilità e correlazioni storiche delle classi del portafoglio, che possono cambiare nel tempo.'}
                 I risultati passati non garantiscono rendimenti futuri. Usa questi dati solo come guida indicativa per la pianificazione.
               </p>
             </div>
@@ -973,6 +1154,9 @@ export default function Backtest() {
           </div>
         )}
       </div>
+
+      {/* Section 3: What-if scenarios */}
+      <ScenarioBacktest />
     </div>
   );
 }
@@ -6,17 +6,19 @@ import {
 import {
   Calculator, TrendingDown, Info, Flame, TrendingUp, Coins, AlertTriangle,
 } from 'lucide-react';
+import { formatMoney, getCurrencySymbol } from '../services/currencyService';
+import DecumulationSimulator from '../components/DecumulationSimulator';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Shared helpers
 // ─────────────────────────────────────────────────────────────────────────────
-function fmtEur(v) {
-  if (Math.abs(v) >= 1_000_000)
-    return `€${(v / 1_000_000).toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}M`;
-  return `€${Math.round(v).toLocaleString('it-IT')}`;
+// Importi già nella valuta base (inseriti dall'utente): nessuna conversione
+function fmtMoney(v) {
+  if (Math.abs(v) >= 1_000_000) return `${formatMoney(v / 1_000_000)}M`;
+  return formatMoney(v, { decimals: 0 });
 }
-function fmtEurFull(v) {
-  return `€${Math.round(v).toLocaleString('it-IT')}`;
+function fmtMoneyFull(v) {
+  return formatMoney(v, { decimals: 0 });
 }
 function halvingYears(rate) {
   if (rate <= 0) return Infinity;
@@ -70,11 +72,11 @@ function InflazioneTooltip({ active, payload, label }) {
       <div style={{ fontWeight: 700, marginBottom: 6, color: 'var(--text-1)' }}>Anno {label}</div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: '#0A84FF' }}>Valore nominale</span>
-        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtEurFull(nominal)}</span>
+        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoneyFull(nominal)}</span>
       </div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: '#FF9F0A' }}>Potere d'acquisto</span>
-        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtEurFull(real)}</span>
+        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoneyFull(real)}</span>
       </div>
       <div style={{ borderTop: '1px solid rgba(255,255,255,0.08)', marginTop: 6, paddingTop: 6 }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
@@ -149,7 +151,7 @@ function InflazioneCalc() {
           <div className="card" style={{ padding: '14px 16px' }}>
             <label style={labelStyle}>Capitale iniziale</label>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>€</span>
+              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>{getCurrencySymbol()}</span>
               <input type="number" min={0} step={1000} value={capitalInit}
                 onChange={e => setCapitalInit(Math.max(0, Number(e.target.value)))} style={inputStyle} />
             </div>
@@ -161,7 +163,7 @@ function InflazioneCalc() {
           <div className="card" style={{ padding: '14px 16px' }}>
             <label style={labelStyle}>Risparmio mensile</label>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>€</span>
+              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>{getCurrencySymbol()}</span>
               <input type="number" min={0} step={50} value={monthly}
                 onChange={e => setMonthly(Math.max(0, Number(e.target.value)))} style={inputStyle} />
               <span style={{ fontSize: '0.72rem', color: 'var(--analysis-dim)', flexShrink: 0 }}>/mese</span>
@@ -236,10 +238,10 @@ function InflazioneCalc() {
           {/* KPI */}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 10 }}>
             {[
-              { label: 'Hai versato in totale', value: fmtEur(totalPaid),     sub: `Capitale + contributi ${years}a`,      color: 'var(--text-1)' },
-              { label: 'Valore nominale',        value: fmtEur(nominalEnd),    sub: 'Quello che hai fisicamente',            color: '#0A84FF' },
-              { label: "Potere d'acquisto reale",value: fmtEur(realEnd),       sub: `In €${new Date().getFullYear()} equiv`, color: '#FF9F0A' },
-              { label: 'Erosione totale',        value: `-${erosionPct.toFixed(1)}%`, sub: `${fmtEur(nominalEnd - realEnd)} "spariti"`, color: '#FF453A' },
+              { label: 'Hai versato in totale', value: fmtMoney(totalPaid),     sub: `Capitale + contributi ${years}a`,      color: 'var(--text-1)' },
+              { label: 'Valore nominale',        value: fmtMoney(nominalEnd),    sub: 'Quello che hai fisicamente',            color: '#0A84FF' },
+              { label: "Potere d'acquisto reale",value: fmtMoney(realEnd),       sub: `In ${getCurrencySymbol()} ${new Date().getFullYear()} equiv`, color: '#FF9F0A' },
+              { label: 'Erosione totale',        value: `-${erosionPct.toFixed(1)}%`, sub: `${fmtMoney(nominalEnd - realEnd)} "spariti"`, color: '#FF453A' },
             ].map(c => (
               <div key={c.label} className="card" style={{ padding: '12px 14px' }}>
                 <div style={{ fontSize: '0.63rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 4 }}>{c.label}</div>
@@ -279,7 +281,7 @@ function InflazioneCalc() {
                 <XAxis dataKey="year" tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
                   tickFormatter={y => y === 0 ? 'Oggi' : `${y}a`} tickLine={false} />
                 <YAxis tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
-                  tickFormatter={v => fmtEur(v)} tickLine={false} axisLine={false} width={72} />
+                  tickFormatter={v => fmtMoney(v)} tickLine={false} axisLine={false} width={72} />
                 <Tooltip content={<InflazioneTooltip />} />
                 {halvYears <= years && (
                   <ReferenceLine x={Math.round(halvYears)} stroke="#FF453A" strokeDasharray="4 3"
@@ -308,8 +310,8 @@ function InflazioneCalc() {
                 <strong>{halvYears < 100 ? `${halvYears.toFixed(0)} anni` : '∞'}</strong>.
               </p>
               <div style={{ padding: '10px 12px', borderRadius: 8, background: 'rgba(255,69,58,0.08)', border: '1px solid rgba(255,69,58,0.2)' }}>
-                <div style={{ fontSize: '0.68rem', color: 'var(--analysis-dim)', marginBottom: 4 }}>€1.000 di oggi, tra <strong>{years} anni</strong> varranno:</div>
-                <div style={{ fontSize: '1.35rem', fontWeight: 800, color: '#FF453A' }}>{fmtEurFull(thousand_future)}</div>
+                <div style={{ fontSize: '0.68rem', color: 'var(--analysis-dim)', marginBottom: 4 }}>{fmtMoneyFull(1000)} di oggi, tra <strong>{years} anni</strong> varranno:</div>
+                <div style={{ fontSize: '1.35rem', fontWeight: 800, color: '#FF453A' }}>{fmtMoneyFull(thousand_future)}</div>
                 <div style={{ fontSize: '0.65rem', color: 'var(--analysis-faint)', marginTop: 2 }}>in potere d'acquisto odierno</div>
               </div>
               <div style={{ marginTop: 10, padding: '8px 10px', borderRadius: 7, background: 'var(--surface-2)', border: '1px solid var(--border)' }}>
@@ -334,8 +336,8 @@ function InflazioneCalc() {
                 return (
                   <div key={row.year} style={{ display: 'grid', gridTemplateColumns: '50px 1fr 1fr 52px', fontSize: '0.73rem', padding: '5px 0', borderBottom: i < erosionRows.length - 1 ? '1px solid var(--border)' : 'none', alignItems: 'center' }}>
                     <span style={{ fontWeight: 600, color: 'var(--analysis-dim)' }}>+{row.year}a</span>
-                    <span style={{ textAlign: 'right', color: '#0A84FF' }}>{fmtEur(row.nominal)}</span>
-                    <span style={{ textAlign: 'right', fontWeight: 600, color: '#FF9F0A' }}>{fmtEur(row.real)}</span>
+                    <span style={{ textAlign: 'right', color: '#0A84FF' }}>{fmtMoney(row.nominal)}</span>
+                    <span style={{ textAlign: 'right', fontWeight: 600, color: '#FF9F0A' }}>{fmtMoney(row.real)}</span>
                     <span style={{ textAlign: 'right', fontWeight: 700, color: `rgba(255,${255 - red},${255 - red})` }}>-{row.pct.toFixed(0)}%</span>
                   </div>
                 );
@@ -365,7 +367,7 @@ function FeeTooltip({ active, payload, label, withdrawalRate = 4, targetRendita
       <div style={{ fontWeight: 700, marginBottom: 6, color: 'var(--text-1)' }}>Anno {label}</div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 5, paddingBottom: 5, borderBottom: '1px solid rgba(255,255,255,0.08)' }}>
         <span style={{ color: 'var(--analysis-dim)' }}>Versato</span>
-        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtEurFull(invested)}</span>
+        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoneyFull(invested)}</span>
       </div>
       {scenarios.map(s => {
         const v = payload.find(p => p.dataKey === s.key)?.value ?? 0;
@@ -375,19 +377,19 @@ function FeeTooltip({ active, payload, label, withdrawalRate = 4, targetRendita
           <div key={s.key} style={{ marginBottom: 5, paddingBottom: 4, borderBottom: '1px solid rgba(255,255,255,0.05)' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
               <span style={{ color: s.color, fontWeight: 600 }}>{s.label}</span>
-              <span style={{ fontWeight: 700, color: s.color }}>{fmtEurFull(v)}</span>
+              <span style={{ fontWeight: 700, color: s.color }}>{fmtMoneyFull(v)}</span>
             </div>
             <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginTop: 1 }}>
               <span style={{ color: 'var(--analysis-dim)', fontSize: '0.7rem' }}>Rendita {withdrawalRate}%</span>
               <span style={{ fontWeight: 600, color: reached ? '#30D158' : 'var(--analysis-dim)', fontSize: '0.72rem' }}>
-                {reached ? '✓ ' : ''}{fmtEurFull(rendita)}/mese
+                {reached ? '✓ ' : ''}{fmtMoneyFull(rendita)}/mese
               </span>
             </div>
           </div>
         );
       })}
       <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', marginTop: 2 }}>
-        Obiettivo: {fmtEurFull(targetRendita)}/mese
+        Obiettivo: {fmtMoneyFull(targetRendita)}/mese
       </div>
     </div>
   );
@@ -417,28 +419,28 @@ function PACTooltip({ active, payload, label }) {
       <div style={{ fontWeight: 700, marginBottom: 6, color: 'var(--text-1)' }}>Anno {label}</div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: 'var(--analysis-dim)' }}>Capitale versato</span>
-        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtEurFull(invested)}</span>
+        <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoneyFull(invested)}</span>
       </div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: '#30D158' }}>Valore portafoglio</span>
-        <span style={{ fontWeight: 600, color: '#30D158' }}>{fmtEurFull(nominal)}</span>
+        <span style={{ fontWeight: 600, color: '#30D158' }}>{fmtMoneyFull(nominal)}</span>
       </div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: '#0A84FF' }}>Valore reale (investito)</span>
-        <span style={{ fontWeight: 600, color: '#0A84FF' }}>{fmtEurFull(real)}</span>
+        <span style={{ fontWeight: 600, color: '#0A84FF' }}>{fmtMoneyFull(real)}</span>
       </div>
       <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
         <span style={{ color: '#FF453A' }}>Liquidità ferma (reale)</span>
-        <span style={{ fontWeight: 600, color: '#FF453A' }}>{fmtEurFull(idleReal)}</span>
+        <span style={{ fontWeight: 600, color: '#FF453A' }}>{fmtMoneyFull(idleReal)}</span>
       </div>
       <div style={{ borderTop: '1px solid rgba(255,255,255,0.08)', marginTop: 6, paddingTop: 6, display: 'flex', flexDirection: 'column', gap: 3 }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
           <span style={{ color: '#30D158' }}>Guadagno netto</span>
-          <span style={{ fontWeight: 700, color: '#30D158' }}>+{fmtEurFull(gain)} (+{gainPct.toFixed(1)}%)</span>
+          <span style={{ fontWeight: 700, color: '#30D158' }}>+{fmtMoneyFull(gain)} (+{gainPct.toFixed(1)}%)</span>
         </div>
         <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
           <span style={{ color: '#0A84FF' }}>Vantaggio vs liquidità</span>
-          <span style={{ fontWeight: 700, color: '#0A84FF' }}>+{fmtEurFull(advantage)}</span>
+          <span style={{ fontWeight: 700, color: '#0A84FF' }}>+{fmtMoneyFull(advantage)}</span>
         </div>
       </div>
     </div>
@@ -615,12 +617,12 @@ function PACCalc() {
                 <span style={{ fontSize: '1.1rem', fontWeight: 600, marginLeft: 6 }}>anni</span>
               </div>
               <div style={{ fontSize: '0.82rem', color: 'var(--analysis-dim)', marginTop: 8, lineHeight: 1.5 }}>
-                per raggiungere <strong style={{ color: 'var(--text-1)' }}>{fmtEurFull(targetRendita)}/mese</strong> di rendita
+                per raggiungere <strong style={{ color: 'var(--text-1)' }}>{fmtMoneyFull(targetRendita)}/mese</strong> di rendita
               </div>
               <div style={{ marginTop: 16, padding: '10px 14px', borderRadius: 10, background: 'rgba(255,69,58,0.08)', border: '1px solid rgba(255,69,58,0.2)' }}>
                 <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', marginBottom: 4 }}>Capitale finale dopo {years} anni</div>
-                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: '#FF453A', lineHeight: 1 }}>{fmtEur(worstS.finalValue)}</div>
-                <div style={{ fontSize: '0.63rem', color: 'var(--analysis-dim)', marginTop: 3 }}>vs {fmtEur(etfS.finalValue)} con ETF</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: 800, color: '#FF453A', lineHeight: 1 }}>{fmtMoney(worstS.finalValue)}</div>
+                <div style={{ fontSize: '0.63rem', color: 'var(--analysis-dim)', marginTop: 3 }}>vs {fmtMoney(etfS.finalValue)} con ETF</div>
               </div>
             </div>
             {/* RIGHT — good */}
@@ -631,13 +633,13 @@ function PACCalc() {
                 <span style={{ fontSize: '1.1rem', fontWeight: 600, marginLeft: 6 }}>anni</span>
               </div>
               <div style={{ fontSize: '0.82rem', color: 'var(--analysis-dim)', marginTop: 8, lineHeight: 1.5 }}>
-                per raggiungere <strong style={{ color: 'var(--text-1)' }}>{fmtEurFull(targetRendita)}/mese</strong> di rendita
+                per raggiungere <strong style={{ color: 'var(--text-1)' }}>{fmtMoneyFull(targetRendita)}/mese</strong> di rendita
               </div>
               {deltaYrs != null && (
                 <div style={{ marginTop: 16, padding: '10px 14px', borderRadius: 10, background: 'rgba(48,209,88,0.10)', border: '1px solid rgba(48,209,88,0.3)' }}>
                   <div style={{ fontSize: '0.65rem', color: '#30D158', fontWeight: 700, textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 4 }}>✓ Vantaggio ETF</div>
                   <div style={{ fontSize: '1.5rem', fontWeight: 800, color: '#30D158', lineHeight: 1 }}>{deltaYrs} anni prima</div>
-                  <div style={{ fontSize: '0.63rem', color: 'var(--analysis-dim)', marginTop: 3 }}>e {fmtEur(etfS.finalValue - worstS.finalValue)} in più nel portafoglio</div>
+                  <div style={{ fontSize: '0.63rem', color: 'var(--analysis-dim)', marginTop: 3 }}>e {fmtMoney(etfS.finalValue - worstS.finalValue)} in più nel portafoglio</div>
                 </div>
               )}
             </div>
@@ -654,7 +656,7 @@ function PACCalc() {
           <div className="card" style={{ padding: '14px 16px' }}>
             <label style={labelStyle}>Capitale iniziale</label>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>€</span>
+              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>{getCurrencySymbol()}</span>
               <input type="number" min={0} step={1000} value={capitalInit}
                 onChange={e => setCapitalInit(Math.max(0, Number(e.target.value)))} style={inputStyle} />
             </div>
@@ -667,7 +669,7 @@ function PACCalc() {
           <div className="card" style={{ padding: '14px 16px' }}>
             <label style={labelStyle}>Versamento mensile PAC</label>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>€</span>
+              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>{getCurrencySymbol()}</span>
               <input type="number" min={0} step={50} value={monthly}
                 onChange={e => setMonthly(Math.max(0, Number(e.target.value)))} style={inputStyle} />
               <span style={{ fontSize: '0.72rem', color: 'var(--analysis-dim)', flexShrink: 0 }}>/mese</span>
@@ -793,7 +795,7 @@ function PACCalc() {
           <div className="card" style={{ padding: '14px 16px', outline: '1.5px solid rgba(48,209,88,0.35)' }}>
             <label style={labelStyle}>🎯 Obiettivo rendita mensile</label>
             <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>€</span>
+              <span style={{ fontSize: '1.1rem', color: 'var(--analysis-dim)' }}>{getCurrencySymbol()}</span>
               <input type="number" min={100} step={100} value={targetRendita}
                 onChange={e => setTargetRendita(Math.max(100, Number(e.target.value)))} style={inputStyle} />
               <span style={{ fontSize: '0.72rem', color: 'var(--analysis-dim)', flexShrink: 0 }}>/mese</span>
@@ -802,7 +804,7 @@ function PACCalc() {
               onChange={e => setTargetRendita(Number(e.target.value))}
               style={{ width: '100%', marginTop: 8, accentColor: '#30D158' }} />
             <div style={{ fontSize: '0.63rem', color: 'var(--analysis-dim)', marginTop: 6 }}>
-              Capitale necessario: <strong style={{ color: 'var(--text-1)' }}>{fmtEur(neededCapital)}</strong> (regola {withdrawalRate}%)
+              Capitale necessario: <strong style={{ color: 'var(--text-1)' }}>{fmtMoney(neededCapital)}</strong> (regola {withdrawalRate}%)
             </div>
           </div>
         </div>
@@ -839,7 +841,7 @@ function PACCalc() {
                 <XAxis dataKey="year" tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
                   tickFormatter={y => y === 0 ? 'Oggi' : `${y}a`} tickLine={false} />
                 <YAxis tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
-                  tickFormatter={v => fmtEur(v)} tickLine={false} axisLine={false} width={72} />
+                  tickFormatter={v => fmtMoney(v)} tickLine={false} axisLine={false} width={72} />
                 <Tooltip content={<FeeTooltip withdrawalRate={withdrawalRate} targetRendita={targetRendita} scenarios={SCENARIOS} />} />
                 <Area type="monotone" dataKey="invested" stroke="rgba(150,150,160,0.5)" strokeWidth={1}
                   strokeDasharray="5 3" fill="none" dot={false} />
@@ -858,10 +860,10 @@ function PACCalc() {
               <span style={{ fontSize: '1.1rem' }}>🎯</span>
               <div>
                 <div style={{ fontSize: '0.8rem', fontWeight: 700 }}>
-                  Anni per raggiungere <span style={{ color: '#30D158' }}>{fmtEurFull(targetRendita)}/mese</span> di rendita
+                  Anni per raggiungere <span style={{ color: '#30D158' }}>{fmtMoneyFull(targetRendita)}/mese</span> di rendita
                 </div>
                 <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', marginTop: 1 }}>
-                  Capitale necessario: {fmtEur(neededCapital)} — regola {withdrawalRate}%/anno
+                  Capitale necessario: {fmtMoney(neededCapital)} — regola {withdrawalRate}%/anno
                 </div>
               </div>
             </div>
@@ -880,9 +882,9 @@ function PACCalc() {
                     {/* Capitale dopo years anni */}
                     <div style={{ marginBottom: 12, padding: '8px 10px', borderRadius: 9, background: s.key === 'etf' ? 'rgba(48,209,88,0.10)' : 'rgba(255,255,255,0.04)', border: `1px solid ${s.color}20` }}>
                       <div style={{ fontSize: '0.6rem', color: 'var(--analysis-dim)', marginBottom: 3 }}>Capitale dopo {years} anni</div>
-                      <div style={{ fontSize: '1.4rem', fontWeight: 800, color: s.color, lineHeight: 1 }}>{fmtEur(capitalAfterYears)}</div>
+                      <div style={{ fontSize: '1.4rem', fontWeight: 800, color: s.color, lineHeight: 1 }}>{fmtMoney(capitalAfterYears)}</div>
                       {capitalDelta != null && capitalDelta > 0 && (
-                        <div style={{ fontSize: '0.62rem', color: '#FF453A', marginTop: 3 }}>−{fmtEur(capitalDelta)} vs ETF</div>
+                        <div style={{ fontSize: '0.62rem', color: '#FF453A', marginTop: 3 }}>−{fmtMoney(capitalDelta)} vs ETF</div>
                       )}
                     </div>
 
@@ -890,7 +892,7 @@ function PACCalc() {
                     {yrs != null ? (
                       <>
                         <div style={{ fontSize: '2.4rem', fontWeight: 900, color: s.color, lineHeight: 1 }}>{yrs}</div>
-                        <div style={{ fontSize: '0.72rem', color: 'var(--analysis-dim)', marginTop: 3 }}>anni per {fmtEurFull(targetRendita)}/mese</div>
+                        <div style={{ fontSize: '0.72rem', color: 'var(--analysis-dim)', marginTop: 3 }}>anni per {fmtMoneyFull(targetRendita)}/mese</div>
                         {delta != null && (
                           <div style={{ marginTop: 8, padding: '5px 8px', borderRadius: 7, background: 'rgba(255,69,58,0.10)', border: '1px solid rgba(255,69,58,0.25)', fontSize: '0.7rem', fontWeight: 700, color: '#FF453A' }}>
                             +{delta} anni in più rispetto all'ETF
@@ -914,7 +916,7 @@ function PACCalc() {
             </div>
             {yearsToTarget[0] != null && yearsToTarget[yearsToTarget.length - 1] != null && (
               <div style={{ marginTop: 12, padding: '10px 14px', borderRadius: 9, background: 'rgba(48,209,88,0.08)', border: '1px solid rgba(48,209,88,0.2)', fontSize: '0.72rem', color: 'var(--text-1)', lineHeight: 1.6 }}>
-                🚀 <strong style={{ color: '#30D158' }}>Con gli ETF raggiungi {fmtEurFull(targetRendita)}/mese {yearsToTarget[yearsToTarget.length - 1] - yearsToTarget[0]} anni prima</strong> rispetto a un prodotto bancario con 3% di commissioni — grazie a {annualReturn}% di rendimento e soli 0.20% di costi.
+                🚀 <strong style={{ color: '#30D158' }}>Con gli ETF raggiungi {fmtMoneyFull(targetRendita)}/mese {yearsToTarget[yearsToTarget.length - 1] - yearsToTarget[0]} anni prima</strong> rispetto a un prodotto bancario con 3% di commissioni — grazie a {annualReturn}% di rendimento e soli 0.20% di costi.
               </div>
             )}
           </div>
@@ -967,14 +969,14 @@ function RenditaTooltip({ active, payload, label, targetCap }) {
       ].map(r => (
         <div key={r.label} style={{ display: 'flex', justifyContent: 'space-between', gap: 16, marginBottom: 3 }}>
           <span style={{ color: r.color }}>{r.label}</span>
-          <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtEur(r.value)}</span>
+          <span style={{ fontWeight: 600, color: 'var(--text-1)' }}>{fmtMoney(r.value)}</span>
         </div>
       ))}
       {targetCap > 0 && (
         <div style={{ borderTop: '1px solid rgba(255,255,255,0.08)', marginTop: 6, paddingTop: 6 }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', gap: 16 }}>
             <span style={{ color: '#FF9F0A' }}>Obiettivo</span>
-            <span style={{ fontWeight: 700, color: '#FF9F0A' }}>{fmtEur(targetCap)}</span>
+            <span style={{ fontWeight: 700, color: '#FF9F0A' }}>{fmtMoney(targetCap)}</span>
           </div>
         </div>
       )}
@@ -1115,7 +1117,7 @@ function RenditaCalc() {
           Capitale accumulato in {years} anni
         </div>
         <div style={{ fontSize: '1.5rem', fontWeight: 900, color, lineHeight: 1, marginBottom: 10 }}>
-          {fmtEur(fvVal)}
+          {fmtMoney(fvVal)}
         </div>
 
         {/* Rendita e gap */}
@@ -1129,13 +1131,13 @@ function RenditaCalc() {
             Rendita mensile ({withdrawalRate}% SWR)
           </div>
           <div style={{ fontSize: '1.15rem', fontWeight: 800, color: onTrack ? color : '#FF9F0A', lineHeight: 1 }}>
-            {fmtEur(rendita)}/mese
+            {fmtMoney(rendita)}/mese
           </div>
           <div style={{ fontSize: '0.68rem', fontWeight: 700, marginTop: 5,
             color: onTrack ? '#30D158' : '#FF453A' }}>
             {onTrack
-              ? `✓ +${fmtEur(gap)}/mese sopra obiettivo`
-              : `✗ mancano ${fmtEur(Math.abs(gap))}/mese`}
+              ? `✓ +${fmtMoney(gap)}/mese sopra obiettivo`
+              : `✗ mancano ${fmtMoney(Math.abs(gap))}/mese`}
           </div>
         </div>
 
@@ -1146,16 +1148,16 @@ function RenditaCalc() {
             background: 'var(--surface-2)', border: '1px solid var(--border)',
           }}>
             <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', marginBottom: 2 }}>
-              Per centrare esattamente {fmtEur(targetRendita)}/mese
+              Per centrare esattamente {fmtMoney(targetRendita)}/mese
             </div>
             <div style={{ fontSize: '0.95rem', fontWeight: 800, color }}>
-              {pmtNeeded > 100000 ? 'Orizzonte troppo breve' : `${fmtEur(pmtNeeded)}/mese`}
+              {pmtNeeded > 100000 ? 'Orizzonte troppo breve' : `${fmtMoney(pmtNeeded)}/mese`}
             </div>
             {pmtNeeded <= 100000 && (
               <div style={{ fontSize: '0.65rem', color: monthlyInput >= pmtNeeded ? '#30D158' : '#FF9F0A', fontWeight: 600, marginTop: 3 }}>
                 {monthlyInput >= pmtNeeded
                   ? `✓ Stai già versando abbastanza`
-                  : `Stai versando ${fmtEur(pmtNeeded - monthlyInput)}/mese in meno`}
+                  : `Stai versando ${fmtMoney(pmtNeeded - monthlyInput)}/mese in meno`}
               </div>
             )}
           </div>
@@ -1208,7 +1210,7 @@ function RenditaCalc() {
               {/* Pills */}
               <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, justifyContent: 'center', marginBottom: 28 }}>
                 {[500, 1000, 1500, 2000, 3000, 5000].map(v => (
-                  <Pill key={v} label={`€${v.toLocaleString('it')}/mese`} active={targetRendita === v}
+                  <Pill key={v} label={`${fmtMoneyFull(v)}/mese`} active={targetRendita === v}
                     color="#BF5AF2" onClick={() => setTargetRendita(v)} />
                 ))}
               </div>
@@ -1216,7 +1218,7 @@ function RenditaCalc() {
               {/* Custom input */}
               <div style={{ marginBottom: 16 }}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 8, justifyContent: 'center', marginBottom: 12 }}>
-                  <span style={{ fontSize: '1.2rem', color: 'var(--text-3)' }}>€</span>
+                  <span style={{ fontSize: '1.2rem', color: 'var(--text-3)' }}>{getCurrencySymbol()}</span>
                   <input type="number" min={100} step={100} value={targetRendita}
                     onChange={e => setTargetRendita(Math.max(100, Number(e.target.value)))}
                     style={{ ...inputStyle, width: 120, textAlign: 'center', fontSize: '1.2rem', fontWeight: 700 }} />
@@ -1234,7 +1236,7 @@ function RenditaCalc() {
                 fontSize: '0.85rem', color: 'var(--text-2)', marginBottom: 32,
               }}>
                 Servirà un capitale di circa{' '}
-                <strong style={{ color: '#BF5AF2', fontSize: '1rem' }}>{fmtEurFull(targetCapitale)}</strong>
+                <strong style={{ color: '#BF5AF2', fontSize: '1rem' }}>{fmtMoneyFull(targetCapitale)}</strong>
                 <span style={{ color: 'var(--text-3)', fontSize: '0.72rem' }}> (regola del 4%)</span>
               </div>
 
@@ -1327,7 +1329,7 @@ function RenditaCalc() {
               {hasCapital === 'yes' && (
                 <div style={{ marginBottom: 28 }}>
                   <div style={{ display: 'flex', alignItems: 'center', gap: 8, justifyContent: 'center', marginBottom: 12 }}>
-                    <span style={{ fontSize: '1.2rem', color: 'var(--text-3)' }}>€</span>
+                    <span style={{ fontSize: '1.2rem', color: 'var(--text-3)' }}>{getCurrencySymbol()}</span>
                     <input type="number" min={0} step={1000} value={capitalInit}
                       onChange={e => setCapitalInit(Math.max(0, Number(e.target.value)))}
                       style={{ ...inputStyle, width: 140, textAlign: 'center', fontSize: '1.2rem', fontWeight: 700 }} />
@@ -1336,7 +1338,7 @@ function RenditaCalc() {
                     onChange={e => setCapitalInit(Number(e.target.value))}
                     style={{ width: '100%', accentColor: '#0A84FF' }} />
                   <div style={{ marginTop: 12, fontSize: '0.78rem', color: 'var(--text-3)' }}>
-                    Con {fmtEurFull(capitalInit)} di partenza già investiti
+                    Con {fmtMoneyFull(capitalInit)} di partenza già investiti
                   </div>
                 </div>
               )}
@@ -1364,7 +1366,7 @@ function RenditaCalc() {
                 Quanto puoi mettere<br/>da parte ogni mese?
               </h2>
               <p style={{ fontSize: '0.82rem', color: 'var(--text-3)', margin: '0 0 28px' }}>
-                Con questi soldi confronteremo i 3 scenari. Puoi inserire anche €0 se non sai ancora.
+                Con questi soldi confronteremo i 3 scenari. Puoi inserire anche {fmtMoneyFull(0)} se non sai ancora.
               </p>
 
               {/* Big amount display */}
@@ -1372,7 +1374,7 @@ function RenditaCalc() {
                 fontSize: '4rem', fontWeight: 900, color: '#30D158', lineHeight: 1,
                 marginBottom: 6, textShadow: '0 0 40px rgba(48,209,88,0.35)',
               }}>
-                {monthlyInput === 0 ? '—' : `€${monthlyInput.toLocaleString('it')}`}
+                {monthlyInput === 0 ? '—' : fmtMoneyFull(monthlyInput)}
               </div>
               <div style={{ fontSize: '0.85rem', color: 'var(--text-3)', marginBottom: 24 }}>
                 {monthlyInput === 0 ? 'nessun versamento mensile' : 'al mese'}
@@ -1381,7 +1383,7 @@ function RenditaCalc() {
               {/* Pills */}
               <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, justifyContent: 'center', marginBottom: 20 }}>
                 {[0, 100, 200, 300, 500, 800, 1000, 1500].map(v => (
-                  <Pill key={v} label={v === 0 ? '€0 / Non verso' : `€${v}`}
+                  <Pill key={v} label={v === 0 ? `${fmtMoneyFull(0)} / Non verso` : fmtMoneyFull(v)}
                     active={monthlyInput === v} color="#30D158" onClick={() => setMonthlyInput(v)} />
                 ))}
               </div>
@@ -1421,13 +1423,13 @@ function RenditaCalc() {
             background: 'var(--surface-2)', border: '1px solid var(--border)',
             marginBottom: 24, fontSize: '0.78rem', color: 'var(--text-2)',
           }}>
-            <span style={{ fontWeight: 700 }}>🎯 {fmtEur(targetRendita)}/mese</span>
+            <span style={{ fontWeight: 700 }}>🎯 {fmtMoney(targetRendita)}/mese</span>
             <span style={{ color: 'var(--border)' }}>·</span>
             <span>⏰ {years} anni</span>
             <span style={{ color: 'var(--border)' }}>·</span>
-            <span>🏦 {hasCapital === 'yes' ? fmtEurFull(capitalInit) : 'da zero'}</span>
+            <span>🏦 {hasCapital === 'yes' ? fmtMoneyFull(capitalInit) : 'da zero'}</span>
             <span style={{ color: 'var(--border)' }}>·</span>
-            <span>📅 {monthlyInput > 0 ? `${fmtEur(monthlyInput)}/mese` : 'nessun versamento'}</span>
+            <span>📅 {monthlyInput > 0 ? `${fmtMoney(monthlyInput)}/mese` : 'nessun versamento'}</span>
             <button onClick={restart} style={{
               marginLeft: 'auto', padding: '5px 14px', borderRadius: 20, border: 'none',
               cursor: 'pointer', background: 'var(--surface-3)', color: 'var(--text-2)',
@@ -1438,10 +1440,10 @@ function RenditaCalc() {
           {/* Headline */}
           <div style={{ textAlign: 'center', marginBottom: 28 }}>
             <div style={{ fontSize: '0.85rem', color: 'var(--text-3)', marginBottom: 6 }}>
-              Per raggiungere {fmtEur(targetRendita)}/mese in {years} anni ti serve un capitale di
+              Per raggiungere {fmtMoney(targetRendita)}/mese in {years} anni ti serve un capitale di
             </div>
             <div style={{ fontSize: '2.2rem', fontWeight: 900, color: '#BF5AF2', lineHeight: 1 }}>
-              {fmtEurFull(targetCapitale)}
+              {fmtMoneyFull(targetCapitale)}
             </div>
             <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginTop: 4 }}>
               calcolato con la regola del {withdrawalRate}% (Safe Withdrawal Rate)
@@ -1454,7 +1456,7 @@ function RenditaCalc() {
               emoji="😴" label="Status quo" best={false} color="#8E8E93"
               rateLabel={`0% reale — inflazione ${inflation}% erode i risparmi`}
               fvVal={fvQuo}
-              note={`Capitale nominale accumulato: ${fmtEur(fvNominale)} → valore reale: ${fmtEur(fvQuo)}`}
+              note={`Capitale nominale accumulato: ${fmtMoney(fvNominale)} → valore reale: ${fmtMoney(fvQuo)}`}
             />
             <ScenarioCard
               emoji="🏦" label="Banche / fondi" best={false} color="#0A84FF"
@@ -1478,17 +1480,17 @@ function RenditaCalc() {
           }}>
             <div>
               <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 4 }}>ETF vs Banche — capitale in più</div>
-              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#30D158' }}>{fmtEur(fvETF - fvBanche)}</div>
+              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#30D158' }}>{fmtMoney(fvETF - fvBanche)}</div>
               <div style={{ fontSize: '0.65rem', color: 'var(--text-3)' }}>di capitale accumulato in più</div>
             </div>
             <div>
               <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 4 }}>Rendita extra mensile</div>
-              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#30D158' }}>+{fmtEur(monthlyRendita(fvETF - fvBanche, withdrawalRate))}/mese</div>
+              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#30D158' }}>+{fmtMoney(monthlyRendita(fvETF - fvBanche, withdrawalRate))}/mese</div>
               <div style={{ fontSize: '0.65rem', color: 'var(--text-3)' }}>in più rispetto alle banche</div>
             </div>
             <div>
               <div style={{ fontSize: '0.62rem', color: 'var(--text-3)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 4 }}>ETF vs Status quo — capitale extra</div>
-              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#BF5AF2' }}>{fmtEur(fvETF - fvQuo)}</div>
+              <div style={{ fontSize: '1.2rem', fontWeight: 800, color: '#BF5AF2' }}>{fmtMoney(fvETF - fvQuo)}</div>
               <div style={{ fontSize: '0.65rem', color: 'var(--text-3)' }}>vs lasciare i soldi fermi</div>
             </div>
           </div>
@@ -1520,13 +1522,13 @@ function RenditaCalc() {
                 <span style={{ fontSize: '0.78rem', fontWeight: row.delay === 0 ? 700 : 400, color: row.delay === 0 ? '#30D158' : 'var(--text-2)' }}>
                   {row.delay === 0 ? '▶ Ora' : `+${row.delay} ${row.delay === 1 ? 'anno' : 'anni'}`}
                 </span>
-                <span style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 700, color: '#30D158' }}>{fmtEur(row.etf)}/m</span>
+                <span style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 700, color: '#30D158' }}>{fmtMoney(row.etf)}/m</span>
                 <span style={{ textAlign: 'right', fontSize: '0.75rem', color: row.etfExtra > 0 ? '#FF453A' : 'var(--text-3)' }}>
-                  {row.etfExtra > 0 ? `+${fmtEur(row.etfExtra)}/m` : '—'}
+                  {row.etfExtra > 0 ? `+${fmtMoney(row.etfExtra)}/m` : '—'}
                 </span>
-                <span style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 700, color: '#0A84FF' }}>{fmtEur(row.banche)}/m</span>
+                <span style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 700, color: '#0A84FF' }}>{fmtMoney(row.banche)}/m</span>
                 <span style={{ textAlign: 'right', fontSize: '0.75rem', color: row.bancheExtra > 0 ? '#FF453A' : 'var(--text-3)' }}>
-                  {row.bancheExtra > 0 ? `+${fmtEur(row.bancheExtra)}/m` : '—'}
+                  {row.bancheExtra > 0 ? `+${fmtMoney(row.bancheExtra)}/m` : '—'}
                 </span>
               </div>
             ))}
@@ -1578,10 +1580,10 @@ function RenditaCalc() {
                     <XAxis dataKey="year" tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
                       tickFormatter={y => y === 0 ? 'Oggi' : `${y}a`} tickLine={false} />
                     <YAxis tick={{ fontSize: 11, fill: 'var(--analysis-dim)' }}
-                      tickFormatter={v => fmtEur(v)} tickLine={false} axisLine={false} width={72} />
+                      tickFormatter={v => fmtMoney(v)} tickLine={false} axisLine={false} width={72} />
                     <Tooltip content={<RenditaTooltip targetCap={targetCapitale} />} />
                     <ReferenceLine y={targetCapitale} stroke="#FF9F0A" strokeDasharray="5 4" strokeWidth={1.5}
-                      label={{ value: `Obiettivo ${fmtEur(targetCapitale)}`, position: 'insideTopRight', fontSize: 10, fill: '#FF9F0A' }} />
+                      label={{ value: `Obiettivo ${fmtMoney(targetCapitale)}`, position: 'insideTopRight', fontSize: 10, fill: '#FF9F0A' }} />
                     <Area type="monotone" dataKey="quo"    stroke="#8E8E93" strokeWidth={1.5} fill="url(#gRQuo2)"    dot={false} activeDot={{ r: 3 }} />
                     <Area type="monotone" dataKey="banche" stroke="#0A84FF" strokeWidth={2}   fill="url(#gRBanche2)" dot={false} activeDot={{ r: 4 }} />
                     <Area type="monotone" dataKey="etf"    stroke="#30D158" strokeWidth={2.5} fill="url(#gRETF2)"    dot={false} activeDot={{ r: 4 }} />
@@ -1661,6 +1663,15 @@ const CALCULATORS = [
     shadowColor: 'rgba(191,90,242,0.30)',
     component: RenditaCalc,
   },
+  {
+    key:       'decumulo',
+    icon:      '🏖️',
+    label:     'Decumulo',
+    desc:      'Strategie di prelievo sulle sequenze storiche',
+    color:     'linear-gradient(135deg, #0A84FF, #BF5AF2)',
+    shadowColor: 'rgba(10,132,255,0.28)',
+    component: DecumulationSimulator,
+  },
 ];
 
 // ─────────────────────────────────────────────────────────────────────────────
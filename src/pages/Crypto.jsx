@@ -13,6 +13,8 @@ import {
   ChevronDown, ChevronUp, Info, Download, Clock, LayoutGrid,
   Table2, History, Bitcoin,
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { getCryptoRate } from '../services/taxService';
 import {
   parseBinanceCSV,
   computeHoldings,
@@ -26,6 +28,7 @@ import {
   computePortfolioKPIs,
   COINGECKO_IDS,
 } from '../services/binanceCsvService';
+import { formatFromEUR, getCurrencySymbol } from '../services/currencyService';
 
 // ── Costanti ──────────────────────────────────────────────────────────────────
 
@@ -53,10 +56,7 @@ const FILTER_TABS = [
 
 // ── Utility ───────────────────────────────────────────────────────────────────
 
-const fmt = (n, decimals = 2) =>
-  n == null ? '—' : n.toLocaleString('it-IT', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
-
-const fmtEur = (n) => n == null ? '—' : '€ ' + fmt(n, 2);
+const fmtMoney = (n) => n == null ? '—' : formatFromEUR(n);
 
 const fmtQty = (n, coin) => {
   if (n == null) return '—';
@@ -269,7 +269,7 @@ function TopHoldings({ rows }) {
               </div>
             </div>
             <div style={{ textAlign: 'right' }}>
-              <div style={{ fontSize: '0.82rem', fontWeight: 600 }}>{row.hasPrice ? fmtEur(row.value) : '—'}</div>
+              <div style={{ fontSize: '0.82rem', fontWeight: 600 }}>{row.hasPrice ? fmtMoney(row.value) : '—'}</div>
               {row.change24h != null && (
                 <div style={{ fontSize: '0.72rem', color: row.change24h >= 0 ? '#30D158' : '#FF453A' }}>
                   {row.change24h >= 0 ? '+' : ''}{row.change24h.toFixed(2)}%
@@ -323,17 +323,17 @@ function IncomeSummary({ incomeByYear, onGoToIncome }) {
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(120px,1fr))', gap: '0.75rem' }}>
         <div style={{ background: 'var(--bg)', borderRadius: 12, padding: '0.75rem 1rem', textAlign: 'center' }}>
           <div style={{ fontSize: '0.65rem', color: 'var(--text-3)', fontWeight: 600, textTransform: 'uppercase', marginBottom: '0.25rem' }}>Totale</div>
-          <div style={{ fontSize: '1.1rem', fontWeight: 700, color: '#FF9F0A' }}>{fmtEur(total)}</div>
+          <div style={{ fontSize: '1.1rem', fontWeight: 700, color: '#FF9F0A' }}>{fmtMoney(total)}</div>
         </div>
         <div style={{ background: 'var(--bg)', borderRadius: 12, padding: '0.75rem 1rem', textAlign: 'center' }}>
           <div style={{ fontSize: '0.65rem', color: 'var(--text-3)', fontWeight: 600, textTransform: 'uppercase', marginBottom: '0.25rem' }}>Miglior anno</div>
           <div style={{ fontSize: '1.1rem', fontWeight: 700, color: '#30D158' }}>{bestYear.year}</div>
-          <div style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>{fmtEur(bestYear.eurValue)}</div>
+          <div style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>{fmtMoney(bestYear.eurValue)}</div>
         </div>
         {incomeByYear.slice(-2).map(y => (
           <div key={y.year} style={{ background: 'var(--bg)', borderRadius: 12, padding: '0.75rem 1rem', textAlign: 'center' }}>
             <div style={{ fontSize: '0.65rem', color: 'var(--text-3)', fontWeight: 600, textTransform: 'uppercase', marginBottom: '0.25rem' }}>{y.year}</div>
-            <div style={{ fontSize: '1.05rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtEur(y.eurValue)}</div>
+            <div style={{ fontSize: '1.05rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtMoney(y.eurValue)}</div>
             <div style={{ fontSize: '0.68rem', color: 'var(--text-3)' }}>{y.txCount} ops</div>
           </div>
         ))}
@@ -382,7 +382,7 @@ function HoldingsTable({ rows, showDust, onToggleDust }) {
         <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.82rem' }}>
           <thead>
             <tr style={{ background: 'var(--bg)' }}>
-              {['Coin', 'Quantità', 'Prezzo Attuale', 'Valore €', 'P&L €', 'P&L %', 'Var. 24h', 'Staking guadagnato'].map(h => (
+              {['Coin', 'Quantità', 'Prezzo Attuale', `Valore ${getCurrencySymbol()}`, `P&L ${getCurrencySymbol()}`, 'P&L %', 'Var. 24h', 'Staking guadagnato'].map(h => (
                 <th key={h} style={{ padding: '0.6rem 1rem', textAlign: 'left', fontWeight: 600,
                   color: 'var(--text-3)', fontSize: '0.68rem', textTransform: 'uppercase', letterSpacing: '0.06em',
                   whiteSpace: 'nowrap', borderBottom: '1px solid var(--border)' }}>{h}</th>
@@ -409,16 +409,16 @@ function HoldingsTable({ rows, showDust, onToggleDust }) {
 
                 <td style={{ padding: '0.8rem 1rem', fontFamily: 'monospace', fontSize: '0.8rem' }}>
                   {row.hasPrice
-                    ? fmtEur(row.price)
+                    ? fmtMoney(row.price)
                     : <span style={{ color: 'var(--text-3)', fontSize: '0.72rem' }}>n/d</span>}
                 </td>
 
                 <td style={{ padding: '0.8rem 1rem', fontWeight: 600 }}>
-                  {row.hasPrice ? fmtEur(row.value) : '—'}
+                  {row.hasPrice ? fmtMoney(row.value) : '—'}
                 </td>
 
                 <td style={{ padding: '0.8rem 1rem', color: row.pnl == null ? 'var(--text-3)' : row.pnl >= 0 ? '#30D158' : '#FF453A', fontWeight: 600, fontSize: '0.8rem' }}>
-                  {row.pnl == null ? <span style={{ fontSize: '0.72rem' }}>—</span> : (row.pnl >= 0 ? '+' : '') + fmtEur(row.pnl)}
+                  {row.pnl == null ? <span style={{ fontSize: '0.72rem' }}>—</span> : (row.pnl >= 0 ? '+' : '') + fmtMoney(row.pnl)}
                 </td>
 
                 <td style={{ padding: '0.8rem 1rem' }}>
@@ -444,7 +444,7 @@ function HoldingsTable({ rows, showDust, onToggleDust }) {
                 </td>
 
                 <td style={{ padding: '0.8rem 1rem', color: '#FF9F0A', fontWeight: 600, fontSize: '0.8rem' }}>
-                  {row.passiveEur > 0 ? `+${fmtEur(row.passiveEur)}` : '—'}
+                  {row.passiveEur > 0 ? `+${fmtMoney(row.passiveEur)}` : '—'}
                 </td>
               </tr>
             ))}
@@ -473,10 +473,10 @@ function IncomeChart({ incomeByYear }) {
         {incomeByYear.map(y => (
           <div key={y.year} style={{ background: 'var(--card-bg)', borderRadius: 14, padding: '1rem 1.1rem', border: '1px solid var(--border)', textAlign: 'center' }}>
             <div style={{ fontSize: '0.68rem', color: 'var(--text-3)', fontWeight: 600, letterSpacing: '0.06em', textTransform: 'uppercase' }}>{y.year}</div>
-            <div style={{ fontSize: '1.2rem', fontWeight: 700, color: '#30D158', margin: '0.25rem 0' }}>{fmtEur(y.eurValue)}</div>
+            <div style={{ fontSize: '1.2rem', fontWeight: 700, color: '#30D158', margin: '0.25rem 0' }}>{fmtMoney(y.eurValue)}</div>
             <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
-              <span>⚡ {fmtEur(y.staking)}</span>
-              <span>🎁 {fmtEur(y.airdrop)}</span>
+              <span>⚡ {fmtMoney(y.staking)}</span>
+              <span>🎁 {fmtMoney(y.airdrop)}</span>
             </div>
             <div style={{ fontSize: '0.68rem', color: 'var(--text-3)', marginTop: '0.2rem' }}>{y.txCount} operazioni</div>
           </div>
@@ -493,9 +493,9 @@ function IncomeChart({ incomeByYear }) {
           <BarChart data={data} margin={{ top: 0, right: 10, left: 0, bottom: 0 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
             <XAxis dataKey="year" tick={{ fontSize: 12, fill: 'var(--text-3)' }} />
-            <YAxis tick={{ fontSize: 11, fill: 'var(--text-3)' }} tickFormatter={v => `€${v}`} />
+            <YAxis tick={{ fontSize: 11, fill: 'var(--text-3)' }} tickFormatter={v => formatFromEUR(v, { decimals: 0, compact: true })} />
             <Tooltip
-              formatter={(value, name) => [`€ ${fmt(value)}`, name]}
+              formatter={(value, name) => [fmtMoney(value), name]}
               contentStyle={{ background: 'var(--card-bg)', border: '1px solid var(--border)', borderRadius: 10 }}
             />
             <Legend />
@@ -628,6 +628,7 @@ function FiscalNote({ kpis, incomeByYear }) {
   const [open, setOpen] = useState(false);
   const totalStaking = incomeByYear.reduce((s, y) => s + y.staking, 0);
   const totalAirdrop = incomeByYear.reduce((s, y) => s + y.airdrop, 0);
+  const rate = getCryptoRate(new Date().getFullYear());
 
   return (
     <div style={{ background: 'var(--card-bg)', borderRadius: '16px', border: '1px solid rgba(255,159,10,0.3)', overflow: 'hidden' }}>
@@ -649,27 +650,28 @@ function FiscalNote({ kpis, incomeByYear }) {
             <div style={{ background: 'rgba(255,69,58,0.07)', borderRadius: 12, padding: '0.85rem', border: '1px solid rgba(255,69,58,0.2)' }}>
               <div style={{ fontSize: '0.68rem', color: '#FF453A', fontWeight: 700, textTransform: 'uppercase', marginBottom: '0.25rem' }}>Plusvalenze</div>
               <div style={{ fontSize: '1.05rem', fontWeight: 700, color: kpis.pnl >= 0 ? '#30D158' : '#FF453A' }}>
-                {kpis.pnl >= 0 ? '+' : ''}{fmtEur(kpis.pnl)}
+                {kpis.pnl >= 0 ? '+' : ''}{fmtMoney(kpis.pnl)}
               </div>
-              <div style={{ color: 'var(--text-3)', marginTop: '0.25rem' }}>Aliquota: <strong>26%</strong> su plusvalenze nette &gt; €2.000</div>
-              <div style={{ color: 'var(--text-3)', marginTop: '0.1rem' }}>Stima imposta: <strong style={{ color: '#FF453A' }}>{fmtEur(Math.max(0, kpis.pnl) * 0.26)}</strong></div>
+              <div style={{ color: 'var(--text-3)', marginTop: '0.25rem' }}>Aliquota: <strong>{Math.round(rate * 100)}%</strong> senza franchigia (dal 2025)</div>
+              <div style={{ color: 'var(--text-3)', marginTop: '0.1rem' }}>Stima imposta: <strong style={{ color: '#FF453A' }}>{fmtMoney(Math.max(0, kpis.pnl) * rate)}</strong></div>
             </div>
             <div style={{ background: 'rgba(255,159,10,0.07)', borderRadius: 12, padding: '0.85rem', border: '1px solid rgba(255,159,10,0.2)' }}>
               <div style={{ fontSize: '0.68rem', color: '#FF9F0A', fontWeight: 700, textTransform: 'uppercase', marginBottom: '0.25rem' }}>Staking</div>
-              <div style={{ fontSize: '1.05rem', fontWeight: 700, color: '#FF9F0A' }}>{fmtEur(totalStaking)}</div>
+              <div style={{ fontSize: '1.05rem', fontWeight: 700, color: '#FF9F0A' }}>{fmtMoney(totalStaking)}</div>
               <div style={{ color: 'var(--text-3)', marginTop: '0.25rem' }}>Redditi diversi (art. 67 TUIR)</div>
               <div style={{ color: 'var(--text-3)', marginTop: '0.1rem' }}>Aliquota marginale IRPEF</div>
             </div>
             <div style={{ background: 'rgba(191,90,242,0.07)', borderRadius: 12, padding: '0.85rem', border: '1px solid rgba(191,90,242,0.2)' }}>
               <div style={{ fontSize: '0.68rem', color: '#BF5AF2', fontWeight: 700, textTransform: 'uppercase', marginBottom: '0.25rem' }}>Airdrops</div>
-              <div style={{ fontSize: '1.05rem', fontWeight: 700, color: '#BF5AF2' }}>{fmtEur(totalAirdrop)}</div>
+              <div style={{ fontSize: '1.05rem', fontWeight: 700, color: '#BF5AF2' }}>{fmtMoney(totalAirdrop)}</div>
               <div style={{ color: 'var(--text-3)', marginTop: '0.25rem' }}>Redditi diversi al valore di ricezione</div>
               <div style={{ color: 'var(--text-3)', marginTop: '0.1rem', fontSize: '0.72rem' }}>⚠ Conserva prova del valore alla data</div>
             </div>
           </div>
           <div style={{ background: 'var(--bg)', borderRadius: 10, padding: '0.75rem 1rem', color: 'var(--text-3)', lineHeight: 1.6, fontSize: '0.78rem' }}>
             <strong style={{ color: 'var(--text-2)' }}>⚠️ Disclaimer:</strong> Stime indicative. La normativa sulle criptovalute è complessa (D.Lgs. 209/2023).
-            Consulta un commercialista per la dichiarazione dei redditi (Quadro RW + RT).
+            Consulta un commercialista per la dichiarazione dei redditi (Quadro RW + RT).{' '}
+            <Link to="/fiscale" style={{ color: '#0A84FF' }}>Apri il report fiscale →</Link>
           </div>
         </div>
       )}
@@ -835,21 +837,21 @@ export default function Crypto() {
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(190px,1fr))', gap: '0.85rem' }}>
                 <KpiCard
                   label="Valore Attuale"
-                  value={loadingPrices ? '…' : fmtEur(derived.kpis.totalValue)}
+                  value={loadingPrices ? '…' : fmtMoney(derived.kpis.totalValue)}
                   sub={`${derived.holdingsRows.filter(r => (r.value||0) >= 1).length} coin`}
                   icon={Bitcoin}
                   color="#F7931A"
                 />
                 <KpiCard
                   label="Investito"
-                  value={fmtEur(derived.kpis.eurInvested)}
+                  value={fmtMoney(derived.kpis.eurInvested)}
                   sub="Fiat EUR spesi"
                   icon={TrendingUp}
                   color="#64D2FF"
                 />
                 <KpiCard
                   label="P&L Non Realizzato"
-                  value={loadingPrices ? '…' : (derived.kpis.pnl >= 0 ? '+' : '') + fmtEur(derived.kpis.pnl)}
+                  value={loadingPrices ? '…' : (derived.kpis.pnl >= 0 ? '+' : '') + fmtMoney(derived.kpis.pnl)}
                   sub={(derived.kpis.pnlPct >= 0 ? '+' : '') + derived.kpis.pnlPct.toFixed(1) + '% sul capitale'}
                   icon={derived.kpis.pnl >= 0 ? TrendingUp : TrendingDown}
                   color={derived.kpis.pnl >= 0 ? '#30D158' : '#FF453A'}
@@ -857,7 +859,7 @@ export default function Crypto() {
                 />
                 <KpiCard
                   label="Staking + Airdrops"
-                  value={loadingPrices ? '…' : fmtEur(derived.kpis.totalPassiveEur)}
+                  value={loadingPrices ? '…' : fmtMoney(derived.kpis.totalPassiveEur)}
                   sub={derived.passiveIncome.total_txs + ' operazioni passive'}
                   icon={Gift}
                   color="#FF9F0A"
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Blur } from '../context/PrivacyContext';
 import { TrendingUp, TrendingDown, RefreshCw, AlertTriangle, ArrowRight, ChevronDown, ChevronUp } from 'lucide-react';
 import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
-import { getTransactions, calculateRealizedPL, portfolioSnapshot } from '../services/localStorageService';
+import { getHoldingTransactions, calculateRealizedPL, portfolioSnapshot } from '../services/localStorageService';
 import MissingPricesAlert from '../components/MissingPricesAlert';
 import { buildAllocation } from '../services/classificationService';
 import { fetchMultiplePrices } from '../services/priceService';
@@ -10,6 +10,9 @@ import { calculateCashFlow } from '../services/cashFlowService';
 import { getPerformanceSummary } from '../services/performanceService';
 import { getCachedPrices, cachePrices } from '../services/priceCache';
 import { getPortfolioConfig, getHiddenPortfolioIds, toggleHiddenPortfolio, clearHiddenPortfolios } from '../services/portfolioConfigService';
+import { isCashFlowType } from '../config/transactionTypes';
+import { formatFromEUR, getCurrencySymbol } from '../services/currencyService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import { format } from 'date-fns';
 
 // ── Palette ─────────────────────────────────────────────────────────────────
@@ -25,8 +28,8 @@ function pct(n, decimals = 2) {
   const s = Math.abs(n).toFixed(decimals);
   return (n >= 0 ? '+' : '−') + s + '%';
 }
-function eur(n, dec = 2) {
-  return '€' + Math.abs(n).toLocaleString('it-IT', { minimumFractionDigits: dec, maximumFractionDigits: dec });
+function money(n, dec = 2) {
+  return formatFromEUR(Math.abs(n), { decimals: dec });
 }
 function sign(n) { return n >= 0 ? '+' : '−'; }
 function color(n) { return n >= 0 ? GREEN : RED; }
@@ -69,11 +72,11 @@ function PortfolioMiniCard({ portfolio, value, pl, plPct, count, rebalanceNeeded
         )}
       </div>
       <div style={{ fontSize: '1.2rem', fontWeight: 700, color: 'var(--text-1)' }}>
-        {eur(value)}
+        {money(value)}
       </div>
       <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
         <span style={{ fontSize: '0.75rem', color: color(pl), fontWeight: 600 }}>
-          {sign(pl)}{eur(pl, 0)}
+          {sign(pl)}{money(pl, 0)}
         </span>
         <span style={{ fontSize: '0.75rem', color: color(plPct) }}>
           {pct(plPct, 1)}
@@ -118,6 +121,8 @@ function Dashboard() {
     return () => clearInterval(interval);
   }, []);
 
+  useSyncRefresh(() => loadData());
+
   useEffect(() => {
     const data = calculateDashboardData(hiddenPortfolioIds);
     setPortfolio(data.portfolio);
@@ -149,7 +154,7 @@ function Dashboard() {
     fetchingRef.current = true;
     setRefreshing(true);
     try {
-      const transactions = getTransactions().filter(tx => !tx.excludeFromStats);
+      const transactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
       const uniqueTickers = new Set();
       const categoriesMap = {};
       transactions.forEach(tx => {
@@ -203,7 +208,7 @@ function Dashboard() {
     const allocation    = alloc.macro;   // [{ name, value, percentage, color }]
     const subAllocation = alloc.micro;   // [{ name, value, percentage, color }]
 
-    const allTransactions = getTransactions().filter(tx => !tx.excludeFromStats);
+    const allTransactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
     const performanceData = calculateMonthlyPerformance(allTransactions, snap.holdings);
     const performanceMetrics = getPerformanceSummary(investedAssets, null);
 
@@ -233,7 +238,12 @@ function Dashboard() {
       const isCash = tx.isCash || tx.macroCategory === 'Cash';
       const amount = tx.quantity * tx.price;
       const commission = tx.commission || 0;
-      if (isCash) {
+      if (tx.type === 'transfer') {
+        if (tx.transferDirection === 'out') months[key].cashWithdrawals += amount;
+        else                                months[key].cashDeposits    += amount;
+      } else if (isCashFlowType(tx.type)) {
+        return; // dividendi, interessi e costi non sono versamenti
+      } else if (isCash) {
         if (tx.type === 'buy')  months[key].cashDeposits    += amount;
         else                    months[key].cashWithdrawals  += amount;
       } else {
@@ -366,19 +376,19 @@ function Dashboard() {
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '1rem', marginBottom: '1.5rem' }}>
             <KpiCard
               label="Portafoglio totale"
-              main={eur(stats.totalValue)}
+              main={money(stats.totalValue)}
               sub={`${stats.assetsCount} asset`}
               large
             />
             <KpiCard
               label="P&L totale"
-              main={<span style={{ color: color(stats.totalPL) }}>{sign(stats.totalPL)}{eur(stats.totalPL)}</span>}
+              main={<span style={{ color: color(stats.totalPL) }}>{sign(stats.totalPL)}{money(stats.totalPL)}</span>}
               sub={<span style={{ color: color(stats.totalPLPercent) }}>{pct(stats.totalPLPercent)}</span>}
               mainColor={color(stats.totalPL)}
             />
             <KpiCard
               label="Variazione oggi"
-              main={<span style={{ color: color(stats.dayChange) }}>{sign(stats.dayChange)}{eur(stats.dayChange)}</span>}
+              main={<span style={{ color: color(stats.dayChange) }}>{sign(stats.dayChange)}{money(stats.dayChange)}</span>}
               sub={<span style={{ color: color(stats.dayChangePercent) }}>{pct(stats.dayChangePercent)}</span>}
               mainColor={color(stats.dayChange)}
             />
@@ -424,7 +434,7 @@ function Dashboard() {
                       P&L Realizzato (totale)
                     </span>
                     <span style={{ fontSize: '1.35rem', fontWeight: 700, color: color(plData.total) }}>
-                      {sign(plData.total)}{eur(plData.total)}
+                      {sign(plData.total)}{money(plData.total)}
                     </span>
                   </div>
                   <div style={{ borderLeft: '1px solid var(--border)', paddingLeft: '2rem' }}>
@@ -432,7 +442,7 @@ function Dashboard() {
                       YTD {new Date().getFullYear()}
                     </span>
                     <span style={{ fontSize: '1.35rem', fontWeight: 700, color: color(plData.ytdTotal) }}>
-                      {sign(plData.ytdTotal)}{eur(plData.ytdTotal)}
+                      {sign(plData.ytdTotal)}{money(plData.ytdTotal)}
                     </span>
                   </div>
                   <div style={{ borderLeft: '1px solid var(--border)', paddingLeft: '2rem' }}>
@@ -489,11 +499,11 @@ function Dashboard() {
                         {new Date(op.date).toLocaleDateString('it-IT', { day: '2-digit', month: 'short', year: '2-digit' })}
                       </span>
                       <span style={{ textAlign: 'right', color: 'var(--text-2)' }}>{op.quantity.toLocaleString('it-IT', { maximumFractionDigits: 4 })}</span>
-                      <span style={{ textAlign: 'right', color: 'var(--text-2)' }}>€{op.sellPrice.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}</span>
-                      <span style={{ textAlign: 'right', color: 'var(--text-2)' }}>€{op.avgCostAtSale.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}</span>
+                      <span style={{ textAlign: 'right', color: 'var(--text-2)' }}>{formatFromEUR(op.sellPrice)}</span>
+                      <span style={{ textAlign: 'right', color: 'var(--text-2)' }}>{formatFromEUR(op.avgCostAtSale)}</span>
                       <div style={{ textAlign: 'right' }}>
                         <span style={{ fontWeight: 700, color: color(op.realizedPL) }}>
-                          {sign(op.realizedPL)}{eur(op.realizedPL)}
+                          {sign(op.realizedPL)}{money(op.realizedPL)}
                         </span>
                         <span style={{ display: 'block', fontSize: '0.7rem', color: color(op.pctReturn) }}>
                           {pct(op.pctReturn)}
@@ -511,7 +521,7 @@ function Dashboard() {
                     <span style={{ color: 'var(--text-3)', fontSize: '0.72rem', fontWeight: 600 }}>TOTALE</span>
                     <span /><span /><span /><span />
                     <span style={{ textAlign: 'right', color: color(plData.total) }}>
-                      {sign(plData.total)}{eur(plData.total)}
+                      {sign(plData.total)}{money(plData.total)}
                     </span>
                   </div>
                 </div>
@@ -529,7 +539,7 @@ function Dashboard() {
             }}>
               <AlertTriangle size={15} />
               <span>
-                <strong>Cash negativo {eur(cashFlow.availableCash)}</strong> — hai investito più di quanto depositato.
+                <strong>Cash negativo {money(cashFlow.availableCash)}</strong> — hai investito più di quanto depositato.
               </span>
             </div>
           )}
@@ -612,10 +622,10 @@ function Dashboard() {
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
                   <XAxis dataKey="month" tick={{ fontSize: 10, fill: 'var(--text-3)' }} tickLine={false} axisLine={false} />
-                  <YAxis tick={{ fontSize: 10, fill: 'var(--text-3)' }} tickLine={false} axisLine={false} tickFormatter={v => `€${(v/1000).toFixed(0)}k`} />
+                  <YAxis tick={{ fontSize: 10, fill: 'var(--text-3)' }} tickLine={false} axisLine={false} tickFormatter={v => formatFromEUR(v, { decimals: 0, compact: true })} />
                   <Tooltip
                     contentStyle={{ background: 'var(--surface-1)', border: '1px solid var(--border)', borderRadius: 10, fontSize: 12 }}
-                    formatter={(v, name) => [eur(v), name === 'value' ? 'Valore' : 'Versato']}
+                    formatter={(v, name) => [money(v), name === 'value' ? 'Valore' : 'Versato']}
                   />
                   <Area type="monotone" dataKey="value"   stroke={BLUE}  strokeWidth={2} fill="url(#gVal)" name="value" />
                   <Area type="monotone" dataKey="versato" stroke={GREEN} strokeWidth={2} fill="url(#gVer)" name="versato" />
@@ -686,7 +696,7 @@ function Dashboard() {
 
             {/* Header */}
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 90px 100px 70px 60px', gap: 8, padding: '0 0 6px', borderBottom: '1px solid var(--border)', marginBottom: 2 }}>
-              {['Titolo', 'Valore', 'P&L €', 'ROI', '1d%'].map(h => (
+              {['Titolo', 'Valore', `P&L ${getCurrencySymbol()}`, 'ROI', '1d%'].map(h => (
                 <span key={h} style={{ fontSize: '0.67rem', color: 'var(--text-3)', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.04em', textAlign: h !== 'Titolo' ? 'right' : 'left' }}>{h}</span>
               ))}
             </div>
@@ -701,10 +711,10 @@ function Dashboard() {
                   </div>
                 </div>
                 <div style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 600, color: 'var(--text-1)' }}>
-                  <Blur>{eur(h.marketValue, 0)}</Blur>
+                  <Blur>{money(h.marketValue, 0)}</Blur>
                 </div>
                 <div style={{ textAlign: 'right', fontSize: '0.82rem', fontWeight: 600, color: color(h.unrealizedPL) }}>
-                  <Blur>{sign(h.unrealizedPL)}{eur(h.unrealizedPL, 0)}</Blur>
+                  <Blur>{sign(h.unrealizedPL)}{money(h.unrealizedPL, 0)}</Blur>
                 </div>
                 <div style={{ textAlign: 'right', fontSize: '0.78rem', fontWeight: 600, color: color(h.roi) }}>
                   {pct(h.roi, 1)}
@@ -1,6 +1,6 @@
 /**
  * Dividendi.jsx — Dividendi & Rendita (unificato)
- * 5 tab: Panoramica · Calendario · Posizioni · Proiezioni · Analisi
+ * Tab: Panoramica · Calendario · Composizione · Simulatore · Posizioni · Proiezioni · Analisi · Incassati
  */
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import {
@@ -16,7 +16,7 @@ import {
 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { Blur } from '../context/PrivacyContext';
-import { calculatePortfolio } from '../services/localStorageService';
+import { calculatePortfolio, getTransactions } from '../services/localStorageService';
 import {
   getAllDGMetadata, saveDGMetadata, buildDGPosition,
   portfolioKPIs, dividendCalendar, nextDividend,
@@ -31,6 +31,8 @@ import { getDividendInfo, getAllEtfDividendEntries } from '../data/dividendData'
 import { getCachedPrices, cachePrices } from '../services/priceCache';
 import { fetchMultiplePrices } from '../services/priceService';
 import { getPortfolioConfig } from '../services/portfolioConfigService';
+import { formatFromEUR, getCurrencySymbol } from '../services/currencyService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 
 // ── Costanti ───────────────────────────────────────────────────────────────────
 const MONTHS_IT      = ['Gen','Feb','Mar','Apr','Mag','Giu','Lug','Ago','Set','Ott','Nov','Dic'];
@@ -61,18 +63,13 @@ const PAGE_TABS = [
   { id:'positions',    label:'Posizioni',   icon:Table2        },
   { id:'projections',  label:'Proiezioni',  icon:BarChart3     },
   { id:'analysis',     label:'Analisi',     icon:ListChecks    },
+  { id:'received',     label:'Incassati',   icon:Coins         },
 ];
 
 // ── Utility ────────────────────────────────────────────────────────────────────
-const fmt2    = (n) => (n ?? 0).toLocaleString('it-IT', { minimumFractionDigits:2, maximumFractionDigits:2 });
-const fmtEur  = (n) => '€ ' + fmt2(n ?? 0);
+const fmtMoney = (n) => formatFromEUR(n ?? 0);
 const fmtPct  = (n, d=2) => (n ?? 0).toFixed(d) + '%';
-const fmtShort = (v) => {
-  if (v >= 1_000_000) return `€${(v/1_000_000).toFixed(1)}M`;
-  if (v >= 10_000)    return `€${(v/1_000).toFixed(0)}k`;
-  if (v >= 1_000)     return `€${(v/1_000).toFixed(1)}k`;
-  return `€${Math.round(v).toLocaleString('it-IT')}`;
-};
+const fmtShort = (v) => formatFromEUR(v, { decimals: 0, compact: true });
 
 // ── buildAllPositions ─────────────────────────────────────────────────────────
 function buildAllPositions(nonCash, priceMap, allMeta) {
@@ -241,10 +238,10 @@ function NextDividendBanner({ positions, taxRate = 0.26 }) {
       </div>
       <div style={{ textAlign:'right' }}>
         <div style={{ fontSize:'1.1rem', fontWeight:700, color:'#30D158' }}>
-          <Blur>{fmtEur(next.netAmount)} netti</Blur>
+          <Blur>{fmtMoney(next.netAmount)} netti</Blur>
         </div>
         <div style={{ fontSize:'0.72rem', color:'var(--text-3)' }}>
-          <Blur>{fmtEur(next.grossAmount)} lordi</Blur>
+          <Blur>{fmtMoney(next.grossAmount)} lordi</Blur>
         </div>
       </div>
     </div>
@@ -301,7 +298,7 @@ function ContribRow({ pos, totalGross, prices }) {
       </span>
       <span style={{ fontSize:'0.72rem', color:'var(--text-3)', textAlign:'right' }}>{pct.toFixed(1)}%</span>
       <span style={{ fontSize:'0.78rem', color:'var(--text-2)', textAlign:'right', fontWeight:600 }}>
-        <Blur>{fmtEur(gross)}/a</Blur>
+        <Blur>{fmtMoney(gross)}/a</Blur>
       </span>
     </div>
   );
@@ -314,9 +311,9 @@ function MonthlyBarChart({ data }) {
       <BarChart data={data} barSize={13} margin={{ top:4, right:4, left:0, bottom:4 }}>
         <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" vertical={false} />
         <XAxis dataKey="label" tick={{ fontSize:10, fill:'var(--text-3)' }} tickLine={false} axisLine={false} interval={1} />
-        <YAxis tick={{ fontSize:10, fill:'var(--text-3)' }} tickFormatter={v => v>0?`€${v}`:''} axisLine={false} tickLine={false} width={42} />
+        <YAxis tick={{ fontSize:10, fill:'var(--text-3)' }} tickFormatter={v => v>0?fmtShort(v):''} axisLine={false} tickLine={false} width={42} />
         <Tooltip
-          formatter={v => [fmtEur(v), 'Incasso']}
+          formatter={v => [fmtMoney(v), 'Incasso']}
           contentStyle={{ background:'var(--card-bg)', border:'1px solid var(--border)', borderRadius:10 }}
         />
         <Bar dataKey="income" radius={[4,4,0,0]}>
@@ -478,7 +475,7 @@ function CalendarMonthCard({ monthData, monthIndex, isSelected, onClick }) {
         </span>
         {hasEvents && (
           <span style={{ fontSize:'0.72rem', fontWeight:700, color:'#30D158' }}>
-            <Blur>{fmtEur(monthData.totalGross)}</Blur>
+            <Blur>{fmtMoney(monthData.totalGross)}</Blur>
           </span>
         )}
       </div>
@@ -489,7 +486,7 @@ function CalendarMonthCard({ monthData, monthIndex, isSelected, onClick }) {
               background: FREQ_COLOR[ev.freq] || '#8E8E93' }} />
             <span style={{ fontSize:'0.72rem', fontWeight:600 }}>{ev.pos.ticker}</span>
             <span style={{ fontSize:'0.7rem', color:'var(--text-3)', marginLeft:'auto' }}>
-              <Blur>{fmtEur(ev.gross)}</Blur>
+              <Blur>{fmtMoney(ev.gross)}</Blur>
             </span>
           </div>
         ))}
@@ -538,8 +535,8 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
         </div>
         <div style={{ display:'flex', gap:20, flexWrap:'wrap' }}>
           {[
-            { label:'Totale Lordo', value: fmtEur(totalGross), color:'#30D158' },
-            { label:'Netto Stimato', value: fmtEur(totalNet), color:'#FF9F0A',
+            { label:'Totale Lordo', value: fmtMoney(totalGross), color:'#30D158' },
+            { label:'Netto Stimato', value: fmtMoney(totalNet), color:'#FF9F0A',
               sub: `Tassazione ${(taxRate*100).toFixed(0)}%` },
             { label:'Posizioni', value: events.length, color:'#0A84FF' },
           ].map(k => (
@@ -565,7 +562,7 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
               ))}
             </Pie>
             <Tooltip
-              formatter={(v) => [fmtEur(v), '']}
+              formatter={(v) => [fmtMoney(v), '']}
               contentStyle={{ background:'var(--surface-1)', border:'1px solid var(--border)', borderRadius:8, fontSize:'0.75rem' }} />
           </PieChart>
           <div style={{ display:'flex', flexDirection:'column', gap:5, marginTop:4 }}>
@@ -591,11 +588,11 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
               <span style={{ display:'block' }}>Nessuna tassa impostata → <strong style={{ color:'#30D158' }}>netto = lordo</strong></span>
             ) : (
               <span style={{ display:'block' }}>
-                Lordo {fmtEur(totalGross)} × {(100 - taxRate * 100).toFixed(0)}% = netto stimato
+                Lordo {fmtMoney(totalGross)} × {(100 - taxRate * 100).toFixed(0)}% = netto stimato
               </span>
             )}
             <span style={{ display:'block', marginTop:6, borderTop:'1px solid var(--border)', paddingTop:6 }}>
-              Totale netto: <strong style={{ color: taxRate === 0 ? '#30D158' : '#FF9F0A' }}><Blur>{fmtEur(totalNet)}</Blur></strong>
+              Totale netto: <strong style={{ color: taxRate === 0 ? '#30D158' : '#FF9F0A' }}><Blur>{fmtMoney(totalNet)}</Blur></strong>
             </span>
           </div>
         </div>
@@ -605,7 +602,7 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
           {/* Header tabella */}
           <div style={{ display:'grid', gridTemplateColumns:'1fr 70px 80px 60px', gap:8,
             padding:'0 0 8px', borderBottom:'1px solid var(--border)', marginBottom:4 }}>
-            {['Titolo','Quote','Lordo €','% mese'].map((h,i) => (
+            {['Titolo','Quote',`Lordo ${getCurrencySymbol()}`,'% mese'].map((h,i) => (
               <span key={h} style={{ fontSize:'0.65rem', fontWeight:600, color:'var(--text-3)',
                 textTransform:'uppercase', letterSpacing:'0.04em',
                 textAlign: i > 0 ? 'right' : 'left' }}>{h}</span>
@@ -630,7 +627,7 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
                 ×{(ev.pos.shares || 0).toLocaleString('it-IT', { maximumFractionDigits:3 })}
               </span>
               <span style={{ textAlign:'right', fontSize:'0.82rem', fontWeight:600, color: ev.isEstimate ? '#FF9F0A' : '#30D158' }}>
-                <Blur>{fmtEur(ev.gross)}</Blur>
+                <Blur>{fmtMoney(ev.gross)}</Blur>
                 {ev.isEstimate && ev.growthFactor > 1 && (
                   <span style={{ display:'block', fontSize:'0.62rem', color:'#FF9F0A88' }}>
                     ×{ev.growthFactor.toFixed(3)}
@@ -658,7 +655,7 @@ function MonthDetailPanel({ monthData, monthIndex, year, taxRate, totalPortfolio
                     <div style={{ display:'flex', justifyContent:'space-between', marginBottom:3 }}>
                       <span style={{ fontSize:'0.78rem', fontWeight:600 }}>{ev.pos.name || ev.pos.ticker}</span>
                       <span style={{ fontSize:'0.78rem', fontWeight:700, color:'#30D158' }}>
-                        <Blur>{fmtEur(ev.gross)}</Blur>
+                        <Blur>{fmtMoney(ev.gross)}</Blur>
                       </span>
                     </div>
                     <div style={{ height:5, background:'var(--border)', borderRadius:3, overflow:'hidden' }}>
@@ -742,8 +739,8 @@ function IncomeProjectionChart({ projection }) {
         <LineChart data={projection} margin={{ top:5, right:10, left:0, bottom:0 }}>
           <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
           <XAxis dataKey="year" tick={{ fontSize:11, fill:'var(--text-3)' }} />
-          <YAxis tick={{ fontSize:10, fill:'var(--text-3)' }} tickFormatter={v=>`€${v}`} width={55} />
-          <Tooltip formatter={(v,n) => [fmtEur(v)+'/mese', n]}
+          <YAxis tick={{ fontSize:10, fill:'var(--text-3)' }} tickFormatter={v=>fmtShort(v)} width={55} />
+          <Tooltip formatter={(v,n) => [fmtMoney(v)+'/mese', n]}
             contentStyle={{ background:'var(--card-bg)', border:'1px solid var(--border)', borderRadius:10 }} />
           <Legend />
           <Line type="monotone" dataKey="monthlyGross" stroke="#0A84FF" strokeWidth={2} dot={false} name="Lordo/mese" />
@@ -948,7 +945,7 @@ function MetadataModal({ position, onSave, onClose }) {
           <div>
             <div style={{ fontWeight:700, fontSize:'1rem' }}>Configura — {position.ticker}</div>
             <div style={{ fontSize:'0.72rem', color:'var(--text-3)', marginTop:'0.15rem' }}>
-              {position.shares} {position.isETF ? 'quote' : 'azioni'} · costo medio {fmtEur(position.avgCostBasis)} · da Transazioni
+              {position.shares} {position.isETF ? 'quote' : 'azioni'} · costo medio {fmtMoney(position.avgCostBasis)} · da Transazioni
               {position.isETF && position.synthYield > 0 && (
                 <span style={{ marginLeft:8, color:'#64D2FF' }}>· yield ETF: {fmtPct(position.synthYield)}</span>
               )}
@@ -1071,6 +1068,98 @@ function MetadataModal({ position, onSave, onClose }) {
   );
 }
 
+// ── ReceivedDividends ──────────────────────────────────────────────────────────
+// Dividendi realmente incassati (transazioni 'dividend' / 'tax_withheld'),
+// raggruppati per anno e per titolo.
+function buildReceivedDividends(transactions) {
+  const years = {};
+  transactions.forEach(tx => {
+    if (tx.type !== 'dividend' && tx.type !== 'tax_withheld') return;
+    if (!tx.date || tx.excludeFromStats) return;
+    const year   = tx.date.slice(0, 4);
+    const ticker = tx.ticker || 'CASH';
+    const amount = Math.abs((tx.quantity || 0) * (tx.price || 1));
+    if (!years[year]) years[year] = { year, gross: 0, withheld: 0, byTicker: {} };
+    const y = years[year];
+    if (!y.byTicker[ticker]) y.byTicker[ticker] = { ticker, name: tx.name, gross: 0, withheld: 0, count: 0 };
+    const t = y.byTicker[ticker];
+    if (tx.type === 'dividend') { y.gross += amount; t.gross += amount; t.count++; }
+    else                        { y.withheld += amount; t.withheld += amount; }
+  });
+  return Object.values(years)
+    .sort((a, b) => b.year.localeCompare(a.year))
+    .map(y => ({
+      ...y,
+      net: y.gross - y.withheld,
+      tickers: Object.values(y.byTicker)
+        .map(t => ({ ...t, net: t.gross - t.withheld }))
+        .sort((a, b) => b.gross - a.gross),
+    }));
+}
+
+function ReceivedDividends({ years }) {
+  if (years.length === 0) {
+    return (
+      <div style={{ textAlign:'center', padding:'3rem', color:'var(--text-3)' }}>
+        Nessun dividendo registrato. Aggiungi transazioni di tipo "Dividendo" o importa un CSV del broker.
+      </div>
+    );
+  }
+  const th = { padding:'0.55rem 1rem', fontSize:'0.68rem', fontWeight:600, color:'var(--text-3)', textTransform:'uppercase', letterSpacing:'0.06em', textAlign:'right' };
+  const td = { padding:'0.55rem 1rem', fontSize:'0.82rem', textAlign:'right' };
+  return (
+    <>
+      <div style={{ background:'var(--card-bg)', borderRadius:16, border:'1px solid var(--border)', padding:'1.1rem 1.25rem' }}>
+        <div style={{ fontSize:'0.88rem', fontWeight:600, marginBottom:'0.75rem' }}>Incassi per anno</div>
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={[...years].reverse()}>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+            <XAxis dataKey="year" tick={{ fontSize:11, fill:'var(--text-3)' }} />
+            <YAxis tick={{ fontSize:11, fill:'var(--text-3)' }} tickFormatter={fmtShort} />
+            <Tooltip formatter={(v) => fmtMoney(v)} />
+            <Legend />
+            <Bar dataKey="net"      name="Netto"    stackId="d" fill="#30D158" />
+            <Bar dataKey="withheld" name="Ritenute" stackId="d" fill="#BF5AF2" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      {years.map(y => (
+        <div key={y.year} style={{ background:'var(--card-bg)', borderRadius:16, border:'1px solid var(--border)', overflow:'hidden' }}>
+          <div style={{ padding:'0.9rem 1.25rem', borderBottom:'1px solid var(--border)', display:'flex', alignItems:'center', gap:'1rem', flexWrap:'wrap' }}>
+            <span style={{ fontSize:'0.95rem', fontWeight:700 }}>{y.year}</span>
+            <span style={{ fontSize:'0.75rem', color:'var(--text-3)' }}>Lordo <Blur>{fmtMoney(y.gross)}</Blur></span>
+            <span style={{ fontSize:'0.75rem', color:'#BF5AF2' }}>Ritenute <Blur>{fmtMoney(y.withheld)}</Blur></span>
+            <span style={{ fontSize:'0.75rem', color:'#30D158', fontWeight:600, marginLeft:'auto' }}>Netto <Blur>{fmtMoney(y.net)}</Blur></span>
+          </div>
+          <table style={{ width:'100%', borderCollapse:'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...th, textAlign:'left' }}>Titolo</th>
+                <th style={th}>Stacchi</th>
+                <th style={th}>Lordo</th>
+                <th style={th}>Ritenute</th>
+                <th style={th}>Netto</th>
+              </tr>
+            </thead>
+            <tbody>
+              {y.tickers.map(t => (
+                <tr key={t.ticker} style={{ borderTop:'1px solid var(--border)' }}>
+                  <td style={{ ...td, textAlign:'left', fontWeight:600 }}>{t.ticker}</td>
+                  <td style={td}>{t.count}</td>
+                  <td style={td}><Blur>{fmtMoney(t.gross)}</Blur></td>
+                  <td style={{ ...td, color:'#BF5AF2' }}><Blur>{fmtMoney(t.withheld)}</Blur></td>
+                  <td style={{ ...td, color:'#30D158', fontWeight:600 }}><Blur>{fmtMoney(t.net)}</Blur></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </>
+  );
+}
+
 // ── PositionsTable ─────────────────────────────────────────────────────────────
 function PositionsTable({ positions, prices, onEdit }) {
   const [sort, setSort] = useState({ key:'ticker', dir:1 });
@@ -1135,12 +1224,12 @@ function PositionsTable({ positions, prices, onEdit }) {
                 <td style={{ padding:'0.8rem 0.85rem' }}><AssetBadge type={pos.assetType} /></td>
                 <td style={{ padding:'0.8rem 0.85rem' }}><MoatBadge rating={pos.moatRating} /></td>
                 <td style={{ padding:'0.8rem 0.85rem', fontFamily:'monospace', color:'var(--text-2)' }}>{pos.shares}</td>
-                <td style={{ padding:'0.8rem 0.85rem', fontFamily:'monospace' }}><Blur>{fmtEur(pos.avgCostBasis)}</Blur></td>
+                <td style={{ padding:'0.8rem 0.85rem', fontFamily:'monospace' }}><Blur>{fmtMoney(pos.avgCostBasis)}</Blur></td>
                 <td style={{ padding:'0.8rem 0.85rem', fontWeight:600 }}>
-                  {price ? <Blur>{fmtEur(val)}</Blur> : <span style={{ color:'var(--text-3)', fontSize:'0.72rem' }}>n/d</span>}
+                  {price ? <Blur>{fmtMoney(val)}</Blur> : <span style={{ color:'var(--text-3)', fontSize:'0.72rem' }}>n/d</span>}
                 </td>
                 <td style={{ padding:'0.8rem 0.85rem', color:'#30D158', fontWeight:600 }}>
-                  {gross > 0 ? <Blur>{fmtEur(gross)}</Blur> : <span style={{ color:'var(--text-3)' }}>—</span>}
+                  {gross > 0 ? <Blur>{fmtMoney(gross)}</Blur> : <span style={{ color:'var(--text-3)' }}>—</span>}
                 </td>
                 <td style={{ padding:'0.8rem 0.85rem' }}>
                   {yld!=null ? <span style={{ color:yld>6?'#FF9F0A':'var(--text-1)' }}>{fmtPct(yld)}</span> : '—'}
@@ -1193,6 +1282,7 @@ export default function Dividendi() {
   const [selectedPortfolio, setSelectedPortfolio] = useState('all');
   const [calYear,           setCalYear]         = useState(currentYear);
   const [selectedMonthIdx,  setSelectedMonthIdx] = useState(null);
+  const [received,          setReceived]        = useState([]);
 
   // ── Simulatore ───────────────────────────────────────────────────────────────
   const [simPositions,  setSimPositions]  = useState([]);
@@ -1243,6 +1333,7 @@ export default function Dividendi() {
 
       const allMeta = getAllDGMetadata();
       setDgPositions(buildAllPositions(nonCash, priceMap, allMeta));
+      setReceived(buildReceivedDividends(getTransactions()));
       setPortfolioConfig(getPortfolioConfig());
     } catch (err) {
       console.error('Dividendi load error:', err);
@@ -1253,6 +1344,7 @@ export default function Dividendi() {
   }, []);
 
   useEffect(() => { loadData(); }, [loadData]);
+  useSyncRefresh(loadData);
 
   const handleRefresh = () => { setRefreshing(true); loadData(true); };
 
@@ -1343,7 +1435,7 @@ export default function Dividendi() {
           </div>
           <p style={{ margin:0, color:'var(--text-3)', fontSize:'0.82rem' }}>
             {positions.length > 0
-              ? `${distributingPositions.length} distributori · ${fmtEur(kpis.annualGross)} lordi/anno · ${fmtEur(kpis.annualNet)} netti`
+              ? `${distributingPositions.length} distributori · ${fmtMoney(kpis.annualGross)} lordi/anno · ${fmtMoney(kpis.annualNet)} netti`
               : 'Nessuna posizione con dividendo rilevata'}
           </p>
         </div>
@@ -1438,16 +1530,16 @@ export default function Dividendi() {
               {/* KPI row */}
               <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit,minmax(160px,1fr))', gap:'0.85rem' }}>
                 <KpiCard label="Valore Portafoglio"
-                  value={fmtEur(kpis.totalValue)} sub={`${positions.length} posizioni`}
+                  value={fmtMoney(kpis.totalValue)} sub={`${positions.length} posizioni`}
                   icon={Coins} color="#0A84FF" accent="#0A84FF" />
                 <KpiCard label="Dividendi Lordi/Anno"
-                  value={fmtEur(kpis.annualGross)} sub="Prima delle tasse"
+                  value={fmtMoney(kpis.annualGross)} sub="Prima delle tasse"
                   icon={TrendingUp} color="#30D158" accent="#30D158" />
                 <KpiCard label="Dividendi Netti/Anno"
-                  value={fmtEur(kpis.annualNet)} sub={`Tassazione ${(taxRate*100).toFixed(0)}%`}
+                  value={fmtMoney(kpis.annualNet)} sub={`Tassazione ${(taxRate*100).toFixed(0)}%`}
                   icon={TrendingUp} color="#30D158" />
                 <KpiCard label="Rendita Mensile Netta"
-                  value={fmtEur(kpis.monthlyNet)} sub="Media mensile"
+                  value={fmtMoney(kpis.monthlyNet)} sub="Media mensile"
                   icon={Calendar} color="#64D2FF" />
                 <KpiCard label="Yield Medio"
                   value={fmtPct(kpis.yieldPct)} sub="Sul valore attuale"
@@ -1517,7 +1609,7 @@ export default function Dividendi() {
                         {q} · {MONTHS_IT[months[0]-1]}–{MONTHS_IT[months[2]-1]}
                       </div>
                       <div style={{ fontSize:'1.15rem', fontWeight:800, color: qIncome > 0 ? '#30D158' : 'var(--text-3)' }}>
-                        <Blur>{fmtEur(qIncome)}</Blur>
+                        <Blur>{fmtMoney(qIncome)}</Blur>
                       </div>
                     </div>
                   );
@@ -1616,7 +1708,7 @@ export default function Dividendi() {
                   <ChevronRight size={15} />
                 </button>
                 <span style={{ fontSize:'0.82rem', color:'var(--text-3)', marginLeft:'auto' }}>
-                  Totale anno: <Blur>{fmtEur(calData.reduce((s,m) => s+m.totalGross, 0))} lordi · {fmtEur(calData.reduce((s,m) => s+m.totalNet, 0))} netti</Blur>
+                  Totale anno: <Blur>{fmtMoney(calData.reduce((s,m) => s+m.totalGross, 0))} lordi · {fmtMoney(calData.reduce((s,m) => s+m.totalNet, 0))} netti</Blur>
                 </span>
               </div>
               {calYear > new Date().getFullYear() && (
@@ -1708,8 +1800,8 @@ export default function Dividendi() {
                 <div style={{ display:'grid', gridTemplateColumns:'repeat(4,1fr)', gap:12 }}>
                   {[
                     { label:'Posizioni', value: positions.length },
-                    { label:'Valore totale', value: fmtEur(totalVal) },
-                    { label:'Dividendi lordi/anno', value: fmtEur(totalGross) },
+                    { label:'Valore totale', value: fmtMoney(totalVal) },
+                    { label:'Dividendi lordi/anno', value: fmtMoney(totalGross) },
                     { label:'Yield medio', value: fmtPct(kpis.yieldPct) },
                   ].map(k => (
                     <div key={k.label} style={{ background:'var(--card-bg)', border:'1px solid var(--border)', borderRadius:14, padding:'14px 18px' }}>
@@ -1724,7 +1816,7 @@ export default function Dividendi() {
                   <div style={{ display:'grid', gridTemplateColumns:'1fr 90px 70px 70px 90px 90px 70px', gap:8,
                     padding:'10px 16px', borderBottom:'1px solid var(--border)',
                     fontSize:'0.65rem', fontWeight:600, color:'var(--text-3)', textTransform:'uppercase', letterSpacing:'0.04em' }}>
-                    {['Titolo','Valore €','Peso %','Yield %','Div. Lordo/a','Div. Netto/a','% Div Tot'].map((h,i) => (
+                    {['Titolo',`Valore ${getCurrencySymbol()}`,'Peso %','Yield %','Div. Lordo/a','Div. Netto/a','% Div Tot'].map((h,i) => (
                       <span key={h} style={{ textAlign: i>0 ? 'right' : 'left' }}>{h}</span>
                     ))}
                   </div>
@@ -1746,7 +1838,7 @@ export default function Dividendi() {
                             <span style={{ fontSize:'0.68rem', color:'var(--text-3)', marginLeft:6, display:'inline-block', maxWidth:120, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{pos.name}</span>
                           </div>
                         </div>
-                        <span style={{ textAlign:'right', fontSize:'0.82rem', fontWeight:500 }}><Blur>{fmtEur(val)}</Blur></span>
+                        <span style={{ textAlign:'right', fontSize:'0.82rem', fontWeight:500 }}><Blur>{fmtMoney(val)}</Blur></span>
                         <div style={{ textAlign:'right' }}>
                           <span style={{ fontSize:'0.78rem', fontWeight:600 }}>{weight.toFixed(1)}%</span>
                           <div style={{ height:3, background:'var(--border)', borderRadius:2, marginTop:3 }}>
@@ -1754,8 +1846,8 @@ export default function Dividendi() {
                           </div>
                         </div>
                         <span style={{ textAlign:'right', fontSize:'0.78rem', color: yld>7?'#FF9F0A':yld>4?'#30D158':'var(--text-2)', fontWeight:600 }}>{yld.toFixed(1)}%</span>
-                        <span style={{ textAlign:'right', fontSize:'0.78rem', color:'#30D158', fontWeight:600 }}><Blur>{fmtEur(gross)}</Blur></span>
-                        <span style={{ textAlign:'right', fontSize:'0.78rem', color:'#FF9F0A' }}><Blur>{fmtEur(net)}</Blur></span>
+                        <span style={{ textAlign:'right', fontSize:'0.78rem', color:'#30D158', fontWeight:600 }}><Blur>{fmtMoney(gross)}</Blur></span>
+                        <span style={{ textAlign:'right', fontSize:'0.78rem', color:'#FF9F0A' }}><Blur>{fmtMoney(net)}</Blur></span>
                         <div style={{ textAlign:'right' }}>
                           <span style={{ fontSize:'0.78rem', fontWeight:700, color:'var(--text-1)' }}>{divPct.toFixed(1)}%</span>
                           <div style={{ height:3, background:'var(--border)', borderRadius:2, marginTop:3 }}>
@@ -1768,11 +1860,11 @@ export default function Dividendi() {
                   <div style={{ display:'grid', gridTemplateColumns:'1fr 90px 70px 70px 90px 90px 70px', gap:8,
                     padding:'10px 16px', fontSize:'0.78rem', fontWeight:700, background:'var(--surface-2)' }}>
                     <span>TOTALE</span>
-                    <span style={{ textAlign:'right' }}><Blur>{fmtEur(totalVal)}</Blur></span>
+                    <span style={{ textAlign:'right' }}><Blur>{fmtMoney(totalVal)}</Blur></span>
                     <span style={{ textAlign:'right' }}>100%</span>
                     <span style={{ textAlign:'right', color: kpis.yieldPct>4?'#30D158':'var(--text-2)' }}>{fmtPct(kpis.yieldPct)}</span>
-                    <span style={{ textAlign:'right', color:'#30D158' }}><Blur>{fmtEur(totalGross)}</Blur></span>
-                    <span style={{ textAlign:'right', color:'#FF9F0A' }}><Blur>{fmtEur(kpis.annualNet)}</Blur></span>
+                    <span style={{ textAlign:'right', color:'#30D158' }}><Blur>{fmtMoney(totalGross)}</Blur></span>
+                    <span style={{ textAlign:'right', color:'#FF9F0A' }}><Blur>{fmtMoney(kpis.annualNet)}</Blur></span>
                     <span style={{ textAlign:'right' }}>100%</span>
                   </div>
                 </div>
@@ -1843,8 +1935,8 @@ export default function Dividendi() {
                       {[
                         { l:'Yield lordo', v: fmtPct(kpis.yieldPct), c:'var(--text-1)', sub:'Pre-tasse' },
                         { l:`Yield netto (${(taxRate*100).toFixed(0)}%)`, v: fmtPct(kpis.yieldPct * (1 - taxRate)), c:'#FF9F0A', sub:'Post-tasse' },
-                        { l:'Rendita/mese netta', v: fmtEur(kpis.monthlyNet), c:'#30D158', sub:'Media mensile' },
-                        { l:'Dividendi/anno lordi', v: fmtEur(totalGross), c:'#0A84FF', sub:'Totale annuo' },
+                        { l:'Rendita/mese netta', v: fmtMoney(kpis.monthlyNet), c:'#30D158', sub:'Media mensile' },
+                        { l:'Dividendi/anno lordi', v: fmtMoney(totalGross), c:'#0A84FF', sub:'Totale annuo' },
                       ].map(k => (
                         <div key={k.l}>
                           <p style={{ fontSize:'0.65rem', color:'var(--text-3)', margin:'0 0 2px' }}>{k.l}</p>
@@ -1858,7 +1950,7 @@ export default function Dividendi() {
                   <div style={{ display:'flex', flexDirection:'column', alignItems:'center', gap:4 }}>
                     <ArrowRight size={20} color="#0A84FF" />
                     {simPositions.length > 0 && (
-                      <span style={{ fontSize:'0.65rem', color:'#FF9F0A', fontWeight:600 }}>+{fmtEur(simTotalInvested)}</span>
+                      <span style={{ fontSize:'0.65rem', color:'#FF9F0A', fontWeight:600 }}>+{fmtMoney(simTotalInvested)}</span>
                     )}
                   </div>
 
@@ -1880,10 +1972,10 @@ export default function Dividendi() {
                           v: simPositions.length>0 ? fmtPct(newYield * (1 - taxRate)) : '—',
                           c: simPositions.length>0 ? '#FF9F0A' : 'var(--text-3)',
                           sub: simPositions.length>0 ? `era ${fmtPct(kpis.yieldPct * (1 - taxRate))}` : 'Post-tasse' },
-                        { l:'Rendita/mese netta', v: simPositions.length>0 ? fmtEur(newMonthly) : '—', c:'#30D158',
-                          sub: simPositions.length>0 ? `+${fmtEur(newMonthly - kpis.monthlyNet)}/mese` : 'Media mensile' },
-                        { l:'Dividendi/anno lordi', v: simPositions.length>0 ? fmtEur(newTotalGross) : '—', c:'#0A84FF',
-                          sub: simPositions.length>0 ? `+${fmtEur(simAnnualGross)}/anno` : 'Totale annuo' },
+                        { l:'Rendita/mese netta', v: simPositions.length>0 ? fmtMoney(newMonthly) : '—', c:'#30D158',
+                          sub: simPositions.length>0 ? `+${fmtMoney(newMonthly - kpis.monthlyNet)}/mese` : 'Media mensile' },
+                        { l:'Dividendi/anno lordi', v: simPositions.length>0 ? fmtMoney(newTotalGross) : '—', c:'#0A84FF',
+                          sub: simPositions.length>0 ? `+${fmtMoney(simAnnualGross)}/anno` : 'Totale annuo' },
                       ].map(k => (
                         <div key={k.l}>
                           <p style={{ fontSize:'0.65rem', color:'var(--text-3)', margin:'0 0 2px' }}>{k.l}</p>
@@ -2011,10 +2103,10 @@ export default function Dividendi() {
                   {/* Preview prima di aggiungere */}
                   {simForm.ticker && simForm.amount && simForm.yieldPct && (
                     <div style={{ marginBottom:12, padding:'8px 12px', background:'#30D15810', borderRadius:8, border:'1px solid #30D15830', fontSize:'0.78rem', color:'var(--text-2)' }}>
-                      📊 Preview: <strong>{simForm.ticker}</strong> — {fmtEur(parseFloat(simForm.amount)||0)} × {simForm.yieldPct}% =&nbsp;
-                      <strong style={{ color:'#30D158' }}>{fmtEur((parseFloat(simForm.amount)||0)*(parseFloat(simForm.yieldPct)||0)/100)}/anno</strong>
+                      📊 Preview: <strong>{simForm.ticker}</strong> — {fmtMoney(parseFloat(simForm.amount)||0)} × {simForm.yieldPct}% =&nbsp;
+                      <strong style={{ color:'#30D158' }}>{fmtMoney((parseFloat(simForm.amount)||0)*(parseFloat(simForm.yieldPct)||0)/100)}/anno</strong>
                       &nbsp;·&nbsp;
-                      <strong style={{ color:'#FF9F0A' }}>{fmtEur((parseFloat(simForm.amount)||0)*(parseFloat(simForm.yieldPct)||0)/100/12)}/mese</strong>
+                      <strong style={{ color:'#FF9F0A' }}>{fmtMoney((parseFloat(simForm.amount)||0)*(parseFloat(simForm.yieldPct)||0)/100/12)}/mese</strong>
                     </div>
                   )}
 
@@ -2039,9 +2131,9 @@ export default function Dividendi() {
                           <span style={{ fontWeight:700 }}>{p.ticker}</span>
                           <span style={{ color:'var(--text-3)', marginLeft:8, fontSize:'0.72rem' }}>{p.name}</span>
                         </div>
-                        <span style={{ textAlign:'right', color:'var(--text-1)' }}>{fmtEur(p.amount)}</span>
+                        <span style={{ textAlign:'right', color:'var(--text-1)' }}>{fmtMoney(p.amount)}</span>
                         <span style={{ textAlign:'right', color:'#30D158', fontWeight:600 }}>{p.yieldPct}%</span>
-                        <span style={{ textAlign:'right', color:'#30D158' }}>{fmtEur(p.amount*(p.yieldPct/100))}/a</span>
+                        <span style={{ textAlign:'right', color:'#30D158' }}>{fmtMoney(p.amount*(p.yieldPct/100))}/a</span>
                         <span style={{ textAlign:'right', color:'#FF9F0A', fontSize:'0.72rem' }}>{p.frequency}</span>
                         <button onClick={() => setSimPositions(prev => prev.filter(x=>x.id!==p.id))}
                           style={{ background:'none', border:'none', cursor:'pointer', color:'#FF453A', display:'flex', alignItems:'center', justifyContent:'center' }}>
@@ -2130,8 +2222,8 @@ export default function Dividendi() {
                           <p style={{ fontSize:'0.72rem', color:'var(--text-3)', margin:'2px 0 0' }}>Come cambia il peso % di ogni posizione con i nuovi acquisti</p>
                         </div>
                         <div style={{ display:'flex', gap:16, fontSize:'0.72rem' }}>
-                          <span style={{ color:'var(--text-3)' }}>Valore attuale: <strong style={{ color:'var(--text-1)' }}>{fmtEur(currentTotal)}</strong></span>
-                          <span style={{ color:'var(--text-3)' }}>→ Dopo: <strong style={{ color:'#0A84FF' }}>{fmtEur(newTotal)}</strong></span>
+                          <span style={{ color:'var(--text-3)' }}>Valore attuale: <strong style={{ color:'var(--text-1)' }}>{fmtMoney(currentTotal)}</strong></span>
+                          <span style={{ color:'var(--text-3)' }}>→ Dopo: <strong style={{ color:'#0A84FF' }}>{fmtMoney(newTotal)}</strong></span>
                         </div>
                       </div>
 
@@ -2170,11 +2262,11 @@ export default function Dividendi() {
                             <div style={{ textAlign:'right' }}>
                               {r.hasAdd && r.valReal > 0 ? (
                                 <>
-                                  <span style={{ fontSize:'0.68rem', color:'var(--text-3)', display:'block' }}>{fmtEur(r.valReal)}</span>
-                                  <span style={{ fontSize:'0.78rem', fontWeight:600, color:'#30D158' }}>{fmtEur(r.valNew)} <span style={{ fontSize:'0.65rem', color:'#30D158' }}>(+{fmtEur(r.valSim)})</span></span>
+                                  <span style={{ fontSize:'0.68rem', color:'var(--text-3)', display:'block' }}>{fmtMoney(r.valReal)}</span>
+                                  <span style={{ fontSize:'0.78rem', fontWeight:600, color:'#30D158' }}>{fmtMoney(r.valNew)} <span style={{ fontSize:'0.65rem', color:'#30D158' }}>(+{fmtMoney(r.valSim)})</span></span>
                                 </>
                               ) : (
-                                <span style={{ fontSize:'0.78rem', color:'var(--text-2)' }}>{fmtEur(r.valNew)}</span>
+                                <span style={{ fontSize:'0.78rem', color:'var(--text-2)' }}>{fmtMoney(r.valNew)}</span>
                               )}
                             </div>
 
@@ -2240,7 +2332,7 @@ export default function Dividendi() {
                           <div style={{ display:'grid', gridTemplateColumns:'1fr 110px 70px 70px 60px 70px 70px', gap:8,
                             padding:'9px 18px', background:'var(--surface-2)', fontSize:'0.78rem', fontWeight:700 }}>
                             <span>TOTALE</span>
-                            <span style={{ textAlign:'right' }}>{fmtEur(newTotal)}</span>
+                            <span style={{ textAlign:'right' }}>{fmtMoney(newTotal)}</span>
                             <span style={{ textAlign:'right', color:'var(--text-3)' }}>100%</span>
                             <span style={{ textAlign:'right', color:'#0A84FF' }}>100%</span>
                             <span />
@@ -2262,7 +2354,7 @@ export default function Dividendi() {
                     <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:4, flexWrap:'wrap', gap:8 }}>
                       <p style={{ fontWeight:600, fontSize:'0.88rem', color:'var(--text-1)', margin:0 }}>Calendario con acquisti simulati</p>
                       <span style={{ fontSize:'0.7rem', color:'var(--text-3)' }}>
-                        Totale simulato: <strong style={{ color:'#30D158' }}><Blur>{fmtEur(simCalData.reduce((s,m)=>s+m.totalGross,0))}</Blur></strong>/anno
+                        Totale simulato: <strong style={{ color:'#30D158' }}><Blur>{fmtMoney(simCalData.reduce((s,m)=>s+m.totalGross,0))}</Blur></strong>/anno
                       </span>
                     </div>
                     <p style={{ fontSize:'0.72rem', color:'var(--text-3)', marginBottom:14 }}>
@@ -2288,12 +2380,12 @@ export default function Dividendi() {
                             }}>
                             <div style={{ display:'flex', justifyContent:'space-between', marginBottom:6 }}>
                               <span style={{ fontSize:'0.72rem', fontWeight:600, color: isSelected ? '#FF9F0A' : 'var(--text-2)' }}>{MONTHS_IT_FULL[i]}</span>
-                              {hasEvents && <span style={{ fontSize:'0.72rem', fontWeight:700, color:'#30D158' }}><Blur>{fmtEur(m.totalGross)}</Blur></span>}
+                              {hasEvents && <span style={{ fontSize:'0.72rem', fontWeight:700, color:'#30D158' }}><Blur>{fmtMoney(m.totalGross)}</Blur></span>}
                             </div>
                             {simGross > 0.01 && (
                               <div style={{ display:'flex', justifyContent:'space-between', fontSize:'0.68rem', background:'#FF9F0A18', borderRadius:6, padding:'3px 6px', marginBottom:4 }}>
                                 <span style={{ color:'#FF9F0A' }}>+ sim</span>
-                                <span style={{ color:'#FF9F0A', fontWeight:600 }}><Blur>+{fmtEur(simGross)}</Blur></span>
+                                <span style={{ color:'#FF9F0A', fontWeight:600 }}><Blur>+{fmtMoney(simGross)}</Blur></span>
                               </div>
                             )}
                             {m.events.slice(0,3).map((ev,j) => (
@@ -2302,7 +2394,7 @@ export default function Dividendi() {
                                   <span style={{ width:5, height:5, borderRadius:'50%', background: ev.pos.sector==='Simulato'?'#FF9F0A':'#0A84FF', flexShrink:0 }} />
                                   {ev.pos.ticker}
                                 </span>
-                                <span><Blur>{fmtEur(ev.gross)}</Blur></span>
+                                <span><Blur>{fmtMoney(ev.gross)}</Blur></span>
                               </div>
                             ))}
                           </div>
@@ -2327,6 +2419,9 @@ export default function Dividendi() {
             );
           })()}
 
+          {/* ── INCASSATI ──────────────────────────────────────────────────── */}
+          {tab === 'received' && <ReceivedDividends years={received} />}
+
           {/* ── POSIZIONI ──────────────────────────────────────────────────── */}
           {tab === 'positions' && (
             <div style={{ background:'var(--card-bg)', borderRadius:16, border:'1px solid var(--border)', overflow:'hidden' }}>
@@ -2337,7 +2432,7 @@ export default function Dividendi() {
                 </span>
                 <div style={{ marginLeft:'auto' }}>
                   <span style={{ fontSize:'0.72rem', color:'var(--text-3)' }}>
-                    Lordo totale: <Blur>{fmtEur(kpis.annualGross)}/anno</Blur>
+                    Lordo totale: <Blur>{fmtMoney(kpis.annualGross)}/anno</Blur>
                   </span>
                 </div>
               </div>
@@ -2398,7 +2493,7 @@ export default function Dividendi() {
                         return (
                           <div key={target} style={{ background:'var(--bg)', borderRadius:12, padding:'0.85rem 1rem', textAlign:'center' }}>
                             <div style={{ fontSize:'0.68rem', color:'var(--text-3)', fontWeight:600, textTransform:'uppercase', marginBottom:'0.3rem' }}>
-                              {fmtEur(target)}/mese netti
+                              {fmtMoney(target)}/mese netti
                             </div>
                             <div style={{ fontSize:'1.1rem', fontWeight:700, color: found ? '#30D158' : 'var(--text-3)' }}>
                               {found ? found.year : '> '+(currentYear+projYears)}
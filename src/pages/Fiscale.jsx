@@ -0,0 +1,530 @@
+/**
+ * Fiscale.jsx — Report fiscale italiano
+ * Tab: Riepilogo · Operazioni · Minusvalenze · Quadro RW · Broker
+ */
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  Landmark, FileText, Download, Printer, LayoutGrid, Table2,
+  TrendingDown, Building2, AlertCircle, Receipt, Globe, RefreshCw,
+} from 'lucide-react';
+import Papa from 'papaparse';
+import { Blur } from '../context/PrivacyContext';
+import {
+  buildTaxReport, getTaxReportRows, setTaxRegime,
+  ASSET_TAX_CLASSES, LOSS_CARRY_YEARS, getCryptoRate,
+} from '../services/taxService';
+import {
+  buildForeignAssetReport, getForeignAssetYears, IVAFE_RATE, CRYPTO_DUTY_RATE,
+  IVAFE_CASH_FIXED, IVAFE_CASH_THRESHOLD, IVIE_RATE, IVIE_THRESHOLD,
+} from '../services/foreignAssetService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
+
+// ── Costanti ───────────────────────────────────────────────────────────────────
+const PAGE_TABS = [
+  { id: 'summary',    label: 'Riepilogo',    icon: LayoutGrid   },
+  { id: 'operations', label: 'Operazioni',   icon: Table2       },
+  { id: 'losses',     label: 'Minusvalenze', icon: TrendingDown },
+  { id: 'rw',         label: 'Quadro RW',    icon: Globe        },
+  { id: 'brokers',    label: 'Broker',       icon: Building2    },
+];
+
+const REGIME_STYLE = {
+  dichiarativo: { color: '#0A84FF', label: 'Dichiarativo' },
+  amministrato: { color: '#30D158', label: 'Amministrato' },
+};
+
+// ── Utility ────────────────────────────────────────────────────────────────────
+// Importi fiscali sempre in euro, indipendentemente dalla valuta base
+const fmt2   = (n) => (n ?? 0).toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const fmtEur = (n) => '€ ' + fmt2(n ?? 0);
+const fmtPct = (r) => `${(r * 100).toFixed(1).replace('.', ',')}%`;
+const plColor = (n) => (n >= 0 ? '#30D158' : '#FF453A');
+
+const card = { background: 'var(--card-bg)', borderRadius: 16, border: '1px solid var(--border)', padding: '1.25rem 1.5rem' };
+const th = { padding: '0.55rem 0.75rem', fontSize: '0.68rem', fontWeight: 700, color: 'var(--text-3)', textTransform: 'uppercase', letterSpacing: '0.05em', textAlign: 'left', borderBottom: '1px solid var(--border)' };
+const td = { padding: '0.55rem 0.75rem', fontSize: '0.8rem', borderBottom: '1px solid var(--border)' };
+const tdNum = { ...td, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+
+// ── Export PDF (finestra di stampa) ────────────────────────────────────────────
+function printReport(yearData, rows) {
+  const esc = (s) => String(s ?? '').replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[c]));
+  const summary = rows.filter(r => r.Sezione === 'Riepilogo');
+  const details = rows.filter(r => r.Sezione !== 'Riepilogo');
+  const html = `<!doctype html><html lang="it"><head><meta charset="utf-8">
+<title>Report fiscale ${yearData.year}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; font-size: 11px; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; } h2 { font-size: 13px; margin: 20px 0 6px; }
+  table { width: 100%; border-collapse: collapse; } th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; }
+  td.n { text-align: right; font-variant-numeric: tabular-nums; } .muted { color: #777; }
+</style></head><body>
+<h1>Report fiscale ${yearData.year}</h1>
+<div class="muted">Generato il ${new Date().toLocaleDateString('it-IT')} · stima indicativa, da verificare con il commercialista</div>
+<h2>Riepilogo quadri RT / RM</h2>
+<table><tr><th>Quadro</th><th>Voce</th><th>Importo €</th></tr>
+${summary.map(r => `<tr><td>${r.Quadro}</td><td>${esc(r.Voce)}</td><td class="n">${r.Importo}</td></tr>`).join('')}
+</table>
+<h2>Minusvalenze riportabili a fine anno</h2>
+<table><tr><th>Anno origine</th><th>Residuo €</th><th>Utilizzabile fino al</th></tr>
+${yearData.carryForward.map(l => `<tr><td>${l.fromYear}</td><td class="n">${fmt2(l.remaining)}</td><td>${l.expiresYear}</td></tr>`).join('') || '<tr><td colspan="3" class="muted">Nessuna</td></tr>'}
+</table>
+<h2>Dettaglio operazioni</h2>
+<table><tr><th>Data</th><th>Ticker</th><th>ISIN</th><th>Broker</th><th>Quadro</th><th>Classe</th><th>Aliquota</th><th>Corrispettivo</th><th>Costo</th><th>Plus/Minus</th></tr>
+${details.map(r => `<tr><td>${r.Data}</td><td>${esc(r.Ticker)}</td><td>${esc(r.ISIN)}</td><td>${esc(r.Broker)}</td><td>${r.Quadro || '—'}</td><td>${esc(r.Voce)}</td><td>${r.Classe}</td><td class="n">${r.Corrispettivo}</td><td class="n">${r.Costo}</td><td class="n">${r['Plus/Minus']}</td></tr>`).join('')}
+</table>
+</body></html>`;
+
+  const win = window.open('', '_blank');
+  if (!win) {
+    alert('Consenti i popup per esportare il PDF');
+    return;
+  }
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+// ── Componenti ─────────────────────────────────────────────────────────────────
+function TabBar({ tab, setTab }) {
+  return (
+    <div style={{
+      display: 'flex', gap: '0.3rem', flexWrap: 'wrap',
+      background: 'var(--bg)', borderRadius: '14px', padding: '4px',
+      border: '1px solid var(--border)', width: 'fit-content',
+    }}>
+      {PAGE_TABS.map(t => {
+        const Icon = t.icon;
+        const active = tab === t.id;
+        return (
+          <button key={t.id} onClick={() => setTab(t.id)} style={{
+            display: 'flex', alignItems: 'center', gap: '0.4rem',
+            padding: '0.45rem 0.95rem', borderRadius: '10px',
+            border: 'none', cursor: 'pointer', fontSize: '0.82rem', fontWeight: active ? 600 : 500,
+            background: active ? 'var(--card-bg)' : 'transparent',
+            color: active ? 'var(--text-1)' : 'var(--text-3)',
+            boxShadow: active ? '0 1px 3px rgba(0,0,0,0.15)' : 'none',
+          }}>
+            <Icon size={14} />
+            {t.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function KpiCard({ label, value, sub, color = '#0A84FF', icon: Icon }) {
+  return (
+    <div style={{ ...card, display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <span style={{ fontSize: '0.72rem', color: 'var(--text-3)', fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.07em' }}>
+          {label}
+        </span>
+        <div style={{ width: 30, height: 30, borderRadius: 9, background: `${color}22`, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          <Icon size={14} color={color} />
+        </div>
+      </div>
+      <div style={{ fontSize: '1.45rem', fontWeight: 700, lineHeight: 1.1 }}><Blur>{value}</Blur></div>
+      {sub && <div style={{ fontSize: '0.76rem', color: 'var(--text-3)' }}>{sub}</div>}
+    </div>
+  );
+}
+
+function Row({ label, value, strong, color }) {
+  return (
+    <div style={{ display: 'flex', justifyContent: 'space-between', padding: '0.4rem 0', borderBottom: '1px solid var(--border)', fontSize: '0.82rem' }}>
+      <span style={{ color: strong ? 'var(--text-1)' : 'var(--text-2)', fontWeight: strong ? 700 : 400 }}>{label}</span>
+      <Blur style={{ fontWeight: strong ? 700 : 500, color: color || 'var(--text-1)', fontVariantNumeric: 'tabular-nums' }}>{value}</Blur>
+    </div>
+  );
+}
+
+function Summary({ y }) {
+  const carriedUsed = y.rt.lossesUsed.reduce((s, l) => s + l.amount, 0);
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(340px,1fr))', gap: '0.85rem' }}>
+      <div style={card}>
+        <div style={{ fontWeight: 700, marginBottom: '0.2rem' }}>Quadro RT — Redditi diversi</div>
+        <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginBottom: '0.75rem' }}>
+          Plus/minusvalenze su azioni, obbligazioni, ETC/ETN e cripto; minusvalenze su ETF
+        </div>
+        {Object.entries(y.rt.byClass).map(([cls, c]) => (
+          <Row key={cls} label={`${ASSET_TAX_CLASSES[cls].label} (${c.count})`} value={fmtEur(c.gains - c.losses)} color={plColor(c.gains - c.losses)} />
+        ))}
+        <Row label="Totale corrispettivi" value={fmtEur(y.rt.proceeds)} />
+        <Row label="Totale costi riconosciuti" value={fmtEur(y.rt.costBasis)} />
+        <Row label="Plusvalenze imponibili (titoli di Stato al 48,08%)" value={fmtEur(y.rt.gains)} />
+        <Row label="Minusvalenze dell'anno" value={fmtEur(-y.rt.losses)} color="#FF453A" />
+        <Row label="Minusvalenze pregresse utilizzate" value={fmtEur(-carriedUsed)} color="#FF453A" />
+        <Row label="Imponibile" value={fmtEur(y.rt.taxable)} strong />
+        <Row label="Imposta sostitutiva" value={fmtEur(y.rt.tax)} strong color="#FF453A" />
+        {y.rt.newLoss > 0 && (
+          <div style={{ marginTop: '0.6rem', fontSize: '0.76rem', color: '#FF9F0A' }}>
+            Minusvalenza netta di {fmtEur(y.rt.newLoss)} riportabile fino al {y.year + LOSS_CARRY_YEARS}
+          </div>
+        )}
+      </div>
+
+      <div style={card}>
+        <div style={{ fontWeight: 700, marginBottom: '0.2rem' }}>Quadro RM — Redditi di capitale</div>
+        <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginBottom: '0.75rem' }}>
+          Tassazione separata al 26%, senza compensazione con le minusvalenze
+        </div>
+        <Row label="Plusvalenze su ETF / fondi" value={fmtEur(y.rm.fundGains)} />
+        <Row label="Dividendi esteri lordi" value={fmtEur(y.rm.dividendsGross)} />
+        <Row label="Ritenute estere" value={fmtEur(-y.rm.foreignWithholding)} color="#FF453A" />
+        <Row label="Interessi esteri" value={fmtEur(y.rm.interest)} />
+        <Row label="Imponibile" value={fmtEur(y.rm.taxable)} strong />
+        <Row label="Imposta sostitutiva 26%" value={fmtEur(y.rm.tax)} strong color="#FF453A" />
+        {y.amministrato.count > 0 && (
+          <div style={{ marginTop: '0.6rem', fontSize: '0.76rem', color: 'var(--text-3)' }}>
+            {y.amministrato.count} operazioni in regime amministrato ({fmtEur(y.amministrato.realizedPL)}) già tassate dal broker
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function NoData({ year }) {
+  return <div style={{ ...card, textAlign: 'center', color: 'var(--text-3)', fontSize: '0.85rem' }}>Nessuna vendita o provento nel {year}.</div>;
+}
+
+function Operations({ operations }) {
+  if (operations.length === 0) {
+    return <div style={{ ...card, textAlign: 'center', color: 'var(--text-3)', fontSize: '0.85rem' }}>Nessuna vendita nell'anno.</div>;
+  }
+  return (
+    <div style={{ ...card, padding: 0, overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={th}>Data</th><th style={th}>Titolo</th><th style={th}>Broker</th><th style={th}>Classe</th>
+            <th style={th}>Quadro</th><th style={{ ...th, textAlign: 'right' }}>Aliquota</th>
+            <th style={{ ...th, textAlign: 'right' }}>Corrispettivo</th><th style={{ ...th, textAlign: 'right' }}>Costo</th>
+            <th style={{ ...th, textAlign: 'right' }}>Plus/Minus</th>
+          </tr>
+        </thead>
+        <tbody>
+          {operations.map(o => (
+            <tr key={o.id} style={{ opacity: o.regime === 'amministrato' ? 0.55 : 1 }}>
+              <td style={td}>{new Date(o.date).toLocaleDateString('it-IT')}</td>
+              <td style={td}><strong>{o.ticker}</strong> <span style={{ color: 'var(--text-3)', fontSize: '0.72rem' }}>{o.name !== o.ticker ? o.name : ''}</span></td>
+              <td style={td}>{o.broker}</td>
+              <td style={td}>{ASSET_TAX_CLASSES[o.assetClass].label}</td>
+              <td style={td}>{o.regime === 'amministrato' ? 'Amm.' : o.incomeType === 'capitale' ? 'RM' : 'RT'}</td>
+              <td style={tdNum}>{fmtPct(o.effectiveRate)}</td>
+              <td style={tdNum}><Blur>{fmt2(o.proceeds)}</Blur></td>
+              <td style={tdNum}><Blur>{fmt2(o.costBasis)}</Blur></td>
+              <td style={{ ...tdNum, color: plColor(o.realizedPL), fontWeight: 600 }}><Blur>{fmt2(o.realizedPL)}</Blur></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function Losses({ y }) {
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(320px,1fr))', gap: '0.85rem' }}>
+      <div style={card}>
+        <div style={{ fontWeight: 700, marginBottom: '0.75rem' }}>Residue al 31/12/{y.year}</div>
+        {y.carryForward.length === 0 ? (
+          <div style={{ fontSize: '0.8rem', color: 'var(--text-3)' }}>Nessuna minusvalenza da riportare.</div>
+        ) : y.carryForward.map(l => {
+          const expiring = l.expiresYear === y.year + 1;
+          return (
+            <Row key={l.fromYear}
+              label={`Anno ${l.fromYear} · utilizzabile fino al ${l.expiresYear}${expiring ? ' ⚠' : ''}`}
+              value={fmtEur(l.remaining)} color={expiring ? '#FF9F0A' : undefined} />
+          );
+        })}
+      </div>
+      <div style={card}>
+        <div style={{ fontWeight: 700, marginBottom: '0.75rem' }}>Movimenti {y.year}</div>
+        {y.rt.lossesUsed.map(l => (
+          <Row key={`u${l.fromYear}`} label={`Utilizzate (origine ${l.fromYear})`} value={fmtEur(l.amount)} color="#30D158" />
+        ))}
+        {y.rt.newLoss > 0 && <Row label="Nuova minusvalenza netta" value={fmtEur(y.rt.newLoss)} color="#FF453A" />}
+        {y.expired.map(l => (
+          <Row key={`e${l.fromYear}`} label={`Scadute (origine ${l.fromYear})`} value={fmtEur(l.amount)} color="var(--text-3)" />
+        ))}
+        {y.rt.lossesUsed.length === 0 && y.rt.newLoss === 0 && y.expired.length === 0 && (
+          <div style={{ fontSize: '0.8rem', color: 'var(--text-3)' }}>Nessun movimento.</div>
+        )}
+        <div style={{ marginTop: '0.75rem', fontSize: '0.72rem', color: 'var(--text-3)', lineHeight: 1.5 }}>
+          Le minusvalenze (redditi diversi) compensano le plusvalenze dei {LOSS_CARRY_YEARS} anni successivi,
+          a partire dalle più vecchie. Non compensano le plusvalenze su ETF, che sono redditi di capitale.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ForeignAssets({ year, version }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    buildForeignAssetReport(year)
+      .then(r => { if (!cancelled) setData(r); })
+      .catch(err => {
+        console.error('Error building RW report:', err);
+        if (!cancelled) setError('Impossibile ricostruire i valori: controlla la connessione e riprova');
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [year, version]);
+
+  const handleExportCSV = () => {
+    const rows = data.brokers.flatMap(b => b.positions.map(p => ({
+      Broker: b.broker,
+      Ticker: p.ticker,
+      ISIN: p.isin,
+      Titolo: p.name,
+      Tipo: p.isCash ? 'Liquidità' : p.isRealEstate ? 'Immobile' : p.isCrypto ? 'Cripto-attività' : 'Prodotto finanziario',
+      'Valore iniziale': fmt2(p.startValue),
+      'Valore finale': fmt2(p.endValue),
+      'Valore massimo': fmt2(p.maxValue),
+      Giorni: p.daysHeld,
+      'Giacenza media': p.isCash ? fmt2(p.averageBalance) : '',
+      Imposta: fmt2(p.tax),
+      Stima: p.estimated ? 'sì' : '',
+    })));
+    const csv = Papa.unparse(rows, { delimiter: ';' });
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `quadro_rw_${year}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  if (loading) {
+    return (
+      <div style={{ ...card, textAlign: 'center', color: 'var(--text-3)', fontSize: '0.85rem' }}>
+        <RefreshCw size={16} style={{ animation: 'spin 1s linear infinite', marginBottom: 6 }} />
+        <div>Ricostruzione dei valori {year} in corso…</div>
+      </div>
+    );
+  }
+  if (error) return <div style={{ ...card, color: '#FF453A', fontSize: '0.85rem' }}>⚠️ {error}</div>;
+  if (!data || data.brokers.length === 0) {
+    return <div style={{ ...card, textAlign: 'center', color: 'var(--text-3)', fontSize: '0.85rem' }}>Nessuna attività detenuta su broker esteri nel {year}.</div>;
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.85rem' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(200px,1fr))', gap: '0.85rem' }}>
+        <KpiCard label="IVAFE" value={fmtEur(data.totals.ivafe)} sub={`${fmtPct(IVAFE_RATE)} sui prodotti finanziari, ${fmtEur(IVAFE_CASH_FIXED)} sui conti`} icon={Receipt} color="#FF453A" />
+        <KpiCard label="Imposta cripto" value={fmtEur(data.totals.cryptoDuty)} sub={`${fmtPct(CRYPTO_DUTY_RATE)} sulle cripto-attività`} icon={Receipt} color="#FF9F0A" />
+        {data.totals.ivieComputed > 0 && (
+          <KpiCard label="IVIE" value={fmtEur(data.totals.ivie)}
+            sub={data.totals.ivie > 0 ? `${fmt2(IVIE_RATE * 100)}% sugli immobili esteri` : `non dovuta: ${fmtEur(data.totals.ivieComputed)} ≤ ${fmtEur(IVIE_THRESHOLD)}`}
+            icon={Receipt} color="#AF52DE" />
+        )}
+        <KpiCard label="Valore al 31/12" value={fmtEur(data.totals.endValue)} sub={`al 1/1: ${fmtEur(data.totals.startValue)}`} icon={Globe} />
+      </div>
+
+      {data.brokers.map(b => (
+        <div key={b.broker} style={{ ...card, padding: 0, overflowX: 'auto' }}>
+          <div style={{ padding: '1rem 1.25rem 0.5rem', display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: '0.5rem' }}>
+            <div style={{ fontWeight: 700 }}>{b.broker}</div>
+            <div style={{ fontSize: '0.76rem', color: 'var(--text-3)' }}>
+              Max <Blur>{fmtEur(b.maxValue)}</Blur> · {b.daysHeld} gg · IVAFE <Blur>{fmtEur(b.ivafe)}</Blur>
+              {b.cryptoDuty > 0 && <> · cripto <Blur>{fmtEur(b.cryptoDuty)}</Blur></>}
+              {b.ivie > 0 && <> · IVIE <Blur>{fmtEur(b.ivie)}</Blur></>}
+            </div>
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={th}>Titolo</th>
+                <th style={{ ...th, textAlign: 'right' }}>Valore 1/1</th>
+                <th style={{ ...th, textAlign: 'right' }}>Valore 31/12</th>
+                <th style={{ ...th, textAlign: 'right' }}>Valore max</th>
+                <th style={{ ...th, textAlign: 'right' }}>Giorni</th>
+                <th style={{ ...th, textAlign: 'right' }}>Imposta</th>
+              </tr>
+            </thead>
+            <tbody>
+              {b.positions.map(p => (
+                <tr key={p.ticker}>
+                  <td style={td}>
+                    <strong>{p.ticker}</strong>{p.isCrypto && <span style={{ marginLeft: 6, fontSize: '0.65rem', color: '#FF9F0A', fontWeight: 700 }}>CRYPTO</span>}
+                    {p.isCash && <span style={{ marginLeft: 6, fontSize: '0.65rem', color: '#30D158', fontWeight: 700 }}>CONTO</span>}
+                    {p.isRealEstate && <span style={{ marginLeft: 6, fontSize: '0.65rem', color: '#AF52DE', fontWeight: 700 }}>IMMOBILE</span>}
+                    {p.estimated && !p.isRealEstate && <span title="Prezzo storico non disponibile: usato l'ultimo prezzo di transazione" style={{ marginLeft: 6, color: '#FF9F0A' }}>≈</span>}
+                    <div style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>
+                      {p.isCash ? <>Giacenza media <Blur>{fmtEur(p.averageBalance)}</Blur></> : (p.isin || p.name)}
+                    </div>
+                  </td>
+                  <td style={tdNum}><Blur>{fmt2(p.startValue)}</Blur></td>
+                  <td style={tdNum}><Blur>{fmt2(p.endValue)}</Blur></td>
+                  <td style={tdNum}><Blur>{fmt2(p.maxValue)}</Blur></td>
+                  <td style={tdNum}>{p.daysHeld}</td>
+                  <td style={{ ...tdNum, fontWeight: 600 }}><Blur>{fmt2(p.tax)}</Blur></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+        <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', lineHeight: 1.5, maxWidth: 760 }}>
+          Valori da prezzi di fine mese. Imposte rapportate ai giorni di detenzione, calcolate sul valore al 31/12
+          o, per i titoli ceduti, sul valore alla cessione, in EUR al cambio di ogni operazione. Liquidità del broker:
+          IVAFE fissa di {fmtEur(IVAFE_CASH_FIXED)} solo con giacenza media oltre {fmtEur(IVAFE_CASH_THRESHOLD)}, con il saldo
+          di depositi, prelievi, acquisti, vendite, dividendi, interessi e costi. Immobili esteri (IVIE): solo le posizioni
+          "Immobiliare Diretto", valutate al costo d'acquisto; per gli immobili in UE / SEE la base corretta è il
+          valore catastale, da inserire a mano in dichiarazione.
+        </div>
+        <button onClick={handleExportCSV}
+          style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.45rem 0.8rem', borderRadius: 10, border: '1px solid var(--border)', background: 'var(--card-bg)', cursor: 'pointer', fontSize: '0.78rem', color: 'var(--text-2)' }}>
+          <Download size={12} /> CSV Quadro RW
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Brokers({ brokers, onChange }) {
+  return (
+    <div style={card}>
+      <div style={{ fontWeight: 700, marginBottom: '0.2rem' }}>Regime fiscale per broker</div>
+      <div style={{ fontSize: '0.72rem', color: 'var(--text-3)', marginBottom: '0.75rem' }}>
+        In regime amministrato il broker applica le imposte come sostituto d'imposta: le operazioni restano fuori dal calcolo
+      </div>
+      {brokers.map(b => (
+        <div key={b.broker} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.75rem', padding: '0.5rem 0', borderBottom: '1px solid var(--border)' }}>
+          <div style={{ fontSize: '0.85rem', fontWeight: 600 }}>
+            {b.broker}
+            <span style={{ marginLeft: 8, fontSize: '0.68rem', fontWeight: 700, color: REGIME_STYLE[b.regime].color }}>
+              {REGIME_STYLE[b.regime].label}{!b.overridden && ' (auto)'}
+            </span>
+          </div>
+          <select className="select" style={{ width: 180 }} value={b.overridden ? b.regime : ''}
+            onChange={(e) => onChange(b.broker, e.target.value || null)}>
+            <option value="">Automatico</option>
+            <option value="dichiarativo">Dichiarativo</option>
+            <option value="amministrato">Amministrato</option>
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── Pagina principale ──────────────────────────────────────────────────────────
+export default function Fiscale() {
+  const [tab, setTab] = useState('summary');
+  const [version, setVersion] = useState(0);
+  useSyncRefresh(() => setVersion(v => v + 1));
+  const report = useMemo(() => buildTaxReport(), [version]);
+  const foreignYears = useMemo(() => getForeignAssetYears(), [version]);
+  const [year, setYear] = useState(() => report.years.find(y => y.operationsCount > 0)?.year ?? new Date().getFullYear());
+
+  const years = useMemo(
+    () => [...new Set([...report.years.map(r => r.year), ...foreignYears])].sort((a, b) => b - a),
+    [report, foreignYears]
+  );
+
+  const y = report.years.find(r => r.year === year);
+  const yearOps = useMemo(
+    () => report.operations.filter(o => o.year === year).sort((a, b) => new Date(b.date) - new Date(a.date)),
+    [report, year]
+  );
+
+  const handleRegimeChange = (broker, regime) => {
+    setTaxRegime(broker, regime);
+    setVersion(v => v + 1);
+  };
+
+  const handleExportCSV = () => {
+    const csv = Papa.unparse(getTaxReportRows(report, year), { delimiter: ';' });
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `report_fiscale_${year}.csv`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const btn = {
+    display: 'flex', alignItems: 'center', gap: '0.4rem', padding: '0.45rem 0.8rem',
+    borderRadius: 10, border: '1px solid var(--border)', background: 'var(--card-bg)',
+    cursor: 'pointer', fontSize: '0.78rem', color: 'var(--text-2)',
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '1.25rem', maxWidth: 1100 }}>
+      {/* Header */}
+      <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.75rem' }}>
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.6rem', marginBottom: '0.15rem' }}>
+            <Landmark size={22} color="#0A84FF" />
+            <h1 style={{ fontSize: '1.4rem', fontWeight: 700, margin: 0 }}>Fiscale</h1>
+          </div>
+          <p style={{ margin: 0, color: 'var(--text-3)', fontSize: '0.82rem' }}>
+            Plusvalenze, redditi di capitale, minusvalenze riportabili e attività estere · quadri RT, RM e RW
+          </p>
+        </div>
+        {years.length > 0 && (
+          <div style={{ display: 'flex', gap: '0.45rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select className="select" style={{ width: 110 }} value={year} onChange={(e) => setYear(parseInt(e.target.value))}>
+              {years.map(yr => <option key={yr} value={yr}>{yr}</option>)}
+            </select>
+            {y && <button onClick={handleExportCSV} style={btn}><Download size={12} /> CSV</button>}
+            {y && <button onClick={() => printReport(y, getTaxReportRows(report, year))} style={btn}><Printer size={12} /> PDF</button>}
+          </div>
+        )}
+      </div>
+
+      {years.length === 0 ? (
+        <div style={{ ...card, textAlign: 'center', color: 'var(--text-3)', fontSize: '0.85rem', padding: '2.5rem' }}>
+          <FileText size={28} style={{ marginBottom: 8, opacity: 0.5 }} />
+          <div>Nessuna vendita o provento registrato: il report si popola con le transazioni.</div>
+        </div>
+      ) : (
+        <>
+          {y && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(200px,1fr))', gap: '0.85rem' }}>
+              <KpiCard label="Imposta stimata" value={fmtEur(y.totalTax)} sub={`RT ${fmtEur(y.rt.tax)} · RM ${fmtEur(y.rm.tax)}`} icon={Receipt} color="#FF453A" />
+              <KpiCard label="Plus/minus nette RT" value={fmtEur(y.rt.net)} sub={`${yearOps.filter(o => o.regime === 'dichiarativo').length} vendite in dichiarativo`} icon={FileText} />
+              <KpiCard label="Redditi di capitale" value={fmtEur(y.rm.taxable)} sub="ETF, dividendi e interessi esteri" icon={Landmark} color="#30D158" />
+              <KpiCard label="Minus riportabili" value={fmtEur(y.carryForward.reduce((s, l) => s + l.remaining, 0))}
+                sub={y.expired.length ? `${fmtEur(y.expired.reduce((s, l) => s + l.amount, 0))} scadute nell'anno` : `validità ${LOSS_CARRY_YEARS} anni`}
+                icon={TrendingDown} color="#FF9F0A" />
+            </div>
+          )}
+
+          <TabBar tab={tab} setTab={setTab} />
+
+          {tab === 'summary' && (y ? <Summary y={y} /> : <NoData year={year} />)}
+          {tab === 'operations' && <Operations operations={yearOps} />}
+          {tab === 'losses' && (y ? <Losses y={y} /> : <NoData year={year} />)}
+          {tab === 'rw' && <ForeignAssets year={year} version={version} />}
+          {tab === 'brokers' && <Brokers brokers={report.brokers} onChange={handleRegimeChange} />}
+
+          <div style={{ display: 'flex', gap: '0.6rem', alignItems: 'flex-start', background: 'var(--bg)', borderRadius: 10, padding: '0.75rem 1rem', color: 'var(--text-3)', lineHeight: 1.6, fontSize: '0.76rem' }}>
+            <AlertCircle size={14} style={{ flexShrink: 0, marginTop: 3 }} />
+            <span>
+              Stime indicative. Aliquote: 26% ordinaria, 12,5% titoli di Stato, cripto-attività {fmtPct(getCryptoRate(year))} nel {year}.
+              Plus e minusvalenze a costo medio ponderato, come richiesto ai fini fiscali italiani, qualunque sia il metodo scelto nelle impostazioni.
+              Verifica i dati con il commercialista prima della dichiarazione.
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
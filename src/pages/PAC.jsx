@@ -11,13 +11,35 @@ import {
   preparePACExecution,
   executePAC,
   getTodayDate,
-  getPendingAutoExecutePACs
+  getPendingAutoExecutePACs,
+  getAllocationsForMonth,
+  clearPACMonthlyOverrides,
+  getPACHistory,
+  skipPACPeriods,
+  parseScheduleRule,
+  PAC_FREQUENCIES,
+  CATCH_UP_MODES,
+  AMOUNT_STRATEGIES,
+  DEFAULT_STRATEGY_PARAMS
 } from '../services/pacService';
 import { getTransactions } from '../services/localStorageService';
+import { formatMoney, formatFromEUR, getCurrencySymbol, toEUR } from '../services/currencyService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import { getAllMacroCategories, getMicroCategoriesForMacro } from '../config/assetCategoriesData';
 import { format } from 'date-fns';
 import { it } from 'date-fns/locale';
 
+const WEEKDAY_LABELS = ['Domenica', 'Lunedì', 'Martedì', 'Mercoledì', 'Giovedì', 'Venerdì', 'Sabato'];
+
+// Suffisso dell'importo nelle card ("/mese", "/settimana", …)
+const FREQUENCY_SUFFIX = { weekly: '/sett.', biweekly: '/2 sett.', monthly: '/mese', quarterly: '/trim.', custom: '/esec.' };
+
+/**
+ * La frequenza del form è settimanale? (per custom lo dice la regola)
+ */
+const isWeeklyForm = (form) => form.frequency === 'weekly' || form.frequency === 'biweekly'
+  || (form.frequency === 'custom' && parseScheduleRule(form.customRule)?.freq === 'WEEKLY');
+
 function PAC() {
   // State
   const [templates, setTemplates] = useState([]);
@@ -51,6 +73,8 @@ function PAC() {
     loadData();
   }, []);
 
+  useSyncRefresh(() => loadData());
+
   // Check for pending auto-execute PACs on page load
   useEffect(() => {
     const checkPendingPACs = () => {
@@ -73,11 +97,20 @@ function PAC() {
   function getEmptyTemplateForm() {
     return {
       name: '',
+      platform: '',
       totalAmount: '',
       reminderDay: '',
       autoExecute: false,
       executionDay: '',
+      executionWeekday: '1',
+      frequency: 'monthly',
+      customRule: '',
       startMonth: '',
+      catchUpMode: 'none',
+      amountStrategy: 'fixed',
+      maxMultiplier: DEFAULT_STRATEGY_PARAMS.maxMultiplier.toString(),
+      drawdownThreshold: DEFAULT_STRATEGY_PARAMS.drawdownThreshold.toString(),
+      drawdownBoost: DEFAULT_STRATEGY_PARAMS.drawdownBoost.toString(),
       allocations: [
         { id: '1', ticker: '', name: '', macroCategory: 'ETF', microCategory: '', percentage: '' }
       ]
@@ -115,11 +148,20 @@ function PAC() {
     setEditingTemplate(template);
     setTemplateForm({
       name: template.name,
+      platform: template.platform || '',
       totalAmount: template.totalAmount.toString(),
       reminderDay: template.reminderDay?.toString() || '',
       autoExecute: template.autoExecute || false,
       executionDay: template.executionDay?.toString() || '',
+      executionWeekday: (template.executionWeekday ?? 1).toString(),
+      frequency: template.frequency || 'monthly',
+      customRule: template.customRule || '',
       startMonth: template.startMonth || '',
+      catchUpMode: template.catchUpMode || 'none',
+      amountStrategy: template.amountStrategy || 'fixed',
+      maxMultiplier: (template.strategyParams?.maxMultiplier ?? DEFAULT_STRATEGY_PARAMS.maxMultiplier).toString(),
+      drawdownThreshold: (template.strategyParams?.drawdownThreshold ?? DEFAULT_STRATEGY_PARAMS.drawdownThreshold).toString(),
+      drawdownBoost: (template.strategyParams?.drawdownBoost ?? DEFAULT_STRATEGY_PARAMS.drawdownBoost).toString(),
       allocations: template.allocations.map((a, i) => ({
         ...a,
         id: a.id || (i + 1).toString(),
@@ -199,13 +241,29 @@ function PAC() {
       return;
     }
 
+    if (templateForm.frequency === 'custom' && !parseScheduleRule(templateForm.customRule)) {
+      alert('Regola personalizzata non valida. Esempio: FREQ=WEEKLY;INTERVAL=3;BYDAY=FR');
+      return;
+    }
+
     const templateData = {
       name: templateForm.name.trim(),
+      platform: templateForm.platform.trim() || null,
       totalAmount: parseFloat(templateForm.totalAmount),
       reminderDay: templateForm.reminderDay ? parseInt(templateForm.reminderDay) : null,
       autoExecute: templateForm.autoExecute,
       executionDay: templateForm.executionDay ? parseInt(templateForm.executionDay) : null,
+      executionWeekday: parseInt(templateForm.executionWeekday),
+      frequency: templateForm.frequency,
+      customRule: templateForm.frequency === 'custom' ? templateForm.customRule.trim().toUpperCase() : null,
       startMonth: templateForm.startMonth || null,
+      catchUpMode: templateForm.catchUpMode,
+      amountStrategy: templateForm.amountStrategy,
+      strategyParams: {
+        maxMultiplier: parseFloat(templateForm.maxMultiplier) || DEFAULT_STRATEGY_PARAMS.maxMultiplier,
+        drawdownThreshold: parseFloat(templateForm.drawdownThreshold) || DEFAULT_STRATEGY_PARAMS.drawdownThreshold,
+        drawdownBoost: parseFloat(templateForm.drawdownBoost) || DEFAULT_STRATEGY_PARAMS.drawdownBoost
+      },
       allocations: templateForm.allocations.map(a => ({
         id: a.id,
         ticker: a.ticker.toUpperCase().trim(),
@@ -248,7 +306,8 @@ function PAC() {
   const handleOpenExecution = (template) => {
     setExecutionTemplate(template);
     setExecutionDate(getTodayDate());
-    setExecutionAmount(template.totalAmount.toString());
+    // Con una strategia diversa dall'importo fisso il campo vuoto lascia decidere alla strategia
+    setExecutionAmount((template.amountStrategy || 'fixed') === 'fixed' ? template.totalAmount.toString() : '');
     setExecutionPreview(null);
     setExecutionResult(null);
     setShowExecutionModal(true);
@@ -266,7 +325,7 @@ function PAC() {
 
     setExecutionLoading(true);
     try {
-      const modifiedAmount = parseFloat(executionAmount) || executionTemplate.totalAmount;
+      const modifiedAmount = parseFloat(executionAmount) || null;
       const preview = await preparePACExecution(executionTemplate, executionDate, modifiedAmount);
       setExecutionPreview(preview);
     } catch (error) {
@@ -288,7 +347,7 @@ function PAC() {
 
         const pct = parseFloat(newPercentage) || 0;
         const allocatedAmount = totalAmount * (pct / 100);
-        const quantity = item.price ? allocatedAmount / item.price : null;
+        const quantity = item.price ? toEUR(allocatedAmount, prev.currency) / item.price : null;
 
         return {
           ...item,
@@ -332,7 +391,9 @@ function PAC() {
   const handlePreparePendingExecution = async (template) => {
     setPendingLoading(true);
     try {
-      const preview = await preparePACExecution(template, getTodayDate(), template.totalAmount);
+      const preview = await preparePACExecution(template, template.pendingDate, null, {
+        periodKeys: template.pendingPeriods.map(p => p.key)
+      });
       setPendingPreview(preview);
     } catch (error) {
       console.error('Error preparing pending execution:', error);
@@ -349,8 +410,8 @@ function PAC() {
     try {
       const result = await executePAC(pendingPreview);
 
-      // Remove executed PAC from pending list
-      setPendingPACs(prev => prev.filter(p => p.id !== pendingPreview.pacTemplateId));
+      // Remove executed PAC from pending list (always the first one)
+      setPendingPACs(prev => prev.slice(1));
       setPendingPreview(null);
 
       // Show success notification
@@ -363,7 +424,7 @@ function PAC() {
         }]
       });
 
-      // Reload data to show updated lastExecutedDate
+      // Reload data to show updated execution history
       loadData();
 
       // If no more pending PACs, close modal
@@ -379,10 +440,19 @@ function PAC() {
   };
 
   const handleSkipPending = () => {
-    // Skip current PAC and move to next
+    // Record the skip so the periods are not proposed again, then move to next
+    const current = pendingPACs[0];
+    if (current) {
+      try {
+        skipPACPeriods(current.id, current.pendingPeriods.map(p => p.key));
+        loadData();
+      } catch (error) {
+        console.error('Error skipping PAC periods:', error);
+      }
+    }
+
     if (pendingPACs.length > 1) {
-      const currentPacId = pendingPreview?.pacTemplateId || pendingPACs[0]?.id;
-      setPendingPACs(prev => prev.filter(p => p.id !== currentPacId));
+      setPendingPACs(prev => prev.slice(1));
       setPendingPreview(null);
     } else {
       // Last one, close modal
@@ -443,7 +513,7 @@ function PAC() {
                 </p>
                 <div className="text-sm text-green-700 mt-1">
                   {autoExecuteResult.executedPACs.map((pac, i) => (
-                    <p key={i}>• {pac.name}: €{pac.amount} ({pac.transactions} transazioni)</p>
+                    <p key={i}>• {pac.name}: {formatFromEUR(parseFloat(pac.amount))} ({pac.transactions} transazioni)</p>
                   ))}
                 </div>
               </div>
@@ -481,7 +551,7 @@ function PAC() {
               <div className="flex justify-between items-start mb-3">
                 <h3 className="font-semibold text-gray-900 text-lg">{template.name}</h3>
                 <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-sm font-medium">
-                  €{template.totalAmount}/mese
+                  {formatMoney(template.totalAmount, { decimals: 0, currency: template.currency })}{FREQUENCY_SUFFIX[template.frequency || 'monthly']}
                 </span>
               </div>
 
@@ -494,21 +564,74 @@ function PAC() {
                 ))}
               </div>
 
+              {/* Schedule & strategy badges */}
+              {((template.frequency && template.frequency !== 'monthly') || (template.amountStrategy && template.amountStrategy !== 'fixed')) && (
+                <div className="flex flex-wrap gap-1 mb-2">
+                  {template.frequency && template.frequency !== 'monthly' && (
+                    <span className="text-xs text-gray-700 bg-gray-100 px-2 py-1 rounded">
+                      {template.frequency === 'custom' ? template.customRule : PAC_FREQUENCIES[template.frequency]?.label}
+                    </span>
+                  )}
+                  {template.amountStrategy && template.amountStrategy !== 'fixed' && (
+                    <span className="text-xs text-purple-700 bg-purple-100 px-2 py-1 rounded">
+                      {AMOUNT_STRATEGIES[template.amountStrategy]}
+                    </span>
+                  )}
+                </div>
+              )}
+
               {/* Auto-execute badge */}
               {template.autoExecute && (
                 <div className="flex items-center gap-1 text-xs text-green-700 bg-green-100 px-2 py-1 rounded mb-2 w-fit">
                   <RefreshCw className="w-3 h-3" />
-                  Auto il giorno {template.executionDay}
+                  {(template.frequency === 'weekly' || template.frequency === 'biweekly')
+                    ? `Auto di ${WEEKDAY_LABELS[template.executionWeekday ?? 1].toLowerCase()}`
+                    : `Auto il giorno ${template.executionDay}`}
                   {template.startMonth && ` (da ${template.startMonth})`}
                 </div>
               )}
 
+              {/* Glide path overrides */}
+              {Object.keys(template.monthlyOverrides || {}).some(m => m >= getTodayDate().slice(0, 7)) && (
+                <div className="flex items-center gap-2 text-xs text-blue-700 bg-blue-100 px-2 py-1 rounded mb-2 w-fit">
+                  <Calendar className="w-3 h-3" />
+                  {Object.keys(template.monthlyOverrides).filter(m => m >= getTodayDate().slice(0, 7)).length} mesi con allocazione da ribilanciamento
+                  <button
+                    onClick={() => { clearPACMonthlyOverrides(template.id); loadData(); }}
+                    className="text-blue-800 hover:text-blue-900"
+                    title="Rimuovi override mensili"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              )}
+
               {template.lastExecutedDate && (
                 <p className="text-xs text-gray-500 mb-3">
                   Ultimo: {format(new Date(template.lastExecutedDate), 'dd MMM yyyy', { locale: it })}
                 </p>
               )}
 
+              {/* Execution history */}
+              {getPACHistory(template).length > 1 && (
+                <details className="text-xs text-gray-600 mb-3">
+                  <summary className="cursor-pointer text-gray-500">Storico ({getPACHistory(template).length})</summary>
+                  <div className="mt-1 space-y-0.5 max-h-32 overflow-y-auto">
+                    {[...getPACHistory(template)].reverse().map(h => (
+                      <div key={h.id} className="flex justify-between">
+                        <span>
+                          {format(new Date(h.date), 'dd MMM yyyy', { locale: it })}
+                          {h.periodKeys?.length > 1 && ` (${h.periodKeys.length} periodi)`}
+                        </span>
+                        <span className={h.skipped ? 'text-gray-400' : 'font-medium'}>
+                          {h.skipped ? 'saltato' : h.amount != null ? formatMoney(h.amount, { decimals: 0, currency: h.currency }) : '-'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </details>
+              )}
+
               <div className="flex gap-2 pt-3 border-t">
                 <button
                   onClick={() => handleOpenExecution(template)}
@@ -561,10 +684,31 @@ function PAC() {
                 />
               </div>
 
+              {/* Platform */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Piattaforma (opz.)</label>
+                <input
+                  type="text"
+                  list="pac-platforms"
+                  value={templateForm.platform}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, platform: e.target.value }))}
+                  className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="es. Fineco"
+                />
+                <datalist id="pac-platforms">
+                  {[...new Set(getTransactions().map(tx => tx.platform).filter(p => p && p !== 'Manuale'))].sort().map(p => (
+                    <option key={p} value={p} />
+                  ))}
+                </datalist>
+                <p className="text-xs text-gray-500 mt-1">
+                  Broker dove il PAC viene eseguito: all'import del suo CSV le esecuzioni senza eseguito vengono segnalate come non eseguite
+                </p>
+              </div>
+
               {/* Amount */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Importo Mensile (€)</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Importo per Esecuzione ({getCurrencySymbol(editingTemplate?.currency)})</label>
                   <input
                     type="number"
                     value={templateForm.totalAmount}
@@ -589,6 +733,99 @@ function PAC() {
                 </div>
               </div>
 
+              {/* Frequency */}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Frequenza</label>
+                  <select
+                    value={templateForm.frequency}
+                    onChange={(e) => setTemplateForm(prev => ({ ...prev, frequency: e.target.value }))}
+                    className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(PAC_FREQUENCIES).map(([key, f]) => (
+                      <option key={key} value={key}>{f.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {templateForm.frequency === 'custom' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Regola</label>
+                    <input
+                      type="text"
+                      value={templateForm.customRule}
+                      onChange={(e) => setTemplateForm(prev => ({ ...prev, customRule: e.target.value }))}
+                      className={`w-full border rounded-lg px-3 py-2 font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                        templateForm.customRule && !parseScheduleRule(templateForm.customRule) ? 'border-red-400' : ''
+                      }`}
+                      placeholder="FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">FREQ=WEEKLY|MONTHLY, INTERVAL, BYDAY (MO…SU), BYMONTHDAY</p>
+                  </div>
+                )}
+              </div>
+
+              {/* Amount strategy */}
+              <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Strategia importo</label>
+                  <select
+                    value={templateForm.amountStrategy}
+                    onChange={(e) => setTemplateForm(prev => ({ ...prev, amountStrategy: e.target.value }))}
+                    className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(AMOUNT_STRATEGIES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {templateForm.amountStrategy === 'fixed' && 'Ogni esecuzione investe l\'importo indicato con le percentuali del template.'}
+                    {templateForm.amountStrategy === 'value_averaging' && 'Il valore del PAC deve crescere dell\'importo indicato a ogni esecuzione: si compra la differenza (di più dopo i cali, meno dopo i rialzi).'}
+                    {templateForm.amountStrategy === 'drawdown_boost' && 'Importo aumentato per i titoli sotto il massimo degli ultimi 12 mesi.'}
+                    {templateForm.amountStrategy === 'rebalance_weighted' && 'Importo fisso, ripartito sui titoli sottopesati rispetto alle percentuali del template.'}
+                  </p>
+                </div>
+
+                {(templateForm.amountStrategy === 'value_averaging' || templateForm.amountStrategy === 'drawdown_boost') && (
+                  <div className="grid grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Massimo (× importo)</label>
+                      <input
+                        type="number"
+                        value={templateForm.maxMultiplier}
+                        onChange={(e) => setTemplateForm(prev => ({ ...prev, maxMultiplier: e.target.value }))}
+                        className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        min="1"
+                        step="0.5"
+                      />
+                    </div>
+                    {templateForm.amountStrategy === 'drawdown_boost' && (
+                      <>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Ogni calo del (%)</label>
+                          <input
+                            type="number"
+                            value={templateForm.drawdownThreshold}
+                            onChange={(e) => setTemplateForm(prev => ({ ...prev, drawdownThreshold: e.target.value }))}
+                            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            min="1"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Aumento (%)</label>
+                          <input
+                            type="number"
+                            value={templateForm.drawdownBoost}
+                            onChange={(e) => setTemplateForm(prev => ({ ...prev, drawdownBoost: e.target.value }))}
+                            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            min="1"
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+
               {/* Auto-Execute Toggle */}
               <div className="bg-blue-50 rounded-lg p-4 space-y-3">
                 <div className="flex items-center justify-between">
@@ -614,20 +851,37 @@ function PAC() {
                 {templateForm.autoExecute && (
                   <div className="space-y-3">
                     <div className="grid grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Giorno del mese
-                        </label>
-                        <input
-                          type="number"
-                          value={templateForm.executionDay}
-                          onChange={(e) => setTemplateForm(prev => ({ ...prev, executionDay: e.target.value }))}
-                          className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                          placeholder="5"
-                          min="1"
-                          max="31"
-                        />
-                      </div>
+                      {isWeeklyForm(templateForm) ? (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Giorno della settimana
+                          </label>
+                          <select
+                            value={templateForm.executionWeekday}
+                            onChange={(e) => setTemplateForm(prev => ({ ...prev, executionWeekday: e.target.value }))}
+                            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          >
+                            {[1, 2, 3, 4, 5, 6, 0].map(d => (
+                              <option key={d} value={d}>{WEEKDAY_LABELS[d]}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ) : (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Giorno del mese
+                          </label>
+                          <input
+                            type="number"
+                            value={templateForm.executionDay}
+                            onChange={(e) => setTemplateForm(prev => ({ ...prev, executionDay: e.target.value }))}
+                            className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="5"
+                            min="1"
+                            max="31"
+                          />
+                        </div>
+                      )}
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
                           A partire dal mese
@@ -640,9 +894,27 @@ function PAC() {
                         />
                       </div>
                     </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Periodi saltati
+                      </label>
+                      <select
+                        value={templateForm.catchUpMode}
+                        onChange={(e) => setTemplateForm(prev => ({ ...prev, catchUpMode: e.target.value }))}
+                        className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {Object.entries(CATCH_UP_MODES).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
                     <p className="text-xs text-gray-500">
-                      Il PAC verrà eseguito automaticamente dal giorno {templateForm.executionDay || 'X'} del mese
+                      {isWeeklyForm(templateForm)
+                        ? `Il PAC verrà eseguito automaticamente di ${WEEKDAY_LABELS[templateForm.executionWeekday].toLowerCase()}`
+                        : `Il PAC verrà eseguito automaticamente dal giorno ${templateForm.executionDay || 'X'} del periodo`}
                       {templateForm.startMonth && ` a partire da ${templateForm.startMonth}`}
+                      {templateForm.catchUpMode === 'accumulate' && '; se apri l\'app dopo più scadenze, un solo acquisto recupera tutti i periodi'}
+                      {templateForm.catchUpMode === 'backfill' && '; le scadenze mancate vengono proposte una per una, alla loro data con prezzi storici'}
                     </p>
                   </div>
                 )}
@@ -784,7 +1056,7 @@ function PAC() {
                     PAC Eseguito con Successo!
                   </div>
                   <p className="text-green-700">
-                    Create {executionResult.transactionsCreated} transazioni per un totale di €{executionResult.totalInvested.toFixed(2)}
+                    Create {executionResult.transactionsCreated} transazioni per un totale di {formatFromEUR(executionResult.totalInvested)}
                   </p>
                   <button
                     onClick={handleCloseExecutionModal}
@@ -815,13 +1087,14 @@ function PAC() {
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         <DollarSign className="w-4 h-4 inline mr-1" />
-                        Importo (€)
+                        Importo ({getCurrencySymbol(executionTemplate?.currency)})
                       </label>
                       <input
                         type="number"
                         value={executionAmount}
                         onChange={(e) => setExecutionAmount(e.target.value)}
                         className="w-full border rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500"
+                        placeholder={AMOUNT_STRATEGIES[executionTemplate.amountStrategy] || ''}
                         min="0"
                         step="1"
                       />
@@ -829,9 +1102,13 @@ function PAC() {
                   </div>
 
                   <div className="bg-gray-50 rounded-lg p-4">
-                    <h4 className="font-medium text-gray-700 mb-2">Allocazioni Template</h4>
+                    <h4 className="font-medium text-gray-700 mb-2">
+                      {getAllocationsForMonth(executionTemplate, executionDate) !== executionTemplate.allocations
+                        ? `Allocazioni ${executionDate.slice(0, 7)} (da ribilanciamento)`
+                        : 'Allocazioni Template'}
+                    </h4>
                     <div className="space-y-1">
-                      {executionTemplate.allocations.map((alloc, i) => (
+                      {getAllocationsForMonth(executionTemplate, executionDate).map((alloc, i) => (
                         <div key={i} className="flex justify-between text-sm">
                           <span>{alloc.ticker} - {alloc.name}</span>
                           <span className="font-medium">{alloc.percentage}%</span>
@@ -878,6 +1155,16 @@ function PAC() {
                     </div>
                   )}
 
+                  {executionPreview.amountStrategy?.notes?.length > 0 && (
+                    <div className="bg-purple-50 border border-purple-200 rounded-lg p-3 text-sm text-purple-800">
+                      <span className="font-medium">{AMOUNT_STRATEGIES[executionPreview.amountStrategy.type]}:</span>{' '}
+                      {formatMoney(executionPreview.totalAmount, { currency: executionPreview.currency })} invece di {formatMoney(executionPreview.amountStrategy.baseAmount, { currency: executionPreview.currency })}
+                      <ul className="list-disc list-inside text-xs mt-1">
+                        {executionPreview.amountStrategy.notes.map((note, i) => <li key={i}>{note}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-center justify-between">
                     <span className="text-blue-800 font-medium">
                       Prezzi: {executionPreview.pricesType === 'historical' ? 'Storici' : 'Attuali'} ({executionPreview.executionDate})
@@ -894,7 +1181,7 @@ function PAC() {
                         <tr className="bg-gray-50 text-left">
                           <th className="px-3 py-2 font-medium text-gray-600">Ticker</th>
                           <th className="px-3 py-2 font-medium text-gray-600">%</th>
-                          <th className="px-3 py-2 font-medium text-gray-600 text-right">Importo €</th>
+                          <th className="px-3 py-2 font-medium text-gray-600 text-right">Importo {getCurrencySymbol(executionPreview.currency)}</th>
                           <th className="px-3 py-2 font-medium text-gray-600 text-right">Prezzo €</th>
                           <th className="px-3 py-2 font-medium text-gray-600 text-right">Quantità</th>
                         </tr>
@@ -918,7 +1205,7 @@ function PAC() {
                               />
                             </td>
                             <td className="px-3 py-2 text-right font-medium">
-                              €{item.allocatedAmount?.toFixed(2) || '-'}
+                              {item.allocatedAmount != null ? formatMoney(item.allocatedAmount, { currency: executionPreview.currency }) : '-'}
                             </td>
                             <td className="px-3 py-2 text-right">
                               {item.price ? `€${item.price.toFixed(2)}` : (
@@ -935,7 +1222,7 @@ function PAC() {
                         <tr className="border-t-2 bg-gray-50 font-medium">
                           <td className="px-3 py-2">TOTALE</td>
                           <td className="px-3 py-2">{executionPreview.totalPercentage}%</td>
-                          <td className="px-3 py-2 text-right">€{executionPreview.totalAllocated.toFixed(2)}</td>
+                          <td className="px-3 py-2 text-right">{formatMoney(executionPreview.totalAllocated, { currency: executionPreview.currency })}</td>
                           <td className="px-3 py-2"></td>
                           <td className="px-3 py-2"></td>
                         </tr>
@@ -1002,14 +1289,24 @@ function PAC() {
                     <h3 className="font-semibold text-lg mb-3">{pendingPACs[0]?.name}</h3>
                     <div className="grid grid-cols-2 gap-4 text-sm">
                       <div>
-                        <span className="text-gray-500">Importo:</span>
-                        <span className="ml-2 font-medium">€{pendingPACs[0]?.totalAmount}</span>
+                        <span className="text-gray-500">Importo base:</span>
+                        <span className="ml-2 font-medium">
+                          {formatMoney(pendingPACs[0]?.totalAmount * (pendingPACs[0]?.pendingPeriods.length || 1), { currency: pendingPACs[0]?.currency })}
+                        </span>
+                        {pendingPACs[0]?.amountStrategy && pendingPACs[0].amountStrategy !== 'fixed' && (
+                          <span className="ml-1 text-xs text-purple-700">({AMOUNT_STRATEGIES[pendingPACs[0].amountStrategy]})</span>
+                        )}
                       </div>
                       <div>
                         <span className="text-gray-500">Data:</span>
-                        <span className="ml-2 font-medium">{getTodayDate()}</span>
+                        <span className="ml-2 font-medium">{pendingPACs[0]?.pendingDate}</span>
                       </div>
                     </div>
+                    {pendingPACs[0]?.pendingPeriods.length > 1 && (
+                      <p className="text-xs text-blue-700 mt-2">
+                        Recupera {pendingPACs[0].pendingPeriods.length} scadenze: {pendingPACs[0].pendingPeriods.map(p => p.dueDate).join(', ')}
+                      </p>
+                    )}
                     <div className="mt-3 space-y-1">
                       {pendingPACs[0]?.allocations.map((alloc, i) => (
                         <div key={i} className="flex justify-between text-sm">
@@ -1025,7 +1322,7 @@ function PAC() {
                       onClick={handleSkipPending}
                       className="flex-1 px-4 py-2 border rounded-lg hover:bg-gray-50 text-gray-700"
                     >
-                      Salta questo mese
+                      Salta questa scadenza
                     </button>
                     <button
                       onClick={() => handlePreparePendingExecution(pendingPACs[0])}
@@ -1066,12 +1363,21 @@ function PAC() {
                     </div>
                   )}
 
+                  {pendingPreview.amountStrategy?.notes?.length > 0 && (
+                    <div className="bg-purple-50 border border-purple-200 rounded-lg p-3 text-sm text-purple-800">
+                      <span className="font-medium">{AMOUNT_STRATEGIES[pendingPreview.amountStrategy.type]}:</span>
+                      <ul className="list-disc list-inside text-xs mt-1">
+                        {pendingPreview.amountStrategy.notes.map((note, i) => <li key={i}>{note}</li>)}
+                      </ul>
+                    </div>
+                  )}
+
                   <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-center justify-between">
                     <span className="text-blue-800 font-medium">
-                      {pendingPreview.pacTemplateName} - €{pendingPreview.totalAmount}
+                      {pendingPreview.pacTemplateName} - {formatMoney(pendingPreview.totalAmount, { currency: pendingPreview.currency })}
                     </span>
                     <span className="text-sm text-blue-700">
-                      Prezzi attuali ({pendingPreview.executionDate})
+                      Prezzi {pendingPreview.pricesType === 'historical' ? 'storici' : 'attuali'} ({pendingPreview.executionDate})
                     </span>
                   </div>
 
@@ -1082,7 +1388,7 @@ function PAC() {
                         <tr className="bg-gray-50 text-left">
                           <th className="px-3 py-2 font-medium text-gray-600">Ticker</th>
                           <th className="px-3 py-2 font-medium text-gray-600">%</th>
-                          <th className="px-3 py-2 font-medium text-gray-600 text-right">Importo €</th>
+                          <th className="px-3 py-2 font-medium text-gray-600 text-right">Importo {getCurrencySymbol(pendingPreview.currency)}</th>
                           <th className="px-3 py-2 font-medium text-gray-600 text-right">Prezzo €</th>
                           <th className="px-3 py-2 font-medium text-gray-600 text-right">Quantità</th>
                         </tr>
@@ -1097,7 +1403,7 @@ function PAC() {
                             </td>
                             <td className="px-3 py-2">{item.modifiedPercentage}%</td>
                             <td className="px-3 py-2 text-right font-medium">
-                              €{item.allocatedAmount?.toFixed(2) || '-'}
+                              {item.allocatedAmount != null ? formatMoney(item.allocatedAmount, { currency: pendingPreview.currency }) : '-'}
                             </td>
                             <td className="px-3 py-2 text-right">
                               {item.price ? `€${item.price.toFixed(2)}` : (
@@ -1114,7 +1420,7 @@ function PAC() {
                         <tr className="border-t-2 bg-gray-50 font-medium">
                           <td className="px-3 py-2">TOTALE</td>
                           <td className="px-3 py-2">{pendingPreview.totalPercentage}%</td>
-                          <td className="px-3 py-2 text-right">€{pendingPreview.totalAllocated.toFixed(2)}</td>
+                          <td className="px-3 py-2 text-right">{formatMoney(pendingPreview.totalAllocated, { currency: pendingPreview.currency })}</td>
                           <td className="px-3 py-2"></td>
                           <td className="px-3 py-2"></td>
                         </tr>
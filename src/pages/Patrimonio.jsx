@@ -3,11 +3,13 @@ import {
   AreaChart, Area, BarChart, Bar,
   XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell
 } from 'recharts';
-import { getTransactions, portfolioSnapshot } from '../services/localStorageService';
+import { getHoldingTransactions, portfolioSnapshot } from '../services/localStorageService';
 import { calculateCashFlow } from '../services/cashFlowService';
 import { classifyHolding } from '../services/classificationService';
 import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from '../services/historicalPriceService';
 import { fetchMultiplePrices, getNativeConversionFactor } from '../services/priceService';
+import { getSnapshotsByMonth } from '../services/monthlySnapshotService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import { format, parseISO, endOfMonth, isAfter } from 'date-fns';
 import { it } from 'date-fns/locale';
 
@@ -111,6 +113,9 @@ function EvolTooltip({ active, payload, label }) {
           <span style={{ color: 'var(--text-1)', fontWeight: 700 }}>{eur(p.value)}</span>
         </div>
       ))}
+      {payload[0]?.payload?.fromSnapshot && (
+        <p style={{ fontSize: '0.68rem', color: 'var(--text-3)', margin: '6px 0 0' }}>📋 Valore registrato nel vecchio foglio</p>
+      )}
     </div>
   );
 }
@@ -122,6 +127,7 @@ export default function Patrimonio() {
   const [monthlyMarketValues, setMonthlyMarketValues] = useState({});
   const [monthlyCategoryValues, setMonthlyCategoryValues] = useState({});
   const [monthlyTickerValues, setMonthlyTickerValues] = useState({});
+  const [snapshotMonths, setSnapshotMonths]           = useState(new Set()); // mesi da snapshot importati
   const [selectedYear, setSelectedYear]               = useState('all');
   const [activeMonthKey, setActiveMonthKey]           = useState(null);
   const [peakMode, setPeakMode]                       = useState('value'); // 'value' | 'performance'
@@ -138,10 +144,13 @@ export default function Patrimonio() {
   const tooltipPriceCache = useRef({});
 
   useEffect(() => {
-    const data = getTransactions();
+    const data = getHoldingTransactions();
     setTransactions(data);
   }, []);
 
+  // Nuovo array → ricalcola anche i valori mensili e gli snapshot
+  useSyncRefresh(() => setTransactions(getHoldingTransactions()));
+
   // ── Fetch historical prices + compute monthly values ────────────────────────
   useEffect(() => {
     if (!transactions.length) { setLoadingPrices(false); return; }
@@ -221,6 +230,30 @@ export default function Patrimonio() {
         tickerVals[monthKey] = tickerMap;
       });
 
+      // Snapshot importati (archivio del vecchio foglio): il valore registrato
+      // a fine mese prevale su quello ricostruito con i prezzi storici
+      const snapshots = Object.values(getSnapshotsByMonth()).filter(s => s.month <= currentMonthKey);
+      snapshots.forEach(snap => {
+        let total = 0;
+        const catMap = {};
+        const tickerMap = {};
+        snap.positions.filter(p => !p.isCash && p.value > 0).forEach(p => {
+          const cat = p.macroCategory || 'Altro';
+          const prev = tickerMap[p.ticker];
+          total += p.value;
+          catMap[cat] = (catMap[cat] || 0) + p.value;
+          tickerMap[p.ticker] = {
+            ticker: p.ticker, name: p.name, cat, price: p.price,
+            qty: (prev?.qty || 0) + p.quantity,
+            value: (prev?.value || 0) + p.value,
+          };
+        });
+        marketValues[snap.month] = total;
+        categoryVals[snap.month] = catMap;
+        tickerVals[snap.month] = tickerMap;
+      });
+      setSnapshotMonths(new Set(snapshots.map(s => s.month)));
+
       setMonthlyMarketValues(marketValues);
       setMonthlyCategoryValues(categoryVals);
       setMonthlyTickerValues(tickerVals);
@@ -252,7 +285,9 @@ export default function Patrimonio() {
       const isCash = tx.isCash || tx.macroCategory === 'Cash';
       const cat = tx.macroCategory || 'Altro';
 
-      if (isCash && tx.type === 'buy') {
+      if (tx.type === 'transfer') {
+        map[key].deposits += tx.transferDirection === 'out' ? -amount : amount;
+      } else if (isCash && tx.type === 'buy') {
         map[key].deposits += amount;
       } else if (!isCash) {
         if (tx.type === 'buy') {
@@ -281,9 +316,9 @@ export default function Patrimonio() {
     return monthlyFlows.map(m => {
       cumDeposits += m.deposits;
       const patrimonio = monthlyMarketValues[m.monthKey] ?? null;
-      return { month: fmtMonth(m.monthKey), monthKey: m.monthKey, patrimonio, versato: Math.round(cumDeposits) };
+      return { month: fmtMonth(m.monthKey), monthKey: m.monthKey, patrimonio, versato: Math.round(cumDeposits), fromSnapshot: snapshotMonths.has(m.monthKey) };
     }).filter(d => d.patrimonio != null || monthlyFlows.length < 3);
-  }, [monthlyFlows, monthlyMarketValues]);
+  }, [monthlyFlows, monthlyMarketValues, snapshotMonths]);
 
   // ── Chart data: distribution by asset class ────────────────────────────────
   const distribData = useMemo(() => {
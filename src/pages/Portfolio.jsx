@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Filter, RefreshCw, ArrowUpDown, Wallet } from 'lucide-react';
+import { Search, Filter, RefreshCw, ArrowUpDown, Wallet, ChevronDown, ChevronRight } from 'lucide-react';
 import { Blur } from '../context/PrivacyContext';
 import { calculatePortfolio, getTransactions, portfolioSnapshot } from '../services/localStorageService';
 import { fetchMultiplePrices } from '../services/priceService';
@@ -11,6 +11,7 @@ import AllocationBreakdown from '../components/AllocationBreakdown';
 import { classifyHolding } from '../services/classificationService';
 import { isCrypto } from '../services/coinGecko';
 import { calculateXIRR } from '../services/twrrService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 
 function Portfolio() {
   const [loading, setLoading] = useState(true);
@@ -28,6 +29,7 @@ function Portfolio() {
   const [sortOrder, setSortOrder] = useState('desc');
   const [twrr, setTwrr] = useState(null);
   const [realizedPL, setRealizedPL] = useState(0);
+  const [expandedKey, setExpandedKey] = useState(null); // holding con dettaglio lotti aperto
 
   // Get TER from the most recent transaction for a ticker (instead of cache)
   const getTERFromTransactions = (ticker) => {
@@ -69,6 +71,8 @@ function Portfolio() {
     loadPortfolio();
   }, []);
 
+  useSyncRefresh(() => loadPortfolio());
+
   useEffect(() => {
     applyFiltersAndSort();
   }, [portfolio, searchTerm, filterCategory, sortBy, sortOrder]);
@@ -448,9 +452,22 @@ function Portfolio() {
                 <tbody>
                   {filteredPortfolio.map((holding, index) => {
                     const cls = classifyHolding(holding);
+                    const rowKey = holding.holdingKey || holding.ticker;
+                    const hasLots = holding.lots?.length > 0;
+                    const isExpanded = expandedKey === rowKey;
                     return (
-                    <tr key={index}>
-                      <td className="font-semibold"><Blur>{holding.ticker}</Blur></td>
+                    <React.Fragment key={index}>
+                    <tr>
+                      <td
+                        className={`font-semibold ${hasLots ? 'cursor-pointer' : ''}`}
+                        onClick={() => hasLots && setExpandedKey(isExpanded ? null : rowKey)}
+                        title={hasLots ? 'Mostra i lotti' : undefined}
+                      >
+                        <span className="inline-flex items-center gap-1">
+                          {hasLots && (isExpanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />)}
+                          <Blur>{holding.ticker}</Blur>
+                        </span>
+                      </td>
                       <td className="text-gray-600 max-w-xs truncate"><Blur>{holding.name}</Blur></td>
                       <td>
                         <span style={{ display: 'inline-flex', alignItems: 'center', gap: 5, background: cls.macroColor + '1e', color: cls.macroColor, borderRadius: 6, padding: '2px 8px', fontSize: '0.72rem', fontWeight: 600 }}>
@@ -467,6 +484,11 @@ function Portfolio() {
                       <td className="text-right">{holding.quantity.toFixed(4)}</td>
                       <td className="text-right">
                         €{holding.avgPrice.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        {holding.currency && holding.currency !== 'EUR' && holding.totalCostNative > 0 && (
+                          <div className="text-xs text-gray-500">
+                            {(holding.totalCostNative / holding.quantity).toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} {holding.currency}
+                          </div>
+                        )}
                       </td>
                       <td className="text-right">
                         €{holding.currentPrice.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
@@ -476,6 +498,11 @@ function Portfolio() {
                       </td>
                       <td className={`text-right font-medium ${holding.unrealizedPL >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
                         {holding.unrealizedPL >= 0 ? '+' : ''}€{holding.unrealizedPL.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        {Math.abs(holding.unrealizedFxPL || 0) >= 0.01 && (
+                          <div className="text-xs text-gray-500 font-normal" title="Quota del P/L dovuta alla variazione del cambio dall'acquisto">
+                            di cui cambio {holding.unrealizedFxPL >= 0 ? '+' : ''}€{holding.unrealizedFxPL.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </div>
+                        )}
                       </td>
                       <td className={`text-right font-medium ${holding.roi >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
                         {holding.roi >= 0 ? '+' : ''}{holding.roi.toFixed(2)}%
@@ -521,6 +548,44 @@ function Portfolio() {
                         )}
                       </td>
                     </tr>
+                    {isExpanded && (
+                      <tr>
+                        <td colSpan={15} style={{ background: 'var(--surface-2, #f9fafb)', padding: '8px 16px' }}>
+                          <table className="w-full text-xs">
+                            <thead>
+                              <tr className="text-gray-500">
+                                <th className="text-left">Lotto del</th>
+                                <th className="text-right">Quantità</th>
+                                <th className="text-right">Costo unitario</th>
+                                <th className="text-right">Costo</th>
+                                <th className="text-right">Valore</th>
+                                <th className="text-right">P/L non realizzato</th>
+                                <th className="text-right">Detenzione</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {holding.lots.map(lot => {
+                                const lotPL = holding.currentPrice * lot.quantity - lot.cost;
+                                return (
+                                  <tr key={lot.lotId}>
+                                    <td>{new Date(lot.date).toLocaleDateString('it-IT')}</td>
+                                    <td className="text-right">{lot.quantity.toFixed(4)}</td>
+                                    <td className="text-right">€{lot.unitCost.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}</td>
+                                    <td className="text-right"><Blur>€{lot.cost.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</Blur></td>
+                                    <td className="text-right"><Blur>€{(holding.currentPrice * lot.quantity).toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</Blur></td>
+                                    <td className={`text-right font-medium ${lotPL >= 0 ? 'text-success-600' : 'text-danger-600'}`}>
+                                      {lotPL >= 0 ? '+' : ''}€{lotPL.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                    </td>
+                                    <td className="text-right">{lot.holdingDays} gg</td>
+                                  </tr>
+                                );
+                              })}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                    </React.Fragment>
                     );
                   })}
                 </tbody>
@@ -7,14 +7,31 @@ import {
   Globe, DollarSign, BarChart2, TrendingUp, AlertCircle,
   RefreshCw, ChevronDown, ChevronUp, Info, Layers, Zap, List,
   Target, CheckCircle2, ChevronRight, Receipt, TrendingDown,
-  Wallet, PiggyBank, ExternalLink, GitMerge, Activity, X, History,
+  Wallet, PiggyBank, ExternalLink, GitMerge, Activity, X, History, ScanSearch,
 } from 'lucide-react';
 import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from '../services/historicalPriceService';
-import { calculatePortfolio, getTransactions } from '../services/localStorageService';
+import {
+  CORRELATION_WINDOWS,
+  DEFAULT_CORRELATION_WINDOW,
+  MIN_OVERLAP_MONTHS,
+  ROLLING_WINDOW_MONTHS,
+  returnCorrelation,
+  rollingCorrelation,
+  fetchReturnSeries,
+} from '../services/correlationService';
+import {
+  DATA_QUALITY,
+  CONCENTRATION_THRESHOLDS,
+  buildLookThrough,
+  fetchLiveHoldings,
+} from '../services/lookThroughService';
+import { formatFromEUR } from '../services/currencyService';
+import { calculatePortfolio, getHoldingTransactions } from '../services/localStorageService';
 import { getCachedPrices } from '../services/priceCache';
 import { fetchMultiplePrices } from '../services/priceService';
 import { classifyHolding } from '../services/classificationService';
 import { reportTickers } from '../services/tickerReportService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import {
   aggregatePortfolioComposition,
   aggregateTopHoldings,
@@ -1700,6 +1717,208 @@ function OverlapTab({ holdingsWithValues }) {
   );
 }
 
+// ── Look-through (esposizione per singola società) ───────────────────────────
+
+function QualityBadge({ quality }) {
+  const q = DATA_QUALITY[quality];
+  if (!q) return null;
+  return (
+    <span style={{
+      padding: '1px 6px', borderRadius: 5, fontSize: '0.6rem', fontWeight: 600,
+      background: `${q.color}1A`, border: `1px solid ${q.color}55`, color: q.color, whiteSpace: 'nowrap',
+    }}>
+      {q.label}
+    </span>
+  );
+}
+
+function LookThroughTab({ holdingsWithValues }) {
+  const [liveHoldings, setLiveHoldings] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [expanded, setExpanded] = useState(null); // exposure key
+
+  const tickersKey = holdingsWithValues.filter(h => !h.isCash).map(h => h.ticker).join('|');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchLiveHoldings(holdingsWithValues)
+      .then(data => { if (!cancelled) setLiveHoldings(data); })
+      .catch(e => console.warn('Look-through holdings fetch', e))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [tickersKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const { exposures, funds, totalValue, qualityValue, top10Pct, warnings } = useMemo(
+    () => buildLookThrough(holdingsWithValues, liveHoldings),
+    [holdingsWithValues, liveHoldings]
+  );
+
+  if (exposures.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', color: 'var(--analysis-dim)', padding: '3rem', fontSize: '0.85rem' }}>
+        {loading ? 'Caricamento composizione ETF…' : 'Nessun ETF azionario o azione diretta da scomporre.'}
+      </div>
+    );
+  }
+
+  const pctOf = v => totalValue > 0 ? (v / totalValue) * 100 : 0;
+  const staticFunds = funds.filter(f => f.quality === 'static');
+  const missingFunds = funds.filter(f => !f.quality);
+  const visible = showAll ? exposures : exposures.slice(0, 25);
+  const maxValue = exposures[0]?.value || 1;
+
+  const qualityBar = [
+    { key: 'live',    label: 'JustETF',          color: DATA_QUALITY.live.color,   value: qualityValue.live },
+    { key: 'static',  label: 'Profilo statico',  color: DATA_QUALITY.static.color, value: qualityValue.static },
+    { key: 'direct',  label: 'Azioni dirette',   color: DATA_QUALITY.direct.color, value: qualityValue.direct },
+    { key: 'none',    label: 'Non scomposto',    color: 'var(--analysis-faint)',   value: qualityValue.none },
+    { key: 'skipped', label: 'Non azionario',    color: 'var(--analysis-subtle-brd)', value: qualityValue.skipped },
+  ].filter(q => q.value > 0);
+
+  return (
+    <div>
+      {/* KPI row */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 10, marginBottom: 20 }}>
+        <div style={{ padding: '14px 16px', borderRadius: 12, background: 'var(--analysis-subtle-bg)', border: '1px solid var(--analysis-subtle-brd)' }}>
+          <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 4 }}>Società</div>
+          <div style={{ fontSize: '1.4rem', fontWeight: 700, color: 'var(--text-1)' }}>{exposures.length}</div>
+          <div style={{ fontSize: '0.68rem', color: 'var(--analysis-faint)', marginTop: 2 }}>da {funds.length} ETF e {qualityValue.direct > 0 ? 'azioni dirette' : 'nessuna azione diretta'}</div>
+        </div>
+        <div style={{ padding: '14px 16px', borderRadius: 12, background: 'var(--analysis-subtle-bg)', border: '1px solid var(--analysis-subtle-brd)' }}>
+          <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 4 }}>Prime 10 società</div>
+          <div style={{ fontSize: '1.4rem', fontWeight: 700, color: top10Pct >= CONCENTRATION_THRESHOLDS.top10Warn ? '#FF9F0A' : 'var(--text-1)' }}>{top10Pct.toFixed(1)}%</div>
+          <div style={{ fontSize: '0.68rem', color: 'var(--analysis-faint)', marginTop: 2 }}>del portafoglio</div>
+        </div>
+        <div style={{ padding: '14px 16px', borderRadius: 12, background: 'var(--analysis-subtle-bg)', border: '1px solid var(--analysis-subtle-brd)' }}>
+          <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: 4 }}>Scomposto</div>
+          <div style={{ fontSize: '1.4rem', fontWeight: 700, color: 'var(--text-1)' }}>{pctOf(qualityValue.live + qualityValue.static + qualityValue.direct).toFixed(0)}%</div>
+          <div style={{ fontSize: '0.68rem', color: 'var(--analysis-faint)', marginTop: 2 }}>
+            {loading ? 'caricamento JustETF…' : `di cui ${pctOf(qualityValue.static).toFixed(0)}% da profili statici`}
+          </div>
+        </div>
+      </div>
+
+      {/* Concentration warnings */}
+      {warnings.length > 0 && (
+        <div style={{ marginBottom: 20 }}>
+          {warnings.map(w => (
+            <div key={w.key} style={{
+              padding: '10px 14px', borderRadius: 10, marginBottom: 8,
+              background: w.level === 'alert' ? 'rgba(255,69,58,0.08)' : 'rgba(255,159,10,0.08)',
+              border: `1px solid ${w.level === 'alert' ? 'rgba(255,69,58,0.3)' : 'rgba(255,159,10,0.3)'}`,
+              display: 'flex', alignItems: 'center', gap: 10, fontSize: '0.8rem',
+            }}>
+              <AlertCircle size={14} color={w.level === 'alert' ? '#FF453A' : '#FF9F0A'} style={{ flexShrink: 0 }} />
+              <span>{w.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Data quality bar */}
+      <div style={{ marginBottom: 20 }}>
+        <div style={{ fontSize: '0.72rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 8 }}>
+          Qualità dei dati
+        </div>
+        <div style={{ display: 'flex', height: 8, borderRadius: 4, overflow: 'hidden', background: 'var(--analysis-subtle-brd)' }}>
+          {qualityBar.map(q => (
+            <div key={q.key} title={`${q.label}: ${pctOf(q.value).toFixed(1)}%`} style={{ width: `${pctOf(q.value)}%`, background: q.color }} />
+          ))}
+        </div>
+        <div style={{ marginTop: 6, fontSize: '0.65rem', color: 'var(--analysis-faint)', display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+          {qualityBar.map(q => (
+            <span key={q.key} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+              <span style={{ width: 8, height: 8, borderRadius: 2, background: q.color, display: 'inline-block' }} />
+              {q.label} {pctOf(q.value).toFixed(1)}%
+            </span>
+          ))}
+        </div>
+        {staticFunds.length > 0 && (
+          <div style={{ marginTop: 8, fontSize: '0.7rem', color: 'var(--analysis-dim)', display: 'flex', gap: 6, alignItems: 'flex-start' }}>
+            <Info size={12} style={{ flexShrink: 0, color: '#FF9F0A', marginTop: 1 }} />
+            <span>
+              {staticFunds.map(f => f.ticker.split('.')[0]).join(', ')}: holdings dai profili statici (solo i primi titoli, aggiornamento manuale).
+              Le esposizioni che ne derivano sono indicative e probabilmente sottostimate.
+            </span>
+          </div>
+        )}
+        {missingFunds.length > 0 && (
+          <div style={{ marginTop: 6, fontSize: '0.7rem', color: 'var(--analysis-dim)', display: 'flex', gap: 6, alignItems: 'flex-start' }}>
+            <Info size={12} style={{ flexShrink: 0, color: 'var(--analysis-faint)', marginTop: 1 }} />
+            <span>{missingFunds.map(f => f.ticker.split('.')[0]).join(', ')}: nessun elenco holdings disponibile (ISIN sconosciuto a JustETF).</span>
+          </div>
+        )}
+      </div>
+
+      {/* Exposure table */}
+      <div style={{ fontSize: '0.72rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 12 }}>
+        Esposizione per società
+      </div>
+      {visible.map((e, i) => (
+        <div key={e.key} style={{ marginBottom: 6 }}>
+          <div
+            onClick={() => setExpanded(expanded === e.key ? null : e.key)}
+            style={{
+              display: 'flex', alignItems: 'center', gap: 10, cursor: 'pointer',
+              padding: '8px 12px', borderRadius: 9,
+              background: 'var(--analysis-subtle-bg)', border: '1px solid var(--analysis-subtle-brd)',
+            }}
+          >
+            <div style={{
+              width: 20, height: 20, borderRadius: '50%', display: 'flex', alignItems: 'center', justifyContent: 'center',
+              background: 'rgba(10,132,255,0.12)', fontSize: '0.6rem', fontWeight: 700, color: '#0A84FF', flexShrink: 0,
+            }}>{i + 1}</div>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <span style={{ fontSize: '0.8rem', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{e.name}</span>
+                <QualityBadge quality={e.quality} />
+              </div>
+              <div style={{ height: 3, background: 'var(--analysis-subtle-brd)', borderRadius: 2, overflow: 'hidden', marginTop: 5 }}>
+                <div style={{ height: '100%', width: `${(e.value / maxValue) * 100}%`, background: e.pct >= CONCENTRATION_THRESHOLDS.singleWarn ? '#FF9F0A' : '#0A84FF', borderRadius: 2 }} />
+              </div>
+            </div>
+            <div style={{ textAlign: 'right', flexShrink: 0 }}>
+              <div style={{ fontSize: '0.8rem', fontWeight: 700 }}><Blur>{formatFromEUR(e.value, { decimals: 0 })}</Blur></div>
+              <div style={{ fontSize: '0.65rem', color: 'var(--analysis-dim)' }}>{e.pct.toFixed(2)}% · {e.sources.length} {e.sources.length === 1 ? 'fonte' : 'fonti'}</div>
+            </div>
+            {expanded === e.key ? <ChevronUp size={13} color="var(--analysis-faint)" /> : <ChevronDown size={13} color="var(--analysis-faint)" />}
+          </div>
+          {expanded === e.key && (
+            <div style={{ padding: '6px 12px 4px 42px', fontSize: '0.72rem', color: 'var(--analysis-dim)' }}>
+              {e.sources.map(s => (
+                <div key={s.ticker} style={{ display: 'flex', justifyContent: 'space-between', gap: 8, padding: '2px 0' }}>
+                  <span>
+                    <Blur tag="span">{s.ticker}</Blur>
+                    {s.quality !== 'direct' && ` · ${s.pctOfFund.toFixed(2)}% dell'ETF`}
+                    {' '}<QualityBadge quality={s.quality} />
+                  </span>
+                  <span><Blur tag="span">{formatFromEUR(s.value, { decimals: 0 })}</Blur></span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      {exposures.length > 25 && (
+        <button onClick={() => setShowAll(v => !v)} style={{
+          width: '100%', marginTop: 6, padding: '7px 12px', borderRadius: 9,
+          background: 'var(--analysis-subtle-bg)', border: '1px solid var(--analysis-subtle-brd)',
+          color: 'var(--analysis-dim)', fontSize: '0.78rem', cursor: 'pointer',
+          display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6,
+        }}>
+          {showAll ? <><ChevronUp size={13} /> Comprimi</> : <><ChevronDown size={13} /> Tutte le {exposures.length} società</>}
+        </button>
+      )}
+      <div style={{ marginTop: 10, fontSize: '0.65rem', color: 'var(--analysis-faint)', textAlign: 'center' }}>
+        Valore = peso del titolo nell'ETF × valore della posizione, sommato su tutti gli ETF e le azioni dirette.
+        Holdings JustETF aggiornate ogni 7 giorni.
+      </div>
+    </div>
+  );
+}
+
 
 // ── Correlation Matrix ────────────────────────────────────────────────────────
 
@@ -1784,7 +2003,10 @@ function factorSimilarityScore(pA, pB) {
   return denom > 0 ? dot / denom : 0;
 }
 
-/** Estimate pairwise correlation from profiles — no historical data needed. */
+/**
+ * Estimate pairwise correlation from profiles — no historical data needed.
+ * Fallback for pairs with less than MIN_OVERLAP_MONTHS of common returns.
+ */
 function estimateCorrelation(holdingA, holdingB) {
   if (holdingA.ticker === holdingB.ticker) return 1.0;
   const pA = getRemoteProfile(holdingA.ticker);
@@ -1880,15 +2102,28 @@ function corrLabel(r) {
   return 'Molto negativa';
 }
 
-function buildCorrelationMatrix(holdingsWithValues) {
+/**
+ * NxN matrix from historical monthly returns over `windowMonths`;
+ * cells without enough history fall back to estimateCorrelation (estimated: true).
+ * returnSeries = null while the history is loading → all cells estimated.
+ */
+function buildCorrelationMatrix(holdingsWithValues, returnSeries, windowMonths) {
   const assets = holdingsWithValues
     .filter(h => !h.isCash && h.marketValue > 0)
     .map(h => ({ ticker: h.ticker, name: h.name || h.ticker, weight: h.weight }));
 
-  // NxN matrix
-  const matrix = assets.map((a, i) =>
-    assets.map((b, j) => i === j ? 1.0 : estimateCorrelation(a, b))
+  const cells = assets.map((a, i) =>
+    assets.map((b, j) => {
+      if (i === j) return { r: 1.0, estimated: false, n: null };
+      const hist = returnSeries
+        ? returnCorrelation(returnSeries[a.ticker] || {}, returnSeries[b.ticker] || {}, windowMonths)
+        : { r: null, n: 0 };
+      return hist.r !== null
+        ? { r: hist.r, estimated: false, n: hist.n }
+        : { r: estimateCorrelation(a, b), estimated: true, n: hist.n };
+    })
   );
+  const matrix = cells.map(row => row.map(c => c.r));
 
   // Weighted average pairwise correlation (diversification measure)
   let num = 0, den = 0;
@@ -1906,20 +2141,52 @@ function buildCorrelationMatrix(holdingsWithValues) {
   const pairs = [];
   for (let i = 0; i < assets.length; i++) {
     for (let j = i + 1; j < assets.length; j++) {
-      pairs.push({ a: assets[i], b: assets[j], r: matrix[i][j] });
+      pairs.push({ a: assets[i], b: assets[j], r: matrix[i][j], estimated: cells[i][j].estimated });
     }
   }
   pairs.sort((x, y) => y.r - x.r);
+  const estimatedCount = pairs.filter(p => p.estimated).length;
 
-  return { assets, matrix, pairs, avgCorr, divScore };
+  return { assets, matrix, cells, pairs, avgCorr, divScore, estimatedCount };
 }
 
 function CorrelationTab({ holdingsWithValues }) {
-  const { assets, matrix, pairs, divScore } = useMemo(
-    () => buildCorrelationMatrix(holdingsWithValues),
-    [holdingsWithValues]
+  const [windowKey, setWindowKey] = useState(DEFAULT_CORRELATION_WINDOW);
+  const [returnSeries, setReturnSeries] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [selectedPair, setSelectedPair] = useState(null); // [tickerA, tickerB]
+
+  const tickersKey = holdingsWithValues
+    .filter(h => !h.isCash && h.marketValue > 0)
+    .map(h => h.ticker)
+    .join('|');
+
+  useEffect(() => {
+    const tickers = tickersKey ? tickersKey.split('|') : [];
+    if (tickers.length < 2) return;
+    let cancelled = false;
+    setHistoryLoading(true);
+    fetchReturnSeries(tickers)
+      .then(series => { if (!cancelled) setReturnSeries(series); })
+      .catch(e => console.warn('Correlation history fetch', e))
+      .finally(() => { if (!cancelled) setHistoryLoading(false); });
+    return () => { cancelled = true; };
+  }, [tickersKey]);
+
+  const windowMonths = CORRELATION_WINDOWS[windowKey].months;
+  const { assets, matrix, cells, pairs, divScore, estimatedCount } = useMemo(
+    () => buildCorrelationMatrix(holdingsWithValues, returnSeries, windowMonths),
+    [holdingsWithValues, returnSeries, windowMonths]
   );
 
+  // Correlazione mobile della coppia selezionata (default: la più correlata)
+  const rollingPair = selectedPair ?? (pairs[0] ? [pairs[0].a.ticker, pairs[0].b.ticker] : null);
+  const rollingData = useMemo(() => {
+    if (!rollingPair || !returnSeries) return [];
+    return rollingCorrelation(returnSeries[rollingPair[0]] || {}, returnSeries[rollingPair[1]] || {})
+      .map(p => ({ ...p, r: Number(p.r.toFixed(3)) }));
+  }, [rollingPair?.[0], rollingPair?.[1], returnSeries]);
+
   if (assets.length < 2) {
     return (
       <div style={{ textAlign: 'center', color: 'var(--analysis-dim)', padding: '3rem', fontSize: '0.85rem' }}>
@@ -1961,7 +2228,7 @@ function CorrelationTab({ holdingsWithValues }) {
       {/* ── High-correlation alerts ─────────────────────────────────── */}
       {highCorrPairs.length > 0 && (
         <div style={{ marginBottom: 20 }}>
-          {highCorrPairs.slice(0, 3).map(({ a, b, r }, i) => (
+          {highCorrPairs.slice(0, 3).map(({ a, b, r, estimated }, i) => (
             <div key={i} style={{
               padding: '10px 14px', borderRadius: 10, marginBottom: 8,
               background: r >= 0.92 ? 'rgba(255,69,58,0.08)' : 'rgba(255,159,10,0.08)',
@@ -1974,7 +2241,7 @@ function CorrelationTab({ holdingsWithValues }) {
                 <span style={{ color: 'var(--analysis-dim)' }}> e </span>
                 <strong>{b.ticker.split('.')[0]}</strong>
                 <span style={{ color: 'var(--analysis-dim)' }}>
-                  {' '}— correlazione stimata{' '}
+                  {' '}— correlazione {estimated ? 'stimata' : `storica ${CORRELATION_WINDOWS[windowKey].label.toLowerCase()}`}{' '}
                   <strong style={{ color: corrText(r) }}>r = {r.toFixed(2)}</strong>
                   {' '}({corrLabel(r)}) · comportamento molto simile nel tempo
                 </span>
@@ -1986,8 +2253,24 @@ function CorrelationTab({ holdingsWithValues }) {
 
       {/* ── NxN Heatmap ────────────────────────────────────────────── */}
       <div style={{ marginBottom: 24 }}>
-        <div style={{ fontSize: '0.72rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 12 }}>
-          Matrice di correlazione stimata
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+          <div style={{ fontSize: '0.72rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.06em' }}>
+            Matrice di correlazione · rendimenti mensili
+            {historyLoading && <span style={{ marginLeft: 8, textTransform: 'none', fontWeight: 400 }}>caricamento storici…</span>}
+          </div>
+          <div style={{ display: 'flex', gap: 4 }}>
+            {Object.entries(CORRELATION_WINDOWS).map(([key, w]) => (
+              <button key={key} onClick={() => setWindowKey(key)} style={{
+                padding: '3px 10px', borderRadius: 6, fontSize: '0.72rem', fontWeight: 600,
+                border: windowKey === key ? '1px solid #0A84FF' : '1px solid var(--analysis-subtle-brd)',
+                background: windowKey === key ? 'rgba(10,132,255,0.15)' : 'transparent',
+                color: windowKey === key ? '#0A84FF' : 'var(--analysis-dim)',
+                cursor: 'pointer', transition: 'all 0.15s',
+              }}>
+                {w.label}
+              </button>
+            ))}
+          </div>
         </div>
         <div style={{ overflowX: 'auto' }}>
           <table style={{ borderCollapse: 'separate', borderSpacing: 3, fontSize: '0.72rem', minWidth: '100%' }}>
@@ -2017,16 +2300,28 @@ function CorrelationTab({ holdingsWithValues }) {
                       }}>1.00</td>
                     );
                     const r = matrix[i][j];
+                    const { estimated, n } = cells[i][j];
+                    const isSelected = rollingPair && (
+                      (rollingPair[0] === rowA.ticker && rollingPair[1] === colA.ticker) ||
+                      (rollingPair[0] === colA.ticker && rollingPair[1] === rowA.ticker)
+                    );
                     return (
                       <td key={j}
-                        title={`${rowA.ticker.split('.')[0]} × ${colA.ticker.split('.')[0]}: r = ${r.toFixed(2)} — ${corrLabel(r)}`}
+                        onClick={() => setSelectedPair([rowA.ticker, colA.ticker])}
+                        title={`${rowA.ticker.split('.')[0]} × ${colA.ticker.split('.')[0]}: r = ${r.toFixed(2)} — ${corrLabel(r)}` +
+                          (estimated
+                            ? ` · stimata da profili (${n} mesi di storico in comune, servono ${MIN_OVERLAP_MONTHS})`
+                            : ` · storica su ${n} mesi`)}
                         style={{
                           padding: '6px 8px', textAlign: 'center', borderRadius: 6,
                           background: corrBg(r), color: corrText(r),
-                          fontWeight: 700, cursor: 'default',
+                          fontWeight: 700, cursor: 'pointer',
+                          fontStyle: estimated ? 'italic' : 'normal',
+                          outline: isSelected ? '2px solid #0A84FF' : estimated ? '1px dashed var(--analysis-subtle-brd)' : 'none',
+                          outlineOffset: -1,
                         }}
                       >
-                        {r.toFixed(2)}
+                        {r.toFixed(2)}{estimated && '*'}
                       </td>
                     );
                   })}
@@ -2050,10 +2345,41 @@ function CorrelationTab({ holdingsWithValues }) {
               {l}
             </span>
           ))}
-          <span style={{ marginLeft: 'auto' }}>Hover per interpretazione</span>
+          <span>* stimata da profili: storico in comune &lt; {MIN_OVERLAP_MONTHS} mesi</span>
+          <span style={{ marginLeft: 'auto' }}>Hover per interpretazione · click per la correlazione mobile</span>
         </div>
       </div>
 
+      {/* ── Rolling correlation ─────────────────────────────────────── */}
+      {rollingPair && (
+        <div style={{ marginBottom: 24 }}>
+          <div style={{ fontSize: '0.72rem', fontWeight: 600, color: 'var(--analysis-dim)', textTransform: 'uppercase', letterSpacing: '0.06em', marginBottom: 12 }}>
+            Correlazione mobile {ROLLING_WINDOW_MONTHS} mesi · {rollingPair[0].split('.')[0]} × {rollingPair[1].split('.')[0]}
+          </div>
+          {rollingData.length === 0 ? (
+            <div style={{ fontSize: '0.75rem', color: 'var(--analysis-faint)', padding: '1rem 0' }}>
+              {historyLoading ? 'Caricamento storici…' : `Storico in comune insufficiente (servono almeno ${ROLLING_WINDOW_MONTHS} mesi).`}
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height={180}>
+              <AreaChart data={rollingData} margin={{ top: 4, right: 4, bottom: 0, left: 8 }}>
+                <defs>
+                  <linearGradient id="rollCorrFill" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%"  stopColor="#0A84FF" stopOpacity={0.22} />
+                    <stop offset="95%" stopColor="#0A84FF" stopOpacity={0.02} />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--analysis-subtle-brd)" vertical={false} />
+                <XAxis dataKey="month" tick={{ fontSize: 10, fill: 'var(--analysis-faint)' }} axisLine={false} tickLine={false} minTickGap={24} />
+                <YAxis domain={[-1, 1]} ticks={[-1, -0.5, 0, 0.5, 1]} tick={{ fontSize: 10, fill: 'var(--analysis-faint)' }} width={36} axisLine={false} tickLine={false} />
+                <Tooltip formatter={(value) => [`r = ${value.toFixed(2)} — ${corrLabel(value)}`, 'Correlazione']} />
+                <Area type="monotone" dataKey="r" stroke="#0A84FF" strokeWidth={2} fill="url(#rollCorrFill)" baseValue={0} />
+              </AreaChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+
       {/* ── Pair analysis panels ────────────────────────────────────── */}
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 16, marginBottom: 20 }}>
         {/* Most redundant */}
@@ -2107,10 +2433,11 @@ function CorrelationTab({ holdingsWithValues }) {
         <Info size={13} style={{ flexShrink: 0, color: '#0A84FF', marginTop: 1 }} />
         <div>
           <strong style={{ color: 'var(--text-1)' }}>Nota metodologica:</strong>
-          {' '}Correlazioni stimate da profili ETF (tipo asset, composizione geografica ponderata, fattori) — non da rendimenti storici.
-          Per la coppia azionaria globale + azionaria regionale si usa la sovrapposizione geografica (es. SWDA vs VUAA: entrambi ~65% USA → alta correlazione stimata).
-          Per correlazioni calibrate servirebbero serie storiche mensili di ≥3 anni.
-          Usa questo pannello come indicatore qualitativo, non per ottimizzazione quantitativa.
+          {' '}Correlazioni di Pearson sui rendimenti mensili in EUR degli ultimi {windowMonths} mesi
+          ({pairs.length - estimatedCount} coppie su {pairs.length} da dati storici).
+          Le coppie con meno di {MIN_OVERLAP_MONTHS} mesi in comune (*) sono stimate dai profili ETF — tipo asset, composizione geografica, fattori —
+          e vanno lette come indicazione qualitativa.
+          Le correlazioni cambiano nel tempo: nelle crisi tendono ad aumentare, come mostra la correlazione mobile.
         </div>
       </div>
     </div>
@@ -2594,7 +2921,7 @@ export default function PortfolioAnalysis() {
         .sort((a, b) => b.marketValue - a.marketValue);
 
       setAllHoldingsWithValues(withWeight);
-      setRawTransactions(getTransactions());
+      setRawTransactions(getHoldingTransactions());
       setPortfolioConfig(getPortfolioConfig());
       // composition/topHoldings/etfFactorProfiles/bondHoldings recomputed by
       // the holdingsWithValues effect below (handles both filter changes and refreshes)
@@ -2612,6 +2939,8 @@ export default function PortfolioAnalysis() {
     loadData();
   }, []);
 
+  useSyncRefresh(() => loadData());
+
   // Recompute composition / topHoldings / etfFactorProfiles / bondHoldings
   // whenever the filtered holdings change (portfolio selector or price refresh)
   useEffect(() => {
@@ -2696,7 +3025,7 @@ export default function PortfolioAnalysis() {
     const totalTerCost = rows.reduce((s, r) => s + (r.annualCost ?? 0), 0);
 
     // Broker commissions from real transactions
-    const allTx = getTransactions().filter(t => t.ticker !== 'CASH' && (t.type === 'buy' || t.type === 'sell'));
+    const allTx = getHoldingTransactions().filter(t => t.ticker !== 'CASH' && (t.type === 'buy' || t.type === 'sell'));
     const now = new Date();
     const oneYearAgo = new Date(now);
     oneYearAgo.setFullYear(now.getFullYear() - 1);
@@ -2751,6 +3080,7 @@ export default function PortfolioAnalysis() {
     (composition?.factors && (composition.factorCoveragePct ?? 0) > 5)
                                     ? { key: 'fattori',    label: 'Fattori',    icon: Zap }         : null,
     holdingsWithValues.length > 0   ? { key: 'underlying',      label: 'Holdings',       icon: List }      : null,
+    holdingsWithValues.length > 0   ? { key: 'lookthrough',     label: 'Look-through',    icon: ScanSearch } : null,
     holdingsWithValues.length > 1   ? { key: 'sovrapposizioni', label: 'Sovrapposizioni', icon: GitMerge }  : null,
     holdingsWithValues.length > 1   ? { key: 'correlazione',    label: 'Correlazione',    icon: Activity }   : null,
     { key: 'posizioni', label: 'Posizioni', icon: TrendingUp },
@@ -3754,6 +4084,11 @@ export default function PortfolioAnalysis() {
               );
             })()}
 
+            {/* ── LOOK-THROUGH ─────────────────────────────────────── */}
+            {tab === 'lookthrough' && (
+              <LookThroughTab holdingsWithValues={holdingsWithValues} />
+            )}
+
             {/* ── SOVRAPPOSIZIONI ──────────────────────────────────── */}
             {tab === 'sovrapposizioni' && (
               <OverlapTab holdingsWithValues={holdingsWithValues} />
@@ -25,14 +25,15 @@ import {
   calcRebalancing,
   updateGlobalTarget,
 } from '../services/portfolioConfigService';
+import { formatFromEUR } from '../services/currencyService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
 const fmt = (n, dec = 0) =>
   new Intl.NumberFormat('it-IT', { minimumFractionDigits: dec, maximumFractionDigits: dec }).format(n ?? 0);
 
-const fmtEur = (n) =>
-  new Intl.NumberFormat('it-IT', { style: 'currency', currency: 'EUR', maximumFractionDigits: 0 }).format(n ?? 0);
+const fmtMoney = (n) => formatFromEUR(n ?? 0, { decimals: 0 });
 
 // ── Allocation bar: a single horizontal stacked bar ──────────────────────────
 
@@ -171,7 +172,7 @@ function PortfolioCard({ portfolio, holdings, prices, config, onEdit, onDelete }
         <div style={{ display: 'flex', gap: 16, marginBottom: 12 }}>
           <div>
             <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', marginBottom: 2 }}>Valore</div>
-            <div style={{ fontSize: '0.9rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtEur(totalValue)}</div>
+            <div style={{ fontSize: '0.9rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtMoney(totalValue)}</div>
           </div>
           <div>
             <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', marginBottom: 2 }}>ETF/Titoli</div>
@@ -305,7 +306,7 @@ function GlobalCard({ config, allHoldings, onEdit }) {
         <div style={{ display: 'flex', gap: 16, marginBottom: 12 }}>
           <div>
             <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', marginBottom: 2 }}>Portafoglio totale</div>
-            <div style={{ fontSize: '0.9rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtEur(totalValue)}</div>
+            <div style={{ fontSize: '0.9rem', fontWeight: 700, color: 'var(--text-1)' }}>{fmtMoney(totalValue)}</div>
           </div>
           <div>
             <div style={{ fontSize: '0.7rem', color: 'var(--text-3)', marginBottom: 2 }}>Soglia alert</div>
@@ -354,7 +355,7 @@ function GlobalCard({ config, allHoldings, onEdit }) {
                   <div key={a.key} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.75rem', marginBottom: 3 }}>
                     <span style={{ width: 8, height: 8, borderRadius: 2, background: a.color, flexShrink: 0 }} />
                     <span style={{ flex: 1, color: 'var(--text-2)' }}>{a.label}</span>
-                    <span style={{ fontWeight: 600, color: '#30d158' }}>+{fmtEur(a.amount)}</span>
+                    <span style={{ fontWeight: 600, color: '#30d158' }}>+{fmtMoney(a.amount)}</span>
                   </div>
                 ))}
               </div>
@@ -807,7 +808,7 @@ function AssignmentRow({ holding, portfolios, assignments, onAssign }) {
 
       {/* Value */}
       <div style={{ textAlign: 'right', flexShrink: 0, minWidth: 80 }}>
-        <div style={{ fontSize: '0.825rem', fontWeight: 600 }}>{fmtEur(holding.marketValue ?? 0)}</div>
+        <div style={{ fontSize: '0.825rem', fontWeight: 600 }}>{fmtMoney(holding.marketValue ?? 0)}</div>
         <div style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>
           {holding.quantity != null ? `×${fmt(holding.quantity, 3)}` : ''}
         </div>
@@ -864,6 +865,11 @@ export default function PortfolioManager() {
     loadHoldings();
   }, []);
 
+  useSyncRefresh(() => {
+    refreshConfig();
+    loadHoldings();
+  });
+
   async function loadHoldings() {
     setLoading(true);
     try {
@@ -1324,7 +1330,7 @@ export default function PortfolioManager() {
               }}>
                 <span>{filteredHoldings.length} titoli visualizzati</span>
                 <span>
-                  {fmtEur(filteredHoldings.reduce((s, h) => s + (h.marketValue ?? 0), 0))} totale
+                  {fmtMoney(filteredHoldings.reduce((s, h) => s + (h.marketValue ?? 0), 0))} totale
                 </span>
               </div>
             </div>
@@ -1,60 +1,17 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { TrendingUp, TrendingDown, DollarSign, Calendar, BarChart3, Activity, AlertCircle, Target, PieChart as PieChartIcon } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, Cell, ReferenceLine, AreaChart, Area } from 'recharts';
-import { getTransactions, portfolioSnapshot } from '../services/localStorageService';
+import { getHoldingTransactions, portfolioSnapshot } from '../services/localStorageService';
 import { getPortfolioConfig } from '../services/portfolioConfigService';
 import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable, clearHistoricalPriceCache } from '../services/historicalPriceService';
 import { fetchMultiplePrices, getNativeConversionFactor } from '../services/priceService';
+import { BASE_CURRENCIES, getBaseCurrency, getCurrencySymbol, formatFromEUR } from '../services/currencyService';
 import { calculateAllMetrics, calculateCAGR, calculateMaxDrawdown, calculateSharpeRatio, calculateVolatility, calculateBeta, calculateAlpha, calculateTrackingError, calculateInformationRatio, calculateCalmarRatio, calculateRSquared } from '../services/advancedMetricsService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
+import { BENCHMARK_TICKERS } from '../config/benchmarks';
 import { format, startOfMonth, endOfMonth, eachMonthOfInterval, parseISO, isAfter } from 'date-fns';
 import { it } from 'date-fns/locale';
 
-// Benchmark configuration - organized by currency
-const BENCHMARK_TICKERS = {
-  EUR: {
-    'MSCI World': {
-      ticker: 'SWDA.MI',
-      color: '#3b82f6',
-      description: 'Azionario Globale (MSCI World ETF in EUR)'
-    },
-    'S&P 500': {
-      ticker: 'CSPX.L',  // iShares Core S&P 500 UCITS ETF in EUR
-      color: '#10b981',
-      description: 'Azionario USA (S&P 500 ETF in EUR)'
-    },
-    '60/40 Portfolio': {
-      ticker: null,
-      color: '#8b5cf6',
-      description: '60% Azionario + 40% Obbligazionario (EUR)',
-      composition: {
-        equity: { ticker: 'SWDA.MI', weight: 0.6 },
-        bond: { ticker: 'VAGF.MI', weight: 0.4 }
-      }
-    }
-  },
-  USD: {
-    'MSCI World': {
-      ticker: 'URTH',  // iShares MSCI World ETF in USD
-      color: '#3b82f6',
-      description: 'Azionario Globale (MSCI World in USD)'
-    },
-    'S&P 500': {
-      ticker: '^GSPC',
-      color: '#10b981',
-      description: 'Azionario USA (S&P 500 Index in USD)'
-    },
-    '60/40 Portfolio': {
-      ticker: null,
-      color: '#8b5cf6',
-      description: '60% Azionario + 40% Obbligazionario (USD)',
-      composition: {
-        equity: { ticker: '^GSPC', weight: 0.6 },
-        bond: { ticker: 'BND', weight: 0.4 }
-      }
-    }
-  }
-};
-
 // Category colors for consistent visualization
 const CATEGORY_COLORS = {
   'ETF': '#3b82f6',
@@ -300,7 +257,7 @@ function PortfolioPerformance() {
   const [benchmarkData, setBenchmarkData] = useState({});
   const [benchmarkLoading, setBenchmarkLoading] = useState(false);
   const [normalizedChartData, setNormalizedChartData] = useState([]);
-  const [benchmarkCurrency, setBenchmarkCurrency] = useState('EUR'); // EUR or USD
+  const [benchmarkCurrency, setBenchmarkCurrency] = useState(() => (BENCHMARK_TICKERS[getBaseCurrency()] ? getBaseCurrency() : 'EUR'));
 
   // Contribution analysis state
   const [contributionData, setContributionData] = useState({
@@ -409,6 +366,11 @@ function PortfolioPerformance() {
     setPortfolioConfig(getPortfolioConfig());
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  useSyncRefresh(() => {
+    calculatePerformance();
+    setPortfolioConfig(getPortfolioConfig());
+  });
+
   // When date filter OR portfolio filter changes → recompute stats instantly (no network)
   useEffect(() => {
     if (!activeData.data.length) return;
@@ -431,7 +393,7 @@ function PortfolioPerformance() {
     setError(null);
 
     try {
-      const allTransactions = getTransactions();
+      const allTransactions = getHoldingTransactions();
       setTransactions(allTransactions);
 
       // Filter out cash transactions and any manually excluded from stats
@@ -831,7 +793,7 @@ function PortfolioPerformance() {
       const startDateStr = format(startDate, 'yyyy-MM-dd');
 
       // Get benchmarks for selected currency
-      const BENCHMARKS = BENCHMARK_TICKERS[currency];
+      const BENCHMARKS = BENCHMARK_TICKERS[currency] || BENCHMARK_TICKERS.EUR;
 
       // Get all benchmark tickers we need to fetch
       const tickersToFetch = new Set();
@@ -1449,9 +1411,7 @@ function PortfolioPerformance() {
     );
   }
 
-  const formatCurrency = (value) => {
-    return `€${value.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  };
+  const formatCurrency = (value) => formatFromEUR(value);
 
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -1573,19 +1533,19 @@ function PortfolioPerformance() {
           {[
             {
               label: 'Capitale Investito',
-              value: `€${Math.round(statistics.totalInvested).toLocaleString('it-IT')}`,
+              value: formatFromEUR(statistics.totalInvested, { decimals: 0 }),
               color: 'var(--text-1)',
               sub: 'Versamenti totali'
             },
             {
               label: 'Valore Attuale',
-              value: `€${Math.round(statistics.totalValue).toLocaleString('it-IT')}`,
+              value: formatFromEUR(statistics.totalValue, { decimals: 0 }),
               color: '#0A84FF',
               sub: 'Portafoglio ai prezzi correnti'
             },
             {
               label: statistics.totalReturn >= 0 ? 'Guadagno' : 'Perdita',
-              value: `${statistics.totalReturn >= 0 ? '+' : ''}€${Math.round(statistics.totalReturn).toLocaleString('it-IT')}`,
+              value: formatFromEUR(statistics.totalReturn, { decimals: 0, sign: true }),
               color: statistics.totalReturn >= 0 ? '#30D158' : '#FF453A',
               sub: `${statistics.totalReturnPercent >= 0 ? '+' : ''}${statistics.totalReturnPercent.toFixed(2)}% sul capitale`
             },
@@ -1705,7 +1665,7 @@ function PortfolioPerformance() {
                 )}
               </div>
               <p style={{ fontSize: '1.5rem', fontWeight: 700, color: 'var(--text-1)', margin: 0 }}>
-                €{Math.round(peakStats.peakValue).toLocaleString('it-IT')}
+                {formatFromEUR(peakStats.peakValue, { decimals: 0 })}
               </p>
               <p style={{ fontSize: '0.7rem', color: 'var(--text-3)', margin: '3px 0 8px' }}>
                 Raggiunto {peakStats.peakValueMonth || '—'}
@@ -1714,10 +1674,10 @@ function PortfolioPerformance() {
                 <div style={{ display: 'flex', alignItems: 'baseline', gap: 6, paddingTop: 8, borderTop: '1px solid var(--border)' }}>
                   <span style={{ fontSize: '0.7rem', color: 'var(--text-3)' }}>Attuale:</span>
                   <span style={{ fontSize: '0.9rem', fontWeight: 600, color: 'var(--text-1)' }}>
-                    €{Math.round(peakStats.currentValue).toLocaleString('it-IT')}
+                    {formatFromEUR(peakStats.currentValue, { decimals: 0 })}
                   </span>
                   <span style={{ fontSize: '0.78rem', fontWeight: 700, color: '#FF453A', marginLeft: 'auto' }}>
-                    {peakStats.valueGapPct.toFixed(2)}% (−€{Math.round(-peakStats.valueGapAbs).toLocaleString('it-IT')})
+                    {peakStats.valueGapPct.toFixed(2)}% ({formatFromEUR(peakStats.valueGapAbs, { decimals: 0 })})
                   </span>
                 </div>
               )}
@@ -1800,9 +1760,9 @@ function PortfolioPerformance() {
         {/* Benchmark normalized chart card */}
         <div style={{ background: 'var(--card-bg)', borderRadius: 16, padding: '20px 24px' }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 }}>
-            <h2 style={{ fontWeight: 600, color: 'var(--text-1)', fontSize: '1rem', margin: 0 }}>Confronto Benchmark (€)</h2>
+            <h2 style={{ fontWeight: 600, color: 'var(--text-1)', fontSize: '1rem', margin: 0 }}>Confronto Benchmark ({getCurrencySymbol()})</h2>
             <div style={{ display: 'flex', gap: 3, background: 'var(--surface-2)', padding: 3, borderRadius: 8 }}>
-              {['EUR', 'USD'].map(c => (
+              {Object.keys(BENCHMARK_TICKERS).map(c => (
                 <button
                   key={c}
                   onClick={() => setBenchmarkCurrency(c)}
@@ -1813,7 +1773,7 @@ function PortfolioPerformance() {
                     border: 'none', cursor: 'pointer'
                   }}
                 >
-                  {c === 'EUR' ? '🇪🇺 EUR' : '🇺🇸 USD'}
+                  {BASE_CURRENCIES[c].flag} {c}
                 </button>
               ))}
             </div>
@@ -1836,12 +1796,12 @@ function PortfolioPerformance() {
                   <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
                   <XAxis dataKey="month" tick={{ fontSize: 11, fill: 'var(--text-3)' }} angle={-30} textAnchor="end" height={60} />
                   <YAxis
-                    tickFormatter={(v) => v >= 1000 ? `€${(v/1000).toFixed(0)}k` : `€${v}`}
+                    tickFormatter={(v) => formatFromEUR(v, { decimals: 0, compact: true })}
                     tick={{ fontSize: 11, fill: 'var(--text-3)' }}
                     domain={['auto', 'auto']}
                   />
                   <Tooltip
-                    formatter={(value, name) => [`€${value.toLocaleString('it-IT')}`, name]}
+                    formatter={(value, name) => [formatFromEUR(value), name]}
                     contentStyle={{ background: 'var(--card-bg)', border: '1px solid var(--border)', color: 'var(--text-1)' }}
                   />
                   <Legend />
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { RefreshCcw, AlertTriangle, TrendingUp, TrendingDown, Calendar, DollarSign, Target, Bell, Percent, ShoppingCart, Layers, EyeOff, Eye, Info } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, PieChart, Pie } from 'recharts';
-import { calculatePortfolio, getTransactions } from '../services/localStorageService';
+import { calculatePortfolio, getHoldingTransactions } from '../services/localStorageService';
 import { fetchMultiplePrices } from '../services/priceService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 import { getMicroFromTicker } from '../config/assetTickerMapping';
+import RebalancePlanner from '../components/RebalancePlanner';
+import GlidePathSimulator from '../components/GlidePathSimulator';
 import { format, addMonths } from 'date-fns';
 import { it } from 'date-fns/locale';
 
@@ -29,6 +32,8 @@ function Rebalancing() {
     loadData();
   }, []);
 
+  useSyncRefresh(() => loadData());
+
   useEffect(() => {
     if (portfolio.length > 0 && strategy) {
       const budget = parseFloat(monthlyBudget) || parseFloat(strategy.monthlyInvestment) || 0;
@@ -88,7 +93,7 @@ function Rebalancing() {
       const deviations = calculateDeviation(updatedPortfolio, strategyData);
       setDeviation(deviations);
 
-      const transactions = getTransactions();
+      const transactions = getHoldingTransactions();
       const microDeviations = calculateMicroDeviation(updatedPortfolio, transactions, strategyData);
       setMicroDeviation(microDeviations);
 
@@ -726,6 +731,25 @@ function Rebalancing() {
         </div>
       )}
 
+      {/* Tax-aware Rebalancing Plan */}
+      {portfolio.length > 0 && (
+        <RebalancePlanner
+          portfolio={portfolio}
+          strategy={strategy}
+          contribution={parseFloat(monthlyBudget) || 0}
+          fractionalETF={fractionalETF}
+        />
+      )}
+
+      {/* Multi-month Glide Path with PAC */}
+      {portfolio.length > 0 && (
+        <GlidePathSimulator
+          portfolio={portfolio}
+          strategy={strategy}
+          fractionalETF={fractionalETF}
+        />
+      )}
+
       {/* 12-Month Whole Unit Calendar (NON-fractional only) */}
       {!fractionalETF && wholeUnitCalendar.length > 0 && (
         <div className="card border-2 border-orange-200 bg-gradient-to-r from-orange-50 to-yellow-50">
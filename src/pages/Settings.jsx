@@ -1,8 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Settings as SettingsIcon, Trash2, Database, Download, AlertCircle, RefreshCw } from 'lucide-react';
+import { Settings as SettingsIcon, Trash2, Database, Download, AlertCircle, RefreshCw, Cloud, CloudOff, LogOut } from 'lucide-react';
 import { getSettings, updateSettings, getStorageInfo, clearAllTransactions, exportTransactions, updateAllSubCategories } from '../services/localStorageService';
+import { getSyncStatus, subscribeSync, syncNow } from '../services/syncService';
+import { useAuth } from '../context/AuthContext';
 import { clearTERCache, getCachedTERs } from '../services/terCache';
 import { clearPriceCache } from '../services/priceCache';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from '../services/taxLotService';
+import { BASE_CURRENCIES, refreshBaseCurrencyRate } from '../services/currencyService';
+import { MARKET_DATA_MODES, getMarketDataMode, isMarketDataModeForced, getProviders } from '../services/marketDataService';
+import LegacySheetImport from '../components/LegacySheetImport';
 import { format } from 'date-fns';
 import Papa from 'papaparse';
 
@@ -12,10 +18,22 @@ function Settings() {
   const [showClearConfirm, setShowClearConfirm] = useState(false);
   const [updatingSubCategories, setUpdatingSubCategories] = useState(false);
 
+  // Cloud sync
+  const { currentUser, login, signup, logout } = useAuth();
+  const [syncStatus, setSyncStatus] = useState(getSyncStatus());
+  const [authForm, setAuthForm] = useState({ email: '', password: '' });
+  const [authError, setAuthError] = useState('');
+  const [authLoading, setAuthLoading] = useState(false);
+
   useEffect(() => {
     loadStorageInfo();
   }, []);
 
+  useEffect(() => subscribeSync((status) => {
+    setSyncStatus(status);
+    loadStorageInfo();
+  }), []);
+
   const loadStorageInfo = () => {
     const info = getStorageInfo();
     setStorageInfo(info);
@@ -25,6 +43,9 @@ function Settings() {
     const newSettings = { ...settings, [key]: value };
     setSettings(newSettings);
     updateSettings(newSettings);
+    if (key === 'currency') refreshBaseCurrencyRate();
+    // Prezzi in cache della modalità precedente: vanno riscaricati
+    if (key === 'marketDataMode') clearPriceCache();
   };
 
   const handleClearData = () => {
@@ -74,6 +95,63 @@ function Settings() {
     }
   };
 
+  const handleAuth = async (mode) => {
+    if (!authForm.email || !authForm.password) {
+      setAuthError('Inserisci email e password');
+      return;
+    }
+    try {
+      setAuthError('');
+      setAuthLoading(true);
+      if (mode === 'signup') {
+        await signup(authForm.email, authForm.password, authForm.email.split('@')[0]);
+      } else {
+        await login(authForm.email, authForm.password);
+      }
+      setAuthForm({ email: '', password: '' });
+    } catch (error) {
+      setAuthError(getAuthErrorMessage(error.code));
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const getAuthErrorMessage = (code) => {
+    switch (code) {
+      case 'auth/user-not-found':
+      case 'auth/invalid-credential':
+        return 'Credenziali non valide';
+      case 'auth/wrong-password':
+        return 'Password non corretta';
+      case 'auth/invalid-email':
+        return 'Email non valida';
+      case 'auth/email-already-in-use':
+        return 'Email già registrata';
+      case 'auth/weak-password':
+        return 'Password troppo debole (minimo 6 caratteri)';
+      case 'auth/network-request-failed':
+        return 'Connessione assente. Riprova quando sei online';
+      default:
+        return 'Errore di autenticazione. Riprova';
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      alert('❌ Errore durante il logout');
+    }
+  };
+
+  const SYNC_LABELS = {
+    disabled: { text: 'Non attiva', color: 'text-gray-500' },
+    idle:     { text: 'Sincronizzato', color: 'text-success-700' },
+    syncing:  { text: 'Sincronizzazione in corso...', color: 'text-primary-600' },
+    offline:  { text: 'Offline — le modifiche verranno inviate alla riconnessione', color: 'text-orange-700' },
+    error:    { text: 'Errore di sincronizzazione', color: 'text-danger-700' },
+  };
+
   const handleClearTERCache = () => {
     try {
       const cachedTERs = getCachedTERs();
@@ -127,17 +205,21 @@ function Settings() {
           {/* Currency */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Valuta Predefinita
+              Valuta Base
             </label>
             <select
-              value={settings.currency}
+              value={settings.currency || 'EUR'}
               onChange={(e) => handleSettingChange('currency', e.target.value)}
               className="select max-w-xs"
             >
-              <option value="EUR">EUR (€)</option>
-              <option value="USD">USD ($)</option>
-              <option value="GBP">GBP (£)</option>
+              {Object.entries(BASE_CURRENCIES).map(([code, c]) => (
+                <option key={code} value={code}>{code} ({c.symbol}) — {c.label}</option>
+              ))}
             </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Valori di portafoglio, benchmark, calcolatori e nuovi PAC vengono mostrati in questa valuta
+              al cambio corrente. I report fiscali restano in euro.
+            </p>
           </div>
 
           {/* Date Format */}
@@ -156,6 +238,49 @@ function Settings() {
             </select>
           </div>
 
+          {/* Cost Basis Method */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Metodo Costo di Carico
+            </label>
+            <select
+              value={settings.costBasisMethod || DEFAULT_COST_BASIS_METHOD}
+              onChange={(e) => handleSettingChange('costBasisMethod', e.target.value)}
+              className="select max-w-xs"
+            >
+              {Object.entries(COST_BASIS_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Determina quali lotti vengono scaricati nelle vendite (P/L realizzato e giorni di detenzione).
+              Il costo medio ponderato è il criterio fiscale italiano.
+            </p>
+          </div>
+
+          {/* Market Data */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Dati di Mercato
+            </label>
+            <select
+              value={getMarketDataMode()}
+              onChange={(e) => handleSettingChange('marketDataMode', e.target.value)}
+              disabled={isMarketDataModeForced()}
+              className="select max-w-xs"
+            >
+              {Object.entries(MARKET_DATA_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              {isMarketDataModeForced()
+                ? 'Modalità fixture impostata da VITE_MARKET_DATA: nessuna chiamata di rete.'
+                : 'La modalità fixture genera prezzi, storici e cambi simulati senza rete, per sviluppo e prove.'}
+              {' '}Fonti attive: {getProviders().map(p => p.label).join(' → ')}.
+            </p>
+          </div>
+
           {/* Auto Refresh */}
           <div className="flex items-center justify-between">
             <div>
@@ -182,6 +307,104 @@ function Settings() {
         </div>
       </div>
 
+      {/* Cloud Sync */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Cloud className="w-5 h-5" />
+          Sincronizzazione Cloud
+        </h2>
+
+        {currentUser ? (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-600 mb-1">Account</p>
+                <p className="text-sm font-medium text-gray-900 truncate">{currentUser.email}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-600 mb-1">Stato</p>
+                <p className={`text-sm font-medium ${SYNC_LABELS[syncStatus.state]?.color || 'text-gray-900'}`}>
+                  {SYNC_LABELS[syncStatus.state]?.text || syncStatus.state}
+                </p>
+                {syncStatus.error && (
+                  <p className="text-xs text-danger-700 mt-1">{syncStatus.error}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => syncNow()}
+                disabled={syncStatus.state === 'syncing'}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <RefreshCw className={`w-4 h-4 ${syncStatus.state === 'syncing' ? 'animate-spin' : ''}`} />
+                Sincronizza Ora
+              </button>
+              <button onClick={handleLogout} className="btn-secondary flex items-center gap-2">
+                <LogOut className="w-4 h-4" />
+                Esci
+              </button>
+            </div>
+
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+              <p className="text-sm text-blue-800">
+                <strong>💡 Nota:</strong> Transazioni, import, piani PAC, strategia e configurazione portafogli
+                vengono sincronizzati tra i tuoi dispositivi. Le modifiche fatte offline vengono inviate alla
+                riconnessione; in caso di conflitto vince la modifica più recente.
+              </p>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 flex items-center gap-2">
+              <CloudOff className="w-4 h-4" />
+              Accedi per sincronizzare i dati tra laptop e smartphone. Senza account i dati restano solo su questo browser.
+            </p>
+            {authError && (
+              <div className="bg-danger-50 border border-danger-200 rounded-lg p-3 text-sm text-danger-800">
+                {authError}
+              </div>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <input
+                type="email"
+                value={authForm.email}
+                onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
+                placeholder="email@esempio.com"
+                className="input"
+                autoComplete="email"
+              />
+              <input
+                type="password"
+                value={authForm.password}
+                onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+                placeholder="Password"
+                className="input"
+                autoComplete="current-password"
+              />
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() => handleAuth('login')}
+                disabled={authLoading}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Cloud className="w-4 h-4" />
+                {authLoading ? 'Attendere...' : 'Accedi'}
+              </button>
+              <button
+                onClick={() => handleAuth('signup')}
+                disabled={authLoading}
+                className="btn-secondary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Crea Account
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Storage Info */}
       <div className="card">
         <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
@@ -256,6 +479,9 @@ function Settings() {
         )}
       </div>
 
+      {/* Legacy Google Sheets migration */}
+      <LegacySheetImport />
+
       {/* Danger Zone */}
       <div className="card border-2 border-danger-200">
         <h2 className="text-lg font-semibold text-danger-700 mb-4 flex items-center gap-2">
@@ -326,7 +552,7 @@ function Settings() {
         <div className="space-y-2 text-sm text-gray-600">
           <p><strong>Nome:</strong> Investment Tracker</p>
           <p><strong>Versione:</strong> 3.0.0</p>
-          <p><strong>Tecnologie:</strong> React, Vite, TailwindCSS, LocalStorage</p>
+          <p><strong>Tecnologie:</strong> React, Vite, TailwindCSS, LocalStorage, Firebase</p>
           <p><strong>API:</strong> Yahoo Finance, CoinGecko</p>
         </div>
       </div>
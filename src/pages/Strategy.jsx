@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Target, TrendingUp, DollarSign, Calendar, AlertCircle, TrendingDown, Clock, Zap, Plus, X, Layers, Activity, Info, Tag } from 'lucide-react';
+import { Target, TrendingUp, DollarSign, Calendar, AlertCircle, TrendingDown, Clock, Zap, Plus, X, Layers, Activity, Info, Tag, Sparkles } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Line, ComposedChart, PieChart, Pie, Cell } from 'recharts';
 import {
   ASSET_CATEGORIES_DATA,
@@ -12,6 +12,9 @@ import {
   getRiskLevelDescription
 } from '../config/assetCategoriesData';
 import { getTickersForMicroCategory } from '../config/assetTickerMapping';
+import StrategyOptimizer from '../components/StrategyOptimizer';
+import { scheduleSync } from '../services/syncService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 
 const COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#06b6d4', '#84cc16', '#6366f1', '#14b8a6'];
 
@@ -33,6 +36,7 @@ function Strategy() {
   const [showAddMicro, setShowAddMicro] = useState(false);
   const [selectedMacro, setSelectedMacro] = useState('');
   const [selectedMicro, setSelectedMicro] = useState('');
+  const [showOptimizer, setShowOptimizer] = useState(false);
 
   // Portfolio metrics (auto-calculated)
   const [portfolioMetrics, setPortfolioMetrics] = useState({
@@ -118,6 +122,15 @@ function Strategy() {
     }));
   };
 
+  // Replace the whole MICRO allocation with the optimizer's proposal
+  const handleApplyOptimizedAllocation = (weights) => {
+    setStrategyData(prev => ({
+      ...prev,
+      microAllocation: weights,
+      assetAllocation: calculateMacroFromMicro(weights)
+    }));
+  };
+
   const totalMicroAllocation = Object.values(strategyData.microAllocation || {}).reduce((sum, val) => sum + val, 0);
   const isAllocationValid = Math.abs(totalMicroAllocation - 100) < 0.01;
 
@@ -300,10 +313,11 @@ function Strategy() {
     }
 
     localStorage.setItem('investment_strategy', JSON.stringify(strategyData));
+    scheduleSync();
     alert('Strategia salvata con successo!');
   };
 
-  useEffect(() => {
+  const loadStrategy = () => {
     const saved = localStorage.getItem('investment_strategy');
     if (saved) {
       const loadedData = JSON.parse(saved);
@@ -317,8 +331,14 @@ function Strategy() {
       delete loadedData.riskLevel;
       setStrategyData(loadedData);
     }
+  };
+
+  useEffect(() => {
+    loadStrategy();
   }, []);
 
+  useSyncRefresh(loadStrategy);
+
   useEffect(() => {
     const projection = calculateProjection();
     setProjectionData(projection);
@@ -495,13 +515,22 @@ function Strategy() {
               Seleziona le categorie e definisci le percentuali. Rendimento e rischio si calcolano automaticamente.
             </p>
           </div>
-          <button
-            onClick={() => setShowAddMicro(!showAddMicro)}
-            className="btn-primary flex items-center gap-2"
-          >
-            <Plus className="w-4 h-4" />
-            Aggiungi Categoria
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowOptimizer(!showOptimizer)}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <Sparkles className="w-4 h-4" />
+              Ottimizza
+            </button>
+            <button
+              onClick={() => setShowAddMicro(!showAddMicro)}
+              className="btn-primary flex items-center gap-2"
+            >
+              <Plus className="w-4 h-4" />
+              Aggiungi Categoria
+            </button>
+          </div>
         </div>
 
         <div className="space-y-4">
@@ -516,6 +545,14 @@ function Strategy() {
             </div>
           </div>
 
+          {/* Optimizer */}
+          {showOptimizer && (
+            <StrategyOptimizer
+              microAllocation={strategyData.microAllocation}
+              onApply={handleApplyOptimizedAllocation}
+            />
+          )}
+
           {/* Add MICRO Category Modal */}
           {showAddMicro && (
             <div className="bg-purple-50 border border-purple-200 rounded-lg p-4">
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit2, Trash2, Search, FileText, X, Calendar, DollarSign, Hash, Tag, FileDown, FileUp, Loader, Sparkles, AlertTriangle, CheckCircle2, Info, Eye, EyeOff, ChevronDown, ChevronUp } from 'lucide-react';
-import { getTransactions, addTransaction, updateTransaction, deleteTransaction, exportTransactions, bulkImportTransactions, clearAllTransactions, getImportBatches, deleteImportBatch } from '../services/localStorageService';
+import { Plus, Edit2, Trash2, Search, FileText, X, Calendar, DollarSign, Hash, Tag, FileDown, FileUp, Loader, Sparkles, AlertTriangle, CheckCircle2, Info, Eye, EyeOff, ChevronDown, ChevronUp, GitBranch } from 'lucide-react';
+import { getTransactions, getHoldingTransactions, getCostBasisMethod, addTransaction, updateTransaction, deleteTransaction, exportTransactions, bulkImportTransactions, clearAllTransactions, getImportBatches, deleteImportBatch, backfillTransactionFX } from '../services/localStorageService';
 import { searchSecurity, fetchMultiplePrices } from '../services/priceService';
 import { detectSubCategory } from '../services/categoryDetectionService';
 import { cacheTER, getTER } from '../services/terDetectionService';
@@ -11,8 +11,20 @@ import { isCrypto } from '../services/coinGecko';
 import { lookupISIN } from '../services/isinMapping';
 import { format } from 'date-fns';
 import Papa from 'papaparse';
-import { parseCSVFile, findDuplicates } from '../services/csvImportService';
+import { parseCSVFile, findDuplicates, saveCSVProfile } from '../services/csvImportService';
+import { parsePDFFile } from '../services/pdfImportService';
 import { reportTickers } from '../services/tickerReportService';
+import { TRANSACTION_TYPE_INFO, ASSET_LINKED_TYPES, isCashFlowType } from '../config/transactionTypes';
+import { getCorporateActions } from '../services/corporateActionService';
+import { getOpenLots } from '../services/taxLotService';
+import CorporateActionsModal from '../components/CorporateActionsModal';
+import CSVMappingWizard from '../components/CSVMappingWizard';
+import ImportPreviewEditor from '../components/ImportPreviewEditor';
+import ImportReconciliation from '../components/ImportReconciliation';
+import PACReconciliationPanel from '../components/PACReconciliationPanel';
+import { withPreviewIds, stripPreviewFields, reconcileImport } from '../services/importReviewService';
+import { matchPACExecutions, linkPACFills, applyPACReconciliation } from '../services/pacReconciliationService';
+import useSyncRefresh from '../hooks/useSyncRefresh';
 
 function Transactions() {
   const [transactions, setTransactions] = useState([]);
@@ -32,26 +44,39 @@ function Transactions() {
   const [importLoading, setImportLoading]         = useState(false);
   const [importFilename, setImportFilename]       = useState('');
   const [importPlatformLabel, setImportPlatformLabel] = useState(''); // user-editable platform label
+  const [mappingWizard, setMappingWizard]         = useState(null);   // null | { file, result } — formato sconosciuto
   const [dupInfo, setDupInfo]                     = useState(null);   // { duplicates, unique } — for display in preview
   const [dupStrategy, setDupStrategy]             = useState(null);   // null | { duplicates, unique, total } — for override modal
   const [unknownReported, setUnknownReported]     = useState(false);  // ticker sconosciuti segnalati?
+  const [importStep, setImportStep]               = useState('review'); // 'review' | 'reconcile'
+  const [brokerStatement, setBrokerStatement]     = useState({ positions: {}, cash: '' }); // valori dall'estratto conto
+  const [pacMatch, setPacMatch]                   = useState(null);   // null | { matches, missed, range } — stime PAC da sostituire
+  const [flagMissedPAC, setFlagMissedPAC]         = useState(true);   // segna le gambe PAC senza eseguito
   const [cashPrompt, setCashPrompt]               = useState(null);   // null | { total, batchId }
   const [showBatches, setShowBatches]             = useState(false);
   const [importBatches, setImportBatches]         = useState([]);
   const [excludedExpanded, setExcludedExpanded]   = useState(false);
+  const [showCorporateActions, setShowCorporateActions] = useState(false);
+  const [corporateActionsCount, setCorporateActionsCount] = useState(() => getCorporateActions().length);
 
   useEffect(() => {
     loadTransactions();
     loadBatches();
   }, []);
 
+  useSyncRefresh(() => {
+    loadTransactions();
+    loadBatches();
+    setCorporateActionsCount(getCorporateActions().length);
+  });
+
   useEffect(() => {
     applyFilters();
   }, [transactions, searchTerm, filterType, filterCategory, filterPlatform]);
 
   const PLATFORM_OPTIONS = [
-    'Manuale', 'Fineco', 'DeGiro', 'Trading 212', 'IBKR',
-    'Binance', 'Crypto.com', 'Coinbase', 'Altro',
+    'Manuale', 'Fineco', 'DeGiro', 'Trading 212', 'IBKR', 'Directa',
+    'Scalable Capital', 'Trade Republic', 'XTB', 'Binance', 'Crypto.com', 'Coinbase', 'Altro',
   ];
 
   function getEmptyForm() {
@@ -67,13 +92,36 @@ function Transactions() {
       commission: '',
       ter: '', // Total Expense Ratio (%)
       currency: 'EUR',
+      fxRate: '', // EUR per 1 unità di valuta (vuoto = cambio storico automatico)
       notes: '',
       type: 'buy',
       cashFlowType: 'income', // income (entrata) or expense (uscita) for Cash transactions
+      transferDirection: 'in', // in (giroconto in entrata) or out (in uscita) for transfers
+      lotSelections: [], // [{ lotId, quantity }] for specific-lot sells
       platform: 'Manuale',
     };
   }
 
+  // Switch operation type: cash-flow types (dividend, fee...) become Cash movements
+  const handleTypeChange = (type) => {
+    const wasFlow = isCashFlowType(formData.type);
+    if (isCashFlowType(type)) {
+      const linked = ASSET_LINKED_TYPES.includes(type);
+      setFormData(prev => ({
+        ...prev,
+        type,
+        macroCategory: 'Cash',
+        ticker: linked ? (prev.ticker === 'CASH' ? '' : prev.ticker) : 'CASH',
+      }));
+    } else {
+      setFormData(prev => ({
+        ...prev,
+        type,
+        ...(wasFlow ? { macroCategory: 'ETF', microCategory: '', ticker: '', name: '' } : {}),
+      }));
+    }
+  };
+
   // Update micro categories when macro category changes
   useEffect(() => {
     if (formData.macroCategory) {
@@ -230,9 +278,12 @@ function Transactions() {
       commission: transaction.commission || '',
       ter: transaction.ter || '',
       currency: transaction.currency || 'EUR',
+      fxRate: transaction.fxRate || '',
       notes: transaction.notes || '',
       type: transaction.type || 'buy',
       cashFlowType: transaction.cashFlowType || 'income',
+      transferDirection: transaction.transferDirection || 'in',
+      lotSelections: transaction.lotSelections || [],
       platform: transaction.platform || 'Manuale',
     });
     setShowModal(true);
@@ -267,7 +318,8 @@ function Transactions() {
     e.preventDefault();
 
     // For Cash, price and quantity are handled differently
-    const isCash = formData.macroCategory === 'Cash';
+    const isFlow = isCashFlowType(formData.type);
+    const isCash = isFlow || formData.macroCategory === 'Cash';
 
     if (!formData.ticker || !formData.date) {
       alert('Compila tutti i campi obbligatori');
@@ -308,7 +360,7 @@ function Transactions() {
 
       // Auto-detect sub-category in background (silently)
       let detectedSubCategory = null;
-      try {
+      if (!isFlow) try {
         detectedSubCategory = await detectSubCategory(formData.ticker, formData.category);
         if (detectedSubCategory) {
           console.log(`✓ Auto-detected sub-category for ${formData.ticker}: ${detectedSubCategory}`);
@@ -327,8 +379,42 @@ function Transactions() {
         ter: formData.ter ? parseFloat(formData.ter) : null, // Parse TER as number or null
         subCategory: detectedSubCategory || '', // Save detected sub-category silently
         // Mark as cash for special handling
-        isCash: isCash
+        isCash: isCash,
+        // Cambio storico: vuoto = scaricato in automatico alla data
+        fxRate: formData.currency !== 'EUR' && parseFloat(formData.fxRate) > 0 ? parseFloat(formData.fxRate) : null,
       };
+      if (editingTransaction && transactionData.fxRate === editingTransaction.fxRate &&
+          (formData.date !== editingTransaction.date || formData.currency !== editingTransaction.currency)) {
+        transactionData.fxRate = null;
+      }
+
+      if (formData.type !== 'sell' || !formData.lotSelections?.length) {
+        delete transactionData.lotSelections;
+      } else {
+        transactionData.lotSelections = formData.lotSelections
+          .map(s => ({ lotId: s.lotId, quantity: parseFloat(s.quantity) || 0 }))
+          .filter(s => s.quantity > 0);
+        const selected = transactionData.lotSelections.reduce((sum, s) => sum + s.quantity, 0);
+        if (selected > transactionData.quantity + 0.000001) {
+          alert('La quantità assegnata ai lotti supera la quantità venduta');
+          return;
+        }
+      }
+
+      if (isFlow) {
+        const info = TRANSACTION_TYPE_INFO[formData.type];
+        const ticker = formData.ticker.trim().toUpperCase() || 'CASH';
+        Object.assign(transactionData, {
+          ticker,
+          name: ticker === 'CASH' ? info.label : `${info.label} ${ticker}`,
+          macroCategory: 'Cash',
+          microCategory: info.microCategory,
+          quantity: Math.abs(transactionData.quantity),
+          ter: null,
+        });
+        if (formData.type !== 'transfer') delete transactionData.transferDirection;
+        delete transactionData.cashFlowType;
+      }
 
       // Cache TER for future auto-fill (synchronization across same ticker)
       if (formData.ter && formData.ticker) {
@@ -349,6 +435,7 @@ function Transactions() {
 
       setShowModal(false);
       loadTransactions();
+      backfillTransactionFX().then(n => { if (n > 0) loadTransactions(); });
     } catch (error) {
       alert('Errore nel salvare la transazione');
     }
@@ -383,16 +470,79 @@ function Transactions() {
     e.target.value = '';
 
     setImportLoading(true);
+    const isPDF = file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
     try {
-      const result = await parseCSVFile(file);
-      // Pre-compute duplicates so preview can show the summary immediately
-      const existing = getTransactions();
-      const { duplicates, unique } = findDuplicates(result.transactions, existing);
-      setDupInfo({ duplicates, unique });
-      setUnknownReported(false);
-      // Set editable platform label (user can override in preview)
-      setImportPlatformLabel(result.platformLabel);
-      setImportPreview(result);
+      const result = isPDF ? await parsePDFFile(file) : await parseCSVFile(file);
+      // Formato sconosciuto: prima il wizard di mappatura colonne
+      if (!isPDF && result.platform === 'unknown') {
+        setMappingWizard({ file, result });
+        return;
+      }
+      openImportPreview(result);
+    } catch (err) {
+      alert(`Errore nel leggere il file ${isPDF ? 'PDF' : 'CSV'}: ` + err.message);
+    } finally {
+      setImportLoading(false);
+    }
+  };
+
+  // Duplicati e abbinamento alle esecuzioni PAC stimate. Le stime abbinate
+  // non contano come duplicati: l'eseguito reale le sostituisce.
+  const checkPreviewRows = (rows, platformLabel = importPlatformLabel) => {
+    const existing = getTransactions();
+    const platforms = platformLabel ? [platformLabel] : rows.map(tx => tx.platform);
+    const match = matchPACExecutions(rows, existing, { platforms });
+    const replaced = new Set(match.matches.map(m => m.leg.id));
+    const { duplicates, unique } = findDuplicates(rows, existing.filter(tx => !replaced.has(tx.id)));
+    setDupInfo({ duplicates, unique });
+    setPacMatch(match);
+  };
+
+  const openImportPreview = (result) => {
+    const transactions = withPreviewIds(result.transactions);
+    // Set editable platform label (user can override in preview);
+    // the old Google Sheets tracker has one platform per row
+    const platformLabel = result.platform === 'legacy_sheet' ? '' : result.platformLabel;
+    // Pre-compute duplicates so preview can show the summary immediately
+    checkPreviewRows(transactions, platformLabel);
+    setFlagMissedPAC(true);
+    setUnknownReported(false);
+    setImportStep('review');
+    setBrokerStatement({ positions: {}, cash: '' });
+    setImportPlatformLabel(platformLabel);
+    setImportPreview({ ...result, transactions });
+  };
+
+  // Righe modificate nell'anteprima: ricalcola duplicati e ticker sconosciuti
+  const updatePreviewRows = (rows) => {
+    checkPreviewRows(rows);
+    setImportPreview(prev => ({
+      ...prev,
+      transactions: rows,
+      unknownTickers: (prev.unknownTickers || []).filter(u =>
+        rows.some(r => (r.ticker || '').toUpperCase() === (u.ticker || '').toUpperCase())),
+    }));
+  };
+
+  // Riconciliazione: transazioni già salvate del broker (rettificate per le
+  // operazioni societarie, senza le escluse) + righe che verranno importate
+  const reconciliation = (() => {
+    if (!importPreview || importStep !== 'reconcile') return null;
+    const incoming = dupInfo ? dupInfo.unique : importPreview.transactions;
+    const platforms = new Set(importPlatformLabel ? [importPlatformLabel] : incoming.map(tx => tx.platform));
+    const existing = getHoldingTransactions().filter(tx => !tx.excludeFromStats && platforms.has(tx.platform));
+    return reconcileImport(existing, incoming, brokerStatement);
+  })();
+
+  // Wizard confermato: (salva il profilo e) rileggi il file con la mappatura scelta
+  const handleMappingApply = async (profile, { save }) => {
+    const { file } = mappingWizard;
+    setImportLoading(true);
+    try {
+      const used = save ? saveCSVProfile(profile) : profile;
+      const result = await parseCSVFile(file, { profile: used });
+      setMappingWizard(null);
+      openImportPreview(result);
     } catch (err) {
       alert('Errore nel leggere il file CSV: ' + err.message);
     } finally {
@@ -446,15 +596,21 @@ function Transactions() {
   const doImport = (txList) => {
     if (!txList || txList.length === 0) { setImportPreview(null); setDupInfo(null); return; }
 
-    const { batchId } = bulkImportTransactions(txList, {
+    const { batchId } = bulkImportTransactions(linkPACFills(txList, pacMatch?.matches).map(stripPreviewFields), {
       platformLabel: importPreview.platformLabel,
       filename: importFilename,
       dateRange: importPreview.dateRange || '',
     });
+    const missedPAC = flagMissedPAC ? pacMatch?.missed || [] : [];
+    if (pacMatch?.matches.length > 0 || missedPAC.length > 0) {
+      applyPACReconciliation(batchId, missedPAC);
+    }
+    setPacMatch(null);
     loadTransactions();
     loadBatches();
     setImportPreview(null);
     setDupInfo(null);
+    backfillTransactionFX().then(n => { if (n > 0) loadTransactions(); });
 
     // Check if there are buy transactions that need cash reconciliation
     const buyTx = txList.filter(tx => tx.type === 'buy' && !tx.isCash);
@@ -503,6 +659,20 @@ function Transactions() {
     loadBatches();
   };
 
+  // Lotti aperti disponibili per una vendita con metodo "lotto specifico"
+  const sellLots = showModal && formData.type === 'sell' && formData.ticker && getCostBasisMethod() === 'specific'
+    ? getOpenLots(getHoldingTransactions().filter(tx => !tx.excludeFromStats), formData.ticker.toUpperCase(), {
+        date: formData.date,
+        excludeId: editingTransaction?.id,
+        method: 'specific',
+      })
+    : [];
+
+  const setLotSelection = (lotId, quantity) => {
+    const others = (formData.lotSelections || []).filter(s => s.lotId !== lotId);
+    setFormData({ ...formData, lotSelections: quantity === '' ? others : [...others, { lotId, quantity }] });
+  };
+
   const formatDate = (dateString) => {
     try {
       return format(new Date(dateString), 'dd/MM/yyyy');
@@ -524,8 +694,8 @@ function Transactions() {
             {importLoading
               ? <Loader className="w-4 h-4 animate-spin" />
               : <FileUp className="w-4 h-4" />}
-            <span className="hidden sm:inline">{importLoading ? 'Analisi...' : 'Importa CSV'}</span>
-            <input type="file" accept=".csv" onChange={handleImport} className="hidden" disabled={importLoading} />
+            <span className="hidden sm:inline">{importLoading ? 'Analisi...' : 'Importa CSV / PDF'}</span>
+            <input type="file" accept=".csv,.pdf" onChange={handleImport} className="hidden" disabled={importLoading} />
           </label>
           <button onClick={handleExport} className="btn-secondary flex items-center gap-2">
             <FileDown className="w-4 h-4" />
@@ -541,6 +711,16 @@ function Transactions() {
               <span className="text-xs bg-indigo-100 text-indigo-700 rounded-full px-1.5 py-0.5 font-semibold">{importBatches.length}</span>
             )}
           </button>
+          <button
+            onClick={() => setShowCorporateActions(true)}
+            className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-purple-600 border border-purple-200 hover:bg-purple-50 transition-colors"
+          >
+            <GitBranch className="w-4 h-4" />
+            <span className="hidden sm:inline">Operazioni societarie</span>
+            {corporateActionsCount > 0 && (
+              <span className="text-xs bg-purple-100 text-purple-700 rounded-full px-1.5 py-0.5 font-semibold">{corporateActionsCount}</span>
+            )}
+          </button>
           <button onClick={handleDeleteAll} className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium text-red-600 border border-red-200 hover:bg-red-50 transition-colors">
             <Trash2 className="w-4 h-4" />
             <span className="hidden sm:inline">Elimina tutto</span>
@@ -571,8 +751,9 @@ function Transactions() {
             className="select w-32 sm:w-36"
           >
             <option value="all">Tutti i tipi</option>
-            <option value="buy">Acquisto</option>
-            <option value="sell">Vendita</option>
+            {Object.entries(TRANSACTION_TYPE_INFO).map(([type, info]) => (
+              <option key={type} value={type}>{info.label}</option>
+            ))}
           </select>
           <select
             value={filterCategory}
@@ -648,10 +829,10 @@ function Transactions() {
                       <span style={{ color: '#888', minWidth: 75 }}>{tx.date}</span>
                       <span style={{
                         fontSize: '0.68rem', fontWeight: 700, padding: '1px 6px', borderRadius: 5,
-                        background: tx.type === 'buy' ? 'rgba(48,209,88,0.15)' : 'rgba(255,69,58,0.15)',
-                        color: tx.type === 'buy' ? '#30D158' : '#FF453A'
+                        background: `${TRANSACTION_TYPE_INFO[tx.type]?.color || '#FF453A'}26`,
+                        color: TRANSACTION_TYPE_INFO[tx.type]?.color || '#FF453A'
                       }}>
-                        {tx.type === 'buy' ? 'ACQUISTO' : 'VENDITA'}
+                        {(TRANSACTION_TYPE_INFO[tx.type]?.label || tx.type).toUpperCase()}
                       </span>
                       <span style={{ fontWeight: 600, color: 'var(--text-1, #fff)' }}>{tx.ticker}</span>
                       <span style={{ color: '#888' }}>{tx.name}</span>
@@ -719,8 +900,9 @@ function Transactions() {
                   <tr key={tx.id} style={tx.excludeFromStats ? { opacity: 0.45 } : {}}>
                     <td>{formatDate(tx.date)}</td>
                     <td>
-                      <span className={`badge ${tx.type === 'buy' ? 'badge-success' : 'badge-danger'}`}>
-                        {tx.type === 'buy' ? 'Acquisto' : 'Vendita'}
+                      <span className={`badge ${TRANSACTION_TYPE_INFO[tx.type]?.badge || 'badge-danger'}`}>
+                        {TRANSACTION_TYPE_INFO[tx.type]?.label || tx.type}
+                        {tx.type === 'transfer' && (tx.transferDirection === 'out' ? ' ↑' : ' ↓')}
                       </span>
                     </td>
                     <td className="font-semibold">
@@ -732,6 +914,13 @@ function Transactions() {
                           verticalAlign: 'middle'
                         }}>ESCLUSA</span>
                       )}
+                      {tx.pacStatus === 'not_executed' && (
+                        <span style={{
+                          marginLeft: 5, fontSize: '0.62rem', fontWeight: 700, padding: '1px 5px',
+                          borderRadius: 4, background: 'rgba(175,82,222,0.15)', color: '#AF52DE',
+                          verticalAlign: 'middle'
+                        }} title="Esecuzione PAC senza riscontro nel CSV del broker">PAC NON ESEGUITO</span>
+                      )}
                     </td>
                     <td className="text-gray-600 max-w-xs truncate">{tx.name || '-'}</td>
                     <td>
@@ -841,7 +1030,7 @@ function Transactions() {
                 <div className="grid grid-cols-2 gap-4">
                   <button
                     type="button"
-                    onClick={() => setFormData({ ...formData, type: 'buy' })}
+                    onClick={() => handleTypeChange('buy')}
                     className={`p-4 rounded-lg border-2 font-medium transition-all ${
                       formData.type === 'buy'
                         ? 'border-success-600 bg-success-50 text-success-700'
@@ -852,7 +1041,7 @@ function Transactions() {
                   </button>
                   <button
                     type="button"
-                    onClick={() => setFormData({ ...formData, type: 'sell' })}
+                    onClick={() => handleTypeChange('sell')}
                     className={`p-4 rounded-lg border-2 font-medium transition-all ${
                       formData.type === 'sell'
                         ? 'border-danger-600 bg-danger-50 text-danger-700'
@@ -862,10 +1051,59 @@ function Transactions() {
                     Vendita
                   </button>
                 </div>
+                <div className="grid grid-cols-5 gap-2 mt-2">
+                  {['dividend', 'interest', 'fee', 'tax_withheld', 'transfer'].map(type => (
+                    <button
+                      key={type}
+                      type="button"
+                      onClick={() => handleTypeChange(type)}
+                      className={`p-2 rounded-lg border-2 text-sm font-medium transition-all ${
+                        formData.type === type
+                          ? 'border-primary-600 bg-primary-50 text-primary-700'
+                          : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      {TRANSACTION_TYPE_INFO[type].label}
+                    </button>
+                  ))}
+                </div>
               </div>
 
+              {/* Transfer direction (only for transfers) */}
+              {formData.type === 'transfer' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Direzione *
+                  </label>
+                  <div className="grid grid-cols-2 gap-4">
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, transferDirection: 'in' })}
+                      className={`p-4 rounded-lg border-2 font-medium transition-all ${
+                        formData.transferDirection !== 'out'
+                          ? 'border-success-600 bg-success-50 text-success-700'
+                          : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      ⬇️ In entrata
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, transferDirection: 'out' })}
+                      className={`p-4 rounded-lg border-2 font-medium transition-all ${
+                        formData.transferDirection === 'out'
+                          ? 'border-danger-600 bg-danger-50 text-danger-700'
+                          : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      ⬆️ In uscita
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* Cash Flow Type (only for Cash) */}
-              {formData.macroCategory === 'Cash' && (
+              {formData.macroCategory === 'Cash' && !isCashFlowType(formData.type) && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Tipo Movimento *
@@ -902,13 +1140,15 @@ function Transactions() {
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     <Tag className="w-4 h-4 inline mr-1" />
-                    {formData.macroCategory === 'Cash' ? 'Descrizione *' : 'Ticker *'}
+                    {ASSET_LINKED_TYPES.includes(formData.type) ? 'Ticker del titolo *' : formData.macroCategory === 'Cash' ? 'Descrizione *' : 'Ticker *'}
                   </label>
                   <input
                     type="text"
                     value={formData.ticker}
-                    onChange={(e) => handleTickerChange(e.target.value)}
-                    placeholder={formData.macroCategory === 'Cash' ? 'es. Contante, Conto Corrente, Deposito...' : 'VWCE.DE'}
+                    onChange={(e) => isCashFlowType(formData.type)
+                      ? setFormData({ ...formData, ticker: e.target.value.toUpperCase() })
+                      : handleTickerChange(e.target.value)}
+                    placeholder={ASSET_LINKED_TYPES.includes(formData.type) ? 'VHYL.MI' : formData.macroCategory === 'Cash' ? 'es. Contante, Conto Corrente, Deposito...' : 'VWCE.DE'}
                     className="input"
                     required
                   />
@@ -923,11 +1163,16 @@ function Transactions() {
                       📋 Form auto-compilato dall'ultima transazione
                     </p>
                   )}
-                  {formData.macroCategory === 'Cash' && (
+                  {formData.macroCategory === 'Cash' && !isCashFlowType(formData.type) && (
                     <p className="text-xs text-gray-500 mt-1">
                       Esempio: "Conto Corrente Intesa", "Contante Portafoglio", "Deposito Vincolato"
                     </p>
                   )}
+                  {ASSET_LINKED_TYPES.includes(formData.type) && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Titolo che ha pagato il dividendo (importo lordo; la ritenuta va registrata a parte)
+                    </p>
+                  )}
                 </div>
                 {formData.macroCategory !== 'Cash' && (
                   <div>
@@ -961,6 +1206,8 @@ function Transactions() {
                 </div>
               )}
 
+              {/* MACRO / MICRO Category - fixed for cash-flow types */}
+              {!isCashFlowType(formData.type) && (<>
               {/* MACRO Category */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1001,6 +1248,7 @@ function Transactions() {
                   {formData.macroCategory && Object.keys(availableMicroCategories).length === 0 && 'Nessuna sottocategoria disponibile'}
                 </p>
               </div>
+              </>)}
 
               {/* Date */}
               <div>
@@ -1036,7 +1284,9 @@ function Transactions() {
                     required
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Importo totale in euro del contante
+                    {isCashFlowType(formData.type)
+                      ? `Importo in euro (${TRANSACTION_TYPE_INFO[formData.type].label.toLowerCase()})`
+                      : 'Importo totale in euro del contante'}
                   </p>
                 </div>
               ) : (
@@ -1076,6 +1326,39 @@ function Transactions() {
                 </div>
               )}
 
+              {/* Specific lot identification (sell only) */}
+              {sellLots.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Lotti da vendere
+                  </label>
+                  <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                    {sellLots.map(lot => (
+                      <div key={lot.lotId} className="flex items-center gap-3 px-3 py-2 text-sm">
+                        <span className="text-gray-500 w-24">{formatDate(lot.date)}</span>
+                        <span className="flex-1 text-gray-700">
+                          {lot.quantity.toLocaleString('it-IT', { maximumFractionDigits: 6 })} @ €{lot.unitCost.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}
+                          <span className="text-gray-400"> · {lot.holdingDays} gg</span>
+                        </span>
+                        <input
+                          type="number"
+                          step="any"
+                          min="0"
+                          max={lot.quantity}
+                          value={formData.lotSelections?.find(s => s.lotId === lot.lotId)?.quantity ?? ''}
+                          onChange={(e) => setLotSelection(lot.lotId, e.target.value)}
+                          placeholder="0"
+                          className="input w-28"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    La quantità non assegnata viene scaricata dai lotti più vecchi (FIFO)
+                  </p>
+                </div>
+              )}
+
               {/* Currency & Commission - No commission for Cash */}
               {formData.macroCategory === 'Cash' ? (
                 <div>
@@ -1128,6 +1411,27 @@ function Transactions() {
                 </div>
               )}
 
+              {/* Cambio storico - solo per titoli in valuta estera */}
+              {formData.macroCategory !== 'Cash' && !isCashFlowType(formData.type) && formData.currency !== 'EUR' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Cambio (€ per 1 {formData.currency})
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={formData.fxRate}
+                    onChange={(e) => setFormData({ ...formData, fxRate: e.target.value })}
+                    placeholder="Automatico"
+                    className="input"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Lascia vuoto per usare il cambio storico alla data dell'operazione
+                  </p>
+                </div>
+              )}
+
               {/* TER Field - Only show if NOT Cash */}
               {formData.macroCategory !== 'Cash' && (
                 <div>
@@ -1232,6 +1536,18 @@ function Transactions() {
           </div>
         </div>
       )}
+      {/* ── CSV COLUMN MAPPING WIZARD ──────────────────────────────────── */}
+      {mappingWizard && (
+        <CSVMappingWizard
+          headers={mappingWizard.result.headers}
+          sampleRows={mappingWizard.result.sampleRows}
+          filename={importFilename}
+          onApply={handleMappingApply}
+          onFallback={() => { openImportPreview(mappingWizard.result); setMappingWizard(null); }}
+          onCancel={() => setMappingWizard(null)}
+        />
+      )}
+
       {/* ── IMPORT PREVIEW MODAL ───────────────────────────────────────── */}
       {importPreview && (
         <div style={{
@@ -1240,7 +1556,7 @@ function Transactions() {
           zIndex: 1000, padding: '1rem',
         }}>
           <div style={{
-            background: 'var(--surface-1)', borderRadius: 16, width: '100%', maxWidth: 780,
+            background: 'var(--surface-1)', borderRadius: 16, width: '100%', maxWidth: 980,
             maxHeight: '90vh', display: 'flex', flexDirection: 'column',
             border: '1px solid var(--border)', overflow: 'hidden',
           }}>
@@ -1272,10 +1588,11 @@ function Transactions() {
               <span style={{ fontSize: '0.75rem', color: 'var(--text-2)', fontWeight: 600, whiteSpace: 'nowrap' }}>🏦 Piattaforma:</span>
               <select
                 value={importPlatformLabel}
-                onChange={e => setImportPlatformLabel(e.target.value)}
+                onChange={e => { setImportPlatformLabel(e.target.value); checkPreviewRows(importPreview.transactions, e.target.value); }}
                 style={{ flex: 1, fontSize: '0.78rem', fontWeight: 700, color: '#0A84FF', border: '1.5px solid #0A84FF', borderRadius: 7, padding: '4px 10px', background: 'var(--surface-1)', cursor: 'pointer' }}
               >
-                {['Fineco', 'DeGiro', 'Trading 212', 'IBKR', 'Binance', 'Crypto.com', 'Coinbase', 'Manuale', 'Formato generico (export app)', importPlatformLabel]
+                <option value="">Dal file (piattaforma di ogni riga)</option>
+                {['Fineco', 'DeGiro', 'Trading 212', 'IBKR', 'Directa', 'Scalable Capital', 'Trade Republic', 'XTB', 'Binance', 'Crypto.com', 'Coinbase', 'Manuale', 'Formato generico (export app)', importPlatformLabel]
                   .filter((v, i, a) => v && a.indexOf(v) === i)
                   .map(p => <option key={p} value={p}>{p}</option>)}
               </select>
@@ -1408,53 +1725,28 @@ function Transactions() {
                 </details>
               )}
 
-              {/* Preview table */}
-              {importPreview.transactions.length > 0 ? (
-                <div>
-                  <div style={{ fontSize: '0.75rem', fontWeight: 600, color: 'var(--text-2)', marginBottom: 8 }}>
-                    Anteprima prime {Math.min(8, importPreview.transactions.length)} righe:
-                  </div>
-                  <div style={{ overflowX: 'auto' }}>
-                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.72rem' }}>
-                      <thead>
-                        <tr style={{ borderBottom: '1.5px solid var(--border)' }}>
-                          {['Ticker', 'Nome', 'Data', 'Tipo', 'Prezzo', 'Quantità', 'Comm.', 'Categoria'].map(h => (
-                            <th key={h} style={{ padding: '5px 8px', textAlign: 'left', color: 'var(--text-3)', fontWeight: 700, whiteSpace: 'nowrap', textTransform: 'uppercase', letterSpacing: '0.04em', fontSize: '0.62rem' }}>{h}</th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {importPreview.transactions.slice(0, 8).map((tx, i) => (
-                          <tr key={i} style={{ borderBottom: '1px solid var(--border)', background: i % 2 === 0 ? 'transparent' : 'var(--surface-2)' }}>
-                            <td style={{ padding: '6px 8px', fontWeight: 700, color: tx.type === 'buy' ? '#30D158' : '#FF453A' }}>{tx.ticker}</td>
-                            <td style={{ padding: '6px 8px', color: 'var(--text-2)', maxWidth: 140, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{tx.name}</td>
-                            <td style={{ padding: '6px 8px', whiteSpace: 'nowrap' }}>{tx.date}</td>
-                            <td style={{ padding: '6px 8px' }}>
-                              <span style={{ padding: '2px 7px', borderRadius: 20, fontSize: '0.62rem', fontWeight: 700,
-                                background: tx.type === 'buy' ? 'rgba(48,209,88,0.12)' : 'rgba(255,69,58,0.12)',
-                                color: tx.type === 'buy' ? '#30D158' : '#FF453A' }}>
-                                {tx.type === 'buy' ? 'ACQ' : 'VND'}
-                              </span>
-                            </td>
-                            <td style={{ padding: '6px 8px', textAlign: 'right' }}>
-                              {tx.price > 0 ? `€${tx.price.toLocaleString('it-IT', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}` : <span style={{ color: '#FF9F0A' }}>—</span>}
-                            </td>
-                            <td style={{ padding: '6px 8px', textAlign: 'right' }}>{tx.quantity.toLocaleString('it-IT', { maximumFractionDigits: 6 })}</td>
-                            <td style={{ padding: '6px 8px', textAlign: 'right', color: 'var(--text-3)' }}>
-                              {tx.commission > 0 ? `€${tx.commission.toFixed(2)}` : '—'}
-                            </td>
-                            <td style={{ padding: '6px 8px', color: 'var(--text-3)' }}>{tx.macroCategory}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                    {importPreview.transactions.length > 8 && (
-                      <div style={{ textAlign: 'center', fontSize: '0.68rem', color: 'var(--text-3)', marginTop: 6 }}>
-                        ... e altre {importPreview.transactions.length - 8} transazioni
-                      </div>
-                    )}
-                  </div>
-                </div>
+              {/* Righe modificabili / riconciliazione */}
+              {importStep === 'reconcile' ? (
+                <ImportReconciliation
+                  result={reconciliation}
+                  statement={brokerStatement}
+                  onStatementChange={setBrokerStatement}
+                  platformLabel={importPlatformLabel}
+                />
+              ) : importPreview.transactions.length > 0 ? (
+                <>
+                  <PACReconciliationPanel
+                    result={pacMatch}
+                    flagMissed={flagMissedPAC}
+                    onFlagMissedChange={setFlagMissedPAC}
+                  />
+                  <ImportPreviewEditor
+                    rows={importPreview.transactions}
+                    onChange={updatePreviewRows}
+                    duplicateIds={new Set((dupInfo?.duplicates || []).map(d => d.previewId))}
+                    unknownTickers={importPreview.unknownTickers || []}
+                  />
+                </>
               ) : (
                 <div style={{ textAlign: 'center', padding: '24px', color: 'var(--text-3)', fontSize: '0.85rem' }}>
                   Nessuna transazione valida trovata nel file.
@@ -1473,6 +1765,14 @@ function Transactions() {
                   ↺ Gestisci {dupInfo.duplicates.length} duplicate
                 </button>
               )}
+              {importPreview.transactions.length > 0 && (
+                <button
+                  onClick={() => setImportStep(importStep === 'reconcile' ? 'review' : 'reconcile')}
+                  style={{ padding: '8px 14px', borderRadius: 8, border: '1px solid #0A84FF', background: 'rgba(10,132,255,0.06)', cursor: 'pointer', color: '#0A84FF', fontSize: '0.75rem', fontWeight: 600 }}
+                >
+                  {importStep === 'reconcile' ? '← Torna alle righe' : '⚖ Riconcilia con estratto conto'}
+                </button>
+              )}
               <div style={{ flex: 1 }} />
               <button onClick={() => { setImportPreview(null); setDupInfo(null); }} style={{
                 padding: '9px 20px', borderRadius: 8, border: '1px solid var(--border)',
@@ -1481,20 +1781,22 @@ function Transactions() {
               }}>Annulla</button>
               {(() => {
                 const n = dupInfo ? dupInfo.unique.length : importPreview.transactions.length;
+                const mismatch = reconciliation?.mismatches > 0;
+                const accent = mismatch ? '#FF9F0A' : '#30D158';
                 return (
                   <button
                     onClick={handlePreviewConfirm}
                     disabled={n === 0}
                     style={{
                       padding: '9px 24px', borderRadius: 8, border: 'none',
-                      background: n > 0 ? '#30D158' : 'var(--surface-3)',
+                      background: n > 0 ? accent : 'var(--surface-3)',
                       cursor: n > 0 ? 'pointer' : 'not-allowed',
                       color: n > 0 ? '#fff' : 'var(--text-3)',
                       fontSize: '0.82rem', fontWeight: 700,
-                      boxShadow: n > 0 ? '0 2px 12px rgba(48,209,88,0.4)' : 'none',
+                      boxShadow: n > 0 ? `0 2px 12px ${mismatch ? 'rgba(255,159,10,0.4)' : 'rgba(48,209,88,0.4)'}` : 'none',
                     }}
                   >
-                    ✓ Importa {n} transazioni
+                    {mismatch ? `⚠ Importa comunque ${n} transazioni` : `✓ Importa ${n} transazioni`}
                   </button>
                 );
               })()}
@@ -1556,6 +1858,15 @@ function Transactions() {
         </div>
       )}
 
+      {/* ── OPERAZIONI SOCIETARIE MODAL ────────────────────────────────────── */}
+      {showCorporateActions && (
+        <CorporateActionsModal
+          tickers={[...new Set(transactions.filter(tx => !tx.isCash && tx.ticker).map(tx => tx.ticker))].sort()}
+          onClose={() => setShowCorporateActions(false)}
+          onChange={() => setCorporateActionsCount(getCorporateActions().length)}
+        />
+      )}
+
       {/* ── CRONOLOGIA IMPORT MODAL ────────────────────────────────────────── */}
       {showBatches && (
         <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.65)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1010, padding: '1rem' }}>
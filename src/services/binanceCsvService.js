@@ -15,6 +15,8 @@
  *   INTERNAL     — trasferimenti interni Binance (si cancellano a coppie)
  */
 
+import { getQuotes } from './marketDataService';
+
 // ── Classificazione operazioni ────────────────────────────────────────────────
 
 const OP_CATEGORY = {
@@ -396,30 +398,29 @@ export function filterTransactions(txs, filter) {
 // ── Fetch prezzi CoinGecko ────────────────────────────────────────────────────
 
 /**
- * Scarica i prezzi attuali in EUR per una lista di coin da CoinGecko.
+ * Scarica i prezzi attuali in EUR per una lista di coin da CoinGecko
+ * (catena dei provider ristretta a CoinGecko: i simboli Yahoo delle crypto
+ * minori sono ambigui; in modalità fixture risponde il provider offline).
  * @param {string[]} coins
- * @returns {Promise<{ [coin]: number }>}
+ * @returns {Promise<{ [coin]: { price, change24h } }>}
  */
 export async function fetchPrices(coins) {
   const relevant = coins.filter(c => !FIAT_COINS.has(c) && COINGECKO_IDS[c]);
   if (relevant.length === 0) return {};
 
-  const ids = [...new Set(relevant.map(c => COINGECKO_IDS[c]))].join(',');
-  const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=eur&include_24hr_change=true`;
+  const symbols = [...new Set(relevant)].map(c => `${c}-EUR`);
+  const categories = Object.fromEntries(symbols.map(s => [s, 'Crypto']));
 
   try {
-    const res = await fetch(url, { signal: AbortSignal.timeout(10_000) });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
+    const quotes = await getQuotes(symbols, { categories, providers: ['coingecko'] });
 
     const prices = {};
     for (const coin of relevant) {
-      const id   = COINGECKO_IDS[coin];
-      const info = data[id];
-      if (info) {
+      const q = quotes[`${coin}-EUR`];
+      if (q) {
         prices[coin] = {
-          price:     info.eur,
-          change24h: info.eur_24h_change || 0,
+          price:     q.price,
+          change24h: q.previousClose > 0 ? (q.price / q.previousClose - 1) * 100 : 0,
         };
       }
     }
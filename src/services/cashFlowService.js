@@ -7,9 +7,21 @@
  * - Cash withdrawals (-)
  * - Asset purchases (-)
  * - Asset sales (+)
+ * - Dividends / interest received (+)
+ * - Fees / withholding taxes paid (-)
+ * - Transfers in (+) / out (-)
  */
 
 import { getTransactions } from './localStorageService';
+import { isCashFlowType, getSignedCashFlow, getTransactionTypeLabel } from '../config/transactionTypes';
+
+const MOVEMENT_TYPES = {
+  dividend: 'dividend',
+  interest: 'interest',
+  fee: 'fee',
+  tax_withheld: 'tax',
+  transfer: 'transfer',
+};
 
 /**
  * Calculate cash flow from all transactions
@@ -22,6 +34,12 @@ export function calculateCashFlow() {
   let cashWithdrawals = 0;   // Cash transactions (sell = withdrawal)
   let assetPurchases = 0;    // Non-cash buys (subtract from available cash)
   let assetSales = 0;        // Non-cash sells (add to available cash)
+  let dividendsReceived = 0; // Gross dividends
+  let interestReceived = 0;  // Interest on cash / securities lending
+  let feesPaid = 0;          // Fees not tied to an order (custody, stamp duty...)
+  let taxesWithheld = 0;     // Withholding taxes on dividends
+  let transfersIn = 0;       // Transfers from other accounts
+  let transfersOut = 0;      // Transfers to other accounts
 
   const cashAccounts = {};   // Track individual cash accounts
   const movements = [];      // Detailed movement history
@@ -38,7 +56,27 @@ export function calculateCashFlow() {
     const commission = tx.commission || 0;
     const totalCost = amount + commission;
 
-    if (isCash) {
+    if (isCashFlowType(tx.type)) {
+      // Income, costs and transfers: signed cash movement
+      const signed = getSignedCashFlow(tx);
+      const abs = Math.abs(signed);
+      if (tx.type === 'dividend') dividendsReceived += abs;
+      else if (tx.type === 'interest') interestReceived += abs;
+      else if (tx.type === 'fee') feesPaid += abs;
+      else if (tx.type === 'tax_withheld') taxesWithheld += abs;
+      else if (signed >= 0) transfersIn += abs;
+      else transfersOut += abs;
+
+      const hasAsset = tx.ticker && tx.ticker !== 'CASH';
+      movements.push({
+        date: tx.date,
+        type: MOVEMENT_TYPES[tx.type],
+        description: `${getTransactionTypeLabel(tx.type)}${hasAsset ? `: ${tx.ticker}` : ''}`,
+        amount: signed,
+        ticker: hasAsset ? tx.ticker : undefined,
+        balance: null
+      });
+    } else if (isCash) {
       // Cash transaction (deposit/withdrawal)
       if (tx.type === 'buy') {
         // Deposit
@@ -118,7 +156,9 @@ export function calculateCashFlow() {
   });
 
   // Calculate available cash
-  const availableCash = cashDeposits - cashWithdrawals - assetPurchases + assetSales;
+  const netIncome = dividendsReceived + interestReceived - feesPaid - taxesWithheld;
+  const netTransfers = transfersIn - transfersOut;
+  const availableCash = cashDeposits - cashWithdrawals - assetPurchases + assetSales + netIncome + netTransfers;
 
   // Sort movements by date and calculate running balance
   movements.sort((a, b) => new Date(a.date) - new Date(b.date));
@@ -133,12 +173,20 @@ export function calculateCashFlow() {
     cashWithdrawals,
     assetPurchases,
     assetSales,
+    dividendsReceived,
+    interestReceived,
+    feesPaid,
+    taxesWithheld,
+    transfersIn,
+    transfersOut,
+    netIncome,
+    netTransfers,
     availableCash,
     cashAccounts: Object.values(cashAccounts),
     movements,
     // Summary
-    totalInflows: cashDeposits + assetSales,
-    totalOutflows: cashWithdrawals + assetPurchases,
+    totalInflows: cashDeposits + assetSales + dividendsReceived + interestReceived + transfersIn,
+    totalOutflows: cashWithdrawals + assetPurchases + feesPaid + taxesWithheld + transfersOut,
     netCashFlow: availableCash
   };
 }
@@ -161,7 +209,9 @@ export function getAvailableCashAtDate(date) {
       const amount = tx.quantity * tx.price;
       const commission = tx.commission || 0;
 
-      if (isCash) {
+      if (isCashFlowType(tx.type)) {
+        cashBalance += getSignedCashFlow(tx);
+      } else if (isCash) {
         if (tx.type === 'buy') {
           cashBalance += amount;
         } else if (tx.type === 'sell') {
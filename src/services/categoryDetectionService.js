@@ -1,5 +1,7 @@
 import axios from 'axios';
 import ASSET_CLASSES from '../config/assetClasses';
+import { proxyUrl } from './priceApi';
+import { isFixtureMode } from './marketDataService';
 
 /**
  * Category Detection Service
@@ -11,19 +13,6 @@ import ASSET_CLASSES from '../config/assetClasses';
  * Uses pattern matching with 170+ tickers and free APIs when needed
  */
 
-// Try multiple CORS proxies for better reliability
-const CORS_PROXIES = [
-  'https://corsproxy.io/?',
-  'https://api.allorigins.win/raw?url=',
-  'https://cors-anywhere.herokuapp.com/'
-];
-
-let currentProxyIndex = 0;
-
-function getCorsProxy() {
-  return CORS_PROXIES[currentProxyIndex];
-}
-
 /**
  * Smart fallback: detect category from ticker name patterns
  */
@@ -113,19 +102,12 @@ async function detectETFSubCategory(ticker) {
   if (fallbackResult) {
     return fallbackResult;
   }
+  // Modalità fixture: niente rete
+  if (isFixtureMode()) return null;
 
   try {
-    // Try direct call first (no CORS proxy)
     const yahooURL = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${ticker}?modules=fundProfile,assetProfile,price`;
-
-    let response;
-    try {
-      response = await axios.get(yahooURL, { timeout: 10000 });
-    } catch (error) {
-      // If direct call fails, try with CORS proxy
-      console.log('Direct call failed, trying with CORS proxy...');
-      response = await axios.get(getCorsProxy() + encodeURIComponent(yahooURL), { timeout: 10000 });
-    }
+    const response = await axios.get(proxyUrl(yahooURL), { timeout: 10000 });
 
     if (response.data && response.data.quoteSummary && response.data.quoteSummary.result) {
       const result = response.data.quoteSummary.result[0];
@@ -310,6 +292,7 @@ async function detectCryptoSubCategory(symbol) {
     console.log(`✓ Matched crypto ${symbol} to ${cryptoPatterns[s]} via pattern`);
     return cryptoPatterns[s];
   }
+  if (isFixtureMode()) return null;
 
   try {
     // First search for the coin
@@ -400,9 +383,10 @@ async function detectCryptoSubCategory(symbol) {
  * Detect Stock sub-category from Yahoo Finance (market cap)
  */
 async function detectStockSubCategory(ticker) {
+  if (isFixtureMode()) return null;
   try {
     const yahooURL = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${ticker}?modules=price,summaryDetail`;
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), { timeout: 10000 });
+    const response = await axios.get(proxyUrl(yahooURL), { timeout: 10000 });
 
     if (response.data && response.data.quoteSummary && response.data.quoteSummary.result) {
       const result = response.data.quoteSummary.result[0];
@@ -437,9 +421,10 @@ async function detectStockSubCategory(ticker) {
  * Detect Bond sub-category from Yahoo Finance
  */
 async function detectBondSubCategory(ticker) {
+  if (isFixtureMode()) return null;
   try {
     const yahooURL = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${ticker}?modules=assetProfile,price`;
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), { timeout: 10000 });
+    const response = await axios.get(proxyUrl(yahooURL), { timeout: 10000 });
 
     if (response.data && response.data.quoteSummary && response.data.quoteSummary.result) {
       const result = response.data.quoteSummary.result[0];
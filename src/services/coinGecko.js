@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { proxyUrl } from './priceApi';
+import { isFixtureMode } from './marketDataService';
 
 const COINGECKO_API = 'https://api.coingecko.com/api/v3';
 
@@ -28,6 +30,31 @@ const CRYPTO_ID_MAP = {
   'BUSD': 'binance-usd'
 };
 
+// Altri coin (es. da export Binance): solo per risolvere l'ID CoinGecko, non
+// per isCrypto — alcuni simboli coincidono con ticker azionari (CRO, SAND…)
+const EXTRA_CRYPTO_IDS = {
+  'WBETH': 'wrapped-beacon-eth',
+  'SXT': 'space-and-time',
+  'GALA': 'gala',
+  'NEAR': 'near',
+  'FTM': 'fantom',
+  'SAND': 'the-sandbox',
+  'MANA': 'decentraland',
+  'CRO': 'crypto-com-chain',
+  'VET': 'vechain',
+  'EOS': 'eos',
+  'TRX': 'tron',
+  'AAVE': 'aave',
+  'COMP': 'compound-governance-token',
+  'MKR': 'maker',
+  'SNX': 'synthetix-network-token',
+  'RUNE': 'thorchain',
+  'FIL': 'filecoin',
+  'ICP': 'internet-computer',
+  'HBAR': 'hedera-hashgraph',
+  'THETA': 'theta-token'
+};
+
 /**
  * Convert crypto symbol to CoinGecko ID
  * @param {string} symbol - Crypto symbol (e.g., 'BTC', 'ETH')
@@ -35,7 +62,7 @@ const CRYPTO_ID_MAP = {
  */
 export const getCryptoId = (symbol) => {
   const upperSymbol = symbol.toUpperCase();
-  return CRYPTO_ID_MAP[upperSymbol] || symbol.toLowerCase();
+  return CRYPTO_ID_MAP[upperSymbol] || EXTRA_CRYPTO_IDS[upperSymbol] || symbol.toLowerCase();
 };
 
 /**
@@ -45,6 +72,7 @@ export const getCryptoId = (symbol) => {
  * @returns {Promise<Object>} Price data with current price, change, changePercent
  */
 export const fetchCryptoPrice = async (symbol, vsCurrency = 'eur') => {
+  if (isFixtureMode()) throw new Error('CoinGecko non disponibile in modalità fixture');
   try {
     const cryptoId = getCryptoId(symbol);
     const url = `${COINGECKO_API}/simple/price`;
@@ -92,6 +120,7 @@ export const fetchCryptoPrice = async (symbol, vsCurrency = 'eur') => {
  * @returns {Promise<Object>} Object mapping symbol to price data
  */
 export const fetchMultipleCryptoPrices = async (symbols, vsCurrency = 'eur') => {
+  if (isFixtureMode()) return {};
   try {
     const uniqueSymbols = [...new Set(symbols)];
 
@@ -152,6 +181,7 @@ export const fetchMultipleCryptoPrices = async (symbols, vsCurrency = 'eur') =>
  * @returns {Promise<Object>} Extended market data
  */
 export const fetchCryptoMarketData = async (symbol, vsCurrency = 'eur') => {
+  if (isFixtureMode()) throw new Error('CoinGecko non disponibile in modalità fixture');
   try {
     const cryptoId = getCryptoId(symbol);
     const url = `${COINGECKO_API}/coins/${cryptoId}`;
@@ -243,9 +273,11 @@ export const extractCryptoSymbol = (ticker) => {
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {string} vsCurrency - Fiat currency (default: 'eur')
- * @returns {Promise<Array>} Array of {date, price} objects
+ * @returns {Promise<Array>} Array of {date, price} objects ([] se CoinGecko non ha dati)
+ * @throws sugli errori di rete, così la catena di marketDataService li conta come guasti
  */
 export const fetchCryptoHistoricalPrices = async (symbol, startDate, endDate, vsCurrency = 'eur') => {
+  if (isFixtureMode()) return [];
   try {
     const baseSymbol = extractCryptoSymbol(symbol);
     const cryptoId = getCryptoId(baseSymbol);
@@ -257,10 +289,9 @@ export const fetchCryptoHistoricalPrices = async (symbol, startDate, endDate, vs
     const startTimestamp = Math.floor(new Date(startDate).getTime() / 1000);
     const endTimestamp = Math.floor(new Date(endDate).getTime() / 1000);
 
-    // Use CORS proxy for browser compatibility
+    // Passa da /api/price (cache lato server, host consentito)
     const coinGeckoUrl = `${COINGECKO_API}/coins/${cryptoId}/market_chart/range?vs_currency=${vsCurrency}&from=${startTimestamp}&to=${endTimestamp}`;
-    const corsProxy = 'https://corsproxy.io/?';
-    const url = corsProxy + encodeURIComponent(coinGeckoUrl);
+    const url = proxyUrl(coinGeckoUrl);
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 15000);
@@ -305,7 +336,7 @@ export const fetchCryptoHistoricalPrices = async (symbol, startDate, endDate, vs
 
   } catch (error) {
     console.error(`Error fetching historical crypto prices for ${symbol}:`, error.message);
-    return [];
+    throw error;
   }
 };
 
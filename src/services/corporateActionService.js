@@ -0,0 +1,311 @@
+/**
+ * Corporate Action Service
+ * Operazioni societarie che modificano quantità e costo di carico dei titoli
+ * senza movimentare liquidità:
+ *
+ *   split          → 1:4    ogni azione diventa 4 (quantità ×4, prezzo ÷4)
+ *   reverse_split  → 10:1   10 azioni diventano 1 (quantità ÷10, prezzo ×10)
+ *   rename         → fusione / cambio ticker: il vecchio titolo confluisce nel
+ *                    nuovo con rapporto di concambio ratioFrom:ratioTo
+ *   spin_off       → scorporo: per ogni ratioFrom azioni della madre si
+ *                    ricevono ratioTo azioni della società scorporata, a cui
+ *                    viene attribuita la quota costFraction del costo di carico
+ *
+ * Le transazioni salvate non vengono mai riscritte: applyCorporateActions()
+ * restituisce una copia rettificata da usare nei calcoli delle posizioni.
+ */
+
+import { recordTombstones, scheduleSync } from './syncService';
+import { getTransactionFXRate } from './fxService';
+
+const STORAGE_KEY = 'investment_tracker_corporate_actions';
+
+export const CORPORATE_ACTION_TYPES = {
+  split:         { label: 'Frazionamento (split)',      short: 'SPLIT' },
+  reverse_split: { label: 'Raggruppamento (reverse split)', short: 'R-SPLIT' },
+  rename:        { label: 'Fusione / cambio ticker',    short: 'RENAME' },
+  spin_off:      { label: 'Scorporo (spin-off)',        short: 'SPIN' },
+};
+
+// ============================================
+// CRUD OPERATIONS
+// ============================================
+
+const generateId = () => `ca-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Get all corporate actions
+ * @returns {Array} Array of corporate action objects
+ */
+export const getCorporateActions = () => {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error loading corporate actions:', error);
+    return [];
+  }
+};
+
+const saveCorporateActions = (actions) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(actions));
+  scheduleSync();
+};
+
+/**
+ * Validate a corporate action before saving
+ * @param {Object} action
+ * @returns {string|null} Messaggio d'errore oppure null se valida
+ */
+export const validateCorporateAction = (action) => {
+  if (!CORPORATE_ACTION_TYPES[action.type]) return 'Tipo di operazione non valido';
+  if (!action.ticker) return 'Indica il ticker del titolo';
+  if (!action.date) return 'Indica la data di efficacia';
+  const from = parseFloat(action.ratioFrom);
+  const to = parseFloat(action.ratioTo);
+  if (!(from > 0) || !(to > 0)) return 'Il rapporto deve essere composto da due numeri positivi';
+  if (action.type === 'split' && to <= from) return 'In uno split il secondo numero deve essere maggiore (es. 1:4)';
+  if (action.type === 'reverse_split' && to >= from) return 'In un reverse split il primo numero deve essere maggiore (es. 10:1)';
+  if (action.type === 'rename' || action.type === 'spin_off') {
+    if (!action.newTicker) return 'Indica il nuovo ticker';
+    if (action.newTicker.toUpperCase() === action.ticker.toUpperCase()) return 'Il nuovo ticker deve essere diverso da quello attuale';
+  }
+  if (action.type === 'spin_off') {
+    const f = parseFloat(action.costFraction);
+    if (!(f >= 0 && f < 1)) return 'La quota di costo attribuita allo scorporo deve essere tra 0% e 100%';
+  }
+  return null;
+};
+
+const normalizeAction = (action) => ({
+  ...action,
+  ticker: (action.ticker || '').trim().toUpperCase(),
+  newTicker: action.newTicker ? action.newTicker.trim().toUpperCase() : '',
+  ratioFrom: parseFloat(action.ratioFrom),
+  ratioTo: parseFloat(action.ratioTo),
+  costFraction: action.type === 'spin_off' ? parseFloat(action.costFraction) : null,
+});
+
+/**
+ * Add a corporate action
+ * @param {Object} action - Action data (without id)
+ * @returns {Object} The saved action
+ */
+export const addCorporateAction = (action) => {
+  const error = validateCorporateAction(action);
+  if (error) throw new Error(error);
+
+  const actions = getCorporateActions();
+  const newAction = {
+    ...normalizeAction(action),
+    id: generateId(),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  actions.push(newAction);
+  saveCorporateActions(actions);
+  console.log(`✅ Corporate action saved: ${newAction.type} ${newAction.ticker} (${newAction.date})`);
+  return newAction;
+};
+
+/**
+ * Update a corporate action
+ * @param {string} id
+ * @param {Object} updates
+ * @returns {Object} Updated action
+ */
+export const updateCorporateAction = (id, updates) => {
+  const actions = getCorporateActions();
+  const index = actions.findIndex(a => a.id === id);
+  if (index === -1) throw new Error('Corporate action not found');
+
+  const merged = { ...actions[index], ...updates };
+  const error = validateCorporateAction(merged);
+  if (error) throw new Error(error);
+
+  actions[index] = { ...normalizeAction(merged), updatedAt: new Date().toISOString() };
+  saveCorporateActions(actions);
+  return actions[index];
+};
+
+/**
+ * Delete a corporate action
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const deleteCorporateAction = (id) => {
+  saveCorporateActions(getCorporateActions().filter(a => a.id !== id));
+  recordTombstones(STORAGE_KEY, [id]);
+  return true;
+};
+
+// ============================================
+// APPLICATION
+// ============================================
+
+const isTrade = (tx) => tx.type === 'buy' || tx.type === 'sell';
+const isCashTx = (tx) => tx.isCash || tx.macroCategory === 'Cash';
+
+/**
+ * Posizioni del titolo immediatamente prima della data indicata, una per
+ * broker come le chiavi del motore dei lotti: quantità e costo medio
+ * ponderato in EUR, al cambio storico di ogni transazione.
+ * @returns {Array<{ quantity, avgCost, last }>}
+ */
+const positionsBefore = (transactions, ticker, date) => {
+  const byBroker = {};
+  transactions
+    .filter(tx => tx.ticker === ticker && isTrade(tx) && !isCashTx(tx) && !tx.excludeFromStats && tx.date < date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(tx => {
+      const key = tx.broker || '';
+      const p = byBroker[key] || (byBroker[key] = { quantity: 0, totalCost: 0, last: null });
+      p.last = tx;
+      if (tx.type === 'buy') {
+        p.quantity += tx.quantity;
+        p.totalCost += tx.quantity * tx.price * getTransactionFXRate(tx);
+      } else {
+        const avg = p.quantity > 0 ? p.totalCost / p.quantity : 0;
+        p.quantity -= tx.quantity;
+        p.totalCost -= tx.quantity * avg;
+      }
+    });
+  return Object.values(byBroker)
+    .filter(p => p.quantity > 0)
+    .map(p => ({ quantity: p.quantity, avgCost: p.totalCost / p.quantity, last: p.last }));
+};
+
+const applyOne = (transactions, action) => {
+  const factor = action.ratioTo / action.ratioFrom;
+  const before = (tx) => tx.ticker === action.ticker && tx.date < action.date;
+
+  switch (action.type) {
+    case 'split':
+    case 'reverse_split':
+      return transactions.map(tx => {
+        if (!before(tx) || !isTrade(tx) || isCashTx(tx)) return tx;
+        return {
+          ...tx,
+          quantity: tx.quantity * factor,
+          price: tx.price / factor,
+          splitFactor: (tx.splitFactor || 1) * factor,
+        };
+      });
+
+    case 'rename':
+      return transactions.map(tx => {
+        if (!before(tx)) return tx;
+        const renamed = {
+          ...tx,
+          ticker: action.newTicker,
+          name: action.newName || tx.name,
+          isin: action.newIsin || tx.isin,
+          previousTicker: tx.previousTicker || tx.ticker,
+        };
+        // I dividendi/ritenute seguono solo il ticker, non il concambio
+        if (!isTrade(tx) || isCashTx(tx)) return renamed;
+        return {
+          ...renamed,
+          quantity: tx.quantity * factor,
+          price: tx.price / factor,
+          splitFactor: (tx.splitFactor || 1) * factor,
+        };
+      });
+
+    case 'spin_off': {
+      // Madre: chiusura e riapertura a costo ridotto (P/L realizzato nullo),
+      // figlia: nuova posizione con la quota di costo scorporata; un gruppo di
+      // righe per broker, prezzi in EUR. Il motore dei lotti usa invece
+      // spinOff per conservare le date d'acquisto.
+      const rows = positionsBefore(transactions, action.ticker, action.date).flatMap(({ quantity, avgCost, last }, i) => {
+        const id = i === 0 ? action.id : `${action.id}-${i}`;
+        const childQty = quantity * factor;
+        const common = {
+          date: action.date,
+          commission: 0,
+          currency: 'EUR',
+          platform: last.platform,
+          broker: last.broker,
+          corporateActionId: action.id,
+          notes: `Spin-off ${action.ticker} → ${action.newTicker}`,
+        };
+        const child = {
+          ticker: action.newTicker,
+          name: action.newName || action.newTicker,
+          isin: action.newIsin || '',
+          macroCategory: last.macroCategory,
+          microCategory: last.microCategory,
+        };
+        const parent = {
+          ...common,
+          ticker: action.ticker,
+          name: last.name,
+          isin: last.isin,
+          macroCategory: last.macroCategory,
+          microCategory: last.microCategory,
+          quantity,
+        };
+        return [
+          {
+            ...parent, id: `${id}-out`, type: 'sell', price: avgCost,
+            spinOff: { role: 'out', factor, costFraction: action.costFraction, child },
+          },
+          { ...parent, id: `${id}-in`, type: 'buy', price: avgCost * (1 - action.costFraction), spinOff: { role: 'in' } },
+          {
+            ...common,
+            ...child,
+            id: `${id}-child`,
+            type: 'buy',
+            spinOff: { role: 'child' },
+            quantity: childQty,
+            price: (quantity * avgCost * action.costFraction) / childQty,
+          },
+        ];
+      });
+      return rows.length ? [...transactions, ...rows] : transactions;
+    }
+
+    default:
+      return transactions;
+  }
+};
+
+/**
+ * Applica le operazioni societarie alle transazioni (in ordine cronologico).
+ * @param {Array} transactions - Transazioni così come salvate
+ * @param {Array} [actions] - Operazioni societarie (default: quelle salvate)
+ * @returns {Array} Copia rettificata delle transazioni
+ */
+export const applyCorporateActions = (transactions, actions = getCorporateActions()) => {
+  if (!actions.length) return transactions;
+  return [...actions]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .reduce(applyOne, transactions);
+};
+
+/**
+ * Descrizione leggibile di un'operazione (es. "Split 1:4", "AAA → BBB 1:2")
+ * @param {Object} action
+ * @returns {string}
+ */
+export const describeCorporateAction = (action) => {
+  const ratio = `${action.ratioFrom}:${action.ratioTo}`;
+  switch (action.type) {
+    case 'split':         return `Split ${ratio}`;
+    case 'reverse_split': return `Reverse split ${ratio}`;
+    case 'rename':        return `${action.ticker} → ${action.newTicker} (${ratio})`;
+    case 'spin_off':      return `Spin-off ${action.newTicker} ${ratio}, ${(action.costFraction * 100).toFixed(1)}% del costo`;
+    default:              return action.type;
+  }
+};
+
+export default {
+  CORPORATE_ACTION_TYPES,
+  getCorporateActions,
+  validateCorporateAction,
+  addCorporateAction,
+  updateCorporateAction,
+  deleteCorporateAction,
+  applyCorporateActions,
+  describeCorporateAction
+};
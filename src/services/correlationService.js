@@ -0,0 +1,141 @@
+/**
+ * Correlation Service
+ *
+ * Correlazioni tra asset calcolate dai rendimenti mensili storici
+ * (fetchMultipleHistoricalPrices → buildMonthlyPriceTable), su finestre di
+ * 1, 3 o 5 anni e in versione mobile (rolling) per una coppia.
+ *
+ * Le coppie senza abbastanza mesi in comune restituiscono r = null: la pagina
+ * ricade sulla stima euristica da profili e la segnala come stimata.
+ */
+
+import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from './historicalPriceService';
+
+export const CORRELATION_WINDOWS = {
+  '1y': { label: '1A', months: 12 },
+  '3y': { label: '3A', months: 36 },
+  '5y': { label: '5A', months: 60 },
+};
+
+export const DEFAULT_CORRELATION_WINDOW = '3y';
+
+// Mesi di rendimenti in comune sotto cui la correlazione non è affidabile
+export const MIN_OVERLAP_MONTHS = 12;
+
+// Finestra della correlazione mobile
+export const ROLLING_WINDOW_MONTHS = 12;
+
+const MAX_MONTHS = Math.max(...Object.values(CORRELATION_WINDOWS).map(w => w.months));
+
+const _monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Rendimenti mensili da una tabella prezzi { 'YYYY-MM': price }
+ * @param {Object} priceTable - da buildMonthlyPriceTable
+ * @returns {Object} { 'YYYY-MM': rendimento del mese rispetto al precedente }
+ */
+export function monthlyReturns(priceTable) {
+  const months = Object.keys(priceTable || {}).sort();
+  const returns = {};
+  for (let i = 1; i < months.length; i++) {
+    const prev = priceTable[months[i - 1]];
+    const cur = priceTable[months[i]];
+    if (prev > 0 && cur > 0) returns[months[i]] = cur / prev - 1;
+  }
+  return returns;
+}
+
+/**
+ * Coefficiente di Pearson
+ * @param {Array<number>} xs
+ * @param {Array<number>} ys
+ * @returns {number|null} null se una delle serie è costante
+ */
+export function pearson(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 2) return null;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += xs[i]; my += ys[i]; }
+  mx /= n; my /= n;
+  let cov = 0, vx = 0, vy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx, dy = ys[i] - my;
+    cov += dx * dy; vx += dx * dx; vy += dy * dy;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return Math.max(-1, Math.min(1, cov / Math.sqrt(vx * vy)));
+}
+
+/**
+ * Mesi in comune tra due serie di rendimenti, in ordine cronologico
+ */
+const _commonMonths = (retA, retB) =>
+  Object.keys(retA).filter(m => retB[m] !== undefined).sort();
+
+/**
+ * Correlazione tra due serie di rendimenti sugli ultimi `months` mesi in comune
+ *
+ * @param {Object} retA - { 'YYYY-MM': rendimento }
+ * @param {Object} retB
+ * @param {number} months - lunghezza della finestra
+ * @returns {{ r: number|null, n: number }} r null se n < MIN_OVERLAP_MONTHS
+ */
+export function returnCorrelation(retA, retB, months) {
+  const common = _commonMonths(retA, retB).slice(-months);
+  if (common.length < MIN_OVERLAP_MONTHS) return { r: null, n: common.length };
+  return {
+    r: pearson(common.map(m => retA[m]), common.map(m => retB[m])),
+    n: common.length
+  };
+}
+
+/**
+ * Correlazione mobile: una stima per ogni mese, sugli ultimi `window` mesi
+ *
+ * @param {Object} retA
+ * @param {Object} retB
+ * @param {number} [window=ROLLING_WINDOW_MONTHS]
+ * @returns {Array<{ month: string, r: number }>}
+ */
+export function rollingCorrelation(retA, retB, window = ROLLING_WINDOW_MONTHS) {
+  const common = _commonMonths(retA, retB);
+  const series = [];
+  for (let end = window; end <= common.length; end++) {
+    const slice = common.slice(end - window, end);
+    const r = pearson(slice.map(m => retA[m]), slice.map(m => retB[m]));
+    if (r !== null) series.push({ month: common[end - 1], r });
+  }
+  return series;
+}
+
+/**
+ * Scarica gli storici mensili degli ultimi 5 anni e li converte in rendimenti
+ *
+ * @param {Array<string>} tickers
+ * @returns {Promise<Object>} { [ticker]: { 'YYYY-MM': rendimento } }
+ */
+export async function fetchReturnSeries(tickers) {
+  const now = new Date();
+  // Inizio mese fisso: la cache degli storici è indicizzata sulla data di inizio
+  const from = `${_monthKey(new Date(now.getFullYear(), now.getMonth() - MAX_MONTHS - 1, 1))}-01`;
+  const to = now.toISOString().split('T')[0];
+
+  const historical = await fetchMultipleHistoricalPrices(tickers, from, to);
+  const series = {};
+  tickers.forEach(ticker => {
+    series[ticker] = monthlyReturns(buildMonthlyPriceTable(historical[ticker] || []));
+  });
+  return series;
+}
+
+export default {
+  CORRELATION_WINDOWS,
+  DEFAULT_CORRELATION_WINDOW,
+  MIN_OVERLAP_MONTHS,
+  ROLLING_WINDOW_MONTHS,
+  monthlyReturns,
+  pearson,
+  returnCorrelation,
+  rollingCorrelation,
+  fetchReturnSeries
+};
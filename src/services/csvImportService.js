@@ -9,8 +9,15 @@
  *   binance     — Binance spot trading history (two export formats)
  *   cryptocom   — Crypto.com app CSV
  *   ibkr        — Interactive Brokers Activity Statement
+ *   revolut     — Revolut crypto statement
+ *   directa     — Directa "Movimenti" (semicolon, Italian headers)
+ *   scalable    — Scalable Capital transactions export
+ *   traderepublic — Trade Republic transaction export (official or pytr)
+ *   xtb         — XTB xStation cash operations
+ *   legacy_sheet — "Transaction" sheet of the old Google Sheets tracker
  *   generic     — App's own export format (re-import)
- *   unknown     — Falls through with a warning
+ *   profile:<id> — User column-mapping profile saved from the import wizard
+ *   unknown     — Falls through with a warning (the UI offers the mapping wizard)
  *
  * Each platform parser returns:
  *   { transactions: [...], skipped: [{ rowIndex, reason, rawRow }] }
@@ -23,6 +30,7 @@ import Papa from 'papaparse';
 import { lookupISIN } from './isinMapping';
 import { isCrypto } from './coinGecko';
 import { getCompositionProfile } from '../data/etfComposition';
+import { getAssetInfo } from '../config/assetTickerMapping';
 
 // ── Crypto ETP / ETC / ETN database ──────────────────────────────────────────
 // Prodotti exchange-traded che tracciano crypto ma hanno ISIN e tradano come ETF/ETC.
@@ -122,7 +130,7 @@ export function safeFloat(v, fallback = 0) {
 /**
  * Normalize a date string to YYYY-MM-DD.
  * Handles: ISO, DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD HH:mm:ss,
- *          "2023-01-15, 14:23:00" (IBKR), DD-MM-YYYY (DeGiro)
+ *          "2023-01-15, 14:23:00" (IBKR), DD-MM-YYYY (DeGiro), DD.MM.YYYY (XTB)
  */
 export function safeDate(v) {
   if (!v) return null;
@@ -145,6 +153,10 @@ export function safeDate(v) {
   const dash = s.match(/^(\d{2})-(\d{2})-(\d{4})$/);
   if (dash) return `${dash[3]}-${dash[2]}-${dash[1]}`;
 
+  // DD.MM.YYYY (XTB, exports in German): "01.03.2024 10:15:32"
+  const dotted = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (dotted) return `${dotted[3]}-${dotted[2].padStart(2, '0')}-${dotted[1].padStart(2, '0')}`;
+
   // DD/MM/YYYY or DD/MM/YYYY HH:mm
   const slash = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
   if (slash) {
@@ -266,21 +278,254 @@ const PLATFORMS = {
       h.includes('started date') && h.includes('completed date') &&
       (h.includes('fiat amount') || h.includes('base currency')),
   },
+  directa: {
+    label: 'Directa',
+    detect: (h) =>
+      h.includes('riferimento ordine') ||
+      (h.includes('tipo operazione') && h.some(x => x.startsWith('importo euro'))),
+  },
+  scalable: {
+    label: 'Scalable Capital',
+    detect: (h) => h.includes('reference') && h.includes('assettype') && h.includes('shares'),
+  },
+  traderepublic: {
+    label: 'Trade Republic',
+    detect: (h) =>
+      // pytr: Date;Type;Value;Note;ISIN;Shares;Fees;Taxes
+      (h.includes('isin') && h.includes('shares') && h.includes('fees') && h.includes('taxes')) ||
+      // Export ufficiale dall'app
+      (h.includes('transaction_id') && h.includes('isin') && h.includes('shares')),
+  },
+  xtb: {
+    label: 'XTB',
+    detect: (h) => h.includes('type') && h.includes('symbol') && h.includes('comment') && h.includes('amount'),
+  },
+  legacy_sheet: {
+    label: 'Google Sheets (vecchio tracker)',
+    detect: (h) => h.includes('asset ticker') && h.includes('action') && h.includes('platform') && h.includes('asset class'),
+  },
   generic: {
     label: 'Formato generico (export app)',
     detect: (h) => h.includes('ticker') && h.includes('price') && h.includes('quantity') && h.includes('type'),
   },
 };
 
+// Strip BOM (﻿) and normalize whitespace — common in Binance/Excel exports
+const normalizeHeader = (x) => String(x).toLowerCase().trim().replace(/^﻿/, '').replace(/\s+/g, ' ');
+
 export function detectPlatform(headers) {
-  // Strip BOM (﻿) and normalize whitespace — common in Binance/Excel exports
-  const h = headers.map(x => String(x).toLowerCase().trim().replace(/^﻿/, '').replace(/\s+/g, ' '));
+  const h = headers.map(normalizeHeader);
+  const profiles = getCSVProfiles();
+
+  // Profilo salvato per esattamente queste colonne: vince anche sui parser nativi
+  const exact = profiles.find(p => p.headers?.length === h.length && p.headers.every(x => h.includes(x)));
+  if (exact) return PROFILE_PREFIX + exact.id;
+
   for (const [key, def] of Object.entries(PLATFORMS)) {
     if (def.detect(h)) return key;
   }
+
+  // Stesso broker con colonne in più/in meno: basta che ci siano quelle mappate
+  const partial = profiles.find(p => {
+    const mapped = Object.values(p.columns || {}).filter(Boolean).map(normalizeHeader);
+    return mapped.length > 0 && mapped.every(c => h.includes(c));
+  });
+  if (partial) return PROFILE_PREFIX + partial.id;
+
   return 'unknown';
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// USER PROFILES — column mapping wizard for unsupported brokers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PROFILES_KEY = 'investment_tracker_csv_profiles';
+export const PROFILE_PREFIX = 'profile:';
+
+export const MAPPING_FIELDS = [
+  { key: 'date',       label: 'Data',            required: true },
+  { key: 'ticker',     label: 'Ticker' },
+  { key: 'isin',       label: 'ISIN' },
+  { key: 'name',       label: 'Nome titolo' },
+  { key: 'type',       label: 'Tipo operazione' },
+  { key: 'quantity',   label: 'Quantità',        required: true },
+  { key: 'price',      label: 'Prezzo' },
+  { key: 'total',      label: 'Controvalore' },
+  { key: 'commission', label: 'Commissioni' },
+  { key: 'currency',   label: 'Valuta' },
+];
+
+export const NUMBER_FORMATS = {
+  auto: 'Automatico',
+  eu:   '1.234,56 (virgola decimale)',
+  us:   '1,234.56 (punto decimale)',
+};
+
+export const DATE_FORMATS = {
+  auto: 'Automatico',
+  dmy:  'GG/MM/AAAA',
+  mdy:  'MM/GG/AAAA',
+  ymd:  'AAAA-MM-GG',
+};
+
+export const DEFAULT_BUY_KEYWORDS  = ['buy', 'acquisto', 'acq', 'compra', 'kauf', 'b'];
+export const DEFAULT_SELL_KEYWORDS = ['sell', 'vendita', 'vend', 'vendi', 'verkauf', 's'];
+
+/** Saved mapping profiles: [{ id, name, headers, columns, numberFormat, dateFormat, buyKeywords, sellKeywords, signedQuantity, defaultCurrency }] */
+export function getCSVProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save (insert or update by id) a mapping profile.
+ * `headers` is stored normalized so detectPlatform can match it on later imports.
+ */
+export function saveCSVProfile(profile) {
+  const profiles = getCSVProfiles();
+  const saved = {
+    ...profile,
+    id: profile.id || `csv_${Date.now()}`,
+    name: (profile.name || '').trim() || 'Profilo personalizzato',
+    headers: (profile.headers || []).map(normalizeHeader).filter(Boolean),
+    updatedAt: new Date().toISOString(),
+  };
+  const idx = profiles.findIndex(p => p.id === saved.id);
+  if (idx === -1) profiles.push(saved);
+  else profiles[idx] = saved;
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  return saved;
+}
+
+export function deleteCSVProfile(id) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(getCSVProfiles().filter(p => p.id !== id)));
+}
+
+export function getCSVProfile(platform) {
+  if (!platform?.startsWith(PROFILE_PREFIX)) return null;
+  const id = platform.slice(PROFILE_PREFIX.length);
+  return getCSVProfiles().find(p => p.id === id) || null;
+}
+
+/** First-guess mapping for the wizard, from the same aliases used by the generic fallback */
+export function suggestColumnMapping(headers) {
+  const hLow = headers.map(normalizeHeader);
+  const used = new Set();
+  const columns = {};
+  // Prima le intestazioni identiche all'alias, poi quelle che iniziano con l'alias ("data operazione")
+  [(h, a) => h === a, (h, a) => h.startsWith(`${a} `)].forEach(matches => {
+    MAPPING_FIELDS.forEach(({ key }) => {
+      if (columns[key]) return;
+      for (const alias of COLUMN_ALIASES[key] || []) {
+        const idx = hLow.findIndex((h, i) => matches(h, alias) && !used.has(i));
+        if (idx !== -1) { columns[key] = headers[idx]; used.add(idx); break; }
+      }
+    });
+  });
+  return columns;
+}
+
+/** Number with an explicit format; 'auto' falls back to safeFloat's heuristics */
+function parseNumberFormat(v, format) {
+  if (format !== 'eu' && format !== 'us') return safeFloat(v, NaN);
+  let s = String(v ?? '').trim().replace(/[€$£¥₿%\s']/g, '');
+  s = format === 'eu' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  if (/^\(.*\)$/.test(s)) s = '-' + s.slice(1, -1); // (12.50) → negativo contabile
+  const n = parseFloat(s);
+  return isNaN(n) ? NaN : n;
+}
+
+/** Date with an explicit day/month/year order; 'auto' falls back to safeDate */
+function parseDateFormat(v, format) {
+  if (!DATE_FORMATS[format] || format === 'auto') return safeDate(v);
+  const m = String(v || '').trim().match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})/);
+  if (!m) return null;
+  let [y, mo, d] = format === 'ymd' ? [m[1], m[2], m[3]] : format === 'mdy' ? [m[3], m[1], m[2]] : [m[3], m[2], m[1]];
+  if (y.length === 2) y = `20${y}`;
+  if (y.length !== 4 || +mo < 1 || +mo > 12 || +d < 1 || +d > 31) return null;
+  return `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`;
+}
+
+const matchesKeyword = (value, keywords) =>
+  (keywords || []).some(k => {
+    const kw = String(k).toLowerCase().trim();
+    if (!kw) return false;
+    // Parole di 1-2 lettere ("B", "S", "ac") solo come valore intero, non come sottostringa
+    return kw.length <= 2 ? value === kw : value.includes(kw);
+  });
+
+/**
+ * Parse rows with a user mapping profile.
+ * Type comes from the keyword lists; without a match, a negative quantity means sell
+ * when `signedQuantity` is set, otherwise the row is skipped.
+ */
+export function parseWithProfile(rows, profile) {
+  const transactions = [];
+  const skipped = [];
+  const col = profile.columns || {};
+  // Colonne cercate per nome normalizzato: tollera maiuscole/spazi diversi tra un export e l'altro
+  const actual = {};
+  Object.keys(rows[0] || {}).forEach(k => { actual[normalizeHeader(k)] = k; });
+  const cell = (row, key) => (col[key] ? row[actual[normalizeHeader(col[key])] ?? col[key]] : undefined);
+  const num = (row, key) => parseNumberFormat(cell(row, key), profile.numberFormat);
+
+  rows.forEach((row, i) => {
+    try {
+      const date = parseDateFormat(cell(row, 'date'), profile.dateFormat);
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const isin   = String(cell(row, 'isin') || '').trim().toUpperCase();
+      const rawTicker = String(cell(row, 'ticker') || '').trim();
+      const name   = String(cell(row, 'name') || '').trim();
+      const isinData = isin ? lookupISIN(isin) : null;
+      const ticker = isinData ? isinData.ticker : stripExchange(rawTicker) || (isin ? isin.substring(0, 8) : '');
+      if (!ticker && !name) { skipped.push({ rowIndex: i, reason: 'Ticker, ISIN e nome mancanti', rawRow: row }); return; }
+
+      const qtyRaw = num(row, 'quantity');
+      if (!qtyRaw) { skipped.push({ rowIndex: i, reason: 'Quantità zero o non valida', rawRow: row }); return; }
+
+      const typeRaw = String(cell(row, 'type') || '').toLowerCase().trim();
+      let type = null;
+      if (matchesKeyword(typeRaw, profile.sellKeywords)) type = 'sell';
+      else if (matchesKeyword(typeRaw, profile.buyKeywords)) type = 'buy';
+      else if (profile.signedQuantity || !col.type) type = qtyRaw < 0 ? 'sell' : 'buy';
+      if (!type) { skipped.push({ rowIndex: i, reason: `Tipo non riconosciuto: "${typeRaw}"`, rawRow: row }); return; }
+
+      const quantity = Math.abs(qtyRaw);
+      const total = Math.abs(num(row, 'total') || 0);
+      const price = Math.abs(num(row, 'price') || 0) || (total > 0 ? total / quantity : 0);
+      if (price <= 0) { skipped.push({ rowIndex: i, reason: 'Prezzo mancante', rawRow: row }); return; }
+
+      const { macro, micro } = isinData
+        ? { macro: isinData.macroCategory, micro: isinData.microCategory || '' }
+        : inferMacro(name, isin, ticker);
+      const currency = String(cell(row, 'currency') || profile.defaultCurrency || 'EUR').trim().toUpperCase();
+
+      transactions.push({
+        ticker: ticker || name.substring(0, 10).toUpperCase().replace(/\s/g, ''),
+        name: name || ticker,
+        isin,
+        macroCategory: macro,
+        microCategory: micro,
+        date,
+        price: parseFloat(price.toFixed(6)),
+        quantity,
+        commission: Math.abs(num(row, 'commission') || 0),
+        currency: currency.length === 3 ? currency : 'EUR',
+        notes: `${profile.name}${!isinData && rawTicker ? ` | ticker: ${rawTicker}` : ''}`,
+        type,
+      });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  return { transactions, skipped };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PARSERS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -339,11 +584,11 @@ function parseTrading212(rows) {
         const amount = Math.abs(safeFloat(row['Total']));
         if (amount <= 0) { skipped.push({ rowIndex: i, reason: 'Importo interesse zero', rawRow: row }); return; }
         const label = action === 'Lending interest' ? 'Share Lending Interest' : 'Interest on Cash';
-        transactions.push({ ticker: 'CASH', name: label, isin: '', macroCategory: 'Cash', microCategory: 'Interessi', isCash: true, date, price: 1, quantity: amount, commission: 0, currency: 'EUR', notes: `T212 ${label}`, type: 'buy', sourceId });
+        transactions.push({ ticker: 'CASH', name: label, isin: '', macroCategory: 'Cash', microCategory: 'Interessi', isCash: true, date, price: 1, quantity: amount, commission: 0, currency: 'EUR', notes: `T212 ${label}`, type: 'interest', sourceId });
         return;
       }
 
-      // Dividend → cash income tagged as dividend
+      // Dividend → dividendo lordo + riga separata per la ritenuta alla fonte
       if (action === 'Dividend (Dividend)' || action.startsWith('Dividend')) {
         const amount      = Math.abs(safeFloat(row['Total']));
         const withholding = Math.abs(safeFloat(row['Withholding tax']));
@@ -352,9 +597,25 @@ function parseTrading212(rows) {
         const isin   = String(row['ISIN'] || '').trim();
         const isinData = lookupISIN(isin);
         const ticker = isinData ? isinData.ticker : stripExchange(row['Ticker'] || '');
-        const notesParts = [`Dividendo da ${ticker || name}`];
-        if (withholding > 0) notesParts.push(`Ritenuta: €${withholding.toFixed(2)}`);
-        transactions.push({ ticker: ticker || 'CASH', name: `Dividendo ${name}`, isin, macroCategory: 'Cash', microCategory: 'Dividendi', isCash: true, date, price: 1, quantity: amount, commission: 0, currency: 'EUR', notes: notesParts.join(' | '), type: 'buy', isDividend: true, dividendTicker: ticker, sourceId });
+        // La ritenuta è nella valuta del dividendo (es. USD), 'Total' in quella del conto:
+        // si converte col cambio della riga o, se manca, in proporzione al netto incassato
+        const whtCurrency   = String(row['Currency (Withholding tax)'] || '').trim().toUpperCase();
+        const totalCurrency = String(row['Currency (Total)'] || 'EUR').trim().toUpperCase();
+        let withholdingEur = withholding;
+        if (withholding > 0 && whtCurrency && whtCurrency !== totalCurrency) {
+          const fx        = safeFloat(row['Exchange rate']); // unità di valuta del dividendo per 1 EUR
+          const netNative = safeFloat(row['No. of shares']) * safeFloat(row['Price / share']) - withholding;
+          withholdingEur = fx > 0 ? withholding / fx
+            : netNative > 0 ? amount * withholding / netNative
+            : 0;
+          if (withholdingEur <= 0) { skipped.push({ rowIndex: i, reason: `Ritenuta in ${whtCurrency} senza cambio`, rawRow: row }); return; }
+        }
+        withholdingEur = parseFloat(withholdingEur.toFixed(2));
+        const gross  = amount + withholdingEur; // T212 'Total' è già al netto della ritenuta
+        transactions.push({ ticker: ticker || 'CASH', name: `Dividendo ${name}`, isin, macroCategory: 'Cash', microCategory: 'Dividendi', isCash: true, date, price: 1, quantity: parseFloat(gross.toFixed(2)), commission: 0, currency: 'EUR', notes: `Dividendo da ${ticker || name}`, type: 'dividend', sourceId });
+        if (withholdingEur > 0) {
+          transactions.push({ ticker: ticker || 'CASH', name: `Ritenuta ${name}`, isin, macroCategory: 'Cash', microCategory: 'Ritenute', isCash: true, date, price: 1, quantity: withholdingEur, commission: 0, currency: 'EUR', notes: `Ritenuta alla fonte su dividendo ${ticker || name}`, type: 'tax_withheld', sourceId: sourceId ? `${sourceId}-wht` : '' });
+        }
         return;
       }
 
@@ -926,6 +1187,513 @@ function parseRevolut(rows) {
   return { transactions, skipped };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// EUROPEAN BROKERS — Directa, Scalable Capital, Trade Republic, XTB
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Case/whitespace-insensitive cell lookup: the first matching header wins. */
+function pick(row, ...names) {
+  for (const key of Object.keys(row)) {
+    if (names.includes(normalizeHeader(key))) return row[key];
+  }
+  return undefined;
+}
+
+/**
+ * Operation keywords across the four exports (IT / EN / DE).
+ * Order matters: "Verkauf" contains "kauf", "Rit. dividendi" contains
+ * "dividend", "Imposta di bollo" is a custody cost, not a withholding.
+ */
+const OPERATION_KEYWORDS = [
+  ['capital_gain', ['capital gain', 'plusvalenz', 'imposta sostitutiva']],
+  ['savings_plan', ['savings plan', 'sparplan', 'saveback', 'round up', 'roundup']],
+  ['sell',         ['sell', 'verkauf', 'vendita', 'sale']],
+  ['buy',          ['buy', 'kauf', 'acquisto', 'purchase']],
+  ['fee',          ['fee', 'gebühr', 'commission', 'bollo', 'tobin', 'spese']],
+  ['tax',          ['tax', 'steuer', 'ritenuta', 'rit.']],
+  ['dividend',     ['dividend', 'divident', 'distribution', 'ausschüttung', 'cedol', 'coupon']],
+  ['interest',     ['interest', 'zinsen', 'interessi']],
+  ['deposit',      ['deposit', 'einzahlung', 'versamento', 'top up']],
+  ['withdrawal',   ['withdrawal', 'removal', 'auszahlung', 'prelievo']],
+];
+
+function classifyOperation(raw) {
+  const s = String(raw || '').toLowerCase().replace(/_/g, ' ');
+  const hit = OPERATION_KEYWORDS.find(([, words]) => words.some(w => s.includes(w)));
+  return hit ? hit[0] : null;
+}
+
+/** Security fields from the ISIN map, falling back to name/ticker inference. */
+export function resolveSecurity(isin = '', name = '', rawTicker = '') {
+  const isinData = lookupISIN(isin);
+  const ticker = isinData
+    ? isinData.ticker
+    : stripExchange(rawTicker) || (isin ? isin.substring(0, 8) : name.substring(0, 10).toUpperCase().replace(/\s/g, ''));
+  const { macro, micro } = isinData
+    ? { macro: isinData.macroCategory, micro: isinData.microCategory || '' }
+    : inferMacro(name, isin, ticker);
+  return { ticker, name: name || ticker, isin, macroCategory: macro, microCategory: micro };
+}
+
+const CASH_MICRO = {
+  buy: 'Liquidità', sell: 'Liquidità', dividend: 'Dividendi',
+  interest: 'Interessi', fee: 'Commissioni', tax_withheld: 'Ritenute',
+};
+
+/** Cash-flow row in the shape used by the other parsers (isCash, price 1, quantity = €). */
+export function cashMovement({ ticker = 'CASH', name, isin = '', type, date, amount, notes = '', sourceId = '' }) {
+  return {
+    ticker, name, isin, macroCategory: 'Cash', microCategory: CASH_MICRO[type], isCash: true,
+    date, price: 1, quantity: parseFloat(Math.abs(amount).toFixed(2)), commission: 0, currency: 'EUR',
+    notes, type, sourceId,
+  };
+}
+
+/** Deposits, withdrawals, interest and standalone fees — shared by all four parsers. */
+function pushCashOperation(transactions, skipped, { op, amount, date, label, notes, sourceId, row, i }) {
+  const abs = Math.abs(amount);
+  if (abs <= 0) { skipped.push({ rowIndex: i, reason: `${label}: importo zero`, rawRow: row }); return; }
+  const byOp = {
+    deposit:    { type: 'buy',      name: 'Deposito' },
+    withdrawal: { type: 'sell',     name: 'Prelievo' },
+    interest:   { type: 'interest', name: 'Interessi' },
+    fee:        { type: 'fee',      name: 'Commissioni' },
+  }[op];
+  transactions.push(cashMovement({ ...byOp, date, amount: abs, notes, sourceId }));
+}
+
+/** Dividend (gross) + separate withholding row, like Trading 212. */
+function pushDividend(transactions, { security, date, gross, withholding, notes, sourceId }) {
+  const { ticker, name, isin } = security;
+  transactions.push(cashMovement({ ticker, name: `Dividendo ${name}`, isin, type: 'dividend', date, amount: gross, notes, sourceId }));
+  if (withholding > 0) {
+    transactions.push(cashMovement({
+      ticker, name: `Ritenuta ${name}`, isin, type: 'tax_withheld', date, amount: withholding,
+      notes: `Ritenuta alla fonte su dividendo ${ticker}`, sourceId: sourceId ? `${sourceId}-wht` : '',
+    }));
+  }
+}
+
+/**
+ * Directa "Movimenti" export (semicolon, Italian headers, metadata rows on top).
+ * Order commissions and Tobin tax arrive as separate rows sharing the
+ * "Riferimento ordine" of the trade: they are folded into the trade commission.
+ */
+function parseDirecta(rows) {
+  const transactions = [];
+  const skipped = [];
+
+  const ref = (row) => String(pick(row, 'riferimento ordine') || '').trim();
+  const tradeRefs = new Set(rows
+    .filter(r => ['buy', 'sell'].includes(classifyOperation(pick(r, 'tipo operazione'))))
+    .map(ref).filter(Boolean));
+  const orderCosts = {};
+  rows.forEach(row => {
+    const r = ref(row);
+    if (r && tradeRefs.has(r) && classifyOperation(pick(row, 'tipo operazione')) === 'fee') {
+      orderCosts[r] = (orderCosts[r] || 0) + Math.abs(safeFloat(pick(row, 'importo euro')));
+    }
+  });
+
+  rows.forEach((row, i) => {
+    try {
+      const date = safeDate(pick(row, 'data operazione', 'data'));
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const opRaw    = String(pick(row, 'tipo operazione') || '').trim();
+      const op       = classifyOperation(opRaw);
+      const amount   = safeFloat(pick(row, 'importo euro'));
+      const orderRef = ref(row);
+      const protocol = String(pick(row, 'protocollo') || '').trim();
+      const sourceId = protocol ? `directa-${protocol}` : orderRef ? `directa-${orderRef}-${op}` : '';
+      const isin     = String(pick(row, 'isin') || '').trim().toUpperCase();
+      const name     = String(pick(row, 'descrizione') || '').trim();
+      const security = resolveSecurity(isin, name, String(pick(row, 'ticker') || ''));
+
+      if (op === 'buy' || op === 'sell' || op === 'savings_plan') {
+        const qty = Math.abs(safeFloat(pick(row, 'quantità', 'quantita')));
+        if (qty <= 0) { skipped.push({ rowIndex: i, reason: 'Quantità zero', rawRow: row }); return; }
+        const currency = String(pick(row, 'divisa') || 'EUR').trim() || 'EUR';
+        transactions.push({
+          ...security, date,
+          price: parseFloat((Math.abs(amount) / qty).toFixed(6)),
+          quantity: qty,
+          commission: parseFloat((orderCosts[orderRef] || 0).toFixed(4)),
+          currency: 'EUR',
+          notes: ['Directa', currency !== 'EUR' ? `Valuta: ${currency}` : '', orderRef ? `Ordine ${orderRef}` : ''].filter(Boolean).join(' | '),
+          type: op === 'sell' ? 'sell' : 'buy',
+          sourceId,
+        });
+        return;
+      }
+
+      if (op === 'fee' && orderRef && tradeRefs.has(orderRef)) return; // già nella commissione dell'ordine
+
+      if (op === 'dividend') {
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Importo dividendo zero', rawRow: row }); return; }
+        // La ritenuta arriva come riga separata ("Rit. dividendi"): qui solo il lordo
+        pushDividend(transactions, { security, date, gross: Math.abs(amount), withholding: 0, notes: `Directa | ${opRaw}`, sourceId });
+        return;
+      }
+
+      if (op === 'tax') {
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Importo ritenuta zero', rawRow: row }); return; }
+        if (amount > 0) { skipped.push({ rowIndex: i, reason: `Rimborso imposta ignorato: "${opRaw}"`, rawRow: row }); return; }
+        transactions.push(cashMovement({
+          ticker: isin || name ? security.ticker : 'CASH', name: `Ritenuta ${name || opRaw}`, isin,
+          type: 'tax_withheld', date, amount, notes: `Directa | ${opRaw}`, sourceId,
+        }));
+        return;
+      }
+
+      // "Bonifico" / "Giroconto" non dicono la direzione: decide il segno dell'importo
+      const cashOp = op || (/bonifico|giroconto/i.test(opRaw) ? (amount >= 0 ? 'deposit' : 'withdrawal') : null);
+      if (['deposit', 'withdrawal', 'interest', 'fee'].includes(cashOp)) {
+        pushCashOperation(transactions, skipped, { op: cashOp, amount, date, label: opRaw, notes: `Directa | ${opRaw}${name ? ` — ${name}` : ''}`, sourceId, row, i });
+        return;
+      }
+
+      const reason = op === 'capital_gain'
+        ? 'Imposta sul capital gain: calcolata dal motore fiscale'
+        : `Operazione ignorata: "${opRaw}"`;
+      skipped.push({ rowIndex: i, reason, rawRow: row });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  return { transactions, skipped };
+}
+
+/**
+ * Scalable Capital transactions export (semicolon, comma decimals).
+ * Columns: date;time;status;reference;description;assetType;type;isin;shares;price;amount;fee;tax;currency
+ */
+function parseScalable(rows) {
+  const transactions = [];
+  const skipped = [];
+
+  rows.forEach((row, i) => {
+    try {
+      const status = String(pick(row, 'status') || '').trim().toLowerCase();
+      if (status && status !== 'executed') { skipped.push({ rowIndex: i, reason: `Stato ignorato: ${status}`, rawRow: row }); return; }
+
+      const date = safeDate(pick(row, 'date'));
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const typeRaw  = String(pick(row, 'type') || '').trim();
+      const op       = classifyOperation(typeRaw);
+      const sourceId = String(pick(row, 'reference') || '').trim();
+      const amount   = safeFloat(pick(row, 'amount'));
+      const fee      = Math.abs(safeFloat(pick(row, 'fee')));
+      const tax      = Math.abs(safeFloat(pick(row, 'tax')));
+      const isin     = String(pick(row, 'isin') || '').trim().toUpperCase();
+      const security = resolveSecurity(isin, String(pick(row, 'description') || '').trim());
+
+      if (op === 'buy' || op === 'sell' || op === 'savings_plan') {
+        const shares = Math.abs(safeFloat(pick(row, 'shares')));
+        if (shares <= 0) { skipped.push({ rowIndex: i, reason: 'Quantità zero', rawRow: row }); return; }
+        const price = safeFloat(pick(row, 'price')) || Math.max(0, Math.abs(amount) - fee) / shares;
+        transactions.push({
+          ...security, date,
+          price: parseFloat(price.toFixed(6)),
+          quantity: shares,
+          commission: fee,
+          currency: String(pick(row, 'currency') || 'EUR').trim() || 'EUR',
+          notes: op === 'savings_plan' ? 'Scalable | Piano di accumulo' : 'Scalable',
+          type: op === 'sell' ? 'sell' : 'buy',
+          sourceId,
+        });
+        return;
+      }
+
+      if (op === 'dividend') {
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Importo dividendo zero', rawRow: row }); return; }
+        // amount è il netto accreditato, tax la ritenuta
+        pushDividend(transactions, { security, date, gross: Math.abs(amount) + tax, withholding: tax, notes: `Scalable | ${typeRaw}`, sourceId });
+        return;
+      }
+
+      if (op === 'tax') {
+        if (amount >= 0) { skipped.push({ rowIndex: i, reason: `Rimborso imposta ignorato: "${typeRaw}"`, rawRow: row }); return; }
+        transactions.push(cashMovement({
+          ticker: isin ? security.ticker : 'CASH', name: `Ritenuta ${isin ? security.name : ''}`.trim(), isin,
+          type: 'tax_withheld', date, amount, notes: `Scalable | ${typeRaw}`, sourceId,
+        }));
+        return;
+      }
+
+      if (['deposit', 'withdrawal', 'interest', 'fee'].includes(op)) {
+        pushCashOperation(transactions, skipped, { op, amount: amount || fee, date, label: typeRaw, notes: `Scalable | ${typeRaw}`, sourceId, row, i });
+        return;
+      }
+
+      skipped.push({ rowIndex: i, reason: `Tipo ignorato: "${typeRaw}"`, rawRow: row });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  return { transactions, skipped };
+}
+
+/**
+ * Trade Republic — official transaction export and the community pytr format
+ * (Date;Type;Value;Note;ISIN;Shares;Fees;Taxes). pytr has no transaction id:
+ * sourceId is then derived from date/type/ISIN/amount, stable across re-imports.
+ */
+function parseTradeRepublic(rows) {
+  const transactions = [];
+  const skipped = [];
+
+  rows.forEach((row, i) => {
+    try {
+      const date = safeDate(pick(row, 'date', 'datetime', 'datum'));
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const typeRaw = String(pick(row, 'type', 'typ', 'category') || '').trim();
+      const op      = classifyOperation(typeRaw);
+      const amount  = safeFloat(pick(row, 'amount', 'value', 'betrag', 'wert'));
+      const fee     = Math.abs(safeFloat(pick(row, 'fee', 'fees', 'gebühren')));
+      const tax     = Math.abs(safeFloat(pick(row, 'tax', 'taxes', 'steuern')));
+      const isin    = String(pick(row, 'isin') || '').trim().toUpperCase();
+      const name    = String(pick(row, 'name', 'note', 'description') || '').trim();
+      const id      = String(pick(row, 'transaction_id', 'id') || '').trim();
+      const sourceId = `tr-${id || `${date}|${typeRaw}|${isin}|${amount.toFixed(2)}`}`;
+      const security = resolveSecurity(isin, name, String(pick(row, 'symbol') || ''));
+
+      if (op === 'buy' || op === 'sell' || op === 'savings_plan') {
+        const shares = Math.abs(safeFloat(pick(row, 'shares', 'quantity', 'stück', 'anzahl')));
+        if (shares <= 0) { skipped.push({ rowIndex: i, reason: 'Quantità zero', rawRow: row }); return; }
+        // Value include le commissioni: sull'acquisto le toglie, sulla vendita le aggiunge
+        const gross = op === 'sell' ? Math.abs(amount) + fee + tax : Math.abs(amount) - fee;
+        const price = safeFloat(pick(row, 'price')) || Math.max(0, gross) / shares;
+        transactions.push({
+          ...security, date,
+          price: parseFloat(price.toFixed(6)),
+          quantity: shares,
+          commission: fee,
+          currency: 'EUR',
+          notes: op === 'savings_plan' ? `Trade Republic | Piano di accumulo (${typeRaw})` : 'Trade Republic',
+          type: op === 'sell' ? 'sell' : 'buy',
+          sourceId,
+        });
+        return;
+      }
+
+      if (op === 'dividend') {
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Importo dividendo zero', rawRow: row }); return; }
+        pushDividend(transactions, { security, date, gross: Math.abs(amount) + tax, withholding: tax, notes: `Trade Republic | ${typeRaw}`, sourceId });
+        return;
+      }
+
+      if (op === 'interest') {
+        pushCashOperation(transactions, skipped, { op, amount: Math.abs(amount) + tax, date, label: typeRaw, notes: `Trade Republic | ${typeRaw}`, sourceId, row, i });
+        if (tax > 0) transactions.push(cashMovement({ name: 'Ritenuta su interessi', type: 'tax_withheld', date, amount: tax, notes: 'Trade Republic', sourceId: `${sourceId}-wht` }));
+        return;
+      }
+
+      if (op === 'tax') {
+        if (amount >= 0) { skipped.push({ rowIndex: i, reason: `Rimborso imposta ignorato: "${typeRaw}"`, rawRow: row }); return; }
+        transactions.push(cashMovement({
+          ticker: isin ? security.ticker : 'CASH', name: `Ritenuta ${isin ? security.name : ''}`.trim(), isin,
+          type: 'tax_withheld', date, amount, notes: `Trade Republic | ${typeRaw}`, sourceId,
+        }));
+        return;
+      }
+
+      if (['deposit', 'withdrawal', 'fee'].includes(op)) {
+        pushCashOperation(transactions, skipped, { op, amount: amount || fee, date, label: typeRaw, notes: `Trade Republic | ${typeRaw}`, sourceId, row, i });
+        return;
+      }
+
+      skipped.push({ rowIndex: i, reason: `Tipo ignorato: "${typeRaw}"`, rawRow: row });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  return { transactions, skipped };
+}
+
+/**
+ * XTB xStation "Cash operations" sheet saved as CSV.
+ * Trades carry quantity and quoted price only in the comment:
+ *   "OPEN BUY 3 @ 103.52"  ·  "CLOSE BUY 1/3 @ 110.10"
+ * The EUR price is derived from the booked amount.
+ */
+function parseXTB(rows) {
+  const transactions = [];
+  const skipped = [];
+  const TRADE_COMMENT = /(OPEN|CLOSE)\s+(?:BUY|SELL)\s+([\d.,]+)(?:\/[\d.,]+)?\s*@\s*([\d.,]+)/i;
+
+  rows.forEach((row, i) => {
+    try {
+      const date = safeDate(pick(row, 'time', 'date'));
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const typeRaw  = String(pick(row, 'type') || '').trim();
+      const comment  = String(pick(row, 'comment') || '').trim();
+      const symbol   = String(pick(row, 'symbol', 'instrument') || '').trim();
+      const amount   = safeFloat(pick(row, 'amount'));
+      const id       = String(pick(row, 'id') || '').trim();
+      const sourceId = id ? `xtb-${id}` : '';
+      const op       = classifyOperation(typeRaw);
+      const security = resolveSecurity('', '', symbol.split('.')[0]);
+
+      if (op === 'buy' || op === 'sell') {
+        const m = comment.match(TRADE_COMMENT);
+        const qty = m ? safeFloat(m[2]) : 0;
+        if (qty <= 0) { skipped.push({ rowIndex: i, reason: `Quantità non leggibile dal commento: "${comment}"`, rawRow: row }); return; }
+        transactions.push({
+          ...security, name: symbol || security.name, date,
+          price: parseFloat((Math.abs(amount) / qty).toFixed(6)),
+          quantity: qty,
+          commission: 0,
+          currency: 'EUR',
+          notes: `XTB | ${comment}`,
+          type: op,
+          sourceId,
+        });
+        return;
+      }
+
+      if (op === 'dividend') {
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Importo dividendo zero', rawRow: row }); return; }
+        // XTB registra la ritenuta su una riga a parte ("Withholding tax")
+        pushDividend(transactions, { security: { ...security, name: symbol }, date, gross: Math.abs(amount), withholding: 0, notes: `XTB | ${comment}`, sourceId });
+        return;
+      }
+
+      if (op === 'tax') {
+        if (amount >= 0) { skipped.push({ rowIndex: i, reason: `Rimborso imposta ignorato: "${typeRaw}"`, rawRow: row }); return; }
+        transactions.push(cashMovement({
+          ticker: symbol ? security.ticker : 'CASH', name: `Ritenuta ${symbol || typeRaw}`,
+          type: 'tax_withheld', date, amount, notes: `XTB | ${typeRaw}`, sourceId,
+        }));
+        return;
+      }
+
+      if (['deposit', 'withdrawal', 'interest', 'fee'].includes(op)) {
+        pushCashOperation(transactions, skipped, { op, amount, date, label: typeRaw, notes: `XTB | ${comment || typeRaw}`, sourceId, row, i });
+        return;
+      }
+
+      skipped.push({ rowIndex: i, reason: `Tipo ignorato: "${typeRaw}"`, rawRow: row });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  return { transactions, skipped };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// LEGACY GOOGLE SHEETS TRACKER
+// ─────────────────────────────────────────────────────────────────────────────
+
+// "Asset Class" del foglio → macro categoria dell'app
+const SHEET_ASSET_CLASSES = {
+  etf: 'ETF', etc: 'ETC', crypto: 'Crypto', cash: 'Cash', stock: 'Azioni', stocks: 'Azioni',
+  bond: 'Obbligazioni', bonds: 'Obbligazioni', commodity: 'Materie Prime', reit: 'Immobiliare',
+};
+
+/**
+ * Google Finance / crypto-pair tickers used in the sheet → app tickers:
+ * "BIT:SWDA" → "SWDA.MI", "BTCEUR" / "SHIB-EUR" → "BTC" / "SHIB" (like the Binance parser).
+ */
+export function normalizeSheetTicker(raw, assetClass = '') {
+  const t = String(raw || '').trim().toUpperCase();
+  if (t.startsWith('BIT:')) return `${t.slice(4)}.MI`;
+  if (String(assetClass).toLowerCase() === 'crypto') {
+    const pair = t.match(/^([A-Z0-9]+?)-?(EUR|USDT|USDC|USD)$/);
+    if (pair) return pair[1];
+  }
+  return t;
+}
+
+/** Macro/micro category of a sheet row: ticker database first, then the sheet's own "Asset Class". */
+export function classifySheetAsset(ticker, assetClass = '') {
+  const info = getAssetInfo(ticker);
+  if (info) return { macroCategory: info.macro, microCategory: info.micro || '', name: info.name };
+  return { macroCategory: SHEET_ASSET_CLASSES[String(assetClass).toLowerCase().trim()] || 'Altro', microCategory: '', name: '' };
+}
+
+/**
+ * "Transaction" sheet: two header rows (block titles + columns), Italian
+ * number format and one row per operation on any platform. The Platform
+ * column is kept on each transaction.
+ * "Transfer Send" / "Transfer Deposit" move units between platforms: the
+ * total position does not change, so they are skipped instead of being
+ * turned into a sale and a purchase that would realise a fake gain.
+ */
+function parseLegacySheet(rows) {
+  const transactions = [];
+  const skipped = [];
+  const warnings = [];
+  const transfers = [];
+
+  rows.forEach((row, i) => {
+    try {
+      const date = safeDate(row['Date']);
+      if (!date) { skipped.push({ rowIndex: i, reason: 'Data non valida', rawRow: row }); return; }
+
+      const action     = String(row['Action'] || '').trim();
+      const assetClass = String(row['Asset Class'] || '').trim();
+      const rawTicker  = String(row['Asset Ticker'] || '').trim();
+      const platform   = String(row['Platform'] || '').trim();
+      const currency   = String(row['Currency'] || 'EUR').trim().toUpperCase() || 'EUR';
+      const qty        = safeFloat(row['Quantity']);
+      const price      = safeFloat(row['Price']);
+      const notes      = [`Google Sheets | ${platform}`, row['Strategy'], row['Notes']].filter(Boolean).join(' | ');
+      const sourceId   = `sheet:${row['Date']}|${action}|${rawTicker}|${platform}|${row['Quantity']}|${row['Price']}`;
+      const kind       = action.toLowerCase();
+
+      if (kind.startsWith('transfer')) {
+        transfers.push({ kind, ticker: rawTicker, date, qty, platform });
+        skipped.push({ rowIndex: i, reason: `Trasferimento tra piattaforme (${action} ${platform}): posizione complessiva invariata`, rawRow: row });
+        return;
+      }
+
+      if (kind === 'cash deposit' || kind === 'cash withdrawal') {
+        const amount = qty * price * (kind === 'cash withdrawal' ? -1 : 1);
+        if (amount === 0) { skipped.push({ rowIndex: i, reason: 'Movimento di liquidità a zero', rawRow: row }); return; }
+        transactions.push({
+          ...cashMovement({ name: amount > 0 ? 'Deposito' : 'Prelievo', type: amount > 0 ? 'buy' : 'sell', date, amount, notes, sourceId }),
+          currency, platform,
+        });
+        return;
+      }
+
+      if (kind !== 'buy' && kind !== 'sell') {
+        skipped.push({ rowIndex: i, reason: `Azione non supportata: "${action}"`, rawRow: row });
+        return;
+      }
+      // Il foglio esporta i valori come visualizzati: 0,000029 BTC diventa "0,0000"
+      if (qty <= 0 || price <= 0) { skipped.push({ rowIndex: i, reason: 'Quantità o prezzo zero (arrotondati nell\'export? aumenta i decimali nel foglio e riesporta)', rawRow: row }); return; }
+
+      const ticker = normalizeSheetTicker(rawTicker, assetClass);
+      const { macroCategory, microCategory, name } = classifySheetAsset(ticker, assetClass);
+      transactions.push({
+        ticker, name: name || rawTicker, isin: '', macroCategory, microCategory,
+        date, price, quantity: qty, commission: Math.abs(safeFloat(row['Fiat Fees'])),
+        currency, notes, type: kind, sourceId, platform,
+      });
+    } catch (err) {
+      skipped.push({ rowIndex: i, reason: `Errore parsing: ${err.message}`, rawRow: row });
+    }
+  });
+
+  // Un invio senza il deposito corrispondente (o viceversa) è un'uscita/entrata reale
+  const unmatched = transfers.filter(t => !transfers.some(o =>
+    o !== t && o.kind !== t.kind && o.ticker === t.ticker && o.date === t.date && Math.abs(o.qty - t.qty) < 1e-8));
+  if (unmatched.length) {
+    warnings.push(`⚠️ ${unmatched.length} trasferimenti senza la riga corrispondente (${unmatched.map(t => `${t.ticker} ${t.date}`).join(', ')}): aggiungili a mano come acquisto o vendita se i titoli sono entrati o usciti dal portafoglio.`);
+  }
+
+  return { transactions, skipped, warnings };
+}
+
 function parseGeneric(rows) {
   const transactions = [];
   const skipped = [];
@@ -977,12 +1745,16 @@ const COLUMN_ALIASES = {
   quantity:  ['quantity', 'quantità', 'qty', 'no. of shares', 'executed', 'amount', 'change'],
   type:      ['type', 'tipo', 'side', 'action', 'operation', 'tipo ordine', 'operazione'],
   commission:['commission', 'commissioni', 'fee', 'comm/fee', 'spese', 'charge'],
+  // Solo per il wizard di mappatura
+  isin:      ['isin', 'codice isin', 'isin code'],
+  total:     ['total', 'totale', 'controvalore', 'importo', 'net amount'],
+  currency:  ['valuta', 'divisa', 'currency'],
 };
 
 function parseUnknown(rows, headers) {
   const warnings = [
     `⚠️ Formato CSV non riconosciuto. Colonne trovate: [${headers.slice(0, 10).join(' | ')}]. ` +
-    `Piattaforme supportate: Trading 212, DeGiro, Fineco, Binance (Spot + History), Crypto.com, Interactive Brokers, Revolut. ` +
+    `Piattaforme supportate: Trading 212, DeGiro, Fineco, Binance (Spot + History), Crypto.com, Interactive Brokers, Revolut, Directa, Scalable Capital, Trade Republic, XTB, vecchio foglio Google Sheets. ` +
     `Tentativo di import generico — verifica che i campi siano corretti.`,
   ];
   const hLow = headers.map(h => h.toLowerCase().trim());
@@ -1047,6 +1819,59 @@ function parseUnknown(rows, headers) {
 // MAIN ENTRY POINT
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * Common post-processing of a parser result (also used by the PDF import):
+ * drops dateless rows, stamps the platform, builds the batch date range and
+ * lists the tickers missing from our database.
+ */
+export function finalizeParseResult({ platform, platformLabel, result, warnings = [] }) {
+  // Validate: remove any row where date is null (safeDate failed and was caught)
+  const validTransactions = result.transactions.filter(tx => {
+    if (!tx.date) {
+      result.skipped.push({ rowIndex: -1, reason: 'Data nulla post-parsing', rawRow: tx });
+      return false;
+    }
+    return true;
+  });
+
+  // Inject platform into every transaction (unless already set by generic re-import)
+  const withPlatform = validTransactions.map(tx => ({
+    ...tx,
+    platform: tx.platform || platformLabel,
+  }));
+
+  // Build date range label for batch metadata
+  const dates = withPlatform.map(t => t.date).filter(Boolean).sort();
+  const dateRange = dates.length
+    ? (dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} → ${dates[dates.length - 1]}`)
+    : '';
+
+  // ── Rileva ticker non riconosciuti (rischio prezzo/categoria mancante) ──
+  // Un titolo è "sconosciuto" se né l'ISIN né il ticker sono nel nostro DB.
+  const unknownMap = {};
+  withPlatform.forEach(tx => {
+    if (tx.isCash || tx.macroCategory === 'Cash') return;
+    const t = (tx.ticker || '').toUpperCase();
+    if (!t || unknownMap[t]) return;
+    const isinKnown    = tx.isin && lookupISIN(tx.isin);
+    const profileKnown = getCompositionProfile(tx.ticker, tx.macroCategory);
+    if (!isinKnown && !profileKnown) {
+      unknownMap[t] = { ticker: tx.ticker, name: tx.name || tx.ticker, isin: tx.isin || '', macroCategory: tx.macroCategory || '' };
+    }
+  });
+  const unknownTickers = Object.values(unknownMap);
+
+  return {
+    platform,
+    platformLabel,
+    transactions: withPlatform,
+    skipped: result.skipped || [],
+    warnings,
+    dateRange,
+    unknownTickers,
+  };
+}
+
 /**
  * Parse a CSV File object.
  * Returns a Promise resolving to:
@@ -1058,7 +1883,7 @@ function parseUnknown(rows, headers) {
  *   warnings:      string[] (non-fatal messages)
  * }
  */
-export function parseCSVFile(file) {
+export function parseCSVFile(file, { profile = null } = {}) {
   return new Promise((resolve, reject) => {
     // Prima passata SENZA header: alcuni broker (Fineco, banche italiane)
     // mettono righe di metadata prima dell'intestazione vera.
@@ -1099,13 +1924,15 @@ export function parseCSVFile(file) {
             return resolve({ platform: 'empty', platformLabel: 'Vuoto', transactions: [], skipped: [], warnings: ['Il file è vuoto o non ha righe valide.'] });
           }
 
-          const platform     = detectPlatform(headers);
-          const platformLabel = PLATFORMS[platform]?.label || 'Formato sconosciuto';
+          const platform     = profile ? PROFILE_PREFIX + (profile.id || 'draft') : detectPlatform(headers);
+          const userProfile  = profile || getCSVProfile(platform);
+          const platformLabel = userProfile?.name || PLATFORMS[platform]?.label || 'Formato sconosciuto';
           const warnings     = [];
 
           // IBKR special: even if detected, pass raw rows for multi-section parsing
           let result;
-          switch (platform) {
+          if (userProfile) result = parseWithProfile(rows, userProfile);
+          else switch (platform) {
             case 'trading212':      result = parseTrading212(rows);                  break;
             case 'degiro':          result = parseDeGiro(rows);                      break;
             case 'fineco':          result = parseFineco(rows);                      break;
@@ -1114,6 +1941,11 @@ export function parseCSVFile(file) {
             case 'cryptocom':       result = parseCryptoCom(rows);                   break;
             case 'ibkr':            result = parseIBKR(rows, headers);               break;
             case 'revolut':         result = parseRevolut(rows);                     break;
+            case 'directa':         result = parseDirecta(rows);                     break;
+            case 'scalable':        result = parseScalable(rows);                    break;
+            case 'traderepublic':   result = parseTradeRepublic(rows);               break;
+            case 'xtb':             result = parseXTB(rows);                         break;
+            case 'legacy_sheet':    result = parseLegacySheet(rows);                 break;
             case 'generic':         result = parseGeneric(rows);                     break;
             default:                result = parseUnknown(rows, headers);            break;
           }
@@ -1122,54 +1954,13 @@ export function parseCSVFile(file) {
           if (platform === 'binance_history') {
             warnings.push('⚠️ Il formato Binance Transaction History non include i prezzi. Le transazioni importate avranno prezzo 0 — aggiorna manualmente o usa il formato "Spot Trading History".');
           }
-          if (platform === 'unknown') {
-            warnings.push(...(result.warnings || []));
-          }
-
-          // Validate: remove any row where date is null (safeDate failed and was caught)
-          const validTransactions = result.transactions.filter(tx => {
-            if (!tx.date) {
-              result.skipped.push({ rowIndex: -1, reason: 'Data nulla post-parsing', rawRow: tx });
-              return false;
-            }
-            return true;
-          });
-
-          // Inject platform into every transaction (unless already set by generic re-import)
-          const withPlatform = validTransactions.map(tx => ({
-            ...tx,
-            platform: tx.platform || platformLabel,
-          }));
-
-          // Build date range label for batch metadata
-          const dates = withPlatform.map(t => t.date).filter(Boolean).sort();
-          const dateRange = dates.length
-            ? (dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} → ${dates[dates.length - 1]}`)
-            : '';
-
-          // ── Rileva ticker non riconosciuti (rischio prezzo/categoria mancante) ──
-          // Un titolo è "sconosciuto" se né l'ISIN né il ticker sono nel nostro DB.
-          const unknownMap = {};
-          withPlatform.forEach(tx => {
-            if (tx.isCash || tx.macroCategory === 'Cash') return;
-            const t = (tx.ticker || '').toUpperCase();
-            if (!t || unknownMap[t]) return;
-            const isinKnown    = tx.isin && lookupISIN(tx.isin);
-            const profileKnown = getCompositionProfile(tx.ticker, tx.macroCategory);
-            if (!isinKnown && !profileKnown) {
-              unknownMap[t] = { ticker: tx.ticker, name: tx.name || tx.ticker, isin: tx.isin || '', macroCategory: tx.macroCategory || '' };
-            }
-          });
-          const unknownTickers = Object.values(unknownMap);
+          warnings.push(...(result.warnings || []));
 
           resolve({
-            platform,
-            platformLabel,
-            transactions: withPlatform,
-            skipped: result.skipped || [],
-            warnings,
-            dateRange,
-            unknownTickers,
+            ...finalizeParseResult({ platform, platformLabel, result, warnings }),
+            // Per il wizard di mappatura colonne
+            headers,
+            sampleRows: rows.slice(0, 20),
           });
         } catch (err) {
           reject(err);
@@ -1196,9 +1987,10 @@ export function findDuplicates(incoming, existing) {
   const duplicates = [];
   const unique     = [];
 
-  // Index 1: sourceId lookup (platform unique IDs like T212's EOF... or UUID)
+  // Index 1: sourceId lookup (platform unique IDs like T212's EOF... or UUID);
+  // rows merged in the import preview keep the absorbed IDs in mergedSourceIds
   const existingSourceIds = new Set(
-    existing.map(tx => tx.sourceId).filter(Boolean)
+    existing.flatMap(tx => [tx.sourceId, ...(tx.mergedSourceIds || [])]).filter(Boolean)
   );
 
   // Index 2: fallback — ticker + date + type + qty within 1.5%
@@ -0,0 +1,109 @@
+/**
+ * Currency Service — valuta base dell'app
+ *
+ * Tutti i calcoli (costo di carico, P/L, fiscalità) restano in EUR, la valuta
+ * in cui sono registrate le transazioni. La valuta base scelta nelle
+ * impostazioni (EUR, USD, CHF, GBP) si applica in visualizzazione: gli importi
+ * in EUR vengono convertiti al cambio live di priceService e formattati con
+ * un unico helper, al posto dei vari fmtEur sparsi nelle pagine.
+ *
+ * I report fiscali italiani restano sempre in EUR.
+ */
+
+import { getBaseCurrency } from './localStorageService';
+import { getCurrentFXRate } from './fxService';
+import { refreshFXRates } from './priceService';
+
+export const BASE_CURRENCIES = {
+  EUR: { symbol: '€',   label: 'Euro',            flag: '🇪🇺' },
+  USD: { symbol: '$',   label: 'Dollaro USA',     flag: '🇺🇸' },
+  CHF: { symbol: 'CHF', label: 'Franco svizzero', flag: '🇨🇭' },
+  GBP: { symbol: '£',   label: 'Sterlina',        flag: '🇬🇧' },
+};
+
+export { getBaseCurrency };
+
+/**
+ * @param {string} [code] - default valuta base
+ * @returns {string} Simbolo della valuta (es. '€', '$', 'CHF')
+ */
+export const getCurrencySymbol = (code = getBaseCurrency()) =>
+  BASE_CURRENCIES[code]?.symbol || code;
+
+/**
+ * Unità di valuta base per 1 EUR (1 se la valuta base è l'euro)
+ * @returns {number}
+ */
+export const getBaseRate = () => 1 / getCurrentFXRate(getBaseCurrency());
+
+/**
+ * Converte un importo in EUR nella valuta base
+ * @param {number} amountEur
+ * @returns {number}
+ */
+export const toBase = (amountEur) => (amountEur || 0) * getBaseRate();
+
+/**
+ * Converte un importo in valuta base in EUR (es. importo di un PAC)
+ * @param {number} amount
+ * @param {string} [code] - valuta dell'importo, default valuta base
+ * @returns {number}
+ */
+export const toEUR = (amount, code = getBaseCurrency()) => (amount || 0) * getCurrentFXRate(code);
+
+/**
+ * Formatta un importo già espresso nella valuta base (o in `currency`).
+ * Simbolo davanti come nel resto dell'app: €1.234,56 · CHF 1.234,56
+ *
+ * @param {number} value
+ * @param {Object} [options]
+ * @param {number} [options.decimals=2]
+ * @param {boolean} [options.sign=false] - Mostra '+' per i valori positivi
+ * @param {boolean} [options.compact=false] - 1,2k · 3,4M
+ * @param {string} [options.currency] - default valuta base
+ * @returns {string}
+ */
+export const formatMoney = (value, { decimals = 2, sign = false, compact = false, currency } = {}) => {
+  const n = Number(value) || 0;
+  const symbol = getCurrencySymbol(currency);
+  const prefix = symbol.length > 1 ? `${symbol} ` : symbol;
+  const abs = Math.abs(n);
+  const body = compact && abs >= 1000
+    ? abs >= 1_000_000
+      ? `${(abs / 1_000_000).toLocaleString('it-IT', { maximumFractionDigits: 1 })}M`
+      : `${(abs / 1000).toLocaleString('it-IT', { maximumFractionDigits: 1 })}k`
+    : abs.toLocaleString('it-IT', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  const signStr = n < 0 ? '-' : (sign && n > 0 ? '+' : '');
+  return `${signStr}${prefix}${body}`;
+};
+
+/**
+ * Converte un importo in EUR nella valuta base e lo formatta
+ * @param {number} amountEur
+ * @param {Object} [options] - vedi formatMoney
+ * @returns {string}
+ */
+export const formatFromEUR = (amountEur, options = {}) => formatMoney(toBase(amountEur), options);
+
+/**
+ * Scarica i cambi live (se scaduti) prima della prima visualizzazione
+ * @returns {Promise<boolean>} true se è stato scaricato un cambio (valuta base ≠ EUR)
+ */
+export async function refreshBaseCurrencyRate() {
+  if (getBaseCurrency() === 'EUR') return false;
+  await refreshFXRates();
+  console.log(`💱 Base currency ${getBaseCurrency()}: 1 EUR = ${getBaseRate().toFixed(4)}`);
+  return true;
+}
+
+export default {
+  BASE_CURRENCIES,
+  getBaseCurrency,
+  getCurrencySymbol,
+  getBaseRate,
+  toBase,
+  toEUR,
+  formatMoney,
+  formatFromEUR,
+  refreshBaseCurrencyRate
+};
@@ -0,0 +1,335 @@
+/**
+ * Decumulation Service
+ * Simulatore di prelievo in pensione: quanto dura il capitale con una
+ * strategia di prelievo, lungo sequenze di rendimenti realmente accadute.
+ *
+ *   historical → una traiettoria per ogni mese di partenza dello storico
+ *                (finestre circolari quando l'orizzonte supera lo storico)
+ *   bootstrap  → blocchi di mesi consecutivi ripescati con seed (monteCarloService)
+ *
+ * Tutto è in termini reali (€ di oggi): i rendimenti sono deflazionati con
+ * l'inflazione ipotizzata, quindi un prelievo "costante" è già indicizzato.
+ * Il rischio di sequenza emerge confrontando il rendimento dei primi anni
+ * delle traiettorie fallite con quello delle riuscite.
+ */
+
+import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from './historicalPriceService';
+import { getProxyInfo } from '../config/etfProxyMap';
+import { monthlyReturns } from './correlationService';
+import { createRng, randomSeed, DEFAULT_BLOCK_MONTHS, MIN_HISTORY_MONTHS } from './monteCarloService';
+
+export const WITHDRAWAL_STRATEGIES = {
+  constant: {
+    label: 'Costante indicizzata',
+    description: 'Il tasso iniziale sul capitale di partenza, poi la stessa cifra reale ogni anno (regola del 4%)',
+  },
+  percentage: {
+    label: '% del portafoglio',
+    description: 'Ogni anno la stessa percentuale del capitale residuo: non si esaurisce, ma la rendita oscilla',
+  },
+  guardrails: {
+    label: 'Guardrail (Guyton-Klinger)',
+    description: 'Prelievo indicizzato, tagliato o aumentato quando il tasso corrente esce dalla banda',
+  },
+  vpw: {
+    label: 'VPW',
+    description: 'Variable Percentage Withdrawal: rata di una rendita sugli anni che restano',
+  },
+};
+
+export const DECUMULATION_SOURCES = {
+  historical: { label: 'Sequenze storiche', description: 'Ogni mese dello storico come data di pensionamento' },
+  bootstrap:  { label: 'Bootstrap a blocchi', description: 'Blocchi di mesi consecutivi ripescati a caso' },
+};
+
+export const DEFAULT_DECUMULATION_PARAMS = {
+  years: 30,
+  withdrawalRate: 4,
+  inflation: 2,
+  strategy: 'constant',
+  source: 'historical',
+  simulations: 2000,
+  blockMonths: DEFAULT_BLOCK_MONTHS,
+  seed: '',
+  guardrailBand: 20,    // % di scostamento del tasso corrente dall'iniziale
+  guardrailAdjust: 10,  // % di taglio / aumento del prelievo
+  vpwReturn: 3,         // rendimento reale ipotizzato dalla VPW
+};
+
+// Anni iniziali su cui misurare il rischio di sequenza
+const SEQUENCE_YEARS = 10;
+
+// Storico richiesto: dal 1990, con i proxy per gli ETF più giovani
+const HISTORY_START = '1990-01-01';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RETURN HISTORY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rendimenti mensili storici del portafoglio attuale (pesi di mercato fissi)
+ *
+ * Ogni titolo usa i suoi prezzi, prima della quotazione quelli del proxy
+ * (etfProxyMap) al netto del TER; nei mesi in cui manca qualche titolo i pesi
+ * sono rinormalizzati sui presenti, se coprono almeno metà del portafoglio.
+ *
+ * @param {Array} holdings - portfolioSnapshot().holdings
+ * @returns {Promise<{ returns: Array<number>, months: Array<string>, tickers: number }>}
+ */
+export async function loadPortfolioReturnHistory(holdings) {
+  const positions = holdings.filter(h => !h.isCash && h.marketValue > 0 && h.ticker);
+  const total = positions.reduce((s, h) => s + h.marketValue, 0);
+  if (total <= 0) return { returns: [], months: [], tickers: 0 };
+
+  const fetchList = new Set();
+  positions.forEach(h => {
+    fetchList.add(h.ticker);
+    const proxy = getProxyInfo(h.ticker);
+    if (proxy) fetchList.add(proxy.proxyTicker);
+  });
+
+  const today = new Date().toISOString().split('T')[0];
+  const historical = await fetchMultipleHistoricalPrices([...fetchList], HISTORY_START, today);
+  const series = {};
+  fetchList.forEach(ticker => {
+    series[ticker] = monthlyReturns(buildMonthlyPriceTable(historical[ticker] || []));
+  });
+
+  const allMonths = [...new Set(Object.values(series).flatMap(s => Object.keys(s)))].sort();
+  const returns = [];
+  const months = [];
+  allMonths.forEach(month => {
+    let weighted = 0;
+    let covered = 0;
+    positions.forEach(h => {
+      let r = series[h.ticker]?.[month];
+      if (r === undefined) {
+        const proxy = getProxyInfo(h.ticker);
+        const proxyReturn = proxy ? series[proxy.proxyTicker]?.[month] : undefined;
+        if (proxyReturn !== undefined) r = proxyReturn - proxy.ter / 100 / 12;
+      }
+      if (r === undefined) return;
+      weighted += r * h.marketValue;
+      covered += h.marketValue;
+    });
+    if (covered >= total / 2) {
+      returns.push(weighted / covered);
+      months.push(month);
+    }
+  });
+
+  console.log(`🏖️ Decumulation history: ${returns.length} months (${months[0] || '-'} → ${months[months.length - 1] || '-'})`);
+  return { returns, months, tickers: positions.length };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WITHDRAWAL RULES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Prelievo annuo (reale) all'inizio dell'anno `year` (0 = primo anno)
+ * @param {Object} ctx - { strategy, rate, initial, value, previous, lastYearReturn, year, years, params }
+ * @returns {number}
+ */
+export function nextAnnualWithdrawal(ctx) {
+  const { strategy, rate, initial, value, previous, lastYearReturn, year, years, params } = ctx;
+  const remaining = years - year;
+
+  if (strategy === 'percentage') return value * rate;
+
+  if (strategy === 'vpw') {
+    const r = params.vpwReturn / 100;
+    const pmtRate = r === 0 ? 1 / remaining : r / (1 - Math.pow(1 + r, -remaining));
+    return value * Math.min(1, pmtRate);
+  }
+
+  if (year === 0) return initial * rate;
+
+  if (strategy === 'guardrails') {
+    const inflationFactor = 1 + params.inflation / 100;
+    const band = params.guardrailBand / 100;
+    const adjust = params.guardrailAdjust / 100;
+    let withdrawal = previous;
+    const currentRate = value > 0 ? withdrawal / value : Infinity;
+    // Regola dell'inflazione: dopo un anno negativo niente adeguamento
+    if (lastYearReturn < 0 && currentRate > rate) withdrawal /= inflationFactor;
+    // Conservazione del capitale (non negli ultimi 15 anni) e prosperità
+    if (currentRate > rate * (1 + band) && remaining > 15) withdrawal *= 1 - adjust;
+    else if (currentRate < rate * (1 - band)) withdrawal *= 1 + adjust;
+    return withdrawal;
+  }
+
+  return previous;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIMULATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const _percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+const _median = (values) => (values.length ? _percentile([...values].sort((a, b) => a - b), 50) : null);
+
+/**
+ * Una traiettoria di decumulo
+ * @param {number} initial
+ * @param {Function} nextReturn - () => rendimento mensile reale
+ * @param {Object} params
+ * @returns {{ values: Array<number>, withdrawals: Array<number>, depletedYear: number|null, earlyReturn: number }}
+ */
+function _simulatePath(initial, nextReturn, params) {
+  const rate = params.withdrawalRate / 100;
+  const values = [initial];
+  const withdrawals = [];
+  let value = initial;
+  let withdrawal = 0;
+  let lastYearReturn = 0;
+  let depletedYear = null;
+  let earlyGrowth = 1;
+
+  for (let year = 0; year < params.years; year++) {
+    withdrawal = value > 0
+      ? nextAnnualWithdrawal({ strategy: params.strategy, rate, initial, value, previous: withdrawal, lastYearReturn, year, years: params.years, params })
+      : 0;
+    let paid = 0;
+    let growth = 1;
+    for (let m = 0; m < 12; m++) {
+      const r = nextReturn();
+      growth *= 1 + r;
+      // Ultimo anno VPW: il residuo si divide sui mesi che restano
+      const finalVPW = params.strategy === 'vpw' && year === params.years - 1;
+      const take = finalVPW ? value / (12 - m) : Math.min(value, withdrawal / 12);
+      value -= take;
+      paid += take;
+      value *= 1 + r;
+      // Esaurito se restano prelievi da pagare (la VPW azzera il capitale all'ultimo mese)
+      const lastMonth = year === params.years - 1 && m === 11;
+      if (value <= 0.01 && depletedYear === null && !lastMonth) {
+        value = 0;
+        depletedYear = year + 1;
+      }
+    }
+    if (year < SEQUENCE_YEARS) earlyGrowth *= growth;
+    lastYearReturn = growth - 1;
+    withdrawals.push(paid);
+    values.push(value);
+  }
+
+  const earlyYears = Math.min(SEQUENCE_YEARS, params.years);
+  return { values, withdrawals, depletedYear, earlyReturn: (Math.pow(earlyGrowth, 1 / earlyYears) - 1) * 100 };
+}
+
+/**
+ * Esegue il simulatore di decumulo
+ *
+ * @param {number} initialCapital - valore attuale del portafoglio
+ * @param {Object} history - { returns: Array<number> nominali mensili, months: Array<string> }
+ * @param {Object} params - vedi DEFAULT_DECUMULATION_PARAMS
+ * @returns {Object} successRate, terminali, anno di esaurimento peggiore, bande annue, rischio di sequenza
+ * @throws {Error} se lo storico è troppo corto
+ */
+export function runDecumulation(initialCapital, history, params) {
+  const p = { ...DEFAULT_DECUMULATION_PARAMS, ...params };
+  if ((history.returns?.length || 0) < MIN_HISTORY_MONTHS) {
+    throw new Error(`Servono almeno ${MIN_HISTORY_MONTHS} mesi di storico (ora ${history.returns?.length || 0})`);
+  }
+
+  const monthlyInflation = Math.pow(1 + p.inflation / 100, 1 / 12);
+  const real = history.returns.map(r => (1 + r) / monthlyInflation - 1);
+  const n = real.length;
+
+  // Generatori: una partenza per mese (storico) o blocchi casuali (bootstrap)
+  const starts = [];
+  let seed = null;
+  let pathCount;
+  let makeReturns;
+  if (p.source === 'bootstrap') {
+    seed = p.seed === '' || p.seed == null ? randomSeed() : p.seed;
+    const rng = createRng(seed);
+    const block = Math.max(1, Math.min(p.blockMonths, n));
+    pathCount = p.simulations;
+    makeReturns = () => {
+      let pos = 0;
+      let left = 0;
+      return () => {
+        if (left === 0) { pos = Math.floor(rng() * n); left = block; }
+        left--;
+        return real[pos++ % n];
+      };
+    };
+  } else {
+    pathCount = n;
+    makeReturns = (i) => {
+      let pos = i;
+      return () => real[pos++ % n];
+    };
+  }
+
+  const paths = [];
+  for (let i = 0; i < pathCount; i++) {
+    paths.push(_simulatePath(initialCapital, makeReturns(i), p));
+    if (p.source !== 'bootstrap') starts.push(history.months?.[i] || null);
+  }
+
+  const terminals = paths.map(x => x.values[p.years]).sort((a, b) => a - b);
+  const failed = paths.filter(x => x.depletedYear !== null);
+  const succeeded = paths.filter(x => x.depletedYear === null);
+
+  // Peggior partenza: esaurimento più precoce, a parità il terminale più basso
+  let worstIdx = 0;
+  paths.forEach((x, i) => {
+    const w = paths[worstIdx];
+    const key = (y) => (y.depletedYear ?? Infinity);
+    if (key(x) < key(w) || (key(x) === key(w) && x.values[p.years] < w.values[p.years])) worstIdx = i;
+  });
+
+  const bands = [];
+  for (let year = 0; year <= p.years; year++) {
+    const values = paths.map(x => x.values[year]).sort((a, b) => a - b);
+    const point = { year, p10: _percentile(values, 10), p50: _percentile(values, 50), p90: _percentile(values, 90) };
+    if (year > 0) {
+      const w = paths.map(x => x.withdrawals[year - 1]).sort((a, b) => a - b);
+      point.withdrawalP10 = _percentile(w, 10);
+      point.withdrawalP50 = _percentile(w, 50);
+    }
+    bands.push(point);
+  }
+
+  const allWithdrawals = paths.flatMap(x => x.withdrawals).sort((a, b) => a - b);
+  const depletionByYear = {};
+  failed.forEach(x => { depletionByYear[x.depletedYear] = (depletionByYear[x.depletedYear] || 0) + 1; });
+
+  return {
+    source: p.source,
+    strategy: p.strategy,
+    seed,
+    paths: pathCount,
+    historyMonths: n,
+    successRate: (succeeded.length / pathCount) * 100,
+    medianTerminal: _percentile(terminals, 50),
+    terminalP10: _percentile(terminals, 10),
+    terminalP90: _percentile(terminals, 90),
+    worstDepletionYear: failed.length ? Math.min(...failed.map(x => x.depletedYear)) : null,
+    medianDepletionYear: _median(failed.map(x => x.depletedYear)),
+    depletionByYear,
+    worstStart: starts[worstIdx] || null,
+    firstYearWithdrawal: paths[0].withdrawals[0],
+    medianWithdrawal: _percentile(allWithdrawals, 50),
+    lowWithdrawal: _percentile(allWithdrawals, 5),
+    totalWithdrawnMedian: _median(paths.map(x => x.withdrawals.reduce((s, w) => s + w, 0))),
+    sequenceRisk: {
+      years: Math.min(SEQUENCE_YEARS, p.years),
+      failedEarlyReturn: _median(failed.map(x => x.earlyReturn)),
+      succeededEarlyReturn: _median(succeeded.map(x => x.earlyReturn)),
+    },
+    bands,
+  };
+}
+
+export default {
+  WITHDRAWAL_STRATEGIES,
+  DECUMULATION_SOURCES,
+  DEFAULT_DECUMULATION_PARAMS,
+  loadPortfolioReturnHistory,
+  nextAnnualWithdrawal,
+  runDecumulation,
+};
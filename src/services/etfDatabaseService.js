@@ -23,6 +23,7 @@
  */
 
 import { getCompositionProfile, getTerForTicker } from '../data/etfComposition';
+import { isFixtureMode } from './marketDataService';
 
 // ── Configurazione ────────────────────────────────────────────────────────────
 
@@ -104,7 +105,13 @@ export async function initRemoteDB() {
     return { fresh: false, version: stored.version || null, error: null };
   }
 
-  // 3. Fetch remoto
+  // 3. Modalità fixture: niente rete, cache scaduta o solo dati locali
+  if (isFixtureMode()) {
+    if (stored) _memCache = stored;
+    return { fresh: false, version: stored?.version || null, error: null };
+  }
+
+  // 4. Fetch remoto
   try {
     const response = await fetch(REMOTE_DB_URL, {
       cache: 'no-store',
@@ -4,12 +4,13 @@
  * Fetches underlying holdings for European ETFs via JustETF's public API,
  * identified by ISIN.  Results are cached in localStorage for 7 days.
  *
- * API:  GET https://www.justetf.com/api/etfs/{ISIN}/holdings
- *       ?locale=en&valuesType=ABSOLUTE&maxBenchmarks=1
- *       &sortField=weightPercent&sortOrder=DESC
+ * API:  GET /api/price?type=holdings&isin={ISIN}
+ *       (il server interroga JustETF e normalizza in [{ name, isin, pct }])
  */
 
-const CORS_PROXY = 'https://corsproxy.io/?';
+import { fetchEtfHoldings } from './priceApi';
+import { isFixtureMode } from './marketDataService';
+
 const CACHE_PREFIX = 'etf_holdings_v1_';
 const CACHE_TTL = 7 * 24 * 60 * 60 * 1000;   // 7 days
 const MISS_TTL  = 24 * 60 * 60 * 1000;         // 24 h negative-result cache
@@ -43,30 +44,6 @@ function _setCache(isin, holdings) {
   } catch {}
 }
 
-// ── Fetch helpers ─────────────────────────────────────────────────────────────
-
-async function _fetchWithTimeout(url, ms = 12000) {
-  const ctrl = new AbortController();
-  const timer = setTimeout(() => ctrl.abort(), ms);
-  try {
-    return await fetch(url, { signal: ctrl.signal });
-  } finally {
-    clearTimeout(timer);
-  }
-}
-
-// Parse a single raw holding entry from JustETF
-function _parseHolding(h) {
-  const pct = h.weightPercent ?? h.weight ?? h.percentage ?? 0;
-  const name = h.holdingName ?? h.name ?? h.description ?? h.isin ?? null;
-  if (!name || pct <= 0) return null;
-  return {
-    name,
-    isin: h.isin ?? h.ISIN ?? null,
-    pct: Math.round(pct * 100) / 100,
-  };
-}
-
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
@@ -86,44 +63,16 @@ export async function getHoldingsByIsin(isin) {
     return cached;
   }
 
-  try {
-    const apiUrl =
-      `https://www.justetf.com/api/etfs/${isin}/holdings` +
-      `?locale=en&valuesType=ABSOLUTE&maxBenchmarks=1` +
-      `&sortField=weightPercent&sortOrder=DESC`;
-
-    const proxied = CORS_PROXY + encodeURIComponent(apiUrl);
-    console.log(`🌐 JustETF fetch: ${isin}`);
-
-    const resp = await _fetchWithTimeout(proxied, 12000);
-    if (!resp.ok) {
-      console.warn(`❌ JustETF HTTP ${resp.status} for ${isin}`);
-      _setCache(isin, []);
-      return null;
-    }
+  // Modalità fixture: niente rete, solo la cache
+  if (isFixtureMode()) return null;
 
-    const json = await resp.json();
-
-    // JustETF may wrap in different shapes
-    const rawList =
-      json.holdings ??
-      json.data?.holdings ??
-      json.items ??
-      json.positions ??
-      [];
-
-    const holdings = rawList
-      .map(_parseHolding)
-      .filter(Boolean)
-      .sort((a, b) => b.pct - a.pct);
-
-    console.log(`✅ JustETF ${isin}: ${holdings.length} holdings`);
-    _setCache(isin, holdings);
-    return holdings;
-  } catch (err) {
-    console.warn(`❌ JustETF fetch error for ${isin}:`, err.message);
-    return null;   // Do NOT cache network errors — allow retry
-  }
+  console.log(`🌐 JustETF fetch: ${isin}`);
+  const holdings = await fetchEtfHoldings(isin);
+  if (holdings === null) return null;   // Do NOT cache network errors — allow retry
+
+  console.log(`✅ JustETF ${isin}: ${holdings.length} holdings`);
+  _setCache(isin, holdings);
+  return holdings;
 }
 
 /**
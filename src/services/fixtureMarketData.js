@@ -0,0 +1,251 @@
+/**
+ * Fixture Market Data — provider offline deterministico
+ *
+ * Genera quotazioni, storici, cambi, ricerca e TER senza rete, a partire dal
+ * solo simbolo: stesso simbolo e stessa data → stesso prezzo, su ogni
+ * macchina e a ogni avvio. Serve per sviluppare e provare le pagine senza
+ * dipendere da Yahoo / CoinGecko (VITE_MARKET_DATA=fixture).
+ *
+ * Modello: passeggiata casuale lognormale mensile, con rendimento atteso e
+ * volatilità presi da assetTickerMapping quando il ticker è noto. Il livello
+ * è ancorato a gennaio 2025 (prezzo di riferimento), quindi uno storico più
+ * lungo non cambia i prezzi dei mesi già generati.
+ */
+
+import { getAssetInfo, ASSET_TICKER_MAPPING } from '../config/assetTickerMapping';
+import { isCrypto, extractCryptoSymbol } from './coinGecko';
+
+const ANCHOR_MONTH = 2025 * 12; // gennaio 2025
+const ANCHOR_DATE = '2025-01-01';
+
+// EUR per 1 unità, al mese di riferimento
+const FIXTURE_FX = { USD: 0.92, GBP: 1.18, CHF: 1.06 };
+
+// Prezzi di riferimento plausibili per i simboli più usati (valuta del listing)
+const FIXTURE_PRICES = {
+  'SWDA.MI': 98, 'VWCE.DE': 125, 'VWCE.MI': 125, 'SXR8.DE': 560,
+  'EIMI.MI': 32, 'AGGH.MI': 5.2, 'SPY': 590, 'AAPL': 240, 'MSFT': 420,
+  BTC: 90000, ETH: 3200, BNB: 650, SOL: 190, XRP: 2.3, ADA: 0.9, DOGE: 0.3,
+};
+
+// ── Generatore deterministico ────────────────────────────────────────────────
+
+/** FNV-1a 32 bit */
+const _hash = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/** Normale standard deterministica per una chiave (Box-Muller) */
+const _gauss = (key) => {
+  const u1 = (_hash(`${key}|a`) + 1) / 4294967297;
+  const u2 = (_hash(`${key}|b`) + 1) / 4294967297;
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+const _monthIndex = (date) => {
+  const [y, m] = date.slice(0, 7).split('-').map(Number);
+  return y * 12 + (m - 1);
+};
+
+const _monthKey = (idx) => `${Math.floor(idx / 12)}-${String((idx % 12) + 1).padStart(2, '0')}`;
+
+const _today = () => new Date().toISOString().split('T')[0];
+
+// ── Profilo dello strumento ──────────────────────────────────────────────────
+
+const _fxPair = (symbol) => symbol.match(/^EUR([A-Z]{3})=X$/)?.[1] || null;
+
+/**
+ * Valuta del listing, come la riporterebbe Yahoo
+ */
+const _currencyOf = (symbol) => {
+  const fx = _fxPair(symbol);
+  if (fx) return fx;
+  const pair = symbol.match(/-(EUR|USD|GBP|CHF)$/);
+  if (pair) return pair[1];
+  if (isCrypto(symbol)) return 'EUR';
+  if (symbol.endsWith('.L')) return 'GBp';
+  if (symbol.endsWith('.SW')) return 'CHF';
+  if (!symbol.includes('.') && !symbol.startsWith('^')) return 'USD';
+  return 'EUR';
+};
+
+const _profileCache = {};
+const _levelCache = {};
+
+/**
+ * Prezzo di riferimento, rendimento atteso e volatilità annui
+ */
+const _profile = (symbol) => {
+  if (_profileCache[symbol]) return _profileCache[symbol];
+  const h = _hash(symbol);
+  let profile;
+
+  const fx = _fxPair(symbol);
+  if (fx) {
+    profile = { base: 1 / (FIXTURE_FX[fx] || 1), mu: 0, sigma: 0.06, name: `EUR/${fx}` };
+  } else if (isCrypto(symbol)) {
+    const coin = extractCryptoSymbol(symbol);
+    const base = FIXTURE_PRICES[coin] || 0.1 + (h % 10000) / 100;
+    const vs = _currencyOf(symbol);
+    profile = { base: vs === 'EUR' ? base : base / (FIXTURE_FX[vs] || 1), mu: 0.15, sigma: 0.65, name: coin };
+  } else {
+    const info = getAssetInfo(symbol);
+    let base = FIXTURE_PRICES[symbol] || 10 + (h % 49000) / 100;
+    if (!FIXTURE_PRICES[symbol] && _currencyOf(symbol) === 'GBp') base *= 100; // pence
+    profile = {
+      base,
+      mu: (info?.expectedReturn ?? 6) / 100,
+      sigma: (info?.volatility ?? 18) / 100,
+      name: info?.name || symbol
+    };
+  }
+  _profileCache[symbol] = profile;
+  return profile;
+};
+
+/** Rendimento logaritmico del mese idx */
+const _monthReturn = (symbol, idx, { mu, sigma }) =>
+  (mu - (sigma * sigma) / 2) / 12 + (sigma / Math.sqrt(12)) * _gauss(`${symbol}|${idx}`);
+
+/**
+ * Livello all'inizio del mese idx (ancorato al prezzo di riferimento)
+ */
+const _monthStartLevel = (symbol, idx) => {
+  const key = `${symbol}|${idx}`;
+  if (_levelCache[key]) return _levelCache[key];
+  const p = _profile(symbol);
+  let level;
+  if (idx === ANCHOR_MONTH) level = p.base;
+  else if (idx > ANCHOR_MONTH) level = _monthStartLevel(symbol, idx - 1) * Math.exp(_monthReturn(symbol, idx - 1, p));
+  else level = _monthStartLevel(symbol, idx + 1) / Math.exp(_monthReturn(symbol, idx, p));
+  _levelCache[key] = level;
+  return level;
+};
+
+/**
+ * Prezzo a una data: livello mensile interpolato + rumore giornaliero
+ * @param {string} symbol
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number}
+ */
+const _priceAt = (symbol, date) => {
+  const p = _profile(symbol);
+  const idx = _monthIndex(date);
+  const day = Number(date.slice(8, 10)) || 1;
+  const frac = (day - 1) / 31;
+  const noise = (p.sigma / Math.sqrt(252)) * 0.5 * _gauss(`${symbol}|${date}`);
+  return _monthStartLevel(symbol, idx) * Math.exp(_monthReturn(symbol, idx, p) * frac + noise);
+};
+
+const _round = (n) => Number(n.toPrecision(6));
+
+/** Giorno lavorativo precedente (YYYY-MM-DD) */
+const _previousWeekday = (date) => {
+  const d = new Date(`${date}T12:00:00Z`);
+  do { d.setUTCDate(d.getUTCDate() - 1); } while (d.getUTCDay() === 0 || d.getUTCDay() === 6);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Date della serie: primo del mese (1mo), lunedì (1wk) o giorni feriali (1d)
+ */
+const _seriesDates = (startDate, endDate, interval) => {
+  const end = endDate < _today() ? endDate : _today();
+  const dates = [];
+  if (interval === '1mo') {
+    for (let m = _monthIndex(startDate); m <= _monthIndex(end); m++) dates.push(`${_monthKey(m)}-01`);
+    return dates;
+  }
+  const d = new Date(`${startDate}T12:00:00Z`);
+  while (d.toISOString().slice(0, 10) <= end) {
+    const dow = d.getUTCDay();
+    if (interval === '1wk' ? dow === 1 : dow !== 0 && dow !== 6) dates.push(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+// ── Provider ─────────────────────────────────────────────────────────────────
+
+export const fixtureProvider = {
+  id: 'fixture',
+  label: 'Fixture offline',
+  capabilities: ['quote', 'history', 'fx', 'search', 'ter'],
+
+  async getQuotes(symbols) {
+    const today = _today();
+    const quotes = {};
+    symbols.forEach(symbol => {
+      const price = _round(_priceAt(symbol, today));
+      quotes[symbol] = {
+        symbol,
+        price,
+        previousClose: _round(_priceAt(symbol, _previousWeekday(today))),
+        currency: _currencyOf(symbol),
+        name: _profile(symbol).name,
+        exchange: 'FIXTURE',
+        time: `${today}T16:00:00.000Z`
+      };
+    });
+    return quotes;
+  },
+
+  async getHistory(symbol, startDate, endDate, interval = '1mo') {
+    const today = _today();
+    // Mensile: chiusura di fine mese (o di oggi per il mese in corso), datata al primo del mese
+    const points = _seriesDates(startDate, endDate, interval).map(date => {
+      const closeDate = interval === '1mo'
+        ? (_monthIndex(date) === _monthIndex(today) ? today : `${_monthKey(_monthIndex(date) + 1)}-01`)
+        : date;
+      return { date, close: _round(_priceAt(symbol, closeDate)) };
+    });
+    return points.length > 0 ? { currency: _currencyOf(symbol), points } : null;
+  },
+
+  async getFXRates(currencies) {
+    const today = _today();
+    const rates = {};
+    currencies.forEach(code => {
+      if (code === 'EUR') return;
+      rates[code] = _round(1 / _priceAt(`EUR${code}=X`, today));
+    });
+    return rates;
+  },
+
+  async search(query) {
+    const q = (query || '').trim().toUpperCase();
+    if (!q) return [];
+    return Object.entries(ASSET_TICKER_MAPPING)
+      .filter(([ticker, info]) =>
+        ticker.includes(q) || (info.isin || '').toUpperCase() === q || (info.name || '').toUpperCase().includes(q)
+      )
+      .slice(0, 10)
+      .map(([ticker, info]) => ({
+        ticker,
+        name: info.name || ticker,
+        type: info.macro === 'ETF' ? 'ETF' : info.macro === 'Crypto' ? 'CRYPTOCURRENCY' : 'EQUITY',
+        exchange: ticker.includes('.') ? ticker.split('.').pop() : null,
+        isin: info.isin || ''
+      }));
+  },
+
+  async getTER(ticker) {
+    if (isCrypto(ticker) || _fxPair(ticker)) return null;
+    const info = getAssetInfo(ticker);
+    if (info && info.macro !== 'ETF') return null;
+    return {
+      ticker,
+      ter: (7 + (_hash(`${ticker}|ter`) % 44)) / 100, // 0,07% – 0,50%
+      source: 'fixture',
+      lastUpdated: ANCHOR_DATE
+    };
+  }
+};
+
+export default fixtureProvider;
@@ -0,0 +1,345 @@
+/**
+ * Foreign Asset Service — Quadro RW, IVAFE, IVIE e imposta sulle cripto-attività
+ *
+ * Per ogni broker estero in regime dichiarativo ricostruisce, titolo per
+ * titolo, la consistenza dell'anno:
+ *
+ *   valore iniziale  → quantità al 1/1 × chiusura di dicembre dell'anno prima
+ *   valore finale    → quantità al 31/12 × chiusura di dicembre
+ *                      (per i titoli venduti in corso d'anno: valore di realizzo)
+ *   valore massimo   → massimo dei valori di fine mese e dei valori agli acquisti
+ *   giorni           → giorni di detenzione nell'anno
+ *
+ * Imposte (rapportate ai giorni di detenzione):
+ *   IVAFE                     → 2‰ sui prodotti finanziari detenuti all'estero;
+ *                               € 34,20 fissi sulla liquidità del broker, solo
+ *                               se la giacenza media annua supera € 5.000
+ *   imposta cripto-attività   → 2‰ sulle cripto su exchange / wallet (dal 2023)
+ *   IVIE                      → 7,6‰ sugli immobili esteri (categorie
+ *                               "Immobiliare Diretto"), non dovuta se il totale
+ *                               non supera € 200
+ *
+ * I prezzi sono mensili (historicalPriceService); in mancanza si usa l'ultimo
+ * prezzo di transazione noto e la riga viene segnata come stimata. I prezzi
+ * di transazione sono convertiti in EUR al cambio della transazione. Per gli
+ * immobili la base è il costo d'acquisto registrato: per quelli in UE / SEE
+ * la norma chiede il valore catastale, che l'app non conosce.
+ *
+ * La liquidità di ogni broker è il saldo di tutti i movimenti che la
+ * spostano, come in cashFlowService: depositi e prelievi, acquisti e
+ * vendite (commissioni incluse), dividendi, interessi, costi, ritenute e
+ * trasferimenti.
+ */
+
+import { getHoldingTransactions } from './localStorageService';
+import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from './historicalPriceService';
+import { getBrokerLabel, getTaxRegime, getTaxRegimeOverrides } from './taxService';
+import { getTransactionFXRate } from './fxService';
+import { isCashFlowType, getSignedCashFlow } from '../config/transactionTypes';
+
+export const IVAFE_RATE = 0.002;
+export const CRYPTO_DUTY_RATE = 0.002;
+export const IVAFE_CASH_FIXED = 34.2;
+export const IVAFE_CASH_THRESHOLD = 5000; // giacenza media annua
+export const IVIE_RATE = 0.0076;
+export const IVIE_THRESHOLD = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isTrade = (tx) => (tx.type === 'buy' || tx.type === 'sell') && !tx.excludeFromStats;
+const isCashTx = (tx) => tx.isCash || tx.macroCategory === 'Cash';
+const isHoldingTrade = (tx) => isTrade(tx) && !isCashTx(tx);
+const isRealEstate = (tx) => (tx.microCategory || '').startsWith('Immobiliare Diretto');
+
+/**
+ * Effetto in EUR di una transazione sulla liquidità del broker
+ * (stessi segni di cashFlowService.calculateCashFlow; le commissioni sono
+ * già in EUR, come nel motore dei lotti)
+ */
+const cashEffect = (tx) => {
+  const fx = getTransactionFXRate(tx);
+  if (isCashFlowType(tx.type)) return getSignedCashFlow(tx) * fx;
+  const amount = (tx.quantity || 0) * (tx.price || 0);
+  const commission = tx.commission || 0;
+  if (isCashTx(tx)) return (tx.type === 'buy' ? amount : -amount) * fx;
+  return tx.type === 'buy' ? -(amount * fx + commission) : amount * fx - commission;
+};
+
+const daysInYear = (year) => ((year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365);
+
+const dayOfYear = (date, year) => {
+  const [y, m, d] = date.slice(0, 10).split('-').map(Number);
+  return Math.floor((Date.UTC(y, m - 1, d) - Date.UTC(year, 0, 1)) / DAY_MS);
+};
+
+/**
+ * Transazioni di titoli sui broker esteri in regime dichiarativo
+ * @param {Array} [transactions] - default getHoldingTransactions()
+ * @returns {Array}
+ */
+export const getForeignTransactions = (transactions = getHoldingTransactions()) => {
+  const overrides = getTaxRegimeOverrides();
+  return transactions.filter(tx =>
+    isHoldingTrade(tx) && getTaxRegime(getBrokerLabel(tx), overrides) === 'dichiarativo'
+  );
+};
+
+/**
+ * Transazioni che muovono la liquidità dei broker esteri (le righe generate
+ * dagli spin-off no: non sono movimenti di denaro)
+ * @param {Array} [transactions] - default getHoldingTransactions()
+ * @returns {Array}
+ */
+export const getForeignCashTransactions = (transactions = getHoldingTransactions()) => {
+  const overrides = getTaxRegimeOverrides();
+  return transactions.filter(tx =>
+    (isTrade(tx) || (isCashFlowType(tx.type) && !tx.excludeFromStats)) && !tx.spinOff &&
+    getTaxRegime(getBrokerLabel(tx), overrides) === 'dichiarativo'
+  );
+};
+
+/**
+ * Anni per cui esiste almeno una posizione estera
+ * @param {Array} [transactions]
+ * @returns {Array<number>} dal più recente
+ */
+export const getForeignAssetYears = (transactions) => {
+  const foreign = getForeignCashTransactions(transactions);
+  if (foreign.length === 0) return [];
+  const first = Math.min(...foreign.map(tx => new Date(tx.date).getFullYear()));
+  const years = [];
+  for (let y = new Date().getFullYear(); y >= first; y--) years.push(y);
+  return years;
+};
+
+/**
+ * Ricostruisce una posizione (un ticker su un broker) nell'anno
+ * @param {Array} txs - transazioni del ticker, ordinate per data
+ * @param {number} year
+ * @param {Object} prices - { 'YYYY-MM': price } da buildMonthlyPriceTable
+ * @returns {Object|null} null se la posizione non è mai stata aperta nell'anno
+ */
+const buildPosition = (txs, year, prices) => {
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const totalDays = daysInYear(year);
+
+  let quantity = 0;
+  let lastPrice = null;
+  let estimated = false;
+
+  // Prezzo di fine mese, con ripiego sull'ultimo prezzo di transazione
+  const priceAt = (monthKey) => {
+    if (prices[monthKey]) return prices[monthKey];
+    estimated = true;
+    return lastPrice || 0;
+  };
+
+  // Prezzo di transazione in EUR, come le serie storiche
+  const eurPrice = (tx) => tx.price * getTransactionFXRate(tx);
+
+  txs.filter(tx => tx.date < yearStart).forEach(tx => {
+    quantity += tx.type === 'buy' ? tx.quantity : -tx.quantity;
+    lastPrice = eurPrice(tx);
+  });
+  const startQuantity = Math.max(0, quantity);
+  const startValue = startQuantity * priceAt(`${year - 1}-12`);
+
+  const inYear = txs.filter(tx => tx.date >= yearStart && tx.date <= `${yearEnd}T23:59:59`);
+  if (startQuantity <= 0 && inYear.length === 0) return null;
+
+  let maxValue = startValue;
+  let daysHeld = 0;
+  let openSince = startQuantity > 0 ? 0 : null; // giorno dell'anno di apertura
+  let exitValue = 0;
+
+  for (let month = 1; month <= 12; month++) {
+    const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+    inYear.filter(tx => tx.date.slice(0, 7) === monthKey).forEach(tx => {
+      const before = quantity;
+      quantity += tx.type === 'buy' ? tx.quantity : -tx.quantity;
+      lastPrice = eurPrice(tx);
+      const day = dayOfYear(tx.date, year);
+      if (before <= 0 && quantity > 0) openSince = day;
+      if (before > 0 && quantity <= 0.000001) {
+        daysHeld += day - openSince;
+        openSince = null;
+        exitValue = before * lastPrice; // valore alla data di cessione
+      }
+      maxValue = Math.max(maxValue, Math.max(0, quantity) * lastPrice, before * lastPrice);
+    });
+    if (quantity > 0) maxValue = Math.max(maxValue, quantity * priceAt(monthKey));
+  }
+
+  const endQuantity = quantity > 0.000001 ? quantity : 0;
+  const endValue = endQuantity * priceAt(`${year}-12`);
+  if (openSince !== null) daysHeld += totalDays - openSince;
+
+  return {
+    startQuantity,
+    startValue,
+    endQuantity,
+    endValue,
+    maxValue,
+    daysHeld: Math.min(totalDays, daysHeld),
+    // Base imponibile: valore a fine anno o, se ceduto, alla data di cessione
+    taxBase: endQuantity > 0 ? endValue : exitValue,
+    estimated,
+  };
+};
+
+/**
+ * Ricostruisce la liquidità di un broker nell'anno: saldo giorno per giorno,
+ * giacenza media e IVAFE fissa
+ * @param {Array} txs - movimenti di liquidità del broker, ordinati per data
+ * @param {number} year
+ * @returns {Object|null} null se il conto non ha saldo né movimenti nell'anno
+ */
+const buildCashAccount = (txs, year) => {
+  const yearStart = `${year}-01-01`;
+  const totalDays = daysInYear(year);
+  let balance = txs.filter(tx => tx.date < yearStart).reduce((s, tx) => s + cashEffect(tx), 0);
+  const startValue = Math.max(0, balance);
+  const inYear = txs.filter(tx => tx.date >= yearStart);
+  if (startValue <= 0 && inYear.length === 0) return null;
+
+  let maxValue = startValue;
+  let weighted = 0; // Σ saldo × giorni
+  let daysHeld = 0;
+  let day = 0;
+  const advance = (to) => {
+    const positive = Math.max(0, balance);
+    weighted += positive * (to - day);
+    if (positive > 0) daysHeld += to - day;
+    day = to;
+  };
+
+  inYear.forEach(tx => {
+    advance(dayOfYear(tx.date, year));
+    balance += cashEffect(tx);
+    maxValue = Math.max(maxValue, balance);
+  });
+  advance(totalDays);
+
+  const endValue = Math.max(0, balance);
+  const averageBalance = weighted / totalDays;
+  return {
+    startValue,
+    endValue,
+    maxValue,
+    averageBalance,
+    daysHeld,
+    tax: averageBalance > IVAFE_CASH_THRESHOLD ? IVAFE_CASH_FIXED * (daysHeld / totalDays) : 0,
+    estimated: false,
+  };
+};
+
+/**
+ * Report RW / IVAFE per anno
+ *
+ * @param {number} year
+ * @param {Object} [options]
+ * @param {Array} [options.transactions] - default getHoldingTransactions()
+ * @returns {Promise<{ year, brokers: Array, totals: Object }>}
+ */
+export async function buildForeignAssetReport(year, { transactions } = {}) {
+  const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+  const inRange = (tx) => tx.date <= `${year}-12-31T23:59:59`;
+  const foreign = getForeignTransactions(transactions).filter(inRange).sort(byDate);
+  const foreignCash = getForeignCashTransactions(transactions).filter(inRange).sort(byDate);
+
+  // Gli immobili non hanno quotazioni: valore dal prezzo d'acquisto
+  const tickers = [...new Set(foreign.filter(tx => !isRealEstate(tx)).map(tx => tx.ticker))];
+  const historical = tickers.length
+    ? await fetchMultipleHistoricalPrices(tickers, `${year - 1}-12-01`, `${year}-12-31`)
+    : {};
+  const priceTables = {};
+  tickers.forEach(t => { priceTables[t] = buildMonthlyPriceTable(historical[t] || []); });
+
+  // broker → { holdings: ticker → transazioni, cash: movimenti di liquidità }
+  const grouped = {};
+  const brokerGroup = (tx) => {
+    const broker = getBrokerLabel(tx);
+    return grouped[broker] || (grouped[broker] = { holdings: {}, cash: [] });
+  };
+  foreign.forEach(tx => {
+    const { holdings } = brokerGroup(tx);
+    if (!holdings[tx.ticker]) holdings[tx.ticker] = [];
+    holdings[tx.ticker].push(tx);
+  });
+  foreignCash.forEach(tx => brokerGroup(tx).cash.push(tx));
+
+  const totalDays = daysInYear(year);
+  const brokers = Object.entries(grouped).map(([broker, { holdings, cash }]) => {
+    const holdingPositions = Object.entries(holdings)
+      .map(([ticker, txs]) => {
+        const pos = buildPosition(txs, year, priceTables[ticker] || {});
+        if (!pos) return null;
+        const last = txs[txs.length - 1];
+        const isCrypto = last.macroCategory === 'Crypto';
+        const realEstate = isRealEstate(last);
+        const rate = realEstate ? IVIE_RATE : isCrypto ? CRYPTO_DUTY_RATE : IVAFE_RATE;
+        return {
+          ticker,
+          name: last.name || ticker,
+          isin: last.isin || '',
+          macroCategory: last.macroCategory,
+          isCrypto,
+          isRealEstate: realEstate,
+          ...pos,
+          tax: pos.taxBase * rate * (pos.daysHeld / totalDays),
+        };
+      })
+      .filter(Boolean);
+
+    // Un saldo mai positivo (depositi non registrati) non è liquidità da dichiarare
+    const account = buildCashAccount(cash, year);
+    const cashPositions = account && account.maxValue > 0
+      ? [{ ticker: 'Liquidità', name: 'Liquidità', isin: '', macroCategory: 'Cash', isCash: true, ...account }]
+      : [];
+
+    const positions = [...holdingPositions, ...cashPositions];
+
+    const sum = (field, filter = () => true) =>
+      positions.filter(filter).reduce((s, p) => s + p[field], 0);
+
+    return {
+      broker,
+      positions,
+      startValue: sum('startValue'),
+      endValue: sum('endValue'),
+      // Valore massimo del conto: somma dei massimi per titolo (stima prudenziale)
+      maxValue: sum('maxValue'),
+      daysHeld: positions.reduce((m, p) => Math.max(m, p.daysHeld), 0),
+      ivafe: sum('tax', p => !p.isCrypto && !p.isRealEstate),
+      cryptoDuty: sum('tax', p => p.isCrypto),
+      ivie: sum('tax', p => p.isRealEstate),
+      estimated: positions.some(p => p.estimated),
+    };
+  }).filter(b => b.positions.length > 0);
+
+  const totals = {
+    startValue: brokers.reduce((s, b) => s + b.startValue, 0),
+    endValue: brokers.reduce((s, b) => s + b.endValue, 0),
+    ivafe: brokers.reduce((s, b) => s + b.ivafe, 0),
+    cryptoDuty: brokers.reduce((s, b) => s + b.cryptoDuty, 0),
+    ivieComputed: brokers.reduce((s, b) => s + b.ivie, 0),
+  };
+  // L'IVIE non è dovuta se l'imposta complessiva non supera la soglia
+  totals.ivie = totals.ivieComputed > IVIE_THRESHOLD ? totals.ivieComputed : 0;
+
+  return { year, brokers, totals };
+}
+
+export default {
+  IVAFE_RATE,
+  CRYPTO_DUTY_RATE,
+  IVAFE_CASH_FIXED,
+  IVAFE_CASH_THRESHOLD,
+  IVIE_RATE,
+  IVIE_THRESHOLD,
+  getForeignTransactions,
+  getForeignCashTransactions,
+  getForeignAssetYears,
+  buildForeignAssetReport
+};
@@ -0,0 +1,87 @@
+/**
+ * FX Service — cambi storici per transazione
+ *
+ * Ogni transazione in valuta estera memorizza `fxRate`: quanti EUR vale una
+ * unità della valuta del prezzo (per GBp/GBX un penny) alla data
+ * dell'operazione. Il costo resta così disponibile sia in valuta originale
+ * sia in EUR, e il P/L si scompone in:
+ *
+ *   componente titolo  → variazione del prezzo in valuta, al cambio attuale
+ *   componente cambio  → costo in valuta × (cambio attuale − cambio d'acquisto)
+ *
+ * Le transazioni senza fxRate (storico non ancora scaricato) usano il cambio
+ * corrente come ripiego.
+ */
+
+import { fetchFXHistory, getFXRateForDate } from './historicalPriceService';
+import { getNativeConversionFactor } from './priceService';
+
+/**
+ * @param {string} currency
+ * @returns {boolean} true se la valuta non è l'euro
+ */
+export const isForeignCurrency = (currency) => !!currency && currency !== 'EUR';
+
+/**
+ * Cambio corrente (EUR per unità) dai tassi live di priceService
+ * @param {string} currency
+ * @returns {number}
+ */
+export const getCurrentFXRate = (currency) => {
+  if (!isForeignCurrency(currency)) return 1;
+  const { factor } = getNativeConversionFactor(currency);
+  return factor > 0 ? 1 / factor : 1;
+};
+
+/**
+ * Cambio da usare per una transazione
+ * @param {Object} tx
+ * @returns {number} EUR per unità della valuta della transazione
+ */
+export const getTransactionFXRate = (tx) => {
+  if (!isForeignCurrency(tx.currency)) return 1;
+  return tx.fxRate > 0 ? tx.fxRate : getCurrentFXRate(tx.currency);
+};
+
+/**
+ * Transazioni in valuta estera ancora senza cambio storico
+ * @param {Array} transactions
+ * @returns {Array}
+ */
+export const getTransactionsMissingFX = (transactions) =>
+  transactions.filter(tx => isForeignCurrency(tx.currency) && !(tx.fxRate > 0) && !tx.isCash);
+
+/**
+ * Calcola i cambi storici mancanti
+ * @param {Array} transactions
+ * @returns {Promise<Object>} { [txId]: { fxRate, fxDate } }
+ */
+export async function resolveTransactionFX(transactions) {
+  const missing = getTransactionsMissingFX(transactions);
+  if (missing.length === 0) return {};
+
+  const byCurrency = {};
+  missing.forEach(tx => {
+    if (!byCurrency[tx.currency]) byCurrency[tx.currency] = [];
+    byCurrency[tx.currency].push(tx);
+  });
+
+  const updates = {};
+  for (const [currency, txs] of Object.entries(byCurrency)) {
+    const dates = txs.map(tx => tx.date.slice(0, 10)).sort();
+    const rates = await fetchFXHistory(currency, dates[0], dates[dates.length - 1]);
+    txs.forEach(tx => {
+      const fxRate = getFXRateForDate(rates, tx.date);
+      if (fxRate > 0) updates[tx.id] = { fxRate, fxDate: tx.date.slice(0, 10) };
+    });
+  }
+  return updates;
+}
+
+export default {
+  isForeignCurrency,
+  getCurrentFXRate,
+  getTransactionFXRate,
+  getTransactionsMissingFX,
+  resolveTransactionFX
+};
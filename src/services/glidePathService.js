@@ -0,0 +1,244 @@
+/**
+ * Glide Path Service — rientro nella banda di ribilanciamento con i soli versamenti PAC
+ *
+ * Simula mese per mese il PAC attivo indirizzando ogni versamento ai ticker
+ * sottopesati (allocateBuys del planner) e lo confronta con il PAC "fisso"
+ * alle percentuali del template. I prezzi crescono al rendimento atteso del
+ * ticker (assetTickerMapping.expectedReturn) o restano costanti.
+ *
+ * Lo scostamento è misurato per categoria MICRO rispetto ai target della
+ * strategia; la banda è `rebalanceThreshold` (globalThreshold della config
+ * portafogli, default 5 punti).
+ *
+ * Il calendario proposto si esporta come override mensili del template PAC
+ * (pacService.setPACMonthlyOverrides): solo le percentuali, l'importo resta
+ * quello del template.
+ */
+
+import { getAssetInfo } from '../config/assetTickerMapping';
+import { getPortfolioConfig } from './portfolioConfigService';
+import { allocateBuys } from './rebalancePlannerService';
+import { toEUR } from './currencyService';
+
+export const DEFAULT_REBALANCE_THRESHOLD = 5;
+
+// Orizzonte massimo della simulazione
+export const MAX_GLIDE_MONTHS = 60;
+
+const _monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Banda di ribilanciamento configurata (punti percentuali)
+ * @returns {number}
+ */
+export const getRebalanceThreshold = () =>
+  getPortfolioConfig().globalThreshold ?? DEFAULT_REBALANCE_THRESHOLD;
+
+/**
+ * Primo mese in cui il PAC verrà eseguito: il corrente se non ancora eseguito
+ * (e già iniziato), altrimenti il successivo
+ * @param {Object} template
+ * @param {Date} [today]
+ * @returns {Date} primo giorno del mese
+ */
+export function firstPACMonth(template, today = new Date()) {
+  let month = new Date(today.getFullYear(), today.getMonth(), 1);
+  const executed = template.lastExecutedDate && template.lastExecutedDate.slice(0, 7) === _monthKey(month);
+  if (executed) month = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+  if (template.startMonth && template.startMonth > _monthKey(month)) {
+    const [y, m] = template.startMonth.split('-').map(Number);
+    month = new Date(y, m - 1, 1);
+  }
+  return month;
+}
+
+/**
+ * Scostamento massimo per categoria MICRO, in punti percentuali
+ */
+function _microDrift(book) {
+  const total = book.reduce((s, b) => s + b.value, 0);
+  if (total <= 0) return 0;
+  const byMicro = {};
+  book.forEach(b => {
+    const m = byMicro[b.microCategory] || (byMicro[b.microCategory] = { value: 0, target: 0 });
+    m.value += b.value;
+    m.target += b.targetPct;
+  });
+  return Object.values(byMicro).reduce((max, m) => Math.max(max, Math.abs((m.value / total) * 100 - m.target)), 0);
+}
+
+/**
+ * Acquisti del PAC fisso: percentuali del template, quote intere se richiesto
+ */
+function _fixedBuys(book, cash, allocations, fractionalETF) {
+  const orders = [];
+  allocations.forEach(a => {
+    const b = book.find(x => x.ticker === a.ticker);
+    if (!b || !(b.price > 0)) return;
+    const amount = cash * (parseFloat(a.percentage) || 0) / 100;
+    const fractional = b.fractional ?? fractionalETF;
+    const units = fractional ? amount / b.price : Math.floor(amount / b.price);
+    if (units > 0) orders.push({ ticker: b.ticker, units, amount: units * b.price });
+  });
+  return orders;
+}
+
+/**
+ * Simula il glide path di un template PAC
+ *
+ * @param {Object} params
+ * @param {Array} params.items - da buildTickerTargets (prezzi e valori in EUR)
+ * @param {Object} params.template - template PAC (totalAmount, currency, allocations)
+ * @param {number} [params.threshold] - banda in punti %
+ * @param {boolean} [params.fractionalETF=true]
+ * @param {Object} [params.commission] - { fixed, pct, min }
+ * @param {boolean} [params.expectedPrices=true] - false = prezzi costanti
+ * @param {Object} [params.prices] - { [ticker]: EUR } per i ticker del template senza posizione
+ * @param {number} [params.maxMonths=MAX_GLIDE_MONTHS]
+ * @returns {{
+ *   startDrift: number,
+ *   monthsNeeded: number|null,       // null = non rientra entro maxMonths
+ *   baselineMonths: number|null,     // stesso calcolo con il PAC alle percentuali fisse
+ *   monthlyAmount: number,           // EUR
+ *   schedule: Array<{ month, orders, invested, cashLeft, drift, baselineDrift }>  // fino al rientro
+ * }}
+ */
+export function simulateGlidePath({
+  items,
+  template,
+  threshold = getRebalanceThreshold(),
+  fractionalETF = true,
+  commission,
+  expectedPrices = true,
+  prices = {},
+  maxMonths = MAX_GLIDE_MONTHS,
+}) {
+  const monthlyAmount = toEUR(parseFloat(template?.totalAmount) || 0, template?.currency || 'EUR');
+  const allocations = template?.allocations || [];
+
+  // I ticker del template fuori strategia entrano con target 0
+  const base = items.map(i => ({ ...i }));
+  allocations.forEach(a => {
+    if (base.some(b => b.ticker === a.ticker)) return;
+    base.push({
+      ticker: a.ticker,
+      name: a.name || a.ticker,
+      isin: a.isin || '',
+      microCategory: a.microCategory || a.ticker,
+      macroCategory: a.macroCategory,
+      price: prices[a.ticker] || 0,
+      quantity: 0,
+      value: 0,
+      targetPct: 0,
+    });
+  });
+  base.forEach(b => {
+    b.fractional = b.macroCategory === 'Crypto' ? true : undefined;
+    b.monthlyGrowth = expectedPrices ? Math.pow(1 + (getAssetInfo(b.ticker)?.expectedReturn || 0) / 100, 1 / 12) : 1;
+  });
+
+  const directed = base.map(b => ({ ...b }));
+  const baseline = base.map(b => ({ ...b }));
+  const startDrift = _microDrift(base);
+
+  const result = { startDrift, monthsNeeded: null, baselineMonths: null, monthlyAmount, schedule: [] };
+  if (startDrift <= threshold) {
+    result.monthsNeeded = 0;
+    result.baselineMonths = 0;
+    return result;
+  }
+  if (!(monthlyAmount > 0)) return result;
+
+  const start = firstPACMonth(template || {});
+  let cash = 0;
+  let baselineCash = 0;
+
+  // Il PAC fisso prosegue anche dopo il rientro del glide path, per il confronto
+  for (let m = 0; m < maxMonths && (result.monthsNeeded === null || result.baselineMonths === null); m++) {
+    // Rivalutazione al rendimento atteso (il primo mese ai prezzi correnti)
+    if (m > 0) {
+      [directed, baseline].forEach(book => book.forEach(b => {
+        b.price *= b.monthlyGrowth;
+        b.value *= b.monthlyGrowth;
+      }));
+    }
+
+    if (result.baselineMonths === null) {
+      baselineCash += monthlyAmount;
+      _fixedBuys(baseline, baselineCash, allocations, fractionalETF).forEach(o => {
+        const b = baseline.find(x => x.ticker === o.ticker);
+        b.value += o.amount;
+        baselineCash -= o.amount;
+      });
+      if (_microDrift(baseline) <= threshold) result.baselineMonths = m + 1;
+    }
+
+    if (result.monthsNeeded !== null) continue;
+
+    cash += monthlyAmount;
+    const orders = allocateBuys(directed, cash, { fractionalETF, commission });
+    orders.forEach(o => {
+      const b = directed.find(x => x.ticker === o.ticker);
+      b.quantity += o.units;
+      b.value += o.amount;
+      cash -= o.amount + o.commission;
+    });
+
+    const drift = _microDrift(directed);
+    const month = new Date(start.getFullYear(), start.getMonth() + m, 1);
+    result.schedule.push({
+      month: _monthKey(month),
+      orders,
+      invested: orders.reduce((s, o) => s + o.amount, 0),
+      cashLeft: cash,
+      drift,
+      baselineDrift: _microDrift(baseline),
+    });
+
+    if (drift <= threshold) result.monthsNeeded = m + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Calendario del glide path → override mensili per il template PAC
+ * Percentuali sull'investito del mese (somma 100, arrotondate a 0,1).
+ *
+ * @param {Array} schedule - da simulateGlidePath
+ * @param {Array} items - per nome e categorie dei ticker
+ * @returns {Object} { 'YYYY-MM': { allocations, source: 'glidePath' } }
+ */
+export function scheduleToPACOverrides(schedule, items) {
+  const overrides = {};
+  schedule.forEach(({ month, orders, invested }) => {
+    if (!(invested > 0)) return;
+    const allocations = orders.map(o => {
+      const item = items.find(i => i.ticker === o.ticker) || {};
+      return {
+        ticker: o.ticker,
+        name: item.name || o.name || o.ticker,
+        isin: item.isin || '',
+        macroCategory: item.macroCategory || '',
+        microCategory: item.microCategory || '',
+        percentage: Math.round((o.amount / invested) * 1000) / 10,
+      };
+    });
+    const diff = Math.round((100 - allocations.reduce((s, a) => s + a.percentage, 0)) * 10) / 10;
+    if (diff !== 0) {
+      const top = allocations.reduce((a, b) => (b.percentage > a.percentage ? b : a));
+      top.percentage = Math.round((top.percentage + diff) * 10) / 10;
+    }
+    overrides[month] = { allocations, source: 'glidePath' };
+  });
+  return overrides;
+}
+
+export default {
+  DEFAULT_REBALANCE_THRESHOLD,
+  MAX_GLIDE_MONTHS,
+  getRebalanceThreshold,
+  firstPACMonth,
+  simulateGlidePath,
+  scheduleToPACOverrides,
+};
@@ -2,30 +2,30 @@
  * Historical Price Service
  * VERSION: 2025-12-25-v2
  *
- * Fetches historical prices from multiple sources:
- * 1. Yahoo Finance API (via CORS proxy) - primary for ETFs and stocks
- * 2. Google Apps Script API - fallback
- * 3. CoinGecko API - for cryptocurrencies
+ * Fetches historical prices through the market data provider chain
+ * (marketDataService):
+ * 1. Yahoo Finance API (via /api/price) - primary for ETFs and stocks
+ * 2. CoinGecko API - for cryptocurrencies
+ * 3. Google Apps Script API - last-resort fallback
+ * In fixture mode the offline fixture provider answers everything and the
+ * localStorage caches below are bypassed.
+ *
+ * Non-EUR prices are converted with daily historical FX (Yahoo EURxxx=X),
+ * also used for the per-transaction FX rates (fxService).
  *
  * Supports monthly historical data for accurate performance calculations
  */
 
-import { isCrypto, fetchCryptoHistoricalPrices, fetchMultipleCryptoHistoricalPrices } from './coinGecko';
-
-console.log('📦 historicalPriceService.js v2 loaded - using Yahoo Finance direct + CORS proxy');
+import { getHistory, getQuotes, getTER, isFixtureMode } from './marketDataService';
 
-// HARDCODED Google Apps Script URL
-const GOOGLE_APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbzrNB1TkO1COP5DxUqxlbY-nwEPghn4bNqAgeKCGXHcBnIkXQc69_uCF6oxIX8lRczWDg/exec';
-
-// Timeout for fetch requests (10 seconds for historical data)
-const FETCH_TIMEOUT = 10000;
+console.log('📦 historicalPriceService.js v2 loaded - using the market data provider chain');
 
 // ── Historical price cache ───────────────────────────────────────────────────
 // Stale-While-Revalidate: serve cached data immediately (even if expired),
 // then refresh silently in the background so the next visit is instant.
 // TTL: 7 days for completed past months (prices are immutable);
 //      2 hours for the current month (intraday movements acceptable lag).
-const HIST_CACHE_PREFIX = 'hist_v2_'; // bump version to invalidate old entries
+const HIST_CACHE_PREFIX = 'hist_v3_'; // bump version to invalidate old entries (v3: historical FX)
 const HIST_CACHE_TTL_PAST    = 7 * 24 * 60 * 60 * 1000;  // 7 days
 const HIST_CACHE_TTL_CURRENT =      2 * 60 * 60 * 1000;  // 2 hours
 
@@ -40,6 +40,7 @@ function _histCacheKey(ticker, startDate) {
  * while a background refresh runs.
  */
 function _getHistCached(ticker, startDate) {
+  if (isFixtureMode()) return null;
   try {
     const raw = localStorage.getItem(_histCacheKey(ticker, startDate));
     if (!raw) return null;
@@ -65,26 +66,19 @@ function _getHistCached(ticker, startDate) {
 async function _refreshInBackground(ticker, startDate, endDate) {
   try {
     console.log(`🔄 Background refresh started for ${ticker}`);
-    // Use exchange fallbacks (.MI → .DE → .L) just like the cold-fetch path
-    const yahooPrices = await _fetchYahooWithExchangeFallback(ticker, startDate, endDate);
-    if (yahooPrices && yahooPrices.length > 0) {
-      _setHistCached(ticker, startDate, yahooPrices);
+    // Same provider chain and exchange fallbacks (.MI → .DE → .L) as the cold-fetch path
+    const prices = await _fetchHistoryInEUR(ticker, startDate, endDate);
+    if (prices && prices.length > 0) {
+      _setHistCached(ticker, startDate, prices);
       console.log(`✅ Background refresh complete for ${ticker}`);
-      return;
-    }
-    if (isCrypto(ticker)) {
-      const cgPrices = await fetchCryptoHistoricalPrices(ticker, startDate, endDate, 'eur');
-      if (cgPrices && cgPrices.length > 0) _setHistCached(ticker, startDate, cgPrices);
-      return;
     }
-    const gasPrices = await fetchHistoricalPricesFromGAS(ticker, startDate, endDate);
-    if (gasPrices && gasPrices.length > 0) _setHistCached(ticker, startDate, gasPrices);
   } catch (e) {
     console.warn(`⚠️ Background refresh failed for ${ticker}:`, e.message);
   }
 }
 
 function _setHistCached(ticker, startDate, prices) {
+  if (isFixtureMode()) return;
   try {
     localStorage.setItem(
       _histCacheKey(ticker, startDate),
@@ -192,56 +186,6 @@ export function normalizeTicker(ticker) {
   return normalized;
 }
 
-/**
- * Fetch with timeout to avoid hanging requests
- * @param {string} url - URL to fetch
- * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<Response>}
- */
-async function fetchWithTimeout(url, timeout = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    return response;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
-  }
-}
-
-/**
- * Try Yahoo Finance for a ticker, with automatic exchange fallback for .MI tickers.
- * Mirrors the logic in the current-price service: .MI → .DE → .L
- * @returns {Array|null} prices or null if not found
- */
-async function _fetchYahooWithExchangeFallback(ticker, startDate, endDate) {
-  // Primary attempt
-  const prices = await fetchHistoricalPricesFromYahooDirect(ticker, startDate, endDate);
-  if (prices && prices.length > 0) return prices;
-
-  // For Borsa Italiana tickers that Yahoo doesn't carry, try Xetra (.DE) then London (.L)
-  if (ticker.endsWith('.MI')) {
-    const base = ticker.slice(0, -3);
-
-    const dePrices = await fetchHistoricalPricesFromYahooDirect(`${base}.DE`, startDate, endDate);
-    if (dePrices && dePrices.length > 0) {
-      console.log(`✅ Historical .DE fallback: ${ticker} → ${base}.DE`);
-      return dePrices;
-    }
-
-    const lPrices = await fetchHistoricalPricesFromYahooDirect(`${base}.L`, startDate, endDate);
-    if (lPrices && lPrices.length > 0) {
-      console.log(`✅ Historical .L fallback: ${ticker} → ${base}.L`);
-      return lPrices;
-    }
-  }
-
-  return null;
-}
-
 export async function fetchHistoricalPrices(ticker, startDate, endDate) {
   // Normalize the ticker first
   const normalizedTicker = normalizeTicker(ticker);
@@ -267,31 +211,11 @@ export async function fetchHistoricalPrices(ticker, startDate, endDate) {
   }
 
   // ── No cache at all — cold fetch ─────────────────────────────────────────
-  // Try Yahoo Finance with .MI→.DE→.L exchange fallbacks
-  const yahooPrices = await _fetchYahooWithExchangeFallback(normalizedTicker, startDate, endDate);
-  if (yahooPrices && yahooPrices.length > 0) {
-    _setHistCached(normalizedTicker, startDate, yahooPrices);
-    return yahooPrices;
-  }
-
-  // Fallback to CoinGecko for crypto if Yahoo Finance fails
-  if (isCrypto(normalizedTicker)) {
-    console.log(`🪙 ${normalizedTicker} - Yahoo failed, trying CoinGecko API`);
-    const cgPrices = await fetchCryptoHistoricalPrices(normalizedTicker, startDate, endDate, 'eur');
-    if (cgPrices && cgPrices.length > 0) {
-      _setHistCached(normalizedTicker, startDate, cgPrices);
-      return cgPrices;
-    }
-    // Cache the miss
-    _setHistCached(normalizedTicker, startDate, []);
-    return [];
-  }
-
-  // Last resort: Google Apps Script (direct, no Yahoo retry)
-  const gasPrices = await fetchHistoricalPricesFromGAS(normalizedTicker, startDate, endDate);
-  if (gasPrices && gasPrices.length > 0) {
-    _setHistCached(normalizedTicker, startDate, gasPrices);
-    return gasPrices;
+  // Provider chain: Yahoo (with .MI→.DE→.L exchange fallbacks) → CoinGecko → GAS
+  const prices = await _fetchHistoryInEUR(normalizedTicker, startDate, endDate);
+  if (prices && prices.length > 0) {
+    _setHistCached(normalizedTicker, startDate, prices);
+    return prices;
   }
 
   // All sources exhausted — cache the miss so we don't hammer the network for 30 min
@@ -301,127 +225,150 @@ export async function fetchHistoricalPrices(ticker, startDate, endDate) {
 }
 
 /**
- * Fetch historical prices directly from Yahoo Finance via CORS proxy
- * This is faster and more reliable than going through Google Apps Script
+ * Raw chart (no currency conversion) from the provider chain
  *
- * @param {string} ticker - Ticker symbol (e.g., 'VWCE.DE', 'SWDA.MI')
+ * @param {string} ticker - Yahoo symbol (e.g., 'VWCE.DE', 'EURUSD=X')
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of {date, price} objects
+ * @param {string} interval - Yahoo interval ('1mo', '1d')
+ * @param {Array<string>} [alternates] - Same instrument on other exchanges
+ * @returns {Promise<{currency: string, points: Array, source: string}|null>} points = [{date, close}], null if no provider has it
  */
-async function fetchHistoricalPricesFromYahooDirect(ticker, startDate, endDate) {
-  try {
-    // Convert dates to Unix timestamps
-    const startTimestamp = Math.floor(new Date(startDate).getTime() / 1000);
-    const endTimestamp = Math.floor(new Date(endDate).getTime() / 1000) + 86400;
-
-    // Yahoo Finance API v8 endpoint with monthly interval
-    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${startTimestamp}&period2=${endTimestamp}&interval=1mo`;
-
-    // Use CORS proxy (serverless function in prod, public proxy in dev)
-    const corsProxy = import.meta.env.DEV ? 'https://corsproxy.io/?' : '/api/price?url=';
-    const url = corsProxy + encodeURIComponent(yahooUrl);
-
-    console.log(`📡 Fetching historical prices for ${ticker} via Yahoo Finance (direct)`);
-
-    const response = await fetchWithTimeout(url, 8000); // 8 second timeout
-
-    if (!response.ok) {
-      console.warn(`⚠️ Yahoo Finance request failed for ${ticker}: ${response.status}`);
-      return null; // Return null to signal fallback needed
-    }
-
-    const data = await response.json();
-
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      console.warn(`⚠️ No data returned from Yahoo Finance for ${ticker}`);
-      return null;
-    }
-
-    const result = data.chart.result[0];
-    const timestamps = result.timestamp || [];
-    const quotes = result.indicators.quote[0];
-    const closePrices = quotes.close || [];
-
-    // Detect currency and compute conversion factor to EUR
-    const currency = result.meta?.currency || 'EUR';
-    let conversionFactor = 1.0;
-    if (currency === 'GBp' || currency === 'GBX') {
-      // GBX (pence) → GBP → EUR: ÷100 × ~1.18
-      conversionFactor = (1 / 100) * 1.18;
-      console.log(`💱 Historical ${ticker}: GBX → EUR conversion applied (÷100 × 1.18)`);
-    } else if (currency === 'GBP') {
-      conversionFactor = 1.18;
-      console.log(`💱 Historical ${ticker}: GBP → EUR conversion applied (× 1.18)`);
-    } else if (currency === 'USD') {
-      conversionFactor = 0.93;
-      console.log(`💱 Historical ${ticker}: USD → EUR conversion applied (× 0.93)`);
-    }
+async function fetchChart(ticker, startDate, endDate, interval = '1mo', alternates = []) {
+  console.log(`📡 Fetching ${interval} history for ${ticker} via the provider chain`);
+  return getHistory(ticker, startDate, endDate, { interval, alternates });
+}
 
-    const prices = [];
+// Cambi approssimati, usati solo se lo storico FX non è disponibile
+const FALLBACK_EUR_RATES = { USD: 0.93, GBP: 1.18, CHF: 1.06 };
 
-    for (let i = 0; i < timestamps.length; i++) {
-      const timestamp = timestamps[i];
-      const closePrice = closePrices[i];
+/**
+ * Fetch monthly historical prices from the provider chain, in EUR.
+ * For Borsa Italiana tickers that Yahoo doesn't carry, Xetra (.DE) and then
+ * London (.L) are tried, mirroring the current-price service.
+ * Non-EUR prices are converted with the FX rate of the same date.
+ *
+ * @param {string} ticker - Ticker symbol (e.g., 'VWCE.DE', 'SWDA.MI')
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Promise<Array|null>} Array of {date, price} objects, null if not found
+ */
+async function _fetchHistoryInEUR(ticker, startDate, endDate) {
+  const alternates = ticker.endsWith('.MI')
+    ? [`${ticker.slice(0, -3)}.DE`, `${ticker.slice(0, -3)}.L`]
+    : [];
+  const chart = await fetchChart(ticker, startDate, endDate, '1mo', alternates);
+  if (!chart) return null;
+
+  const { currency, points } = chart;
+  let rateAt = () => 1;
+  if (currency !== 'EUR') {
+    const fx = await fetchFXHistory(currency, startDate, endDate);
+    const { code, scale } = _fxCurrency(currency);
+    const fallback = (FALLBACK_EUR_RATES[code] || 1) / scale;
+    rateAt = (date) => getFXRateForDate(fx, date) ?? fallback;
+    console.log(`💱 Historical ${ticker}: ${currency} → EUR with historical FX`);
+  }
 
-      if (timestamp && closePrice && closePrice > 0) {
-        const date = new Date(timestamp * 1000);
-        const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const prices = points.map(p => ({ date: p.date, price: p.close * rateAt(p.date) }));
+  console.log(`✅ Received ${prices.length} monthly prices for ${ticker} (source: ${chart.source}, currency: ${currency})`);
+  return prices;
+}
 
-        prices.push({
-          date: dateStr,
-          price: closePrice * conversionFactor
-        });
-      }
-    }
+// ── Historical FX ────────────────────────────────────────────────────────────
+// Serie giornaliere EURxxx=X da Yahoo, salvate come { 'YYYY-MM-DD': EUR per unità }.
+// I giorni passati non cambiano: la cache si estende solo quando serve un
+// intervallo non ancora coperto (o, per oggi, dopo 12 ore).
+const FX_CACHE_PREFIX = 'fx_hist_v1_';
+const FX_CACHE_TTL_TODAY = 12 * 60 * 60 * 1000;
+
+/** GBp/GBX (pence) → GBP con scala 100 */
+function _fxCurrency(currency) {
+  if (currency === 'GBp' || currency === 'GBX') return { code: 'GBP', scale: 100 };
+  return { code: (currency || 'EUR').toUpperCase(), scale: 1 };
+}
 
-    console.log(`✅ Received ${prices.length} monthly prices from Yahoo Finance for ${ticker} (currency: ${currency})`);
+/**
+ * Storico dei cambi di una valuta verso EUR
+ *
+ * @param {string} currency - 'USD', 'GBP', 'GBp', 'CHF'…
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { 'YYYY-MM-DD': EUR per 1 unità di currency } ({} se non disponibile)
+ */
+export async function fetchFXHistory(currency, startDate, endDate) {
+  const { code, scale } = _fxCurrency(currency);
+  if (code === 'EUR') return {};
+  const scaled = (rates) => {
+    if (scale === 1) return rates;
+    const out = {};
+    Object.entries(rates).forEach(([d, r]) => { out[d] = r / scale; });
+    return out;
+  };
+
+  const key = `${FX_CACHE_PREFIX}${code}`;
+  const today = new Date().toISOString().split('T')[0];
+  const fixture = isFixtureMode();
+  let cached = null;
+  if (!fixture) {
+    try { cached = JSON.parse(localStorage.getItem(key) || 'null'); } catch { cached = null; }
+  }
 
-    return prices;
+  // Coperto se l'intervallo è già in cache; il giorno corrente scade dopo 12 ore
+  const covers = cached && cached.from <= startDate &&
+    (endDate < cached.to || Date.now() - cached.ts < FX_CACHE_TTL_TODAY);
+  if (covers) return scaled(cached.rates);
+
+  const from = cached && cached.from < startDate ? cached.from : startDate;
+  // EURUSD=X → quanti USD per 1 EUR
+  const chart = await fetchChart(`EUR${code}=X`, from, today, '1d');
+  if (!chart || chart.points.length === 0) {
+    console.warn(`⚠️ No FX history for ${code}`);
+    return scaled(cached?.rates || {});
+  }
 
-  } catch (error) {
-    console.warn(`⚠️ Error fetching from Yahoo Finance direct for ${ticker}:`, error.message);
-    return null; // Return null to signal fallback needed
+  const rates = { ...(cached?.rates || {}) };
+  chart.points.forEach(p => { rates[p.date] = 1 / p.close; });
+  if (fixture) return scaled(rates);
+  try {
+    localStorage.setItem(key, JSON.stringify({ ts: Date.now(), from, to: today, rates }));
+  } catch (e) {
+    console.warn('⚠️ Could not cache FX history (storage full?):', e.message);
   }
+  console.log(`💱 FX history ${code}: ${chart.points.length} days (${from} → ${today})`);
+  return scaled(rates);
 }
 
 /**
- * Fetch historical prices from Google Apps Script (last-resort fallback).
- * NOTE: Yahoo Finance (with exchange fallbacks) must already have been tried
- * by the caller — this function goes DIRECTLY to GAS without retrying Yahoo.
- *
- * @param {string} ticker - Ticker symbol (e.g., 'VWCE.DE', 'SWDA.MI')
- * @param {string} startDate - Start date in YYYY-MM-DD format
- * @param {string} endDate - End date in YYYY-MM-DD format
- * @returns {Promise<Array>} Array of {date, price} objects
+ * Cambio alla data (o all'ultimo giorno di borsa precedente)
+ * @param {Object} rates - da fetchFXHistory
+ * @param {string} date - YYYY-MM-DD (o ISO)
+ * @returns {number|null}
  */
-async function fetchHistoricalPricesFromGAS(ticker, startDate, endDate) {
-  console.log(`🔄 Falling back to Google Apps Script for ${ticker}`);
-  try {
-    const url = `${GOOGLE_APPS_SCRIPT_URL}?ticker=${encodeURIComponent(ticker)}&startDate=${startDate}&endDate=${endDate}`;
-    console.log(`📡 Fetching historical prices for ${ticker} via Google Apps Script`);
-    const response = await fetchWithTimeout(url, 8000); // 8s — same as Yahoo
-    if (!response.ok) {
-      console.warn(`⚠️ GAS request failed for ${ticker}: ${response.status}`);
-      return [];
-    }
-    const data = await response.json();
-    if (data.error || !data.historicalPrices || !Array.isArray(data.historicalPrices)) {
-      console.warn(`⚠️ GAS returned no usable data for ${ticker}`);
-      return [];
-    }
-    console.log(`✅ Received ${data.historicalPrices.length} historical prices for ${ticker} (source: GAS)`);
-    return data.historicalPrices;
-  } catch (error) {
-    if (error.name === 'AbortError') console.warn(`⏱️ Timeout fetching historical prices for ${ticker}`);
-    else console.warn(`⚠️ Error fetching historical prices for ${ticker}:`, error.message);
-    return [];
+export function getFXRateForDate(rates, date) {
+  if (!rates) return null;
+  const day = date.slice(0, 10);
+  if (rates[day]) return rates[day];
+  // Weekend / festivi: risali fino a 10 giorni
+  const d = new Date(`${day}T12:00:00Z`);
+  for (let i = 0; i < 10; i++) {
+    d.setUTCDate(d.getUTCDate() - 1);
+    const prev = d.toISOString().slice(0, 10);
+    if (rates[prev]) return rates[prev];
+  }
+  const days = Object.keys(rates).sort();
+  if (days.length === 0) return null;
+  let found = null;
+  for (const d of days) {
+    if (d > day) break;
+    found = d;
   }
+  return rates[found ?? days[0]];
 }
 
 /**
  * Run async tasks with a maximum concurrency limit.
- * Prevents overwhelming the CORS proxy with too many simultaneous requests.
+ * Prevents overwhelming the price API with too many simultaneous requests.
  * @param {Array<Function>} fns - Array of async functions (no args) to run
  * @param {number} limit - Max simultaneous tasks
  * @returns {Promise<Array>} Results in the same order as fns
@@ -470,9 +417,9 @@ export async function fetchMultipleHistoricalPrices(tickers, startDate, endDate)
     // Remove duplicates after normalization
     const uniqueNormalized = [...new Set(normalizedTickers)];
 
-    console.log(`📈 Fetching ${uniqueNormalized.length} unique tickers (max 4 concurrent) via Yahoo Finance`);
+    console.log(`📈 Fetching ${uniqueNormalized.length} unique tickers (max 4 concurrent) via the provider chain`);
 
-    // Fetch with concurrency limit of 4 to avoid CORS proxy rate-limiting.
+    // Fetch with concurrency limit of 4 to stay under the price API rate limit.
     // Cached tickers resolve in microseconds so the limit doesn't slow them down.
     const fns = uniqueNormalized.map(ticker => () =>
       fetchHistoricalPrices(ticker, startDate, endDate)
@@ -505,35 +452,6 @@ export async function fetchMultipleHistoricalPrices(tickers, startDate, endDate)
   }
 }
 
-/**
- * Fetch historical prices for traditional assets (ETFs, stocks)
- */
-async function fetchMultipleTraditionalPrices(tickers, startDate, endDate) {
-  if (tickers.length === 0) return {};
-
-  try {
-    // Fetch all tickers in parallel
-    const promises = tickers.map(ticker =>
-      fetchHistoricalPricesFromGAS(ticker, startDate, endDate)
-        .then(prices => ({ ticker, prices }))
-    );
-
-    const results = await Promise.all(promises);
-
-    // Convert array to object with ticker as key
-    const pricesMap = {};
-    results.forEach(({ ticker, prices }) => {
-      pricesMap[ticker] = prices;
-    });
-
-    return pricesMap;
-
-  } catch (error) {
-    console.error('Error fetching multiple traditional prices:', error);
-    return {};
-  }
-}
-
 /**
  * Get price for a specific month from historical data
  *
@@ -627,80 +545,40 @@ export function buildMonthlyPriceTable(historicalPrices) {
 }
 
 /**
- * Fetch CURRENT price for a ticker from Google Apps Script API
- * This is faster and more reliable than using CORS proxies
+ * Fetch CURRENT price for a ticker from the provider chain (native currency)
  *
  * @param {string} ticker - Ticker symbol (e.g., 'ACWIA.MI', 'VWCE.DE')
  * @returns {Promise<Object|null>} Price data or null if failed
  */
 export async function fetchCurrentPrice(ticker) {
-  try {
-    // Request without date range to get only current price
-    const url = `${GOOGLE_APPS_SCRIPT_URL}?ticker=${encodeURIComponent(ticker)}&current=true`;
-
-    console.log(`💰 Fetching current price for ${ticker} via Google Apps Script`);
-
-    const response = await fetchWithTimeout(url);
-
-    if (!response.ok) {
-      console.warn(`⚠️ API request failed for ${ticker}: ${response.status} ${response.statusText}`);
-      return null;
-    }
-
-    const data = await response.json();
-
-    if (data.error) {
-      console.warn(`⚠️ API returned error for ${ticker}:`, data.error);
-      return null;
-    }
-
-    // Check for current price in response
-    if (data.currentPrice || data.price) {
-      const price = data.currentPrice || data.price;
-      console.log(`✅ Current price for ${ticker}: ${price}`);
-      return {
-        ticker,
-        price: price,
-        change: data.change || 0,
-        changePercent: data.changePercent || 0,
-        timestamp: new Date().toISOString(),
-        source: data.source || 'google-apps-script'
-      };
-    }
-
-    // Fallback: use most recent historical price if available
-    if (data.historicalPrices && data.historicalPrices.length > 0) {
-      const mostRecent = data.historicalPrices[data.historicalPrices.length - 1];
-      console.log(`✅ Using most recent price for ${ticker}: ${mostRecent.price}`);
-      return {
-        ticker,
-        price: mostRecent.price,
-        timestamp: new Date().toISOString(),
-        source: 'google-apps-script'
-      };
-    }
-
+  const quote = (await getQuotes([ticker]))[ticker];
+  if (!quote) {
     console.warn(`⚠️ No price data found for ${ticker}`);
     return null;
-
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.warn(`⏱️ Timeout fetching current price for ${ticker}`);
-    } else {
-      console.warn(`⚠️ Error fetching current price for ${ticker}:`, error.message);
-    }
-    return null;
   }
+
+  const previousClose = quote.previousClose || quote.price;
+  const change = quote.price - previousClose;
+  console.log(`✅ Current price for ${ticker}: ${quote.price} ${quote.currency || ''} (source: ${quote.source})`);
+  return {
+    ticker,
+    price: quote.price,
+    change,
+    changePercent: previousClose > 0 ? (change / previousClose) * 100 : 0,
+    currency: quote.currency || 'EUR',
+    timestamp: new Date().toISOString(),
+    source: quote.source
+  };
 }
 
 /**
- * Fetch current prices for multiple tickers using Google Apps Script
+ * Fetch current prices for multiple tickers (one chain request per ticker)
  * @param {Array<string>} tickers - Array of ticker symbols
  * @returns {Promise<Object>} Object mapping ticker to price data
  */
 export async function fetchMultipleCurrentPrices(tickers) {
   try {
-    console.log(`💰 Fetching current prices for ${tickers.length} tickers via Google Apps Script`);
+    console.log(`💰 Fetching current prices for ${tickers.length} tickers`);
 
     const promises = tickers.map(ticker =>
       fetchCurrentPrice(ticker)
@@ -727,50 +605,16 @@ export async function fetchMultipleCurrentPrices(tickers) {
 }
 
 /**
- * Fetch TER (Total Expense Ratio) for a ticker from Google Apps Script API
+ * Fetch TER (Total Expense Ratio) for a ticker from the provider chain
+ * (Google Apps Script in live mode)
  * @param {string} ticker - Ticker symbol (e.g., 'VWCE.DE')
  * @returns {Promise<Object|null>} TER data object or null if not found
  */
 export async function fetchTER(ticker) {
-  try {
-    const url = `${GOOGLE_APPS_SCRIPT_URL}?ticker=${encodeURIComponent(ticker)}&ter=true`;
-
-    console.log(`📊 Fetching TER for ${ticker} via Google Apps Script`);
-
-    const response = await fetchWithTimeout(url);
-
-    if (!response.ok) {
-      console.warn(`⚠️ API request failed for ${ticker}: ${response.status} ${response.statusText}`);
-      return null;
-    }
-
-    const data = await response.json();
-
-    if (data.error) {
-      console.warn(`⚠️ TER not found for ${ticker}:`, data.error);
-      return null;
-    }
-
-    if (data.ter !== null && data.ter !== undefined) {
-      console.log(`✅ Received TER for ${ticker}: ${data.ter}% (source: ${data.source})`);
-      return {
-        ticker: data.ticker,
-        ter: data.ter,
-        source: data.source,
-        lastUpdated: data.lastUpdated
-      };
-    }
-
-    return null;
-
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.warn(`⏱️ Timeout fetching TER for ${ticker}`);
-    } else {
-      console.warn(`⚠️ Error fetching TER for ${ticker}:`, error.message);
-    }
-    return null;
-  }
+  console.log(`📊 Fetching TER for ${ticker}`);
+  const data = await getTER(ticker);
+  if (data) console.log(`✅ Received TER for ${ticker}: ${data.ter}% (source: ${data.source})`);
+  return data;
 }
 
 /**
@@ -809,6 +653,8 @@ export async function fetchMultipleTERs(tickers) {
 export default {
   fetchHistoricalPrices,
   fetchMultipleHistoricalPrices,
+  fetchFXHistory,
+  getFXRateForDate,
   getPriceForMonth,
   buildMonthlyPriceTable,
   fetchCurrentPrice,
@@ -0,0 +1,269 @@
+/**
+ * importReviewService.js
+ * Row-level editing of an import preview and reconciliation against the
+ * broker statement, before anything is written to storage.
+ *
+ * Preview rows carry a `previewId` (stable key while editing) and, for PDF
+ * imports, `fieldConfidence`: both are dropped by stripPreviewFields().
+ *
+ * Reconciliation rebuilds, for one broker, the positions and cash balance
+ * that existing transactions + the rows about to be imported produce, and
+ * compares them with the figures typed in from the statement. Both sides are
+ * adjusted for corporate actions (splits, renames, spin-offs) and cash is
+ * summed in EUR at each transaction's FX rate.
+ */
+
+import { getAssetInfo } from '../config/assetTickerMapping';
+import { getSignedCashFlow, isCashFlowType } from '../config/transactionTypes';
+import { applyCorporateActions } from './corporateActionService';
+import { getTransactionFXRate } from './fxService';
+
+// Tolleranze della riconciliazione
+export const QUANTITY_TOLERANCE = 0.0001;
+export const CASH_TOLERANCE = 1; // €: arrotondamenti e commissioni FX non esportate
+
+let _nextId = 0;
+const _newId = () => `row-${Date.now().toString(36)}-${(_nextId++).toString(36)}`;
+
+const _round = (v, decimals) => parseFloat((v || 0).toFixed(decimals));
+
+const _isCash = (tx) => tx.isCash || tx.macroCategory === 'Cash';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ROW EDITING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Assegna un previewId a ogni riga dell'anteprima
+ * @param {Array} transactions
+ * @returns {Array}
+ */
+export const withPreviewIds = (transactions) =>
+  transactions.map(tx => (tx.previewId ? tx : { ...tx, previewId: _newId() }));
+
+/**
+ * Rimuove i campi usati solo dall'anteprima
+ * @param {Object} tx
+ * @returns {Object}
+ */
+export function stripPreviewFields(tx) {
+  const { previewId, fieldConfidence, ...clean } = tx;
+  return clean;
+}
+
+/**
+ * Applica una modifica a una riga. Cambiando ticker, le categorie vengono
+ * riprese dal database se il ticker è mappato.
+ * @param {Object} row
+ * @param {Object} changes
+ * @returns {Object}
+ */
+export function updateRow(row, changes) {
+  const next = { ...row, ...changes };
+  if (changes.ticker !== undefined && changes.ticker !== row.ticker && !_isCash(row)) {
+    const info = getAssetInfo(changes.ticker);
+    if (info) {
+      next.macroCategory = info.macro || next.macroCategory;
+      next.microCategory = info.micro || '';
+      if (!row.name || row.name === row.ticker) next.name = info.name || next.name;
+    }
+  }
+  if (changes.macroCategory !== undefined && changes.macroCategory !== row.macroCategory && changes.microCategory === undefined) {
+    next.microCategory = '';
+  }
+  // Campo corretto a mano: non è più "da verificare"
+  if (row.fieldConfidence) {
+    const touched = Object.keys(changes).filter(k => k in row.fieldConfidence);
+    if (touched.length) {
+      next.fieldConfidence = { ...row.fieldConfidence };
+      touched.forEach(k => { next.fieldConfidence[k] = 'high'; });
+    }
+  }
+  return next;
+}
+
+/**
+ * Sostituisce un ticker su tutte le righe (risoluzione ticker sconosciuti)
+ * @param {Array} rows
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array}
+ */
+export function replaceTicker(rows, from, to) {
+  const key = (from || '').toUpperCase();
+  return rows.map(r => ((r.ticker || '').toUpperCase() === key ? updateRow(r, { ticker: to }) : r));
+}
+
+/**
+ * Unisce più righe dello stesso titolo e tipo in una sola:
+ * quantità e commissioni sommate, prezzo medio ponderato, data della prima.
+ * I sourceId delle righe assorbite restano in mergedSourceIds, così
+ * findDuplicates le riconosce a un nuovo import dello stesso file.
+ *
+ * @param {Array} rows - almeno due righe
+ * @returns {Object} riga unita
+ * @throws {Error} se ticker o tipo non coincidono
+ */
+export function mergeRows(rows) {
+  if (rows.length < 2) throw new Error('Seleziona almeno due righe da unire');
+  const [first] = rows;
+  const sameKey = rows.every(r =>
+    (r.ticker || '').toUpperCase() === (first.ticker || '').toUpperCase() && r.type === first.type);
+  if (!sameKey) throw new Error('Puoi unire solo righe con lo stesso ticker e lo stesso tipo');
+
+  const sorted = [...rows].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  const quantity = rows.reduce((s, r) => s + (parseFloat(r.quantity) || 0), 0);
+  const amount = rows.reduce((s, r) => s + (parseFloat(r.quantity) || 0) * (parseFloat(r.price) || 0), 0);
+  const sourceIds = rows.flatMap(r => [r.sourceId, ...(r.mergedSourceIds || [])]).filter(Boolean);
+
+  return {
+    ...sorted[0],
+    previewId: _newId(),
+    quantity: _round(quantity, 8),
+    price: quantity > 0 ? _round(amount / quantity, 6) : sorted[0].price,
+    commission: _round(rows.reduce((s, r) => s + (parseFloat(r.commission) || 0), 0), 4),
+    notes: [sorted[0].notes, `Unione di ${rows.length} righe`].filter(Boolean).join(' | '),
+    sourceId: sourceIds[0] || sorted[0].sourceId,
+    mergedSourceIds: sourceIds.slice(1),
+  };
+}
+
+/**
+ * Divide una riga in due: la prima con `quantity`, la seconda con il resto.
+ * Commissione ripartita in proporzione; la prima parte conserva il sourceId.
+ *
+ * @param {Object} row
+ * @param {number} quantity - quantità della prima parte (0 < q < row.quantity)
+ * @returns {[Object, Object]}
+ * @throws {Error} se la quantità non è valida
+ */
+export function splitRow(row, quantity) {
+  const total = parseFloat(row.quantity) || 0;
+  if (!(quantity > 0) || quantity >= total) {
+    throw new Error(`La quantità deve essere compresa tra 0 e ${total}`);
+  }
+  const share = quantity / total;
+  const commission = parseFloat(row.commission) || 0;
+  return [
+    { ...row, quantity: _round(quantity, 8), commission: _round(commission * share, 4) },
+    {
+      ...row,
+      previewId: _newId(),
+      quantity: _round(total - quantity, 8),
+      commission: _round(commission * (1 - share), 4),
+      sourceId: row.sourceId ? `${row.sourceId}-split` : '',
+      mergedSourceIds: undefined,
+    },
+  ];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RECONCILIATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Posizioni e liquidità di un broker ricostruite dalle transazioni
+ * (stessa logica di segno di cashFlowService). Importi in EUR al cambio
+ * della transazione; le commissioni sono già in EUR come nel motore dei lotti.
+ * @param {Array} transactions - già rettificate per le operazioni societarie
+ * @returns {{ positions: Object<string, { ticker, name, quantity }>, cash: number }}
+ */
+export function computeBrokerPositions(transactions) {
+  const positions = {};
+  let cash = 0;
+
+  transactions.forEach(tx => {
+    const qty = parseFloat(tx.quantity) || 0;
+    const price = parseFloat(tx.price) || 0;
+    const commission = parseFloat(tx.commission) || 0;
+    const fx = getTransactionFXRate(tx);
+
+    if (isCashFlowType(tx.type)) {
+      cash += getSignedCashFlow(tx) * fx;
+      return;
+    }
+    if (_isCash(tx)) {
+      cash += (tx.type === 'sell' ? -qty * price : qty * price) * fx;
+      return;
+    }
+
+    const key = (tx.ticker || '').toUpperCase();
+    const pos = positions[key] || (positions[key] = { ticker: tx.ticker, name: tx.name || tx.ticker, quantity: 0 });
+    if (tx.type === 'sell') {
+      pos.quantity -= qty;
+      cash += qty * price * fx - commission;
+    } else {
+      pos.quantity += qty;
+      cash -= qty * price * fx + commission;
+    }
+  });
+
+  Object.values(positions).forEach(p => { p.quantity = _round(p.quantity, 8); });
+  return { positions, cash: _round(cash, 2) };
+}
+
+/**
+ * Confronto con l'estratto conto del broker
+ *
+ * @param {Array} existing - transazioni già salvate dello stesso broker, già
+ *                           rettificate (getHoldingTransactions) e senza le escluse
+ * @param {Array} incoming - righe che verranno importate (qui rettificate per le
+ *                           operazioni societarie)
+ * @param {Object} statement - { positions: { [TICKER]: string|number }, cash: string|number }
+ *                             valori vuoti = non verificati
+ * @returns {{
+ *   rows: Array<{ ticker, name, computed, statement, diff, status }>,  // status: 'ok' | 'mismatch' | 'unchecked'
+ *   cash: { computed, statement, diff, status },
+ *   mismatches: number,
+ *   checked: number,
+ * }}
+ */
+export function reconcileImport(existing, incoming, statement = {}) {
+  const adjusted = applyCorporateActions(incoming.filter(tx => !tx.excludeFromStats));
+  const { positions, cash } = computeBrokerPositions([...existing, ...adjusted]);
+  const typed = statement.positions || {};
+
+  // Titoli dell'estratto conto che le transazioni non contengono
+  Object.keys(typed).forEach(key => {
+    if (!positions[key] && typed[key] !== '' && typed[key] !== undefined) {
+      positions[key] = { ticker: key, name: key, quantity: 0 };
+    }
+  });
+
+  const compare = (computed, raw, tolerance) => {
+    if (raw === '' || raw === undefined || raw === null || isNaN(parseFloat(raw))) {
+      return { computed, statement: null, diff: null, status: 'unchecked' };
+    }
+    const value = parseFloat(raw);
+    const diff = computed - value;
+    return { computed, statement: value, diff, status: Math.abs(diff) <= tolerance ? 'ok' : 'mismatch' };
+  };
+
+  const rows = Object.entries(positions)
+    // Posizioni chiuse da entrambe le parti: niente da verificare
+    .filter(([key, p]) => Math.abs(p.quantity) > QUANTITY_TOLERANCE || (typed[key] !== undefined && typed[key] !== ''))
+    .map(([key, p]) => ({ ticker: p.ticker, name: p.name, ...compare(p.quantity, typed[key], QUANTITY_TOLERANCE) }))
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+  const cashRow = compare(cash, statement.cash, CASH_TOLERANCE);
+
+  const all = [...rows, cashRow];
+  return {
+    rows,
+    cash: cashRow,
+    mismatches: all.filter(r => r.status === 'mismatch').length,
+    checked: all.filter(r => r.status !== 'unchecked').length,
+  };
+}
+
+export default {
+  QUANTITY_TOLERANCE,
+  CASH_TOLERANCE,
+  withPreviewIds,
+  stripPreviewFields,
+  updateRow,
+  replaceTicker,
+  mergeRows,
+  splitRow,
+  computeBrokerPositions,
+  reconcileImport,
+};
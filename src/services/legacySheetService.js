@@ -0,0 +1,279 @@
+/**
+ * Legacy Sheet Service
+ * Migrazione dal vecchio tracker su Google Sheets.
+ *
+ *   Transaction.csv                        → import CSV standard (parser legacy_sheet
+ *                                             di csvImportService, con anteprima)
+ *   Archivio.csv / Timestamp portfolio.csv → snapshot mensili (monthlySnapshotService)
+ *   Strategy.csv                           → microAllocation della Strategia
+ *
+ * I fogli usano il formato numerico italiano ("1.234,56", "4,50%") e righe
+ * di titolo sopra l'intestazione vera: l'intestazione viene cercata per
+ * contenuto, non per posizione.
+ */
+
+import Papa from 'papaparse';
+import { safeFloat, normalizeSheetTicker, classifySheetAsset } from './csvImportService';
+import { upsertMonthlySnapshots } from './monthlySnapshotService';
+import { scheduleSync } from './syncService';
+import { getAssetInfo } from '../config/assetTickerMapping';
+import { findMacroFromMicro, getAllMicroCategoriesWithData } from '../config/assetCategoriesData';
+
+export const LEGACY_SOURCE = 'legacy_sheet';
+
+const STRATEGY_KEY = 'investment_strategy';
+
+export const LEGACY_SHEET_KINDS = {
+  transactions: 'Transazioni',
+  archive:      'Archivio mensile',
+  strategy:     'Strategia',
+};
+
+// Colonne che identificano ciascun foglio
+const SHEET_SIGNATURES = {
+  transactions: ['asset ticker', 'action', 'platform'],
+  archive:      ['asset ticker', 'total quantity owned', 'mese', 'anno'],
+  strategy:     ['macro asset', 'micro asset', 'ticker', 'target %'],
+};
+
+// Micro asset del foglio → micro categoria dell'app, quando il ticker non è nel database
+const LEGACY_MICRO_ALIASES = {
+  'azionario usa':                     'Azionario USA',
+  'azionario all country':             'Azionario Mondiale',
+  'azionario mondo':                   'Azionario Mondiale',
+  'azionario mondo ex em':             'Azionario Mondiale',
+  'azionario europa':                  'Azionario Europa',
+  'azionario emergenti':               'Azionario Emergenti',
+  'azionario emergenti ex china':      'Azionario Emergenti ex-China',
+  'azionario china':                   'Azionario China',
+  'materie prime':                     'Materie Prime Diversificate',
+  'oro':                               'Oro',
+  'obbligazionario usa middle term':   'Treasury USA Medio',
+  'obbligazionario europa inflazione': 'Inflation-Linked Europa',
+  'obbligazionario europa corporate':  'Corporate Investment Grade Europa',
+  'obbligazionario europa governativo': 'Governativi Eurozona',
+};
+
+const normalize = (x) => String(x || '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * Riconosce il foglio dalle intestazioni
+ * @param {Array<Array<string>>} rows - righe grezze (senza header)
+ * @returns {{ kind: string|null, headerIdx: number }}
+ */
+export function detectLegacySheet(rows) {
+  for (let i = 0; i < Math.min(10, rows.length); i++) {
+    const cells = (rows[i] || []).map(normalize);
+    const kind = Object.keys(SHEET_SIGNATURES).find(k => SHEET_SIGNATURES[k].every(c => cells.includes(c)));
+    if (kind) return { kind, headerIdx: i };
+  }
+  return { kind: null, headerIdx: -1 };
+}
+
+/** Righe sotto l'intestazione come oggetti { colonna normalizzata: valore } */
+function rowsAsObjects(rows, headerIdx) {
+  const header = rows[headerIdx].map(normalize);
+  return rows.slice(headerIdx + 1)
+    .filter(r => r.some(c => String(c || '').trim() !== ''))
+    .map(r => Object.fromEntries(header.map((h, idx) => [h, r[idx] ?? ''])));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ARCHIVIO → SNAPSHOT MENSILI
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Archivio.csv: una riga per piattaforma × titolo × mese
+ * @param {Array<Array<string>>} rows
+ * @param {number} headerIdx
+ * @returns {{ snapshots: Array, skipped: Array }}
+ */
+export function parseLegacyArchive(rows, headerIdx) {
+  const byMonth = {};
+  const skipped = [];
+
+  rowsAsObjects(rows, headerIdx).forEach((row, i) => {
+    const month = parseInt(row['mese'], 10);
+    const year = parseInt(row['anno'], 10);
+    const sheetTicker = String(row['asset ticker'] || '').trim();
+    if (!(month >= 1 && month <= 12) || !(year > 1900) || !sheetTicker) {
+      skipped.push({ rowIndex: i, reason: 'Mese, anno o ticker mancanti', rawRow: row });
+      return;
+    }
+
+    const assetClass = String(row['asset class'] || '').trim();
+    const isCash = normalize(assetClass) === 'cash' || normalize(sheetTicker) === 'cash';
+    const ticker = isCash ? 'CASH' : normalizeSheetTicker(sheetTicker, assetClass);
+    const { macroCategory, microCategory, name } = isCash
+      ? { macroCategory: 'Cash', microCategory: 'Liquidità', name: 'Liquidità' }
+      : classifySheetAsset(ticker, assetClass);
+
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (!byMonth[key]) {
+      byMonth[key] = {
+        month: key,
+        date: `${key}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`,
+        positions: [],
+        source: LEGACY_SOURCE,
+      };
+    }
+    byMonth[key].positions.push({
+      platform: String(row['platform'] || '').trim(),
+      ticker,
+      sheetTicker,
+      name: name || sheetTicker,
+      quantity: safeFloat(row['total quantity owned']),
+      price: safeFloat(row['market price']),
+      value: safeFloat(row['total market value']),
+      macroCategory,
+      microCategory,
+      strategy: String(row['strategy'] || '').trim(),
+      country: String(row['country'] || '').trim(),
+      isCash,
+    });
+  });
+
+  const snapshots = Object.values(byMonth)
+    .map(s => {
+      const totalValue = s.positions.reduce((sum, p) => sum + p.value, 0);
+      const cashValue = s.positions.filter(p => p.isCash).reduce((sum, p) => sum + p.value, 0);
+      return { ...s, totalValue: parseFloat(totalValue.toFixed(2)), cashValue: parseFloat(cashValue.toFixed(2)) };
+    })
+    .sort((a, b) => a.month.localeCompare(b.month));
+
+  return { snapshots, skipped };
+}
+
+/**
+ * Salva gli snapshot dell'archivio
+ * @param {Array} snapshots
+ * @returns {{ added: number, replaced: number }}
+ */
+export const importLegacySnapshots = (snapshots) => upsertMonthlySnapshots(snapshots);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STRATEGY → MICRO ALLOCATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const _microByName = () => Object.fromEntries(getAllMicroCategoriesWithData().map(m => [normalize(m.micro), m.micro]));
+
+/**
+ * Micro categoria dell'app per una riga della strategia:
+ * prima il ticker (database), poi l'alias del nome del foglio, poi il nome identico.
+ */
+function resolveMicro(sheetTicker, macroAsset, microAsset, microByName) {
+  const assetClass = /crypto/i.test(macroAsset) ? 'Crypto' : '';
+  const info = getAssetInfo(normalizeSheetTicker(sheetTicker, assetClass));
+  if (info?.micro && findMacroFromMicro(info.micro)) return { micro: info.micro, via: 'ticker' };
+
+  const alias = LEGACY_MICRO_ALIASES[normalize(microAsset)];
+  if (alias && findMacroFromMicro(alias)) return { micro: alias, via: 'alias' };
+
+  const exact = microByName[normalize(microAsset)];
+  if (exact) return { micro: exact, via: 'nome' };
+  return null;
+}
+
+/**
+ * Strategy.csv: target % per ticker, raggruppati per micro categoria dell'app
+ * @param {Array<Array<string>>} rows
+ * @param {number} headerIdx
+ * @returns {{ microAllocation: Object, mapping: Array, unmatched: Array, total: number }}
+ */
+export function parseLegacyStrategy(rows, headerIdx) {
+  const microByName = _microByName();
+  const microAllocation = {};
+  const mapping = [];
+  const unmatched = [];
+
+  rowsAsObjects(rows, headerIdx).forEach(row => {
+    const ticker = String(row['ticker'] || '').trim();
+    const target = safeFloat(row['target %']);
+    if (!ticker || target <= 0) return;
+
+    const microAsset = String(row['micro asset'] || '').trim();
+    const resolved = resolveMicro(ticker, row['macro asset'], microAsset, microByName);
+    if (!resolved) {
+      unmatched.push({ ticker, sheetMicro: microAsset, target });
+      return;
+    }
+    microAllocation[resolved.micro] = parseFloat(((microAllocation[resolved.micro] || 0) + target).toFixed(4));
+    mapping.push({ ticker, sheetMicro: microAsset, micro: resolved.micro, via: resolved.via, target });
+  });
+
+  const total = parseFloat(Object.values(microAllocation).reduce((s, v) => s + v, 0).toFixed(4));
+  return { microAllocation, mapping, unmatched, total };
+}
+
+/**
+ * Sostituisce la microAllocation della strategia salvata (gli altri campi
+ * dell'obiettivo restano invariati) e ricalcola l'allocazione macro.
+ * @param {Object} microAllocation
+ * @returns {Object} la strategia salvata
+ */
+export function applyLegacyStrategy(microAllocation) {
+  let current = {};
+  try {
+    current = JSON.parse(localStorage.getItem(STRATEGY_KEY) || '{}');
+  } catch {
+    current = {};
+  }
+  const assetAllocation = {};
+  Object.entries(microAllocation).forEach(([micro, pct]) => {
+    const macro = findMacroFromMicro(micro);
+    if (macro) assetAllocation[macro] = (assetAllocation[macro] || 0) + pct;
+  });
+  const strategy = { ...current, microAllocation: { ...microAllocation }, assetAllocation };
+  localStorage.setItem(STRATEGY_KEY, JSON.stringify(strategy));
+  scheduleSync();
+  return strategy;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN ENTRY POINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Legge un export del vecchio foglio e lo riconosce.
+ * Returns a Promise resolving to:
+ *   { kind: 'transactions' }                              → da importare dalla pagina Transazioni
+ *   { kind: 'archive',  snapshots, skipped }
+ *   { kind: 'strategy', microAllocation, mapping, unmatched, total }
+ * @param {File} file
+ * @returns {Promise<Object>}
+ * @throws {Error} se il file non è un export riconosciuto
+ */
+export function parseLegacySheetFile(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: false,
+      skipEmptyLines: true,
+      encoding: 'UTF-8',
+      complete: ({ data }) => {
+        try {
+          const { kind, headerIdx } = detectLegacySheet(data);
+          if (!kind) {
+            throw new Error(`${file.name}: non è un export del foglio (servono Transaction, Archivio, Timestamp portfolio o Strategy)`);
+          }
+          if (kind === 'transactions') return resolve({ kind, filename: file.name });
+          const parsed = kind === 'archive' ? parseLegacyArchive(data, headerIdx) : parseLegacyStrategy(data, headerIdx);
+          resolve({ kind, filename: file.name, ...parsed });
+        } catch (err) {
+          reject(err);
+        }
+      },
+      error: (err) => reject(err),
+    });
+  });
+}
+
+export default {
+  LEGACY_SOURCE,
+  LEGACY_SHEET_KINDS,
+  detectLegacySheet,
+  parseLegacyArchive,
+  importLegacySnapshots,
+  parseLegacyStrategy,
+  applyLegacyStrategy,
+  parseLegacySheetFile,
+};
@@ -5,6 +5,11 @@
 
 import { calculateCashFlow } from './cashFlowService';
 import { lookupISIN } from './isinMapping';
+import { recordTombstones, scheduleSync } from './syncService';
+import { applyCorporateActions } from './corporateActionService';
+import { runLotEngine, DEFAULT_COST_BASIS_METHOD } from './taxLotService';
+import { resolveTransactionFX, getCurrentFXRate, isForeignCurrency } from './fxService';
+import { isCashFlowType, getSignedCashFlow } from '../config/transactionTypes';
 
 const STORAGE_KEYS = {
   TRANSACTIONS: 'investment_tracker_transactions',
@@ -13,6 +18,12 @@ const STORAGE_KEYS = {
   IMPORT_BATCHES: 'investment_tracker_import_batches',
 };
 
+// Scrive uno store sincronizzato e pianifica la sync verso il cloud
+const saveSynced = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+  scheduleSync();
+};
+
 // ============================================
 // TRANSACTIONS
 // ============================================
@@ -25,6 +36,9 @@ const fixCashTransactions = (transactions) => {
   let fixed = false;
 
   const fixedTransactions = transactions.map(tx => {
+    // Dividends/interest/fees keep their own ticker and micro-category
+    if (isCashFlowType(tx.type)) return tx;
+
     // Identify Cash transactions by multiple criteria
     const isCashTransaction =
       tx.ticker === 'CASH' ||
@@ -66,7 +80,7 @@ const fixCashTransactions = (transactions) => {
 
   if (fixed) {
     console.log('✅ Cash transactions have been fixed and saved');
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(fixedTransactions));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, fixedTransactions);
   }
 
   return fixedTransactions;
@@ -92,7 +106,38 @@ const migrateCategories = (transactions) => {
   });
   if (changed) {
     console.log('🔧 Migrated legacy "Stock" → "Azioni" in transactions');
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(migrated));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, migrated);
+  }
+  return migrated;
+};
+
+/**
+ * Migrate legacy income rows to the first-class cash-flow types.
+ * Old imports stored dividends and interest as Cash "buy" rows tagged with
+ * isDividend / microCategory, which made them count as deposits.
+ */
+const migrateIncomeTypes = (transactions) => {
+  let changed = false;
+  const migrated = transactions.map(tx => {
+    if (tx.type !== 'buy' || !(tx.isCash || tx.macroCategory === 'Cash')) return tx;
+    if (tx.isDividend || tx.microCategory === 'Dividendi') {
+      changed = true;
+      return {
+        ...tx,
+        type: 'dividend',
+        ticker: tx.dividendTicker || tx.ticker,
+        updatedAt: new Date().toISOString()
+      };
+    }
+    if (tx.microCategory === 'Interessi') {
+      changed = true;
+      return { ...tx, type: 'interest', updatedAt: new Date().toISOString() };
+    }
+    return tx;
+  });
+  if (changed) {
+    console.log('🔧 Migrated legacy dividend/interest rows to dedicated transaction types');
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, migrated);
   }
   return migrated;
 };
@@ -107,13 +152,20 @@ export const getTransactions = () => {
     const transactions = data ? JSON.parse(data) : [];
 
     // Normalize categories, ticker (via ISIN) e fix Cash transactions on load
-    return fixCashTransactions(normalizeTickers(migrateCategories(transactions)));
+    return fixCashTransactions(normalizeTickers(migrateIncomeTypes(migrateCategories(transactions))));
   } catch (error) {
     console.error('Error loading transactions:', error);
     return [];
   }
 };
 
+/**
+ * Transazioni rettificate per le operazioni societarie (split, fusioni, spin-off).
+ * Da usare per i calcoli delle posizioni; NON salvarle (restano rettificate).
+ * @returns {Array} Array of transaction objects
+ */
+export const getHoldingTransactions = () => applyCorporateActions(getTransactions());
+
 /**
  * Normalizza il ticker via ISIN (chiave universale).
  * I broker usano codici propri (T212: MSF, RY6, 3V64…) ma l'ISIN è sempre lo
@@ -156,13 +208,36 @@ export function migrateTickersPersistent() {
       changed++;
       return { ...tx, brokerTicker: tx.brokerTicker || tx.ticker, ticker: canonical };
     });
-    if (changed > 0) localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(fixed));
+    if (changed > 0) saveSynced(STORAGE_KEYS.TRANSACTIONS, fixed);
     return changed;
   } catch {
     return 0;
   }
 }
 
+/**
+ * Salva sulle transazioni in valuta estera il cambio storico alla data
+ * (fxRate = EUR per unità di valuta). Da chiamare all'avvio e dopo gli
+ * import. Idempotente.
+ * @returns {Promise<number>} numero di transazioni aggiornate
+ */
+export async function backfillTransactionFX() {
+  try {
+    const updates = await resolveTransactionFX(getTransactions());
+    const ids = Object.keys(updates);
+    if (ids.length === 0) return 0;
+    // Rilegge dopo il fetch: nel frattempo le transazioni possono essere cambiate
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEYS.TRANSACTIONS) || '[]');
+    const now = new Date().toISOString();
+    const fixed = raw.map(tx => (updates[tx.id] ? { ...tx, ...updates[tx.id], updatedAt: now } : tx));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, fixed);
+    return ids.length;
+  } catch (error) {
+    console.error('Error resolving historical FX rates:', error);
+    return 0;
+  }
+}
+
 /**
  * Add a new transaction
  * @param {Object} transaction - Transaction data
@@ -178,7 +253,7 @@ export const addTransaction = (transaction) => {
       updatedAt: new Date().toISOString()
     };
     transactions.push(newTransaction);
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, transactions);
     return newTransaction;
   } catch (error) {
     console.error('Error adding transaction:', error);
@@ -207,7 +282,7 @@ export const updateTransaction = (id, updates) => {
       updatedAt: new Date().toISOString()
     };
 
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, transactions);
     return transactions[index];
   } catch (error) {
     console.error('Error updating transaction:', error);
@@ -224,7 +299,8 @@ export const deleteTransaction = (id) => {
   try {
     const transactions = getTransactions();
     const filtered = transactions.filter(t => t.id !== id);
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(filtered));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, filtered);
+    recordTombstones(STORAGE_KEYS.TRANSACTIONS, [id]);
     return true;
   } catch (error) {
     console.error('Error deleting transaction:', error);
@@ -262,7 +338,7 @@ export const getImportBatches = () => {
 const saveBatchMeta = (meta) => {
   const batches = getImportBatches();
   batches.unshift(meta); // newest first
-  localStorage.setItem(STORAGE_KEYS.IMPORT_BATCHES, JSON.stringify(batches));
+  saveSynced(STORAGE_KEYS.IMPORT_BATCHES, batches);
 };
 
 export const deleteImportBatch = (batchId) => {
@@ -270,10 +346,13 @@ export const deleteImportBatch = (batchId) => {
     // Remove transactions
     const all = getTransactions();
     const kept = all.filter(t => t.importBatchId !== batchId);
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(kept));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, kept);
     // Remove batch metadata
     const batches = getImportBatches().filter(b => b.id !== batchId);
-    localStorage.setItem(STORAGE_KEYS.IMPORT_BATCHES, JSON.stringify(batches));
+    saveSynced(STORAGE_KEYS.IMPORT_BATCHES, batches);
+    // Propagate the delete to the other devices
+    recordTombstones(STORAGE_KEYS.TRANSACTIONS, all.filter(t => t.importBatchId === batchId).map(t => t.id));
+    recordTombstones(STORAGE_KEYS.IMPORT_BATCHES, [batchId]);
     return all.length - kept.length;
   } catch (error) {
     console.error('Error deleting import batch:', error);
@@ -304,7 +383,7 @@ export const bulkImportTransactions = (transactionsArray, batchMeta = {}) => {
     }));
 
     const allTransactions = [...existingTransactions, ...newTransactions];
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(allTransactions));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, allTransactions);
 
     // Save batch metadata
     saveBatchMeta({
@@ -337,7 +416,9 @@ export const exportTransactions = () => {
  */
 export const clearAllTransactions = () => {
   try {
+    const ids = getTransactions().map(t => t.id);
     localStorage.removeItem(STORAGE_KEYS.TRANSACTIONS);
+    recordTombstones(STORAGE_KEYS.TRANSACTIONS, ids);
     return true;
   } catch (error) {
     console.error('Error clearing transactions:', error);
@@ -385,14 +466,28 @@ export const updateSettings = (settings) => {
  * @returns {Object} Default settings
  */
 const getDefaultSettings = () => ({
-  currency: 'EUR',
+  currency: 'EUR', // valuta base: EUR | USD | CHF | GBP
   theme: 'light',
   autoRefreshPrices: true,
   refreshInterval: 60000, // 1 minute
   dateFormat: 'dd/MM/yyyy',
-  numberFormat: 'de-DE' // European format
+  numberFormat: 'de-DE', // European format
+  costBasisMethod: DEFAULT_COST_BASIS_METHOD, // average | fifo | lifo | specific
+  marketDataMode: 'live' // live | fixture (dati di mercato offline, vedi marketDataService)
 });
 
+/**
+ * Metodo di calcolo del costo di carico scelto nelle impostazioni
+ * @returns {string} average | fifo | lifo | specific
+ */
+export const getCostBasisMethod = () => getSettings().costBasisMethod || DEFAULT_COST_BASIS_METHOD;
+
+/**
+ * Valuta base scelta nelle impostazioni (valuta di visualizzazione dell'app)
+ * @returns {string} EUR | USD | CHF | GBP
+ */
+export const getBaseCurrency = () => getSettings().currency || 'EUR';
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -436,83 +531,22 @@ export const updateLastSync = () => {
  * @returns {Array} Portfolio holdings
  */
 export const calculatePortfolio = () => {
-  const transactions = getTransactions().slice().sort((a, b) => new Date(a.date) - new Date(b.date));
-  const holdings = {};
-  let totalRealizedPL = 0; // P/L da posizioni chiuse o vendite parziali
-
-  transactions.forEach(tx => {
-    const { ticker, type, quantity, price, date } = tx;
-    const isCash = tx.isCash || (tx.macroCategory === 'Cash');
-
-    // Skip cash transactions - they will be calculated separately via cash flow
-    if (isCash) {
-      return;
-    }
-
-    // Group by ticker + broker so the same ETF bought on different platforms stays separate
-    const broker = tx.broker || '';
-    const holdingKey = broker ? `${ticker}::${broker}` : ticker;
-
-    if (!holdings[holdingKey]) {
-      holdings[holdingKey] = {
-        ticker,
-        holdingKey,
-        broker,
-        name: tx.name || ticker,
-        isin: tx.isin || '',
-        category: tx.macroCategory || tx.category || 'Other',
-        macroCategory: tx.macroCategory || tx.category || 'Other',
-        microCategory: tx.microCategory || tx.subCategory || null,
-        subCategory: tx.microCategory || tx.subCategory || null,
-        currency: tx.currency || 'EUR',
-        quantity: 0,
-        totalCost: 0,
-        avgPrice: 0,
-        realizedPL: 0,
-        transactions: [],
-        lastTransactionDate: date,
-        isCash: false
-      };
-    }
+  const transactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
+  const { positions } = runLotEngine(transactions, { method: getCostBasisMethod() });
 
-    // Update categories from most recent transaction
-    if (new Date(date) >= new Date(holdings[holdingKey].lastTransactionDate)) {
-      holdings[holdingKey].macroCategory = tx.macroCategory || tx.category || holdings[holdingKey].macroCategory;
-      holdings[holdingKey].category = tx.macroCategory || tx.category || holdings[holdingKey].category;
-      holdings[holdingKey].microCategory = tx.microCategory || tx.subCategory || holdings[holdingKey].microCategory;
-      holdings[holdingKey].subCategory = tx.microCategory || tx.subCategory || holdings[holdingKey].subCategory;
-      holdings[holdingKey].lastTransactionDate = date;
-    }
-
-    if (type === 'buy') {
-      holdings[holdingKey].quantity += quantity;
-      holdings[holdingKey].totalCost += quantity * price;
-    } else if (type === 'sell') {
-      const avgCostBefore = holdings[holdingKey].quantity > 0
-        ? holdings[holdingKey].totalCost / holdings[holdingKey].quantity
-        : price;
-      // P/L realizzato = (prezzo vendita - costo medio acquisto) × quantità
-      const realized = (price - avgCostBefore) * quantity;
-      holdings[holdingKey].realizedPL = (holdings[holdingKey].realizedPL || 0) + realized;
-      totalRealizedPL += realized;
-      holdings[holdingKey].quantity -= quantity;
-      holdings[holdingKey].totalCost -= quantity * avgCostBefore;
-    }
-
-    holdings[holdingKey].transactions.push({
-      date,
-      type,
-      quantity,
-      price
-    });
-  });
+  // Cash transactions are skipped by the lot engine - cash is calculated separately via cash flow
+  let totalRealizedPL = 0; // P/L da posizioni chiuse o vendite parziali
+  Object.values(positions).forEach(p => { totalRealizedPL += p.realizedPL; });
 
   // Calculate average price and filter out zero positions
-  const portfolio = Object.values(holdings)
+  const portfolio = Object.values(positions)
     .filter(h => h.quantity > 0)
     .map(h => ({
       ...h,
-      avgPrice: h.totalCost / h.quantity
+      category: h.macroCategory,
+      subCategory: h.microCategory,
+      avgPrice: h.totalCost / h.quantity,
+      isCash: false
     }));
 
   // Esponi il P/L realizzato totale tramite una proprietà sulla funzione
@@ -524,7 +558,7 @@ export const calculatePortfolio = () => {
 
     // Always add cash if there were any cash movements (deposits/withdrawals/purchases/sales)
     // This includes negative cash (overspent) and zero cash
-    if (cashFlow.cashDeposits > 0 || cashFlow.assetPurchases > 0 || cashFlow.assetSales > 0 || cashFlow.cashWithdrawals > 0) {
+    if (cashFlow.cashDeposits > 0 || cashFlow.assetPurchases > 0 || cashFlow.assetSales > 0 || cashFlow.cashWithdrawals > 0 || cashFlow.netIncome !== 0 || cashFlow.netTransfers !== 0) {
       const cashHolding = {
         ticker: 'CASH',
         name: 'Cash', // Standard name as requested
@@ -598,7 +632,7 @@ export const updateAllSubCategories = async () => {
     }
 
     // Save updated transactions
-    localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
+    saveSynced(STORAGE_KEYS.TRANSACTIONS, transactions);
     updateLastSync();
 
     console.log(`✅ Sub-category update complete: ${updatedCount} updated, ${errorCount} errors`);
@@ -619,92 +653,55 @@ export const updateAllSubCategories = async () => {
 
 /**
  * Calcola il P&L realizzato da tutte le vendite effettuate.
- * Usa il metodo del costo medio ponderato (FIFO-avg).
+ * Usa il motore dei lotti con il metodo scelto nelle impostazioni
+ * (default costo medio ponderato).
  *
  * @returns {{ total: number, ytdTotal: number, positions: Array, operations: Array }}
  */
 export function calculateRealizedPL() {
   const currentYear = new Date().getFullYear();
 
-  const transactions = getTransactions()
-    .slice()
-    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const transactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
+  const { positions: holdings, disposals } = runLotEngine(transactions, { method: getCostBasisMethod() });
 
-  const holdings = {};          // costo medio corrente per ticker
   const realizedMap = {};       // P&L realizzato accumulato per ticker
-  const operations = [];        // singole operazioni di vendita con P&L individuale
-
-  transactions.forEach(tx => {
-    const { ticker, type, quantity, price, date } = tx;
-    const isCash = tx.isCash || tx.macroCategory === 'Cash';
-    if (isCash) return;
-
-    if (!holdings[ticker]) {
-      holdings[ticker] = { quantity: 0, totalCost: 0 };
-    }
-    if (!realizedMap[ticker]) {
-      realizedMap[ticker] = {
-        ticker,
-        name: tx.name || ticker,
-        macroCategory: tx.macroCategory || 'Other',
+  disposals.forEach(op => {
+    if (!realizedMap[op.ticker]) {
+      realizedMap[op.ticker] = {
+        ticker: op.ticker,
+        name: op.name,
+        macroCategory: op.macroCategory || 'Other',
         costBasis: 0,
         proceeds: 0,
         realizedPL: 0,
+        currencyPL: 0,
         sellCount: 0,
         lastSellDate: null,
       };
     }
-
-    realizedMap[ticker].name = tx.name || realizedMap[ticker].name;
-    realizedMap[ticker].macroCategory = tx.macroCategory || realizedMap[ticker].macroCategory;
-
-    if (type === 'buy') {
-      holdings[ticker].quantity += quantity;
-      holdings[ticker].totalCost += quantity * price;
-    } else if (type === 'sell') {
-      const avgCost = holdings[ticker].quantity > 0
-        ? holdings[ticker].totalCost / holdings[ticker].quantity
-        : price;
-
-      const sellProceeds  = quantity * price;
-      const sellCostBasis = quantity * avgCost;
-      const realized      = sellProceeds - sellCostBasis;
-
-      realizedMap[ticker].costBasis  += sellCostBasis;
-      realizedMap[ticker].proceeds   += sellProceeds;
-      realizedMap[ticker].realizedPL += realized;
-      realizedMap[ticker].sellCount  += 1;
-      realizedMap[ticker].lastSellDate = date;
-
-      // Registra operazione individuale
-      operations.push({
-        id: tx.id,
-        ticker,
-        name: tx.name || ticker,
-        date,
-        quantity,
-        sellPrice: price,
-        avgCostAtSale: avgCost,
-        proceeds: sellProceeds,
-        costBasis: sellCostBasis,
-        realizedPL: realized,
-        pctReturn: sellCostBasis > 0 ? (realized / sellCostBasis) * 100 : 0,
-        commission: tx.commission || 0,
-      });
-
-      holdings[ticker].quantity  -= quantity;
-      holdings[ticker].totalCost -= sellCostBasis;
-    }
+    const p = realizedMap[op.ticker];
+    p.name          = op.name || p.name;
+    p.costBasis    += op.costBasis;
+    p.proceeds     += op.proceeds;
+    p.realizedPL   += op.realizedPL;
+    p.currencyPL   += op.currencyPL;
+    p.sellCount    += 1;
+    p.lastSellDate  = op.date;
   });
 
-  // Ordina operazioni dalla più recente
-  operations.sort((a, b) => new Date(b.date) - new Date(a.date));
+  // Singole operazioni di vendita, dalla più recente
+  const operations = disposals
+    .slice()
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const openQty = (ticker) => Object.values(holdings)
+    .filter(h => h.ticker === ticker)
+    .reduce((s, h) => s + h.quantity, 0);
 
   const positions = Object.values(realizedMap)
-    .filter(p => p.sellCount > 0)
     .map(p => ({
       ...p,
-      isClosed: (holdings[p.ticker]?.quantity ?? 0) <= 0.0001,
+      isClosed: openQty(p.ticker) <= 0.0001,
       pctReturn: p.costBasis > 0 ? (p.realizedPL / p.costBasis) * 100 : 0,
     }))
     .sort((a, b) => Math.abs(b.realizedPL) - Math.abs(a.realizedPL));
@@ -724,65 +721,47 @@ export function calculateRealizedPL() {
  *   • Commissioni incluse nel costo di acquisto
  *   • Commissioni di vendita dedotte dai proventi
  *   • Transazioni con excludeFromStats=true escluse
- *   • P/L realizzato calcolato con costo medio ponderato
+ *   • P/L realizzato calcolato dal motore dei lotti (metodo da impostazioni,
+ *     default costo medio ponderato); P/L non realizzato anche per lotto
+ *   • Dividendi, interessi, costi e ritenute registrati inclusi nel P/L totale
+ *   • Importi in EUR; baseCurrency.rate converte nella valuta base scelta
  *
  * @param {Object} priceMap  { [ticker]: { price, change, changePercent } }
  *                           Passare getCachedPrices() o il risultato di fetchMultiplePrices()
- * @returns {Object}  { holdings, totalInvested, totalValue, unrealizedPL, realizedPL, totalPL, returnPct }
+ * @returns {Object}  { holdings, totalInvested, totalValue, unrealizedPL, realizedPL, currencyPL, income, totalPL, returnPct, baseCurrency }
  */
 export function portfolioSnapshot(priceMap = {}) {
-  const transactions = getTransactions()
-    .filter(tx => !tx.excludeFromStats)
-    .slice()
-    .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-  const holdings = {};
-  let realizedPL = 0;
+  const transactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
+  const { positions: holdings } = runLotEngine(transactions, { method: getCostBasisMethod() });
+  const realizedPL = Object.values(holdings).reduce((s, h) => s + h.realizedPL, 0);
+  const realizedFxPL = Object.values(holdings).reduce((s, h) => s + h.realizedFxPL, 0);
+  // Redditi effettivamente incassati/pagati (tipi cash-flow, esclusi i trasferimenti)
+  const income = { dividends: 0, interest: 0, fees: 0, taxesWithheld: 0 };
+  const dividendsByTicker = {};
 
   transactions.forEach(tx => {
-    const isCash = tx.isCash || tx.macroCategory === 'Cash';
-    if (isCash) return;
-
-    const { ticker, type, quantity, price } = tx;
-    const commission = tx.commission || 0;
-    const broker     = tx.broker || '';
-    const holdingKey = broker ? `${ticker}::${broker}` : ticker;
-
-    if (!holdings[holdingKey]) {
-      holdings[holdingKey] = {
-        ticker, holdingKey, broker,
-        name: tx.name || ticker,
-        macroCategory: tx.macroCategory || tx.category || 'Other',
-        microCategory: tx.microCategory || tx.subCategory || null,
-        currency: tx.currency || 'EUR',
-        quantity: 0, totalCost: 0, realizedPL: 0,
-      };
-    }
-
-    const h = holdings[holdingKey];
-    // aggiorna nome e categoria dalla transazione più recente
-    h.name          = tx.name || h.name;
-    h.macroCategory = tx.macroCategory || tx.category || h.macroCategory;
-    h.microCategory = tx.microCategory || tx.subCategory || h.microCategory;
-
-    if (type === 'buy') {
-      h.quantity  += quantity;
-      h.totalCost += quantity * price + commission;      // commissioni nel costo
-    } else if (type === 'sell') {
-      const avgCost      = h.quantity > 0 ? h.totalCost / h.quantity : price;
-      const costBasis    = quantity * avgCost;
-      const netProceeds  = quantity * price - commission; // commissioni dedotte
-      const realized     = netProceeds - costBasis;
-      h.realizedPL      += realized;
-      realizedPL        += realized;
-      h.quantity        -= quantity;
-      h.totalCost       -= costBasis;
+    if (isCashFlowType(tx.type)) {
+      const signed = getSignedCashFlow(tx);
+      if (tx.type === 'dividend') {
+        income.dividends += signed;
+        dividendsByTicker[tx.ticker] = (dividendsByTicker[tx.ticker] || 0) + signed;
+      } else if (tx.type === 'tax_withheld') {
+        income.taxesWithheld -= signed;
+        if (tx.ticker && tx.ticker !== 'CASH') {
+          dividendsByTicker[tx.ticker] = (dividendsByTicker[tx.ticker] || 0) + signed;
+        }
+      } else if (tx.type === 'interest') {
+        income.interest += signed;
+      } else if (tx.type === 'fee') {
+        income.fees -= signed;
+      }
     }
   });
 
   let totalInvested   = 0;
   let totalValue      = 0;
   let totalUnrealized = 0;
+  let totalUnrealizedFx = 0;
   const unpriced      = []; // titoli senza prezzo live (fallback a costo di carico)
 
   const enriched = Object.values(holdings)
@@ -793,6 +772,9 @@ export function portfolioSnapshot(priceMap = {}) {
       const currentPrice   = hasLivePrice ? priceData.price : (h.totalCost / h.quantity);
       const marketValue    = currentPrice * h.quantity;
       const unrealized     = marketValue - h.totalCost;
+      // Effetto cambio: costo in valuta rivalutato al cambio di oggi
+      const lotFxPL = (l) => (isForeignCurrency(l.currency) ? l.costNative * getCurrentFXRate(l.currency) - l.cost : 0);
+      const unrealizedFx   = hasLivePrice ? h.lots.reduce((s, l) => s + lotFxPL(l), 0) : 0;
 
       if (!hasLivePrice) {
         unpriced.push({ ticker: h.ticker, name: h.name, isin: h.isin || '', macroCategory: h.macroCategory, value: marketValue });
@@ -801,6 +783,7 @@ export function portfolioSnapshot(priceMap = {}) {
       totalInvested   += h.totalCost;
       totalValue      += marketValue;
       totalUnrealized += unrealized;
+      totalUnrealizedFx += unrealizedFx;
 
       return {
         ...h,
@@ -808,15 +791,26 @@ export function portfolioSnapshot(priceMap = {}) {
         avgPrice: h.totalCost / h.quantity,
         marketValue,
         unrealizedPL: unrealized,
+        unrealizedAssetPL: unrealized - unrealizedFx,
+        unrealizedFxPL: unrealizedFx,
         roi: h.totalCost > 0 ? (unrealized / h.totalCost) * 100 : 0,
+        lots: h.lots.map(l => ({
+          ...l,
+          marketValue: currentPrice * l.quantity,
+          unrealizedPL: currentPrice * l.quantity - l.cost,
+          fxPL: hasLivePrice ? lotFxPL(l) : 0,
+        })),
+        netDividends:     dividendsByTicker[h.ticker] || 0, // dividendi netti incassati (per ticker)
         dayChange:        (priceData?.change        || 0) * h.quantity,
         dayChangePercent:  priceData?.changePercent || 0,
         priceUnavailable: !hasLivePrice, // flag: stat potenzialmente alterata
       };
     });
 
-  const totalPL   = totalUnrealized + realizedPL;
+  const netIncome = income.dividends + income.interest - income.fees - income.taxesWithheld;
+  const totalPL   = totalUnrealized + realizedPL + netIncome;
   const returnPct = totalInvested > 0 ? (totalPL / totalInvested) * 100 : 0;
+  const baseCode  = getBaseCurrency();
 
   return {
     holdings:     enriched,
@@ -824,15 +818,21 @@ export function portfolioSnapshot(priceMap = {}) {
     totalValue,
     unrealizedPL: totalUnrealized,
     realizedPL,
+    // Quota di P/L dovuta al cambio (già inclusa in realizzato / non realizzato)
+    currencyPL:   { realized: realizedFxPL, unrealized: totalUnrealizedFx },
+    income:       { ...income, net: netIncome },
     totalPL,
     returnPct,
     unpriced,          // array titoli senza prezzo live
     hasUnpriced: unpriced.length > 0,
+    // Unità di valuta base per 1 EUR, al cambio live
+    baseCurrency: { code: baseCode, rate: 1 / getCurrentFXRate(baseCode) },
   };
 }
 
 export default {
   getTransactions,
+  getHoldingTransactions,
   addTransaction,
   updateTransaction,
   deleteTransaction,
@@ -842,9 +842,11 @@ export default {
   clearAllTransactions,
   getSettings,
   updateSettings,
+  getBaseCurrency,
   getStorageInfo,
   updateLastSync,
   calculatePortfolio,
   updateAllSubCategories,
   calculateRealizedPL,
+  backfillTransactionFX,
 };
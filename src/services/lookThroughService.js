@@ -0,0 +1,245 @@
+/**
+ * Look-through Service — esposizione reale alle singole società
+ *
+ * Scompone ogni ETF nei titoli sottostanti e li somma alle azioni detenute
+ * direttamente, pesando per il valore di mercato della posizione:
+ * "possiedi €X di Apple" tra SWDA, VUAA, CNDX e le azioni AAPL.
+ *
+ * Qualità del dato per ogni contributo:
+ *   live   → holdings JustETF (per ISIN, etfHoldingsService)
+ *   static → topHoldings dei profili etfComposition (solo i primi ~10 titoli,
+ *            aggiornati a mano: dato di qualità inferiore)
+ *   direct → azione detenuta direttamente
+ *
+ * La parte di ogni ETF non coperta dall'elenco holdings resta "non scomposta".
+ */
+
+import { getMultipleHoldings } from './etfHoldingsService';
+import { getCompositionProfile, getIsinForTicker } from '../data/etfComposition';
+
+export const DATA_QUALITY = {
+  live:   { label: 'JustETF',         color: '#30D158' },
+  static: { label: 'Profilo statico', color: '#FF9F0A' },
+  direct: { label: 'Diretta',         color: '#0A84FF' },
+};
+
+// Soglie di concentrazione, in % del portafoglio
+export const CONCENTRATION_THRESHOLDS = {
+  singleWarn:  5,   // una singola società oltre il 5%
+  singleAlert: 10,
+  top10Warn:   35,  // le prime 10 società oltre il 35%
+};
+
+const FUND_CATEGORIES = new Set(['ETF', 'ETC', 'ETN', 'Monetario', 'Immobiliare']);
+const NON_EQUITY_TYPES = new Set(['bond', 'commodity', 'money-market', 'crypto']);
+
+// Parole da ignorare nel confronto dei nomi: forme societarie e classi di azioni
+const NAME_NOISE = new Set([
+  'inc', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'plc', 'ag', 'sa', 'se',
+  'nv', 'spa', 'asa', 'ab', 'oyj', 'holding', 'holdings', 'group', 'the', 'com',
+  'class', 'cl', 'a', 'b', 'c', 'reg', 'adr', 'pref',
+]);
+
+// Stessa società con nomi diversi tra JustETF, profili e broker
+const NAME_ALIASES = {
+  'taiwan semiconductor manufacturing': 'tsmc',
+  'taiwan semiconductor': 'tsmc',
+  'meta platforms': 'meta',
+  'facebook': 'meta',
+  'google': 'alphabet',
+  'novo nordisk as': 'novo nordisk',
+  'lvmh moet hennessy louis vuitton': 'lvmh',
+  'asml holding': 'asml',
+};
+
+/**
+ * Chiave di confronto per il nome di una società
+ * ("ALPHABET INC CLASS A", "Alphabet A" → "alphabet")
+ * @param {string} name
+ * @returns {string}
+ */
+export function companyKey(name) {
+  const words = (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(w => w && !NAME_NOISE.has(w));
+  const key = words.join(' ');
+  return NAME_ALIASES[key] || key;
+}
+
+/**
+ * Ruolo di una posizione nel look-through
+ * @returns {'fund'|'direct'|'skip'}
+ */
+function _holdingKind(h, profile) {
+  if (profile?._isDirectStock) return 'direct';
+  if (FUND_CATEGORIES.has(h.macroCategory) || FUND_CATEGORIES.has(h.category)) return 'fund';
+  if (profile?.topHoldings?.length) return 'fund';
+  if (h.macroCategory === 'Azioni') return 'direct';
+  if (!profile && !h.macroCategory) return 'direct';
+  return 'skip'; // crypto, obbligazioni, materie prime…
+}
+
+/**
+ * ISIN degli ETF in portafoglio, per il recupero delle holdings live
+ * @param {Array} holdingsWithValues
+ * @returns {Object} { [ticker]: isin }
+ */
+export function getFundIsinMap(holdingsWithValues) {
+  const isinMap = {};
+  holdingsWithValues
+    .filter(h => !h.isCash && h.marketValue > 0)
+    .forEach(h => {
+      const profile = getCompositionProfile(h.ticker);
+      if (_holdingKind(h, profile) !== 'fund') return;
+      if (NON_EQUITY_TYPES.has(profile?.assetType)) return;
+      const isin = h.isin || getIsinForTicker(h.ticker);
+      if (isin) isinMap[h.ticker] = isin;
+    });
+  return isinMap;
+}
+
+/**
+ * Holdings JustETF di tutti gli ETF in portafoglio (cache 7 giorni)
+ * @param {Array} holdingsWithValues
+ * @returns {Promise<Object>} { [ticker]: [{ name, isin, pct }] } (solo quelli trovati)
+ */
+export async function fetchLiveHoldings(holdingsWithValues) {
+  const isinMap = getFundIsinMap(holdingsWithValues);
+  if (Object.keys(isinMap).length === 0) return {};
+  return getMultipleHoldings(isinMap);
+}
+
+/**
+ * Esposizione aggregata alle singole società
+ *
+ * @param {Array} holdingsWithValues - posizioni con marketValue (EUR)
+ * @param {Object} [liveHoldings] - da fetchLiveHoldings; gli ETF assenti usano il profilo statico
+ * @returns {{
+ *   exposures: Array<{ key, name, isin, value, pct, quality, sources: Array }>,
+ *   funds: Array<{ ticker, name, value, quality, coveredPct }>,
+ *   totalValue: number,
+ *   qualityValue: { live, static, direct, none, skipped },
+ *   top10Pct: number,
+ *   warnings: Array<{ level: 'warn'|'alert', message: string }>
+ * }}
+ */
+export function buildLookThrough(holdingsWithValues, liveHoldings = {}) {
+  const positions = holdingsWithValues.filter(h => !h.isCash && h.marketValue > 0);
+  const totalValue = positions.reduce((s, h) => s + h.marketValue, 0);
+  const qualityValue = { live: 0, static: 0, direct: 0, none: 0, skipped: 0 };
+  const empty = { exposures: [], funds: [], totalValue, qualityValue, top10Pct: 0, warnings: [] };
+  if (totalValue === 0) return empty;
+
+  const byKey = {};
+  const keyByIsin = {};
+  const funds = [];
+
+  const add = ({ name, isin, value, quality, ticker, pctOfFund }) => {
+    let key = isin && keyByIsin[isin];
+    if (!key) key = companyKey(name) || name;
+    if (isin && !keyByIsin[isin]) keyByIsin[isin] = key;
+
+    const e = byKey[key] || (byKey[key] = { key, name, isin: isin || null, value: 0, sources: [], _nameValue: 0 });
+    e.value += value;
+    if (!e.isin && isin) e.isin = isin;
+    // Nome della posizione diretta se c'è, altrimenti del contributo più grande
+    if (quality === 'direct') {
+      e.name = name;
+      e._nameValue = Infinity;
+    } else if (value > e._nameValue) {
+      e.name = name;
+      e._nameValue = value;
+    }
+    e.sources.push({ ticker, value, pctOfFund, quality });
+  };
+
+  // Dirette prima: il loro ISIN aggancia le righe JustETF della stessa società
+  const ordered = positions
+    .map(h => {
+      const profile = getCompositionProfile(h.ticker);
+      return { h, profile, kind: _holdingKind(h, profile) };
+    })
+    .sort((a, b) => (b.kind === 'direct') - (a.kind === 'direct'));
+
+  ordered.forEach(({ h, profile, kind }) => {
+    if (kind === 'direct') {
+      const name = profile?._richProfile?.name || h.name || h.ticker;
+      add({ name, isin: h.isin || null, value: h.marketValue, quality: 'direct', ticker: h.ticker, pctOfFund: 100 });
+      qualityValue.direct += h.marketValue;
+      return;
+    }
+    if (kind === 'skip' || NON_EQUITY_TYPES.has(profile?.assetType)) {
+      qualityValue.skipped += h.marketValue;
+      return;
+    }
+
+    const live = liveHoldings[h.ticker] || [];
+    const list = live.length > 0 ? live : (profile?.topHoldings || []);
+    const quality = live.length > 0 ? 'live' : list.length > 0 ? 'static' : null;
+
+    if (!quality) {
+      qualityValue.none += h.marketValue;
+      funds.push({ ticker: h.ticker, name: h.name || h.ticker, value: h.marketValue, quality: null, coveredPct: 0 });
+      return;
+    }
+
+    const coveredPct = Math.min(100, list.reduce((s, x) => s + (x.pct || 0), 0));
+    list.forEach(x => {
+      if (!(x.pct > 0)) return;
+      add({ name: x.name, isin: x.isin, value: h.marketValue * x.pct / 100, quality, ticker: h.ticker, pctOfFund: x.pct });
+    });
+    qualityValue[quality] += h.marketValue * coveredPct / 100;
+    qualityValue.none += h.marketValue * (1 - coveredPct / 100);
+    funds.push({ ticker: h.ticker, name: h.name || h.ticker, value: h.marketValue, quality, coveredPct });
+  });
+
+  const exposures = Object.values(byKey)
+    .map(({ _nameValue, ...e }) => {
+      const qualities = new Set(e.sources.map(s => s.quality));
+      // Qualità peggiore tra i contributi via ETF
+      const quality = qualities.has('static') ? 'static' : qualities.has('live') ? 'live' : 'direct';
+      return {
+        ...e,
+        pct: (e.value / totalValue) * 100,
+        quality,
+        sources: e.sources.sort((a, b) => b.value - a.value),
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+
+  const top10Pct = exposures.slice(0, 10).reduce((s, e) => s + e.pct, 0);
+
+  const warnings = [];
+  exposures
+    .filter(e => e.pct >= CONCENTRATION_THRESHOLDS.singleWarn)
+    .forEach(e => {
+      const viaFunds = e.sources.filter(s => s.quality !== 'direct').length;
+      warnings.push({
+        level: e.pct >= CONCENTRATION_THRESHOLDS.singleAlert ? 'alert' : 'warn',
+        key: e.key,
+        message: `${e.name} pesa il ${e.pct.toFixed(1)}% del portafoglio` +
+          (viaFunds > 0 ? ` (${e.sources.length} fonti, di cui ${viaFunds} ETF)` : ''),
+      });
+    });
+  if (top10Pct >= CONCENTRATION_THRESHOLDS.top10Warn) {
+    warnings.push({
+      level: 'warn',
+      key: '_top10',
+      message: `Le prime 10 società valgono il ${top10Pct.toFixed(1)}% del portafoglio`,
+    });
+  }
+
+  return { exposures, funds, totalValue, qualityValue, top10Pct, warnings };
+}
+
+export default {
+  DATA_QUALITY,
+  CONCENTRATION_THRESHOLDS,
+  companyKey,
+  getFundIsinMap,
+  fetchLiveHoldings,
+  buildLookThrough,
+};
@@ -0,0 +1,160 @@
+/**
+ * Market Data Providers — implementazioni live registrate in marketDataService
+ *
+ *   yahoo     → /api/price (quote, history, fx, search); retry e cache in priceApi / server
+ *   coingecko → solo crypto (quote, history mensile in EUR)
+ *   gas       → Google Apps Script (history mensile, TER), ultima spiaggia;
+ *               niente quotazioni correnti: troppo lento per l'aggiornamento prezzi
+ *
+ * I provider non convertono valute e non gestiscono fallback: restituiscono
+ * null / {} se non trovano il dato e lanciano solo per errori di rete, così
+ * la catena può contare i guasti e passare al successivo.
+ */
+
+import { fetchQuotes, fetchHistory, fetchFXRates, searchSymbols } from './priceApi';
+import {
+  isCrypto,
+  extractCryptoSymbol,
+  fetchMultipleCryptoPrices,
+  fetchCryptoHistoricalPrices
+} from './coinGecko';
+
+// HARDCODED Google Apps Script URL
+const GOOGLE_APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbzrNB1TkO1COP5DxUqxlbY-nwEPghn4bNqAgeKCGXHcBnIkXQc69_uCF6oxIX8lRczWDg/exec';
+
+// Timeout for GAS requests (10 seconds for TER, 8 for history)
+const GAS_TIMEOUT = 10000;
+
+/**
+ * Fetch with timeout to avoid hanging requests
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, timeout = GAS_TIMEOUT) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ── Yahoo Finance (/api/price) ───────────────────────────────────────────────
+
+export const yahooProvider = {
+  id: 'yahoo',
+  label: 'Yahoo Finance',
+  capabilities: ['quote', 'history', 'fx', 'search'],
+  alternates: true,
+
+  getQuotes: (symbols) => fetchQuotes(symbols),
+
+  getHistory: (symbol, startDate, endDate, interval) =>
+    fetchHistory(symbol, startDate, endDate, interval),
+
+  getFXRates: (currencies) => fetchFXRates(currencies),
+
+  search: (query) => searchSymbols(query)
+};
+
+// ── CoinGecko ────────────────────────────────────────────────────────────────
+
+/** 'BTC-USD' → { base: 'BTC', vs: 'usd' } (default EUR) */
+const _cryptoPair = (symbol) => {
+  const [, quote] = symbol.toUpperCase().split('-');
+  return { base: extractCryptoSymbol(symbol), vs: (quote || 'EUR').toLowerCase() };
+};
+
+export const coinGeckoProvider = {
+  id: 'coingecko',
+  label: 'CoinGecko',
+  capabilities: ['quote', 'history'],
+
+  supports: (symbol, capability, { category, interval } = {}) =>
+    (isCrypto(symbol) || category === 'Crypto') &&
+    (capability !== 'history' || !interval || interval === '1mo'),
+
+  async getQuotes(symbols) {
+    // Una richiesta per valuta di quotazione (BTC-EUR, ETH-USD…)
+    const byVs = {};
+    symbols.forEach(s => {
+      const { vs } = _cryptoPair(s);
+      (byVs[vs] = byVs[vs] || []).push(s);
+    });
+
+    const quotes = {};
+    for (const [vs, group] of Object.entries(byVs)) {
+      const data = await fetchMultipleCryptoPrices(group.map(s => _cryptoPair(s).base), vs);
+      group.forEach(symbol => {
+        const info = data[_cryptoPair(symbol).base];
+        if (!info?.price) return;
+        quotes[symbol] = {
+          symbol,
+          price: info.price,
+          previousClose: info.price / (1 + (info.changePercent || 0) / 100),
+          currency: vs.toUpperCase(),
+          name: _cryptoPair(symbol).base,
+          time: info.timestamp
+        };
+      });
+    }
+    return quotes;
+  },
+
+  async getHistory(symbol, startDate, endDate) {
+    // Mensile, già in EUR
+    const prices = await fetchCryptoHistoricalPrices(symbol, startDate, endDate, 'eur');
+    if (!prices || prices.length === 0) return null;
+    return { currency: 'EUR', points: prices.map(p => ({ date: p.date, close: p.price })) };
+  }
+};
+
+// ── Google Apps Script ───────────────────────────────────────────────────────
+
+/**
+ * GET sul Google Apps Script; null se risponde con un errore applicativo
+ */
+const _gasGet = async (params, timeout = GAS_TIMEOUT) => {
+  const query = new URLSearchParams(params).toString();
+  const response = await fetchWithTimeout(`${GOOGLE_APPS_SCRIPT_URL}?${query}`, timeout);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const data = await response.json();
+  return data.error ? null : data;
+};
+
+export const gasProvider = {
+  id: 'gas',
+  label: 'Google Apps Script',
+  capabilities: ['history', 'ter'],
+
+  // Niente cambi (=X) né serie giornaliere
+  supports: (symbol, capability, { interval } = {}) =>
+    !symbol.endsWith('=X') && (capability !== 'history' || !interval || interval === '1mo'),
+
+  async getHistory(symbol, startDate, endDate) {
+    console.log(`📡 Fetching historical prices for ${symbol} via Google Apps Script`);
+    const data = await _gasGet({ ticker: symbol, startDate, endDate }, 8000);
+    if (!data || !Array.isArray(data.historicalPrices) || data.historicalPrices.length === 0) return null;
+    console.log(`✅ Received ${data.historicalPrices.length} historical prices for ${symbol} (source: GAS)`);
+    return { currency: 'EUR', points: data.historicalPrices.map(p => ({ date: p.date, close: p.price })) };
+  },
+
+  async getTER(ticker) {
+    const data = await _gasGet({ ticker, ter: 'true' });
+    if (!data || data.ter === null || data.ter === undefined) return null;
+    return {
+      ticker: data.ticker || ticker,
+      ter: data.ter,
+      source: data.source,
+      lastUpdated: data.lastUpdated
+    };
+  }
+};
+
+export default {
+  yahooProvider,
+  coinGeckoProvider,
+  gasProvider
+};
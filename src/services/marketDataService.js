@@ -0,0 +1,252 @@
+/**
+ * Market Data Service — catena di provider per i dati di mercato
+ *
+ * Un unico punto d'ingresso per quotazioni, storici, cambi, ricerca titoli e
+ * TER. Le fonti (Yahoo via /api/price, CoinGecko, Google Apps Script, fixture
+ * offline) sono provider registrati con una priorità: per ogni richiesta si
+ * interrogano in ordine e si passa al successivo solo per ciò che manca.
+ *
+ * Interfaccia di un provider (metodi tutti opzionali, dichiarati in `capabilities`):
+ *
+ *   id, label, capabilities: ['quote', 'history', 'fx', 'search', 'ter']
+ *   supports(symbol, capability, { category, interval }) → boolean
+ *   alternates                                  → true se accetta listing alternativi (.MI → .DE → .L)
+ *   getQuotes(symbols)                          → { [symbol]: { price, previousClose, currency, name } }
+ *   getHistory(symbol, start, end, interval)    → { currency, points: [{ date, close }] } | null
+ *   getFXRates(currencies)                      → { USD: EUR per 1 USD, … }
+ *   search(query)                               → [{ ticker, name, type, exchange, isin }]
+ *   getTER(ticker)                              → { ticker, ter, source, lastUpdated } | null
+ *
+ * Prezzi e storici restano nella valuta del provider: la conversione in EUR
+ * la fanno priceService e historicalPriceService, come prima.
+ *
+ * Modalità fixture: con VITE_MARKET_DATA=fixture (o l'impostazione "Dati di
+ * mercato") la catena contiene solo il provider fixture, deterministico e
+ * senza rete, per sviluppare e provare ogni pagina offline. I servizi che
+ * chiamano ancora la rete fuori dalla catena (composizione ETF, rilevamento
+ * categorie, DB ETF remoto, CoinGecko) controllano isFixtureMode() e in
+ * modalità fixture non fanno richieste.
+ */
+
+import { getSettings } from './localStorageService';
+import { yahooProvider, coinGeckoProvider, gasProvider } from './marketDataProviders';
+import { fixtureProvider } from './fixtureMarketData';
+
+export const MARKET_DATA_MODES = {
+  live:    'Live (Yahoo Finance → CoinGecko → Google Apps Script)',
+  fixture: 'Fixture offline (dati simulati deterministici)',
+};
+
+// Un provider che fallisce più volte di fila viene saltato per un po'
+const MAX_CONSECUTIVE_FAILURES = 3;
+const FAILURE_COOLDOWN = 2 * 60 * 1000; // 2 minuti
+
+const _providers = [];
+const _health = {}; // id → { failures, until }
+
+// ── Registry ─────────────────────────────────────────────────────────────────
+
+/**
+ * Registra (o sostituisce) un provider
+ * @param {Object} provider - vedi interfaccia sopra
+ * @param {Object} [options]
+ * @param {number} [options.priority=100] - più basso = interrogato prima
+ * @param {boolean} [options.live=true] - false per i provider usati solo in modalità fixture
+ */
+export function registerProvider(provider, { priority = 100, live = true } = {}) {
+  unregisterProvider(provider.id);
+  _providers.push({ provider, priority, live });
+  _providers.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * @param {string} id
+ */
+export function unregisterProvider(id) {
+  const idx = _providers.findIndex(p => p.provider.id === id);
+  if (idx >= 0) _providers.splice(idx, 1);
+  delete _health[id];
+}
+
+/**
+ * Modalità attiva: la variabile d'ambiente vince sull'impostazione
+ * @returns {'live'|'fixture'}
+ */
+export const getMarketDataMode = () => {
+  if (import.meta.env.VITE_MARKET_DATA === 'fixture') return 'fixture';
+  return getSettings().marketDataMode === 'fixture' ? 'fixture' : 'live';
+};
+
+/** True se la modalità è imposta da VITE_MARKET_DATA (non modificabile da UI) */
+export const isMarketDataModeForced = () => import.meta.env.VITE_MARKET_DATA === 'fixture';
+
+export const isFixtureMode = () => getMarketDataMode() === 'fixture';
+
+/**
+ * Provider attivi nella modalità corrente, in ordine di priorità
+ * @param {string} [capability] - filtra per capacità
+ * @returns {Array<Object>}
+ */
+export function getProviders(capability) {
+  const fixture = isFixtureMode();
+  return _providers
+    .filter(p => (fixture ? p.provider.id === fixtureProvider.id : p.live))
+    .map(p => p.provider)
+    .filter(p => !capability || p.capabilities.includes(capability));
+}
+
+// ── Catena ───────────────────────────────────────────────────────────────────
+
+const _isCoolingDown = (id) => (_health[id]?.until || 0) > Date.now();
+
+/**
+ * Esegue una chiamata al provider con gestione errori uniforme:
+ * un'eccezione conta come guasto, "non trovato" (null / {}) no.
+ */
+const _call = async (provider, capability, fn) => {
+  try {
+    const result = await fn();
+    _health[provider.id] = { failures: 0, until: 0 };
+    return result;
+  } catch (err) {
+    const h = _health[provider.id] || { failures: 0, until: 0 };
+    h.failures++;
+    if (h.failures >= MAX_CONSECUTIVE_FAILURES) {
+      h.until = Date.now() + FAILURE_COOLDOWN;
+      h.failures = 0;
+      console.warn(`⏸️ ${provider.label}: ${MAX_CONSECUTIVE_FAILURES} errori consecutivi, in pausa per 2 minuti`);
+    }
+    _health[provider.id] = h;
+    console.warn(`⚠️ ${provider.label} ${capability} failed:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Provider della catena per una capacità, opzionalmente ristretti a certi id
+ */
+const _chain = (capability, only) => getProviders(capability)
+  .filter(p => !only || only.includes(p.id) || p.id === fixtureProvider.id)
+  .filter(p => !_isCoolingDown(p.id));
+
+/**
+ * Quotazioni correnti in valuta originale
+ *
+ * @param {Array<string>} symbols
+ * @param {Object} [options]
+ * @param {Object} [options.categories] - { [symbol]: macroCategory } per l'instradamento (es. 'Crypto')
+ * @param {Array<string>} [options.providers] - limita la catena a questi provider
+ * @returns {Promise<Object>} { [symbol]: { price, previousClose, currency, name, source } } (solo i trovati)
+ */
+export async function getQuotes(symbols, { categories = {}, providers } = {}) {
+  const quotes = {};
+  let remaining = [...new Set(symbols.filter(Boolean))];
+
+  for (const provider of _chain('quote', providers)) {
+    if (remaining.length === 0) break;
+    const handled = remaining.filter(s =>
+      !provider.supports || provider.supports(s, 'quote', { category: categories[s] })
+    );
+    if (handled.length === 0) continue;
+
+    const result = await _call(provider, 'quote', () => provider.getQuotes(handled)) || {};
+    handled.forEach(s => {
+      if (result[s]?.price > 0) quotes[s] = { ...result[s], source: provider.id };
+    });
+    remaining = remaining.filter(s => !quotes[s]);
+  }
+  return quotes;
+}
+
+/**
+ * Serie storica in valuta originale dal primo provider che la trova
+ *
+ * @param {string} symbol
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {string} [options.interval='1mo'] - 1d | 1wk | 1mo
+ * @param {Array<string>} [options.alternates] - stesso strumento su altre borse, provati dai provider che li gestiscono
+ * @param {string} [options.category]
+ * @param {Array<string>} [options.providers]
+ * @returns {Promise<{symbol: string, currency: string, points: Array, source: string}|null>}
+ */
+export async function getHistory(symbol, startDate, endDate, { interval = '1mo', alternates = [], category, providers } = {}) {
+  for (const provider of _chain('history', providers)) {
+    const candidates = provider.alternates ? [symbol, ...alternates] : [symbol];
+    for (const candidate of candidates) {
+      if (provider.supports && !provider.supports(candidate, 'history', { category, interval })) continue;
+      const chart = await _call(provider, 'history', () => provider.getHistory(candidate, startDate, endDate, interval));
+      if (chart?.points?.length > 0) {
+        if (candidate !== symbol) console.log(`✅ Historical listing fallback: ${symbol} → ${candidate}`);
+        return { symbol: candidate, currency: chart.currency || 'EUR', points: chart.points, source: provider.id };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Cambi correnti verso EUR; le valute mancanti passano al provider successivo
+ * @param {Array<string>} currencies
+ * @returns {Promise<Object>} { USD: EUR per 1 USD, … }
+ */
+export async function getFXRates(currencies) {
+  const rates = {};
+  let remaining = [...currencies];
+  for (const provider of _chain('fx')) {
+    if (remaining.length === 0) break;
+    const result = await _call(provider, 'fx', () => provider.getFXRates(remaining)) || {};
+    remaining.forEach(c => { if (result[c] > 0) rates[c] = result[c]; });
+    remaining = remaining.filter(c => !rates[c]);
+  }
+  return rates;
+}
+
+/**
+ * Ricerca titoli per ticker / ISIN / nome
+ * @param {string} query
+ * @returns {Promise<Array>} [{ ticker, name, type, exchange, isin }]
+ */
+export async function search(query) {
+  for (const provider of _chain('search')) {
+    const results = await _call(provider, 'search', () => provider.search(query));
+    if (results?.length > 0) return results;
+  }
+  return [];
+}
+
+/**
+ * TER di un ETF
+ * @param {string} ticker
+ * @returns {Promise<Object|null>} { ticker, ter, source, lastUpdated }
+ */
+export async function getTER(ticker) {
+  for (const provider of _chain('ter')) {
+    if (provider.supports && !provider.supports(ticker, 'ter', {})) continue;
+    const result = await _call(provider, 'ter', () => provider.getTER(ticker));
+    if (result && result.ter !== null && result.ter !== undefined) return result;
+  }
+  return null;
+}
+
+// ── Provider predefiniti ─────────────────────────────────────────────────────
+registerProvider(yahooProvider, { priority: 10 });
+registerProvider(coinGeckoProvider, { priority: 20 });
+registerProvider(gasProvider, { priority: 30 });
+registerProvider(fixtureProvider, { priority: 0, live: false });
+
+export default {
+  MARKET_DATA_MODES,
+  registerProvider,
+  unregisterProvider,
+  getMarketDataMode,
+  isMarketDataModeForced,
+  isFixtureMode,
+  getProviders,
+  getQuotes,
+  getHistory,
+  getFXRates,
+  search,
+  getTER
+};
@@ -0,0 +1,388 @@
+/**
+ * Monte Carlo Service
+ *
+ * Proiezioni del portafoglio con tre generatori di rendimenti mensili:
+ *
+ *   gaussian     → normale da rendimento atteso / volatilità (il modello storico della pagina)
+ *   bootstrap    → blocchi di mesi consecutivi ripescati dai rendimenti reali del
+ *                  portafoglio: conserva code grasse e autocorrelazione dei periodi
+ *   asset_class  → normale multivariata sulle classi del portafoglio (medie e
+ *                  covarianze storiche, Cholesky), pesata con la composizione attuale
+ *
+ * Tutte le modalità condividono seed, crescita dei versamenti e deflazione:
+ * a parità di seed e parametri i risultati sono riproducibili e confrontabili.
+ */
+
+export const MONTE_CARLO_MODES = {
+  gaussian: {
+    label: 'Gaussiana',
+    description: 'Rendimenti normali da rendimento atteso e volatilità',
+  },
+  bootstrap: {
+    label: 'Bootstrap storico',
+    description: 'Blocchi di mesi consecutivi dei rendimenti reali del portafoglio',
+  },
+  asset_class: {
+    label: 'Classi di attivo',
+    description: 'Rendimenti delle classi del portafoglio con le loro correlazioni storiche',
+  },
+};
+
+// Lunghezza predefinita dei blocchi del bootstrap (mesi)
+export const DEFAULT_BLOCK_MONTHS = 12;
+
+// Storia minima per bootstrap e modello per classi
+export const MIN_HISTORY_MONTHS = 24;
+
+// Traiettorie campione da disegnare
+const SAMPLE_PATHS = 20;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RANDOM
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Seed casuale da mostrare all'utente (per rifare la stessa simulazione)
+ * @returns {number}
+ */
+export const randomSeed = () => Math.floor(Math.random() * 1e9);
+
+const _hashSeed = (seed) => {
+  const text = String(seed);
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  return h >>> 0;
+};
+
+/**
+ * Generatore pseudo-casuale riproducibile (mulberry32)
+ * @param {number|string} seed
+ * @returns {Function} () => numero in [0, 1)
+ */
+export function createRng(seed) {
+  let a = _hashSeed(seed);
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normale standard (Box-Muller)
+ * @param {Function} rng
+ * @returns {number}
+ */
+export function gaussian(rng) {
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HISTORICAL INPUTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rendimenti mensili (decimali) da una serie di valori
+ * @param {Array<number>} values
+ * @returns {Array<number>}
+ */
+export function returnsFromValues(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0 && values[i] > 0) returns.push(values[i] / values[i - 1] - 1);
+  }
+  return returns;
+}
+
+/**
+ * Decomposizione di Cholesky (L · Lᵀ = matrix). Un piccolo termine sulla
+ * diagonale assorbe le matrici quasi singolari (classi molto correlate).
+ * @param {Array<Array<number>>} matrix - simmetrica semidefinita positiva
+ * @returns {Array<Array<number>>} L triangolare inferiore
+ */
+export function choleskyDecompose(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        L[i][j] = Math.sqrt(Math.max(sum, 1e-12));
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/**
+ * Modello per classi di attivo dai rendimenti dei singoli titoli
+ *
+ * Rendimento di una classe = media dei rendimenti dei suoi titoli nel mese;
+ * medie e covarianze sui mesi in cui tutte le classi hanno un dato.
+ *
+ * @param {Object} tickerReturns - { [ticker]: { 'YYYY-MM': rendimento } }
+ * @param {Object} tickerClass - { [ticker]: classe }
+ * @param {Object} weights - { [classe]: peso } (normalizzati qui)
+ * @returns {Object|null} { classes, weights, means, covariance, correlation, cholesky,
+ *                          months, annualReturn, annualVolatility } o null se la storia è insufficiente
+ */
+export function buildAssetClassModel(tickerReturns, tickerClass, weights) {
+  const byClass = {};
+  Object.entries(tickerReturns || {}).forEach(([ticker, series]) => {
+    const cls = tickerClass[ticker];
+    if (!cls || !(weights[cls] > 0)) return;
+    Object.entries(series).forEach(([month, r]) => {
+      const bucket = byClass[cls] || (byClass[cls] = {});
+      (bucket[month] || (bucket[month] = [])).push(r);
+    });
+  });
+
+  const classes = Object.keys(byClass).sort();
+  if (classes.length === 0) return null;
+
+  const months = Object.keys(byClass[classes[0]])
+    .filter(m => classes.every(c => byClass[c][m]))
+    .sort();
+  if (months.length < MIN_HISTORY_MONTHS) return null;
+
+  const rows = months.map(m => classes.map(c => byClass[c][m].reduce((s, r) => s + r, 0) / byClass[c][m].length));
+  const n = classes.length;
+  const means = classes.map((_, i) => rows.reduce((s, row) => s + row[i], 0) / rows.length);
+  const covariance = classes.map((_, i) => classes.map((__, j) =>
+    rows.reduce((s, row) => s + (row[i] - means[i]) * (row[j] - means[j]), 0) / (rows.length - 1)
+  ));
+  const correlation = covariance.map((row, i) => row.map((c, j) =>
+    covariance[i][i] > 0 && covariance[j][j] > 0 ? c / Math.sqrt(covariance[i][i] * covariance[j][j]) : (i === j ? 1 : 0)
+  ));
+
+  const totalWeight = classes.reduce((s, c) => s + weights[c], 0);
+  const w = classes.map(c => weights[c] / totalWeight);
+
+  let portfolioVariance = 0;
+  for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) portfolioVariance += w[i] * w[j] * covariance[i][j];
+  const monthlyMean = w.reduce((s, wi, i) => s + wi * means[i], 0);
+
+  return {
+    classes,
+    weights: w,
+    means,
+    covariance,
+    correlation,
+    cholesky: choleskyDecompose(covariance),
+    months: months.length,
+    annualReturn: monthlyMean * 12 * 100,
+    annualVolatility: Math.sqrt(portfolioVariance * 12) * 100,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RETURN SAMPLERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Generatore dei rendimenti mensili di una modalità.
+ * `reset()` va chiamato all'inizio di ogni traiettoria (blocchi del bootstrap).
+ */
+function _createSampler(mode, params, data, rng) {
+  if (mode === 'bootstrap') {
+    const returns = data.portfolioReturns;
+    const block = Math.max(1, Math.min(params.blockMonths || DEFAULT_BLOCK_MONTHS, returns.length));
+    let pos = 0;
+    let left = 0;
+    return {
+      reset: () => { left = 0; },
+      next: () => {
+        if (left === 0) {
+          pos = Math.floor(rng() * returns.length);
+          left = block;
+        }
+        left--;
+        return returns[pos++ % returns.length];
+      },
+    };
+  }
+
+  if (mode === 'asset_class') {
+    const { means, cholesky, weights } = data.assetClassModel;
+    const n = means.length;
+    const z = new Array(n);
+    return {
+      reset: () => {},
+      next: () => {
+        for (let i = 0; i < n; i++) z[i] = gaussian(rng);
+        let r = 0;
+        for (let i = 0; i < n; i++) {
+          let x = means[i];
+          for (let k = 0; k <= i; k++) x += cholesky[i][k] * z[k];
+          r += weights[i] * x;
+        }
+        return r;
+      },
+    };
+  }
+
+  const monthlyReturn = params.expectedReturn / 12 / 100;
+  const monthlyVolatility = (params.volatility / Math.sqrt(12)) / 100;
+  return {
+    reset: () => {},
+    next: () => monthlyReturn + monthlyVolatility * gaussian(rng),
+  };
+}
+
+/**
+ * La modalità ha i dati che le servono?
+ * @param {string} mode
+ * @param {Object} data - { portfolioReturns, assetClassModel }
+ * @returns {string|null} motivo per cui non è disponibile, null se lo è
+ */
+export function modeUnavailableReason(mode, data = {}) {
+  if (mode === 'bootstrap' && (data.portfolioReturns?.length || 0) < MIN_HISTORY_MONTHS) {
+    return `Servono almeno ${MIN_HISTORY_MONTHS} mesi di storico del portafoglio (ora ${data.portfolioReturns?.length || 0})`;
+  }
+  if (mode === 'asset_class' && !data.assetClassModel) {
+    return `Servono almeno ${MIN_HISTORY_MONTHS} mesi in comune tra le classi di attivo del portafoglio`;
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIMULATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+const _percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+
+/**
+ * Esegue la simulazione
+ *
+ * @param {Object} params - { mode, expectedReturn, volatility, initialInvestment,
+ *                            monthlyContribution, contributionGrowth (%/anno), inflation (%/anno),
+ *                            realTerms, years, targetAmount, simulations, blockMonths, seed }
+ * @param {Object} data - { portfolioReturns: Array<number>, assetClassModel }
+ * @returns {Object} percentili finali, probabilità obiettivo, istogramma, bande annuali e traiettorie campione
+ * @throws {Error} se la modalità non ha dati sufficienti
+ */
+export function runMonteCarlo(params, data = {}) {
+  const mode = MONTE_CARLO_MODES[params.mode] ? params.mode : 'gaussian';
+  const unavailable = modeUnavailableReason(mode, data);
+  if (unavailable) throw new Error(unavailable);
+
+  const {
+    initialInvestment,
+    monthlyContribution,
+    years,
+    targetAmount,
+    simulations,
+  } = params;
+  const seed = params.seed === '' || params.seed === undefined || params.seed === null ? randomSeed() : params.seed;
+  const rng = createRng(seed);
+  const sampler = _createSampler(mode, params, data, rng);
+
+  const totalMonths = years * 12;
+  const monthlyInflation = Math.pow(1 + (params.inflation || 0) / 100, 1 / 12);
+  const contributionGrowth = 1 + (params.contributionGrowth || 0) / 100;
+  // In termini reali ogni valore è diviso per l'inflazione cumulata del mese
+  const deflator = (month) => (params.realTerms ? Math.pow(monthlyInflation, month) : 1);
+
+  const finals = new Float64Array(simulations);
+  const yearly = Array.from({ length: years + 1 }, () => new Float64Array(simulations));
+  const samplePaths = [];
+
+  for (let sim = 0; sim < simulations; sim++) {
+    sampler.reset();
+    let value = initialInvestment;
+    let contribution = monthlyContribution;
+    const path = sim < SAMPLE_PATHS ? [value] : null;
+    yearly[0][sim] = value;
+
+    for (let month = 1; month <= totalMonths; month++) {
+      // Versamento: cresce all'inizio di ogni anno dopo il primo
+      if (month > 1 && (month - 1) % 12 === 0) contribution *= contributionGrowth;
+      value += contribution;
+      value = Math.max(0, value * (1 + sampler.next()));
+
+      if (path) path.push(value / deflator(month));
+      if (month % 12 === 0) yearly[month / 12][sim] = value / deflator(month);
+    }
+
+    finals[sim] = value / deflator(totalMonths);
+    if (path) samplePaths.push(path);
+  }
+
+  const sorted = Float64Array.from(finals).sort();
+  const successProbability = (sorted.filter(v => v >= targetAmount).length / simulations) * 100;
+
+  // Versamenti totali (deflazionati mese per mese in termini reali)
+  let totalContributions = initialInvestment;
+  let contribution = monthlyContribution;
+  for (let month = 1; month <= totalMonths; month++) {
+    if (month > 1 && (month - 1) % 12 === 0) contribution *= contributionGrowth;
+    totalContributions += contribution / deflator(month);
+  }
+
+  // Istogramma dei valori finali
+  const minVal = sorted[0];
+  const maxVal = sorted[sorted.length - 1];
+  const bucketCount = 30;
+  const bucketSize = (maxVal - minVal) / bucketCount || 1;
+  const counts = new Array(bucketCount).fill(0);
+  sorted.forEach(v => { counts[Math.min(bucketCount - 1, Math.floor((v - minVal) / bucketSize))]++; });
+  const histogram = counts.map((count, i) => ({
+    range: `€${Math.round((minVal + i * bucketSize) / 1000)}k`,
+    value: minVal + (i + 0.5) * bucketSize,
+    count,
+    frequency: (count / simulations) * 100,
+  }));
+
+  // Bande percentili anno per anno
+  const bands = yearly.map((values, year) => {
+    const s = Float64Array.from(values).sort();
+    return { year, p10: _percentile(s, 10), p50: _percentile(s, 50), p90: _percentile(s, 90) };
+  });
+
+  const pathsData = [];
+  for (let month = 0; month <= totalMonths; month++) {
+    const point = { month };
+    samplePaths.forEach((path, idx) => { point[`path${idx}`] = path[month]; });
+    pathsData.push(point);
+  }
+
+  return {
+    mode,
+    seed,
+    realTerms: !!params.realTerms,
+    percentile10: _percentile(sorted, 10),
+    percentile25: _percentile(sorted, 25),
+    percentile50: _percentile(sorted, 50),
+    percentile75: _percentile(sorted, 75),
+    percentile90: _percentile(sorted, 90),
+    successProbability,
+    totalContributions: Math.round(totalContributions),
+    histogram,
+    bands,
+    samplePaths: pathsData,
+    numPaths: samplePaths.length,
+  };
+}
+
+export default {
+  MONTE_CARLO_MODES,
+  DEFAULT_BLOCK_MONTHS,
+  MIN_HISTORY_MONTHS,
+  randomSeed,
+  createRng,
+  gaussian,
+  returnsFromValues,
+  choleskyDecompose,
+  buildAssetClassModel,
+  modeUnavailableReason,
+  runMonteCarlo,
+};
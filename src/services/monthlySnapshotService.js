@@ -0,0 +1,89 @@
+/**
+ * Monthly Snapshot Service
+ * Valori di fine mese del portafoglio registrati fuori dall'app (oggi:
+ * l'archivio del vecchio foglio Google Sheets). Dove esiste uno snapshot,
+ * Patrimonio lo usa al posto della ricostruzione da prezzi storici.
+ *
+ * Uno snapshot per mese:
+ *   { id: 'snap-YYYY-MM', month: 'YYYY-MM', date, positions: [...],
+ *     totalValue, cashValue, source, createdAt, updatedAt }
+ * positions[]: { platform, ticker, sheetTicker, name, quantity, price, value,
+ *                macroCategory, microCategory, strategy, country, isCash }
+ */
+
+import { recordTombstones, scheduleSync } from './syncService';
+
+const STORAGE_KEY = 'investment_tracker_monthly_snapshots';
+
+export const snapshotId = (month) => `snap-${month}`;
+
+/**
+ * Get all monthly snapshots, oldest first
+ * @returns {Array}
+ */
+export const getMonthlySnapshots = () => {
+  try {
+    const data = localStorage.getItem(STORAGE_KEY);
+    const list = data ? JSON.parse(data) : [];
+    return list.sort((a, b) => a.month.localeCompare(b.month));
+  } catch (error) {
+    console.error('Error loading monthly snapshots:', error);
+    return [];
+  }
+};
+
+const saveMonthlySnapshots = (snapshots) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshots));
+  scheduleSync();
+};
+
+/**
+ * Snapshot indicizzati per mese
+ * @returns {Object<string, Object>} { 'YYYY-MM': snapshot }
+ */
+export const getSnapshotsByMonth = () =>
+  Object.fromEntries(getMonthlySnapshots().map(s => [s.month, s]));
+
+/**
+ * Save snapshots, replacing any existing one for the same month
+ * @param {Array} snapshots - senza id / timestamp
+ * @returns {{ added: number, replaced: number }}
+ */
+export const upsertMonthlySnapshots = (snapshots) => {
+  const now = new Date().toISOString();
+  const byId = new Map(getMonthlySnapshots().map(s => [s.id, s]));
+  let added = 0;
+  let replaced = 0;
+
+  snapshots.forEach(snap => {
+    const id = snapshotId(snap.month);
+    const prev = byId.get(id);
+    if (prev) replaced++; else added++;
+    byId.set(id, { ...snap, id, createdAt: prev?.createdAt || now, updatedAt: now });
+  });
+
+  saveMonthlySnapshots([...byId.values()]);
+  console.log(`✅ Monthly snapshots saved: ${added} new, ${replaced} replaced`);
+  return { added, replaced };
+};
+
+/**
+ * Delete snapshots (all, or only those of one source)
+ * @param {string} [source]
+ * @returns {number} snapshot eliminati
+ */
+export const deleteMonthlySnapshots = (source) => {
+  const all = getMonthlySnapshots();
+  const removed = all.filter(s => !source || s.source === source);
+  saveMonthlySnapshots(all.filter(s => !removed.includes(s)));
+  recordTombstones(STORAGE_KEY, removed.map(s => s.id));
+  return removed.length;
+};
+
+export default {
+  snapshotId,
+  getMonthlySnapshots,
+  getSnapshotsByMonth,
+  upsertMonthlySnapshots,
+  deleteMonthlySnapshots,
+};
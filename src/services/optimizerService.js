@@ -0,0 +1,356 @@
+/**
+ * Optimizer Service — pesi target da covarianza storica
+ *
+ * Propone un'allocazione MICRO (Strategy.microAllocation) a partire dalla
+ * covarianza dei rendimenti mensili degli ultimi 5 anni, usando per ogni
+ * categoria un ETF rappresentativo (quello in portafoglio, se c'è).
+ *
+ * Metodi: media-varianza (max Sharpe sulla frontiera), minima varianza,
+ * risk parity e massima diversificazione, tutti con vincoli min/max per asset
+ * e somma dei pesi = 100%.
+ *
+ * Rendimenti attesi: quelli reali del database categorie (assetCategoriesData),
+ * come nel resto della pagina Strategia; dallo storico si prende solo il
+ * rischio, che è molto più stabile nel tempo delle medie.
+ */
+
+import { getMicroCategoryData } from '../config/assetCategoriesData';
+import { getTickersForMicroCategory, getMicroFromTicker } from '../config/assetTickerMapping';
+import { fetchReturnSeries } from './correlationService';
+
+export const OPTIMIZATION_METHODS = {
+  meanVariance: {
+    label: 'Media-varianza',
+    description: 'Massimo rapporto rendimento/rischio (Sharpe) sulla frontiera efficiente',
+  },
+  minVariance: {
+    label: 'Minima varianza',
+    description: 'Il portafoglio meno volatile possibile, ignora i rendimenti attesi',
+  },
+  riskParity: {
+    label: 'Risk parity',
+    description: 'Ogni asset contribuisce allo stesso modo al rischio totale',
+  },
+  maxDiversification: {
+    label: 'Massima diversificazione',
+    description: 'Massimizza il rapporto tra volatilità media ponderata e volatilità del portafoglio',
+  },
+};
+
+export const DEFAULT_BOUNDS = { min: 0, max: 60 }; // % per asset
+
+// Rendimenti attesi reali → tasso privo di rischio reale ≈ 0
+const RISK_FREE_RATE = 0;
+
+// Mesi minimi di rendimenti in comune per stimare la covarianza
+export const MIN_COVARIANCE_MONTHS = 24;
+
+const MAX_ITERATIONS = 3000;
+
+// ── Universo ─────────────────────────────────────────────────────────────────
+
+/**
+ * Categorie MICRO da ottimizzare, ognuna con un ticker rappresentativo
+ *
+ * @param {Array<string>} microCategories
+ * @param {Array} [holdings] - posizioni correnti (calculatePortfolio), per preferire i ticker posseduti
+ * @returns {Array<{ micro: string, ticker: string|null, expectedReturn: number, volatility: number }>}
+ */
+export function buildUniverse(microCategories, holdings = []) {
+  const heldByMicro = {};
+  holdings
+    .filter(h => !h.isCash && h.quantity > 0)
+    .sort((a, b) => (b.totalCost || 0) - (a.totalCost || 0))
+    .forEach(h => {
+      const micro = h.microCategory || getMicroFromTicker(h.ticker);
+      if (micro && !heldByMicro[micro]) heldByMicro[micro] = h.ticker;
+    });
+
+  return microCategories
+    .map(micro => {
+      const data = getMicroCategoryData(micro);
+      if (!data) return null;
+      return {
+        micro,
+        ticker: heldByMicro[micro] || getTickersForMicroCategory(micro)[0] || null,
+        expectedReturn: data.expectedReturn,
+        volatility: data.volatility,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Categorie MICRO delle posizioni attuali (per proporre un target dal portafoglio reale)
+ * @param {Array} holdings
+ * @returns {Array<string>}
+ */
+export function getHoldingsMicroCategories(holdings) {
+  const micros = new Set();
+  holdings
+    .filter(h => !h.isCash && h.quantity > 0)
+    .forEach(h => {
+      const micro = h.microCategory || getMicroFromTicker(h.ticker);
+      if (micro && getMicroCategoryData(micro)) micros.add(micro);
+    });
+  return [...micros];
+}
+
+// ── Covarianza ───────────────────────────────────────────────────────────────
+
+/**
+ * Covarianza annualizzata dai rendimenti mensili in comune
+ *
+ * @param {Array<Object>} series - [{ 'YYYY-MM': rendimento }] nello stesso ordine degli asset
+ * @returns {{ cov: number[][], months: number }}
+ */
+export function covarianceMatrix(series) {
+  const n = series.length;
+  const common = Object.keys(series[0] || {})
+    .filter(m => series.every(s => s[m] !== undefined))
+    .sort()
+    .slice(-60);
+  const T = common.length;
+  if (T < 2) return { cov: null, months: T };
+
+  const means = series.map(s => common.reduce((sum, m) => sum + s[m], 0) / T);
+  const cov = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i; j < n; j++) {
+      let c = 0;
+      for (const m of common) c += (series[i][m] - means[i]) * (series[j][m] - means[j]);
+      cov[i][j] = cov[j][i] = (c / (T - 1)) * 12;
+    }
+  }
+  return { cov, months: T };
+}
+
+/**
+ * Scarica gli storici dei ticker rappresentativi e stima la covarianza.
+ * Le categorie senza ticker o con meno di MIN_COVARIANCE_MONTHS mesi restano
+ * fuori dall'ottimizzazione (`excluded`).
+ *
+ * @param {Array} universe - da buildUniverse
+ * @returns {Promise<{ assets: Array, cov: number[][]|null, months: number, excluded: Array }>}
+ */
+export async function fetchCovariance(universe) {
+  const tickers = universe.map(a => a.ticker).filter(Boolean);
+  const returns = tickers.length > 0 ? await fetchReturnSeries(tickers) : {};
+
+  const assets = [];
+  const excluded = [];
+  universe.forEach(a => {
+    const series = a.ticker ? returns[a.ticker] : null;
+    if (series && Object.keys(series).length >= MIN_COVARIANCE_MONTHS) assets.push({ ...a, series });
+    else excluded.push({ ...a, reason: a.ticker ? 'storico insufficiente' : 'nessun ETF rappresentativo' });
+  });
+
+  if (assets.length < 2) return { assets, cov: null, months: 0, excluded };
+  const { cov, months } = covarianceMatrix(assets.map(a => a.series));
+  if (months < MIN_COVARIANCE_MONTHS) return { assets, cov: null, months, excluded };
+  return { assets: assets.map(({ series, ...a }) => a), cov, months, excluded };
+}
+
+// ── Algebra ──────────────────────────────────────────────────────────────────
+
+const _mul = (M, w) => M.map(row => row.reduce((s, x, j) => s + x * w[j], 0));
+const _dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+const _variance = (cov, w) => _dot(w, _mul(cov, w));
+
+/**
+ * Proiezione su { Σw = 1, lo ≤ w ≤ hi } (bisezione sullo spostamento comune)
+ */
+function _project(v, lo, hi) {
+  const clip = (t) => v.map((x, i) => Math.min(hi[i], Math.max(lo[i], x - t)));
+  const sum = (t) => clip(t).reduce((s, x) => s + x, 0);
+  let a = Math.min(...v.map((x, i) => x - hi[i])) - 1;
+  let b = Math.max(...v.map((x, i) => x - lo[i])) + 1;
+  for (let k = 0; k < 100; k++) {
+    const mid = (a + b) / 2;
+    if (sum(mid) > 1) a = mid; else b = mid;
+  }
+  return clip((a + b) / 2);
+}
+
+/**
+ * Gradiente proiettato per min w'Σw − λ·μ'w con i vincoli
+ */
+function _solveQuadratic(cov, mu, lambda, lo, hi, start) {
+  // Passo 1/L con L ≥ 2·autovalore massimo (stima di Gershgorin)
+  const L = 2 * Math.max(...cov.map(row => row.reduce((s, x) => s + Math.abs(x), 0))) || 1;
+  let w = start || _project(new Array(mu.length).fill(1 / mu.length), lo, hi);
+  for (let k = 0; k < MAX_ITERATIONS; k++) {
+    const g = _mul(cov, w).map((x, i) => 2 * x - lambda * mu[i]);
+    const next = _project(w.map((x, i) => x - g[i] / L), lo, hi);
+    const delta = next.reduce((s, x, i) => s + Math.abs(x - w[i]), 0);
+    w = next;
+    if (delta < 1e-9) break;
+  }
+  return w;
+}
+
+/**
+ * Risk parity: aggiornamento moltiplicativo verso contributi uguali,
+ * riproiettato sui vincoli a ogni passo
+ */
+function _solveRiskParity(cov, lo, hi) {
+  const n = cov.length;
+  // Partenza: inverso della volatilità
+  let w = _project(cov.map((row, i) => 1 / Math.sqrt(row[i])), lo, hi);
+  for (let k = 0; k < MAX_ITERATIONS; k++) {
+    const sigmaW = _mul(cov, w);
+    const variance = _dot(w, sigmaW);
+    const next = _project(w.map((x, i) => x * Math.sqrt((variance / n) / Math.max(x * sigmaW[i], 1e-12))), lo, hi);
+    const delta = next.reduce((s, x, i) => s + Math.abs(x - w[i]), 0);
+    w = next;
+    if (delta < 1e-9) break;
+  }
+  return w;
+}
+
+/**
+ * Massima diversificazione: salita del gradiente proiettata su
+ * DR(w) = w'σ / √(w'Σw), con passo dimezzato se DR non migliora
+ */
+function _solveMaxDiversification(cov, lo, hi) {
+  const sigma = cov.map((row, i) => Math.sqrt(row[i]));
+  const ratio = (w) => _dot(w, sigma) / Math.sqrt(_variance(cov, w));
+  let w = _project(new Array(cov.length).fill(1 / cov.length), lo, hi);
+  let current = ratio(w);
+  let step = 0.1;
+  for (let k = 0; k < MAX_ITERATIONS && step > 1e-7; k++) {
+    const v = _variance(cov, w);
+    const sigmaW = _mul(cov, w);
+    const ws = _dot(w, sigma);
+    const g = sigma.map((s, i) => s / Math.sqrt(v) - ws * sigmaW[i] / Math.pow(v, 1.5));
+    const next = _project(w.map((x, i) => x + step * g[i]), lo, hi);
+    const r = ratio(next);
+    if (r > current + 1e-12) { w = next; current = r; step *= 1.2; }
+    else step /= 2;
+  }
+  return w;
+}
+
+// ── Ottimizzazione ───────────────────────────────────────────────────────────
+
+/**
+ * Rendimento e volatilità annui (in %) di un vettore di pesi
+ */
+export function portfolioStats(weights, cov, mu) {
+  return {
+    expectedReturn: _dot(weights, mu) * 100,
+    volatility: Math.sqrt(Math.max(0, _variance(cov, weights))) * 100,
+  };
+}
+
+/**
+ * Vincoli in frazioni; lancia se non ammettono un portafoglio al 100%
+ */
+function _bounds(assets, bounds) {
+  const lo = assets.map(a => (bounds[a.micro]?.min ?? DEFAULT_BOUNDS.min) / 100);
+  const hi = assets.map(a => (bounds[a.micro]?.max ?? DEFAULT_BOUNDS.max) / 100);
+  if (lo.reduce((s, x) => s + x, 0) > 1 + 1e-9) {
+    throw new Error('La somma dei minimi supera il 100%');
+  }
+  if (hi.reduce((s, x) => s + x, 0) < 1 - 1e-9) {
+    throw new Error('La somma dei massimi è inferiore al 100%');
+  }
+  if (lo.some((x, i) => x > hi[i])) {
+    throw new Error('Un minimo è maggiore del rispettivo massimo');
+  }
+  return { lo, hi };
+}
+
+/**
+ * Frontiera efficiente: min varianza per livelli crescenti di avversione al rischio
+ *
+ * @param {Object} model - { assets, cov } da fetchCovariance
+ * @param {Object} [bounds] - { [micro]: { min, max } } in %
+ * @param {number} [points=25]
+ * @returns {Array<{ volatility, expectedReturn, sharpe, weights }>} ordinata per volatilità
+ */
+export function efficientFrontier({ assets, cov }, bounds = {}, points = 25) {
+  const { lo, hi } = _bounds(assets, bounds);
+  const mu = assets.map(a => a.expectedReturn / 100);
+  const frontier = [];
+  let start = null;
+  for (let k = 0; k < points; k++) {
+    // λ da 0 (minima varianza) a valori alti (massimo rendimento), scala logaritmica
+    const lambda = k === 0 ? 0 : 0.005 * Math.pow(10, (k / (points - 1)) * 3);
+    const w = _solveQuadratic(cov, mu, lambda, lo, hi, start);
+    start = w;
+    const stats = portfolioStats(w, cov, mu);
+    const last = frontier[frontier.length - 1];
+    if (last && Math.abs(last.volatility - stats.volatility) < 0.01 && Math.abs(last.expectedReturn - stats.expectedReturn) < 0.01) continue;
+    frontier.push({
+      ...stats,
+      sharpe: stats.volatility > 0 ? (stats.expectedReturn - RISK_FREE_RATE) / stats.volatility : 0,
+      weights: w,
+    });
+  }
+  return frontier.sort((a, b) => a.volatility - b.volatility);
+}
+
+/**
+ * Pesi ottimali per il metodo scelto
+ *
+ * @param {Object} model - { assets, cov } da fetchCovariance
+ * @param {string} method - chiave di OPTIMIZATION_METHODS
+ * @param {Object} [bounds] - { [micro]: { min, max } } in %
+ * @returns {{ weights: Object, expectedReturn: number, volatility: number, riskContributions: Object }}
+ *          weights in % arrotondati a 0,1 con somma 100
+ */
+export function optimize({ assets, cov }, method, bounds = {}) {
+  const { lo, hi } = _bounds(assets, bounds);
+  const mu = assets.map(a => a.expectedReturn / 100);
+
+  let w;
+  switch (method) {
+    case 'minVariance':
+      w = _solveQuadratic(cov, mu, 0, lo, hi);
+      break;
+    case 'riskParity':
+      w = _solveRiskParity(cov, lo, hi);
+      break;
+    case 'maxDiversification':
+      w = _solveMaxDiversification(cov, lo, hi);
+      break;
+    case 'meanVariance': {
+      const frontier = efficientFrontier({ assets, cov }, bounds);
+      w = frontier.reduce((best, p) => (p.sharpe > best.sharpe ? p : best), frontier[0]).weights;
+      break;
+    }
+    default:
+      throw new Error(`Metodo sconosciuto: ${method}`);
+  }
+
+  // Arrotonda a 0,1% e assegna il resto al peso maggiore
+  const rounded = w.map(x => Math.round(x * 1000) / 10);
+  const diff = Math.round((100 - rounded.reduce((s, x) => s + x, 0)) * 10) / 10;
+  const maxIdx = rounded.indexOf(Math.max(...rounded));
+  rounded[maxIdx] = Math.round((rounded[maxIdx] + diff) * 10) / 10;
+
+  const sigmaW = _mul(cov, w);
+  const variance = _dot(w, sigmaW);
+  const weights = {};
+  const riskContributions = {};
+  assets.forEach((a, i) => {
+    weights[a.micro] = rounded[i];
+    riskContributions[a.micro] = variance > 0 ? (w[i] * sigmaW[i] / variance) * 100 : 0;
+  });
+
+  return { weights, riskContributions, ...portfolioStats(w, cov, mu) };
+}
+
+export default {
+  OPTIMIZATION_METHODS,
+  DEFAULT_BOUNDS,
+  MIN_COVARIANCE_MONTHS,
+  buildUniverse,
+  getHoldingsMicroCategories,
+  covarianceMatrix,
+  fetchCovariance,
+  efficientFrontier,
+  portfolioStats,
+  optimize,
+};
@@ -0,0 +1,193 @@
+/**
+ * pacReconciliationService.js
+ * Collega le esecuzioni PAC registrate dall'app agli eseguiti reali che
+ * arrivano più tardi con il CSV del broker.
+ *
+ * executePAC scrive acquisti "stimati" (pacStatus 'estimated', o nessuno
+ * stato per quelli creati prima) ai prezzi di fetchPricesForPAC: prezzo,
+ * quantità e spesso data non coincidono con l'eseguito, quindi
+ * findDuplicates non li riconosce. Una gamba stimata corrisponde a una riga
+ * importata se:
+ *
+ *   stesso ticker (o ISIN) · acquisto · data entro PAC_MATCH_WINDOW_DAYS ·
+ *   controvalore in EUR entro PAC_AMOUNT_TOLERANCE
+ *
+ * All'import la riga reale prende il posto della stima (pacStatus 'filled');
+ * le gambe stimate senza eseguito nel periodo che il file copre vengono
+ * segnalate come non eseguite, se appartengono alla piattaforma del file:
+ * piattaforma della gamba o del template PAC; per i PAC senza piattaforma,
+ * almeno un'altra esecuzione dello stesso PAC trovata nel file.
+ */
+
+import { getTransactions, updateTransaction, deleteTransaction } from './localStorageService';
+import { getPACTemplates, updatePACTemplate } from './pacService';
+import { getTransactionFXRate } from './fxService';
+
+// Tolleranze dell'abbinamento
+export const PAC_MATCH_WINDOW_DAYS = 5;
+export const PAC_AMOUNT_TOLERANCE = 0.1; // 10%: prezzo stimato ≠ prezzo eseguito, commissioni
+
+export const PAC_LEG_STATUS = {
+  estimated:    'Stimata',
+  filled:       'Eseguita',
+  not_executed: 'Non eseguita',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const _dayDiff = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / DAY_MS);
+
+const _amountEUR = (tx) =>
+  (parseFloat(tx.quantity) || 0) * (parseFloat(tx.price) || 0) * getTransactionFXRate(tx);
+
+const _sameAsset = (a, b) =>
+  (a.ticker || '').toUpperCase() === (b.ticker || '').toUpperCase() || (!!a.isin && a.isin === b.isin);
+
+const _isCash = (tx) => tx.isCash || tx.macroCategory === 'Cash';
+
+const _norm = (label) => String(label || '').trim().toLowerCase();
+
+// Piattaforma della gamba: la sua, altrimenti quella del template ('' = non nota)
+const _legPlatform = (leg, templatePlatforms) =>
+  _norm(leg.platform && leg.platform !== 'Manuale' ? leg.platform : templatePlatforms[leg.pacTemplateId]);
+
+/**
+ * Transazione PAC ancora a prezzi stimati?
+ * @param {Object} tx
+ * @returns {boolean}
+ */
+export const isEstimatedPACLeg = (tx) =>
+  !!tx.pacTemplateId && (!tx.pacStatus || tx.pacStatus === 'estimated');
+
+/**
+ * Abbina le righe in importazione alle gambe PAC stimate
+ *
+ * @param {Array} incoming - righe dell'anteprima (con previewId)
+ * @param {Array} existing - transazioni salvate
+ * @param {Object} [options]
+ * @param {Array<string>} [options.platforms] - piattaforme del file
+ * @returns {{
+ *   matches: Array<{ leg, fill, days, plannedAmount, actualAmount, amountDiff }>,
+ *   missed: Array,   // gambe stimate senza eseguito nel periodo del file
+ *   range: { from, to } | null,
+ * }}
+ */
+export function matchPACExecutions(incoming, existing = getTransactions(), { platforms = [] } = {}) {
+  const legs = existing.filter(isEstimatedPACLeg);
+  const dates = incoming.map(tx => tx.date).filter(Boolean).sort();
+  if (!legs.length || !dates.length) return { matches: [], missed: [], range: null };
+
+  const fills = incoming.filter(tx => tx.type === 'buy' && !_isCash(tx) && !tx.pacTemplateId);
+  const filePlatforms = new Set(platforms.map(_norm).filter(Boolean));
+  const templatePlatforms = Object.fromEntries(getPACTemplates().map(t => [t.id, t.platform]));
+  // Gamba di un'altra piattaforma rispetto al file?
+  const otherPlatform = (leg) => {
+    const platform = _legPlatform(leg, templatePlatforms);
+    return !!platform && filePlatforms.size > 0 && !filePlatforms.has(platform);
+  };
+
+  // Tutte le coppie compatibili, poi assegnazione 1:1 a partire dalle più vicine
+  const candidates = [];
+  legs.forEach(leg => {
+    if (otherPlatform(leg)) return;
+    const plannedAmount = _amountEUR(leg);
+    fills.forEach(fill => {
+      if (!_sameAsset(leg, fill)) return;
+      const days = _dayDiff(leg.date, fill.date);
+      if (days > PAC_MATCH_WINDOW_DAYS) return;
+      const actualAmount = _amountEUR(fill);
+      const amountDiff = plannedAmount > 0 ? (actualAmount - plannedAmount) / plannedAmount : 0;
+      if (Math.abs(amountDiff) > PAC_AMOUNT_TOLERANCE) return;
+      candidates.push({ leg, fill, days, plannedAmount, actualAmount, amountDiff });
+    });
+  });
+  candidates.sort((a, b) => a.days - b.days || Math.abs(a.amountDiff) - Math.abs(b.amountDiff));
+
+  const usedLegs = new Set();
+  const usedFills = new Set();
+  const matches = [];
+  candidates.forEach(c => {
+    if (usedLegs.has(c.leg.id) || usedFills.has(c.fill)) return;
+    usedLegs.add(c.leg.id);
+    usedFills.add(c.fill);
+    matches.push(c);
+  });
+
+  // Periodo coperto dal file; solo le gambe della piattaforma del file
+  // (senza piattaforma: i PAC che il file dimostra di contenere)
+  const range = { from: dates[0], to: dates[dates.length - 1] };
+  const templates = new Set(matches.map(m => m.leg.pacTemplateId));
+  const inFile = (leg) => {
+    const platform = _legPlatform(leg, templatePlatforms);
+    return platform ? filePlatforms.has(platform) : templates.has(leg.pacTemplateId);
+  };
+  const missed = legs.filter(leg =>
+    !usedLegs.has(leg.id) && leg.date >= range.from && leg.date <= range.to && inFile(leg)
+  );
+
+  return { matches, missed, range };
+}
+
+/**
+ * Porta sulle righe abbinate il legame con il PAC (prima dell'import)
+ * @param {Array} rows
+ * @param {Array} matches - da matchPACExecutions
+ * @returns {Array}
+ */
+export function linkPACFills(rows, matches = []) {
+  const legByPreview = new Map(matches.map(m => [m.fill.previewId, m.leg]));
+  return rows.map(tx => {
+    const leg = legByPreview.get(tx.previewId);
+    if (!leg) return tx;
+    return {
+      ...tx,
+      pacTemplateId: leg.pacTemplateId,
+      pacStatus: 'filled',
+      pacReplacesId: leg.id,
+      notes: tx.notes || leg.notes || '',
+    };
+  });
+}
+
+/**
+ * Dopo l'import: elimina le stime sostituite, segnala le gambe non eseguite
+ * e aggiorna gli id nello storico dei template
+ *
+ * @param {string} batchId - batch appena importato
+ * @param {Array} missed - gambe da segnalare come non eseguite
+ * @returns {{ replaced: number, flagged: number }}
+ */
+export function applyPACReconciliation(batchId, missed = []) {
+  const fills = getTransactions().filter(tx => tx.importBatchId === batchId && tx.pacReplacesId);
+  const replacedBy = {};
+
+  fills.forEach(fill => {
+    deleteTransaction(fill.pacReplacesId);
+    replacedBy[fill.pacReplacesId] = fill.id;
+  });
+  missed.forEach(leg => updateTransaction(leg.id, { pacStatus: 'not_executed', excludeFromStats: true }));
+
+  getPACTemplates().forEach(template => {
+    if (!Array.isArray(template.executionHistory)) return;
+    let changed = false;
+    const history = template.executionHistory.map(entry => {
+      if (!entry.transactionIds?.some(id => replacedBy[id])) return entry;
+      changed = true;
+      return { ...entry, transactionIds: entry.transactionIds.map(id => replacedBy[id] || id) };
+    });
+    if (changed) updatePACTemplate(template.id, { executionHistory: history });
+  });
+
+  console.log(`🔗 PAC reconciliation: ${fills.length} estimates replaced, ${missed.length} legs not executed`);
+  return { replaced: fills.length, flagged: missed.length };
+}
+
+export default {
+  PAC_MATCH_WINDOW_DAYS,
+  PAC_AMOUNT_TOLERANCE,
+  PAC_LEG_STATUS,
+  isEstimatedPACLeg,
+  matchPACExecutions,
+  linkPACFills,
+  applyPACReconciliation,
+};
@@ -2,12 +2,17 @@
  * PAC (Piano di Accumulo Capitale) Service
  * Manages recurring investment templates and execution
  *
- * VERSION: 2025-12-25-v1
+ * Ogni template ha una frequenza (settimanale … trimestrale o regola custom),
+ * una strategia per l'importo e lo storico delle esecuzioni per periodo.
+ *
+ * VERSION: 2026-10-19-v2
  */
 
-import { addTransaction } from './localStorageService';
+import { addTransaction, getBaseCurrency, getTransactions, calculatePortfolio } from './localStorageService';
+import { toEUR } from './currencyService';
 import { fetchMultiplePrices } from './priceService';
 import { fetchHistoricalPrices, normalizeTicker } from './historicalPriceService';
+import { recordTombstones, scheduleSync } from './syncService';
 
 const STORAGE_KEY = 'investment_tracker_pac_templates';
 
@@ -69,15 +74,17 @@ export const createPACTemplate = (template) => {
     const newTemplate = {
       ...template,
       id: generatePACId(),
-      currency: 'EUR',
+      currency: getBaseCurrency(), // importo nella valuta base al momento della creazione
       isActive: true,
       lastExecutedDate: null,
+      executionHistory: [],
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
     templates.push(newTemplate);
     localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    scheduleSync();
 
     console.log('✅ PAC template created:', newTemplate.name);
     return newTemplate;
@@ -109,6 +116,7 @@ export const updatePACTemplate = (id, updates) => {
     };
 
     localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    scheduleSync();
     console.log('✅ PAC template updated:', templates[index].name);
     return templates[index];
   } catch (error) {
@@ -127,6 +135,7 @@ export const deletePACTemplate = (id) => {
     const templates = getPACTemplates();
     const filtered = templates.filter(t => t.id !== id);
     localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
+    recordTombstones(STORAGE_KEY, [id]);
     console.log('🗑️ PAC template deleted');
     return true;
   } catch (error) {
@@ -135,6 +144,441 @@ export const deletePACTemplate = (id) => {
   }
 };
 
+// ============================================
+// MONTHLY OVERRIDES
+// ============================================
+
+/**
+ * Allocations to use for a given month
+ * A template may carry `monthlyOverrides` ({ 'YYYY-MM': { allocations, source } }),
+ * e.g. exported from the Rebalancing glide path; otherwise the template's own allocations.
+ *
+ * @param {Object} template - PAC template
+ * @param {string} date - Date in YYYY-MM-DD (or YYYY-MM) format
+ * @returns {Array} Allocations with percentage
+ */
+export const getAllocationsForMonth = (template, date) => {
+  const override = template.monthlyOverrides?.[String(date).slice(0, 7)];
+  return override?.allocations?.length ? override.allocations : template.allocations;
+};
+
+/**
+ * Save per-month allocation overrides on a template
+ * Past months are dropped; existing future months are replaced only if listed.
+ *
+ * @param {string} id - Template ID
+ * @param {Object} overrides - { 'YYYY-MM': { allocations: [...], source } }
+ * @returns {Object} Updated template
+ */
+export const setPACMonthlyOverrides = (id, overrides) => {
+  const template = getPACTemplateById(id);
+  if (!template) throw new Error('PAC template not found');
+
+  const currentMonth = getTodayDate().slice(0, 7);
+  const merged = {};
+  Object.entries({ ...(template.monthlyOverrides || {}), ...overrides }).forEach(([month, value]) => {
+    if (month >= currentMonth) merged[month] = value;
+  });
+
+  console.log(`📅 PAC ${template.name}: ${Object.keys(overrides).length} monthly overrides saved`);
+  return updatePACTemplate(id, { monthlyOverrides: merged });
+};
+
+/**
+ * Remove all per-month overrides from a template
+ * @param {string} id - Template ID
+ * @returns {Object} Updated template
+ */
+export const clearPACMonthlyOverrides = (id) => updatePACTemplate(id, { monthlyOverrides: {} });
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Frequenze del piano, espresse come regola RRULE-like (FREQ, INTERVAL).
+ * Il giorno arriva dal template: executionDay (giorno del mese) per le
+ * frequenze mensili, executionWeekday (0 = domenica) per quelle settimanali.
+ * 'custom' usa template.customRule, es. "FREQ=WEEKLY;INTERVAL=3;BYDAY=FR".
+ */
+export const PAC_FREQUENCIES = {
+  weekly:    { label: 'Settimanale',      rule: 'FREQ=WEEKLY;INTERVAL=1',  perYear: 52 },
+  biweekly:  { label: 'Ogni 2 settimane', rule: 'FREQ=WEEKLY;INTERVAL=2',  perYear: 26 },
+  monthly:   { label: 'Mensile',          rule: 'FREQ=MONTHLY;INTERVAL=1', perYear: 12 },
+  quarterly: { label: 'Trimestrale',      rule: 'FREQ=MONTHLY;INTERVAL=3', perYear: 4 },
+  custom:    { label: 'Personalizzata',   rule: null },
+};
+
+/**
+ * Cosa fare dei periodi scaduti senza esecuzione
+ *   none       → solo il periodo corrente (i precedenti si perdono)
+ *   accumulate → un solo acquisto oggi, importo base × periodi mancati
+ *   backfill   → un'esecuzione per periodo, alla sua data con prezzi storici
+ */
+export const CATCH_UP_MODES = {
+  none:       'Solo il periodo corrente',
+  accumulate: 'Recupera con un unico acquisto',
+  backfill:   'Registra ogni periodo alla sua data',
+};
+
+// Periodi arretrati considerati al massimo
+export const MAX_CATCH_UP_PERIODS = 24;
+
+const WEEKDAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const _parseDate = (s) => {
+  const [y, m, d] = String(s).slice(0, 10).split('-').map(Number);
+  return new Date(y, m - 1, d || 1);
+};
+const _fmtDate = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const _addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+/**
+ * Parse a schedule rule ("FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15")
+ * Supporta FREQ=WEEKLY|MONTHLY, INTERVAL, BYDAY (un giorno) e BYMONTHDAY.
+ * @param {string} rule
+ * @returns {Object|null} { freq, interval, byDay, byMonthDay } o null se non valida
+ */
+export const parseScheduleRule = (rule) => {
+  const parts = Object.fromEntries(
+    String(rule || '').toUpperCase().split(';')
+      .map(p => p.split('=').map(s => s.trim()))
+      .filter(([k, v]) => k && v)
+  );
+  if (parts.FREQ !== 'WEEKLY' && parts.FREQ !== 'MONTHLY') return null;
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!(interval >= 1 && interval <= 52)) return null;
+
+  const byDay = parts.BYDAY !== undefined ? WEEKDAY_CODES[parts.BYDAY] : null;
+  if (byDay === undefined) return null;
+
+  const byMonthDay = parts.BYMONTHDAY !== undefined ? parseInt(parts.BYMONTHDAY, 10) : null;
+  if (byMonthDay !== null && !(byMonthDay >= 1 && byMonthDay <= 31)) return null;
+
+  return { freq: parts.FREQ, interval, byDay, byMonthDay };
+};
+
+/**
+ * Effective schedule of a template
+ * I template senza frequenza sono mensili (comportamento storico).
+ * @param {Object} template
+ * @returns {Object} { frequency, freq, interval, byDay, byMonthDay, hasDay }
+ */
+export const getPACSchedule = (template) => {
+  const frequency = PAC_FREQUENCIES[template.frequency] ? template.frequency : 'monthly';
+  const rule = frequency === 'custom' ? template.customRule : PAC_FREQUENCIES[frequency].rule;
+  const parsed = parseScheduleRule(rule) || parseScheduleRule(PAC_FREQUENCIES.monthly.rule);
+  const weekday = template.executionWeekday ?? null;
+
+  return {
+    ...parsed,
+    frequency,
+    byDay: parsed.byDay ?? weekday ?? 1,
+    byMonthDay: parsed.byMonthDay ?? (template.executionDay || template.reminderDay || 1),
+    hasDay: parsed.freq === 'WEEKLY'
+      ? parsed.byDay !== null || weekday !== null
+      : parsed.byMonthDay !== null || !!template.executionDay
+  };
+};
+
+/**
+ * Equivalent monthly amount (for projections that work month by month)
+ * @param {Object} template
+ * @returns {number}
+ */
+export const getMonthlyEquivalentAmount = (template) => {
+  const { freq, interval } = getPACSchedule(template);
+  const perYear = freq === 'WEEKLY' ? 52 / interval : 12 / interval;
+  return (template.totalAmount || 0) * perYear / 12;
+};
+
+/**
+ * Inizio del periodo 0: primo del mese di partenza (mensili) o lunedì
+ * della settimana di partenza (settimanali). Partenza = startMonth, altrimenti creazione.
+ */
+const _scheduleAnchor = (template) =>
+  (template.startMonth ? `${template.startMonth}-01` : (template.createdAt || getTodayDate())).slice(0, 10);
+
+const _scheduleBase = (template, schedule) => {
+  const anchor = _parseDate(_scheduleAnchor(template));
+  if (schedule.freq === 'MONTHLY') return new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  return _addDays(anchor, -((anchor.getDay() + 6) % 7));
+};
+
+const _periodIndex = (base, date, schedule) => {
+  const d = _parseDate(date);
+  if (schedule.freq === 'MONTHLY') {
+    const months = (d.getFullYear() - base.getFullYear()) * 12 + d.getMonth() - base.getMonth();
+    return Math.floor(months / schedule.interval);
+  }
+  return Math.floor(Math.round((d - base) / DAY_MS) / (7 * schedule.interval));
+};
+
+const _periodAt = (base, index, schedule) => {
+  let start, end, due;
+  if (schedule.freq === 'MONTHLY') {
+    start = new Date(base.getFullYear(), base.getMonth() + index * schedule.interval, 1);
+    end = new Date(start.getFullYear(), start.getMonth() + schedule.interval, 0);
+    const daysInMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+    due = new Date(start.getFullYear(), start.getMonth(), Math.min(schedule.byMonthDay, daysInMonth));
+  } else {
+    start = _addDays(base, index * schedule.interval * 7);
+    end = _addDays(start, schedule.interval * 7 - 1);
+    due = _addDays(start, (schedule.byDay + 6) % 7);
+  }
+  return { index, key: _fmtDate(start), start: _fmtDate(start), end: _fmtDate(end), dueDate: _fmtDate(due) };
+};
+
+/**
+ * Period of the plan containing a date
+ * Un'esecuzione in qualunque giorno del periodo lo copre (per i mensili: il mese di calendario).
+ * @param {Object} template
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} { index, key, start, end, dueDate }
+ */
+export const getPACPeriod = (template, date) => {
+  const schedule = getPACSchedule(template);
+  const base = _scheduleBase(template, schedule);
+  return _periodAt(base, _periodIndex(base, date, schedule), schedule);
+};
+
+/**
+ * Periods already due and not yet covered by the execution history
+ * Solo quelli successivi all'ultimo periodo eseguito o saltato, al massimo MAX_CATCH_UP_PERIODS.
+ * @param {Object} template
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {Array} periodi, dal più vecchio
+ */
+export const getDuePACPeriods = (template, today = getTodayDate()) => {
+  const schedule = getPACSchedule(template);
+  const base = _scheduleBase(template, schedule);
+  const current = _periodIndex(base, today, schedule);
+
+  const lastHandled = getPACHistory(template)
+    .flatMap(h => h.periodKeys || [])
+    .reduce((max, key) => Math.max(max, _periodIndex(base, key, schedule)), -1);
+
+  // Il primo periodo può iniziare prima della partenza: la scadenza non la precede
+  const anchor = _scheduleAnchor(template);
+  const periods = [];
+  for (let i = Math.max(0, lastHandled + 1, current - MAX_CATCH_UP_PERIODS + 1); i <= current; i++) {
+    const period = _periodAt(base, i, schedule);
+    if (period.dueDate < anchor) period.dueDate = anchor;
+    if (period.dueDate <= today) periods.push(period);
+  }
+  return periods;
+};
+
+/**
+ * Esecuzioni da proporre per un template secondo il catch-up mode
+ * @returns {Array} [{ periods, executionDate }]
+ */
+const _pendingRuns = (template, today) => {
+  const due = getDuePACPeriods(template, today);
+  if (!due.length) return [];
+
+  switch (template.catchUpMode) {
+    case 'accumulate':
+      return [{ periods: due, executionDate: today }];
+    case 'backfill':
+      return due.map(p => ({ periods: [p], executionDate: p.dueDate }));
+    default: {
+      const current = getPACPeriod(template, today);
+      return due.some(p => p.key === current.key) ? [{ periods: [current], executionDate: today }] : [];
+    }
+  }
+};
+
+// ============================================
+// EXECUTION HISTORY
+// ============================================
+
+/**
+ * Execution history of a template, oldest first
+ * Voce: { id, periodKeys, date, amount, currency, strategy, transactionIds, skipped }
+ * I template creati prima dello storico hanno solo lastExecutedDate, che diventa la prima voce.
+ * @param {Object} template
+ * @returns {Array}
+ */
+export const getPACHistory = (template) => {
+  if (Array.isArray(template.executionHistory)) return template.executionHistory;
+  if (!template.lastExecutedDate) return [];
+  return [{
+    id: `${template.id}-legacy`,
+    periodKeys: [getPACPeriod(template, template.lastExecutedDate).key],
+    date: template.lastExecutedDate,
+    legacy: true
+  }];
+};
+
+const _appendHistory = (id, entry) => {
+  const template = getPACTemplateById(id);
+  if (!template) throw new Error('PAC template not found');
+
+  const history = [...getPACHistory(template), { id: generatePACId(), ...entry }]
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const lastExecuted = history.filter(h => !h.skipped).map(h => h.date).pop() || null;
+
+  // lastExecutedDate resta allineato per chi legge ancora solo quello (glide path)
+  return updatePACTemplate(id, { executionHistory: history, lastExecutedDate: lastExecuted });
+};
+
+/**
+ * Mark periods as skipped: non verranno più proposti
+ * @param {string} id - Template ID
+ * @param {Array<string>} periodKeys
+ * @returns {Object} Updated template
+ */
+export const skipPACPeriods = (id, periodKeys) => {
+  console.log(`⏭️ PAC ${id}: skipped ${periodKeys.join(', ')}`);
+  return _appendHistory(id, { periodKeys, date: getTodayDate(), skipped: true });
+};
+
+// ============================================
+// AMOUNT STRATEGIES
+// ============================================
+
+/**
+ * Come si calcola l'importo (e la ripartizione) di ogni esecuzione
+ *   fixed              → totalAmount e percentuali del template
+ *   value_averaging    → si porta il valore del PAC a totalAmount × esecuzioni
+ *   drawdown_boost     → +drawdownBoost% per ogni drawdownThreshold% sotto il massimo a 12 mesi
+ *   rebalance_weighted → importo fisso, pesi spostati sui titoli sottopesati nel portafoglio
+ */
+export const AMOUNT_STRATEGIES = {
+  fixed:              'Importo fisso',
+  value_averaging:    'Value averaging',
+  drawdown_boost:     'Rinforzo nei ribassi',
+  rebalance_weighted: 'Pesi da ribilanciamento',
+};
+
+export const DEFAULT_STRATEGY_PARAMS = {
+  maxMultiplier: 2,      // tetto dell'importo rispetto a quello base
+  drawdownThreshold: 10, // % sotto il massimo per ogni gradino
+  drawdownBoost: 25      // % in più per gradino
+};
+
+const _fromEUR = (amountEur, currency) => amountEur / (toEUR(1, currency) || 1);
+
+const _priceOf = (prices, ticker) => (prices[normalizeTicker(ticker)] || prices[ticker])?.price || null;
+
+/**
+ * Arrotonda le percentuali a 2 decimali mantenendo la somma a 100
+ */
+const _roundPercentages = (weights) => {
+  const total = Object.values(weights).reduce((s, w) => s + w, 0);
+  if (total <= 0) return null;
+  const rounded = Object.fromEntries(Object.entries(weights).map(([t, w]) => [t, Math.round((w / total) * 10000) / 100]));
+  const drift = Math.round((100 - Object.values(rounded).reduce((s, v) => s + v, 0)) * 100) / 100;
+  const largest = Object.keys(rounded).reduce((a, b) => (rounded[a] >= rounded[b] ? a : b));
+  rounded[largest] = Math.round((rounded[largest] + drift) * 100) / 100;
+  return rounded;
+};
+
+const _valueAveraging = (template, allocations, prices, baseAmount, periods, params) => {
+  const currency = template.currency || 'EUR';
+  // Le gambe segnate come non eseguite non sono quote detenute
+  const pacBuys = getTransactions().filter(t =>
+    t.pacTemplateId === template.id && t.type === 'buy' && !t.excludeFromStats && t.pacStatus !== 'not_executed'
+  );
+  // Periodi già coperti: un recupero (accumulate) ne copre più d'uno nella stessa data
+  const history = getPACHistory(template).filter(h => !h.skipped);
+  const executions = history.some(h => !h.legacy)
+    ? history.reduce((n, h) => n + (h.periodKeys?.length || 1), 0)
+    : new Set(pacBuys.map(t => t.date)).size;
+
+  const currentValueEur = pacBuys.reduce((sum, t) => sum + t.quantity * (_priceOf(prices, t.ticker) ?? t.price), 0);
+  const currentValue = _fromEUR(currentValueEur, currency);
+  const targetValue = template.totalAmount * (executions + periods);
+  const amount = Math.min(Math.max(targetValue - currentValue, 0), baseAmount * params.maxMultiplier);
+
+  return {
+    totalAmount: Math.round(amount * 100) / 100,
+    percentages: null,
+    notes: [`Valore PAC ${currentValue.toFixed(2)} ${currency}, obiettivo ${targetValue.toFixed(2)} ${currency} dopo ${executions + periods} esecuzioni`]
+  };
+};
+
+const _drawdownBoost = async (template, allocations, prices, baseAmount, executionDate, params) => {
+  const from = _fmtDate(new Date(_parseDate(executionDate).getFullYear() - 1, _parseDate(executionDate).getMonth(), 1));
+  const amounts = {};
+  const notes = [];
+
+  for (const allocation of allocations) {
+    const price = _priceOf(prices, allocation.ticker);
+    let multiplier = 1;
+    try {
+      const history = price ? await fetchHistoricalPrices(allocation.ticker, from, executionDate) : [];
+      const high = Math.max(price || 0, ...(history || []).map(h => h.price || 0));
+      const drawdown = high > 0 && price ? (1 - price / high) * 100 : 0;
+      const steps = Math.floor(drawdown / params.drawdownThreshold);
+      multiplier = Math.min(1 + (steps * params.drawdownBoost) / 100, params.maxMultiplier);
+      if (steps > 0) notes.push(`${allocation.ticker}: -${drawdown.toFixed(1)}% dal massimo, importo ×${multiplier.toFixed(2)}`);
+    } catch (error) {
+      console.warn(`Drawdown not available for ${allocation.ticker}:`, error);
+    }
+    amounts[allocation.ticker] = baseAmount * (allocation.percentage / 100) * multiplier;
+  }
+
+  const total = Object.values(amounts).reduce((s, a) => s + a, 0);
+  return {
+    totalAmount: Math.round(total * 100) / 100,
+    percentages: _roundPercentages(amounts),
+    notes: notes.length ? notes : ['Nessun titolo abbastanza sotto il massimo: importo base']
+  };
+};
+
+const _rebalanceWeighted = (template, allocations, prices, baseAmount) => {
+  const currency = template.currency || 'EUR';
+  const holdings = calculatePortfolio().filter(h => !h.isCash);
+  const values = Object.fromEntries(allocations.map(a => {
+    const ticker = normalizeTicker(a.ticker);
+    const quantity = holdings
+      .filter(h => normalizeTicker(h.ticker) === ticker)
+      .reduce((s, h) => s + h.quantity, 0);
+    return [a.ticker, quantity * (_priceOf(prices, a.ticker) || 0)];
+  }));
+
+  // Dopo l'acquisto ogni titolo dovrebbe pesare quanto la sua percentuale
+  const afterTotal = Object.values(values).reduce((s, v) => s + v, 0) + toEUR(baseAmount, currency);
+  const deficits = Object.fromEntries(allocations.map(a =>
+    [a.ticker, Math.max(0, afterTotal * (a.percentage / 100) - values[a.ticker])]
+  ));
+  const percentages = _roundPercentages(deficits);
+
+  return {
+    totalAmount: baseAmount,
+    percentages,
+    notes: [percentages ? 'Percentuali spostate verso i titoli sottopesati' : 'Portafoglio già in linea: percentuali del template']
+  };
+};
+
+/**
+ * Amount and split of one execution according to the template strategy
+ * @param {Object} template - PAC template
+ * @param {Array} allocations - Allocations for the execution month
+ * @param {Object} prices - ticker → { price } (EUR)
+ * @param {string} executionDate - YYYY-MM-DD
+ * @param {number} periods - Periodi coperti dall'esecuzione (catch-up accumulate)
+ * @returns {Promise<Object>} { type, baseAmount, totalAmount, percentages, notes }
+ */
+export const computePACAmount = async (template, allocations, prices, executionDate, periods = 1) => {
+  const type = AMOUNT_STRATEGIES[template.amountStrategy] ? template.amountStrategy : 'fixed';
+  const params = { ...DEFAULT_STRATEGY_PARAMS, ...(template.strategyParams || {}) };
+  const baseAmount = template.totalAmount * periods;
+
+  let result = { totalAmount: baseAmount, percentages: null, notes: [] };
+  if (type === 'value_averaging') result = _valueAveraging(template, allocations, prices, baseAmount, periods, params);
+  if (type === 'drawdown_boost') result = await _drawdownBoost(template, allocations, prices, baseAmount, executionDate, params);
+  if (type === 'rebalance_weighted') result = _rebalanceWeighted(template, allocations, prices, baseAmount);
+
+  console.log(`🧮 ${template.name}: ${type} → ${result.totalAmount} (base ${baseAmount})`);
+  return { type, baseAmount, ...result };
+};
+
 // ============================================
 // PAC EXECUTION
 // ============================================
@@ -215,33 +659,46 @@ export const fetchPricesForPAC = async (allocations, executionDate) => {
  *
  * @param {Object} template - PAC template
  * @param {string} executionDate - Date in YYYY-MM-DD format
- * @param {number} modifiedTotalAmount - Optional modified total amount
+ * @param {number} modifiedTotalAmount - Optional modified total amount (ignora la strategia)
+ * @param {Object} options - { periodKeys }: periodi coperti, default quello della data
  * @returns {Object} Execution preview with calculated values
  */
-export const preparePACExecution = async (template, executionDate, modifiedTotalAmount = null) => {
-  const totalAmount = modifiedTotalAmount || template.totalAmount;
+export const preparePACExecution = async (template, executionDate, modifiedTotalAmount = null, options = {}) => {
+  const currency = template.currency || 'EUR';
+  const periodKeys = options.periodKeys?.length ? options.periodKeys : [getPACPeriod(template, executionDate).key];
 
   console.log(`🚀 Preparing PAC execution: ${template.name}`);
-  console.log(`💰 Total amount: €${totalAmount}`);
-  console.log(`📅 Execution date: ${executionDate}`);
+  console.log(`📅 Execution date: ${executionDate} (${periodKeys.length} periodi)`);
+
+  const allocations = getAllocationsForMonth(template, executionDate);
+  const isOverride = allocations !== template.allocations;
+  if (isOverride) console.log(`📅 Using monthly override for ${executionDate.slice(0, 7)}`);
 
   // Fetch prices
-  const prices = await fetchPricesForPAC(template.allocations, executionDate);
+  const prices = await fetchPricesForPAC(allocations, executionDate);
+
+  const amountStrategy = modifiedTotalAmount
+    ? { type: 'manual', baseAmount: template.totalAmount * periodKeys.length, totalAmount: modifiedTotalAmount, percentages: null, notes: [] }
+    : await computePACAmount(template, allocations, prices, executionDate, periodKeys.length);
+  const totalAmount = amountStrategy.totalAmount;
+  console.log(`💰 Total amount: ${totalAmount} ${currency}`);
 
   // Calculate quantities for each allocation
-  const items = template.allocations.map(allocation => {
+  const items = allocations.map(allocation => {
     const normalizedTicker = normalizeTicker(allocation.ticker);
     const priceData = prices[normalizedTicker] || prices[allocation.ticker];
     const price = priceData?.price || null;
+    const percentage = amountStrategy.percentages?.[allocation.ticker] ?? allocation.percentage;
 
-    const allocatedAmount = totalAmount * (allocation.percentage / 100);
-    const quantity = price ? allocatedAmount / price : null;
+    // Importo nella valuta del PAC, prezzi in EUR
+    const allocatedAmount = totalAmount * (percentage / 100);
+    const quantity = price ? toEUR(allocatedAmount, currency) / price : null;
 
     return {
       ...allocation,
       normalizedTicker,
       originalPercentage: allocation.percentage,
-      modifiedPercentage: allocation.percentage,
+      modifiedPercentage: percentage,
       allocatedAmount: Math.round(allocatedAmount * 100) / 100,
       price: price, // Don't round price - use full precision
       priceSource: priceData?.source || 'unavailable',
@@ -256,20 +713,25 @@ export const preparePACExecution = async (template, executionDate, modifiedTotal
 
   // Calculate totals
   const totalAllocated = items.reduce((sum, i) => sum + (i.allocatedAmount || 0), 0);
-  const totalPercentage = items.reduce((sum, i) => sum + i.modifiedPercentage, 0);
+  const totalPercentage = Math.round(items.reduce((sum, i) => sum + i.modifiedPercentage, 0) * 100) / 100;
 
   return {
     pacTemplateId: template.id,
     pacTemplateName: template.name,
+    platform: template.platform || null,
     executionDate,
     totalAmount,
+    currency,
     pricesType: executionDate < getTodayDate() ? 'historical' : 'current',
+    isOverride,
+    periodKeys,
+    amountStrategy,
     items,
     totalAllocated: Math.round(totalAllocated * 100) / 100,
     totalPercentage,
     status: hasErrors ? 'warning' : 'ready',
     errors,
-    canExecute: items.some(i => i.price !== null) // Can execute if at least one price is available
+    canExecute: totalAmount > 0 && items.some(i => i.price !== null) // Can execute if at least one price is available
   };
 };
 
@@ -280,7 +742,7 @@ export const preparePACExecution = async (template, executionDate, modifiedTotal
  * @returns {Object} Result with created transactions
  */
 export const executePAC = async (executionPreview) => {
-  const { pacTemplateId, pacTemplateName, executionDate, items } = executionPreview;
+  const { pacTemplateId, pacTemplateName, platform, executionDate, items, currency, periodKeys, amountStrategy } = executionPreview;
 
   console.log(`✅ Executing PAC: ${pacTemplateName}`);
 
@@ -308,7 +770,9 @@ export const executePAC = async (executionPreview) => {
         commission: 0,
         currency: 'EUR',
         notes: `PAC: ${pacTemplateName}`,
-        pacTemplateId: pacTemplateId
+        ...(platform && { platform }),
+        pacTemplateId: pacTemplateId,
+        pacStatus: 'estimated' // sostituita dall'eseguito reale all'import del CSV (pacReconciliationService)
       };
 
       const saved = addTransaction(transaction);
@@ -320,13 +784,22 @@ export const executePAC = async (executionPreview) => {
     }
   }
 
-  // Update template's lastExecutedDate
-  try {
-    updatePACTemplate(pacTemplateId, {
-      lastExecutedDate: executionDate
-    });
-  } catch (error) {
-    console.warn('Could not update lastExecutedDate:', error);
+  const totalInvested = createdTransactions.reduce((sum, t) => sum + (t.price * t.quantity), 0);
+
+  // Record the execution in the template history (aggiorna anche lastExecutedDate)
+  if (createdTransactions.length > 0) {
+    try {
+      _appendHistory(pacTemplateId, {
+        periodKeys: periodKeys || [],
+        date: executionDate,
+        amount: Math.round(items.reduce((sum, i) => sum + (i.price && i.quantity ? i.allocatedAmount : 0), 0) * 100) / 100,
+        currency: currency || 'EUR',
+        strategy: amountStrategy?.type || 'fixed',
+        transactionIds: createdTransactions.map(t => t.id)
+      });
+    } catch (error) {
+      console.warn('Could not update execution history:', error);
+    }
   }
 
   return {
@@ -334,7 +807,7 @@ export const executePAC = async (executionPreview) => {
     transactionsCreated: createdTransactions.length,
     transactions: createdTransactions,
     errors,
-    totalInvested: createdTransactions.reduce((sum, t) => sum + (t.price * t.quantity), 0)
+    totalInvested
   };
 };
 
@@ -343,34 +816,15 @@ export const executePAC = async (executionPreview) => {
 // ============================================
 
 /**
- * Check if any PAC needs execution this month
+ * Check if any PAC has a due period not yet executed
+ * Per i template senza giorno di esecuzione il giorno è reminderDay (o il primo).
  * @returns {Object} Reminder status
  */
 export const checkPACReminders = () => {
-  const templates = getPACTemplates();
-  const today = new Date();
-  const currentMonth = today.getMonth();
-  const currentYear = today.getFullYear();
-  const currentDay = today.getDate();
-
-  const pendingPACs = templates.filter(template => {
-    if (!template.isActive) return false;
-
-    // Check if already executed this month
-    if (template.lastExecutedDate) {
-      const lastExec = new Date(template.lastExecutedDate);
-      if (lastExec.getMonth() === currentMonth && lastExec.getFullYear() === currentYear) {
-        return false; // Already executed this month
-      }
-    }
-
-    // Check if reminder day has passed (or no reminder day set = always show)
-    if (template.reminderDay && currentDay < template.reminderDay) {
-      return false; // Not yet reminder day
-    }
-
-    return true;
-  });
+  const today = getTodayDate();
+  const pendingPACs = getPACTemplates().filter(template =>
+    template.isActive && _pendingRuns(template, today).length > 0
+  );
 
   return {
     hasPending: pendingPACs.length > 0,
@@ -383,15 +837,14 @@ export const checkPACReminders = () => {
  * Get PACs that are pending auto-execution (need user confirmation)
  * Called on app load to check for PACs that should be executed
  *
+ * Un template può comparire più volte (catch-up backfill): ogni voce porta
+ * pendingPeriods (periodi che copre) e pendingDate (data di esecuzione).
+ *
  * @returns {Array} Array of pending PAC templates
  */
 export const getPendingAutoExecutePACs = () => {
   const templates = getPACTemplates();
-  const today = new Date();
-  const currentMonth = today.getMonth();
-  const currentYear = today.getFullYear();
-  const currentDay = today.getDate();
-  const currentYearMonth = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
+  const today = getTodayDate();
 
   console.log('🔄 Checking for pending auto-execute PACs...');
 
@@ -404,34 +857,23 @@ export const getPendingAutoExecutePACs = () => {
     }
 
     // Skip if no execution day set
-    if (!template.executionDay) {
+    if (!getPACSchedule(template).hasDay) {
       continue;
     }
 
-    // Skip if current day is before execution day
-    if (currentDay < template.executionDay) {
-      console.log(`⏳ ${template.name}: waiting for day ${template.executionDay} (today is ${currentDay})`);
+    const runs = _pendingRuns(template, today);
+    if (runs.length === 0) {
+      console.log(`✓ ${template.name}: nothing due`);
       continue;
     }
 
-    // Skip if startMonth is set and we haven't reached it yet
-    if (template.startMonth && template.startMonth > currentYearMonth) {
-      console.log(`⏳ ${template.name}: starts from ${template.startMonth} (now is ${currentYearMonth})`);
-      continue;
-    }
-
-    // Skip if already executed this month
-    if (template.lastExecutedDate) {
-      const lastExec = new Date(template.lastExecutedDate);
-      if (lastExec.getMonth() === currentMonth && lastExec.getFullYear() === currentYear) {
-        console.log(`✓ ${template.name}: already executed this month`);
-        continue;
-      }
-    }
-
     // This PAC needs to be executed!
-    console.log(`📋 ${template.name}: pending execution`);
-    pendingPACs.push(template);
+    console.log(`📋 ${template.name}: ${runs.length} pending execution(s)`);
+    runs.forEach(run => pendingPACs.push({
+      ...template,
+      pendingPeriods: run.periods,
+      pendingDate: run.executionDate
+    }));
   }
 
   console.log(`🏁 Found ${pendingPACs.length} PACs pending execution`);
@@ -468,7 +910,22 @@ export default {
   updatePACTemplate,
   deletePACTemplate,
 
+  // Schedule & history
+  getPACSchedule,
+  getPACPeriod,
+  getDuePACPeriods,
+  getMonthlyEquivalentAmount,
+  parseScheduleRule,
+  getPACHistory,
+  skipPACPeriods,
+
+  // Monthly overrides
+  getAllocationsForMonth,
+  setPACMonthlyOverrides,
+  clearPACMonthlyOverrides,
+
   // Execution
+  computePACAmount,
   fetchPricesForPAC,
   preparePACExecution,
   executePAC,
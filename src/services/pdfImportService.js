@@ -0,0 +1,445 @@
+/**
+ * pdfImportService.js
+ * Import from broker PDF documents: contract notes ("fissato bollato",
+ * Wertpapierabrechnung), dividend notices and annual statements.
+ *
+ * Text extraction runs client-side with pdf.js (loaded on demand), then a
+ * per-broker template splits the document into operations and reads the
+ * labelled fields.
+ *
+ * Supported templates:
+ *   fineco        — Fineco nota informativa eseguito / stacco dividendi
+ *   directa       — Directa conferma eseguito / rendiconto titoli
+ *   traderepublic — Trade Republic abrechnung / conferma ordine / dividendi (DE, IT, EN)
+ *   generic       — any other broker, capped at medium confidence
+ *
+ * parsePDFFile() resolves to the same shape as parseCSVFile(), so the import
+ * preview, findDuplicates and bulkImportTransactions work unchanged. Every
+ * transaction also carries:
+ *   fieldConfidence: { [field]: 'high' | 'medium' | 'low' }
+ *     high   — value next to its label, ISIN with a valid check digit
+ *     medium — value on the line below the label, derived (price = total / qty)
+ *              or read positionally from a statement table
+ *     low    — guessed without a label (first date in the block, default 0)
+ */
+
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { safeFloat, safeDate, resolveSecurity, cashMovement, finalizeParseResult } from './csvImportService';
+import { lookupISIN } from './isinMapping';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TEXT EXTRACTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild text lines from pdf.js items: same baseline (±2pt) = same line,
+ * items ordered left to right.
+ */
+function groupLines(items) {
+  const rows = [];
+  items.forEach(item => {
+    const str = item.str;
+    if (!str || !str.trim()) return;
+    const x = item.transform[4];
+    const y = item.transform[5];
+    let row = rows.find(r => Math.abs(r.y - y) <= 2);
+    if (!row) { row = { y, parts: [] }; rows.push(row); }
+    row.parts.push({ x, str });
+  });
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(r => r.parts.sort((a, b) => a.x - b.x).map(p => p.str).join(' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Extract the text of a PDF File, one array of lines per page.
+ * @param {File} file
+ * @returns {Promise<string[][]>}
+ */
+export async function extractPDFLines(file) {
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  const pages = [];
+  try {
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const { items } = await page.getTextContent();
+      pages.push(groupLines(items));
+    }
+  } finally {
+    await doc.destroy();
+  }
+  return pages;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FIELD HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ISIN_RE   = /\b([A-Z]{2}[A-Z0-9]{9}\d)\b/;
+const DATE_RE   = /\b(\d{1,2}[./-]\d{1,2}[./-]\d{4}|\d{4}-\d{2}-\d{2})\b/;
+// Niente cifre dentro codici alfanumerici (ISIN, numeri d'ordine)
+const NUMBER_RE = /(?<![A-Za-z0-9])-?\d[\d.,']*/;
+
+const CONFIDENCE = ['low', 'medium', 'high'];
+const capConfidence = (c, max) => CONFIDENCE[Math.min(CONFIDENCE.indexOf(c), CONFIDENCE.indexOf(max))];
+
+/** ISIN check digit (Luhn on the letter-expanded payload). */
+export function isValidISIN(isin) {
+  if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(isin || '')) return false;
+  const digits = isin.slice(0, 11).split('')
+    .map(c => (/[A-Z]/.test(c) ? String(c.charCodeAt(0) - 55) : c))
+    .join('');
+  let sum = 0;
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let d = Number(digits[i]);
+    if (double) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return (10 - (sum % 10)) % 10 === Number(isin[11]);
+}
+
+const readToken = {
+  number: (s) => { const m = s.match(NUMBER_RE); return m ? Math.abs(safeFloat(m[0].replace(/'/g, ''))) : null; },
+  date:   (s) => { const m = s.match(DATE_RE); return m ? safeDate(m[1].replace(/\./g, '/')) : null; },
+  text:   (s) => { const v = s.replace(/^[\s:.\-–]+/, '').trim(); return v.length > 1 ? v : null; },
+  id:     (s) => { const m = s.match(/[:\s]*([A-Z0-9][A-Z0-9\-/]{3,})/i); return m ? m[1] : null; },
+};
+
+/**
+ * Value under a column header: the n-th number of the next line, where n is
+ * the position of the label among the numeric column headers of its line.
+ */
+function columnValue(headerLine, labelIndex, nextLine) {
+  const column = (headerLine.slice(0, labelIndex).match(COLUMN_HEADERS) || []).length;
+  const numbers = nextLine.replace(new RegExp(DATE_RE.source, 'g'), ' ').match(new RegExp(NUMBER_RE.source, 'g')) || [];
+  return numbers[column] !== undefined ? Math.abs(safeFloat(numbers[column].replace(/'/g, ''))) : null;
+}
+
+/**
+ * First value of `kind` after one of the label patterns.
+ * The first pattern list is the specific one: a hit on the same line is
+ * 'high'; the value on the following line (column headers with values
+ * underneath) or a hit from a later, looser pattern is 'medium'.
+ */
+function labelled(lines, patterns, kind) {
+  for (let p = 0; p < patterns.length; p++) {
+    for (let i = 0; i < lines.length; i++) {
+      const m = lines[i].match(patterns[p]);
+      if (!m) continue;
+      const rest = lines[i].slice(m.index + m[0].length);
+      const same = readToken[kind](rest);
+      if (same !== null && same !== '') return { value: same, confidence: p === 0 ? 'high' : 'medium' };
+      if (!lines[i + 1]) continue;
+      const below = kind === 'number' ? columnValue(lines[i], m.index, lines[i + 1]) : readToken[kind](lines[i + 1]);
+      if (below !== null && below !== '') return { value: below, confidence: 'medium' };
+    }
+  }
+  return null;
+}
+
+/** Sum of every labelled amount (several commission / tax lines per note). */
+function labelledSum(lines, pattern) {
+  let total = 0;
+  let found = false;
+  lines.forEach(line => {
+    const m = line.match(pattern);
+    if (!m) return;
+    const v = readToken.number(line.slice(m.index + m[0].length));
+    if (v !== null) { total += v; found = true; }
+  });
+  return found ? total : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// BROKER TEMPLATES
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Vocabolario comune (IT / EN / DE): i template aggiungono i marcatori di inizio operazione
+const BASE_LABELS = {
+  date:        [/data\s+(?:e\s+ora\s+)?(?:di\s+)?(?:esecuzione|eseguito|operazione)|trade\s+date|execution\s+date|schlusstag|ausf[üu]hrung(?:stag)?/i,
+                /\bdat(?:a|um|e)\b|valuta|pagamento|zahltag/i],
+  quantity:    [/quantit[àa]|q\.t[àa]|\bqty\b|anzahl|st[üu]ck|n\.\s*titoli|\bshares\b|quantity/i],
+  price:       [/prezzo(?:\s+(?:medio|eseguito|unitario|di\s+esecuzione))?|\bkurs\b|execution\s+price|\bprice\b/i],
+  total:       [/controvalore(?:\s+lordo)?|kurswert|importo\s+(?:lordo|operazione)|\bbetrag\b|\bamount\b/i, /totale|gesamt|\btotal\b/i],
+  commission:  /commission[ie]?|spese|fremdkosten(?:zuschlag)?|costi\s+esterni|ordergeb[üu]hr|\bfees?\b|tobin\s*tax|imposta\s+(?:sulle\s+)?transazioni/i,
+  orderId:     [/(?:numero|n\.|nr\.?)\s*(?:ordine|eseguito|operazione)|riferimento(?:\s+ordine)?|order\s*(?:no\.?|id|number)|auftrag(?:snummer)?/i],
+  name:        [/titolo|strumento|descrizione|wertpapier|security|instrument/i],
+  gross:       [/(?:importo|dividendo|cedola|provento)\s+lord[oa]|bruttobetrag|brutto|gross(?:\s+amount)?/i],
+  withholding: /ritenut[ae](?:\s+alla\s+fonte)?|quellensteuer|kapitalertrags?teuer|withholding(?:\s+tax)?|imposta\s+sostitutiva/i,
+  net:         [/(?:importo|totale)\s+netto|netto\s+(?:accreditato|a\s+credito)|nettobetrag|net\s+amount/i, /totale|gesamt|\btotal\b/i],
+  buy:         /\b(?:acquisto|buy|kauf|sparplan|savings\s+plan|piano\s+di\s+accumulo)\b/i,
+  sell:        /\b(?:vendita|sell|verkauf)\b/i,
+  dividend:    /\b(?:dividend[oi]?|dividende|aussch[üu]ttung|cedola|distribution|proventi)\b/i,
+  savingsPlan: /sparplan|savings\s+plan|piano\s+di\s+accumulo/i,
+  sideLabel:   /operazione|segno|tipo|abrechnung|conferma|order/i,
+};
+
+const COLUMN_HEADERS = new RegExp(
+  [BASE_LABELS.quantity[0], BASE_LABELS.price[0], BASE_LABELS.total[0]].map(r => r.source).join('|'),
+  'gi'
+);
+
+export const PDF_TEMPLATES = {
+  fineco: {
+    label: 'Fineco Bank',
+    detect: (text) => /fineco/i.test(text),
+    blockStart: /nota\s+informativa|conferma\s+(?:di\s+)?esegui|eseguito\s+ordine|fissato\s+bollato|stacco\s+(?:cedola|dividendo)|pagamento\s+dividend/i,
+    maxConfidence: 'high',
+  },
+  directa: {
+    label: 'Directa',
+    detect: (text) => /directa\s*s\.?i\.?m|directa\.it/i.test(text),
+    blockStart: /conferma\s+(?:di\s+)?esegui|nota\s+di\s+eseguito|eseguito\s+n[.°]|accredito\s+(?:dividend|cedol)/i,
+    maxConfidence: 'high',
+  },
+  traderepublic: {
+    label: 'Trade Republic',
+    detect: (text) => /trade\s+republic/i.test(text),
+    blockStart: /wertpapierabrechnung|abrechnung\s+(?:kauf|verkauf|sparplan)|dividende\s+mit|aussch[üu]ttung|conferma\s+(?:d['’]ordine|di\s+esecuzione)|securities\s+settlement/i,
+    maxConfidence: 'high',
+  },
+  generic: {
+    label: 'PDF generico',
+    detect: () => true,
+    blockStart: /nota\s+informativa|conferma|contract\s+note|abrechnung|settlement|dividend/i,
+    maxConfidence: 'medium',
+  },
+};
+
+export function detectPDFTemplate(text) {
+  return Object.keys(PDF_TEMPLATES).find(key => PDF_TEMPLATES[key].detect(text));
+}
+
+/**
+ * Operation blocks: split where the template's marker appears, one block per
+ * page otherwise. A block without an ISIN is glued to the previous one (the
+ * marker word repeated inside the same note).
+ */
+function splitBlocks(pages, template) {
+  const blocks = [];
+  pages.forEach(lines => {
+    let current = [];
+    lines.forEach(line => {
+      if (template.blockStart.test(line) && current.some(l => ISIN_RE.test(l))) {
+        blocks.push(current);
+        current = [];
+      }
+      current.push(line);
+    });
+    if (current.length) blocks.push(current);
+  });
+  return blocks.reduce((acc, block) => {
+    if (acc.length && !block.some(l => ISIN_RE.test(l))) acc[acc.length - 1].push(...block);
+    else acc.push(block);
+    return acc;
+  }, []);
+}
+
+/** Lines of a statement table: date + side + ISIN + numbers on one row. */
+const isTableRow = (line) =>
+  DATE_RE.test(line) && ISIN_RE.test(line) && (BASE_LABELS.buy.test(line) || BASE_LABELS.sell.test(line));
+
+// ─────────────────────────────────────────────────────────────────────────────
+// OPERATION EXTRACTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+function buildTrade({ key, template, date, type, isin, name, quantity, price, commission, orderId, notes }) {
+  const security = resolveSecurity(isin.value, name.value || '');
+  const conf = (c) => capConfidence(c, template.maxConfidence);
+  return {
+    ...security,
+    date: date.value,
+    price: parseFloat(price.value.toFixed(6)),
+    quantity: quantity.value,
+    commission: parseFloat((commission.value || 0).toFixed(4)),
+    currency: 'EUR',
+    notes,
+    type: type.value,
+    sourceId: orderId ? `pdf-${key}-${orderId}` : `pdf-${key}-${date.value}-${isin.value}-${type.value}-${quantity.value}`,
+    fieldConfidence: {
+      date: conf(date.confidence),
+      type: conf(type.confidence),
+      isin: conf(isin.confidence),
+      ticker: conf(lookupISIN(isin.value) ? isin.confidence : 'medium'),
+      name: conf(name.confidence),
+      quantity: conf(quantity.confidence),
+      price: conf(price.confidence),
+      commission: conf(commission.confidence),
+    },
+  };
+}
+
+/** One contract note / dividend notice. */
+function parseNote(lines, key, template) {
+  const text = lines.join('\n');
+  const isinMatch = text.match(ISIN_RE);
+  if (!isinMatch) return { error: 'ISIN non trovato' };
+  const isin = { value: isinMatch[1], confidence: isValidISIN(isinMatch[1]) ? 'high' : 'low' };
+
+  const dateHit = labelled(lines, BASE_LABELS.date, 'date');
+  const firstDate = text.match(DATE_RE);
+  const date = dateHit || (firstDate ? { value: safeDate(firstDate[1].replace(/\./g, '/')), confidence: 'low' } : null);
+  if (!date?.value) return { error: 'Data non trovata' };
+
+  const name = labelled(lines, BASE_LABELS.name, 'text')
+    || { value: (lines.find(l => l.includes(isin.value)) || '').replace(isin.value, '').replace(/isin[:\s]*/i, '').trim(), confidence: 'low' };
+  const order = labelled(lines, BASE_LABELS.orderId, 'id');
+  const orderId = order?.value;
+
+  // Dividendo / cedola: lordo, ritenuta, netto
+  const sideLine = lines.find(l => BASE_LABELS.sideLabel.test(l) && (BASE_LABELS.buy.test(l) || BASE_LABELS.sell.test(l) || BASE_LABELS.dividend.test(l)));
+  const sideSource = sideLine || text;
+  const isDividend = BASE_LABELS.dividend.test(sideSource)
+    && !BASE_LABELS.buy.test(sideSource) && !BASE_LABELS.sell.test(sideSource);
+  if (isDividend) {
+    const withholding = labelledSum(lines, BASE_LABELS.withholding) || 0;
+    const gross = labelled(lines, BASE_LABELS.gross, 'number');
+    const net = labelled(lines, BASE_LABELS.net, 'number');
+    const amount = gross ? gross : net ? { value: net.value + withholding, confidence: 'medium' } : null;
+    if (!amount?.value) return { error: 'Importo del dividendo non trovato' };
+
+    const security = resolveSecurity(isin.value, name.value || '');
+    const conf = (c) => capConfidence(c, template.maxConfidence);
+    const sourceId = orderId ? `pdf-${key}-${orderId}` : `pdf-${key}-${date.value}-${isin.value}-dividend-${amount.value.toFixed(2)}`;
+    const base = { date: conf(date.confidence), isin: conf(isin.confidence), ticker: conf(isin.confidence) };
+    const rows = [{
+      ...cashMovement({ ticker: security.ticker, name: `Dividendo ${security.name}`, isin: isin.value, type: 'dividend', date: date.value, amount: amount.value, notes: `PDF ${template.label}`, sourceId }),
+      fieldConfidence: { ...base, quantity: conf(amount.confidence) },
+    }];
+    if (withholding > 0) {
+      rows.push({
+        ...cashMovement({ ticker: security.ticker, name: `Ritenuta ${security.name}`, isin: isin.value, type: 'tax_withheld', date: date.value, amount: withholding, notes: `PDF ${template.label} — ritenuta alla fonte`, sourceId: `${sourceId}-wht` }),
+        fieldConfidence: { ...base, quantity: conf('high') },
+      });
+    }
+    return { transactions: rows };
+  }
+
+  // Compravendita
+  const buyAt = sideSource.search(BASE_LABELS.buy);
+  const sellAt = sideSource.search(BASE_LABELS.sell);
+  if (buyAt === -1 && sellAt === -1) return { error: 'Tipo di operazione non riconosciuto' };
+  const isSell = sellAt !== -1 && (buyAt === -1 || sellAt < buyAt);
+  const type = { value: isSell ? 'sell' : 'buy', confidence: sideLine ? 'high' : 'medium' };
+
+  // "1,234 Stk. 80,12 EUR 98,87 EUR" (Trade Republic) / "10 pz. 80,12 EUR": più affidabile
+  // delle colonne, perché il nome del titolo sulla stessa riga può contenere numeri
+  const unitRow = text.match(/(\d[\d.,]*)\s*(?:stk|pz|titoli|quote|shares|units)\.?\s+(\d[\d.,]*)\s*(?:EUR|€)?/i);
+  const quantity = unitRow ? { value: safeFloat(unitRow[1]), confidence: 'high' } : labelled(lines, BASE_LABELS.quantity, 'number');
+  if (!quantity?.value) return { error: 'Quantità non trovata' };
+
+  const total = labelled(lines, BASE_LABELS.total, 'number');
+  const price = (unitRow ? { value: safeFloat(unitRow[2]), confidence: 'medium' } : null)
+    || labelled(lines, BASE_LABELS.price, 'number')
+    || (total ? { value: total.value / quantity.value, confidence: 'medium' } : null);
+  if (!price?.value) return { error: 'Prezzo non trovato' };
+
+  const commissionSum = labelledSum(lines, BASE_LABELS.commission);
+  const commission = commissionSum !== null ? { value: commissionSum, confidence: 'high' } : { value: 0, confidence: 'low' };
+
+  const notes = [
+    `PDF ${template.label}`,
+    BASE_LABELS.savingsPlan.test(text) ? 'Piano di accumulo' : '',
+    orderId ? `Ordine ${orderId}` : '',
+  ].filter(Boolean).join(' | ');
+
+  return { transactions: [buildTrade({ key, template, date, type, isin, name, quantity, price, commission, orderId, notes })] };
+}
+
+/** Rows of an annual statement: positional fields, medium confidence at best. */
+function parseTableRows(rows, key, template) {
+  return rows.map(line => {
+    const isin = line.match(ISIN_RE)[1];
+    const date = safeDate(line.match(DATE_RE)[1].replace(/\./g, '/'));
+    const after = line.slice(line.indexOf(isin) + isin.length);
+    const numbers = (after.match(new RegExp(NUMBER_RE.source, 'g')) || []).map(n => Math.abs(safeFloat(n)));
+    const [qty, price, total] = numbers;
+    const before = line.slice(0, line.indexOf(isin)).replace(DATE_RE, '').replace(DATE_RE, '')
+      .replace(BASE_LABELS.buy, '').replace(BASE_LABELS.sell, '').trim();
+    if (!(qty > 0) || !(price > 0 || total > 0)) return { error: 'Quantità o prezzo non leggibili', line };
+    const medium = { confidence: 'medium' };
+    return {
+      transaction: buildTrade({
+        key, template,
+        date: { value: date, ...medium },
+        type: { value: BASE_LABELS.sell.test(line) ? 'sell' : 'buy', ...medium },
+        isin: { value: isin, confidence: isValidISIN(isin) ? 'medium' : 'low' },
+        name: { value: before, confidence: 'low' },
+        quantity: { value: qty, ...medium },
+        price: { value: price > 0 ? price : total / qty, ...medium },
+        commission: { value: 0, confidence: 'low' },
+        notes: `PDF ${template.label} — rendiconto`,
+      }),
+    };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MAIN ENTRY POINT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse already-extracted PDF pages (split out for testing without pdf.js).
+ * @param {string[][]} pages
+ */
+export function parsePDFText(pages) {
+  const text = pages.flat().join('\n');
+  const key = detectPDFTemplate(text);
+  const template = PDF_TEMPLATES[key];
+  const transactions = [];
+  const skipped = [];
+
+  splitBlocks(pages, template).forEach((lines, blockIndex) => {
+    const tableRows = lines.filter(isTableRow);
+    if (tableRows.length >= 2) {
+      parseTableRows(tableRows, key, template).forEach((r, i) => {
+        if (r.transaction) transactions.push(r.transaction);
+        else skipped.push({ rowIndex: i, reason: r.error, rawRow: { testo: r.line } });
+      });
+      return;
+    }
+    const res = parseNote(lines, key, template);
+    if (res.error) skipped.push({ rowIndex: blockIndex, reason: `Operazione ${blockIndex + 1}: ${res.error}`, rawRow: { testo: lines.slice(0, 6).join(' · ') } });
+    else transactions.push(...res.transactions);
+  });
+
+  return { key, template, result: { transactions, skipped } };
+}
+
+/**
+ * Parse a PDF File object.
+ * Returns a Promise with the same shape as parseCSVFile(), plus source: 'pdf'.
+ */
+export async function parsePDFFile(file) {
+  const pages = await extractPDFLines(file);
+  const warnings = [];
+
+  if (pages.every(lines => lines.length === 0)) {
+    warnings.push('⚠️ Il PDF non contiene testo selezionabile (probabilmente è una scansione): usa l\'export CSV del broker.');
+    return { ...finalizeParseResult({ platform: 'unknown', platformLabel: 'PDF', result: { transactions: [], skipped: [] }, warnings }), source: 'pdf' };
+  }
+
+  const { key, template, result } = parsePDFText(pages);
+  warnings.push(`📄 Dati estratti dal PDF con il modello «${template.label}»: controlla i campi marcati prima di importare.`);
+  if (key === 'generic') {
+    warnings.push('⚠️ Broker non riconosciuto dal PDF: estrazione generica, affidabilità ridotta.');
+  }
+
+  return {
+    ...finalizeParseResult({ platform: `pdf_${key}`, platformLabel: key === 'generic' ? 'PDF' : template.label, result, warnings }),
+    source: 'pdf',
+  };
+}
+
+export default {
+  PDF_TEMPLATES,
+  isValidISIN,
+  extractPDFLines,
+  detectPDFTemplate,
+  parsePDFText,
+  parsePDFFile,
+};
@@ -5,6 +5,7 @@
  */
 
 import { getTransactions } from './localStorageService';
+import { isCashFlowType, getSignedCashFlow } from '../config/transactionTypes';
 
 /**
  * Calculate CAGR (Compound Annual Growth Rate)
@@ -357,7 +358,12 @@ export function calculateMonthlyReturns(transactions, priceCache = {}) {
     const amount = tx.quantity * tx.price;
     const commission = tx.commission || 0;
 
-    if (isCash && tx.type === 'buy') {
+    if (tx.type === 'transfer') {
+      // Transfer between accounts - external flow like a deposit/withdrawal
+      monthlyData[monthKey].cashFlows.push({ type: tx.transferDirection === 'out' ? 'withdrawal' : 'deposit', amount: getSignedCashFlow(tx), date: tx.date });
+    } else if (isCashFlowType(tx.type)) {
+      // Dividends, interest, fees: internal return, not a flow
+    } else if (isCash && tx.type === 'buy') {
       // Cash deposit - add to flows
       monthlyData[monthKey].cashFlows.push({ type: 'deposit', amount, date: tx.date });
     } else if (isCash && tx.type === 'sell') {
@@ -389,7 +395,9 @@ export function calculateMonthlyReturns(transactions, priceCache = {}) {
       const amount = tx.quantity * tx.price;
       const commission = tx.commission || 0;
 
-      if (isCash) {
+      if (isCashFlowType(tx.type)) {
+        cashBalance += getSignedCashFlow(tx);
+      } else if (isCash) {
         if (tx.type === 'buy') {
           cashBalance += amount;
         } else if (tx.type === 'sell') {
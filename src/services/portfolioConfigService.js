@@ -4,6 +4,8 @@
  * Tutti i dati sono persistiti in localStorage.
  */
 
+import { scheduleSync } from './syncService';
+
 const KEY = 'inv_portfolio_config_v1';
 
 // ── Costanti UI ──────────────────────────────────────────────────────────────
@@ -59,6 +61,7 @@ function getConfig() {
 
 function saveConfig(config) {
   localStorage.setItem(KEY, JSON.stringify(config));
+  scheduleSync();
   return config;
 }
 
@@ -0,0 +1,147 @@
+/**
+ * Price API client — unico punto di accesso a /api/price
+ *
+ * Il server (api/price.js) interroga le fonti, mette in cache e restituisce
+ * JSON normalizzato: i servizi client non leggono più i payload grezzi di
+ * Yahoo / JustETF e non passano da proxy CORS pubblici.
+ *
+ *   fetchQuotes(symbols)                       → { [symbol]: { price, previousClose, currency, name, … } }
+ *   fetchHistory(symbol, start, end, interval) → { currency, points: [{ date, close }] } | null
+ *   fetchFXRates(currencies)                   → { USD: EUR per 1 USD, … }
+ *   searchSymbols(query)                       → [{ ticker, name, type, exchange, isin }]
+ *   fetchEtfHoldings(isin)                     → [{ name, isin, pct }] | null
+ *   proxyUrl(url)                              → URL proxato (host consentiti lato server)
+ *
+ * Quote, history e fx lanciano sugli errori di rete / server (dopo i retry):
+ * li usa il provider yahoo, e la catena di marketDataService deve poterli
+ * contare come guasti e passare al provider successivo.
+ */
+
+import axios from 'axios';
+
+const API_BASE = '/api/price';
+const MAX_RETRIES = 3;
+const QUOTE_BATCH_SIZE = 50; // MAX_SYMBOLS lato server
+
+const _sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * GET con retry esponenziale, solo su errori di rete / 429 / 5xx
+ */
+const _get = async (params, timeout = 15000) => {
+  let lastErr;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const response = await axios.get(API_BASE, { params, timeout });
+      return response.data;
+    } catch (err) {
+      lastErr = err;
+      const status = err.response?.status;
+      const retriable = !status || status === 429 || status >= 500;
+      if (!retriable) throw err;
+      // backoff con jitter: 400ms, 900ms, 1800ms
+      await _sleep(400 * Math.pow(2, attempt) + Math.random() * 300);
+    }
+  }
+  throw lastErr;
+};
+
+/**
+ * Quotazioni correnti in valuta originale, in batch
+ * @param {Array<string>} symbols - Simboli Yahoo (es. 'VWCE.DE', 'EURUSD=X')
+ * @returns {Promise<Object>} { [symbol]: { symbol, price, previousClose, currency, name, exchange, time } }
+ * @throws se tutti i batch falliscono (con batch parziali restituisce i trovati)
+ */
+export async function fetchQuotes(symbols) {
+  const unique = [...new Set(symbols.filter(Boolean))];
+  const quotes = {};
+  let failed = 0;
+  let lastErr;
+  for (let i = 0; i < unique.length; i += QUOTE_BATCH_SIZE) {
+    const batch = unique.slice(i, i + QUOTE_BATCH_SIZE);
+    try {
+      const data = await _get({ type: 'quote', symbols: batch.join(',') });
+      Object.assign(quotes, data.quotes);
+    } catch (err) {
+      failed++;
+      lastErr = err;
+      console.warn(`⚠️ Price API quote batch failed (${batch.length} symbols):`, err.message);
+    }
+  }
+  if (failed > 0 && Object.keys(quotes).length === 0) throw lastErr;
+  return quotes;
+}
+
+/**
+ * Serie storica in valuta originale
+ * @param {string} symbol
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} [interval='1mo'] - 1d | 1wk | 1mo
+ * @returns {Promise<{currency: string, points: Array}|null>} null se il simbolo non ha dati (404)
+ * @throws sugli altri errori
+ */
+export async function fetchHistory(symbol, startDate, endDate, interval = '1mo') {
+  try {
+    const data = await _get({ type: 'history', symbol, start: startDate, end: endDate, interval });
+    return { currency: data.currency, points: data.points || [] };
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    console.warn(`⚠️ Price API history failed for ${symbol}:`, err.response?.data?.error || err.message);
+    throw err;
+  }
+}
+
+/**
+ * Cambi correnti verso EUR
+ * @param {Array<string>} currencies - es. ['USD', 'GBP', 'CHF']
+ * @returns {Promise<Object>} { USD: EUR per 1 USD, … } (solo le valute disponibili)
+ * @throws sugli errori di rete / server
+ */
+export async function fetchFXRates(currencies) {
+  const data = await _get({ type: 'fx', currencies: currencies.join(',') });
+  return data.rates || {};
+}
+
+/**
+ * Ricerca titoli per ticker / ISIN / nome
+ * @param {string} query
+ * @returns {Promise<Array>} [{ ticker, name, type, exchange, isin }]
+ */
+export async function searchSymbols(query) {
+  const data = await _get({ type: 'search', q: query }, 10000);
+  return data.results || [];
+}
+
+/**
+ * Composizione di un ETF da JustETF
+ * @param {string} isin
+ * @returns {Promise<Array|null>} [{ name, isin, pct }] ordinati per peso ([] se sconosciuto), null su errore
+ */
+export async function fetchEtfHoldings(isin) {
+  try {
+    const data = await _get({ type: 'holdings', isin }, 15000);
+    return data.holdings || [];
+  } catch (err) {
+    if (err.response?.status === 404) return []; // ETF sconosciuto a JustETF
+    console.warn(`❌ Price API holdings failed for ${isin}:`, err.response?.data?.error || err.message);
+    return null;
+  }
+}
+
+/**
+ * URL da passare a fetch/axios per le chiamate non ancora normalizzate
+ * (CoinGecko, quoteSummary). Il server accetta solo gli host consentiti.
+ * @param {string} url
+ * @returns {string}
+ */
+export const proxyUrl = (url) => `${API_BASE}?url=${encodeURIComponent(url)}`;
+
+export default {
+  fetchQuotes,
+  fetchHistory,
+  fetchFXRates,
+  searchSymbols,
+  fetchEtfHoldings,
+  proxyUrl
+};
@@ -2,109 +2,43 @@
  * Price Service
  * VERSION: 2025-12-25-v3 - NO Google Apps Script dependency
  *
- * Fetches real-time prices from:
- * 1. Yahoo Finance (via CORS proxy) - PRIMARY for ALL assets (stocks, ETFs, crypto)
+ * Fetches real-time prices through the market data provider chain
+ * (marketDataService):
+ * 1. Yahoo Finance (via /api/price, batch + cache lato server) - PRIMARY for ALL assets
  * 2. CoinGecko - FALLBACK for crypto only
+ * In fixture mode every price comes from the offline fixture provider.
  *
- * This version eliminates Google Apps Script for faster, more reliable pricing.
+ * This service only converts to EUR and handles the .MI → .DE → .L listing fallback.
  */
 
-import axios from 'axios';
 import { getCachedPrices, cachePrices } from './priceCache';
 import { normalizeTicker } from './historicalPriceService';
-import { isCrypto } from './coinGecko';
+import { getQuotes, getFXRates, search, getMarketDataMode, isFixtureMode } from './marketDataService';
 
 console.log('📦 priceService.js v3 loaded - Yahoo Finance primary, NO Google Apps Script');
 
-// In produzione (Vercel) usa la serverless function /api/price che fa proxy lato server.
-// In locale usa corsproxy.io come fallback.
-const IS_PROD = !import.meta.env.DEV;
-const CORS_PROXY = IS_PROD ? '/api/price?url=' : 'https://corsproxy.io/?';
-const CORS_PROXY_FALLBACK = IS_PROD ? '/api/price?url=' : 'https://api.allorigins.win/raw?url=';
-
-// Concorrenza max simultanea per non saturare il proxy CORS gratuito
-const FETCH_CONCURRENCY = 4;
-const FETCH_MAX_RETRIES = 3;
-
-/**
- * Esegue task in batch con concorrenza limitata (pool pattern).
- * Mantiene l'ordine di input nell'array di risultati.
- */
-const _runWithConcurrency = async (items, worker, concurrency = FETCH_CONCURRENCY) => {
-  const results = new Array(items.length);
-  let idx = 0;
-  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
-    while (true) {
-      const cur = idx++;
-      if (cur >= items.length) return;
-      results[cur] = await worker(items[cur], cur);
-    }
-  });
-  await Promise.all(runners);
-  return results;
-};
-
-const _sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-/**
- * GET con retry esponenziale + fallback proxy.
- * Retry solo su errori di rete / 429 / 5xx.
- */
-const _getWithRetry = async (yahooURL, timeout = 10000) => {
-  let lastErr;
-  for (let attempt = 0; attempt < FETCH_MAX_RETRIES; attempt++) {
-    const proxy = attempt < FETCH_MAX_RETRIES - 1 ? CORS_PROXY : CORS_PROXY_FALLBACK;
-    try {
-      return await axios.get(proxy + encodeURIComponent(yahooURL), { timeout });
-    } catch (err) {
-      lastErr = err;
-      const status = err.response?.status;
-      const retriable = !status || status === 429 || status >= 500;
-      if (!retriable) throw err;
-      // backoff con jitter: 400ms, 900ms, 1800ms
-      await _sleep(400 * Math.pow(2, attempt) + Math.random() * 300);
-    }
-  }
-  throw lastErr;
-};
-
-// ─── Cambio FX (cache 1 ora) ────────────────────────────────────────────────
+// ─── Cambio FX (cache 1 ora, per modalità live / fixture) ───────────────────
 let _fxRates = null;
 let _fxFetchTime = 0;
-
-/**
- * Chiama Yahoo Finance in modo grezzo senza conversione valuta.
- * Usato internamente per i tassi FX (evita ricorsione).
- */
-const _fetchRawYahoo = async (ticker) => {
-  try {
-    const yahooURL = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&range=1d`;
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), { timeout: 8000 });
-    const result = response.data?.chart?.result?.[0];
-    if (!result) return null;
-    const price = result.meta?.regularMarketPrice;
-    return price > 0 ? price : null;
-  } catch {
-    return null;
-  }
-};
+let _fxMode = null;
 
 /**
  * Restituisce i tassi FX EUR-base, con cache di 1 ora.
  * usdToEur: quanto vale 1 USD in EUR
  * gbpToEur: quanto vale 1 GBP in EUR
+ * chfToEur: quanto vale 1 CHF in EUR
  */
 const _ensureFXRates = async () => {
-  if (_fxRates && Date.now() - _fxFetchTime < 3_600_000) return _fxRates;
-  const [eurusd, gbpeur] = await Promise.all([
-    _fetchRawYahoo('EURUSD=X'),   // es. 1.09 → 1 EUR = 1.09 USD
-    _fetchRawYahoo('GBPEUR=X')    // es. 1.18 → 1 GBP = 1.18 EUR
-  ]);
+  const mode = getMarketDataMode();
+  if (_fxRates && _fxMode === mode && Date.now() - _fxFetchTime < 3_600_000) return _fxRates;
+  const rates = await getFXRates(['USD', 'GBP', 'CHF']); // EUR per 1 unità
   _fxRates = {
-    usdToEur: eurusd ? 1 / eurusd : 0.917,
-    gbpToEur: gbpeur || 1.18
+    usdToEur: rates.USD || 0.917,
+    gbpToEur: rates.GBP || 1.18,
+    chfToEur: rates.CHF || 1.06
   };
   _fxFetchTime = Date.now();
+  _fxMode = mode;
   console.log('💱 FX rates updated:', _fxRates);
   return _fxRates;
 };
@@ -118,13 +52,50 @@ const _toEUR = (price, currency, fx) => {
   if (currency === 'GBp' || currency === 'GBX') return (price / 100) * fx.gbpToEur;
   if (currency === 'GBP')                        return price * fx.gbpToEur;
   if (currency === 'USD')                        return price * fx.usdToEur;
-  // CHF, CAD, SEK ecc.: nessuna conversione configurata → restituisce raw con avviso
+  if (currency === 'CHF')                        return price * fx.chfToEur;
+  // CAD, SEK ecc.: nessuna conversione configurata → restituisce raw con avviso
   console.warn(`💱 No EUR conversion for currency ${currency} — using raw price`);
   return price;
 };
 
 /**
- * Fetch stock/ETF/crypto price from Yahoo Finance via CORS proxy.
+ * Converte una quotazione della catena di provider nel formato prezzo
+ * dell'app (sempre in EUR).
+ */
+const _quoteToPrice = async (ticker, quote, silent = false) => {
+  if (!quote || !(quote.price > 0)) {
+    if (!silent) console.warn(`⚠️ No price for ${ticker}`);
+    return null;
+  }
+
+  const rawCurrency = quote.currency || 'EUR';
+  let price = quote.price;
+  let previousClose = quote.previousClose || quote.price;
+  if (rawCurrency !== 'EUR') {
+    const fx = await _ensureFXRates();
+    price = _toEUR(quote.price, rawCurrency, fx);
+    previousClose = _toEUR(previousClose, rawCurrency, fx);
+    if (!silent) console.log(`💱 ${ticker}: ${quote.price} ${rawCurrency} → €${price.toFixed(4)}`);
+  }
+
+  const change = price - previousClose;
+  const changePercent = previousClose > 0 ? (change / previousClose) * 100 : 0;
+
+  return {
+    ticker,
+    price,
+    change,
+    changePercent,
+    currency: 'EUR',
+    originalCurrency: rawCurrency,
+    timestamp: new Date().toISOString(),
+    source: quote.source || 'yahoo',
+    name: quote.name || ticker
+  };
+};
+
+/**
+ * Fetch stock/ETF/crypto price from the provider chain (Yahoo Finance first).
  * Il prezzo restituito è sempre convertito in EUR.
  *
  * @param {string} ticker - Ticker symbol (e.g., 'VWCE.DE', 'BTC-EUR', 'CCL.L')
@@ -132,137 +103,42 @@ const _toEUR = (price, currency, fx) => {
  * @returns {Promise<Object|null>} Price data in EUR or null
  */
 export const fetchYahooPrice = async (ticker, silent = false) => {
-  try {
-    const yahooURL = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&range=1d`;
-    const response = await _getWithRetry(yahooURL, 10000);
-    const data = response.data;
-
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      if (!silent) console.warn(`⚠️ No data from Yahoo for ${ticker}`);
-      return null;
-    }
-
-    const result = data.chart.result[0];
-    const meta = result.meta;
-    const quote = result.indicators?.quote?.[0];
-
-    const rawPrice = meta.regularMarketPrice ||
-                     (quote?.close ? quote.close[quote.close.length - 1] : null);
-
-    if (!rawPrice || rawPrice <= 0) {
-      if (!silent) console.warn(`⚠️ Invalid price from Yahoo for ${ticker}`);
-      return null;
-    }
-
-    const rawCurrency = meta.currency || 'EUR';
-    const previousRaw = meta.previousClose || meta.chartPreviousClose || rawPrice;
-
-    // Converti in EUR
-    let price = rawPrice;
-    let previousClose = previousRaw;
-    if (rawCurrency !== 'EUR') {
-      const fx = await _ensureFXRates();
-      price = _toEUR(rawPrice, rawCurrency, fx);
-      previousClose = _toEUR(previousRaw, rawCurrency, fx);
-      if (!silent) console.log(`💱 ${ticker}: ${rawPrice} ${rawCurrency} → €${price.toFixed(4)}`);
-    }
+  const quotes = await getQuotes([ticker]);
+  return _quoteToPrice(ticker, quotes[ticker], silent);
+};
 
-    const change = price - previousClose;
-    const changePercent = previousClose > 0 ? (change / previousClose) * 100 : 0;
-
-    return {
-      ticker,
-      price,
-      change,
-      changePercent,
-      currency: 'EUR',
-      originalCurrency: rawCurrency,
-      timestamp: new Date().toISOString(),
-      source: 'yahoo',
-      name: meta.longName || meta.shortName || ticker
-    };
-  } catch (error) {
-    if (!silent) console.warn(`⚠️ Yahoo Finance error for ${ticker}:`, error.message);
-    return null;
+/**
+ * Prezzi per più ticker: ogni provider riceve in batch i ticker ancora mancanti
+ * @param {Array<string>} tickers
+ * @param {Object} [categoriesMap] - { [ticker]: category } (es. 'Crypto' → CoinGecko)
+ * @returns {Promise<Object>} { [ticker]: price data in EUR } (solo quelli trovati)
+ */
+const _fetchQuotesBatch = async (tickers, categoriesMap = {}) => {
+  const quotes = await getQuotes(tickers, { categories: categoriesMap });
+  const prices = {};
+  for (const ticker of tickers) {
+    const result = await _quoteToPrice(ticker, quotes[ticker], true);
+    if (result) prices[ticker] = result;
   }
+  return prices;
 };
 
 // Alias for backward compatibility
 export const fetchStockPrice = fetchYahooPrice;
 
 /**
- * Fetch cryptocurrency price from CoinGecko (fallback for crypto)
+ * Fetch cryptocurrency price from CoinGecko only (skips Yahoo)
  * @param {string} ticker - Crypto ticker (e.g., 'BTC', 'BTC-EUR', 'ETH-USD')
- * @param {string} vsCurrency - Fiat currency to convert to (default: 'eur')
- * @returns {Promise<Object|null>} Price data or null
+ * @returns {Promise<Object|null>} Price data in EUR or null
  */
-export const fetchCryptoPrice = async (ticker, vsCurrency = 'eur') => {
-  try {
-    // Extract base symbol and currency from ticker (BTC-EUR -> BTC, EUR)
-    const parts = ticker.split('-');
-    const baseSymbol = parts[0].toUpperCase();
-    const currency = parts.length > 1 ? parts[1].toLowerCase() : vsCurrency;
-
-    const cryptoIdMap = {
-      'BTC': 'bitcoin',
-      'ETH': 'ethereum',
-      'BNB': 'binancecoin',
-      'ADA': 'cardano',
-      'SOL': 'solana',
-      'DOT': 'polkadot',
-      'AVAX': 'avalanche-2',
-      'MATIC': 'matic-network',
-      'LINK': 'chainlink',
-      'UNI': 'uniswap',
-      'ATOM': 'cosmos',
-      'XRP': 'ripple',
-      'DOGE': 'dogecoin',
-      'SHIB': 'shiba-inu'
-    };
-
-    const cryptoId = cryptoIdMap[baseSymbol] || baseSymbol.toLowerCase();
-    const url = `https://api.coingecko.com/api/v3/simple/price`;
-
-    const response = await axios.get(url, {
-      params: {
-        ids: cryptoId,
-        vs_currencies: currency,
-        include_24hr_change: true,
-        include_last_updated_at: true
-      },
-      timeout: 10000
-    });
-
-    const data = response.data[cryptoId];
-
-    if (!data) {
-      console.warn(`⚠️ Crypto ${ticker} (${cryptoId}) not found on CoinGecko`);
-      return null;
-    }
-
-    const price = data[currency];
-    const changePercent = data[`${currency}_24h_change`] || 0;
-    const change = (price * changePercent) / 100;
-
-    return {
-      ticker: ticker.toUpperCase(),
-      price: price,
-      change: change,
-      changePercent: changePercent,
-      currency: currency.toUpperCase(),
-      timestamp: new Date(data.last_updated_at * 1000).toISOString(),
-      source: 'coingecko',
-      name: baseSymbol
-    };
-  } catch (error) {
-    console.warn(`⚠️ CoinGecko error for ${ticker}:`, error.message);
-    return null;
-  }
+export const fetchCryptoPrice = async (ticker) => {
+  const quotes = await getQuotes([ticker], { categories: { [ticker]: 'Crypto' }, providers: ['coingecko'] });
+  return _quoteToPrice(ticker.toUpperCase(), quotes[ticker], true);
 };
 
 /**
- * Fetch price for any asset (auto-detect and route appropriately)
- * Flow: Yahoo Finance first, CoinGecko fallback for crypto
+ * Fetch price for any asset
+ * Flow: provider chain (Yahoo Finance first, CoinGecko fallback for crypto)
  *
  * @param {string} ticker - Ticker symbol
  * @param {string} category - Asset category (optional, helps routing)
@@ -271,16 +147,9 @@ export const fetchCryptoPrice = async (ticker, vsCurrency = 'eur') => {
 export const fetchPrice = async (ticker, category = null) => {
   const normalizedTicker = normalizeTicker(ticker);
 
-  // Try Yahoo Finance first (works for stocks, ETFs, AND crypto like BTC-EUR)
-  const yahooPrice = await fetchYahooPrice(normalizedTicker, true);
-  if (yahooPrice) {
-    return yahooPrice;
-  }
-
-  // Fallback to CoinGecko for crypto only
-  if (isCrypto(normalizedTicker) || category === 'Crypto') {
-    console.log(`🪙 ${normalizedTicker} - Yahoo failed, trying CoinGecko`);
-    return await fetchCryptoPrice(normalizedTicker);
+  const prices = await _fetchQuotesBatch([normalizedTicker], category ? { [normalizedTicker]: category } : {});
+  if (prices[normalizedTicker]) {
+    return prices[normalizedTicker];
   }
 
   console.warn(`❌ No price available for ${ticker}`);
@@ -290,9 +159,9 @@ export const fetchPrice = async (ticker, category = null) => {
 /**
  * Fetch prices for multiple tickers in parallel
  * Strategy:
- * 1. Check cache first (unless force refresh)
- * 2. Yahoo Finance for ALL tickers (primary)
- * 3. CoinGecko fallback for failed crypto tickers
+ * 1. Check cache first (unless force refresh; never in fixture mode)
+ * 2. Provider chain for ALL tickers (Yahoo → CoinGecko for crypto)
+ * 3. .MI → .DE → .L listing fallback for the ones still missing
  *
  * @param {Array} tickers - Array of ticker symbols
  * @param {Object} categoriesMap - Map of ticker to category (optional)
@@ -302,7 +171,7 @@ export const fetchPrice = async (ticker, category = null) => {
 export const fetchMultiplePrices = async (tickers, categoriesMap = {}, forceRefresh = false) => {
   try {
     // Check cache first (unless force refresh)
-    if (!forceRefresh) {
+    if (!forceRefresh && !isFixtureMode()) {
       const cachedPrices = getCachedPrices();
       if (cachedPrices) {
         const uniqueTickers = [...new Set(tickers)];
@@ -333,82 +202,47 @@ export const fetchMultiplePrices = async (tickers, categoriesMap = {}, forceRefr
     });
     const uniqueNormalized = [...new Set(normalizedTickers)];
 
-    console.log(`🚀 Fetching ${uniqueNormalized.length} prices via Yahoo Finance (primary)`);
-
-    // Step 1: Fetch tickers da Yahoo Finance con concorrenza limitata (evita rate-limit proxy CORS)
-    const yahooResults = await _runWithConcurrency(uniqueNormalized, async (ticker) => {
-      const result = await fetchYahooPrice(ticker, true);
-      return { ticker, result };
-    });
+    console.log(`🚀 Fetching ${uniqueNormalized.length} prices via the provider chain`);
 
-    let pricesMap = {};
-    const failedTickers = [];
-
-    yahooResults.forEach(({ ticker, result }) => {
-      if (result && result.price > 0) {
-        pricesMap[ticker] = result;
-      } else {
-        failedTickers.push(ticker);
-      }
+    // Step 1: tutti i ticker in batch lungo la catena (categorie normalizzate per CoinGecko)
+    const normalizedCategories = {};
+    Object.entries(tickerMapping).forEach(([original, normalized]) => {
+      const category = categoriesMap[original] || categoriesMap[normalized];
+      if (category) normalizedCategories[normalized] = category;
     });
+    let pricesMap = await _fetchQuotesBatch(uniqueNormalized, normalizedCategories);
+    const failedTickers = uniqueNormalized.filter(ticker => !pricesMap[ticker]);
 
-    const yahooSuccessCount = Object.keys(pricesMap).length;
-    console.log(`✅ Yahoo Finance: ${yahooSuccessCount}/${uniqueNormalized.length} prices fetched`);
+    const bySource = {};
+    Object.values(pricesMap).forEach(p => { bySource[p.source] = (bySource[p.source] || 0) + 1; });
+    console.log(`✅ Provider chain: ${Object.keys(pricesMap).length}/${uniqueNormalized.length} prices fetched`, bySource);
 
-    // Step 2: Fallback to CoinGecko for failed crypto tickers
-    const failedCryptoTickers = failedTickers.filter(ticker =>
-      isCrypto(ticker) || categoriesMap[ticker] === 'Crypto'
-    );
-
-    if (failedCryptoTickers.length > 0) {
-      console.log(`🪙 Trying CoinGecko for ${failedCryptoTickers.length} failed crypto tickers...`);
-
-      const cryptoResults = await _runWithConcurrency(failedCryptoTickers, async (ticker) => {
-        const result = await fetchCryptoPrice(ticker);
-        return { ticker, result };
-      });
-      let cryptoSuccessCount = 0;
-
-      cryptoResults.forEach(({ ticker, result }) => {
-        if (result && result.price > 0) {
-          pricesMap[ticker] = result;
-          cryptoSuccessCount++;
-        }
-      });
-
-      if (cryptoSuccessCount > 0) {
-        console.log(`✅ CoinGecko fallback: ${cryptoSuccessCount}/${failedCryptoTickers.length} crypto prices fetched`);
-      }
-    }
-
-    // Step 3: fallback .MI → .DE per ETF europei non trovati su Borsa Italiana
+    // Step 2: fallback .MI → .DE per ETF europei non trovati su Borsa Italiana
     const miFailedETF = failedTickers.filter(t => t.endsWith('.MI'));
     if (miFailedETF.length > 0) {
       console.log(`🔄 Trying .DE fallback for ${miFailedETF.length} ETFs: ${miFailedETF.join(', ')}`);
-      const deFallbackResults = await _runWithConcurrency(miFailedETF, async (ticker) => {
-        const deTicker = ticker.replace(/\.MI$/, '.DE');
-        const result = await fetchYahooPrice(deTicker, true);
-        return { original: ticker, deTicker, result };
-      });
-      deFallbackResults.forEach(({ original, deTicker, result }) => {
-        if (result && result.price > 0) {
+      const deTickers = miFailedETF.map(t => t.replace(/\.MI$/, '.DE'));
+      const dePrices = await _fetchQuotesBatch(deTickers);
+      miFailedETF.forEach((original, i) => {
+        const deTicker = deTickers[i];
+        const result = dePrices[deTicker];
+        if (result) {
           pricesMap[original] = { ...result, ticker: original }; // store under original ticker key
           console.log(`✅ .DE fallback ok: ${original} → ${deTicker} @ €${result.price.toFixed(2)}`);
         }
       });
     }
 
-    // Step 4: fallback .MI → .L per ETF europei ancora non trovati (GBX→EUR già gestito)
+    // Step 3: fallback .MI → .L per ETF europei ancora non trovati (GBX→EUR già gestito)
     const stillMiFailed = miFailedETF.filter(t => !pricesMap[t]);
     if (stillMiFailed.length > 0) {
       console.log(`🔄 Trying .L fallback for ${stillMiFailed.length} ETFs: ${stillMiFailed.join(', ')}`);
-      const lFallbackResults = await _runWithConcurrency(stillMiFailed, async (ticker) => {
-        const lTicker = ticker.replace(/\.MI$/, '.L');
-        const result = await fetchYahooPrice(lTicker, true);
-        return { original: ticker, lTicker, result };
-      });
-      lFallbackResults.forEach(({ original, lTicker, result }) => {
-        if (result && result.price > 0) {
+      const lTickers = stillMiFailed.map(t => t.replace(/\.MI$/, '.L'));
+      const lPrices = await _fetchQuotesBatch(lTickers);
+      stillMiFailed.forEach((original, i) => {
+        const lTicker = lTickers[i];
+        const result = lPrices[lTicker];
+        if (result) {
           pricesMap[original] = { ...result, ticker: original };
           console.log(`✅ .L fallback ok: ${original} → ${lTicker} @ €${result.price.toFixed(2)}`);
         }
@@ -432,8 +266,8 @@ export const fetchMultiplePrices = async (tickers, categoriesMap = {}, forceRefr
       }
     }
 
-    // Cache the results
-    cachePrices(finalPricesMap);
+    // Cache the results (fixture prices never end up in the live cache)
+    if (!isFixtureMode()) cachePrices(finalPricesMap);
 
     return finalPricesMap;
   } catch (error) {
@@ -449,20 +283,7 @@ export const fetchMultiplePrices = async (tickers, categoriesMap = {}, forceRefr
  */
 export const searchSecurity = async (query) => {
   try {
-    const yahooURL = `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=10`;
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), {
-      timeout: 10000
-    });
-
-    const quotes = response.data.quotes || [];
-
-    return quotes.map(q => ({
-      ticker: q.symbol,
-      name: q.longname || q.shortname,
-      type: q.quoteType,
-      exchange: q.exchange,
-      isin: q.isin || ''
-    }));
+    return await search(query);
   } catch (error) {
     console.error('Error searching security:', error);
     return [];
@@ -475,7 +296,7 @@ export const searchSecurity = async (query) => {
  * Moltiplica un prezzo in EUR per `factor` per ottenere il prezzo nella valuta originale.
  */
 export const getNativeConversionFactor = (originalCurrency) => {
-  const fx = _fxRates || { usdToEur: 0.926, gbpToEur: 1.18 };
+  const fx = _fxRates || { usdToEur: 0.926, gbpToEur: 1.18, chfToEur: 1.06 };
   if (!originalCurrency || originalCurrency === 'EUR')
     return { factor: 1, symbol: '€', isForeign: false };
   if (originalCurrency === 'USD')
@@ -484,9 +305,18 @@ export const getNativeConversionFactor = (originalCurrency) => {
     return { factor: 100 / fx.gbpToEur, symbol: 'p', isForeign: true };
   if (originalCurrency === 'GBP')
     return { factor: 1 / fx.gbpToEur, symbol: '£', isForeign: true };
+  if (originalCurrency === 'CHF')
+    return { factor: 1 / fx.chfToEur, symbol: 'CHF', isForeign: true };
   return { factor: 1, symbol: originalCurrency, isForeign: true };
 };
 
+/**
+ * Aggiorna i tassi FX live (se più vecchi di un'ora) usati da
+ * getNativeConversionFactor e dalla valuta base dell'app.
+ * @returns {Promise<Object>} { usdToEur, gbpToEur, chfToEur }
+ */
+export const refreshFXRates = () => _ensureFXRates();
+
 /**
  * Get fallback/mock price (when all APIs fail)
  * @param {string} ticker - Ticker symbol
@@ -513,26 +343,16 @@ export const getMockPrice = (ticker, basePrice = 100) => {
 
 /**
  * Fetch quote NATIVA (senza conversione EUR) — per indici/commodity/bond.
- * Usa lo stesso CORS proxy collaudato del resto dell'app.
  * @returns {Object|null} { ticker, price, change, changePercent, currency }
  */
 export const fetchRawQuote = async (ticker) => {
-  const yahooURL = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&range=1d`;
-  try {
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), { timeout: 10000 });
-    const meta = response.data?.chart?.result?.[0]?.meta;
-    if (!meta) return null;
-
-    const price = meta.regularMarketPrice;
-    const prevClose = meta.previousClose || meta.chartPreviousClose || price;
-    if (price == null) return null;
-
-    const change = price - prevClose;
-    const changePercent = prevClose > 0 ? (change / prevClose) * 100 : 0;
-    return { ticker, price, change, changePercent, currency: meta.currency || 'USD' };
-  } catch {
-    return null;
-  }
+  const quote = (await getQuotes([ticker]))[ticker];
+  if (!quote) return null;
+
+  const prevClose = quote.previousClose || quote.price;
+  const change = quote.price - prevClose;
+  const changePercent = prevClose > 0 ? (change / prevClose) * 100 : 0;
+  return { ticker, price: quote.price, change, changePercent, currency: quote.currency || 'USD' };
 };
 
 export default {
@@ -543,5 +363,6 @@ export default {
   fetchMultiplePrices,
   fetchRawQuote,
   searchSecurity,
-  getMockPrice
+  getMockPrice,
+  refreshFXRates
 };
@@ -0,0 +1,497 @@
+/**
+ * Rebalance Planner Service — piano di ribilanciamento per singolo ticker
+ *
+ * Trasforma i target MICRO della strategia in ordini concreti (ticker, lato,
+ * quote, commissioni, plus/minusvalenze) e confronta tre alternative:
+ *
+ *   contribution → solo versamento, nessuna vendita
+ *   band         → versamento + vendite solo oltre la banda di tolleranza
+ *   full         → ribilanciamento completo sul target
+ *
+ * Le vendite scaricano i lotti più costosi per primi (a parità di metodo di
+ * carico) così da realizzare meno plusvalenze. Con gli ETF non frazionabili le
+ * quote sono intere; le crypto restano sempre frazionabili.
+ *
+ * Le imposte sono una stima: plusvalenze su ETF/fondi (redditi di capitale)
+ * tassate per intero, redditi diversi compensati con le minusvalenze generate
+ * dallo stesso piano. Lo zainetto fiscale esistente non è considerato.
+ */
+
+import { getMicroFromTicker } from '../config/assetTickerMapping';
+import { TAX_RATES, GOV_BOND_WEIGHT, getCryptoRate, classifyAsset } from './taxService';
+
+export const REBALANCE_ALTERNATIVES = {
+  contribution: {
+    label: 'Solo versamento',
+    description: 'Nessuna vendita: il versamento va ai titoli sottopesati',
+  },
+  band: {
+    label: 'Versamento + vendite minime',
+    description: 'Vende solo la parte oltre la banda di tolleranza',
+  },
+  full: {
+    label: 'Ribilanciamento completo',
+    description: 'Riporta ogni titolo esattamente al peso obiettivo',
+  },
+};
+
+export const DEFAULT_COMMISSION = { fixed: 0, pct: 0, min: 0 };
+
+// Scostamento massimo accettato, in punti percentuali per ticker
+export const DEFAULT_TOLERANCE = 5;
+
+// Ordini più piccoli non valgono la commissione (stessa soglia del calendario PAC)
+export const MIN_ORDER_EUR = 10;
+
+const COMMISSION_KEY = 'rebalance_commission';
+const MAX_GREEDY_STEPS = 10000;
+
+const _round4 = (x) => Math.floor(x * 10000 + 1e-9) / 10000;
+
+// ── Commissioni ──────────────────────────────────────────────────────────────
+
+/**
+ * Commissione di un ordine: fissa + percentuale, con minimo
+ * @param {number} amount - controvalore in EUR
+ * @param {Object} model - { fixed, pct, min }
+ * @returns {number}
+ */
+export function orderCommission(amount, model = DEFAULT_COMMISSION) {
+  if (!(amount > 0)) return 0;
+  const fee = (parseFloat(model.fixed) || 0) + amount * (parseFloat(model.pct) || 0) / 100;
+  return Math.max(parseFloat(model.min) || 0, fee);
+}
+
+/**
+ * Stima la commissione fissa dalla mediana degli ultimi 12 mesi di compravendite
+ * @param {Array} transactions
+ * @returns {{ fixed: number, pct: number, min: number }}
+ */
+export function estimateCommission(transactions = []) {
+  const since = new Date();
+  since.setFullYear(since.getFullYear() - 1);
+  const fees = transactions
+    .filter(tx => (tx.type === 'buy' || tx.type === 'sell') && new Date(tx.date) >= since)
+    .map(tx => parseFloat(tx.commission) || 0)
+    .filter(c => c > 0)
+    .sort((a, b) => a - b);
+  if (fees.length === 0) return { ...DEFAULT_COMMISSION };
+  const mid = Math.floor(fees.length / 2);
+  const median = fees.length % 2 ? fees[mid] : (fees[mid - 1] + fees[mid]) / 2;
+  return { ...DEFAULT_COMMISSION, fixed: parseFloat(median.toFixed(2)) };
+}
+
+/**
+ * Modello commissioni salvato dall'utente, altrimenti stimato dallo storico
+ * @param {Array} [transactions]
+ * @returns {{ fixed: number, pct: number, min: number }}
+ */
+export function getCommissionModel(transactions = []) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMMISSION_KEY) || 'null');
+    if (saved) return { ...DEFAULT_COMMISSION, ...saved };
+  } catch {
+    // valore corrotto: si ricade sulla stima
+  }
+  return estimateCommission(transactions);
+}
+
+/**
+ * Salva il modello commissioni (null = torna alla stima dallo storico)
+ * @param {Object|null} model
+ */
+export function saveCommissionModel(model) {
+  if (model) localStorage.setItem(COMMISSION_KEY, JSON.stringify(model));
+  else localStorage.removeItem(COMMISSION_KEY);
+}
+
+// ── Target per ticker ────────────────────────────────────────────────────────
+
+/**
+ * Posizioni raggruppate per ticker (più broker → lotti uniti, etichettati)
+ */
+function _groupByTicker(holdings) {
+  const byTicker = {};
+  holdings
+    .filter(h => !h.isCash && h.quantity > 0)
+    .forEach(h => {
+      const micro = getMicroFromTicker(h.ticker) || h.microCategory || h.subCategory || 'Non categorizzato';
+      const t = byTicker[h.ticker] || (byTicker[h.ticker] = {
+        ticker: h.ticker,
+        name: h.name || h.ticker,
+        isin: h.isin || '',
+        microCategory: micro,
+        macroCategory: h.macroCategory || h.category,
+        price: h.currentPrice || h.avgPrice || 0,
+        quantity: 0,
+        value: 0,
+        lots: [],
+      });
+      t.quantity += h.quantity;
+      t.value += h.marketValue || 0;
+      (h.lots || []).forEach(l => t.lots.push({ ...l, broker: h.broker || '' }));
+      // Posizione senza lotti (dati legacy): un unico lotto al costo medio
+      if (!h.lots?.length) {
+        t.lots.push({ lotId: h.holdingKey || h.ticker, date: h.firstTransactionDate, quantity: h.quantity, unitCost: h.avgPrice || 0, broker: h.broker || '' });
+      }
+    });
+  return byTicker;
+}
+
+/**
+ * Peso obiettivo di ogni ticker: il target MICRO è diviso tra i ticker della
+ * categoria in proporzione al valore (in parti uguali se tutti a zero).
+ * Le categorie senza posizioni usano il ticker candidato, se fornito; quelle
+ * senza nemmeno un candidato restano scoperte e i pesi degli altri ticker sono
+ * riproporzionati a 100 (il piano non può comprarle).
+ *
+ * @param {Array} holdings - posizioni con currentPrice e marketValue (EUR)
+ * @param {Object} microAllocation - { [micro]: % }
+ * @param {Object} [candidates] - { [micro]: { ticker, name, price } }
+ * @returns {{ items: Array, uncovered: Array<{ microCategory, targetPct }> }}
+ *   items[].targetPct è riproporzionato, items[].strategyPct è quello della strategia
+ */
+export function buildTickerTargets(holdings, microAllocation = {}, candidates = {}) {
+  const byTicker = _groupByTicker(holdings);
+  const byMicro = {};
+  Object.values(byTicker).forEach(t => {
+    (byMicro[t.microCategory] = byMicro[t.microCategory] || []).push(t);
+  });
+
+  const uncovered = [];
+  Object.entries(microAllocation).forEach(([micro, pct]) => {
+    const targetPct = parseFloat(pct) || 0;
+    if (targetPct <= 0) return;
+    let tickers = byMicro[micro];
+    if (!tickers) {
+      const c = candidates[micro];
+      if (!c?.price) {
+        uncovered.push({ microCategory: micro, targetPct });
+        return;
+      }
+      const t = { ticker: c.ticker, name: c.name || c.ticker, microCategory: micro, macroCategory: c.macroCategory, price: c.price, quantity: 0, value: 0, lots: [], isNew: true };
+      byTicker[c.ticker] = t;
+      tickers = byMicro[micro] = [t];
+    }
+    const microValue = tickers.reduce((s, t) => s + t.value, 0);
+    tickers.forEach(t => {
+      t.targetPct = microValue > 0 ? targetPct * t.value / microValue : targetPct / tickers.length;
+    });
+  });
+
+  const covered = Object.values(byTicker).reduce((s, t) => s + (t.targetPct || 0), 0);
+  const scale = covered > 0 ? 100 / covered : 0;
+  const items = Object.values(byTicker).map(t => ({
+    ...t,
+    strategyPct: t.targetPct || 0,
+    targetPct: (t.targetPct || 0) * scale,
+  }));
+  return { items, uncovered };
+}
+
+// ── Vendite e imposte ────────────────────────────────────────────────────────
+
+/**
+ * Aliquota e quota imponibile di un titolo
+ */
+function _taxProfile(item) {
+  const taxClass = classifyAsset(item);
+  if (taxClass === 'crypto') return { taxClass, rate: getCryptoRate(new Date().getFullYear()), weight: 1 };
+  if (taxClass === 'gov_bond') return { taxClass, rate: TAX_RATES.standard, weight: GOV_BOND_WEIGHT };
+  return { taxClass, rate: TAX_RATES.standard, weight: 1 };
+}
+
+/**
+ * Ordine di scarico dei lotti per il metodo di carico in uso
+ *   average  → un lotto per broker al costo medio
+ *   fifo     → per broker in ordine di data (lifo al contrario)
+ *   specific → lotti più costosi prima (HIFO)
+ * Con più broker si vende prima da quello a costo medio più alto.
+ */
+function _saleSources(lots, method) {
+  if (method === 'specific') {
+    return [...lots].sort((a, b) => b.unitCost - a.unitCost);
+  }
+
+  const byBroker = {};
+  lots.forEach(l => (byBroker[l.broker] = byBroker[l.broker] || []).push(l));
+  const groups = Object.entries(byBroker).map(([broker, list]) => {
+    const quantity = list.reduce((s, l) => s + l.quantity, 0);
+    const cost = list.reduce((s, l) => s + l.quantity * l.unitCost, 0);
+    return { broker, list, quantity, avgCost: quantity > 0 ? cost / quantity : 0 };
+  }).sort((a, b) => b.avgCost - a.avgCost);
+
+  return groups.flatMap(g => {
+    if (method === 'average') {
+      return [{ lotId: `avg:${g.broker}`, broker: g.broker, quantity: g.quantity, unitCost: g.avgCost }];
+    }
+    const dated = [...g.list].sort((a, b) => new Date(a.date) - new Date(b.date));
+    return method === 'lifo' ? dated.reverse() : dated;
+  });
+}
+
+/**
+ * Ordine di vendita per circa `amount` euro
+ * @returns {Object|null} null se sotto MIN_ORDER_EUR o senza quote
+ */
+function _sellOrder(item, amount, { fractional, commission, method }) {
+  const raw = Math.min(item.quantity, amount / item.price);
+  const units = fractional ? _round4(raw) : Math.min(Math.floor(item.quantity), Math.round(raw));
+  const gross = units * item.price;
+  if (units <= 0 || gross < MIN_ORDER_EUR) return null;
+
+  let remaining = units;
+  let cost = 0;
+  const lots = [];
+  for (const src of _saleSources(item.lots, method)) {
+    if (remaining <= 1e-9) break;
+    const q = Math.min(remaining, src.quantity);
+    cost += q * src.unitCost;
+    remaining -= q;
+    lots.push({ lotId: src.lotId, broker: src.broker, date: src.date, quantity: q, unitCost: src.unitCost });
+  }
+
+  const fee = orderCommission(gross, commission);
+  const { taxClass, rate, weight } = _taxProfile(item);
+  const realizedGain = gross - fee - cost;
+  return {
+    ticker: item.ticker,
+    name: item.name,
+    side: 'sell',
+    units,
+    price: item.price,
+    amount: gross,
+    commission: fee,
+    realizedGain,
+    taxClass,
+    taxRate: rate,
+    taxableGain: realizedGain * weight,
+    tax: Math.max(0, realizedGain * weight * rate),
+    brokers: [...new Set(lots.map(l => l.broker).filter(Boolean))],
+    lots,
+  };
+}
+
+/**
+ * Imposta complessiva del piano: ETF e fondi pagano su ogni plusvalenza,
+ * i redditi diversi si compensano con le minusvalenze del piano.
+ */
+function _planTax(sells) {
+  let fundTax = 0;
+  let diversiGain = 0;
+  let diversiTax = 0;
+  let losses = 0;
+  sells.forEach(o => {
+    if (o.taxableGain < 0) losses -= o.taxableGain;
+    else if (o.taxClass === 'fund') fundTax += o.tax;
+    else {
+      diversiGain += o.taxableGain;
+      diversiTax += o.tax;
+    }
+  });
+  const offset = diversiGain > 0 ? Math.min(1, losses / diversiGain) : 0;
+  return {
+    tax: fundTax + diversiTax * (1 - offset),
+    lossesCarried: Math.max(0, losses - diversiGain),
+  };
+}
+
+// ── Acquisti ─────────────────────────────────────────────────────────────────
+
+/**
+ * Ripartisce la liquidità sui ticker sottopesati
+ * Prima passata proporzionale alle distanze dal target, poi (quote intere)
+ * una quota alla volta al ticker più lontano che ci sta nel residuo.
+ *
+ * @param {Array} book - { ticker, name, price, value, targetPct, fractional? }
+ * @param {number} cash - EUR disponibili, commissioni incluse
+ * @param {Object} opts - { fractionalETF, commission }
+ * @param {Set} [exclude] - ticker da non comprare
+ * @returns {Array} ordini di acquisto
+ */
+export function allocateBuys(book, cash, { fractionalETF, commission }, exclude = new Set()) {
+  const total = book.reduce((s, b) => s + b.value, 0) + cash;
+  const gapOf = (b, extra = 0) => (b.targetPct * total) / 100 - b.value - extra;
+  const gaps = book.map(b => Math.max(0, gapOf(b)));
+  const totalGap = gaps.reduce((s, g) => s + g, 0);
+  const totalTarget = book.reduce((s, b) => s + b.targetPct, 0);
+
+  const orders = {};
+  let left = cash;
+  book.forEach((b, i) => {
+    if (!(b.price > 0) || exclude.has(b.ticker)) return;
+    let share = totalGap > 0 ? Math.min(gaps[i], cash * gaps[i] / totalGap) : 0;
+    if (cash > totalGap && totalTarget > 0) share += (cash - totalGap) * b.targetPct / totalTarget;
+    const net = share - orderCommission(share, commission);
+    if (net < MIN_ORDER_EUR) return;
+    const fractional = b.fractional ?? fractionalETF;
+    const units = fractional ? _round4(net / b.price) : Math.floor(net / b.price);
+    if (units <= 0) return;
+    const amount = units * b.price;
+    orders[b.ticker] = { b, units, amount };
+    left -= amount + orderCommission(amount, commission);
+  });
+
+  // Resto con quote intere: una alla volta finché il residuo lo consente
+  for (let step = 0; step < MAX_GREEDY_STEPS; step++) {
+    let best = null;
+    let bestGap = 0;
+    book.forEach(b => {
+      const fractional = b.fractional ?? fractionalETF;
+      if (fractional || !(b.price > 0) || exclude.has(b.ticker)) return;
+      const o = orders[b.ticker];
+      const amount = o?.amount || 0;
+      const extra = b.price + orderCommission(amount + b.price, commission) - orderCommission(amount, commission);
+      const gap = gapOf(b, amount);
+      if (extra <= left && gap > bestGap && (o || b.price >= MIN_ORDER_EUR)) {
+        best = { b, extra };
+        bestGap = gap;
+      }
+    });
+    if (!best) break;
+    const o = orders[best.b.ticker] || (orders[best.b.ticker] = { b: best.b, units: 0, amount: 0 });
+    o.units += 1;
+    o.amount += best.b.price;
+    left -= best.extra;
+  }
+
+  return Object.values(orders).map(({ b, units, amount }) => ({
+    ticker: b.ticker,
+    name: b.name,
+    side: 'buy',
+    units,
+    price: b.price,
+    amount,
+    commission: orderCommission(amount, commission),
+    realizedGain: 0,
+    tax: 0,
+    isNew: !!b.isNew,
+  }));
+}
+
+// ── Piano ────────────────────────────────────────────────────────────────────
+
+/**
+ * Pesi dopo gli ordini e scostamento massimo dal target
+ */
+function _afterState(items, orders) {
+  const values = {};
+  items.forEach(i => { values[i.ticker] = i.value; });
+  orders.forEach(o => {
+    values[o.ticker] = (values[o.ticker] || 0) + (o.side === 'buy' ? o.amount : -o.amount);
+  });
+  const total = Object.values(values).reduce((s, v) => s + v, 0);
+  const before = items.reduce((s, i) => s + i.value, 0);
+  const rows = items.map(i => {
+    const afterPct = total > 0 ? (values[i.ticker] / total) * 100 : 0;
+    return {
+      ticker: i.ticker,
+      name: i.name,
+      microCategory: i.microCategory,
+      targetPct: i.targetPct,
+      beforePct: before > 0 ? (i.value / before) * 100 : 0,
+      afterPct,
+    };
+  });
+  const maxDrift = rows.reduce((m, r) => Math.max(m, Math.abs(r.afterPct - r.targetPct)), 0);
+  return { rows, maxDrift };
+}
+
+/**
+ * Una singola alternativa: vendite fino al limite `sellAbove`, poi acquisti
+ * con versamento + incasso netto delle vendite
+ */
+function _plan(items, contribution, sellAbove, opts) {
+  const total = items.reduce((s, i) => s + i.value, 0) + contribution;
+  const book = items.map(i => ({ ...i, fractional: i.macroCategory === 'Crypto' ? true : undefined }));
+
+  const sells = [];
+  if (sellAbove !== null) {
+    book.forEach(b => {
+      const excess = b.value - ((b.targetPct + sellAbove) * total) / 100;
+      if (excess <= 0 || b.quantity <= 0) return;
+      const order = _sellOrder(b, excess, { ...opts, fractional: b.fractional ?? opts.fractionalETF });
+      if (!order) return;
+      sells.push(order);
+      b.value -= order.amount;
+    });
+  }
+
+  const proceeds = sells.reduce((s, o) => s + o.amount - o.commission, 0);
+  const { tax, lossesCarried } = _planTax(sells);
+  // Le imposte in regime amministrato sono trattenute sull'incasso: non si reinvestono
+  const cash = contribution + proceeds - tax;
+  // Mai ricomprare nello stesso piano ciò che si è appena venduto
+  const buys = allocateBuys(book, Math.max(0, cash), opts, new Set(sells.map(o => o.ticker)));
+
+  const orders = [
+    ...sells.sort((a, b) => b.amount - a.amount),
+    ...buys.sort((a, b) => b.amount - a.amount),
+  ];
+  const bought = buys.reduce((s, o) => s + o.amount, 0);
+  const commissions = orders.reduce((s, o) => s + o.commission, 0);
+  const buyCommissions = buys.reduce((s, o) => s + o.commission, 0);
+
+  return {
+    orders,
+    buyAmount: bought,
+    sellAmount: sells.reduce((s, o) => s + o.amount, 0),
+    realizedGain: sells.reduce((s, o) => s + o.realizedGain, 0),
+    commissions,
+    tax,
+    lossesCarried,
+    cashLeft: Math.max(0, cash - bought - buyCommissions),
+    ...(_afterState(items, orders)),
+  };
+}
+
+/**
+ * Piano di ribilanciamento con le tre alternative a confronto
+ *
+ * @param {Object} params
+ * @param {Array} params.items - da buildTickerTargets
+ * @param {number} [params.contribution=0] - versamento disponibile (EUR)
+ * @param {boolean} [params.fractionalETF=true] - false = solo quote intere
+ * @param {Object} [params.commission] - { fixed, pct, min }
+ * @param {number} [params.tolerance=DEFAULT_TOLERANCE] - banda in punti %
+ * @param {string} [params.method='average'] - metodo di carico dei lotti
+ * @returns {{ alternatives: Object, recommended: string }}
+ */
+export function planRebalance({
+  items,
+  contribution = 0,
+  fractionalETF = true,
+  commission = DEFAULT_COMMISSION,
+  tolerance = DEFAULT_TOLERANCE,
+  method = 'average',
+}) {
+  const opts = { fractionalETF, commission, method };
+  const cash = Math.max(0, parseFloat(contribution) || 0);
+
+  const alternatives = {
+    contribution: _plan(items, cash, null, opts),
+    band: _plan(items, cash, tolerance, opts),
+    full: _plan(items, cash, 0, opts),
+  };
+
+  // Preferisce il versamento alle vendite: la prima alternativa entro la banda
+  const order = ['contribution', 'band', 'full'];
+  const recommended = order.find(k => alternatives[k].maxDrift <= tolerance) ||
+    order.reduce((best, k) => (alternatives[k].maxDrift < alternatives[best].maxDrift ? k : best), 'contribution');
+
+  return { alternatives, recommended };
+}
+
+export default {
+  REBALANCE_ALTERNATIVES,
+  DEFAULT_COMMISSION,
+  DEFAULT_TOLERANCE,
+  MIN_ORDER_EUR,
+  orderCommission,
+  estimateCommission,
+  getCommissionModel,
+  saveCommissionModel,
+  buildTickerTargets,
+  allocateBuys,
+  planRebalance,
+};
@@ -0,0 +1,267 @@
+/**
+ * Scenario Backtest Service
+ * Backtest di portafogli ipotetici ("what-if"): titoli e pesi liberi,
+ * capitale iniziale, PAC mensile, ribilanciamento, costi e commissioni.
+ *
+ * Storico mensile per titolo con estensione tramite proxy (etfProxyMap):
+ * prima della quotazione si usano i rendimenti del proxy al netto del TER,
+ * come nella modalità "estesa" del Backtest. Tutti gli scenari girano sugli
+ * stessi mesi, così capitale finale e metriche sono confrontabili.
+ *
+ * Prezzi nella valuta di quotazione: nessuna conversione di cambio.
+ */
+
+import { fetchMultipleHistoricalPrices, buildMonthlyPriceTable } from './historicalPriceService';
+import { getProxyInfo } from '../config/etfProxyMap';
+import { monthlyReturns } from './correlationService';
+import { orderCommission, DEFAULT_COMMISSION } from './rebalancePlannerService';
+import { calculateCAGR, calculateMaxDrawdown, calculateVolatility, calculateSharpeRatio } from './advancedMetricsService';
+
+const STORAGE_KEY = 'backtest_scenarios';
+
+export const REBALANCE_FREQUENCIES = {
+  none:      { label: 'Mai',            months: null },
+  monthly:   { label: 'Mensile',        months: 1 },
+  quarterly: { label: 'Trimestrale',    months: 3 },
+  annual:    { label: 'Annuale',        months: 12 },
+};
+
+// Palette per gli scenari creati dall'utente
+export const SCENARIO_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ec4899', '#06b6d4', '#f97316', '#84cc16'];
+
+export const DEFAULT_SCENARIO = {
+  name: 'Nuovo scenario',
+  holdings: [{ ticker: '', weight: 100 }],
+  rebalanceFrequency: 'annual',
+  rebalanceBand: 0,       // punti % di scostamento oltre cui ribilanciare (0 = sempre; senza frequenza: controllo mensile)
+  annualCost: 0,          // costi extra %/anno (consulenza, TER di un fondo ipotetico)
+  commission: { ...DEFAULT_COMMISSION },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// STORAGE
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Scenari salvati
+ * @returns {Array}
+ */
+export function getScenarios() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    // Copie salvate senza id/colore: ne ricevono di nuovi
+    return saved.map((s, i) => (s.id && s.color ? s : createScenario(s, i)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Salva gli scenari
+ * @param {Array} scenarios
+ */
+export function saveScenarios(scenarios) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+}
+
+/**
+ * Nuovo scenario con i valori predefiniti (gli override undefined sono ignorati)
+ * @param {Object} overrides
+ * @param {number} index - posizione, per il colore
+ * @returns {Object}
+ */
+export function createScenario(overrides = {}, index = 0) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+  return {
+    ...DEFAULT_SCENARIO,
+    id: `scn_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    color: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+    ...defined,
+  };
+}
+
+/**
+ * Pesi validi dello scenario, normalizzati a 1
+ * @param {Object} scenario
+ * @returns {Array<{ ticker: string, weight: number }>}
+ */
+export function normalizedWeights(scenario) {
+  const valid = (scenario.holdings || [])
+    .map(h => ({ ticker: String(h.ticker || '').trim().toUpperCase(), weight: parseFloat(h.weight) || 0 }))
+    .filter(h => h.ticker && h.weight > 0);
+  const total = valid.reduce((s, h) => s + h.weight, 0);
+  return valid.map(h => ({ ticker: h.ticker, weight: h.weight / total }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HISTORY
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rendimenti mensili per titolo, estesi con il proxy prima della quotazione
+ *
+ * @param {Array<string>} tickers
+ * @param {string} startDate - YYYY-MM-DD
+ * @returns {Promise<{ returns: Object, proxiedUntil: Object }>}
+ *   returns: { [ticker]: { 'YYYY-MM': rendimento } },
+ *   proxiedUntil: { [ticker]: ultimo mese coperto dal proxy }
+ */
+export async function loadScenarioHistory(tickers, startDate) {
+  const fetchList = new Set(tickers);
+  tickers.forEach(ticker => {
+    const proxy = getProxyInfo(ticker);
+    if (proxy) fetchList.add(proxy.proxyTicker);
+  });
+
+  const today = new Date().toISOString().split('T')[0];
+  const historical = await fetchMultipleHistoricalPrices([...fetchList], startDate, today);
+  const raw = {};
+  fetchList.forEach(ticker => {
+    raw[ticker] = monthlyReturns(buildMonthlyPriceTable(historical[ticker] || []));
+  });
+
+  const returns = {};
+  const proxiedUntil = {};
+  tickers.forEach(ticker => {
+    const own = raw[ticker] || {};
+    const proxy = getProxyInfo(ticker);
+    const series = {};
+    if (proxy) {
+      const firstOwn = Object.keys(own).sort()[0] || '9999-12';
+      Object.entries(raw[proxy.proxyTicker] || {}).forEach(([month, r]) => {
+        if (month < firstOwn) {
+          series[month] = r - proxy.ter / 100 / 12;
+          if (!proxiedUntil[ticker] || month > proxiedUntil[ticker]) proxiedUntil[ticker] = month;
+        }
+      });
+    }
+    returns[ticker] = { ...series, ...own };
+  });
+
+  return { returns, proxiedUntil };
+}
+
+/**
+ * Mesi in cui tutti i titoli degli scenari hanno un rendimento
+ * @param {Object} returns - da loadScenarioHistory
+ * @param {Array<string>} tickers
+ * @returns {Array<string>}
+ */
+export function commonMonths(returns, tickers) {
+  if (tickers.length === 0) return [];
+  return Object.keys(returns[tickers[0]] || {})
+    .filter(month => tickers.every(t => returns[t]?.[month] !== undefined))
+    .sort();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SIMULATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Backtest di uno scenario
+ *
+ * Ogni mese: versamento (il primo mese il capitale iniziale) ripartito ai
+ * pesi obiettivo, rendimento del mese, costi extra; a fine periodo di
+ * ribilanciamento si torna ai pesi se uno scostamento supera la banda.
+ * Con frequenza "Mai" e banda > 0 il ribilanciamento è solo a soglia,
+ * verificata ogni mese.
+ * Le commissioni si pagano su ogni ordine (versamenti e ribilanciamenti).
+ *
+ * @param {Object} scenario
+ * @param {Object} returns - { [ticker]: { 'YYYY-MM': rendimento } }
+ * @param {Array<string>} months - mesi comuni, ordinati
+ * @param {{ initialCapital: number, monthlyContribution: number }} plan
+ * @returns {Object} { series, finalValue, invested, commissions, rebalances, metrics }
+ */
+export function runScenario(scenario, returns, months, plan) {
+  const weights = normalizedWeights(scenario);
+  const frequency = REBALANCE_FREQUENCIES[scenario.rebalanceFrequency]?.months || null;
+  const band = (parseFloat(scenario.rebalanceBand) || 0) / 100;
+  const monthlyCost = (parseFloat(scenario.annualCost) || 0) / 100 / 12;
+  const commission = scenario.commission || DEFAULT_COMMISSION;
+
+  const values = weights.map(() => 0);
+  let invested = 0;
+  let commissions = 0;
+  let rebalances = 0;
+  let index = 100;      // rendimento time-weighted, al netto dei flussi
+  const series = [];
+  const indexReturns = [];
+
+  const buy = (amount) => {
+    weights.forEach((w, i) => {
+      const leg = amount * w.weight;
+      const fee = orderCommission(leg, commission);
+      commissions += fee;
+      values[i] += Math.max(0, leg - fee);
+    });
+  };
+
+  months.forEach((month, m) => {
+    const contribution = m === 0 ? plan.initialCapital + plan.monthlyContribution : plan.monthlyContribution;
+    if (contribution > 0) {
+      buy(contribution);
+      invested += contribution;
+    }
+
+    const before = values.reduce((s, v) => s + v, 0);
+    weights.forEach((w, i) => {
+      values[i] *= (1 + returns[w.ticker][month]) * (1 - monthlyCost);
+    });
+    let total = values.reduce((s, v) => s + v, 0);
+    if (before > 0) {
+      const r = total / before - 1;
+      index *= 1 + r;
+      indexReturns.push(r * 100);
+    }
+
+    // Ribilanciamento a fine periodo se fuori banda; senza frequenza, soglia controllata ogni mese
+    const checkDrift = frequency ? (m + 1) % frequency === 0 : band > 0;
+    if (checkDrift && total > 0) {
+      const drift = Math.max(...weights.map((w, i) => Math.abs(values[i] / total - w.weight)));
+      if (drift > band) {
+        let fees = 0;
+        weights.forEach((w, i) => {
+          const trade = Math.abs(total * w.weight - values[i]);
+          if (trade > 0.01) fees += orderCommission(trade, commission);
+        });
+        commissions += fees;
+        total -= fees;
+        weights.forEach((w, i) => { values[i] = total * w.weight; });
+        rebalances++;
+      }
+    }
+
+    series.push({ month, value: values.reduce((s, v) => s + v, 0), invested, index, commissions });
+  });
+
+  const finalValue = series.length ? series[series.length - 1].value : 0;
+  const years = months.length / 12;
+  return {
+    series,
+    finalValue,
+    invested,
+    commissions,
+    rebalances,
+    metrics: {
+      cagr: calculateCAGR(100, index, years),
+      volatility: calculateVolatility(indexReturns),
+      maxDrawdown: calculateMaxDrawdown(series.map(p => p.index)).maxDrawdown,
+      sharpeRatio: calculateSharpeRatio(indexReturns, 2),
+    },
+  };
+}
+
+export default {
+  REBALANCE_FREQUENCIES,
+  SCENARIO_COLORS,
+  DEFAULT_SCENARIO,
+  getScenarios,
+  saveScenarios,
+  createScenario,
+  normalizedWeights,
+  loadScenarioHistory,
+  commonMonths,
+  runScenario,
+};
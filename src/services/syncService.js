@@ -0,0 +1,490 @@
+/**
+ * Cloud Sync Service
+ * Mirrors the localStorage stores used by the pages to the signed-in user's
+ * Firestore documents, so the same portfolio can be used from several devices.
+ *
+ * localStorage stays the source of truth for the UI: every page keeps reading
+ * and writing through the existing services. The engine reconciles the two
+ * sides in the background:
+ *   • record stores (transactions, import batches, PAC templates, monthly
+ *     snapshots) are merged per record with last-writer-wins on `updatedAt`
+ *   • document stores (strategy, portfolio config) are merged as a whole
+ *   • deletions travel as tombstones, so removing an import batch on one
+ *     device removes its transactions everywhere
+ *
+ * Offline edits need no queue: a "base" snapshot of what was last agreed with
+ * the server is kept in localStorage and diffed against both sides on the
+ * next successful sync.
+ *
+ * Firestore layout:
+ *   users/{uid}/{collection}/{recordId}   → { payload, hash, updatedAt, deleted, syncedAt }
+ *   users/{uid}/documents/{docId}         → same shape, one doc per store
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { db } from '../config/firebase';
+import { updateLastSync } from './localStorageService';
+
+const SYNC_STATE_KEY = 'investment_tracker_sync_state';
+
+/** Stores made of an array of records with a stable `id`. */
+const RECORD_STORES = [
+  { key: 'investment_tracker_transactions',      collection: 'transactions' },
+  { key: 'investment_tracker_import_batches',    collection: 'importBatches' },
+  { key: 'investment_tracker_pac_templates',     collection: 'pacTemplates' },
+  { key: 'investment_tracker_corporate_actions', collection: 'corporateActions' },
+  { key: 'investment_tracker_monthly_snapshots', collection: 'monthlySnapshots' },
+];
+
+/** Stores saved as a single JSON blob. */
+const DOCUMENT_STORES = [
+  { key: 'investment_strategy',     docId: 'strategy' },
+  { key: 'inv_portfolio_config_v1', docId: 'portfolioConfig' },
+];
+
+const SYNC_INTERVAL_MS = 60 * 1000;
+const MAX_BATCH_WRITES = 450; // Firestore limit is 500 per batch
+
+// ============================================
+// SYNC STATE (base snapshot + tombstones)
+// ============================================
+
+const emptyState = () => ({
+  uid: null,
+  base: {},        // { [storeKey]: { [id]: { h: hash|null, u: updatedAt } } }
+  tombstones: {},  // { [storeKey]: { [id]: deletedAt } }
+  cursors: {},     // { [collection]: millis of last pulled syncedAt }
+  lastSyncAt: null,
+});
+
+function loadState() {
+  try {
+    const raw = localStorage.getItem(SYNC_STATE_KEY);
+    return raw ? { ...emptyState(), ...JSON.parse(raw) } : emptyState();
+  } catch {
+    return emptyState();
+  }
+}
+
+function saveState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Registra la cancellazione locale di uno o più record.
+ * Chiamata dai servizi al momento della delete, così il tombstone porta
+ * l'orario reale (anche se la sync avviene ore dopo, offline).
+ *
+ * @param {string} storeKey - chiave localStorage dello store (es. 'investment_tracker_transactions')
+ * @param {Array<string>} ids - id dei record eliminati
+ */
+export function recordTombstones(storeKey, ids) {
+  if (!ids || ids.length === 0) return;
+  try {
+    const state = loadState();
+    const deletedAt = new Date().toISOString();
+    state.tombstones[storeKey] = state.tombstones[storeKey] || {};
+    ids.forEach(id => { if (id) state.tombstones[storeKey][id] = deletedAt; });
+    saveState(state);
+    scheduleSync();
+  } catch (error) {
+    console.error('Error recording tombstones:', error);
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/** Hash veloce (djb2) della rappresentazione JSON — basta a rilevare modifiche. */
+function hashString(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) {
+    h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  }
+  return (h >>> 0).toString(36);
+}
+
+function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/** Timestamp di ultima modifica dichiarato dal record (ISO string). */
+function recordTime(record) {
+  return record.updatedAt || record.createdAt || record.importedAt || null;
+}
+
+const later = (a, b) => (a || '') > (b || '');
+
+/**
+ * Decide quale versione vince tra locale e remota rispetto alla base comune.
+ * Ogni versione è { h, u } (h = null → cancellato) oppure undefined se assente.
+ * @returns {'local'|'remote'|'same'}
+ */
+function resolve(local, remote, base) {
+  const localChanged  = local  && (!base || local.h  !== base.h);
+  const remoteChanged = remote && (!base || remote.h !== base.h);
+
+  if (local && remote && local.h === remote.h) return 'same';
+  if (localChanged && !remoteChanged) return 'local';
+  if (remoteChanged && !localChanged) return 'remote';
+  if (!localChanged && !remoteChanged) return remote ? 'same' : 'local';
+  // Conflitto: vince la modifica più recente; a parità vince il server
+  return later(local.u, remote.u) ? 'local' : 'remote';
+}
+
+const userCollection = (uid, name) => collection(db, 'users', uid, name);
+
+/**
+ * Scarica i documenti modificati dopo il cursore della collection.
+ * @returns {Promise<{ docs: Object, cursor: number }>} docs = { [id]: { h, u, payload } }
+ */
+async function pullCollection(uid, name, sinceMillis) {
+  const ref = userCollection(uid, name);
+  const q = sinceMillis
+    ? query(ref, where('syncedAt', '>', Timestamp.fromMillis(sinceMillis)))
+    : ref;
+  const snapshot = await getDocs(q);
+
+  const docs = {};
+  let cursor = sinceMillis || 0;
+  snapshot.docs.forEach(d => {
+    const data = d.data();
+    docs[d.id] = {
+      h: data.deleted ? null : data.hash,
+      u: data.updatedAt || null,
+      payload: data.deleted ? null : data.payload,
+    };
+    const syncedAt = data.syncedAt?.toMillis?.() || 0;
+    if (syncedAt > cursor) cursor = syncedAt;
+  });
+  return { docs, cursor };
+}
+
+function toRemoteDoc(version, payload) {
+  return {
+    payload: payload ?? null,
+    hash: version.h,
+    updatedAt: version.u,
+    deleted: version.h === null,
+    syncedAt: serverTimestamp(),
+  };
+}
+
+async function commitWrites(writes) {
+  for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + MAX_BATCH_WRITES).forEach(({ ref, data }) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+// ============================================
+// STORE SYNC
+// ============================================
+
+/**
+ * Sincronizza uno store a record (array con `id`).
+ * @returns {Promise<boolean>} true se lo store locale è stato modificato dal remoto
+ */
+async function syncRecordStore(uid, store, state) {
+  const { key } = store;
+  const now = new Date().toISOString();
+  const base = state.base[key] || {};
+  const tombstones = state.tombstones[key] || {};
+
+  const { docs: remote, cursor } = await pullCollection(uid, store.collection, state.cursors[store.collection]);
+
+  const localList = readJSON(key, []);
+  const localById = new Map();
+  const localVersions = {};
+  localList.forEach(record => {
+    if (!record || !record.id) return;
+    const payload = JSON.stringify(record);
+    const h = hashString(payload);
+    const declared = recordTime(record);
+    const prev = base[record.id];
+    // Modifica "silenziosa" (updatedAt non aggiornato): la datiamo adesso
+    const u = prev && prev.h !== h && !later(declared, prev.u) ? now : (declared || now);
+    localById.set(record.id, record);
+    localVersions[record.id] = { h, u, payload };
+  });
+  // Record presenti nella base ma spariti in locale → cancellati offline
+  Object.keys(base).forEach(id => {
+    if (!localVersions[id] && base[id].h !== null) {
+      localVersions[id] = { h: null, u: tombstones[id] || now };
+    }
+  });
+
+  const ids = new Set([...Object.keys(localVersions), ...Object.keys(remote)]);
+  const writes = [];
+  const nextBase = { ...base };
+  const remoteWins = new Map(); // id → record | null (null = cancella)
+
+  ids.forEach(id => {
+    const local = localVersions[id];
+    // Se non è arrivato nulla dal server per questo id, il remoto coincide con la base
+    const rem = remote[id] || base[id];
+    const winner = resolve(local, rem, base[id]);
+
+    if (winner === 'local' && local) {
+      writes.push({ ref: doc(db, 'users', uid, store.collection, id), data: toRemoteDoc(local, local.payload) });
+      nextBase[id] = { h: local.h, u: local.u };
+    } else if (winner === 'remote' && rem) {
+      remoteWins.set(id, rem.h === null ? null : JSON.parse(rem.payload));
+      nextBase[id] = { h: rem.h, u: rem.u };
+    } else {
+      const agreed = local || rem;
+      if (agreed) nextBase[id] = { h: agreed.h, u: agreed.u };
+    }
+  });
+
+  await commitWrites(writes);
+
+  let changed = false;
+  if (remoteWins.size > 0) {
+    // Rilettura dopo gli await: i salvataggi fatti durante la sync non vanno persi.
+    // Un record modificato in locale nel frattempo resta quello locale e parte alla prossima sync.
+    const freshList = readJSON(key, []);
+    const editedInFlight = (r) => localVersions[r.id]?.payload !== JSON.stringify(r);
+    const takeRemote = (r) => r && remoteWins.has(r.id) && !editedInFlight(r);
+    const merged = freshList
+      .filter(r => !(takeRemote(r) && remoteWins.get(r.id) === null))
+      .map(r => (takeRemote(r) ? remoteWins.get(r.id) : r));
+    const freshIds = new Set(freshList.map(r => r && r.id));
+    // Assente ora ma presente nello snapshot → cancellato durante la sync: resta cancellato
+    remoteWins.forEach((record, id) => {
+      if (record && !freshIds.has(id) && !localById.has(id)) merged.push(record);
+    });
+    localStorage.setItem(key, JSON.stringify(merged));
+    changed = true;
+  }
+
+  state.base[key] = nextBase;
+  state.cursors[store.collection] = cursor;
+  if (writes.length || remoteWins.size) {
+    console.log(`☁️ ${store.collection}: ${writes.length} inviati, ${remoteWins.size} ricevuti`);
+  }
+  return changed;
+}
+
+/**
+ * Sincronizza uno store documento (blob JSON unico).
+ * @returns {Promise<boolean>} true se lo store locale è stato sovrascritto
+ */
+async function syncDocumentStore(uid, store, state) {
+  const { key, docId } = store;
+  const now = new Date().toISOString();
+  const baseDocs = state.base.documents || {};
+  const base = baseDocs[docId];
+  const cursorKey = `documents/${docId}`;
+
+  const { docs: remote, cursor } = await pullCollection(uid, 'documents', state.cursors[cursorKey]);
+  const rem = remote[docId] || base;
+
+  const raw = localStorage.getItem(key);
+  let local;
+  if (raw) {
+    const h = hashString(raw);
+    local = { h, u: base && base.h === h ? base.u : now, payload: raw };
+  } else if (base && base.h !== null) {
+    local = { h: null, u: now };
+  }
+
+  const winner = resolve(local, rem, base);
+  let changed = false;
+
+  if (winner === 'local' && local) {
+    await commitWrites([{ ref: doc(db, 'users', uid, 'documents', docId), data: toRemoteDoc(local, local.payload) }]);
+    baseDocs[docId] = { h: local.h, u: local.u };
+  } else if (winner === 'remote' && rem) {
+    if (rem.h === null) localStorage.removeItem(key);
+    else localStorage.setItem(key, rem.payload);
+    baseDocs[docId] = { h: rem.h, u: rem.u };
+    changed = true;
+  } else if (local || rem) {
+    const agreed = local || rem;
+    baseDocs[docId] = { h: agreed.h, u: agreed.u };
+  }
+
+  state.base.documents = baseDocs;
+  state.cursors[cursorKey] = cursor;
+  return changed;
+}
+
+// ============================================
+// ENGINE
+// ============================================
+
+let currentUid = null;
+let intervalId = null;
+let pending = null;        // promise della sync in corso
+let scheduled = null;      // timeout della sync differita
+const listeners = new Set();
+let status = { state: 'disabled', lastSyncAt: null, error: null };
+
+function setStatus(patch, extra = {}) {
+  status = { ...status, ...patch };
+  listeners.forEach(fn => {
+    try { fn(status, extra); } catch (error) { console.error('Sync listener error:', error); }
+  });
+}
+
+/**
+ * Esegue subito una sincronizzazione completa (pull + merge + push).
+ * Se una sync è già in corso restituisce la stessa promise.
+ * @returns {Promise<{ remoteChanges: boolean }>}
+ */
+export function syncNow() {
+  if (!currentUid) return Promise.resolve({ remoteChanges: false });
+  if (pending) return pending;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    setStatus({ state: 'offline' });
+    return Promise.resolve({ remoteChanges: false });
+  }
+
+  const uid = currentUid;
+  setStatus({ state: 'syncing', error: null });
+
+  pending = (async () => {
+    let state = loadState();
+    // Cambio utente sullo stesso browser: la base precedente non vale più
+    if (state.uid !== uid) state = { ...emptyState(), uid, tombstones: state.tombstones };
+
+    let remoteChanges = false;
+    for (const store of RECORD_STORES) {
+      if (await syncRecordStore(uid, store, state)) remoteChanges = true;
+    }
+    for (const store of DOCUMENT_STORES) {
+      if (await syncDocumentStore(uid, store, state)) remoteChanges = true;
+    }
+
+    // Tombstone: rilegge quelli attuali (recordTombstones può scrivere durante
+    // la sync) e toglie solo quelli usati da questa sync o la cui cancellazione
+    // è già nella base; gli altri restano per la prossima
+    const latest = loadState().tombstones;
+    Object.entries(latest).forEach(([key, ids]) => {
+      Object.entries(ids).forEach(([id, deletedAt]) => {
+        const sent = state.tombstones[key]?.[id] === deletedAt;
+        const agreed = state.base[key]?.[id]?.h === null;
+        if (sent || agreed) delete ids[id];
+      });
+    });
+    state.tombstones = latest;
+    state.lastSyncAt = new Date().toISOString();
+    saveState(state);
+    updateLastSync();
+    setStatus({ state: 'idle', lastSyncAt: state.lastSyncAt }, { remoteChanges });
+    return { remoteChanges };
+  })()
+    .catch(error => {
+      console.error('Cloud sync error:', error);
+      setStatus({ state: 'error', error: error.message || String(error) });
+      return { remoteChanges: false };
+    })
+    .finally(() => { pending = null; });
+
+  return pending;
+}
+
+/**
+ * Pianifica una sync a breve (debounce), es. dopo una modifica locale.
+ * @param {number} delayMs
+ */
+export function scheduleSync(delayMs = 2000) {
+  if (!currentUid) return;
+  clearTimeout(scheduled);
+  scheduled = setTimeout(() => { syncNow(); }, delayMs);
+}
+
+const handleOnline = () => syncNow();
+const handleOffline = () => setStatus({ state: 'offline' });
+const handleVisibility = () => { if (document.visibilityState === 'visible') syncNow(); };
+const handleStorage = (e) => {
+  const watched = [...RECORD_STORES, ...DOCUMENT_STORES].some(s => s.key === e.key);
+  if (watched) scheduleSync();
+};
+
+/**
+ * Avvia il motore di sync per l'utente autenticato.
+ * @param {string} uid - Firebase Auth uid
+ */
+export function startSync(uid) {
+  if (!uid) return;
+  if (currentUid === uid && intervalId) return;
+  stopSync();
+
+  currentUid = uid;
+  status = { ...status, lastSyncAt: loadState().lastSyncAt };
+  intervalId = setInterval(() => { syncNow(); }, SYNC_INTERVAL_MS);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  window.addEventListener('storage', handleStorage);
+  document.addEventListener('visibilitychange', handleVisibility);
+
+  console.log('☁️ Cloud sync avviata');
+  syncNow();
+}
+
+/** Ferma il motore di sync (logout). I dati locali restano intatti. */
+export function stopSync() {
+  if (intervalId) clearInterval(intervalId);
+  clearTimeout(scheduled);
+  intervalId = null;
+  currentUid = null;
+  window.removeEventListener('online', handleOnline);
+  window.removeEventListener('offline', handleOffline);
+  window.removeEventListener('storage', handleStorage);
+  document.removeEventListener('visibilitychange', handleVisibility);
+  setStatus({ state: 'disabled', error: null });
+}
+
+/** Stato corrente: { state: 'disabled'|'idle'|'syncing'|'offline'|'error', lastSyncAt, error } */
+export function getSyncStatus() {
+  return status;
+}
+
+/**
+ * Avvisa i listener che i dati locali sono cambiati fuori dalle pagine
+ * (es. cambi storici scritti in background): ricaricano come dopo una sync
+ * con modifiche remote.
+ */
+export function notifyDataChanged() {
+  setStatus({}, { remoteChanges: true });
+}
+
+/**
+ * Sottoscrive i cambi di stato della sync.
+ * Il listener riceve (status, { remoteChanges }) — remoteChanges=true quando
+ * la sync ha sovrascritto dati locali e le pagine devono ricaricarli.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export default {
+  startSync,
+  stopSync,
+  syncNow,
+  scheduleSync,
+  recordTombstones,
+  getSyncStatus,
+  subscribeSync,
+  notifyDataChanged,
+};
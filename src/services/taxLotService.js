@@ -0,0 +1,309 @@
+/**
+ * Tax Lot Service
+ * Motore unico per il costo di carico: ogni acquisto apre un lotto, ogni
+ * vendita scarica uno o più lotti secondo il metodo scelto.
+ *
+ *   average   → costo medio ponderato (default, regime amministrato italiano):
+ *               la vendita scarica tutti i lotti in proporzione
+ *   fifo      → First In, First Out (lotti più vecchi per primi)
+ *   lifo      → Last In, First Out (lotti più recenti per primi)
+ *   specific  → lotti indicati sulla vendita (tx.lotSelections), il resto FIFO
+ *
+ * Regole comuni a tutte le pagine:
+ *   • Commissioni di acquisto incluse nel costo del lotto
+ *   • Commissioni di vendita dedotte dai proventi
+ *   • Posizioni raggruppate per ticker + broker
+ *   • Costi e proventi in EUR al cambio storico della transazione (fxService);
+ *     il costo in valuta originale resta nei campi *Native. Le commissioni
+ *     sono già in EUR, come nel form delle transazioni
+ *
+ * Il motore è una funzione pura: riceve le transazioni (già rettificate per le
+ * operazioni societarie) e restituisce posizioni, lotti aperti e dismissioni.
+ */
+
+import { getTransactionFXRate } from './fxService';
+
+export const COST_BASIS_METHODS = {
+  average:  'Costo medio ponderato',
+  fifo:     'FIFO (primo entrato, primo uscito)',
+  lifo:     'LIFO (ultimo entrato, primo uscito)',
+  specific: 'Lotto specifico',
+};
+
+export const DEFAULT_COST_BASIS_METHOD = 'average';
+
+const EPSILON = 0.000001;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) =>
+  Math.max(0, Math.floor((new Date(to) - new Date(from)) / DAY_MS));
+
+const isCashTx = (tx) => tx.isCash || tx.macroCategory === 'Cash';
+
+/**
+ * Chiave della posizione: lo stesso titolo su broker diversi resta separato
+ * @param {Object} tx
+ * @returns {string}
+ */
+export const getHoldingKey = (tx) => (tx.broker ? `${tx.ticker}::${tx.broker}` : tx.ticker);
+
+const newPosition = (tx, holdingKey) => ({
+  ticker: tx.ticker,
+  holdingKey,
+  broker: tx.broker || '',
+  name: tx.name || tx.ticker,
+  isin: tx.isin || '',
+  macroCategory: tx.macroCategory || tx.category || 'Other',
+  microCategory: tx.microCategory || tx.subCategory || null,
+  currency: tx.currency || 'EUR',
+  quantity: 0,
+  totalCost: 0,
+  totalCostNative: 0,
+  realizedPL: 0,
+  realizedFxPL: 0,
+  lots: [],
+  transactions: [],
+  firstTransactionDate: tx.date,
+  lastTransactionDate: tx.date,
+});
+
+const recomputeTotals = (pos) => {
+  pos.lots = pos.lots.filter(l => l.quantity > EPSILON);
+  pos.quantity = pos.lots.reduce((s, l) => s + l.quantity, 0);
+  pos.totalCost = pos.lots.reduce((s, l) => s + l.cost, 0);
+  pos.totalCostNative = pos.lots.reduce((s, l) => s + l.costNative, 0);
+};
+
+/**
+ * Sceglie quanto scaricare da ciascun lotto per vendere `quantity` unità.
+ * @returns {Array<{ lot, quantity }>}
+ */
+const pickLots = (lots, quantity, method, selections) => {
+  const picks = [];
+  let remaining = quantity;
+
+  const take = (lot, qty) => {
+    const existing = picks.find(p => p.lot === lot);
+    const q = Math.min(qty, lot.quantity - (existing?.quantity || 0));
+    if (q <= EPSILON) return 0;
+    if (existing) existing.quantity += q;
+    else picks.push({ lot, quantity: q });
+    return q;
+  };
+
+  if (method === 'average') {
+    const total = lots.reduce((s, l) => s + l.quantity, 0);
+    if (total <= EPSILON) return picks;
+    const ratio = Math.min(1, quantity / total);
+    lots.forEach(lot => picks.push({ lot, quantity: lot.quantity * ratio }));
+    return picks;
+  }
+
+  if (method === 'specific' && Array.isArray(selections)) {
+    selections.forEach(sel => {
+      const lot = lots.find(l => l.lotId === sel.lotId);
+      if (lot && remaining > EPSILON) remaining -= take(lot, Math.min(remaining, parseFloat(sel.quantity) || 0));
+    });
+  }
+
+  const ordered = method === 'lifo' ? [...lots].reverse() : lots;
+  for (const lot of ordered) {
+    if (remaining <= EPSILON) break;
+    remaining -= take(lot, remaining);
+  }
+  return picks;
+};
+
+/**
+ * Esegue il motore dei lotti sulle transazioni.
+ *
+ * @param {Array} transactions - Transazioni (anche non ordinate, cash incluso: viene ignorato)
+ * @param {Object} [options]
+ * @param {string} [options.method='average'] - average | fifo | lifo | specific
+ * @param {string} [options.asOf] - Data di riferimento per i giorni di detenzione (default oggi)
+ * @returns {{ positions: Object, disposals: Array }}
+ */
+export function runLotEngine(transactions, { method = DEFAULT_COST_BASIS_METHOD, asOf = new Date().toISOString() } = {}) {
+  const positions = {};
+  const disposals = [];
+
+  const sorted = transactions
+    .filter(tx => !isCashTx(tx) && (tx.type === 'buy' || tx.type === 'sell'))
+    .slice()
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const ensure = (tx) => {
+    const key = getHoldingKey(tx);
+    if (!positions[key]) positions[key] = newPosition(tx, key);
+    const pos = positions[key];
+    // nome e categorie dalla transazione più recente
+    if (new Date(tx.date) >= new Date(pos.lastTransactionDate)) {
+      pos.name          = tx.name || pos.name;
+      pos.isin          = tx.isin || pos.isin;
+      pos.macroCategory = tx.macroCategory || tx.category || pos.macroCategory;
+      pos.microCategory = tx.microCategory || tx.subCategory || pos.microCategory;
+      pos.lastTransactionDate = tx.date;
+    }
+    return pos;
+  };
+
+  sorted.forEach(tx => {
+    const spin = tx.spinOff;
+
+    // Spin-off: le righe sintetiche di chiusura/riapertura non spezzano i lotti,
+    // la quota di costo passa alla scorporata mantenendo le date di acquisto.
+    if (spin?.role === 'in' || spin?.role === 'child') return;
+    if (spin?.role === 'out') {
+      const parent = positions[getHoldingKey(tx)];
+      if (!parent) return;
+      const childKey = getHoldingKey({ ...tx, ticker: spin.child.ticker });
+      if (!positions[childKey]) positions[childKey] = newPosition({ ...tx, ...spin.child }, childKey);
+      const child = positions[childKey];
+      parent.lots.forEach(lot => {
+        const childCost = lot.cost * spin.costFraction;
+        const childCostNative = lot.costNative * spin.costFraction;
+        const childQty = lot.quantity * spin.factor;
+        child.lots.push({
+          ...lot,
+          lotId: `${lot.lotId}:${spin.child.ticker}`,
+          ticker: spin.child.ticker,
+          quantity: childQty,
+          originalQuantity: childQty,
+          cost: childCost,
+          costNative: childCostNative,
+          unitCost: childQty > 0 ? childCost / childQty : 0,
+          unitCostNative: childQty > 0 ? childCostNative / childQty : 0,
+        });
+        lot.cost -= childCost;
+        lot.costNative -= childCostNative;
+        lot.unitCost = lot.quantity > 0 ? lot.cost / lot.quantity : 0;
+        lot.unitCostNative = lot.quantity > 0 ? lot.costNative / lot.quantity : 0;
+      });
+      recomputeTotals(parent);
+      recomputeTotals(child);
+      return;
+    }
+
+    const pos = ensure(tx);
+    const quantity = tx.quantity || 0;
+    const price = tx.price || 0;
+    const commission = tx.commission || 0;
+    const currency = tx.currency || 'EUR';
+    const fxRate = getTransactionFXRate(tx);
+    pos.transactions.push({ date: tx.date, type: tx.type, quantity, price, currency, fxRate });
+
+    if (tx.type === 'buy') {
+      const cost = quantity * price * fxRate + commission; // commissioni nel costo
+      const costNative = quantity * price + commission / fxRate;
+      pos.lots.push({
+        lotId: tx.id,
+        ticker: tx.ticker,
+        date: tx.date,
+        quantity,
+        originalQuantity: quantity,
+        unitCost: quantity > 0 ? cost / quantity : 0,
+        cost,
+        currency,
+        fxRate,
+        unitCostNative: quantity > 0 ? costNative / quantity : 0,
+        costNative,
+      });
+      recomputeTotals(pos);
+      return;
+    }
+
+    // Vendita
+    const picks = pickLots(pos.lots, quantity, method, tx.lotSelections);
+    const netProceeds = quantity * price * fxRate - commission; // commissioni dedotte
+    const proceedsNative = quantity * price - commission / fxRate;
+    const matches = picks.map(({ lot, quantity: q }) => {
+      const share = lot.quantity > 0 ? q / lot.quantity : 0;
+      const cost = lot.cost * share;
+      const costNative = lot.costNative * share;
+      lot.quantity -= q;
+      lot.cost -= cost;
+      lot.costNative -= costNative;
+      // Effetto cambio: solo se lotto e vendita sono nella stessa valuta
+      const fxPL = lot.currency === currency ? costNative * fxRate - cost : 0;
+      return { lotId: lot.lotId, buyDate: lot.date, quantity: q, cost, costNative, fxPL, holdingDays: daysBetween(lot.date, tx.date) };
+    });
+    const matchedQty = matches.reduce((s, m) => s + m.quantity, 0);
+    // Vendita allo scoperto / storico incompleto: la parte non coperta va a costo = prezzo
+    const uncovered = Math.max(0, quantity - matchedQty);
+    const costBasis = matches.reduce((s, m) => s + m.cost, 0) + uncovered * price * fxRate;
+    const costBasisNative = matches.reduce((s, m) => s + m.costNative, 0) + uncovered * price;
+    const realizedPL = netProceeds - costBasis;
+    const currencyPL = matches.reduce((s, m) => s + m.fxPL, 0);
+
+    pos.realizedPL += realizedPL;
+    pos.realizedFxPL += currencyPL;
+    recomputeTotals(pos);
+
+    disposals.push({
+      id: tx.id,
+      holdingKey: pos.holdingKey,
+      broker: pos.broker,
+      ticker: tx.ticker,
+      name: tx.name || tx.ticker,
+      isin: tx.isin || pos.isin,
+      macroCategory: tx.macroCategory || pos.macroCategory,
+      microCategory: tx.microCategory || pos.microCategory,
+      platform: tx.platform || '',
+      date: tx.date,
+      quantity,
+      sellPrice: price,
+      commission,
+      currency,
+      fxRate,
+      proceeds: netProceeds,
+      proceedsNative,
+      costBasis,
+      costBasisNative,
+      avgCostAtSale: quantity > 0 ? costBasis / quantity : 0,
+      realizedPL,
+      assetPL: realizedPL - currencyPL,
+      currencyPL,
+      pctReturn: costBasis > 0 ? (realizedPL / costBasis) * 100 : 0,
+      holdingDays: matchedQty > 0
+        ? matches.reduce((s, m) => s + m.holdingDays * m.quantity, 0) / matchedQty
+        : 0,
+      lots: matches,
+      method,
+    });
+  });
+
+  // Giorni di detenzione dei lotti ancora aperti
+  Object.values(positions).forEach(pos => {
+    pos.lots = pos.lots.map(l => ({ ...l, holdingDays: daysBetween(l.date, asOf) }));
+  });
+
+  return { positions, disposals };
+}
+
+/**
+ * Lotti aperti di una posizione a una certa data (per la scelta del lotto
+ * specifico in vendita).
+ * @param {Array} transactions
+ * @param {string} ticker
+ * @param {Object} [options]
+ * @param {string} [options.broker]
+ * @param {string} [options.date] - Solo transazioni fino a questa data inclusa
+ * @param {string} [options.excludeId] - Transazione da ignorare (vendita in modifica)
+ * @param {string} [options.method]
+ * @returns {Array} Lotti aperti
+ */
+export function getOpenLots(transactions, ticker, { broker = '', date, excludeId, method } = {}) {
+  const relevant = transactions.filter(tx =>
+    tx.id !== excludeId && (!date || tx.date <= date)
+  );
+  const { positions } = runLotEngine(relevant, { method, asOf: date || new Date().toISOString() });
+  return positions[getHoldingKey({ ticker, broker })]?.lots || [];
+}
+
+export default {
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS_METHOD,
+  getHoldingKey,
+  runLotEngine,
+  getOpenLots
+};
@@ -0,0 +1,412 @@
+/**
+ * Tax Service — fiscalità italiana (persone fisiche, regime dichiarativo)
+ *
+ * Costruito sulle dismissioni del motore dei lotti, sempre a costo medio
+ * ponderato come richiede la normativa, qualunque sia il metodo scelto per
+ * la visualizzazione (getTaxOperations):
+ *
+ *   Redditi diversi (art. 67 TUIR → Quadro RT)
+ *     • plus/minusvalenze su azioni, obbligazioni, ETC/ETN, cripto-attività
+ *     • minusvalenze su ETF/fondi (OICR)
+ *     • titoli di Stato e equiparati: aliquota 12,5% → imponibile al 48,08%
+ *     • le minusvalenze nette si riportano per 4 anni (FIFO, poi scadono)
+ *
+ *   Redditi di capitale (art. 44 TUIR → Quadro RM)
+ *     • plusvalenze su ETF/fondi: tassate al 26%, NON compensabili
+ *     • dividendi e interessi incassati su broker esteri (al netto della
+ *       ritenuta estera)
+ *
+ * I broker in regime amministrato fanno da sostituto d'imposta: le loro
+ * operazioni sono riportate ma escluse dal calcolo.
+ */
+
+import { getHoldingTransactions, getTransactions } from './localStorageService';
+import { runLotEngine } from './taxLotService';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+export const TAX_RATES = {
+  standard: 0.26,
+  govBond: 0.125,
+};
+
+/** Quota imponibile dei titoli di Stato (12,5 / 26). */
+export const GOV_BOND_WEIGHT = 0.4808;
+
+/** Anni successivi in cui una minusvalenza è compensabile. */
+export const LOSS_CARRY_YEARS = 4;
+
+/** Aliquota cripto-attività: 26% fino al 2025, 33% dal 2026 (L. 207/2024). */
+export const getCryptoRate = (year) => (year >= 2026 ? 0.33 : 0.26);
+
+export const ASSET_TAX_CLASSES = {
+  security: { label: 'Azioni, obbligazioni, ETC/ETN' },
+  gov_bond: { label: 'Titoli di Stato e equiparati' },
+  fund:     { label: 'ETF e fondi (OICR)' },
+  crypto:   { label: 'Cripto-attività' },
+};
+
+const GOV_BOND_PATTERN = /\b(BTP|BOT|CCT|CTZ|Governativ|Stato|Bund|OAT|Bonos|Treasury|T-Bill|Gilt|Sovranazional|BEI|EIB)/i;
+
+// Broker noti: i primi applicano il regime amministrato, i secondi no.
+const AMMINISTRATO_PATTERN = /fineco|directa|intesa|isybank|webank|banca|bancoposta|unicredit|mediolanum|widiba|chebanca|sella|bper|credem|hype/i;
+const DICHIARATIVO_PATTERN = /trading ?212|degiro|interactive|ibkr|revolut|binance|crypto\.com|coinbase|kraken|scalable|trade republic|xtb|etoro/i;
+
+const REGIMES_KEY = 'investment_tracker_tax_regimes';
+
+// ============================================
+// BROKER REGIME
+// ============================================
+
+/**
+ * Nome del broker di una transazione / operazione
+ * @param {Object} item
+ * @returns {string}
+ */
+export const getBrokerLabel = (item) => item.broker || item.platform || 'Manuale';
+
+/**
+ * Regimi impostati manualmente per broker
+ * @returns {Object} { [broker]: 'amministrato' | 'dichiarativo' }
+ */
+export const getTaxRegimeOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REGIMES_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Imposta il regime fiscale di un broker (null = automatico)
+ * @param {string} broker
+ * @param {string|null} regime
+ */
+export const setTaxRegime = (broker, regime) => {
+  const overrides = getTaxRegimeOverrides();
+  if (regime) overrides[broker] = regime;
+  else delete overrides[broker];
+  localStorage.setItem(REGIMES_KEY, JSON.stringify(overrides));
+};
+
+/**
+ * Regime fiscale di un broker. I broker sconosciuti sono trattati come
+ * dichiarativi (meglio una riga in più in dichiarazione che una in meno).
+ * @param {string} broker
+ * @returns {'amministrato'|'dichiarativo'}
+ */
+export const getTaxRegime = (broker, overrides = getTaxRegimeOverrides()) => {
+  if (overrides[broker]) return overrides[broker];
+  if (DICHIARATIVO_PATTERN.test(broker)) return 'dichiarativo';
+  if (AMMINISTRATO_PATTERN.test(broker)) return 'amministrato';
+  return 'dichiarativo';
+};
+
+// ============================================
+// CLASSIFICATION
+// ============================================
+
+/**
+ * Classe fiscale di un titolo
+ * @param {Object} item - { macroCategory, microCategory, name }
+ * @returns {'security'|'gov_bond'|'fund'|'crypto'}
+ */
+export const classifyAsset = ({ macroCategory = '', microCategory = '', name = '' }) => {
+  if (macroCategory === 'Crypto') return 'crypto';
+  if (macroCategory === 'ETF' || macroCategory === 'Monetario') return 'fund';
+  if (macroCategory === 'Obbligazioni' && GOV_BOND_PATTERN.test(`${microCategory || ''} ${name || ''}`)) return 'gov_bond';
+  return 'security';
+};
+
+/**
+ * Arricchisce una dismissione con la qualificazione fiscale
+ * @param {Object} op - Operazione di getTaxOperations()
+ * @returns {Object}
+ */
+export const classifyOperation = (op, overrides = getTaxRegimeOverrides()) => {
+  const year = new Date(op.date).getFullYear();
+  const assetClass = classifyAsset(op);
+  const broker = getBrokerLabel(op);
+  // Le plusvalenze su OICR sono redditi di capitale, le minusvalenze redditi diversi
+  const incomeType = assetClass === 'fund' && op.realizedPL > 0 ? 'capitale' : 'diversi';
+  const weight = assetClass === 'gov_bond' ? GOV_BOND_WEIGHT : 1;
+  const rate = assetClass === 'crypto' ? getCryptoRate(year) : TAX_RATES.standard;
+  return {
+    ...op,
+    year,
+    broker,
+    regime: getTaxRegime(broker, overrides),
+    assetClass,
+    incomeType,
+    weight,
+    rate,
+    effectiveRate: rate * weight,
+    taxableAmount: op.realizedPL * weight,
+  };
+};
+
+// ============================================
+// REPORT
+// ============================================
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Dividendi / interessi per anno sui broker dichiarativi (Quadro RM). */
+const collectCapitalIncome = (transactions, overrides) => {
+  const byYear = {};
+  transactions.forEach(tx => {
+    if (!['dividend', 'interest', 'tax_withheld'].includes(tx.type) || tx.excludeFromStats) return;
+    if (getTaxRegime(getBrokerLabel(tx), overrides) !== 'dichiarativo') return;
+    const year = new Date(tx.date).getFullYear();
+    const amount = Math.abs((tx.quantity || 0) * (tx.price || 1));
+    if (!byYear[year]) byYear[year] = { dividends: 0, interest: 0, foreignWithholding: 0 };
+    if (tx.type === 'dividend') byYear[year].dividends += amount;
+    else if (tx.type === 'interest') byYear[year].interest += amount;
+    else byYear[year].foreignWithholding += amount;
+  });
+  return byYear;
+};
+
+/**
+ * Compensa le minusvalenze con le plusvalenze partendo dall'aliquota più alta
+ * @param {Array} gains - [{ rate, amount }]
+ * @param {number} offset - minusvalenze disponibili
+ * @returns {number} imposta dovuta
+ */
+const taxAfterOffset = (gains, offset) => {
+  let remaining = offset;
+  return [...gains]
+    .sort((a, b) => b.rate - a.rate)
+    .reduce((tax, g) => {
+      const used = Math.min(remaining, g.amount);
+      remaining -= used;
+      return tax + (g.amount - used) * g.rate;
+    }, 0);
+};
+
+/**
+ * Dismissioni a costo medio ponderato, dalla più recente
+ * (come calculateRealizedPL().operations ma indipendenti dalle impostazioni)
+ * @returns {Array}
+ */
+export const getTaxOperations = () => {
+  const transactions = getHoldingTransactions().filter(tx => !tx.excludeFromStats);
+  const { disposals } = runLotEngine(transactions, { method: 'average' });
+  return disposals.slice().sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+/**
+ * Report fiscale annuale con riporto delle minusvalenze.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.operations] - default getTaxOperations()
+ * @param {Array} [options.transactions] - default getTransactions() (per dividendi/interessi)
+ * @returns {{ years: Array, operations: Array, brokers: Array }}
+ *   years ordinati dal più recente; ciascuno con sezioni rt, rm, amministrato
+ */
+export function buildTaxReport({ operations, transactions } = {}) {
+  const overrides = getTaxRegimeOverrides();
+  const ops = (operations || getTaxOperations()).map(op => classifyOperation(op, overrides));
+  const allTransactions = transactions || getTransactions();
+  const capitalIncome = collectCapitalIncome(allTransactions, overrides);
+
+  // Anche i broker con sole posizioni aperte (servono al Quadro RW)
+  const brokerNames = [
+    ...ops.map(o => o.broker),
+    ...allTransactions.map(getBrokerLabel),
+  ];
+  const brokers = [...new Set(brokerNames)].sort().map(broker => ({
+    broker,
+    regime: getTaxRegime(broker, overrides),
+    overridden: !!overrides[broker],
+  }));
+
+  const allYears = [
+    ...ops.map(o => o.year),
+    ...Object.keys(capitalIncome).map(Number),
+  ];
+  if (allYears.length === 0) return { years: [], operations: ops, brokers };
+
+  const firstYear = Math.min(...allYears);
+  const lastYear = Math.max(new Date().getFullYear(), ...allYears);
+
+  const lossLedger = []; // [{ year, amount, remaining, expiresYear }]
+  const years = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    const yearOps = ops.filter(o => o.year === year);
+    const declared = yearOps.filter(o => o.regime === 'dichiarativo');
+    const diversi = declared.filter(o => o.incomeType === 'diversi');
+    const capitale = declared.filter(o => o.incomeType === 'capitale');
+
+    // Minusvalenze scadute all'inizio dell'anno
+    const expired = lossLedger
+      .filter(l => l.remaining > 0 && l.expiresYear < year)
+      .map(l => {
+        const amount = l.remaining;
+        l.remaining = 0;
+        return { fromYear: l.year, amount };
+      });
+
+    // ── Quadro RT: redditi diversi ─────────────────────────────────────────
+    const byClass = {};
+    diversi.forEach(o => {
+      if (!byClass[o.assetClass]) byClass[o.assetClass] = { proceeds: 0, costBasis: 0, gains: 0, losses: 0, taxable: 0, count: 0 };
+      const c = byClass[o.assetClass];
+      c.proceeds += o.proceeds;
+      c.costBasis += o.costBasis;
+      if (o.realizedPL >= 0) c.gains += o.realizedPL;
+      else c.losses += -o.realizedPL;
+      c.taxable += o.taxableAmount;
+      c.count++;
+    });
+
+    // Plusvalenze raggruppate per aliquota (imponibile già ponderato)
+    const gainsByRate = {};
+    let weightedLosses = 0;
+    diversi.forEach(o => {
+      if (o.taxableAmount >= 0) gainsByRate[o.rate] = (gainsByRate[o.rate] || 0) + o.taxableAmount;
+      else weightedLosses += -o.taxableAmount;
+    });
+    const gains = Object.entries(gainsByRate).map(([rate, amount]) => ({ rate: parseFloat(rate), amount }));
+    const totalGains = gains.reduce((s, g) => s + g.amount, 0);
+    const netYear = totalGains - weightedLosses;
+
+    // Minusvalenze pregresse utilizzate (dalla più vecchia)
+    const lossesUsed = [];
+    let newLoss = 0;
+    if (netYear > 0) {
+      let toCover = netYear;
+      lossLedger.forEach(l => {
+        if (toCover <= 0 || l.remaining <= 0) return;
+        const used = Math.min(l.remaining, toCover);
+        l.remaining -= used;
+        toCover -= used;
+        lossesUsed.push({ fromYear: l.year, amount: used });
+      });
+    } else if (netYear < 0) {
+      newLoss = -netYear;
+      lossLedger.push({ year, amount: newLoss, remaining: newLoss, expiresYear: year + LOSS_CARRY_YEARS });
+    }
+    const carriedUsed = lossesUsed.reduce((s, l) => s + l.amount, 0);
+    const rtTaxable = Math.max(0, netYear - carriedUsed);
+    const rtTax = netYear > 0 ? taxAfterOffset(gains, weightedLosses + carriedUsed) : 0;
+
+    // ── Quadro RM: redditi di capitale ─────────────────────────────────────
+    const fundGains = capitale.reduce((s, o) => s + o.realizedPL, 0);
+    const income = capitalIncome[year] || { dividends: 0, interest: 0, foreignWithholding: 0 };
+    const dividendsNet = Math.max(0, income.dividends - income.foreignWithholding);
+    const rmTaxable = fundGains + dividendsNet + income.interest;
+
+    // ── Operazioni in regime amministrato (solo informativo) ───────────────
+    const managed = yearOps.filter(o => o.regime === 'amministrato');
+
+    years.push({
+      year,
+      operationsCount: yearOps.length,
+      rt: {
+        byClass,
+        proceeds: round2(diversi.reduce((s, o) => s + o.proceeds, 0)),
+        costBasis: round2(diversi.reduce((s, o) => s + o.costBasis, 0)),
+        gains: round2(totalGains),
+        losses: round2(weightedLosses),
+        net: round2(netYear),
+        lossesUsed,
+        newLoss: round2(newLoss),
+        taxable: round2(rtTaxable),
+        tax: round2(rtTax),
+      },
+      rm: {
+        fundGains: round2(fundGains),
+        dividendsGross: round2(income.dividends),
+        foreignWithholding: round2(income.foreignWithholding),
+        interest: round2(income.interest),
+        taxable: round2(rmTaxable),
+        tax: round2(rmTaxable * TAX_RATES.standard),
+      },
+      amministrato: {
+        count: managed.length,
+        realizedPL: round2(managed.reduce((s, o) => s + o.realizedPL, 0)),
+      },
+      expired,
+      carryForward: lossLedger
+        .filter(l => l.remaining > 0.005)
+        .map(l => ({ fromYear: l.year, remaining: round2(l.remaining), expiresYear: l.expiresYear })),
+      totalTax: round2(rtTax + rmTaxable * TAX_RATES.standard),
+    });
+  }
+
+  return { years: years.reverse(), operations: ops, brokers };
+}
+
+/**
+ * Righe CSV per il commercialista (riepilogo + dettaglio operazioni dell'anno)
+ * @param {Object} report - buildTaxReport()
+ * @param {number} year
+ * @returns {Array<Object>}
+ */
+export function getTaxReportRows(report, year) {
+  const y = report.years.find(r => r.year === year);
+  if (!y) return [];
+  const eur = (n) => round2(n).toFixed(2).replace('.', ',');
+
+  const summary = [
+    ['RT', 'Corrispettivi (redditi diversi)', y.rt.proceeds],
+    ['RT', 'Costi fiscalmente riconosciuti', y.rt.costBasis],
+    ['RT', 'Plusvalenze imponibili', y.rt.gains],
+    ['RT', 'Minusvalenze dell\'anno', y.rt.losses],
+    ['RT', 'Minusvalenze pregresse utilizzate', y.rt.lossesUsed.reduce((s, l) => s + l.amount, 0)],
+    ['RT', 'Minusvalenze da riportare', y.rt.newLoss],
+    ['RT', 'Imponibile', y.rt.taxable],
+    ['RT', 'Imposta sostitutiva', y.rt.tax],
+    ['RM', 'Plusvalenze ETF/fondi', y.rm.fundGains],
+    ['RM', 'Dividendi lordi esteri', y.rm.dividendsGross],
+    ['RM', 'Ritenute estere', y.rm.foreignWithholding],
+    ['RM', 'Interessi esteri', y.rm.interest],
+    ['RM', 'Imponibile', y.rm.taxable],
+    ['RM', 'Imposta sostitutiva 26%', y.rm.tax],
+  ].map(([quadro, voce, importo]) => ({
+    Sezione: 'Riepilogo', Quadro: quadro, Voce: voce, Importo: eur(importo),
+    Data: '', Ticker: '', ISIN: '', Broker: '', Classe: '', Quantità: '', Corrispettivo: '', Costo: '', 'Plus/Minus': '',
+  }));
+
+  const details = report.operations
+    .filter(o => o.year === year)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(o => ({
+      Sezione: o.regime === 'amministrato' ? 'Amministrato (informativo)' : 'Operazione',
+      Quadro: o.regime === 'amministrato' ? '' : (o.incomeType === 'capitale' ? 'RM' : 'RT'),
+      Voce: ASSET_TAX_CLASSES[o.assetClass].label,
+      Importo: eur(o.taxableAmount),
+      Data: o.date,
+      Ticker: o.ticker,
+      ISIN: o.isin || '',
+      Broker: o.broker,
+      Classe: `${(o.effectiveRate * 100).toFixed(1).replace('.', ',')}%`,
+      Quantità: String(o.quantity).replace('.', ','),
+      Corrispettivo: eur(o.proceeds),
+      Costo: eur(o.costBasis),
+      'Plus/Minus': eur(o.realizedPL),
+    }));
+
+  return [...summary, ...details];
+}
+
+export default {
+  TAX_RATES,
+  GOV_BOND_WEIGHT,
+  LOSS_CARRY_YEARS,
+  ASSET_TAX_CLASSES,
+  getCryptoRate,
+  getBrokerLabel,
+  getTaxRegime,
+  getTaxRegimeOverrides,
+  setTaxRegime,
+  classifyAsset,
+  classifyOperation,
+  getTaxOperations,
+  buildTaxReport,
+  getTaxReportRows
+};
@@ -91,7 +91,10 @@ export function calculateXIRR(transactions, currentTotalValue) {
     const date = new Date(tx.date);
     if (isNaN(date.getTime())) return;
 
-    if (tx.type === 'buy') {
+    if (tx.type === 'transfer') {
+      cashFlows.push(tx.transferDirection === 'out' ? +amount : -amount);
+      dates.push(date);
+    } else if (tx.type === 'buy') {
       cashFlows.push(-amount);   // deposito: flusso uscente dall'investitore
       dates.push(date);
     } else if (tx.type === 'sell') {
@@ -1,32 +1,20 @@
-import axios from 'axios';
-
-// CORS proxy to avoid CORS issues when calling Yahoo Finance directly from browser
-const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
+import { getQuotes } from './marketDataService';
 
 /**
- * Fetch real-time stock/ETF price from Yahoo Finance
+ * Fetch real-time stock/ETF price (provider chain, Yahoo Finance first)
  * @param {string} ticker - Stock ticker symbol (e.g., 'VWCE.DE', 'AAPL')
  * @returns {Promise<Object>} Price data with current price, change, changePercent
  */
 export const fetchStockPrice = async (ticker) => {
   try {
-    const yahooURL = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`;
-    const response = await axios.get(CORS_PROXY + encodeURIComponent(yahooURL), {
-      timeout: 10000
-    });
+    const quote = (await getQuotes([ticker]))[ticker];
 
-    const data = response.data;
-
-    if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-      throw new Error('Invalid response from Yahoo Finance');
+    if (!quote) {
+      throw new Error('No quote from the market data providers');
     }
 
-    const result = data.chart.result[0];
-    const meta = result.meta;
-    const quote = result.indicators.quote[0];
-
-    const currentPrice = meta.regularMarketPrice || quote.close[quote.close.length - 1];
-    const previousClose = meta.previousClose || meta.chartPreviousClose;
+    const currentPrice = quote.price;
+    const previousClose = quote.previousClose || quote.price;
     const change = currentPrice - previousClose;
     const changePercent = (change / previousClose) * 100;
 
@@ -35,9 +23,9 @@ export const fetchStockPrice = async (ticker) => {
       price: currentPrice,
       change: change,
       changePercent: changePercent,
-      currency: meta.currency || 'EUR',
+      currency: quote.currency || 'EUR',
       timestamp: new Date().toISOString(),
-      source: 'yahoo'
+      source: quote.source
     };
   } catch (error) {
     console.error(`Error fetching price for ${ticker}:`, error.message);
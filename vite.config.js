@@ -1,8 +1,18 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import priceApi from './api/price.js';
+
+// In sviluppo la serverless function /api/price gira dentro il dev server,
+// così il client usa lo stesso endpoint (e la stessa cache) della produzione.
+const devPriceApi = () => ({
+  name: 'dev-price-api',
+  configureServer(server) {
+    server.middlewares.use('/api/price', priceApi);
+  }
+});
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), devPriceApi()],
   root: './',
   base: '/',
   server: {